@@ -2,6 +2,7 @@ import "@shared/env-loader";
 import { database as connectDB } from "@shared/config";
 import mongoose from "mongoose";
 import createApp from "./config/express.config.js";
+import { initializeJobs, stopAllJobs } from "./src/jobs/job-scheduler.js";
 
 const PORT = process.env.PORT || 3000;
 let server = null;
@@ -9,6 +10,9 @@ let server = null;
 const gracefulShutdown = async (signal) => {
   console.log(`> Received ${signal}, shutting down gracefully...`);
 
+  // Stop all scheduled jobs
+  stopAllJobs();
+
   if (server) {
     server.close(async () => {
       console.log("> HTTP server closed");
@@ -40,6 +44,9 @@ const startServer = async () => {
 
   const app = createApp();
 
+  // Initialize background jobs
+  await initializeJobs();
+
   server = app.listen(PORT, () => {
     console.log(`> Server running on port ${PORT}`);
   });
@@ -47,6 +54,7 @@ const startServer = async () => {
   server.on("error", (err) => {
     if (err.code === "EADDRINUSE") {
       console.error(`> Port ${PORT} is already in use`);
+      stopAllJobs();
       process.exit(1);
     } else {
       console.error("> Server error:", err);
@@ -2,6 +2,7 @@ import { Router } from "express";
 import mongoose from "mongoose";
 import { sendResponse } from "@shared/utils";
 import { route as uploadRoutes } from "@shared/cloudinary";
+import { createJobRoutes } from "@shared/job-runner";
 import authRoutes from "./src/auth/user.route.js";
 import guestRoutes from "./src/auth/guest.route.js";
 import adminAuthRoutes from "./src/auth/admin.route.js";
@@ -11,8 +12,11 @@ import addressRoutes from "./src/address/address.route.js";
 import rolesRoutes from "./src/roles/roles.route.js";
 import adminUsersRoutes from "./src/admin-users/admin-users.route.js";
 import auditRoutes from "./src/audit/audit.route.js";
+import internalRoutes from "./src/internal/internal.route.js";
 import firebaseTokenRoute from "./src/test/firebase-token.route.js";
 import { firebaseAdmin } from "@shared/config";
+import { authenticateAdmin } from "./middlewares/admin.middleware.js";
+import { jobRunner } from "./src/jobs/job-scheduler.js";
 // import logsRoutes from "./src/logs/logs.route.js";
 
 const router = Router();
@@ -139,6 +143,18 @@ router.use("/admin/users", adminUsersRoutes);
  */
 router.use("/admin/audit", auditRoutes);
 
+/**
+ * @route /api/admin/jobs
+ * Scheduled job status, run history, triggers and pause (admin only)
+ */
+router.use("/admin/jobs", authenticateAdmin, createJobRoutes(jobRunner));
+
+/**
+ * @route /api/internal
+ * Service-to-service routes (not exposed for end users)
+ */
+router.use("/internal", internalRoutes);
+
 /**
  * @route /api/logs
  */
@@ -124,6 +124,18 @@ export const strictRateLimit = createRateLimiter({
   message: "Too many attempts. Please try again after an hour.",
 });
 
+/**
+ * Personal data export rate limiter
+ * Each export fans out to every service, so limit per user
+ */
+export const dataExportRateLimit = createRateLimiter({
+  windowMs: RATE_LIMIT.DATA_EXPORT_WINDOW_MS,
+  maxRequests: RATE_LIMIT.DATA_EXPORT_MAX_REQUESTS,
+  keyPrefix: "data-export",
+  keyGenerator: (req) => req.userId?.toString() || getClientIp(req),
+  message: "Too many data export requests. Please try again after an hour.",
+});
+
 /**
  * Rate limiter by user ID (for authenticated routes)
  * @param {number} maxRequests - Max requests per window
@@ -177,6 +189,7 @@ export default {
   loginRateLimit,
   apiRateLimit,
   strictRateLimit,
+  dataExportRateLimit,
   userRateLimit,
   resetRateLimit,
   getRateLimitStatus,
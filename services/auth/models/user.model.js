@@ -90,6 +90,10 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
     internalNotes: [
       {
         note: String,
@@ -111,6 +115,7 @@ const userSchema = new mongoose.Schema(
 
 userSchema.index({ email: 1 }, { unique: true, sparse: true });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ status: 1, deletionRequestedAt: 1 });
 
 const User = mongoose.model("User", userSchema);
 
@@ -0,0 +1,237 @@
+import { User, Address, Session, OTP, Audit } from "../models/index.js";
+import { storageService } from "@shared/providers";
+import { logSystemAction } from "./audit.service.js";
+import { deleteFirebaseUser } from "./otp.service.js";
+import * as orderIntegration from "./order-integration.service.js";
+import * as engagementIntegration from "./engagement-integration.service.js";
+import * as cmsIntegration from "./cms-integration.service.js";
+import {
+  AUDIT_ACTION,
+  ENTITY_TYPE,
+  USER_STATUS,
+  ACCOUNT_DELETION,
+} from "../utils/constants.js";
+
+/**
+ * Account data service
+ * Personal data export and post-grace-period account purge (DPDP Act)
+ */
+
+const REDACTED = "[redacted]";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVITY_EXPORT_LIMIT = 500;
+
+/**
+ * Build the personal data bundle for a user across all services
+ * @param {object} user - User document (lean)
+ * @returns {Promise<object>} { success, data } or { success: false, error, failedServices }
+ */
+export const buildDataExport = async (user) => {
+  const userId = user._id.toString();
+
+  const [addresses, sessions, activity, orderResult, engagementResult, newsletterResult] =
+    await Promise.all([
+      Address.find({ userId })
+        .select("-__v -isFlagged -flagReason")
+        .lean(),
+      Session.find({ userId, userType: "consumer" })
+        .select("deviceInfo isActive lastActivityAt expiresAt createdAt")
+        .lean(),
+      Audit.find({ actorId: userId, actorType: "consumer" })
+        .select("action entityType ip userAgent createdAt")
+        .sort({ createdAt: -1 })
+        .limit(ACTIVITY_EXPORT_LIMIT)
+        .lean(),
+      orderIntegration.exportCustomerData(userId),
+      engagementIntegration.exportCustomerData(userId),
+      user.email
+        ? cmsIntegration.exportNewsletterSubscriber(user.email)
+        : Promise.resolve({ success: true, data: { subscriber: null } }),
+    ]);
+
+  const failedServices = [
+    ["order", orderResult],
+    ["engagement", engagementResult],
+    ["cms", newsletterResult],
+  ]
+    .filter(([, result]) => !result.success)
+    .map(([service, result]) => `${service}: ${result.error}`);
+
+  if (failedServices.length > 0) {
+    return {
+      success: false,
+      error: "Some services could not provide your data",
+      failedServices,
+    };
+  }
+
+  const { passwordHash, internalNotes, firebaseUid, __v, ...account } = user;
+
+  return {
+    success: true,
+    data: {
+      generatedAt: new Date().toISOString(),
+      account,
+      addresses,
+      sessions,
+      activity,
+      orders: orderResult.data,
+      engagement: engagementResult.data,
+      newsletter: newsletterResult.data.subscriber,
+    },
+  };
+};
+
+/**
+ * Remove the avatar file from storage (best effort)
+ * @param {string} avatarUrl - Avatar URL
+ */
+const deleteAvatarFile = async (avatarUrl) => {
+  try {
+    const urlParts = avatarUrl.split("/");
+    const publicIdWithExt = urlParts.slice(-2).join("/");
+    const publicId = publicIdWithExt.replace(/\.[^/.]+$/, "");
+    await storageService.deleteFile(publicId, "image");
+  } catch (error) {
+    console.log(`Failed to delete avatar during purge: ${error.message}`);
+  }
+};
+
+/**
+ * Purge one account whose deletion grace period has ended
+ * Downstream services are pseudonymized first; the local record is only anonymized once
+ * all of them succeed, so a failed run is retried in full on the next run.
+ * @param {object} user - User document
+ * @returns {Promise<object>} { success, services } or { success: false, error, services }
+ */
+export const purgeAccount = async (user) => {
+  const userId = user._id.toString();
+  console.log(`> Purging account: ${userId}`);
+
+  const [orderResult, engagementResult, newsletterResult] = await Promise.all([
+    orderIntegration.pseudonymizeCustomerData(userId),
+    engagementIntegration.pseudonymizeCustomerData(userId),
+    user.email
+      ? cmsIntegration.eraseNewsletterSubscriber(user.email)
+      : Promise.resolve({ success: true, data: { deleted: false } }),
+  ]);
+
+  const services = {
+    order: orderResult.success ? orderResult.data : { error: orderResult.error },
+    engagement: engagementResult.success ? engagementResult.data : { error: engagementResult.error },
+    cms: newsletterResult.success ? newsletterResult.data : { error: newsletterResult.error },
+  };
+
+  if (!orderResult.success || !engagementResult.success || !newsletterResult.success) {
+    console.log(`> Account purge deferred for ${userId}:`, services);
+    await logSystemAction(AUDIT_ACTION.ACCOUNT_PURGE_FAILED, ENTITY_TYPE.USER, userId, { services });
+    return { success: false, error: "One or more services could not pseudonymize data", services };
+  }
+
+  if (user.firebaseUid) {
+    try {
+      await deleteFirebaseUser(user.firebaseUid);
+    } catch (error) {
+      await logSystemAction(AUDIT_ACTION.ACCOUNT_PURGE_FAILED, ENTITY_TYPE.USER, userId, {
+        services,
+        firebase: error.message,
+      });
+      return { success: false, error: `Firebase user deletion failed: ${error.message}`, services };
+    }
+  }
+
+  if (user.avatar) {
+    await deleteAvatarFile(user.avatar);
+  }
+
+  const addressResult = await Address.updateMany(
+    { userId: user._id },
+    {
+      $set: {
+        fullName: REDACTED,
+        phone: REDACTED,
+        addressLine1: REDACTED,
+        addressLine2: null,
+        landmark: null,
+        isDefaultShipping: false,
+        isDefaultBilling: false,
+      },
+    },
+  );
+
+  const sessionResult = await Session.deleteMany({ userId: user._id });
+  await OTP.deleteMany({
+    $or: [{ userId: user._id }, { identifier: { $in: [user.phone, user.email].filter(Boolean) } }],
+  });
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        // Phone is unique and required; a placeholder frees the real number for re-registration
+        phone: `deleted:${userId}`,
+        emailVerified: false,
+        phoneVerified: false,
+        firstName: null,
+        lastName: null,
+        avatar: null,
+        passwordHash: null,
+        marketingConsent: { email: false, sms: false, whatsapp: false, push: false },
+        internalNotes: [],
+        status: USER_STATUS.DELETED,
+        deletedAt: new Date(),
+      },
+      $unset: { email: "", firebaseUid: "" },
+    },
+  );
+
+  await logSystemAction(AUDIT_ACTION.ACCOUNT_PURGED, ENTITY_TYPE.USER, userId, {
+    deletionRequestedAt: user.deletionRequestedAt,
+    addressesAnonymized: addressResult.modifiedCount,
+    sessionsDeleted: sessionResult.deletedCount,
+    services,
+  });
+
+  console.log(`> Account purged: ${userId}`);
+  return { success: true, services };
+};
+
+/**
+ * Purge every account whose deletion was requested before the grace period
+ * @param {number} batchSize - Maximum accounts to process in one run
+ * @returns {Promise<object>} { due, purged, deferred }
+ */
+export const purgeDueAccounts = async (batchSize = ACCOUNT_DELETION.PURGE_BATCH_SIZE) => {
+  const cutoff = new Date(Date.now() - ACCOUNT_DELETION.GRACE_PERIOD_DAYS * DAY_MS);
+
+  const users = await User.find({
+    status: { $ne: USER_STATUS.DELETED },
+    deletionRequestedAt: { $ne: null, $lte: cutoff },
+  })
+    .sort({ deletionRequestedAt: 1 })
+    .limit(batchSize);
+
+  const summary = { due: users.length, purged: 0, deferred: 0 };
+
+  for (const user of users) {
+    try {
+      const result = await purgeAccount(user);
+      if (result.success) summary.purged++;
+      else summary.deferred++;
+    } catch (error) {
+      console.log(`> Account purge error for ${user._id}: ${error.message}`);
+      await logSystemAction(AUDIT_ACTION.ACCOUNT_PURGE_FAILED, ENTITY_TYPE.USER, user._id.toString(), {
+        error: error.message,
+      });
+      summary.deferred++;
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  buildDataExport,
+  purgeAccount,
+  purgeDueAccounts,
+};
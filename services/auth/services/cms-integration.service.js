@@ -0,0 +1,40 @@
+import { createHttpClient, handleServiceError, TimeoutConfig } from "./http-client.service.js";
+
+const cmsClient = createHttpClient(
+  process.env.CMS_SERVICE_URL || "http://localhost:3006",
+  parseInt(process.env.CMS_SERVICE_TIMEOUT) || TimeoutConfig.STANDARD,
+  "cms",
+);
+
+/**
+ * Export the newsletter subscription held for an email
+ * @param {string} email - Subscriber email
+ * @returns {Promise<object>} { success, data: { subscriber } }
+ */
+export const exportNewsletterSubscriber = async (email) => {
+  try {
+    const response = await cmsClient.post("/api/internal/newsletters/export", { email });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "CMS");
+  }
+};
+
+/**
+ * Delete the newsletter subscription held for an email
+ * @param {string} email - Subscriber email
+ * @returns {Promise<object>} { success, data: { deleted } }
+ */
+export const eraseNewsletterSubscriber = async (email) => {
+  try {
+    const response = await cmsClient.post("/api/internal/newsletters/erase", { email });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "CMS");
+  }
+};
+
+export default {
+  exportNewsletterSubscriber,
+  eraseNewsletterSubscriber,
+};
@@ -0,0 +1,85 @@
+import { createHttpClient, handleServiceError, TimeoutConfig } from "./http-client.service.js";
+
+const engagementClient = createHttpClient(
+  process.env.ENGAGEMENT_SERVICE_URL || "http://localhost:3007",
+  parseInt(process.env.ENGAGEMENT_SERVICE_TIMEOUT) || TimeoutConfig.COMPLEX,
+  "engagement",
+);
+
+/**
+ * Export a customer's engagement data
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { success, data }
+ */
+export const exportCustomerData = async (userId) => {
+  try {
+    const response = await engagementClient.get(`/api/internal/customers/${userId}/export`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Engagement");
+  }
+};
+
+/**
+ * Scrub personal details from a customer's engagement data
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { success, data }
+ */
+export const pseudonymizeCustomerData = async (userId) => {
+  try {
+    const response = await engagementClient.post(`/api/internal/customers/${userId}/pseudonymize`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Engagement");
+  }
+};
+
+/**
+ * Record a new customer's signup for loyalty points, referral tracking and marketing consent
+ * @param {string} userId - User ID
+ * @param {string|null} email - Email, matched against referral codes applied before signup
+ * @param {object} consent - { marketingConsent, ip, userAgent } from the signup form
+ * @returns {Promise<object>} { success, data }
+ */
+export const recordCustomerSignup = async (userId, email, { marketingConsent, ip, userAgent }) => {
+  try {
+    const response = await engagementClient.post("/api/internal/loyalty/signups", {
+      userId,
+      email,
+      marketingConsent,
+      ip,
+      userAgent,
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Engagement");
+  }
+};
+
+/**
+ * Record marketing consent changed on the customer's profile in the consent ledger
+ * @param {string} userId - User ID
+ * @param {object} marketingConsent - { email, sms, whatsapp, push }
+ * @param {object} client - { ip, userAgent } the change was made from
+ * @returns {Promise<object>} { success, data }
+ */
+export const updateCustomerPreferences = async (userId, marketingConsent, { ip, userAgent }) => {
+  try {
+    const response = await engagementClient.put(`/api/internal/notification-preferences/${userId}`, {
+      categories: { marketing: marketingConsent },
+      source: "profile",
+      ip,
+      userAgent,
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Engagement");
+  }
+};
+
+export default {
+  exportCustomerData,
+  pseudonymizeCustomerData,
+  recordCustomerSignup,
+  updateCustomerPreferences,
+};
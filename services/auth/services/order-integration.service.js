@@ -0,0 +1,40 @@
+import { createHttpClient, handleServiceError, TimeoutConfig } from "./http-client.service.js";
+
+const orderClient = createHttpClient(
+  process.env.ORDER_SERVICE_URL || "http://localhost:3003",
+  parseInt(process.env.ORDER_SERVICE_TIMEOUT) || TimeoutConfig.COMPLEX,
+  "order",
+);
+
+/**
+ * Export a customer's order data
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { success, data }
+ */
+export const exportCustomerData = async (userId) => {
+  try {
+    const response = await orderClient.get(`/api/internal/customers/${userId}/export`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Order");
+  }
+};
+
+/**
+ * Scrub personal details from a customer's order data
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { success, data }
+ */
+export const pseudonymizeCustomerData = async (userId) => {
+  try {
+    const response = await orderClient.post(`/api/internal/customers/${userId}/pseudonymize`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Order");
+  }
+};
+
+export default {
+  exportCustomerData,
+  pseudonymizeCustomerData,
+};
@@ -38,7 +38,28 @@ export const getFirebaseUser = async (uid) => {
   }
 };
 
+/**
+ * Delete a user from Firebase Authentication
+ * A user that no longer exists in Firebase counts as deleted
+ * @param {string} uid - Firebase user UID
+ * @returns {Promise<void>}
+ */
+export const deleteFirebaseUser = async (uid) => {
+  try {
+    await firebaseAdmin.auth().deleteUser(uid);
+    console.log(`Firebase user deleted: ${uid}`);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      console.log(`Firebase user already removed: ${uid}`);
+      return;
+    }
+    console.log(`Failed to delete Firebase user: ${error.message}`);
+    throw error;
+  }
+};
+
 export default {
   verifyFirebaseIdToken,
   getFirebaseUser,
+  deleteFirebaseUser,
 };
@@ -9,6 +9,7 @@ import {
   verifyRefreshToken,
 } from "../../services/token.service.js";
 import { logUserAction } from "../../services/audit.service.js";
+import { recordCustomerSignup } from "../../services/engagement-integration.service.js";
 import { sendResponse } from "@shared/utils";
 import { extractDeviceInfo, formatPhoneNumber } from "../../utils/helpers.js";
 import {
@@ -166,13 +167,30 @@ export const register = async (req, res) => {
       lastName: lastName || null,
       email: email ? email.toLowerCase() : null,
       emailVerified: false,
-      marketingConsent: marketingConsent || false,
+      // The signup form has a single opt-in covering every channel
+      marketingConsent: {
+        email: marketingConsent,
+        sms: marketingConsent,
+        whatsapp: marketingConsent,
+        push: marketingConsent,
+      },
       termsAcceptedAt: termsAccepted ? new Date() : null,
       status: USER_STATUS.ACTIVE,
     });
 
     console.log(`User created: ${user._id}`);
 
+    // Non-blocking: signup points, referral linking and the consent ledger must not fail registration
+    recordCustomerSignup(user._id.toString(), user.email, {
+      marketingConsent,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"] || null,
+    }).then((result) => {
+      if (!result.success) {
+        console.log(`> Signup not recorded in engagement (non-blocking): ${result.error}`);
+      }
+    });
+
     // Create session
     const deviceInfo = extractDeviceInfo(req);
     const accessToken = generateAccessToken({
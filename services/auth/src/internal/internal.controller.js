@@ -0,0 +1,342 @@
+import mongoose from "mongoose";
+import { User, Address, Session } from "../../models/index.js";
+import { sendResponse } from "@shared/utils";
+import { HTTP_STATUS } from "../../utils/constants.js";
+
+//
+// INTERNAL (SERVICE-TO-SERVICE) CONTROLLERS
+//
+
+/**
+ * @route GET /api/internal/customers
+ * @description List active customers with their default shipping location, oldest first
+ * @access Internal (service authentication)
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Customers retrieved successfully",
+ *   "data": {
+ *     "customers": [
+ *       {
+ *         "userId": "...",
+ *         "emailVerified": true,
+ *         "phoneVerified": true,
+ *         "createdAt": "2024-01-01T00:00:00.000Z",
+ *         "city": "Mumbai",
+ *         "state": "Maharashtra",
+ *         "pincode": "400001"
+ *       }
+ *     ],
+ *     "pagination": { "total": 1, "page": 1, "limit": 200, "pages": 1 }
+ *   }
+ * }
+ */
+export const listCustomers = async (req, res) => {
+  const { page, limit } = req.query;
+
+  console.log(`> Internal customer list requested by ${req.serviceId} (page ${page})`);
+
+  try {
+    const query = { status: "active" };
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select("_id emailVerified phoneVerified createdAt")
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query),
+    ]);
+
+    const addresses = await Address.find({
+      userId: { $in: users.map((user) => user._id) },
+      isDefaultShipping: true,
+    })
+      .select("userId city state pincode")
+      .lean();
+
+    const addressByUser = new Map(
+      addresses.map((address) => [address.userId.toString(), address]),
+    );
+
+    const customers = users.map((user) => {
+      const address = addressByUser.get(user._id.toString());
+      return {
+        userId: user._id.toString(),
+        emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified,
+        createdAt: user.createdAt,
+        city: address?.city || null,
+        state: address?.state || null,
+        pincode: address?.pincode || null,
+      };
+    });
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Customers retrieved successfully",
+      {
+        customers,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      },
+      null,
+    );
+  } catch (error) {
+    console.log(`Internal customer list error: ${error.message}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve customers",
+      null,
+      error.message,
+    );
+  }
+};
+
+/**
+ * @route GET /api/internal/customers/:userId/contact
+ * @description Get a customer's name, contact details and marketing consent
+ * @access Internal (service authentication)
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Customer contact retrieved successfully",
+ *   "data": {
+ *     "contact": {
+ *       "userId": "...",
+ *       "firstName": "John",
+ *       "lastName": "Doe",
+ *       "email": "user@example.com",
+ *       "phone": "+919876543210",
+ *       "marketingConsent": { "email": false, "sms": false, "whatsapp": true, "push": false }
+ *     }
+ *   }
+ * }
+ */
+export const getCustomerContact = async (req, res) => {
+  const { userId } = req.params;
+
+  console.log(`> Internal customer contact for ${userId} requested by ${req.serviceId}`);
+
+  try {
+    if (!mongoose.isValidObjectId(userId)) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Invalid user ID",
+        null,
+        "User ID is not a valid ID",
+      );
+    }
+
+    const user = await User.findOne({ _id: userId, status: "active" })
+      .select("firstName lastName email phone marketingConsent")
+      .lean();
+
+    if (!user) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Customer not found",
+        null,
+        "No active customer with this ID",
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Customer contact retrieved successfully",
+      {
+        contact: {
+          userId: user._id.toString(),
+          firstName: user.firstName || null,
+          lastName: user.lastName || null,
+          email: user.email || null,
+          phone: user.phone || null,
+          marketingConsent: user.marketingConsent,
+        },
+      },
+      null,
+    );
+  } catch (error) {
+    console.log(`Internal customer contact error: ${error.message}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve customer contact",
+      null,
+      error.message,
+    );
+  }
+};
+
+// Last ten digits, so +91 and local forms of a number compare equal
+const normalizePhone = (phone) => {
+  const digits = (phone || "").replace(/\D/g, "");
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+const normalizeAddress = (address) => {
+  const line = (address.addressLine1 || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+  return line && address.pincode ? `${line}|${address.pincode}` : null;
+};
+
+/**
+ * @route GET /api/internal/customers/:userId/signals
+ * @description Get the identifiers used to spot linked accounts (e.g. referral fraud checks)
+ * Phones and addresses are normalised so values can be compared across customers.
+ * @access Internal (service authentication)
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Customer signals retrieved successfully",
+ *   "data": {
+ *     "signals": {
+ *       "userId": "...",
+ *       "email": "user@example.com",
+ *       "phones": ["9876543210"],
+ *       "addresses": ["12 mg road|400001"],
+ *       "deviceIds": ["..."]
+ *     }
+ *   }
+ * }
+ */
+export const getCustomerSignals = async (req, res) => {
+  const { userId } = req.params;
+
+  console.log(`> Internal customer signals for ${userId} requested by ${req.serviceId}`);
+
+  try {
+    if (!mongoose.isValidObjectId(userId)) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Invalid user ID",
+        null,
+        "User ID is not a valid ID",
+      );
+    }
+
+    const user = await User.findById(userId).select("email phone").lean();
+
+    if (!user) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Customer not found",
+        null,
+        "No customer with this ID",
+      );
+    }
+
+    const [addresses, deviceIds] = await Promise.all([
+      Address.find({ userId }).select("phone addressLine1 pincode").lean(),
+      Session.distinct("deviceInfo.deviceId", { userId }),
+    ]);
+
+    const phones = [user.phone, ...addresses.map((address) => address.phone)]
+      .map(normalizePhone)
+      .filter(Boolean);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Customer signals retrieved successfully",
+      {
+        signals: {
+          userId: user._id.toString(),
+          email: user.email || null,
+          phones: [...new Set(phones)],
+          addresses: [...new Set(addresses.map(normalizeAddress).filter(Boolean))],
+          deviceIds: deviceIds.filter(Boolean),
+        },
+      },
+      null,
+    );
+  } catch (error) {
+    console.log(`Internal customer signals error: ${error.message}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve customer signals",
+      null,
+      error.message,
+    );
+  }
+};
+
+/**
+ * @route PATCH /api/internal/customers/:userId/marketing-consent
+ * @description Mirror marketing consent changed in the engagement preference center
+ * Engagement keeps the consent ledger, so the change is not sent back to it.
+ * @access Internal (service authentication)
+ *
+ * @requestBody
+ * { "marketingConsent": { "email": true, "sms": false, "whatsapp": false, "push": false } }
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Marketing consent updated successfully",
+ *   "data": { "marketingConsent": { "email": true, "sms": false, "whatsapp": false, "push": false } }
+ * }
+ */
+export const updateMarketingConsent = async (req, res) => {
+  const { userId } = req.params;
+
+  console.log(`> Internal marketing consent update for ${userId} requested by ${req.serviceId}`);
+
+  try {
+    if (!mongoose.isValidObjectId(userId)) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Invalid user ID",
+        null,
+        "User ID is not a valid ID",
+      );
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { marketingConsent: req.body.marketingConsent } },
+      { new: true },
+    )
+      .select("marketingConsent")
+      .lean();
+
+    if (!user) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Customer not found",
+        null,
+        "No customer with this ID",
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Marketing consent updated successfully",
+      { marketingConsent: user.marketingConsent },
+      null,
+    );
+  } catch (error) {
+    console.log(`Internal marketing consent error: ${error.message}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to update marketing consent",
+      null,
+      error.message,
+    );
+  }
+};
@@ -0,0 +1,61 @@
+import { Router } from "express";
+import { authenticateService } from "@shared/auth-middleware";
+import {
+  listCustomers,
+  getCustomerContact,
+  getCustomerSignals,
+  updateMarketingConsent,
+} from "./internal.controller.js";
+import {
+  listCustomersQuerySchema,
+  marketingConsentBodySchema,
+  validateQuery,
+  validateBody,
+} from "./internal.validator.js";
+
+const router = Router();
+
+//
+// INTERNAL ROUTES
+// Service-to-service only, authenticated with x-service-id / x-api-key
+//
+
+/**
+ * @route GET /api/internal/customers
+ * @description List active customers with default shipping location
+ * @access Internal (service authentication)
+ */
+router.get(
+  "/customers",
+  authenticateService,
+  validateQuery(listCustomersQuerySchema),
+  listCustomers,
+);
+
+/**
+ * @route GET /api/internal/customers/:userId/contact
+ * @description Get a customer's name, contact details and marketing consent
+ * @access Internal (service authentication)
+ */
+router.get("/customers/:userId/contact", authenticateService, getCustomerContact);
+
+/**
+ * @route GET /api/internal/customers/:userId/signals
+ * @description Get a customer's phones, addresses and devices for linked-account checks
+ * @access Internal (service authentication)
+ */
+router.get("/customers/:userId/signals", authenticateService, getCustomerSignals);
+
+/**
+ * @route PATCH /api/internal/customers/:userId/marketing-consent
+ * @description Mirror marketing consent changed in the engagement preference center
+ * @access Internal (service authentication)
+ */
+router.patch(
+  "/customers/:userId/marketing-consent",
+  authenticateService,
+  validateBody(marketingConsentBodySchema),
+  updateMarketingConsent,
+);
+
+export default router;
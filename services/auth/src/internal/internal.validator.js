@@ -0,0 +1,93 @@
+import Joi from "joi";
+
+//
+// INTERNAL (SERVICE-TO-SERVICE) VALIDATION SCHEMAS
+//
+
+/**
+ * List customers query schema
+ */
+export const listCustomersQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(200),
+});
+
+/**
+ * Marketing consent body schema
+ * Sent by engagement when consent changes in the preference center or through an unsubscribe link
+ */
+export const marketingConsentBodySchema = Joi.object({
+  marketingConsent: Joi.object({
+    email: Joi.boolean().required(),
+    sms: Joi.boolean().required(),
+    whatsapp: Joi.boolean().required(),
+    push: Joi.boolean().required(),
+  }).required(),
+});
+
+/**
+ * Validate request query against a schema
+ * @param {object} schema - Joi schema
+ * @returns {function} Express middleware
+ */
+export const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errorMessages = error.details
+        .map((detail) => detail.message)
+        .join(", ");
+      console.log(`Validation error: ${errorMessages}`);
+      return res.status(400).json({
+        message: "Validation failed",
+        data: null,
+        error: errorMessages,
+      });
+    }
+
+    // Update query properties individually since req.query is read-only
+    Object.keys(req.query).forEach(key => delete req.query[key]);
+    Object.assign(req.query, value);
+    next();
+  };
+};
+
+/**
+ * Validate request body against a schema
+ * @param {object} schema - Joi schema
+ * @returns {function} Express middleware
+ */
+export const validateBody = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errorMessages = error.details
+        .map((detail) => detail.message)
+        .join(", ");
+      console.log(`Validation error: ${errorMessages}`);
+      return res.status(400).json({
+        message: "Validation failed",
+        data: null,
+        error: errorMessages,
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+export default {
+  listCustomersQuerySchema,
+  marketingConsentBodySchema,
+  validateQuery,
+  validateBody,
+};
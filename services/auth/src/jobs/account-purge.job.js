@@ -0,0 +1,29 @@
+import { purgeDueAccounts } from "../../services/account-data.service.js";
+
+let isRunning = false;
+
+/**
+ * Account Purge Job
+ * Anonymizes accounts whose deletion grace period has ended
+ * Runs daily at 2:30 AM by default (ACCOUNT_PURGE_SCHEDULE)
+ */
+export async function accountPurgeJob() {
+  // Each purge fans out to other services, so never overlap runs
+  if (isRunning) {
+    console.log("> Account purge already running, skipping");
+    return { success: true, skipped: true };
+  }
+
+  isRunning = true;
+
+  try {
+    const summary = await purgeDueAccounts();
+    console.log("> Account purge job completed:", summary);
+    return { success: true, ...summary };
+  } catch (error) {
+    console.error("> Error in account purge job:", error);
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
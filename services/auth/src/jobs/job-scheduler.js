@@ -0,0 +1,52 @@
+import { JobRunner } from "@shared/job-runner";
+import { accountPurgeJob } from "./account-purge.job.js";
+
+/**
+ * Job Scheduler
+ * Manages all scheduled background jobs. Each run is claimed in MongoDB,
+ * so with several replicas every job still runs once per schedule.
+ */
+
+export const jobRunner = new JobRunner({ service: "auth" })
+  .register({
+    name: "account-purge",
+    schedule: process.env.ACCOUNT_PURGE_SCHEDULE || "30 2 * * *",
+    description: "Purge accounts whose deletion grace period has passed (daily at 2:30 AM)",
+    handler: accountPurgeJob,
+  });
+
+/**
+ * Initialize all scheduled jobs
+ * Call after the database connection is open.
+ */
+export async function initializeJobs() {
+  console.log("> Initializing background jobs...");
+
+  await jobRunner.start();
+
+  console.log("> All background jobs initialized successfully\n");
+
+  return jobRunner;
+}
+
+/**
+ * Get all scheduled jobs with their pause flag and last run
+ */
+export function getScheduledJobs() {
+  return jobRunner.listJobs();
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+export function stopAllJobs() {
+  jobRunner.stop();
+}
+
+/**
+ * Manually trigger a specific job (for testing/admin purposes)
+ * @returns {Promise<Object|null>} Job run, or null if the job is already running
+ */
+export async function triggerJob(jobName) {
+  return jobRunner.trigger(jobName);
+}
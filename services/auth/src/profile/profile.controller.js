@@ -2,7 +2,10 @@ import User from "../../models/user.model.js";
 import Session from "../../models/session.model.js";
 import { logUserAction, logAdminAction } from "../../services/audit.service.js";
 import { verifyFirebaseIdToken } from "../../services/otp.service.js";
+import { buildDataExport } from "../../services/account-data.service.js";
+import { updateCustomerPreferences } from "../../services/engagement-integration.service.js";
 import { storageService } from "@shared/providers";
+import archiver from "archiver";
 const { uploadFile, deleteFile } = storageService;
 import { sendResponse } from "@shared/utils";
 import {
@@ -10,6 +13,7 @@ import {
   AUDIT_ACTION,
   ENTITY_TYPE,
   SESSION_USER_TYPE,
+  ACCOUNT_DELETION,
 } from "../../utils/constants.js";
 
 //
@@ -185,6 +189,20 @@ export const updateProfile = async (req, res) => {
 
     console.log(`> Profile updated for user: ${user._id}`);
 
+    // Non-blocking: the consent ledger in engagement records marketing opt-in changes
+    if (req.body.marketingConsent !== undefined) {
+      const { email, sms, whatsapp, push } = user.marketingConsent;
+      updateCustomerPreferences(
+        user._id.toString(),
+        { email, sms, whatsapp, push },
+        { ip: req.ip, userAgent: req.headers["user-agent"] || null },
+      ).then((result) => {
+        if (!result.success) {
+          console.log(`> Marketing consent not recorded in engagement (non-blocking): ${result.error}`);
+        }
+      });
+    }
+
     await logUserAction(
       req.userId.toString(),
       AUDIT_ACTION.USER_PROFILE_UPDATED,
@@ -696,7 +714,7 @@ export const removeAvatar = async (req, res) => {
 
 /**
  * @route POST /api/profile/delete-request
- * @description Request account deletion (soft delete with 30-day grace period)
+ * @description Request account deletion (soft delete; purged after the grace period)
  * @access Private (consumer authenticated)
  *
  * @requestBody
@@ -705,7 +723,10 @@ export const removeAvatar = async (req, res) => {
  * @responseBody Success (200)
  * {
  *   "message": "Account deletion requested",
- *   "data": { "deletionRequestedAt": "2024-01-01T00:00:00.000Z" }
+ *   "data": {
+ *     "deletionRequestedAt": "2024-01-01T00:00:00.000Z",
+ *     "purgeScheduledAt": "2024-01-31T00:00:00.000Z"
+ *   }
  * }
  */
 export const requestAccountDeletion = async (req, res) => {
@@ -738,6 +759,10 @@ export const requestAccountDeletion = async (req, res) => {
     }
 
     const deletionRequestedAt = new Date();
+    const purgeScheduledAt = new Date(
+      deletionRequestedAt.getTime() +
+        ACCOUNT_DELETION.GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000,
+    );
 
     await User.findByIdAndUpdate(req.userId, { deletionRequestedAt });
 
@@ -749,11 +774,12 @@ export const requestAccountDeletion = async (req, res) => {
       ENTITY_TYPE.USER,
       req.userId.toString(),
       req,
-      { deletionRequestedAt },
+      { deletionRequestedAt, purgeScheduledAt },
     );
 
     return sendResponse(res, HTTP_STATUS.OK, "Account deletion requested", {
       deletionRequestedAt,
+      purgeScheduledAt,
     });
   } catch (error) {
     console.log(`Request account deletion error: ${error.message}`);
@@ -839,6 +865,134 @@ export const cancelAccountDeletion = async (req, res) => {
   }
 };
 
+/**
+ * @route GET /api/profile/export
+ * @description Download all personal data held across services (DPDP right to access)
+ * @access Private (consumer authenticated)
+ *
+ * @query
+ * - format: "json" (default) or "zip"
+ *
+ * @responseBody Success (200, format=json)
+ * {
+ *   "message": "Personal data exported successfully",
+ *   "data": {
+ *     "generatedAt": "...",
+ *     "account": { ... },
+ *     "addresses": [...],
+ *     "sessions": [...],
+ *     "activity": [...],
+ *     "orders": { ... },
+ *     "engagement": { ... },
+ *     "newsletter": { ... }
+ *   }
+ * }
+ *
+ * @responseBody Success (200, format=zip)
+ * application/zip attachment with one JSON file per section
+ *
+ * @responseBody Error (503)
+ * { "message": "Data export temporarily unavailable", "data": null, "error": "..." }
+ */
+export const exportMyData = async (req, res) => {
+  console.log("> Export personal data request received");
+  console.log("> User ID:", req.userId?.toString());
+
+  try {
+    const { format } = req.query;
+    const user = await User.findById(req.userId).lean();
+
+    if (!user) {
+      console.log("User not found");
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "User not found",
+        null,
+        "User could not be found",
+      );
+    }
+
+    const result = await buildDataExport(user);
+
+    if (!result.success) {
+      console.log("> Data export incomplete:", result.failedServices);
+      return sendResponse(
+        res,
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        "Data export temporarily unavailable",
+        null,
+        result.error,
+      );
+    }
+
+    await logUserAction(
+      req.userId.toString(),
+      AUDIT_ACTION.PERSONAL_DATA_EXPORTED,
+      ENTITY_TYPE.USER,
+      req.userId.toString(),
+      req,
+      { format },
+    );
+
+    console.log(`> Personal data exported for user: ${user._id} (${format})`);
+
+    if (format !== "zip") {
+      return sendResponse(
+        res,
+        HTTP_STATUS.OK,
+        "Personal data exported successfully",
+        result.data,
+      );
+    }
+
+    const { generatedAt, orders, engagement, newsletter, ...account } =
+      result.data;
+    const toJson = (value) => JSON.stringify(value, null, 2);
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="my-data-${generatedAt.slice(0, 10)}.zip"`,
+    );
+
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("error", (error) => {
+      console.log(`Data export archive error: ${error.message}`);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    archive.append(
+      toJson({
+        generatedAt,
+        userId: user._id,
+        files: ["account.json", "orders.json", "engagement.json", "newsletter.json"],
+      }),
+      { name: "manifest.json" },
+    );
+    archive.append(toJson(account), { name: "account.json" });
+    archive.append(toJson(orders), { name: "orders.json" });
+    archive.append(toJson(engagement), { name: "engagement.json" });
+    archive.append(toJson(newsletter), { name: "newsletter.json" });
+
+    await archive.finalize();
+  } catch (error) {
+    console.log(`Export personal data error: ${error.message}`);
+    console.log(error.stack);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to export personal data",
+      null,
+      error.message,
+    );
+  }
+};
+
 //
 // ADMIN CUSTOMER MANAGEMENT CONTROLLERS
 //
@@ -1401,6 +1555,7 @@ export default {
   removeAvatar,
   requestAccountDeletion,
   cancelAccountDeletion,
+  exportMyData,
   // Admin
   getAdminProfile,
   searchCustomers,
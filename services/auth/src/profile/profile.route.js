@@ -9,6 +9,7 @@ import {
   removeAvatar,
   requestAccountDeletion,
   cancelAccountDeletion,
+  exportMyData,
   getAdminProfile,
   searchCustomers,
   getCustomerProfile,
@@ -23,6 +24,7 @@ import {
   changePhoneSchema,
   verifyPhoneSchema,
   deleteAccountSchema,
+  exportMyDataSchema,
   searchCustomersSchema,
   customerIdParamSchema,
   updateCustomerStatusSchema,
@@ -36,6 +38,7 @@ import {
   verifyActiveSession,
 } from "../../middlewares/auth.middleware.js";
 import { authenticateAdmin } from "../../middlewares/admin.middleware.js";
+import { dataExportRateLimit } from "../../middlewares/rateLimit.middleware.js";
 import { requirePermission } from "../../middlewares/rbac.middleware.js";
 import { uploadAny } from "@shared/middlewares";
 import { PERMISSIONS } from "../../utils/constants.js";
@@ -150,6 +153,20 @@ router.post(
   cancelAccountDeletion,
 );
 
+/**
+ * @route GET /api/profile/export
+ * @description Download all personal data held across services
+ * @access Private (consumer authenticated)
+ */
+router.get(
+  "/export",
+  authenticateUser,
+  verifyActiveSession,
+  dataExportRateLimit,
+  validateQuery(exportMyDataSchema),
+  exportMyData,
+);
+
 //
 // ADMIN PROFILE ROUTES
 //
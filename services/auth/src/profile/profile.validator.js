@@ -92,6 +92,15 @@ export const deleteAccountSchema = Joi.object({
   }),
 });
 
+/**
+ * Personal data export validation schema
+ */
+export const exportMyDataSchema = Joi.object({
+  format: Joi.string().valid("json", "zip").default("json").messages({
+    "any.only": "Format must be json or zip",
+  }),
+});
+
 //
 // ADMIN CUSTOMER MANAGEMENT VALIDATION SCHEMAS
 //
@@ -271,6 +280,7 @@ export default {
   changePhoneSchema,
   verifyPhoneSchema,
   deleteAccountSchema,
+  exportMyDataSchema,
   searchCustomersSchema,
   customerIdParamSchema,
   updateCustomerStatusSchema,
@@ -67,6 +67,9 @@ export const AUDIT_ACTION = {
   // User account
   ACCOUNT_DELETION_REQUESTED: "ACCOUNT_DELETION_REQUESTED",
   ACCOUNT_DELETION_CANCELLED: "ACCOUNT_DELETION_CANCELLED",
+  ACCOUNT_PURGED: "ACCOUNT_PURGED",
+  ACCOUNT_PURGE_FAILED: "ACCOUNT_PURGE_FAILED",
+  PERSONAL_DATA_EXPORTED: "PERSONAL_DATA_EXPORTED",
   CUSTOMER_SUSPENDED: "CUSTOMER_SUSPENDED",
   CUSTOMER_REACTIVATED: "CUSTOMER_REACTIVATED",
   CUSTOMER_NOTE_ADDED: "CUSTOMER_NOTE_ADDED",
@@ -227,6 +230,14 @@ export const RATE_LIMIT = {
   OTP_MAX_REQUESTS: 5,
   LOGIN_WINDOW_MS: 15 * 60 * 1000, // 15 minutes
   LOGIN_MAX_ATTEMPTS: 10,
+  DATA_EXPORT_WINDOW_MS: 60 * 60 * 1000, // 1 hour
+  DATA_EXPORT_MAX_REQUESTS: 3,
+};
+
+// Account deletion configuration
+export const ACCOUNT_DELETION = {
+  GRACE_PERIOD_DAYS: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30,
+  PURGE_BATCH_SIZE: parseInt(process.env.ACCOUNT_PURGE_BATCH_SIZE, 10) || 50,
 };
 
 // HTTP status codes
@@ -240,4 +251,5 @@ export const HTTP_STATUS = {
   CONFLICT: 409,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
+  SERVICE_UNAVAILABLE: 503,
 };
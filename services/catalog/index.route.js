@@ -13,6 +13,7 @@ import collectionRoutes from "./src/collections/collection.route.js";
 import bundleRoutes from "./src/bundles/bundle.route.js";
 import relatedProductRoutes from "./src/related-products/related-product.route.js";
 import searchRoutes from "./src/search/search.route.js";
+import hsnCodeRoutes from "./src/hsn-codes/hsn-code.route.js";
 
 const router = Router();
 
@@ -100,6 +101,12 @@ router.use("/products", relatedProductRoutes.consumer);
  */
 router.use("/search", searchRoutes.consumer);
 
+/**
+ * @route /api/hsn-codes
+ * @description HSN code GST rate lookup (consumer)
+ */
+router.use("/hsn-codes", hsnCodeRoutes.consumer);
+
 /**
  * Admin Routes
  */
@@ -188,4 +195,10 @@ router.use("/admin/products", relatedProductRoutes.admin);
  */
 router.use("/admin/search", searchRoutes.admin);
 
+/**
+ * @route /api/admin/hsn-codes
+ * @description HSN code master routes (admin)
+ */
+router.use("/admin/hsn-codes", hsnCodeRoutes.admin);
+
 export default router;
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+/**
+ * HSN code master
+ * Maps a product's HSN code to the GST rate charged on it.
+ */
+const hsnCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    gstRate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    cessRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Unit quantity code reported in the GSTR-1 HSN summary (e.g. NOS, KGS)
+    uqc: {
+      type: String,
+      default: "NOS",
+      uppercase: true,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+hsnCodeSchema.index({ isActive: 1, deletedAt: 1 });
+
+const HsnCode = mongoose.model("HsnCode", hsnCodeSchema);
+
+export default HsnCode;
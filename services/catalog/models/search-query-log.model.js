@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import { SEARCH_SOURCE, SEARCH_ANALYTICS } from "../utils/constants.js";
+
+const searchQueryLogSchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      default: null,
+    },
+    normalizedQuery: {
+      type: String,
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: Object.values(SEARCH_SOURCE),
+      required: true,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    sort: {
+      type: String,
+      default: null,
+    },
+    page: {
+      type: Number,
+      default: 1,
+    },
+    resultCount: {
+      type: Number,
+      required: true,
+    },
+    isZeroResult: {
+      type: Boolean,
+      default: false,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Logged-in user ID or guest ID; links a zero-result search to the retry that followed it
+    sessionKey: {
+      type: String,
+      default: null,
+    },
+    clickedProduct: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    clickPosition: {
+      type: Number,
+      default: null,
+    },
+    clickedAt: {
+      type: Date,
+      default: null,
+    },
+    clickCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+searchQueryLogSchema.index({ normalizedQuery: 1, createdAt: -1 });
+searchQueryLogSchema.index({ isZeroResult: 1, createdAt: -1 });
+searchQueryLogSchema.index({ sessionKey: 1, createdAt: 1 });
+searchQueryLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: SEARCH_ANALYTICS.LOG_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const SearchQueryLog = mongoose.model("SearchQueryLog", searchQueryLogSchema);
+
+export default SearchQueryLog;
@@ -0,0 +1,39 @@
+import HsnCode from "../models/hsn-code.model.js";
+
+/**
+ * Load the active GST rates for a set of HSN codes
+ * @param {Array<string>} codes - HSN codes (empty values are ignored)
+ * @returns {Promise<Map>} - Map of code -> { code, description, gstRate, cessRate, uqc }
+ */
+export const getGstRatesByCode = async (codes) => {
+  const uniqueCodes = [...new Set(codes.filter(Boolean).map((code) => String(code).trim()))];
+
+  if (uniqueCodes.length === 0) {
+    return new Map();
+  }
+
+  const hsnCodes = await HsnCode.find({
+    code: { $in: uniqueCodes },
+    isActive: true,
+    deletedAt: null,
+  })
+    .select("code description gstRate cessRate uqc")
+    .lean();
+
+  return new Map(
+    hsnCodes.map((hsn) => [
+      hsn.code,
+      {
+        code: hsn.code,
+        description: hsn.description,
+        gstRate: hsn.gstRate,
+        cessRate: hsn.cessRate || 0,
+        uqc: hsn.uqc,
+      },
+    ])
+  );
+};
+
+export default {
+  getGstRatesByCode,
+};
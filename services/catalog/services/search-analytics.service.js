@@ -0,0 +1,619 @@
+import mongoose from "mongoose";
+import SearchQueryLog from "../models/search-query-log.model.js";
+import SearchSynonym from "../models/search-synonym.model.js";
+import { SEARCH_SOURCE, SEARCH_ANALYTICS } from "../utils/constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SYNONYMS_PER_TERM = 20;
+
+/**
+ * Calculates Levenshtein distance between two strings for typo tolerance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Edit distance
+ */
+export const levenshteinDistance = (a, b) => {
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  const matrix = [];
+
+  for (let i = 0; i <= b.length; i++) {
+    matrix[i] = [i];
+  }
+
+  for (let j = 0; j <= a.length; j++) {
+    matrix[0][j] = j;
+  }
+
+  for (let i = 1; i <= b.length; i++) {
+    for (let j = 1; j <= a.length; j++) {
+      if (b.charAt(i - 1) === a.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1,
+          matrix[i][j - 1] + 1,
+          matrix[i - 1][j] + 1
+        );
+      }
+    }
+  }
+
+  return matrix[b.length][a.length];
+};
+
+/**
+ * Normalizes a query so variants of the same search group together
+ * @param {string} query - Raw search query
+ * @returns {string|null} - Lowercased, whitespace-collapsed query
+ */
+export const normalizeQuery = (query) => {
+  if (!query) return null;
+  const normalized = query.toLowerCase().replace(/\s+/g, " ").trim();
+  return normalized || null;
+};
+
+/**
+ * Drops undefined filter values so only applied filters are stored
+ * @param {object} filters - Filter values
+ * @returns {object|null} - Applied filters or null
+ */
+const compactFilters = (filters = {}) => {
+  const applied = Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null)
+  );
+  return Object.keys(applied).length > 0 ? applied : null;
+};
+
+/**
+ * Logs a search without holding up the response
+ * The ID is generated up front so it can be returned to the client for click tracking.
+ * @param {object} entry - Search details
+ * @param {string} entry.query - Raw search query
+ * @param {string} entry.source - One of SEARCH_SOURCE
+ * @param {number} entry.resultCount - Total matching results
+ * @param {string} [entry.category] - Category ID (category search)
+ * @param {object} [entry.filters] - Applied filters
+ * @param {string} [entry.sort] - Sort option
+ * @param {number} [entry.page] - Page number
+ * @param {string} [entry.userId] - Authenticated user ID
+ * @param {string} [entry.sessionKey] - User or guest ID
+ * @returns {string} - Search log ID
+ */
+export const logSearch = (entry) => {
+  const searchId = new mongoose.Types.ObjectId();
+
+  SearchQueryLog.create({
+    _id: searchId,
+    query: entry.query || null,
+    normalizedQuery: normalizeQuery(entry.query),
+    source: entry.source,
+    category: entry.category || null,
+    filters: compactFilters(entry.filters),
+    sort: entry.sort || null,
+    page: parseInt(entry.page) || 1,
+    resultCount: entry.resultCount,
+    isZeroResult: entry.resultCount === 0,
+    user: entry.userId || null,
+    sessionKey: entry.sessionKey || null,
+  }).catch((error) => {
+    console.log("logSearch error:", error.message);
+  });
+
+  return searchId.toString();
+};
+
+/**
+ * Records a product click against a logged search
+ * The most recent click is kept along with a running click count.
+ * @param {string} searchId - Search log ID
+ * @param {string} productId - Clicked product ID
+ * @param {number} [position] - 1-based position of the product in the results
+ * @returns {Promise<boolean>} - False if the search log does not exist
+ */
+export const recordClick = async (searchId, productId, position = null) => {
+  const result = await SearchQueryLog.updateOne(
+    { _id: searchId },
+    {
+      $set: {
+        clickedProduct: productId,
+        clickPosition: position,
+        clickedAt: new Date(),
+      },
+      $inc: { clickCount: 1 },
+    }
+  );
+
+  return result.matchedCount > 0;
+};
+
+/**
+ * Builds a createdAt range, defaulting to the last DEFAULT_RANGE_DAYS days
+ * @param {Date|string} [startDate] - Range start
+ * @param {Date|string} [endDate] - Range end
+ * @returns {object} - { startDate, endDate }
+ */
+export const resolveDateRange = (startDate, endDate) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate
+    ? new Date(startDate)
+    : new Date(end.getTime() - SEARCH_ANALYTICS.DEFAULT_RANGE_DAYS * DAY_MS);
+
+  return { startDate: start, endDate: end };
+};
+
+/**
+ * Builds the base $match stage for report queries
+ * @param {object} options - { startDate, endDate, source }
+ * @returns {object} - Match filter
+ */
+const buildReportMatch = ({ startDate, endDate, source }) => {
+  const range = resolveDateRange(startDate, endDate);
+  const match = { createdAt: { $gte: range.startDate, $lte: range.endDate } };
+
+  if (source) {
+    match.source = source;
+  }
+
+  return match;
+};
+
+/**
+ * Rounds a ratio to a percentage with two decimals
+ * @param {number} part - Numerator
+ * @param {number} total - Denominator
+ * @returns {number} - Percentage
+ */
+const toPercent = (part, total) =>
+  total > 0 ? Math.round((part / total) * 10000) / 100 : 0;
+
+/**
+ * Most frequent search queries with result and click stats
+ * @param {object} options - { startDate, endDate, source, limit }
+ * @returns {Promise<Array>} - Top queries
+ */
+export const getTopQueries = async ({ startDate, endDate, source, limit = 20 }) => {
+  const match = buildReportMatch({ startDate, endDate, source });
+  match.normalizedQuery = { $ne: null };
+
+  const queries = await SearchQueryLog.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$normalizedQuery",
+        searches: { $sum: 1 },
+        zeroResultSearches: { $sum: { $cond: ["$isZeroResult", 1, 0] } },
+        clickedSearches: { $sum: { $cond: [{ $gt: ["$clickCount", 0] }, 1, 0] } },
+        averageResults: { $avg: "$resultCount" },
+        lastSearchedAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: parseInt(limit) },
+  ]);
+
+  return queries.map((query) => ({
+    query: query._id,
+    searches: query.searches,
+    zeroResultSearches: query.zeroResultSearches,
+    clickedSearches: query.clickedSearches,
+    clickThroughRate: toPercent(query.clickedSearches, query.searches),
+    averageResults: Math.round(query.averageResults * 10) / 10,
+    lastSearchedAt: query.lastSearchedAt,
+  }));
+};
+
+/**
+ * Queries that returned no results, most frequent first
+ * @param {object} options - { startDate, endDate, source, limit }
+ * @returns {Promise<Array>} - Zero-result queries
+ */
+export const getZeroResultQueries = async ({ startDate, endDate, source, limit = 20 }) => {
+  const match = buildReportMatch({ startDate, endDate, source });
+  match.normalizedQuery = { $ne: null };
+  match.isZeroResult = true;
+
+  const queries = await SearchQueryLog.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$normalizedQuery",
+        searches: { $sum: 1 },
+        sessions: { $addToSet: "$sessionKey" },
+        sources: { $addToSet: "$source" },
+        firstSearchedAt: { $min: "$createdAt" },
+        lastSearchedAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: parseInt(limit) },
+  ]);
+
+  return queries.map((query) => ({
+    query: query._id,
+    searches: query.searches,
+    uniqueSearchers: query.sessions.filter(Boolean).length,
+    sources: query.sources,
+    firstSearchedAt: query.firstSearchedAt,
+    lastSearchedAt: query.lastSearchedAt,
+  }));
+};
+
+/**
+ * Click-through and zero-result rates, overall, per source and per day
+ * @param {object} options - { startDate, endDate, source }
+ * @returns {Promise<object>} - { overall, bySource, daily }
+ */
+export const getClickThroughStats = async ({ startDate, endDate, source }) => {
+  const match = buildReportMatch({ startDate, endDate, source });
+
+  const groupStats = {
+    searches: { $sum: 1 },
+    clickedSearches: { $sum: { $cond: [{ $gt: ["$clickCount", 0] }, 1, 0] } },
+    zeroResultSearches: { $sum: { $cond: ["$isZeroResult", 1, 0] } },
+    totalClicks: { $sum: "$clickCount" },
+    averageClickPosition: { $avg: "$clickPosition" },
+  };
+
+  const [bySource, daily] = await Promise.all([
+    SearchQueryLog.aggregate([
+      { $match: match },
+      { $group: { _id: "$source", ...groupStats } },
+      { $sort: { _id: 1 } },
+    ]),
+    SearchQueryLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+          ...groupStats,
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  const formatStats = (stats) => ({
+    searches: stats.searches,
+    clickedSearches: stats.clickedSearches,
+    zeroResultSearches: stats.zeroResultSearches,
+    totalClicks: stats.totalClicks,
+    clickThroughRate: toPercent(stats.clickedSearches, stats.searches),
+    zeroResultRate: toPercent(stats.zeroResultSearches, stats.searches),
+    averageClickPosition:
+      stats.averageClickPosition !== null
+        ? Math.round(stats.averageClickPosition * 10) / 10
+        : null,
+  });
+
+  const totals = bySource.reduce(
+    (acc, stats) => {
+      acc.searches += stats.searches;
+      acc.clickedSearches += stats.clickedSearches;
+      acc.zeroResultSearches += stats.zeroResultSearches;
+      acc.totalClicks += stats.totalClicks;
+      if (stats.averageClickPosition !== null) {
+        acc.positionSum += stats.averageClickPosition * stats.clickedSearches;
+        acc.positionWeight += stats.clickedSearches;
+      }
+      return acc;
+    },
+    {
+      searches: 0,
+      clickedSearches: 0,
+      zeroResultSearches: 0,
+      totalClicks: 0,
+      positionSum: 0,
+      positionWeight: 0,
+    }
+  );
+
+  return {
+    overall: formatStats({
+      ...totals,
+      averageClickPosition:
+        totals.positionWeight > 0 ? totals.positionSum / totals.positionWeight : null,
+    }),
+    bySource: bySource.map((stats) => ({ source: stats._id, ...formatStats(stats) })),
+    daily: daily.map((stats) => ({ date: stats._id, ...formatStats(stats) })),
+  };
+};
+
+/**
+ * Reduces a query pair to the single words that differ
+ * Synonym expansion works word by word, so only single-word pairs are useful.
+ * @param {string} from - Zero-result query
+ * @param {string} to - Query that returned results
+ * @returns {object|null} - { from, to } or null if the queries differ in more than one word
+ */
+const reduceToWordPair = (from, to) => {
+  const fromWords = from.split(" ");
+  const toWords = to.split(" ");
+
+  if (fromWords.length !== toWords.length) {
+    return null;
+  }
+
+  const differing = fromWords
+    .map((word, index) => [word, toWords[index]])
+    .filter(([a, b]) => a !== b);
+
+  return differing.length === 1 ? { from: differing[0][0], to: differing[0][1] } : null;
+};
+
+/**
+ * Finds zero-result searches that the same shopper retried with a query that worked
+ * @param {object} match - Base match filter
+ * @returns {Promise<Array>} - [{ from, to, occurrences, followUpClicks }]
+ */
+const findReformulations = async (match) => {
+  const pairs = await SearchQueryLog.aggregate([
+    {
+      $match: {
+        ...match,
+        isZeroResult: true,
+        sessionKey: { $ne: null },
+        normalizedQuery: { $ne: null },
+        source: { $ne: SEARCH_SOURCE.SUGGESTIONS },
+      },
+    },
+    {
+      $lookup: {
+        from: SearchQueryLog.collection.name,
+        let: {
+          sessionKey: "$sessionKey",
+          searchedAt: "$createdAt",
+          query: "$normalizedQuery",
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$sessionKey", "$$sessionKey"] },
+                  { $gt: ["$createdAt", "$$searchedAt"] },
+                  {
+                    $lte: [
+                      "$createdAt",
+                      { $add: ["$$searchedAt", SEARCH_ANALYTICS.REFORMULATION_WINDOW_MS] },
+                    ],
+                  },
+                  { $gt: ["$resultCount", 0] },
+                  { $ne: ["$normalizedQuery", null] },
+                  { $ne: ["$normalizedQuery", "$$query"] },
+                  { $ne: ["$source", SEARCH_SOURCE.SUGGESTIONS] },
+                ],
+              },
+            },
+          },
+          { $sort: { createdAt: 1 } },
+          { $limit: 1 },
+          { $project: { normalizedQuery: 1, clickCount: 1 } },
+        ],
+        as: "followUp",
+      },
+    },
+    { $unwind: "$followUp" },
+    {
+      $group: {
+        _id: { from: "$normalizedQuery", to: "$followUp.normalizedQuery" },
+        occurrences: { $sum: 1 },
+        followUpClicks: {
+          $sum: { $cond: [{ $gt: ["$followUp.clickCount", 0] }, 1, 0] },
+        },
+      },
+    },
+    { $match: { occurrences: { $gte: SEARCH_ANALYTICS.MIN_SUGGESTION_OCCURRENCES } } },
+    { $sort: { occurrences: -1 } },
+  ]);
+
+  return pairs.map((pair) => ({
+    from: pair._id.from,
+    to: pair._id.to,
+    occurrences: pair.occurrences,
+    followUpClicks: pair.followUpClicks,
+  }));
+};
+
+/**
+ * Matches frequent zero-result queries to close spellings of queries that return results
+ * @param {object} match - Base match filter
+ * @returns {Promise<Array>} - [{ from, to, occurrences, distance }]
+ */
+const findSpellingVariants = async (match) => {
+  const base = {
+    ...match,
+    normalizedQuery: { $ne: null },
+    source: { $ne: SEARCH_SOURCE.SUGGESTIONS },
+  };
+
+  const [zeroResultQueries, workingQueries] = await Promise.all([
+    SearchQueryLog.aggregate([
+      { $match: { ...base, isZeroResult: true } },
+      { $group: { _id: "$normalizedQuery", searches: { $sum: 1 } } },
+      { $match: { searches: { $gte: SEARCH_ANALYTICS.MIN_SUGGESTION_OCCURRENCES } } },
+      { $sort: { searches: -1 } },
+      { $limit: 200 },
+    ]),
+    SearchQueryLog.aggregate([
+      { $match: { ...base, isZeroResult: false } },
+      { $group: { _id: "$normalizedQuery", searches: { $sum: 1 } } },
+      { $sort: { searches: -1 } },
+      { $limit: 500 },
+    ]),
+  ]);
+
+  const variants = [];
+
+  for (const zeroResult of zeroResultQueries) {
+    const from = zeroResult._id;
+    // Short words are too easily one edit away from an unrelated word
+    const maxDistance = Math.min(
+      SEARCH_ANALYTICS.MAX_SPELLING_DISTANCE,
+      Math.floor(from.length / 4)
+    );
+    if (maxDistance < 1) continue;
+
+    let best = null;
+    for (const working of workingQueries) {
+      const distance = levenshteinDistance(from, working._id);
+      if (distance > maxDistance) continue;
+
+      if (
+        !best ||
+        distance < best.distance ||
+        (distance === best.distance && working.searches > best.searches)
+      ) {
+        best = { to: working._id, distance, searches: working.searches };
+      }
+    }
+
+    if (best) {
+      variants.push({
+        from,
+        to: best.to,
+        occurrences: zeroResult.searches,
+        distance: best.distance,
+      });
+    }
+  }
+
+  return variants;
+};
+
+/**
+ * Suggests synonym entries from search behaviour
+ * Pairs come from shoppers retrying a zero-result search with a query that worked, and
+ * from frequent zero-result queries that are close spellings of working queries. Pairs
+ * already covered by a synonym entry are dropped. Each suggestion carries the payload for
+ * POST /api/admin/search/synonyms (create) or PUT /api/admin/search/synonyms/:id (update).
+ * @param {object} options - { startDate, endDate, limit }
+ * @returns {Promise<Array>} - Synonym suggestions
+ */
+export const getSynonymSuggestions = async ({ startDate, endDate, limit = 20 }) => {
+  const match = buildReportMatch({ startDate, endDate });
+
+  const [reformulations, spellingVariants] = await Promise.all([
+    findReformulations(match),
+    findSpellingVariants(match),
+  ]);
+
+  const candidates = new Map();
+  const addCandidate = (pair, details) => {
+    const reduced = reduceToWordPair(pair.from, pair.to);
+    if (!reduced) return;
+
+    const key = `${reduced.from}|${reduced.to}`;
+    const existing = candidates.get(key);
+    if (existing) {
+      existing.occurrences += pair.occurrences;
+      existing.reasons = [...new Set([...existing.reasons, details.reason])];
+      return;
+    }
+
+    candidates.set(key, {
+      query: reduced.from,
+      suggestedTerm: reduced.to,
+      reasons: [details.reason],
+      occurrences: pair.occurrences,
+      followUpClicks: details.followUpClicks || 0,
+    });
+  };
+
+  reformulations.forEach((pair) =>
+    addCandidate(pair, { reason: "reformulation", followUpClicks: pair.followUpClicks })
+  );
+  spellingVariants.forEach((pair) => addCandidate(pair, { reason: "similar_spelling" }));
+
+  if (candidates.size === 0) {
+    return [];
+  }
+
+  const words = [
+    ...new Set([...candidates.values()].flatMap((c) => [c.query, c.suggestedTerm])),
+  ];
+  const synonymEntries = await SearchSynonym.find({
+    $or: [{ term: { $in: words } }, { synonyms: { $in: words } }],
+  }).lean();
+
+  const isCovered = (a, b) =>
+    synonymEntries.some((entry) => {
+      const group = [entry.term, ...entry.synonyms];
+      return group.includes(a) && group.includes(b);
+    });
+
+  const suggestions = [];
+
+  for (const candidate of candidates.values()) {
+    if (isCovered(candidate.query, candidate.suggestedTerm)) continue;
+
+    const entry = synonymEntries.find((e) => e.term === candidate.suggestedTerm);
+
+    if (entry) {
+      if (entry.synonyms.length >= MAX_SYNONYMS_PER_TERM) continue;
+
+      suggestions.push({
+        ...candidate,
+        action: "update",
+        synonymId: entry._id,
+        payload: { synonyms: [...entry.synonyms, candidate.query] },
+      });
+    } else {
+      suggestions.push({
+        ...candidate,
+        action: "create",
+        synonymId: null,
+        payload: { term: candidate.suggestedTerm, synonyms: [candidate.query] },
+      });
+    }
+  }
+
+  return suggestions
+    .sort((a, b) => b.occurrences - a.occurrences || b.followUpClicks - a.followUpClicks)
+    .slice(0, parseInt(limit));
+};
+
+/**
+ * Headline search activity numbers for the analytics summary
+ * @param {object} options - { startDate, endDate }
+ * @returns {Promise<object>} - Activity summary
+ */
+export const getSearchActivitySummary = async ({ startDate, endDate }) => {
+  const range = resolveDateRange(startDate, endDate);
+  const [{ overall }, [uniqueQueries]] = await Promise.all([
+    getClickThroughStats(range),
+    SearchQueryLog.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: range.startDate, $lte: range.endDate },
+          normalizedQuery: { $ne: null },
+        },
+      },
+      { $group: { _id: "$normalizedQuery" } },
+      { $count: "total" },
+    ]),
+  ]);
+
+  return {
+    startDate: range.startDate,
+    endDate: range.endDate,
+    totalSearches: overall.searches,
+    uniqueQueries: uniqueQueries?.total || 0,
+    zeroResultRate: overall.zeroResultRate,
+    clickThroughRate: overall.clickThroughRate,
+  };
+};
+
+export default {
+  levenshteinDistance,
+  normalizeQuery,
+  logSearch,
+  recordClick,
+  resolveDateRange,
+  getTopQueries,
+  getZeroResultQueries,
+  getClickThroughStats,
+  getSynonymSuggestions,
+  getSearchActivitySummary,
+};
@@ -0,0 +1,317 @@
+import HsnCode from "../../models/hsn-code.model.js";
+import { sendResponse } from "@shared/utils";
+import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
+import { buildSortQuery } from "../../services/query.service.js";
+import { getGstRatesByCode } from "../../services/hsn.service.js";
+
+/**
+ * @route POST /api/hsn-codes/rates
+ * @description Look up GST rates for HSN codes (for Order and Pricing services)
+ * @access Public
+ *
+ * @requestBody
+ * { "codes": ["33049990", "30049011"] }
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "GST rates fetched successfully",
+ *   "data": {
+ *     "rates": [
+ *       { "code": "33049990", "description": "Beauty or make-up preparations", "gstRate": 18, "cessRate": 0, "uqc": "NOS" }
+ *     ],
+ *     "missingCodes": ["30049011"]
+ *   },
+ *   "error": null
+ * }
+ */
+export const lookupHsnRates = async (req, res) => {
+  console.log("> POST /api/hsn-codes/rates");
+  console.log("> Codes:", req.body.codes?.length);
+
+  try {
+    const ratesByCode = await getGstRatesByCode(req.body.codes);
+    const missingCodes = [...new Set(req.body.codes)].filter((code) => !ratesByCode.has(code));
+
+    console.log(`> Found ${ratesByCode.size} GST rates, ${missingCodes.length} codes missing`);
+    return sendResponse(
+      res,
+      200,
+      "GST rates fetched successfully",
+      { rates: [...ratesByCode.values()], missingCodes },
+      null
+    );
+  } catch (error) {
+    console.log("> Error fetching GST rates:", error.message);
+    return sendResponse(res, 500, "Failed to fetch GST rates", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/admin/hsn-codes
+ * @description List HSN codes with filters and pagination (admin)
+ * @access Admin
+ *
+ * @queryParams
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 100)
+ * - search: Search by code prefix or description
+ * - gstRate: Filter by GST rate
+ * - isActive: Filter by active status (true/false)
+ * - sortBy: Sort field (code, gstRate, createdAt)
+ * - order: Sort order (asc, desc)
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "HSN codes fetched successfully",
+ *   "data": {
+ *     "hsnCodes": [...],
+ *     "pagination": { "total": 50, "page": 1, "limit": 20, "totalPages": 3, "hasNextPage": true, "hasPrevPage": false }
+ *   },
+ *   "error": null
+ * }
+ */
+export const listHsnCodes = async (req, res) => {
+  console.log("> GET /api/admin/hsn-codes");
+  console.log("> Query:", req.query);
+
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const filter = { deletedAt: null };
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true";
+    }
+
+    if (req.query.gstRate !== undefined) {
+      filter.gstRate = Number(req.query.gstRate);
+    }
+
+    if (req.query.search) {
+      const search = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.$or = [
+        { code: { $regex: `^${search}` } },
+        { description: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const sortOptions = buildSortQuery(
+      req.query,
+      { code: "code", gstRate: "gstRate", createdAt: "createdAt" },
+      "code",
+      "asc"
+    );
+
+    const [hsnCodes, total] = await Promise.all([
+      HsnCode.find(filter).sort(sortOptions).skip(skip).limit(limit).lean(),
+      HsnCode.countDocuments(filter),
+    ]);
+
+    const pagination = buildPaginationMeta(total, page, limit);
+
+    console.log(`> Found ${hsnCodes.length} of ${total} HSN codes`);
+    return sendResponse(res, 200, "HSN codes fetched successfully", { hsnCodes, pagination }, null);
+  } catch (error) {
+    console.log("> Error fetching HSN codes:", error.message);
+    return sendResponse(res, 500, "Failed to fetch HSN codes", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/admin/hsn-codes
+ * @description Create an HSN code with its GST rate (admin)
+ * @access Admin
+ *
+ * @requestBody
+ * {
+ *   "code": "33049990",
+ *   "description": "Beauty or make-up preparations",
+ *   "gstRate": 18,
+ *   "cessRate": 0,
+ *   "uqc": "NOS",
+ *   "isActive": true
+ * }
+ *
+ * @responseBody Success (201)
+ * {
+ *   "message": "HSN code created successfully",
+ *   "data": { "hsnCode": { "_id": "...", "code": "33049990", "gstRate": 18, ... } },
+ *   "error": null
+ * }
+ *
+ * @responseBody Error (409)
+ * { "message": "HSN code already exists", "data": null, "error": "HSN code '33049990' already exists" }
+ */
+export const createHsnCode = async (req, res) => {
+  console.log("> POST /api/admin/hsn-codes");
+  console.log("> Body:", req.body);
+
+  try {
+    const { code, description, gstRate, cessRate, uqc, isActive } = req.body;
+
+    const existingHsnCode = await HsnCode.findOne({ code });
+
+    if (existingHsnCode && !existingHsnCode.deletedAt) {
+      console.log(`> HSN code already exists: ${code}`);
+      return sendResponse(res, 409, "HSN code already exists", null, `HSN code '${code}' already exists`);
+    }
+
+    // A deleted code is restored rather than duplicated, since codes are unique
+    const hsnCode = existingHsnCode || new HsnCode({ code });
+    hsnCode.description = description;
+    hsnCode.gstRate = gstRate;
+    hsnCode.cessRate = cessRate || 0;
+    hsnCode.uqc = uqc || "NOS";
+    hsnCode.isActive = isActive !== undefined ? isActive : true;
+    hsnCode.deletedAt = null;
+
+    await hsnCode.save();
+
+    console.log(`> HSN code created: ${hsnCode.code} (${hsnCode.gstRate}%)`);
+    return sendResponse(res, 201, "HSN code created successfully", { hsnCode }, null);
+  } catch (error) {
+    console.log("> Error creating HSN code:", error.message);
+    return sendResponse(res, 500, "Failed to create HSN code", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/admin/hsn-codes/:id
+ * @description Get HSN code by ID (admin)
+ * @access Admin
+ *
+ * @params
+ * - id: HSN code ObjectId
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "HSN code fetched successfully",
+ *   "data": { "hsnCode": { "_id": "...", "code": "33049990", ... } },
+ *   "error": null
+ * }
+ *
+ * @responseBody Error (404)
+ * { "message": "HSN code not found", "data": null, "error": "HSN code with ID '...' not found" }
+ */
+export const getHsnCodeById = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> GET /api/admin/hsn-codes/${id}`);
+
+  try {
+    const hsnCode = await HsnCode.findOne({ _id: id, deletedAt: null }).lean();
+
+    if (!hsnCode) {
+      console.log(`> HSN code not found: ${id}`);
+      return sendResponse(res, 404, "HSN code not found", null, `HSN code with ID '${id}' not found`);
+    }
+
+    console.log(`> HSN code found: ${hsnCode.code}`);
+    return sendResponse(res, 200, "HSN code fetched successfully", { hsnCode }, null);
+  } catch (error) {
+    console.log("> Error fetching HSN code:", error.message);
+    return sendResponse(res, 500, "Failed to fetch HSN code", null, error.message);
+  }
+};
+
+/**
+ * @route PUT /api/admin/hsn-codes/:id
+ * @description Update an HSN code's description or rates (admin)
+ * @access Admin
+ *
+ * @params
+ * - id: HSN code ObjectId
+ *
+ * @requestBody
+ * { "description": "...", "gstRate": 12, "cessRate": 0, "uqc": "NOS", "isActive": true }
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "HSN code updated successfully",
+ *   "data": { "hsnCode": { "_id": "...", "code": "33049990", "gstRate": 12, ... } },
+ *   "error": null
+ * }
+ *
+ * @responseBody Error (404)
+ * { "message": "HSN code not found", "data": null, "error": "HSN code with ID '...' not found" }
+ */
+export const updateHsnCode = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> PUT /api/admin/hsn-codes/${id}`);
+  console.log("> Body:", req.body);
+
+  try {
+    const hsnCode = await HsnCode.findOne({ _id: id, deletedAt: null });
+
+    if (!hsnCode) {
+      console.log(`> HSN code not found: ${id}`);
+      return sendResponse(res, 404, "HSN code not found", null, `HSN code with ID '${id}' not found`);
+    }
+
+    const { description, gstRate, cessRate, uqc, isActive } = req.body;
+
+    if (description !== undefined) hsnCode.description = description;
+    if (gstRate !== undefined) hsnCode.gstRate = gstRate;
+    if (cessRate !== undefined) hsnCode.cessRate = cessRate;
+    if (uqc !== undefined) hsnCode.uqc = uqc;
+    if (isActive !== undefined) hsnCode.isActive = isActive;
+
+    await hsnCode.save();
+
+    console.log(`> HSN code updated: ${hsnCode.code} (${hsnCode.gstRate}%)`);
+    return sendResponse(res, 200, "HSN code updated successfully", { hsnCode }, null);
+  } catch (error) {
+    console.log("> Error updating HSN code:", error.message);
+    return sendResponse(res, 500, "Failed to update HSN code", null, error.message);
+  }
+};
+
+/**
+ * @route DELETE /api/admin/hsn-codes/:id
+ * @description Soft delete HSN code (admin)
+ * @access Admin
+ *
+ * @params
+ * - id: HSN code ObjectId
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "HSN code deleted successfully",
+ *   "data": { "hsnCode": { "_id": "...", "code": "33049990", "deletedAt": "2024-01-01T00:00:00Z" } },
+ *   "error": null
+ * }
+ *
+ * @responseBody Error (404)
+ * { "message": "HSN code not found", "data": null, "error": "HSN code with ID '...' not found" }
+ */
+export const deleteHsnCode = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> DELETE /api/admin/hsn-codes/${id}`);
+
+  try {
+    const hsnCode = await HsnCode.findOne({ _id: id, deletedAt: null });
+
+    if (!hsnCode) {
+      console.log(`> HSN code not found: ${id}`);
+      return sendResponse(res, 404, "HSN code not found", null, `HSN code with ID '${id}' not found`);
+    }
+
+    hsnCode.deletedAt = new Date();
+    hsnCode.isActive = false;
+    await hsnCode.save();
+
+    console.log(`> HSN code deleted: ${hsnCode.code}`);
+    return sendResponse(res, 200, "HSN code deleted successfully", { hsnCode }, null);
+  } catch (error) {
+    console.log("> Error deleting HSN code:", error.message);
+    return sendResponse(res, 500, "Failed to delete HSN code", null, error.message);
+  }
+};
+
+export default {
+  lookupHsnRates,
+  listHsnCodes,
+  createHsnCode,
+  getHsnCodeById,
+  updateHsnCode,
+  deleteHsnCode,
+};
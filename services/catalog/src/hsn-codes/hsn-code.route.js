@@ -0,0 +1,134 @@
+import { Router } from "express";
+import {
+  lookupHsnRates,
+  listHsnCodes,
+  createHsnCode,
+  getHsnCodeById,
+  updateHsnCode,
+  deleteHsnCode,
+} from "./hsn-code.controller.js";
+import { validate } from "@shared/middlewares";
+import {
+  createHsnCodeSchema,
+  updateHsnCodeSchema,
+  hsnCodeIdParamSchema,
+  lookupHsnRatesSchema,
+  listHsnCodesQuerySchema,
+} from "./hsn-code.validation.js";
+
+const consumerRouter = Router();
+const adminRouter = Router();
+
+/**
+ * Consumer Routes
+ */
+
+/**
+ * @route POST /api/hsn-codes/rates
+ * @description Look up GST rates for HSN codes
+ * @access Public
+ *
+ * @requestBody
+ * { "codes": ["33049990", "30049011"] }
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "GST rates fetched successfully",
+ *   "data": {
+ *     "rates": [{ "code": "33049990", "description": "Beauty or make-up preparations", "gstRate": 18, "cessRate": 0, "uqc": "NOS" }],
+ *     "missingCodes": ["30049011"]
+ *   },
+ *   "error": null
+ * }
+ */
+consumerRouter.post("/rates", validate(lookupHsnRatesSchema), lookupHsnRates);
+
+/**
+ * Admin Routes
+ */
+
+/**
+ * @route GET /api/admin/hsn-codes
+ * @description List HSN codes with pagination and filters
+ * @access Admin
+ *
+ * @queryParams
+ * - page (number): Page number, default 1
+ * - limit (number): Items per page, default 20, max 100
+ * - search (string): Code prefix or description
+ * - gstRate (number): Filter by GST rate
+ * - isActive (string): Filter by status ("true" or "false")
+ * - sortBy (string): Sort field ("code", "gstRate" or "createdAt")
+ * - order (string): Sort order ("asc" or "desc")
+ *
+ * @example Request
+ * GET /api/admin/hsn-codes?search=3304&gstRate=18
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "HSN codes fetched successfully",
+ *   "data": {
+ *     "hsnCodes": [{ "_id": "...", "code": "33049990", "description": "...", "gstRate": 18, "cessRate": 0, "uqc": "NOS", "isActive": true }],
+ *     "pagination": { "total": 1, "page": 1, "limit": 20, "totalPages": 1, "hasNextPage": false, "hasPrevPage": false }
+ *   },
+ *   "error": null
+ * }
+ */
+adminRouter.get("/", validate(listHsnCodesQuerySchema), listHsnCodes);
+
+/**
+ * @route POST /api/admin/hsn-codes
+ * @description Create an HSN code with its GST rate
+ * @access Admin
+ *
+ * @requestBody
+ * { "code": "33049990", "description": "Beauty or make-up preparations", "gstRate": 18, "cessRate": 0, "uqc": "NOS" }
+ *
+ * @responseBody Success (201)
+ * { "message": "HSN code created successfully", "data": { "hsnCode": {...} }, "error": null }
+ *
+ * @responseBody Error (409)
+ * { "message": "HSN code already exists", "data": null, "error": "HSN code '33049990' already exists" }
+ */
+adminRouter.post("/", validate(createHsnCodeSchema), createHsnCode);
+
+/**
+ * @route GET /api/admin/hsn-codes/:id
+ * @description Get HSN code by ID
+ * @access Admin
+ *
+ * @responseBody Success (200)
+ * { "message": "HSN code fetched successfully", "data": { "hsnCode": {...} }, "error": null }
+ *
+ * @responseBody Error (404)
+ * { "message": "HSN code not found", "data": null, "error": "HSN code with ID '...' not found" }
+ */
+adminRouter.get("/:id", validate(hsnCodeIdParamSchema), getHsnCodeById);
+
+/**
+ * @route PUT /api/admin/hsn-codes/:id
+ * @description Update an HSN code's description or rates
+ * @access Admin
+ *
+ * @requestBody
+ * { "gstRate": 12 }
+ *
+ * @responseBody Success (200)
+ * { "message": "HSN code updated successfully", "data": { "hsnCode": {...} }, "error": null }
+ */
+adminRouter.put("/:id", validate(updateHsnCodeSchema), updateHsnCode);
+
+/**
+ * @route DELETE /api/admin/hsn-codes/:id
+ * @description Soft delete HSN code
+ * @access Admin
+ *
+ * @responseBody Success (200)
+ * { "message": "HSN code deleted successfully", "data": { "hsnCode": {...} }, "error": null }
+ */
+adminRouter.delete("/:id", validate(hsnCodeIdParamSchema), deleteHsnCode);
+
+export default {
+  consumer: consumerRouter,
+  admin: adminRouter,
+};
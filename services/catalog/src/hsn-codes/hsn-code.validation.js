@@ -0,0 +1,109 @@
+import Joi from "joi";
+
+/**
+ * Validates MongoDB ObjectId format
+ */
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+/**
+ * HSN codes are 4, 6 or 8 digits
+ */
+const hsnCode = Joi.string().trim().pattern(/^(\d{4}|\d{6}|\d{8})$/).messages({
+  "string.pattern.base": "HSN code must be 4, 6 or 8 digits",
+});
+
+/**
+ * Validation schema for creating an HSN code
+ * POST /api/admin/hsn-codes
+ */
+export const createHsnCodeSchema = {
+  body: Joi.object({
+    code: hsnCode.required().messages({
+      "string.empty": "HSN code is required",
+      "any.required": "HSN code is required",
+    }),
+    description: Joi.string().trim().min(1).max(500).required().messages({
+      "string.empty": "Description is required",
+      "any.required": "Description is required",
+    }),
+    gstRate: Joi.number().min(0).max(100).precision(2).required().messages({
+      "number.base": "GST rate must be a number",
+      "any.required": "GST rate is required",
+    }),
+    cessRate: Joi.number().min(0).max(100).precision(2).default(0),
+    uqc: Joi.string().trim().uppercase().max(10).default("NOS"),
+    isActive: Joi.boolean().default(true),
+  }),
+};
+
+/**
+ * Validation schema for updating an HSN code
+ * PUT /api/admin/hsn-codes/:id
+ */
+export const updateHsnCodeSchema = {
+  params: Joi.object({
+    id: objectId.required().messages({
+      "string.pattern.base": "Invalid HSN code ID format",
+      "any.required": "HSN code ID is required",
+    }),
+  }),
+  body: Joi.object({
+    description: Joi.string().trim().min(1).max(500),
+    gstRate: Joi.number().min(0).max(100).precision(2),
+    cessRate: Joi.number().min(0).max(100).precision(2),
+    uqc: Joi.string().trim().uppercase().max(10),
+    isActive: Joi.boolean(),
+  }).min(1).messages({
+    "object.min": "At least one field is required to update",
+  }),
+};
+
+/**
+ * Validation schema for HSN code ID param
+ * GET/DELETE /api/admin/hsn-codes/:id
+ */
+export const hsnCodeIdParamSchema = {
+  params: Joi.object({
+    id: objectId.required().messages({
+      "string.pattern.base": "Invalid HSN code ID format",
+      "any.required": "HSN code ID is required",
+    }),
+  }),
+};
+
+/**
+ * Validation schema for looking up GST rates
+ * POST /api/hsn-codes/rates
+ */
+export const lookupHsnRatesSchema = {
+  body: Joi.object({
+    codes: Joi.array().items(Joi.string().trim()).min(1).max(200).required().messages({
+      "array.min": "At least one HSN code is required",
+      "any.required": "codes array is required",
+    }),
+  }),
+};
+
+/**
+ * Validation schema for listing HSN codes (admin)
+ * GET /api/admin/hsn-codes
+ */
+export const listHsnCodesQuerySchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    search: Joi.string().trim().allow(""),
+    gstRate: Joi.number().min(0).max(100),
+    isActive: Joi.string().valid("true", "false"),
+    sortBy: Joi.string().valid("code", "gstRate", "createdAt").default("code"),
+    order: Joi.string().valid("asc", "desc").default("asc"),
+  }),
+};
+
+export default {
+  createHsnCodeSchema,
+  updateHsnCodeSchema,
+  hsnCodeIdParamSchema,
+  lookupHsnRatesSchema,
+  listHsnCodesQuerySchema,
+};
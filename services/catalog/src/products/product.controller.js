@@ -8,11 +8,13 @@ import Category from "../../models/category.model.js";
 import Brand from "../../models/brand.model.js";
 import Bundle from "../../models/bundle.model.js";
 import BundleItem from "../../models/bundle-item.model.js";
+import CollectionProduct from "../../models/collection-product.model.js";
 import { sendResponse } from "@shared/utils";
 import { generateSlug, generateUniqueSlug } from "../../services/slug.service.js";
 import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
 import { buildSortQuery } from "../../services/query.service.js";
 import * as inventoryService from "../../services/inventory-integration.service.js";
+import { getGstRatesByCode } from "../../services/hsn.service.js";
 
 /**
  * Get product IDs by category slug (includes subcategories)
@@ -1401,9 +1403,62 @@ export const bulkImportProducts = async (req, res) => {
   }
 };
 
+/**
+ * Get category (including ancestors) and collection IDs for products
+ * @param {Array} productIds - Product ObjectIds
+ * @returns {Promise<Map>} Map of productId -> { categoryIds, collectionIds }
+ */
+const getProductClassification = async (productIds) => {
+  const [productCategories, collectionProducts] = await Promise.all([
+    ProductCategory.find({ product: { $in: productIds } })
+      .populate("category", "path")
+      .lean(),
+    CollectionProduct.find({ product: { $in: productIds } })
+      .select("product collection")
+      .lean(),
+  ]);
+
+  // Ancestor paths, e.g. "skincare/face/serums" -> "skincare", "skincare/face"
+  const ancestorPaths = new Set();
+  for (const pc of productCategories) {
+    const segments = pc.category?.path ? pc.category.path.split("/") : [];
+    for (let i = 1; i < segments.length; i++) {
+      ancestorPaths.add(segments.slice(0, i).join("/"));
+    }
+  }
+
+  const ancestors = ancestorPaths.size
+    ? await Category.find({ path: { $in: [...ancestorPaths] }, deletedAt: null }).select("_id path").lean()
+    : [];
+  const ancestorIdByPath = new Map(ancestors.map((c) => [c.path, c._id.toString()]));
+
+  const classification = new Map(
+    productIds.map((id) => [id.toString(), { categoryIds: new Set(), collectionIds: new Set() }])
+  );
+
+  for (const pc of productCategories) {
+    const entry = classification.get(pc.product.toString());
+    if (!entry || !pc.category) continue;
+
+    entry.categoryIds.add(pc.category._id.toString());
+    const segments = pc.category.path ? pc.category.path.split("/") : [];
+    for (let i = 1; i < segments.length; i++) {
+      const ancestorId = ancestorIdByPath.get(segments.slice(0, i).join("/"));
+      if (ancestorId) entry.categoryIds.add(ancestorId);
+    }
+  }
+
+  for (const cp of collectionProducts) {
+    const entry = classification.get(cp.product.toString());
+    if (entry) entry.collectionIds.add(cp.collection.toString());
+  }
+
+  return classification;
+};
+
 /**
  * @route POST /api/products/metadata
- * @description Get metadata for multiple products (for Order service)
+ * @description Get metadata for multiple products (for Order and Pricing services)
  * @access Public
  *
  * @requestBody
@@ -1414,10 +1469,19 @@ export const bulkImportProducts = async (req, res) => {
  *   "message": "Products metadata retrieved successfully",
  *   "data": {
  *     "products": [
- *       { "_id": "...", "name": "...", "slug": "...", "sku": "...", "productType": "simple" }
+ *       {
+ *         "_id": "...", "name": "...", "slug": "...", "sku": "...", "productType": "simple",
+ *         "tags": ["ayurvedic"], "categoryIds": ["..."], "collectionIds": ["..."],
+ *         "hsnCode": "33049990", "gstRate": 18, "cessRate": 0
+ *       }
  *     ]
  *   }
  * }
+ *
+ * categoryIds include every ancestor of the product's categories, so a promotion
+ * targeting a parent category matches products filed under its subcategories.
+ * gstRate comes from the HSN code master and is null when the product's HSN code
+ * is missing or not in the master.
  */
 export const getProductsMetadata = async (req, res) => {
   const { productIds } = req.body;
@@ -1433,11 +1497,33 @@ export const getProductsMetadata = async (req, res) => {
       _id: { $in: productIds },
       deletedAt: null,
     })
-      .select("_id name slug sku productType status")
+      .select("_id name slug sku productType status tags hsnCode")
       .lean();
 
+    const [classification, ratesByCode] = await Promise.all([
+      getProductClassification(products.map((p) => p._id)),
+      getGstRatesByCode(products.map((p) => p.hsnCode)),
+    ]);
+    const productsWithClassification = products.map((product) => {
+      const entry = classification.get(product._id.toString());
+      const hsn = ratesByCode.get(product.hsnCode?.trim());
+      return {
+        ...product,
+        categoryIds: [...entry.categoryIds],
+        collectionIds: [...entry.collectionIds],
+        gstRate: hsn ? hsn.gstRate : null,
+        cessRate: hsn ? hsn.cessRate : null,
+      };
+    });
+
     console.log(`> Found ${products.length} products`);
-    return sendResponse(res, 200, "Products metadata retrieved successfully", { products }, null);
+    return sendResponse(
+      res,
+      200,
+      "Products metadata retrieved successfully",
+      { products: productsWithClassification },
+      null
+    );
   } catch (error) {
     console.log("> Error fetching products metadata:", error.message);
     return sendResponse(res, 500, "Failed to fetch products metadata", null, error.message);
@@ -96,7 +96,7 @@ consumerRouter.get("/", validate(listProductsQuerySchema), listProducts);
 
 /**
  * @route POST /api/products/metadata
- * @description Get metadata for multiple products (for Order service integration)
+ * @description Get metadata for multiple products (for Order and Pricing service integration)
  * @access Public
  */
 consumerRouter.post("/metadata", getProductsMetadata);
@@ -6,43 +6,25 @@ import Category from "../../models/category.model.js";
 import Brand from "../../models/brand.model.js";
 import SearchSynonym from "../../models/search-synonym.model.js";
 import { sendResponse } from "@shared/utils";
+import {
+  levenshteinDistance,
+  logSearch,
+  recordClick,
+  getTopQueries,
+  getZeroResultQueries,
+  getClickThroughStats,
+  getSynonymSuggestions,
+  getSearchActivitySummary,
+} from "../../services/search-analytics.service.js";
+import { SEARCH_SOURCE } from "../../utils/constants.js";
 
 /**
- * Calculates Levenshtein distance between two strings for typo tolerance
- * @param {string} a - First string
- * @param {string} b - Second string
- * @returns {number} - Edit distance
+ * Identifies the shopper for search analytics (user ID, else guest ID)
+ * @param {object} req - Express request
+ * @returns {string|null} - Session key
  */
-const levenshteinDistance = (a, b) => {
-  if (a.length === 0) return b.length;
-  if (b.length === 0) return a.length;
-
-  const matrix = [];
-
-  for (let i = 0; i <= b.length; i++) {
-    matrix[i] = [i];
-  }
-
-  for (let j = 0; j <= a.length; j++) {
-    matrix[0][j] = j;
-  }
-
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      if (b.charAt(i - 1) === a.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j] + 1
-        );
-      }
-    }
-  }
-
-  return matrix[b.length][a.length];
-};
+const getSessionKey = (req) =>
+  req.userId?.toString() || req.headers["x-guest-id"] || null;
 
 /**
  * Expands search query with synonyms
@@ -216,6 +198,7 @@ const getProductIdsByPriceRange = async (minPrice, maxPrice) => {
  * {
  *   "message": "Search results fetched successfully",
  *   "data": {
+ *     "searchId": "...",
  *     "query": "aloe",
  *     "products": [
  *       {
@@ -445,6 +428,17 @@ export const searchProducts = async (req, res) => {
 
     const totalPages = Math.ceil(total / parseInt(limit));
 
+    const searchId = logSearch({
+      query: q,
+      source: SEARCH_SOURCE.SEARCH,
+      filters: { category, brand, minPrice, maxPrice, skinType, rating },
+      sort,
+      page,
+      resultCount: total,
+      userId: req.userId,
+      sessionKey: getSessionKey(req),
+    });
+
     console.log("searchProducts response:", {
       query: q,
       total,
@@ -456,6 +450,7 @@ export const searchProducts = async (req, res) => {
       200,
       "Search results fetched successfully",
       {
+        searchId,
         query: q,
         products: enrichedProducts,
         facets: {
@@ -496,6 +491,7 @@ export const searchProducts = async (req, res) => {
  * {
  *   "message": "Suggestions fetched successfully",
  *   "data": {
+ *     "searchId": "...",
  *     "suggestions": [
  *       { "type": "product", "text": "Aloe Face Wash", "slug": "aloe-face-wash" },
  *       { "type": "product", "text": "Aloe Vera Gel", "slug": "aloe-vera-gel" },
@@ -589,13 +585,21 @@ export const getSearchSuggestions = async (req, res) => {
     // Limit total suggestions
     const limitedSuggestions = suggestions.slice(0, parseInt(limit));
 
+    const searchId = logSearch({
+      query: q,
+      source: SEARCH_SOURCE.SUGGESTIONS,
+      resultCount: suggestions.length,
+      userId: req.userId,
+      sessionKey: getSessionKey(req),
+    });
+
     console.log("getSearchSuggestions response:", { count: limitedSuggestions.length });
 
     return sendResponse(
       res,
       200,
       "Suggestions fetched successfully",
-      { suggestions: limitedSuggestions },
+      { searchId, suggestions: limitedSuggestions },
       null
     );
   } catch (error) {
@@ -629,6 +633,7 @@ export const getSearchSuggestions = async (req, res) => {
  * {
  *   "message": "Category search results fetched successfully",
  *   "data": {
+ *     "searchId": "...",
  *     "category": { "_id": "...", "name": "Face Care", "slug": "face-care" },
  *     "products": [...],
  *     "pagination": { "page": 1, "limit": 20, "total": 30, "totalPages": 2 }
@@ -795,6 +800,18 @@ export const searchInCategory = async (req, res) => {
 
     const totalPages = Math.ceil(total / parseInt(limit));
 
+    const searchId = logSearch({
+      query: q,
+      source: SEARCH_SOURCE.CATEGORY,
+      category: category._id,
+      filters: { brand, minPrice, maxPrice, skinType },
+      sort,
+      page,
+      resultCount: total,
+      userId: req.userId,
+      sessionKey: getSessionKey(req),
+    });
+
     console.log("searchInCategory response:", {
       categorySlug,
       total,
@@ -806,6 +823,7 @@ export const searchInCategory = async (req, res) => {
       200,
       "Category search results fetched successfully",
       {
+        searchId,
         category: {
           _id: category._id,
           name: category.name,
@@ -830,6 +848,59 @@ export const searchInCategory = async (req, res) => {
   }
 };
 
+/**
+ * @route POST /api/search/click
+ * @description Record a product click from search results
+ * @access Public
+ *
+ * @requestBody
+ * {
+ *   "searchId": "...",
+ *   "productId": "...",
+ *   "position": 3
+ * }
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Search click recorded successfully",
+ *   "data": { "recorded": true },
+ *   "error": null
+ * }
+ *
+ * @responseBody Error (404)
+ * { "message": "Search not found", "data": null, "error": "Search with ID '...' not found" }
+ */
+export const recordSearchClick = async (req, res) => {
+  try {
+    const { searchId, productId, position } = req.body;
+    console.log("recordSearchClick request:", { searchId, productId, position });
+
+    const recorded = await recordClick(searchId, productId, position);
+
+    if (!recorded) {
+      console.log("recordSearchClick error: Search not found");
+      return sendResponse(
+        res,
+        404,
+        "Search not found",
+        null,
+        `Search with ID '${searchId}' not found`
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      "Search click recorded successfully",
+      { recorded: true },
+      null
+    );
+  } catch (error) {
+    console.log("recordSearchClick error:", error.message);
+    return sendResponse(res, 500, "Failed to record search click", null, error.message);
+  }
+};
+
 /**
  * Admin Controllers
  */
@@ -1133,7 +1204,7 @@ export const deleteSynonym = async (req, res) => {
 
 /**
  * @route GET /api/admin/search/analytics
- * @description Get basic search analytics
+ * @description Get catalog counts and search activity summary
  * @access Admin
  *
  * @query
@@ -1148,6 +1219,14 @@ export const deleteSynonym = async (req, res) => {
  * {
  *   "message": "Search analytics fetched successfully",
  *   "data": {
+ *     "searchActivity": {
+ *       "startDate": "...",
+ *       "endDate": "...",
+ *       "totalSearches": 1200,
+ *       "uniqueQueries": 340,
+ *       "zeroResultRate": 8.5,
+ *       "clickThroughRate": 42.1
+ *     },
  *     "summary": {
  *       "totalProducts": 500,
  *       "activeProducts": 450,
@@ -1168,8 +1247,8 @@ export const deleteSynonym = async (req, res) => {
  */
 export const getSearchAnalytics = async (req, res) => {
   try {
-    const { limit = 20 } = req.query;
-    console.log("getSearchAnalytics request:", { limit });
+    const { startDate, endDate, limit = 20 } = req.query;
+    console.log("getSearchAnalytics request:", { startDate, endDate, limit });
 
     // Get summary stats
     const [
@@ -1247,9 +1326,12 @@ export const getSearchAnalytics = async (req, res) => {
       { $limit: parseInt(limit) },
     ]);
 
+    const searchActivity = await getSearchActivitySummary({ startDate, endDate });
+
     console.log("getSearchAnalytics response:", {
       totalProducts,
       activeProducts,
+      totalSearches: searchActivity.totalSearches,
     });
 
     return sendResponse(
@@ -1257,6 +1339,7 @@ export const getSearchAnalytics = async (req, res) => {
       200,
       "Search analytics fetched successfully",
       {
+        searchActivity,
         summary: {
           totalProducts,
           activeProducts,
@@ -1276,13 +1359,230 @@ export const getSearchAnalytics = async (req, res) => {
   }
 };
 
+/**
+ * @route GET /api/admin/search/analytics/top-queries
+ * @description Most frequent search queries with result and click stats
+ * @access Admin
+ *
+ * @query
+ * - startDate: ISO date (default: 30 days ago)
+ * - endDate: ISO date (default: now)
+ * - source: string (search, suggestions, category)
+ * - limit: number (default: 20, max: 100)
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Top search queries fetched successfully",
+ *   "data": {
+ *     "queries": [
+ *       {
+ *         "query": "aloe vera gel",
+ *         "searches": 120,
+ *         "zeroResultSearches": 0,
+ *         "clickedSearches": 65,
+ *         "clickThroughRate": 54.17,
+ *         "averageResults": 8.2,
+ *         "lastSearchedAt": "..."
+ *       }
+ *     ]
+ *   },
+ *   "error": null
+ * }
+ */
+export const getTopSearchQueries = async (req, res) => {
+  try {
+    const { startDate, endDate, source, limit = 20 } = req.query;
+    console.log("getTopSearchQueries request:", { startDate, endDate, source, limit });
+
+    const queries = await getTopQueries({ startDate, endDate, source, limit });
+
+    console.log("getTopSearchQueries response:", { count: queries.length });
+
+    return sendResponse(
+      res,
+      200,
+      "Top search queries fetched successfully",
+      { queries },
+      null
+    );
+  } catch (error) {
+    console.log("getTopSearchQueries error:", error.message);
+    return sendResponse(res, 500, "Failed to fetch top search queries", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/admin/search/analytics/zero-results
+ * @description Search queries that returned no results
+ * @access Admin
+ *
+ * @query
+ * - startDate: ISO date (default: 30 days ago)
+ * - endDate: ISO date (default: now)
+ * - source: string (search, suggestions, category)
+ * - limit: number (default: 20, max: 100)
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Zero-result queries fetched successfully",
+ *   "data": {
+ *     "queries": [
+ *       {
+ *         "query": "moisturiser",
+ *         "searches": 42,
+ *         "uniqueSearchers": 30,
+ *         "sources": ["search"],
+ *         "firstSearchedAt": "...",
+ *         "lastSearchedAt": "..."
+ *       }
+ *     ]
+ *   },
+ *   "error": null
+ * }
+ */
+export const getZeroResultSearches = async (req, res) => {
+  try {
+    const { startDate, endDate, source, limit = 20 } = req.query;
+    console.log("getZeroResultSearches request:", { startDate, endDate, source, limit });
+
+    const queries = await getZeroResultQueries({ startDate, endDate, source, limit });
+
+    console.log("getZeroResultSearches response:", { count: queries.length });
+
+    return sendResponse(
+      res,
+      200,
+      "Zero-result queries fetched successfully",
+      { queries },
+      null
+    );
+  } catch (error) {
+    console.log("getZeroResultSearches error:", error.message);
+    return sendResponse(res, 500, "Failed to fetch zero-result queries", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/admin/search/analytics/click-through
+ * @description Search click-through and zero-result rates, overall, per source and per day
+ * @access Admin
+ *
+ * @query
+ * - startDate: ISO date (default: 30 days ago)
+ * - endDate: ISO date (default: now)
+ * - source: string (search, suggestions, category)
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Search click-through stats fetched successfully",
+ *   "data": {
+ *     "overall": {
+ *       "searches": 1200,
+ *       "clickedSearches": 505,
+ *       "zeroResultSearches": 102,
+ *       "totalClicks": 640,
+ *       "clickThroughRate": 42.08,
+ *       "zeroResultRate": 8.5,
+ *       "averageClickPosition": 2.7
+ *     },
+ *     "bySource": [{ "source": "search", ... }],
+ *     "daily": [{ "date": "2024-01-01", ... }]
+ *   },
+ *   "error": null
+ * }
+ */
+export const getClickThroughRate = async (req, res) => {
+  try {
+    const { startDate, endDate, source } = req.query;
+    console.log("getClickThroughRate request:", { startDate, endDate, source });
+
+    const stats = await getClickThroughStats({ startDate, endDate, source });
+
+    console.log("getClickThroughRate response:", {
+      searches: stats.overall.searches,
+      clickThroughRate: stats.overall.clickThroughRate,
+    });
+
+    return sendResponse(
+      res,
+      200,
+      "Search click-through stats fetched successfully",
+      stats,
+      null
+    );
+  } catch (error) {
+    console.log("getClickThroughRate error:", error.message);
+    return sendResponse(res, 500, "Failed to fetch click-through stats", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/admin/search/analytics/synonym-suggestions
+ * @description Suggest synonym entries from zero-result searches
+ * @access Admin
+ *
+ * Each suggestion's payload can be sent as-is to POST /api/admin/search/synonyms
+ * (action "create") or PUT /api/admin/search/synonyms/:synonymId (action "update").
+ *
+ * @query
+ * - startDate: ISO date (default: 30 days ago)
+ * - endDate: ISO date (default: now)
+ * - limit: number (default: 20, max: 100)
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Synonym suggestions fetched successfully",
+ *   "data": {
+ *     "suggestions": [
+ *       {
+ *         "query": "moisturiser",
+ *         "suggestedTerm": "moisturizer",
+ *         "reasons": ["reformulation", "similar_spelling"],
+ *         "occurrences": 18,
+ *         "followUpClicks": 11,
+ *         "action": "create",
+ *         "synonymId": null,
+ *         "payload": { "term": "moisturizer", "synonyms": ["moisturiser"] }
+ *       }
+ *     ]
+ *   },
+ *   "error": null
+ * }
+ */
+export const getSuggestedSynonyms = async (req, res) => {
+  try {
+    const { startDate, endDate, limit = 20 } = req.query;
+    console.log("getSuggestedSynonyms request:", { startDate, endDate, limit });
+
+    const suggestions = await getSynonymSuggestions({ startDate, endDate, limit });
+
+    console.log("getSuggestedSynonyms response:", { count: suggestions.length });
+
+    return sendResponse(
+      res,
+      200,
+      "Synonym suggestions fetched successfully",
+      { suggestions },
+      null
+    );
+  } catch (error) {
+    console.log("getSuggestedSynonyms error:", error.message);
+    return sendResponse(res, 500, "Failed to fetch synonym suggestions", null, error.message);
+  }
+};
+
 export default {
   searchProducts,
   getSearchSuggestions,
   searchInCategory,
+  recordSearchClick,
   listSynonyms,
   createSynonym,
   updateSynonym,
   deleteSynonym,
   getSearchAnalytics,
+  getTopSearchQueries,
+  getZeroResultSearches,
+  getClickThroughRate,
+  getSuggestedSynonyms,
 };
@@ -3,22 +3,31 @@ import {
   searchProducts,
   getSearchSuggestions,
   searchInCategory,
+  recordSearchClick,
   listSynonyms,
   createSynonym,
   updateSynonym,
   deleteSynonym,
   getSearchAnalytics,
+  getTopSearchQueries,
+  getZeroResultSearches,
+  getClickThroughRate,
+  getSuggestedSynonyms,
 } from "./search.controller.js";
 import { validate } from "@shared/middlewares";
+import { optionalAuth } from "@shared/auth-middleware";
 import {
   searchQuerySchema,
   suggestionsQuerySchema,
   searchInCategorySchema,
+  searchClickSchema,
   listSynonymsQuerySchema,
   createSynonymSchema,
   updateSynonymSchema,
   synonymIdParamSchema,
   analyticsQuerySchema,
+  searchReportQuerySchema,
+  clickThroughQuerySchema,
 } from "./search.validation.js";
 
 const consumerRouter = Router();
@@ -52,6 +61,7 @@ const adminRouter = Router();
  * {
  *   "message": "Search results fetched successfully",
  *   "data": {
+ *     "searchId": "...",
  *     "query": "aloe",
  *     "products": [
  *       {
@@ -73,7 +83,7 @@ const adminRouter = Router();
  *   "error": null
  * }
  */
-consumerRouter.get("/", validate(searchQuerySchema), searchProducts);
+consumerRouter.get("/", optionalAuth, validate(searchQuerySchema), searchProducts);
 
 /**
  * @route GET /api/search/suggestions
@@ -91,6 +101,7 @@ consumerRouter.get("/", validate(searchQuerySchema), searchProducts);
  * {
  *   "message": "Suggestions fetched successfully",
  *   "data": {
+ *     "searchId": "...",
  *     "suggestions": [
  *       { "type": "product", "text": "Aloe Face Wash", "slug": "aloe-face-wash" },
  *       { "type": "product", "text": "Aloe Vera Gel", "slug": "aloe-vera-gel" },
@@ -103,6 +114,7 @@ consumerRouter.get("/", validate(searchQuerySchema), searchProducts);
  */
 consumerRouter.get(
   "/suggestions",
+  optionalAuth,
   validate(suggestionsQuerySchema),
   getSearchSuggestions
 );
@@ -132,6 +144,7 @@ consumerRouter.get(
  * {
  *   "message": "Category search results fetched successfully",
  *   "data": {
+ *     "searchId": "...",
  *     "category": { "_id": "...", "name": "Face Care", "slug": "face-care" },
  *     "products": [...],
  *     "pagination": { "page": 1, "limit": 20, "total": 30, "totalPages": 2 }
@@ -144,10 +157,35 @@ consumerRouter.get(
  */
 consumerRouter.get(
   "/category/:categorySlug",
+  optionalAuth,
   validate(searchInCategorySchema),
   searchInCategory
 );
 
+/**
+ * @route POST /api/search/click
+ * @description Record a product click from search results
+ * @access Public
+ *
+ * @requestBody
+ * {
+ *   "searchId": "...",   // searchId returned by /search, /search/suggestions or /search/category/:slug
+ *   "productId": "...",
+ *   "position": 3        // 1-based position in the results (optional)
+ * }
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Search click recorded successfully",
+ *   "data": { "recorded": true },
+ *   "error": null
+ * }
+ *
+ * @responseBody Error (404)
+ * { "message": "Search not found", "data": null, "error": "Search with ID '...' not found" }
+ */
+consumerRouter.post("/click", validate(searchClickSchema), recordSearchClick);
+
 /**
  * Admin Routes
  */
@@ -274,7 +312,7 @@ adminRouter.delete(
 
 /**
  * @route GET /api/admin/search/analytics
- * @description Get basic search analytics
+ * @description Get catalog counts and search activity summary
  * @access Admin
  *
  * @query
@@ -289,6 +327,12 @@ adminRouter.delete(
  * {
  *   "message": "Search analytics fetched successfully",
  *   "data": {
+ *     "searchActivity": {
+ *       "totalSearches": 1200,
+ *       "uniqueQueries": 340,
+ *       "zeroResultRate": 8.5,
+ *       "clickThroughRate": 42.1
+ *     },
  *     "summary": {
  *       "totalProducts": 500,
  *       "activeProducts": 450,
@@ -309,6 +353,89 @@ adminRouter.delete(
  */
 adminRouter.get("/analytics", validate(analyticsQuerySchema), getSearchAnalytics);
 
+/**
+ * @route GET /api/admin/search/analytics/top-queries
+ * @description Most frequent search queries with result and click stats
+ * @access Admin
+ *
+ * @query
+ * - startDate: ISO date (default: 30 days ago)
+ * - endDate: ISO date (default: now)
+ * - source: string (search, suggestions, category)
+ * - limit: number (default: 20, max: 100)
+ *
+ * @example Request
+ * GET /api/admin/search/analytics/top-queries?source=search&limit=10
+ */
+adminRouter.get(
+  "/analytics/top-queries",
+  validate(searchReportQuerySchema),
+  getTopSearchQueries
+);
+
+/**
+ * @route GET /api/admin/search/analytics/zero-results
+ * @description Search queries that returned no results
+ * @access Admin
+ *
+ * @query
+ * - startDate: ISO date (default: 30 days ago)
+ * - endDate: ISO date (default: now)
+ * - source: string (search, suggestions, category)
+ * - limit: number (default: 20, max: 100)
+ *
+ * @example Request
+ * GET /api/admin/search/analytics/zero-results?startDate=2024-01-01
+ */
+adminRouter.get(
+  "/analytics/zero-results",
+  validate(searchReportQuerySchema),
+  getZeroResultSearches
+);
+
+/**
+ * @route GET /api/admin/search/analytics/click-through
+ * @description Click-through and zero-result rates, overall, per source and per day
+ * @access Admin
+ *
+ * @query
+ * - startDate: ISO date (default: 30 days ago)
+ * - endDate: ISO date (default: now)
+ * - source: string (search, suggestions, category)
+ *
+ * @example Request
+ * GET /api/admin/search/analytics/click-through?source=search
+ */
+adminRouter.get(
+  "/analytics/click-through",
+  validate(clickThroughQuerySchema),
+  getClickThroughRate
+);
+
+/**
+ * @route GET /api/admin/search/analytics/synonym-suggestions
+ * @description Suggest synonym entries from zero-result searches
+ * @access Admin
+ *
+ * Suggestions come from shoppers retrying a zero-result search with a query that
+ * worked, and from zero-result queries that are close spellings of working ones.
+ * Send "payload" to POST /api/admin/search/synonyms when action is "create", or to
+ * PUT /api/admin/search/synonyms/:synonymId when action is "update".
+ *
+ * @query
+ * - startDate: ISO date (default: 30 days ago)
+ * - endDate: ISO date (default: now)
+ * - limit: number (default: 20, max: 100)
+ *
+ * @example Request
+ * GET /api/admin/search/analytics/synonym-suggestions?limit=10
+ */
+adminRouter.get(
+  "/analytics/synonym-suggestions",
+  validate(analyticsQuerySchema),
+  getSuggestedSynonyms
+);
+
 export default {
   consumer: consumerRouter,
   admin: adminRouter,
@@ -10,6 +10,11 @@ const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
  */
 const sortOptions = ["relevance", "price_asc", "price_desc", "rating", "newest"];
 
+/**
+ * Valid search log sources for analytics filters
+ */
+const sourceOptions = ["search", "suggestions", "category"];
+
 /**
  * Validation schema for search query
  * GET /api/search
@@ -126,6 +131,27 @@ export const searchInCategorySchema = {
   }),
 };
 
+/**
+ * Validation schema for recording a search result click
+ * POST /api/search/click
+ */
+export const searchClickSchema = {
+  body: Joi.object({
+    searchId: objectId.required().messages({
+      "string.pattern.base": "Invalid search ID format",
+      "any.required": "Search ID is required",
+    }),
+    productId: objectId.required().messages({
+      "string.pattern.base": "Invalid product ID format",
+      "any.required": "Product ID is required",
+    }),
+    position: Joi.number().integer().min(1).messages({
+      "number.base": "Position must be a number",
+      "number.min": "Position must be at least 1",
+    }),
+  }),
+};
+
 /**
  * Validation schema for creating a synonym
  * POST /api/admin/search/synonyms
@@ -227,13 +253,58 @@ export const analyticsQuerySchema = {
   }),
 };
 
+/**
+ * Validation schema for search query reports
+ * GET /api/admin/search/analytics/top-queries
+ * GET /api/admin/search/analytics/zero-results
+ */
+export const searchReportQuerySchema = {
+  query: Joi.object({
+    startDate: Joi.date().iso().messages({
+      "date.format": "Start date must be a valid ISO date",
+    }),
+    endDate: Joi.date().iso().messages({
+      "date.format": "End date must be a valid ISO date",
+    }),
+    source: Joi.string()
+      .valid(...sourceOptions)
+      .messages({
+        "any.only": `Source must be one of: ${sourceOptions.join(", ")}`,
+      }),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+};
+
+/**
+ * Validation schema for click-through stats
+ * GET /api/admin/search/analytics/click-through
+ */
+export const clickThroughQuerySchema = {
+  query: Joi.object({
+    startDate: Joi.date().iso().messages({
+      "date.format": "Start date must be a valid ISO date",
+    }),
+    endDate: Joi.date().iso().messages({
+      "date.format": "End date must be a valid ISO date",
+    }),
+    source: Joi.string()
+      .valid(...sourceOptions)
+      .messages({
+        "any.only": `Source must be one of: ${sourceOptions.join(", ")}`,
+      }),
+  }),
+};
+
 export default {
   searchQuerySchema,
   suggestionsQuerySchema,
   searchInCategorySchema,
+  searchClickSchema,
   createSynonymSchema,
   updateSynonymSchema,
   synonymIdParamSchema,
   listSynonymsQuerySchema,
   analyticsQuerySchema,
+  searchReportQuerySchema,
+  clickThroughQuerySchema,
 };
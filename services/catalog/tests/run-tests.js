@@ -21,6 +21,7 @@ const createdIds = {
   collections: [],
   bundles: [],
   synonyms: [],
+  hsnCodes: [],
 };
 
 /**
@@ -138,6 +139,56 @@ ingredientTests.test("GET /ingredients - Consumer list", async () => {
   assert.hasData(res);
 });
 
+/**
+ * HSN Code Module Tests
+ */
+const hsnCodeTests = new TestRunner("HSN Code Module");
+const testHsnCode = String(Date.now()).slice(-8);
+
+hsnCodeTests.test("POST /admin/hsn-codes - Create HSN code", async () => {
+  const res = await api.post("/admin/hsn-codes", {
+    code: testHsnCode,
+    description: "Test beauty preparations",
+    gstRate: 18,
+  });
+  assert.status(res, 201);
+  assert.hasData(res);
+  assert.dataHasKey(res, "hsnCode");
+  createdIds.hsnCodes.push(res.data.data.hsnCode._id);
+});
+
+hsnCodeTests.test("POST /admin/hsn-codes - Validation error on malformed code", async () => {
+  const res = await api.post("/admin/hsn-codes", { code: "12AB", description: "Bad code", gstRate: 18 });
+  assert.status(res, 400);
+  assert.hasError(res);
+});
+
+hsnCodeTests.test("POST /admin/hsn-codes - 409 on duplicate code", async () => {
+  const res = await api.post("/admin/hsn-codes", { code: testHsnCode, description: "Duplicate", gstRate: 5 });
+  assert.status(res, 409);
+});
+
+hsnCodeTests.test("PUT /admin/hsn-codes/:id - Update GST rate", async () => {
+  const hsnCodeId = createdIds.hsnCodes[0];
+  if (!hsnCodeId) throw new Error("No HSN code created for this test");
+  const res = await api.put(`/admin/hsn-codes/${hsnCodeId}`, { gstRate: 12 });
+  assert.status(res, 200);
+  if (res.data.data.hsnCode.gstRate !== 12) {
+    throw new Error("Expected GST rate to be updated to 12");
+  }
+});
+
+hsnCodeTests.test("POST /hsn-codes/rates - Returns rates and missing codes", async () => {
+  const res = await api.post("/hsn-codes/rates", { codes: [testHsnCode, "00000000"] });
+  assert.status(res, 200);
+  assert.dataHasKey(res, "rates");
+
+  const { rates, missingCodes } = res.data.data;
+  if (rates[0]?.code !== testHsnCode || !missingCodes.includes("00000000")) {
+    throw new Error("Expected the created code in rates and the unknown code in missingCodes");
+  }
+});
+
 /**
  * Product Module Tests
  */
@@ -182,6 +233,49 @@ productTests.test("POST /admin/products - Validation error on missing brand", as
   assert.status(res, 400);
 });
 
+productTests.test("POST /products/metadata - Includes category and collection IDs", async () => {
+  const productId = createdIds.products[0];
+  if (!productId) throw new Error("No product created for this test");
+
+  const res = await api.post("/products/metadata", { productIds: [productId] });
+  assert.status(res, 200);
+  assert.dataHasKey(res, "products");
+
+  const [product] = res.data.data.products;
+  if (!Array.isArray(product?.categoryIds) || !Array.isArray(product?.collectionIds)) {
+    throw new Error("Expected categoryIds and collectionIds arrays on product metadata");
+  }
+});
+
+productTests.test("POST /products/metadata - Includes product tags", async () => {
+  const productId = createdIds.products[0];
+  if (!productId) throw new Error("No product created for this test");
+
+  const res = await api.post("/products/metadata", { productIds: [productId] });
+  assert.status(res, 200);
+
+  const [product] = res.data.data.products;
+  if (!Array.isArray(product?.tags)) {
+    throw new Error("Expected a tags array on product metadata");
+  }
+});
+
+productTests.test("POST /products/metadata - Includes GST rate from the HSN master", async () => {
+  const productId = createdIds.products[0];
+  if (!productId) throw new Error("No product created for this test");
+
+  const updateRes = await api.put(`/admin/products/${productId}`, { hsnCode: testHsnCode });
+  assert.status(updateRes, 200);
+
+  const res = await api.post("/products/metadata", { productIds: [productId] });
+  assert.status(res, 200);
+
+  const [product] = res.data.data.products;
+  if (product?.hsnCode !== testHsnCode || product?.gstRate !== 12) {
+    throw new Error(`Expected gstRate 12 for HSN ${testHsnCode}, got ${product?.gstRate}`);
+  }
+});
+
 /**
  * Variant Module Tests
  */
@@ -311,6 +405,60 @@ searchTests.test("GET /admin/search/analytics - Get analytics", async () => {
   assert.status(res, 200);
   assert.hasData(res);
   assert.dataHasKey(res, "summary");
+  assert.dataHasKey(res, "searchActivity");
+});
+
+searchTests.test("POST /search/click - Record click on a logged search", async () => {
+  const searchRes = await api.get("/search", { q: "test" });
+  assert.status(searchRes, 200);
+  assert.dataHasKey(searchRes, "searchId");
+  await delay(200);
+
+  const res = await api.post("/search/click", {
+    searchId: searchRes.data.data.searchId,
+    productId: "507f1f77bcf86cd799439011",
+    position: 1,
+  });
+  assert.status(res, 200);
+});
+
+searchTests.test("POST /search/click - 404 for unknown search", async () => {
+  const res = await api.post("/search/click", {
+    searchId: "507f1f77bcf86cd799439011",
+    productId: "507f1f77bcf86cd799439011",
+  });
+  assert.status(res, 404);
+});
+
+searchTests.test("GET /admin/search/analytics/top-queries - Top queries", async () => {
+  const res = await api.get("/admin/search/analytics/top-queries", { limit: 10 });
+  assert.status(res, 200);
+  assert.dataHasKey(res, "queries");
+});
+
+searchTests.test("GET /admin/search/analytics/zero-results - Zero-result queries", async () => {
+  const res = await api.get("/admin/search/analytics/zero-results");
+  assert.status(res, 200);
+  assert.dataHasKey(res, "queries");
+});
+
+searchTests.test("GET /admin/search/analytics/click-through - Click-through stats", async () => {
+  const res = await api.get("/admin/search/analytics/click-through", { source: "search" });
+  assert.status(res, 200);
+  assert.dataHasKey(res, "overall");
+  assert.dataHasKey(res, "daily");
+});
+
+searchTests.test("GET /admin/search/analytics/synonym-suggestions - Synonym suggestions", async () => {
+  const res = await api.get("/admin/search/analytics/synonym-suggestions");
+  assert.status(res, 200);
+  assert.dataHasKey(res, "suggestions");
+});
+
+searchTests.test("GET /admin/search/analytics/top-queries - Validation error on invalid source", async () => {
+  const res = await api.get("/admin/search/analytics/top-queries", { source: "invalid" });
+  assert.status(res, 400);
+  assert.hasError(res);
 });
 
 /**
@@ -397,6 +545,9 @@ const runCleanup = async () => {
   for (const id of createdIds.synonyms) {
     await cleanup("/admin/search/synonyms", id);
   }
+  for (const id of createdIds.hsnCodes) {
+    await cleanup("/admin/hsn-codes", id);
+  }
   for (const id of createdIds.bundles) {
     await cleanup("/admin/bundles", id);
   }
@@ -429,6 +580,7 @@ const allTests = {
   brands: brandTests,
   categories: categoryTests,
   ingredients: ingredientTests,
+  hsnCodes: hsnCodeTests,
   products: productTests,
   variants: variantTests,
   collections: collectionTests,
@@ -466,6 +618,7 @@ const runTests = async () => {
         "brands",
         "categories",
         "ingredients",
+        "hsnCodes",
         "products",
         "variants",
         "collections",
@@ -122,6 +122,26 @@ export const SEARCH_SORT = {
  */
 export const SEARCH_SORT_VALUES = Object.values(SEARCH_SORT);
 
+/**
+ * Search log sources (which endpoint served the search)
+ */
+export const SEARCH_SOURCE = {
+  SEARCH: "search",
+  SUGGESTIONS: "suggestions",
+  CATEGORY: "category",
+};
+
+/**
+ * Search analytics settings
+ */
+export const SEARCH_ANALYTICS = {
+  LOG_RETENTION_DAYS: parseInt(process.env.SEARCH_LOG_RETENTION_DAYS, 10) || 180,
+  DEFAULT_RANGE_DAYS: 30,
+  REFORMULATION_WINDOW_MS: 2 * 60 * 1000,
+  MIN_SUGGESTION_OCCURRENCES: 2,
+  MAX_SPELLING_DISTANCE: 2,
+};
+
 /**
  * Generic list sort options
  */
@@ -180,6 +200,8 @@ export default {
   PAGINATION,
   SEARCH_SORT,
   SEARCH_SORT_VALUES,
+  SEARCH_SOURCE,
+  SEARCH_ANALYTICS,
   LIST_SORT,
   HTTP_STATUS,
   ERROR_MESSAGES,
@@ -23,8 +23,10 @@ router.use("/upload", uploadRoutes);
  * CMS Routes
  * Consumer routes are mounted at /api/*
  * Admin routes are mounted at /api/admin/*
+ * Internal (service-to-service) routes are mounted at /api/internal/*
  * Note: Gateway strips /cms prefix, so routes here don't include /cms
  */
+router.use("/internal", cmsRoutes.internal);
 router.use("/", cmsRoutes.consumer);
 router.use("/admin", cmsRoutes.admin);
 
@@ -17,6 +17,7 @@ import newsletterRoutes from "./newsletters/newsletter-subscriber.route.js";
 
 const consumerRouter = express.Router();
 const adminRouter = express.Router();
+const internalRouter = express.Router();
 
 // ============================================================
 // CONSUMER ROUTES (Public)
@@ -101,7 +102,15 @@ adminRouter.use("/homepage-layout", homepageLayoutRoutes.admin);
 // Newsletters - /admin/newsletters
 adminRouter.use("/newsletters", newsletterRoutes.admin);
 
+// ============================================================
+// INTERNAL ROUTES (Service-to-service)
+// ============================================================
+
+// Newsletters - /internal/newsletters
+internalRouter.use("/newsletters", newsletterRoutes.internal);
+
 export default {
   consumer: consumerRouter,
   admin: adminRouter,
+  internal: internalRouter,
 };
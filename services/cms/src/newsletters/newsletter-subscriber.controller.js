@@ -204,6 +204,32 @@ const getStats = async (req, res) => {
   return sendResponse(res, HTTP_STATUS.OK, "Newsletter stats retrieved successfully", stats);
 };
 
+// ============================================================
+// INTERNAL CONTROLLERS (Service-to-service)
+// ============================================================
+
+// POST /internal/newsletters/export - Export subscription record for an email (personal data export)
+const exportSubscriber = async (req, res) => {
+  console.log(`exportSubscriber called by service: ${req.serviceId}`);
+
+  const subscriber = await NewsletterSubscriber.findOne({ email: req.body.email })
+    .select("email source is_subscribed subscribed_at unsubscribed_at")
+    .lean();
+
+  return sendResponse(res, HTTP_STATUS.OK, "Subscriber data exported successfully", { subscriber });
+};
+
+// POST /internal/newsletters/erase - Delete subscription record for an email (account deletion)
+const eraseSubscriber = async (req, res) => {
+  console.log(`eraseSubscriber called by service: ${req.serviceId}`);
+
+  const result = await NewsletterSubscriber.deleteOne({ email: req.body.email });
+
+  return sendResponse(res, HTTP_STATUS.OK, "Subscriber data erased successfully", {
+    deleted: result.deletedCount > 0,
+  });
+};
+
 export default {
   subscribe,
   unsubscribe,
@@ -211,4 +237,6 @@ export default {
   getSubscriberById,
   deleteSubscriber,
   getStats,
+  exportSubscriber,
+  eraseSubscriber,
 };
@@ -1,5 +1,6 @@
 import express from "express";
 import { validate } from "@shared/middlewares";
+import { authenticateService } from "@shared/auth-middleware";
 import newsletterController from "./newsletter-subscriber.controller.js";
 import {
   subscribeSchema,
@@ -7,10 +8,12 @@ import {
   adminListQuerySchema,
   getSubscriberByIdSchema,
   deleteSubscriberSchema,
+  subscriberEmailSchema,
 } from "./newsletter-subscriber.validator.js";
 
 const consumerRouter = express.Router();
 const adminRouter = express.Router();
+const internalRouter = express.Router();
 
 // ============================================================
 // CONSUMER ROUTES (Public)
@@ -38,7 +41,20 @@ adminRouter.get("/subscribers/:id", validate(getSubscriberByIdSchema), newslette
 // DELETE /admin/newsletters/subscribers/:id - Delete subscriber
 adminRouter.delete("/subscribers/:id", validate(deleteSubscriberSchema), newsletterController.deleteSubscriber);
 
+// ============================================================
+// INTERNAL ROUTES (Service-to-service)
+// ============================================================
+
+internalRouter.use(authenticateService);
+
+// POST /internal/newsletters/export - Export subscription record for an email
+internalRouter.post("/export", validate(subscriberEmailSchema), newsletterController.exportSubscriber);
+
+// POST /internal/newsletters/erase - Delete subscription record for an email
+internalRouter.post("/erase", validate(subscriberEmailSchema), newsletterController.eraseSubscriber);
+
 export default {
   consumer: consumerRouter,
   admin: adminRouter,
+  internal: internalRouter,
 };
@@ -27,6 +27,15 @@ export const unsubscribeSchema = {
   }),
 };
 
+export const subscriberEmailSchema = {
+  body: Joi.object({
+    email: Joi.string().email().lowercase().required().messages({
+      "string.email": "Please provide a valid email address",
+      "any.required": "Email is required",
+    }),
+  }),
+};
+
 export const adminListQuerySchema = {
   query: Joi.object({
     page: Joi.number().integer().min(1).default(1),
@@ -1,6 +1,8 @@
 import { Router } from "express";
 import { sendResponse } from "@shared/utils";
 import { route as uploadRoutes } from "@shared/cloudinary";
+import { authenticateAdmin } from "@shared/auth-middleware";
+import { createJobRoutes } from "@shared/job-runner";
 
 // Import module routes
 import reviewRoutes from "./src/reviews/review.route.js";
@@ -11,10 +13,17 @@ import loyaltyAccountRoutes from "./src/loyalty-accounts/loyalty-account.route.j
 import loyaltyTransactionRoutes from "./src/loyalty-transactions/loyalty-transaction.route.js";
 import loyaltyRuleRoutes from "./src/loyalty-rules/loyalty-rule.route.js";
 import referralRoutes from "./src/referrals/referral.route.js";
+import referralProgramRoutes from "./src/referral-programs/referral-program.route.js";
 import storeCreditRoutes from "./src/store-credits/store-credit.route.js";
 import storeCreditTransactionRoutes from "./src/store-credit-transactions/store-credit-transaction.route.js";
 import notificationTemplateRoutes from "./src/notification-templates/notification-template.route.js";
 import notificationRoutes from "./src/notifications/notification.route.js";
+import notificationPreferenceRoutes from "./src/notification-preferences/notification-preference.route.js";
+import customerSegmentRoutes from "./src/customer-segments/customer-segment.route.js";
+import customerDataRoutes from "./src/customer-data/customer-data.route.js";
+import transactionalEventRoutes from "./src/transactional-events/transactional-event.route.js";
+import tenderHoldRoutes from "./src/tender-holds/tender-hold.route.js";
+import { jobRunner } from "./src/jobs/job-scheduler.js";
 
 const router = Router();
 
@@ -66,9 +75,47 @@ router.use("/store-credits", storeCreditRoutes.consumer);
 // Store Credit Transactions - /store-credits/transactions
 router.use("/store-credits", storeCreditTransactionRoutes.consumer);
 
+// Notification preferences and unsubscribe links - /notifications/preferences, /notifications/unsubscribe
+router.use("/notifications", notificationPreferenceRoutes.consumer);
+
 // Notifications - /notifications
 router.use("/notifications", notificationRoutes.consumer);
 
+// ============================================================
+// WEBHOOK ROUTES (Provider callbacks)
+// ============================================================
+
+// Notification delivery receipts - /webhooks/notifications/:channel
+router.use("/webhooks/notifications", notificationRoutes.webhook);
+
+// ============================================================
+// INTERNAL ROUTES (Service-to-service)
+// ============================================================
+
+// Customer segment lookups - /internal/segments
+router.use("/internal/segments", customerSegmentRoutes.internal);
+
+// Customer data export and erasure - /internal/customers/:userId
+router.use("/internal/customers", customerDataRoutes.internal);
+
+// Templated notifications - /internal/notifications
+router.use("/internal/notifications", notificationRoutes.internal);
+
+// Communication preferences - /internal/notification-preferences/:userId
+router.use("/internal/notification-preferences", notificationPreferenceRoutes.internal);
+
+// Store credit top-ups - /internal/store-credits/:userId/credit
+router.use("/internal/store-credits", storeCreditRoutes.internal);
+
+// Loyalty points for orders and signups - /internal/loyalty
+router.use("/internal/loyalty", loyaltyTransactionRoutes.internal);
+
+// Order, payment, refund, return and invoice events - /internal/events
+router.use("/internal/events", transactionalEventRoutes.internal);
+
+// Points and store credit held as checkout tender - /internal/tender-holds
+router.use("/internal/tender-holds", tenderHoldRoutes.internal);
+
 // ============================================================
 // ADMIN ROUTES (Protected)
 // ============================================================
@@ -94,6 +141,9 @@ router.use("/admin/loyalty", loyaltyRuleRoutes.admin);
 // Admin Referrals - /admin/referrals
 router.use("/admin/referrals", referralRoutes.admin);
 
+// Admin Referral Programs - /admin/referral-programs
+router.use("/admin/referral-programs", referralProgramRoutes.admin);
+
 // Admin Store Credits - /admin/store-credits
 router.use("/admin/store-credits", storeCreditRoutes.admin);
 
@@ -106,4 +156,16 @@ router.use("/admin/notification-templates", notificationTemplateRoutes.admin);
 // Admin Notifications - /admin/notifications
 router.use("/admin/notifications", notificationRoutes.admin);
 
+// Admin Notification Preferences - /admin/notification-preferences/:userId
+router.use("/admin/notification-preferences", notificationPreferenceRoutes.admin);
+
+// Admin Customer Segments - /admin/customer-segments
+router.use("/admin/customer-segments", customerSegmentRoutes.admin);
+
+// Admin Transactional Events - /admin/transactional-events
+router.use("/admin/transactional-events", transactionalEventRoutes.admin);
+
+// Scheduled jobs: status, run history, manual trigger and pause - /admin/jobs
+router.use("/admin/jobs", authenticateAdmin, createJobRoutes(jobRunner));
+
 export default router;
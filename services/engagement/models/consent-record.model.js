@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+/**
+ * Consent Ledger
+ * One entry per change to a customer's communication preferences. Entries are only
+ * ever appended (account deletion clears the IP and user agent, nothing else); the
+ * latest entry for a category and channel is the current choice. Guests (no account)
+ * are identified by the address they were messaged at.
+ */
+const consentRecordSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    recipient: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    category: {
+      type: String,
+      enum: ["transactional", "marketing", "product_updates"],
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ["email", "sms", "whatsapp", "push"],
+      required: true,
+    },
+    granted: {
+      type: Boolean,
+      required: true,
+    },
+    // Where the change was made
+    source: {
+      type: String,
+      enum: ["preference_center", "profile", "signup", "unsubscribe_link", "import", "admin"],
+      required: true,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+consentRecordSchema.index({ user: 1, createdAt: -1 });
+consentRecordSchema.index({ recipient: 1, category: 1, channel: 1, createdAt: -1 });
+
+const ConsentRecord = mongoose.model("ConsentRecord", consentRecordSchema);
+
+export default ConsentRecord;
@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+export const SEGMENT_FIELDS = [
+  "signupDaysAgo",
+  "emailVerified",
+  "phoneVerified",
+  "orderCount",
+  "lifetimeValue",
+  "averageOrderValue",
+  "lastOrderDaysAgo",
+  "loyaltyTier",
+  "state",
+  "city",
+  "pincode",
+];
+
+export const SEGMENT_OPERATORS = ["eq", "neq", "gt", "gte", "lt", "lte", "in", "not_in", "starts_with", "exists"];
+
+const conditionSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+      enum: SEGMENT_FIELDS,
+    },
+    operator: {
+      type: String,
+      required: true,
+      enum: SEGMENT_OPERATORS,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const customerSegmentSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    rules: {
+      match: {
+        type: String,
+        enum: ["all", "any"],
+        default: "all",
+      },
+      conditions: {
+        type: [conditionSchema],
+        default: [],
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    memberCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastRefreshedAt: {
+      type: Date,
+      default: null,
+    },
+    lastRefreshError: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const CustomerSegment = mongoose.model("CustomerSegment", customerSegmentSchema);
+
+export default CustomerSegment;
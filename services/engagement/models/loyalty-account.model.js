@@ -19,6 +19,12 @@ const loyaltyAccountSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Part of the balance held for orders awaiting payment
+    pointsHeld: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     pointsEarnedLifetime: {
       type: Number,
       default: 0,
@@ -38,6 +44,18 @@ const loyaltyAccountSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Set once by the customer; birthday points are awarded on this day each year
+    birthday: {
+      type: {
+        month: { type: Number, min: 1, max: 12 },
+        day: { type: Number, min: 1, max: 31 },
+      },
+      default: null,
+    },
+    lastBirthdayRewardYear: {
+      type: Number,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -46,6 +64,7 @@ const loyaltyAccountSchema = new mongoose.Schema(
 
 loyaltyAccountSchema.index({ tier: 1 });
 loyaltyAccountSchema.index({ pointsBalance: -1 });
+loyaltyAccountSchema.index({ "birthday.month": 1, "birthday.day": 1 });
 
 const LoyaltyAccount = mongoose.model("LoyaltyAccount", loyaltyAccountSchema);
 
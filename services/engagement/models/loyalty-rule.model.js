@@ -23,6 +23,10 @@ const loyaltyRuleSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Earn: purchase rules award pointsValue for every pointsPerAmount of order value;
+    // without it (and for every other action) pointsValue is a flat award.
+    // Redeem: pointsValue points are worth pointsPerAmount at checkout, on orders of at
+    // least minOrderValue and up to maxPointsPerOrder points.
     pointsPerAmount: {
       type: Number,
       default: null,
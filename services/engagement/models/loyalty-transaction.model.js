@@ -29,7 +29,7 @@ const loyaltyTransactionSchema = new mongoose.Schema(
     },
     referenceType: {
       type: String,
-      enum: ["order", "signup", "review", "referral", "manual", "expiry", "birthday"],
+      enum: ["order", "return", "refund", "signup", "review", "referral", "manual", "expiry", "birthday", "account_deletion"],
       default: null,
     },
     referenceId: {
@@ -41,6 +41,17 @@ const loyaltyTransactionSchema = new mongoose.Schema(
       trim: true,
       default: null,
     },
+    // Order value purchase points were earned on, used to reverse them in proportion to a return
+    amount: {
+      type: Number,
+      default: null,
+    },
+    // Earn transaction this adjustment takes back (order cancellations and returns)
+    reverses: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LoyaltyTransaction",
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
@@ -50,6 +61,16 @@ const loyaltyTransactionSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Set on earn transactions once the expiry sweep has accounted for them
+    expiryProcessedAt: {
+      type: Date,
+      default: null,
+    },
+    // Expiry run that claimed this transaction
+    expiryRunId: {
+      type: String,
+      default: null,
+    },
   },
   {
     timestamps: { createdAt: true, updatedAt: false },
@@ -59,6 +80,13 @@ const loyaltyTransactionSchema = new mongoose.Schema(
 loyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
 loyaltyTransactionSchema.index({ type: 1, createdAt: -1 });
 loyaltyTransactionSchema.index({ referenceType: 1, referenceId: 1 });
+// Points for an order, review, signup or referral are earned once, however many awards overlap
+loyaltyTransactionSchema.index(
+  { user: 1, type: 1, referenceType: 1, referenceId: 1 },
+  { unique: true, partialFilterExpression: { type: "earn", referenceId: { $type: "objectId" } } }
+);
+loyaltyTransactionSchema.index({ reverses: 1 }, { sparse: true });
+loyaltyTransactionSchema.index({ type: 1, expiryProcessedAt: 1, expiresAt: 1 });
 
 const LoyaltyTransaction = mongoose.model("LoyaltyTransaction", loyaltyTransactionSchema);
 
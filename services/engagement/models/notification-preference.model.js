@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+const channelSwitches = (enabled) => ({
+  email: { type: Boolean, default: enabled },
+  sms: { type: Boolean, default: enabled },
+  whatsapp: { type: Boolean, default: enabled },
+  push: { type: Boolean, default: enabled },
+});
+
+/**
+ * What a customer wants to hear from us about, and on which channels
+ * Transactional messages (order updates) are on until turned off; marketing and
+ * product updates need an opt-in. Every change is also written to the consent ledger.
+ */
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    // Transactional channels; the field predates the other categories
+    channels: channelSwitches(true),
+    marketing: channelSwitches(false),
+    productUpdates: channelSwitches(false),
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const NotificationPreference = mongoose.model("NotificationPreference", notificationPreferenceSchema);
+
+export default NotificationPreference;
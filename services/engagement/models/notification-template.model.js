@@ -25,7 +25,8 @@ const notificationTemplateSchema = new mongoose.Schema(
     },
     category: {
       type: String,
-      enum: ["transactional", "marketing", "system"],
+      // system messages (e.g. OTPs) ignore preferences; the rest follow the customer's choices
+      enum: ["transactional", "marketing", "product_updates", "system"],
       required: true,
       index: true,
     },
@@ -39,12 +39,48 @@ const notificationSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       default: null,
     },
+    // Template category, checked against the customer's preferences before sending
+    category: {
+      type: String,
+      default: null,
+    },
+    // One-click opt-out link carried by marketing and product update messages
+    unsubscribeUrl: {
+      type: String,
+      default: null,
+    },
+    // pending -> sent -> delivered; failed attempts retry with backoff until dead_letter;
+    // suppressed when the customer opted out before it went out
     status: {
       type: String,
-      enum: ["pending", "sent", "delivered", "failed"],
+      enum: ["pending", "sent", "delivered", "failed", "dead_letter", "suppressed"],
       default: "pending",
       index: true,
     },
+    provider: {
+      type: String,
+      default: null,
+    },
+    providerMessageId: {
+      type: String,
+      default: null,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    deadLetteredAt: {
+      type: Date,
+      default: null,
+    },
     sentAt: {
       type: Date,
       default: null,
@@ -80,6 +116,8 @@ notificationSchema.index({ user: 1, createdAt: -1 });
 notificationSchema.index({ status: 1, createdAt: -1 });
 notificationSchema.index({ channel: 1, status: 1 });
 notificationSchema.index({ referenceType: 1, referenceId: 1 });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ provider: 1, providerMessageId: 1 });
 
 const Notification = mongoose.model("Notification", notificationSchema);
 
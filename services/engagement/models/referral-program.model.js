@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+const referralProgramSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Only one program is active at a time; new referrals are enrolled in it
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    // The referee's discount: a single-use code issued from this pricing coupon batch on signup
+    refereeCouponBatchId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    refereeCouponValidForHours: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Paid to the referrer as store credit (value is an amount) or loyalty points
+    referrerRewardType: {
+      type: String,
+      enum: ["store_credit", "points"],
+      required: true,
+    },
+    referrerRewardValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // The referee's first delivered order must be worth at least this much
+    minQualifyingOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Days after delivery the reward is held for, covering the return window
+    rewardHoldDays: {
+      type: Number,
+      default: 7,
+      min: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+referralProgramSchema.index({ isActive: 1, createdAt: -1 });
+
+const ReferralProgram = mongoose.model("ReferralProgram", referralProgramSchema);
+
+export default ReferralProgram;
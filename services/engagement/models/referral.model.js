@@ -11,7 +11,6 @@ const referralSchema = new mongoose.Schema(
     referrerCode: {
       type: String,
       required: true,
-      unique: true,
       uppercase: true,
       trim: true,
     },
@@ -27,17 +26,68 @@ const referralSchema = new mongoose.Schema(
       trim: true,
       default: null,
     },
+    // Program the referral was enrolled in when the code was applied
+    program: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReferralProgram",
+      default: null,
+    },
     status: {
       type: String,
-      enum: ["pending", "signed_up", "converted", "rewarded"],
+      // rewarding: a reward run has claimed the referral and is paying the referrer
+      enum: ["pending", "signed_up", "converted", "rewarding", "rewarded"],
       default: "pending",
       index: true,
     },
+    refereeCouponCode: {
+      type: String,
+      default: null,
+    },
+    refereeCouponExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    // The referee's qualifying delivered order; amount drops as items are returned
     refereeFirstOrder: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Order",
       default: null,
     },
+    refereeFirstOrderNumber: {
+      type: String,
+      default: null,
+    },
+    refereeFirstOrderAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Returns already taken off refereeFirstOrderAmount
+    refereeFirstOrderReturns: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [],
+    },
+    convertedAt: {
+      type: Date,
+      default: null,
+    },
+    // The referrer is paid once the order's return window has closed
+    rewardEligibleAt: {
+      type: Date,
+      default: null,
+    },
+    rewardClaimedAt: {
+      type: Date,
+      default: null,
+    },
+    referrerRewardType: {
+      type: String,
+      enum: ["store_credit", "points", null],
+      default: null,
+    },
+    referrerRewardAmount: {
+      type: Number,
+      default: 0,
+    },
     referrerRewardPoints: {
       type: Number,
       default: 0,
@@ -72,6 +122,35 @@ const referralSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Links between referrer and referee found by the automatic fraud checks
+    fraudSignals: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: ["self_referral", "referral_loop", "shared_phone", "shared_address", "shared_device"],
+          required: true,
+        },
+        detail: {
+          type: String,
+          default: null,
+        },
+        detectedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Set when an admin clears a flag; the reward is then paid despite the signals
+    fraudReviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    fraudReviewedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -82,6 +161,8 @@ const referralSchema = new mongoose.Schema(
 referralSchema.index({ referrerCode: 1 });
 // Index for finding referrals by status
 referralSchema.index({ status: 1, createdAt: -1 });
+// Index for finding referrals due a reward
+referralSchema.index({ status: 1, rewardEligibleAt: 1 });
 
 const Referral = mongoose.model("Referral", referralSchema);
 
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+const segmentMembershipSchema = new mongoose.Schema(
+  {
+    segment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CustomerSegment",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+segmentMembershipSchema.index({ segment: 1, user: 1 }, { unique: true });
+segmentMembershipSchema.index({ user: 1 });
+segmentMembershipSchema.index({ segment: 1, refreshedAt: 1 });
+
+const SegmentMembership = mongoose.model("SegmentMembership", segmentMembershipSchema);
+
+export default SegmentMembership;
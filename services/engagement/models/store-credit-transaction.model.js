@@ -29,7 +29,7 @@ const storeCreditTransactionSchema = new mongoose.Schema(
     },
     referenceType: {
       type: String,
-      enum: ["refund", "reward", "order", "manual", "referral", "expired"],
+      enum: ["refund", "exchange", "reward", "order", "manual", "referral", "expired", "account_deletion"],
       default: null,
     },
     referenceId: {
@@ -55,6 +55,11 @@ const storeCreditTransactionSchema = new mongoose.Schema(
 storeCreditTransactionSchema.index({ user: 1, createdAt: -1 });
 storeCreditTransactionSchema.index({ type: 1, createdAt: -1 });
 storeCreditTransactionSchema.index({ referenceType: 1, referenceId: 1 });
+// Anything a credit references (an exchange, a refund, a referral) is credited once
+storeCreditTransactionSchema.index(
+  { user: 1, type: 1, referenceType: 1, referenceId: 1 },
+  { unique: true, partialFilterExpression: { type: "credit", referenceId: { $type: "objectId" } } }
+);
 
 const StoreCreditTransaction = mongoose.model("StoreCreditTransaction", storeCreditTransactionSchema);
 
@@ -14,6 +14,12 @@ const storeCreditSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Part of the balance held for orders awaiting payment
+    heldBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     currency: {
       type: String,
       default: "INR",
@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+const tenderRefundSchema = new mongoose.Schema(
+  {
+    // Refund in the order service, or the order itself when it was cancelled
+    refundId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    loyaltyPoints: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    storeCreditAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refundedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Loyalty points and store credit put towards an order at checkout
+ * Held while the customer pays the rest, debited when the payment succeeds
+ * and released when it fails or the hold expires.
+ */
+const tenderHoldSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true,
+    },
+    orderNumber: {
+      type: String,
+      required: true,
+    },
+    loyaltyPoints: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Currency value of loyaltyPoints at the redeem rule's rate
+    loyaltyAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    storeCreditAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ["held", "captured", "released"],
+      default: "held",
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    capturedAt: {
+      type: Date,
+      default: null,
+    },
+    releasedAt: {
+      type: Date,
+      default: null,
+    },
+    releaseReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    refunds: {
+      type: [tenderRefundSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+tenderHoldSchema.index({ status: 1, expiresAt: 1 });
+
+const TenderHold = mongoose.model("TenderHold", tenderHoldSchema);
+
+export default TenderHold;
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+const eventNotificationSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ["email", "sms", "whatsapp", "push"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "skipped"],
+      required: true,
+    },
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+      default: null,
+    },
+    // Why nothing was queued: opted_out, no_recipient or the render error
+    reason: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Order lifecycle event received from another service
+ * One event per (eventType, referenceId); repeats are acknowledged without sending again.
+ */
+const transactionalEventSchema = new mongoose.Schema(
+  {
+    eventType: {
+      type: String,
+      required: true,
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    source: {
+      type: String,
+      default: null,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+      default: null,
+    },
+    templateCode: {
+      type: String,
+      required: true,
+    },
+    recipient: {
+      email: { type: String, default: null },
+      phone: { type: String, default: null },
+      deviceToken: { type: String, default: null },
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // processing -> processed; failed events, and ones stuck in processing past
+    // their lease, are processed again when re-sent
+    status: {
+      type: String,
+      enum: ["processing", "processed", "failed"],
+      default: "processing",
+      index: true,
+    },
+    processingStartedAt: {
+      type: Date,
+      default: null,
+    },
+    // One entry per channel, saved as each is queued so a retry skips those
+    notifications: {
+      type: [eventNotificationSchema],
+      default: [],
+    },
+    errorMessage: {
+      type: String,
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+transactionalEventSchema.index({ eventType: 1, referenceId: 1 }, { unique: true });
+transactionalEventSchema.index({ createdAt: -1 });
+
+const TransactionalEvent = mongoose.model("TransactionalEvent", transactionalEventSchema);
+
+export default TransactionalEvent;
@@ -0,0 +1,76 @@
+import { createHttpClient, handleServiceError, TimeoutConfig } from "./http-client.service.js";
+
+const authClient = createHttpClient(
+  process.env.AUTH_SERVICE_URL || "http://localhost:3001",
+  parseInt(process.env.AUTH_SERVICE_TIMEOUT) || TimeoutConfig.STANDARD,
+  "auth"
+);
+
+/**
+ * Get a page of active customers with their default shipping location
+ * @param {number} page - Page number
+ * @param {number} limit - Customers per page
+ * @returns {Promise<object>} { success, data: { customers, pagination } }
+ */
+export const listCustomers = async (page = 1, limit = 200) => {
+  try {
+    const response = await authClient.get("/api/internal/customers", {
+      params: { page, limit },
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Auth");
+  }
+};
+
+/**
+ * Get a customer's name, email, phone and marketing consent
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { success, data: { contact } }
+ */
+export const getCustomerContact = async (userId) => {
+  try {
+    const response = await authClient.get(`/api/internal/customers/${userId}/contact`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Auth");
+  }
+};
+
+/**
+ * Get a customer's normalised phones, addresses and device IDs for linked-account checks
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { success, data: { signals } }
+ */
+export const getCustomerSignals = async (userId) => {
+  try {
+    const response = await authClient.get(`/api/internal/customers/${userId}/signals`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Auth");
+  }
+};
+
+/**
+ * Mirror a customer's marketing opt-ins onto their profile
+ * @param {string} userId - User ID
+ * @param {object} marketingConsent - { email, sms, whatsapp, push }
+ * @returns {Promise<object>} { success, data: { marketingConsent } }
+ */
+export const updateMarketingConsent = async (userId, marketingConsent) => {
+  try {
+    const response = await authClient.patch(`/api/internal/customers/${userId}/marketing-consent`, {
+      marketingConsent,
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Auth");
+  }
+};
+
+export default {
+  listCustomers,
+  getCustomerContact,
+  getCustomerSignals,
+  updateMarketingConsent,
+};
@@ -0,0 +1,216 @@
+import { storageService } from "@shared/providers";
+import Review from "../models/review.model.js";
+import ReviewVote from "../models/review-vote.model.js";
+import Wishlist from "../models/wishlist.model.js";
+import LoyaltyAccount from "../models/loyalty-account.model.js";
+import LoyaltyTransaction from "../models/loyalty-transaction.model.js";
+import Referral from "../models/referral.model.js";
+import StoreCredit from "../models/store-credit.model.js";
+import StoreCreditTransaction from "../models/store-credit-transaction.model.js";
+import Notification from "../models/notification.model.js";
+import SegmentMembership from "../models/segment-membership.model.js";
+import NotificationPreference from "../models/notification-preference.model.js";
+import ConsentRecord from "../models/consent-record.model.js";
+import TransactionalEvent from "../models/transactional-event.model.js";
+
+const REDACTED = "[redacted]";
+
+/**
+ * Collect everything the engagement service holds about a customer
+ * @param {string} userId - Customer ID
+ * @returns {Promise<object>} Export sections keyed by data type
+ */
+export const exportCustomerData = async (userId) => {
+  const [
+    reviews,
+    reviewVotes,
+    wishlist,
+    loyaltyAccount,
+    loyaltyTransactions,
+    referrals,
+    storeCredit,
+    storeCreditTransactions,
+    notifications,
+    notificationPreference,
+    consentRecords,
+  ] = await Promise.all([
+    Review.find({ user: userId })
+      .select("product order rating title content images isVerifiedPurchase status createdAt")
+      .lean(),
+    ReviewVote.find({ user: userId }).select("review voteType createdAt").lean(),
+    Wishlist.findOne({ user: userId }).select("items").lean(),
+    LoyaltyAccount.findOne({ user: userId }).populate("tier", "name displayName").lean(),
+    LoyaltyTransaction.find({ user: userId })
+      .select("type points balanceAfter referenceType referenceId description expiresAt createdAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+    Referral.find({ $or: [{ referrer: userId }, { referee: userId }] })
+      .select("referrer referrerCode referee status referrerRewardPoints refereeRewardPoints rewardsIssued rewardsIssuedAt createdAt")
+      .lean(),
+    StoreCredit.findOne({ user: userId }).lean(),
+    StoreCreditTransaction.find({ user: userId })
+      .select("type amount balanceAfter referenceType referenceId description createdAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+    Notification.find({ user: userId })
+      .select("templateCode channel recipient content.subject status sentAt deliveredAt isRead createdAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+    NotificationPreference.findOne({ user: userId }).select("channels marketing productUpdates updatedAt").lean(),
+    ConsentRecord.find({ user: userId })
+      .select("category channel granted source ip userAgent createdAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  return {
+    reviews,
+    reviewVotes,
+    wishlist: wishlist?.items || [],
+    loyalty: {
+      account: loyaltyAccount,
+      transactions: loyaltyTransactions,
+    },
+    referrals: referrals.map((referral) => ({
+      ...referral,
+      role: referral.referrer?.toString() === userId ? "referrer" : "referee",
+    })),
+    storeCredit: {
+      account: storeCredit,
+      transactions: storeCreditTransactions,
+    },
+    notifications,
+    notificationPreferences: notificationPreference
+      ? {
+        transactional: notificationPreference.channels,
+        marketing: notificationPreference.marketing,
+        product_updates: notificationPreference.productUpdates,
+      }
+      : null,
+    consentHistory: consentRecords,
+  };
+};
+
+/**
+ * Strip personal details from a customer's engagement data
+ * Reviews stay published without photos; the ledgers stay for accounting with balances
+ * forfeited; wishlists, votes, segment memberships, notification preferences and queued
+ * messages are deleted. The consent ledger is kept as proof of what was agreed to, without
+ * the IP addresses and devices it was agreed from.
+ * @param {string} userId - Customer ID
+ * @returns {Promise<object>} Summary of what changed
+ */
+export const pseudonymizeCustomerData = async (userId) => {
+  const reviewsWithImages = await Review.find({ user: userId, "images.0": { $exists: true } })
+    .select("images")
+    .lean();
+
+  for (const review of reviewsWithImages) {
+    for (const image of review.images) {
+      if (!image.publicId) continue;
+      try {
+        await storageService.deleteFile(image.publicId, "image");
+      } catch (error) {
+        console.log(`> Failed to delete review image ${image.publicId}:`, error.message);
+      }
+    }
+  }
+
+  const reviewResult = await Review.updateMany({ user: userId }, { $set: { images: [] } });
+  const voteResult = await ReviewVote.deleteMany({ user: userId });
+  const wishlistResult = await Wishlist.deleteMany({ user: userId });
+
+  let pointsForfeited = 0;
+  const loyaltyAccount = await LoyaltyAccount.findOne({ user: userId });
+  if (loyaltyAccount && loyaltyAccount.pointsBalance > 0) {
+    pointsForfeited = loyaltyAccount.pointsBalance;
+    await LoyaltyTransaction.create({
+      user: userId,
+      loyaltyAccount: loyaltyAccount._id,
+      type: "expire",
+      points: -pointsForfeited,
+      balanceAfter: 0,
+      referenceType: "account_deletion",
+      description: "Points forfeited on account deletion",
+    });
+    loyaltyAccount.pointsBalance = 0;
+  }
+  if (loyaltyAccount) {
+    loyaltyAccount.birthday = null;
+    await loyaltyAccount.save();
+  }
+
+  let creditForfeited = 0;
+  const storeCredit = await StoreCredit.findOne({ user: userId });
+  if (storeCredit && storeCredit.balance > 0) {
+    creditForfeited = storeCredit.balance;
+    await StoreCreditTransaction.create({
+      user: userId,
+      storeCredit: storeCredit._id,
+      type: "debit",
+      amount: creditForfeited,
+      balanceAfter: 0,
+      referenceType: "account_deletion",
+      description: "Store credit forfeited on account deletion",
+    });
+    storeCredit.balance = 0;
+    await storeCredit.save();
+  }
+
+  // Referral codes of a deleted account must stop working
+  const referrerResult = await Referral.updateMany(
+    { referrer: userId },
+    { $set: { isFlagged: true, flagReason: "account_deleted", flaggedAt: new Date() } }
+  );
+  const refereeResult = await Referral.updateMany(
+    { referee: userId },
+    { $set: { refereeEmail: null } }
+  );
+
+  const queuedResult = await Notification.deleteMany({
+    user: userId,
+    status: { $in: ["pending", "failed"] },
+  });
+  const notificationResult = await Notification.updateMany(
+    { user: userId },
+    { $set: { recipient: REDACTED, "content.subject": null, "content.body": REDACTED, unsubscribeUrl: null } }
+  );
+
+  // Events keep their type and reference for idempotency; contact details and template data go
+  const eventResult = await TransactionalEvent.updateMany(
+    { user: userId },
+    { $set: { recipient: { email: null, phone: null, deviceToken: null }, data: {} } }
+  );
+  const preferenceResult = await NotificationPreference.deleteMany({ user: userId });
+  const consentResult = await ConsentRecord.updateMany(
+    { user: userId },
+    { $set: { ip: null, userAgent: null } }
+  );
+
+  const segmentResult = await SegmentMembership.deleteMany({ user: userId });
+
+  const summary = {
+    reviewsScrubbed: reviewResult.modifiedCount,
+    reviewVotesDeleted: voteResult.deletedCount,
+    wishlistsDeleted: wishlistResult.deletedCount,
+    pointsForfeited,
+    creditForfeited,
+    referralCodesDisabled: referrerResult.modifiedCount,
+    referralsScrubbed: refereeResult.modifiedCount,
+    queuedNotificationsDeleted: queuedResult.deletedCount,
+    notificationsScrubbed: notificationResult.modifiedCount,
+    transactionalEventsScrubbed: eventResult.modifiedCount,
+    notificationPreferencesDeleted: preferenceResult.deletedCount,
+    consentRecordsScrubbed: consentResult.modifiedCount,
+    segmentMembershipsDeleted: segmentResult.deletedCount,
+  };
+
+  console.log(`> Pseudonymized engagement data for customer ${userId}:`, summary);
+
+  return summary;
+};
+
+export default {
+  exportCustomerData,
+  pseudonymizeCustomerData,
+};
@@ -0,0 +1,497 @@
+import { randomUUID } from "crypto";
+import LoyaltyAccount from "../models/loyalty-account.model.js";
+import LoyaltyTransaction from "../models/loyalty-transaction.model.js";
+import LoyaltyTier from "../models/loyalty-tier.model.js";
+import LoyaltyRule from "../models/loyalty-rule.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days automatically earned points stay valid; 0 keeps them forever
+const POINTS_EXPIRY_DAYS = parseInt(process.env.LOYALTY_POINTS_EXPIRY_DAYS ?? "365", 10);
+
+/**
+ * Find the tier a customer qualifies for
+ * @param {number} pointsEarnedLifetime - Points earned over the account's lifetime
+ * @returns {Promise<object|null>} Tier ID, or null when no active tier applies
+ */
+export const determineTier = async (pointsEarnedLifetime) => {
+  const tier = await LoyaltyTier.findOne({
+    isActive: true,
+    minPoints: { $lte: pointsEarnedLifetime },
+  })
+    .sort({ minPoints: -1 })
+    .select("_id")
+    .lean();
+
+  return tier?._id || null;
+};
+
+/**
+ * Find the rule in force for an action
+ * When several active rules are in their validity window, the most recently created one applies.
+ * @param {string} ruleType - earn or redeem
+ * @param {string} actionType - purchase, signup, review, referral or birthday
+ * @param {Date} at - When the action happened
+ * @returns {Promise<object|null>} Rule
+ */
+const findActiveRule = async (ruleType, actionType, at) => {
+  return LoyaltyRule.findOne({
+    ruleType,
+    actionType,
+    isActive: true,
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: at } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gte: at } }] },
+    ],
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Find the earn rule for an action
+ * @param {string} actionType - purchase, signup, review, referral or birthday
+ * @param {Date} [at] - When the action happened
+ * @returns {Promise<object|null>} Rule
+ */
+export const findEarnRule = async (actionType, at = new Date()) => findActiveRule("earn", actionType, at);
+
+/**
+ * Find the rule that sets what points are worth at checkout
+ * @param {Date} [at] - When the points are redeemed
+ * @returns {Promise<object|null>} Purchase redeem rule
+ */
+export const findRedeemRule = async (at = new Date()) => findActiveRule("redeem", "purchase", at);
+
+/**
+ * Points a purchase rule awards for an order
+ * @param {object} rule - Purchase rule
+ * @param {number} amount - Order value
+ * @param {number} [multiplier] - Customer's tier points multiplier
+ * @returns {number} Whole points, 0 below the rule's minimum order value
+ */
+export const calculatePurchasePoints = (rule, amount, multiplier = 1) => {
+  if (amount < (rule.minOrderValue || 0)) {
+    return 0;
+  }
+
+  const basePoints = rule.pointsPerAmount
+    ? Math.floor(amount / rule.pointsPerAmount) * rule.pointsValue
+    : rule.pointsValue;
+  const points = Math.floor(basePoints * multiplier);
+
+  return rule.maxPointsPerOrder != null ? Math.min(points, rule.maxPointsPerOrder) : points;
+};
+
+const getExpiryDate = (from) => (POINTS_EXPIRY_DAYS > 0 ? new Date(from.getTime() + POINTS_EXPIRY_DAYS * DAY_MS) : null);
+
+/**
+ * Move an account to the tier its lifetime points qualify for
+ * @param {object} account - Loyalty account
+ */
+const refreshTier = async (account) => {
+  const tier = await determineTier(account.pointsEarnedLifetime);
+  if (String(tier) !== String(account.tier)) {
+    await LoyaltyAccount.updateOne({ _id: account._id }, { $set: { tier } });
+    account.tier = tier;
+  }
+};
+
+/**
+ * Credit points to a customer, opening their account if needed
+ * @param {string} userId - User ID
+ * @param {number} points - Points to credit
+ * @param {object} details - { referenceType, referenceId, description, amount }
+ * @returns {Promise<object>} { account, transaction, duplicate }; duplicate when the reference was already credited
+ */
+const earnPoints = async (userId, points, { referenceType, referenceId = null, description, amount = null }) => {
+  const now = new Date();
+  const account = await LoyaltyAccount.findOneAndUpdate(
+    { user: userId },
+    {
+      $inc: { pointsBalance: points, pointsEarnedLifetime: points },
+      $set: { lastActivityAt: now },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  let transaction;
+  try {
+    transaction = await LoyaltyTransaction.create({
+      user: userId,
+      loyaltyAccount: account._id,
+      type: "earn",
+      points,
+      balanceAfter: account.pointsBalance,
+      referenceType,
+      referenceId,
+      description,
+      amount,
+      expiresAt: getExpiryDate(now),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    // A concurrent award for the same reference won; take these points back
+    const current = await LoyaltyAccount.findOneAndUpdate(
+      { _id: account._id },
+      { $inc: { pointsBalance: -points, pointsEarnedLifetime: -points } },
+      { new: true }
+    );
+    await refreshTier(current);
+    const existing = await LoyaltyTransaction.findOne({ user: userId, type: "earn", referenceType, referenceId }).lean();
+    return { account: current, transaction: existing, duplicate: true };
+  }
+  await refreshTier(account);
+
+  console.log(`> Loyalty: +${points} points to user ${userId} (${referenceType})`);
+  return { account, transaction, duplicate: false };
+};
+
+/**
+ * Take points back from a customer, never into the points held for pending orders
+ * @param {object} account - Loyalty account
+ * @param {number} points - Points to take back
+ * @param {object} details - { type, referenceType, referenceId, description, reverses, reduceLifetime }
+ * @returns {Promise<object>} { account, transaction }; transaction is null when no points were available
+ */
+const deductPoints = async (account, points, { type, referenceType, referenceId = null, description, reverses = null, reduceLifetime = false }) => {
+  const update = {
+    pointsBalance: { $max: [{ $ifNull: ["$pointsHeld", 0] }, { $subtract: ["$pointsBalance", points] }] },
+    lastActivityAt: new Date(),
+  };
+  if (reduceLifetime) {
+    update.pointsEarnedLifetime = { $max: [0, { $subtract: ["$pointsEarnedLifetime", points] }] };
+  }
+
+  const updated = await LoyaltyAccount.findOneAndUpdate({ _id: account._id }, [{ $set: update }], { new: true });
+  await refreshTier(updated);
+
+  const deducted = account.pointsBalance - updated.pointsBalance;
+  if (deducted <= 0) {
+    return { account: updated, transaction: null };
+  }
+
+  const transaction = await LoyaltyTransaction.create({
+    user: updated.user,
+    loyaltyAccount: updated._id,
+    type,
+    points: -deducted,
+    balanceAfter: updated.pointsBalance,
+    referenceType,
+    referenceId,
+    description,
+    reverses,
+  });
+
+  console.log(`> Loyalty: -${deducted} points from user ${updated.user} (${type})`);
+  return { account: updated, transaction };
+};
+
+/**
+ * Award the flat points of an action's earn rule once per reference
+ * @param {string} actionType - signup, review, referral or birthday
+ * @param {string} userId - User ID
+ * @param {object} details - { referenceType, referenceId, description }
+ * @returns {Promise<object>} { success, data: { transaction, duplicate, skipped } }
+ */
+const awardActionPoints = async (actionType, userId, { referenceType, referenceId = null, description }) => {
+  if (referenceId) {
+    const existing = await LoyaltyTransaction.findOne({ user: userId, type: "earn", referenceType, referenceId }).lean();
+    if (existing) {
+      return { success: true, data: { transaction: existing, duplicate: true } };
+    }
+  }
+
+  const rule = await findEarnRule(actionType);
+  if (!rule || rule.pointsValue <= 0) {
+    return { success: true, data: { transaction: null, skipped: "no_active_rule" } };
+  }
+
+  const { transaction, duplicate } = await earnPoints(userId, rule.pointsValue, { referenceType, referenceId, description });
+  return { success: true, data: { transaction, duplicate } };
+};
+
+/**
+ * Award purchase points for a delivered order
+ * The purchase rule's points are multiplied by the customer's tier multiplier.
+ * @param {object} purchase - { userId, orderId, orderNumber, amount }
+ * @returns {Promise<object>} { success, data: { transaction, duplicate, skipped } }
+ */
+export const awardPurchasePoints = async ({ userId, orderId, orderNumber, amount }) => {
+  const existing = await LoyaltyTransaction.findOne({
+    user: userId,
+    type: "earn",
+    referenceType: "order",
+    referenceId: orderId,
+  }).lean();
+  if (existing) {
+    return { success: true, data: { transaction: existing, duplicate: true } };
+  }
+
+  const rule = await findEarnRule("purchase");
+  if (!rule) {
+    return { success: true, data: { transaction: null, skipped: "no_active_rule" } };
+  }
+
+  const account = await LoyaltyAccount.findOne({ user: userId }).populate("tier", "pointsMultiplier").lean();
+  const points = calculatePurchasePoints(rule, amount, account?.tier?.pointsMultiplier || 1);
+  if (points <= 0) {
+    return { success: true, data: { transaction: null, skipped: "below_minimum" } };
+  }
+
+  const { transaction, duplicate } = await earnPoints(userId, points, {
+    referenceType: "order",
+    referenceId: orderId,
+    description: `Points for order ${orderNumber}`,
+    amount,
+  });
+  return { success: true, data: { transaction, duplicate } };
+};
+
+/**
+ * Take back an order's purchase points when it is cancelled or items are returned
+ * A return takes back points in proportion to the refunded amount; a cancellation takes back
+ * whatever is left. Points already spent or held for another order are not clawed back.
+ * @param {object} reversal - { userId, orderId, orderNumber, returnId, amount }
+ * @returns {Promise<object>} { success, data: { transaction, duplicate, skipped } }
+ */
+export const reversePurchasePoints = async ({ userId, orderId, orderNumber, returnId = null, amount = null }) => {
+  const earned = await LoyaltyTransaction.findOne({
+    user: userId,
+    type: "earn",
+    referenceType: "order",
+    referenceId: orderId,
+  }).lean();
+  if (!earned) {
+    return { success: true, data: { transaction: null, skipped: "not_earned" } };
+  }
+
+  const referenceType = returnId ? "return" : "order";
+  const referenceId = returnId || orderId;
+
+  const reversals = await LoyaltyTransaction.find({ reverses: earned._id }).lean();
+  const existing = reversals.find(
+    (reversal) => reversal.referenceType === referenceType && String(reversal.referenceId) === String(referenceId)
+  );
+  if (existing) {
+    return { success: true, data: { transaction: existing, duplicate: true } };
+  }
+
+  const reversedPoints = reversals.reduce((total, reversal) => total + Math.abs(reversal.points), 0);
+  const remaining = earned.points - reversedPoints;
+  const target = returnId && amount != null && earned.amount
+    ? Math.round((earned.points * amount) / earned.amount)
+    : remaining;
+  const points = Math.min(target, remaining);
+  if (points <= 0) {
+    return { success: true, data: { transaction: null, skipped: "nothing_to_reverse" } };
+  }
+
+  const account = await LoyaltyAccount.findById(earned.loyaltyAccount);
+  const { transaction } = await deductPoints(account, points, {
+    type: "adjust",
+    referenceType,
+    referenceId,
+    description: returnId ? `Points reversed for a return on order ${orderNumber}` : `Points reversed for cancelled order ${orderNumber}`,
+    reverses: earned._id,
+    reduceLifetime: true,
+  });
+  return {
+    success: true,
+    data: transaction ? { transaction, duplicate: false } : { transaction: null, skipped: "no_balance" },
+  };
+};
+
+/**
+ * Award signup points to a new customer
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { success, data: { transaction, duplicate, skipped } }
+ */
+export const awardSignupPoints = async (userId) => {
+  return awardActionPoints("signup", userId, {
+    referenceType: "signup",
+    referenceId: userId,
+    description: "Welcome points for signing up",
+  });
+};
+
+/**
+ * Award points for an approved review
+ * @param {object} review - Review
+ * @returns {Promise<object>} { success, data: { transaction, duplicate, skipped } }
+ */
+export const awardReviewPoints = async (review) => {
+  return awardActionPoints("review", review.user, {
+    referenceType: "review",
+    referenceId: review._id,
+    description: "Points for your product review",
+  });
+};
+
+/**
+ * Award points to the referrer of a converted referral
+ * The referral program's points take precedence over the referral earn rule.
+ * @param {object} referral - Referral
+ * @param {number|null} [points] - Points set by the referral program
+ * @returns {Promise<object>} { success, data: { transaction, duplicate, skipped } }
+ */
+export const awardReferralPoints = async (referral, points = null) => {
+  const details = {
+    referenceType: "referral",
+    referenceId: referral._id,
+    description: "Points for referring a friend",
+  };
+  if (points == null) {
+    return awardActionPoints("referral", referral.referrer, details);
+  }
+
+  const existing = await LoyaltyTransaction.findOne({
+    user: referral.referrer,
+    type: "earn",
+    referenceType: "referral",
+    referenceId: referral._id,
+  }).lean();
+  if (existing) {
+    return { success: true, data: { transaction: existing, duplicate: true } };
+  }
+  if (points <= 0) {
+    return { success: true, data: { transaction: null, skipped: "no_points" } };
+  }
+
+  const { transaction, duplicate } = await earnPoints(referral.referrer, points, details);
+  return { success: true, data: { transaction, duplicate } };
+};
+
+/**
+ * Award birthday points to every customer whose birthday is today
+ * Customers born on 29 February are rewarded on 28 February in other years.
+ * @param {Date} [date] - Day to reward
+ * @returns {Promise<object>} { rewarded, points }
+ */
+export const awardBirthdayPoints = async (date = new Date()) => {
+  const rule = await findEarnRule("birthday", date);
+  if (!rule || rule.pointsValue <= 0) {
+    return { rewarded: 0, points: 0, skipped: "no_active_rule" };
+  }
+
+  const year = date.getFullYear();
+  const month = date.getMonth() + 1;
+  const day = date.getDate();
+  const isLeapYear = new Date(year, 1, 29).getMonth() === 1;
+  const days = month === 2 && day === 28 && !isLeapYear ? [28, 29] : [day];
+
+  const accounts = await LoyaltyAccount.find({
+    "birthday.month": month,
+    "birthday.day": { $in: days },
+    lastBirthdayRewardYear: { $ne: year },
+  })
+    .select("_id user")
+    .lean();
+
+  let rewarded = 0;
+  for (const account of accounts) {
+    // Claim this year's reward first so overlapping runs can't award it twice
+    const claimed = await LoyaltyAccount.updateOne(
+      { _id: account._id, lastBirthdayRewardYear: { $ne: year } },
+      { $set: { lastBirthdayRewardYear: year } }
+    );
+    if (claimed.modifiedCount === 0) {
+      continue;
+    }
+
+    await earnPoints(account.user, rule.pointsValue, {
+      referenceType: "birthday",
+      description: `Birthday points ${year}`,
+    });
+    rewarded++;
+  }
+
+  return { rewarded, points: rewarded * rule.pointsValue };
+};
+
+/**
+ * Expire points whose validity has passed
+ * Spent points are counted against the oldest earned points first, so only the unspent
+ * part of expired earnings leaves the balance. Tiers are recalculated afterwards.
+ * Due earn transactions are claimed under a run ID before anything is deducted, and an
+ * account never loses more than the points this run claimed, so overlapping runs can't
+ * expire the same points twice.
+ * @param {Date} [now] - Expiry cut-off
+ * @returns {Promise<object>} { accounts, pointsExpired }
+ */
+export const expirePoints = async (now = new Date()) => {
+  const runId = randomUUID();
+  const due = await LoyaltyTransaction.aggregate([
+    { $match: { type: "earn", expiryProcessedAt: null, expiresAt: { $ne: null, $lte: now } } },
+    { $group: { _id: "$loyaltyAccount", transactionIds: { $push: "$_id" } } },
+  ]);
+
+  let accounts = 0;
+  let pointsExpired = 0;
+  for (const { _id: accountId, transactionIds } of due) {
+    await LoyaltyTransaction.updateMany(
+      { _id: { $in: transactionIds }, expiryProcessedAt: null },
+      { $set: { expiryProcessedAt: now, expiryRunId: runId } }
+    );
+    const [claimed] = await LoyaltyTransaction.aggregate([
+      { $match: { _id: { $in: transactionIds }, expiryRunId: runId } },
+      { $group: { _id: null, points: { $sum: "$points" } } },
+    ]);
+    if (!claimed) {
+      continue;
+    }
+    accounts++;
+
+    const [totals] = await LoyaltyTransaction.aggregate([
+      { $match: { loyaltyAccount: accountId } },
+      {
+        $group: {
+          _id: null,
+          expiredEarned: {
+            $sum: {
+              $cond: [
+                { $and: [{ $eq: ["$type", "earn"] }, { $ne: ["$expiresAt", null] }, { $lte: ["$expiresAt", now] }] },
+                "$points",
+                0,
+              ],
+            },
+          },
+          spent: { $sum: { $cond: [{ $lt: ["$points", 0] }, { $abs: "$points" }, 0] } },
+        },
+      },
+    ]);
+
+    const account = await LoyaltyAccount.findById(accountId);
+    const unspent = Math.max(0, (totals?.expiredEarned || 0) - (totals?.spent || 0));
+    const points = Math.min(unspent, claimed.points, account ? account.pointsBalance - (account.pointsHeld || 0) : 0);
+
+    if (points > 0) {
+      await deductPoints(account, points, {
+        type: "expire",
+        referenceType: "expiry",
+        description: `${points} points expired`,
+      });
+      pointsExpired += points;
+    } else if (account) {
+      await refreshTier(account);
+    }
+  }
+
+  return { accounts, pointsExpired };
+};
+
+export default {
+  determineTier,
+  findEarnRule,
+  findRedeemRule,
+  calculatePurchasePoints,
+  awardPurchasePoints,
+  reversePurchasePoints,
+  awardSignupPoints,
+  awardReviewPoints,
+  awardReferralPoints,
+  awardBirthdayPoints,
+  expirePoints,
+};
@@ -0,0 +1,350 @@
+import Notification from "../models/notification.model.js";
+import NotificationTemplate from "../models/notification-template.model.js";
+import { getChannel } from "./notification-providers/index.js";
+import { OPT_IN_CATEGORIES, isNotificationAllowed, buildUnsubscribeUrl } from "./preference.service.js";
+
+const MAX_RETRIES = parseInt(process.env.NOTIFICATION_MAX_RETRIES, 10) || 5;
+const BASE_BACKOFF_SECONDS = parseInt(process.env.NOTIFICATION_BACKOFF_SECONDS, 10) || 30;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+const LOCK_SECONDS = 60;
+const DEFAULT_BATCH_SIZE = parseInt(process.env.NOTIFICATION_DISPATCH_BATCH_SIZE, 10) || 50;
+
+// Channels whose body is text the unsubscribe link can be appended to
+const LINKED_CHANNELS = ["email", "sms", "whatsapp"];
+
+/**
+ * Delay before the next attempt, doubling after each failure
+ * @param {number} retryCount - Failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (retryCount) => {
+  const seconds = Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(retryCount - 1, 0), MAX_BACKOFF_SECONDS);
+  return seconds * 1000;
+};
+
+/**
+ * Record a failed attempt: schedule a retry or move to dead letter
+ * @param {object} notification - Notification document
+ * @param {Error} error - Failure reason (error.retryable === false skips retries)
+ * @returns {Promise<object>} Updated notification
+ */
+const recordFailure = async (notification, error) => {
+  notification.retryCount += 1;
+  notification.errorMessage = error.message;
+  notification.lockedUntil = null;
+
+  if (error.retryable === false || notification.retryCount >= MAX_RETRIES) {
+    notification.status = "dead_letter";
+    notification.deadLetteredAt = new Date();
+    notification.nextAttemptAt = null;
+    console.log(`> Notification ${notification._id} dead-lettered after ${notification.retryCount} attempt(s): ${error.message}`);
+  } else {
+    notification.status = "failed";
+    notification.nextAttemptAt = new Date(Date.now() + getBackoffDelay(notification.retryCount));
+    console.log(`> Notification ${notification._id} failed (attempt ${notification.retryCount}), retrying at ${notification.nextAttemptAt.toISOString()}`);
+  }
+
+  await notification.save();
+  return notification;
+};
+
+/**
+ * Send one notification through its channel provider
+ * @param {object} notification - Notification document
+ * @returns {Promise<object>} Updated notification
+ */
+export const dispatchNotification = async (notification) => {
+  notification.lastAttemptAt = new Date();
+
+  const channel = getChannel(notification.channel);
+  if (!channel) {
+    const error = new Error(`No provider configured for channel '${notification.channel}'`);
+    error.retryable = false;
+    return recordFailure(notification, error);
+  }
+
+  try {
+    // Preferences may have changed since the notification was queued
+    if (notification.category) {
+      const allowed = await isNotificationAllowed({
+        userId: notification.user,
+        recipient: notification.recipient,
+        category: notification.category,
+        channel: notification.channel,
+      });
+
+      if (!allowed) {
+        notification.status = "suppressed";
+        notification.nextAttemptAt = null;
+        notification.lockedUntil = null;
+        await notification.save();
+
+        console.log(`> Notification suppressed: ${notification._id} (recipient opted out of ${notification.category} via ${notification.channel})`);
+        return notification;
+      }
+    }
+
+    if (notification.template && !notification.populated("template")) {
+      await notification.populate("template", "templates");
+    }
+
+    const message = channel.buildMessage(notification);
+    const result = await channel.provider.send(message);
+
+    notification.status = "sent";
+    notification.sentAt = new Date();
+    notification.provider = channel.provider.name;
+    notification.providerMessageId = result.providerMessageId;
+    notification.errorMessage = null;
+    notification.nextAttemptAt = null;
+    notification.lockedUntil = null;
+    await notification.save();
+
+    console.log(`> Notification sent: ${notification._id} via ${notification.channel}/${channel.provider.name}`);
+    return notification;
+  } catch (error) {
+    return recordFailure(notification, error);
+  }
+};
+
+/**
+ * Atomically claim the next notification that is due
+ * The lock keeps concurrent workers from sending the same notification twice
+ * @returns {Promise<object|null>} Claimed notification or null
+ */
+const claimNextNotification = async () => {
+  const now = new Date();
+
+  return Notification.findOneAndUpdate(
+    {
+      status: { $in: ["pending", "failed"] },
+      $and: [
+        { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] },
+        { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      ],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_SECONDS * 1000) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Dispatch every due notification, up to a batch limit
+ * @param {number} batchSize - Maximum notifications to process
+ * @returns {Promise<object>} { processed, sent, retrying, deadLettered, suppressed }
+ */
+export const dispatchDueNotifications = async (batchSize = DEFAULT_BATCH_SIZE) => {
+  const summary = { processed: 0, sent: 0, retrying: 0, deadLettered: 0, suppressed: 0 };
+
+  while (summary.processed < batchSize) {
+    const notification = await claimNextNotification();
+    if (!notification) {
+      break;
+    }
+
+    const result = await dispatchNotification(notification);
+    summary.processed++;
+
+    if (result.status === "sent") summary.sent++;
+    else if (result.status === "failed") summary.retrying++;
+    else if (result.status === "dead_letter") summary.deadLettered++;
+    else if (result.status === "suppressed") summary.suppressed++;
+  }
+
+  return summary;
+};
+
+/**
+ * Re-queue a failed or dead-lettered notification with a fresh retry budget
+ * Takes the same lock as the dispatcher so the two never send it at once
+ * @param {object} notification - Notification document
+ * @returns {Promise<object|null>} Notification after an immediate send attempt, or null when it is already being sent
+ */
+export const requeueNotification = async (notification) => {
+  const now = new Date();
+
+  const claimed = await Notification.findOneAndUpdate(
+    {
+      _id: notification._id,
+      status: { $in: ["failed", "dead_letter"] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        status: "pending",
+        retryCount: 0,
+        errorMessage: null,
+        deadLetteredAt: null,
+        nextAttemptAt: now,
+        lockedUntil: new Date(now.getTime() + LOCK_SECONDS * 1000),
+      },
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  return dispatchNotification(claimed);
+};
+
+/**
+ * Fill a template's content for one channel with variables
+ * @param {object} template - Notification template document
+ * @param {string} channel - Channel to render
+ * @param {object} variables - Values for {{placeholders}}
+ * @returns {object|null} { subject, body } or null when the template has no content for the channel
+ */
+export const renderTemplate = (template, channel, variables = {}) => {
+  const channelTemplate = template.templates?.[channel];
+  if (!channelTemplate) {
+    return null;
+  }
+
+  let subject = channelTemplate.subject;
+  let body = channelTemplate.body;
+
+  Object.keys(variables).forEach((key) => {
+    if (subject) {
+      subject = subject.replace(new RegExp(`{{${key}}}`, "g"), variables[key]);
+    }
+    body = body.replace(new RegExp(`{{${key}}}`, "g"), variables[key]);
+  });
+
+  return { subject, body };
+};
+
+/**
+ * Render a template for one recipient, respecting their communication preferences
+ * Marketing and product update messages get an unsubscribe link, available to the
+ * template as {{unsubscribeUrl}} and appended to text bodies that don't use it.
+ * @param {object} template - Notification template document
+ * @param {object} target - { userId, channel, recipient, variables }
+ * @returns {Promise<object>} { content, unsubscribeUrl, optedOut }; content is null when the
+ * template has no content for the channel or the recipient opted out
+ */
+export const prepareTemplatedContent = async (template, { userId, channel, recipient, variables = {} }) => {
+  if (!template.channels.includes(channel) || !template.templates?.[channel]) {
+    return { content: null, unsubscribeUrl: null, optedOut: false };
+  }
+
+  const target = { userId, recipient, category: template.category, channel };
+  if (!(await isNotificationAllowed(target))) {
+    return { content: null, unsubscribeUrl: null, optedOut: true };
+  }
+
+  const unsubscribeUrl = OPT_IN_CATEGORIES.includes(template.category) && (userId || recipient)
+    ? buildUnsubscribeUrl(target)
+    : null;
+
+  const content = renderTemplate(template, channel, unsubscribeUrl ? { ...variables, unsubscribeUrl } : variables);
+  if (unsubscribeUrl && LINKED_CHANNELS.includes(channel) && !content.body.includes(unsubscribeUrl)) {
+    content.body = `${content.body}\n\nUnsubscribe: ${unsubscribeUrl}`;
+  }
+
+  return { content, unsubscribeUrl, optedOut: false };
+};
+
+/**
+ * Queue a notification rendered from an active template
+ * Nothing is sent inline; the dispatch job picks the notification up on its next run.
+ * Nothing is queued when the recipient opted out of the template's category on the channel.
+ * @param {object} data - { templateCode, userId, channel, recipient, variables, referenceType, referenceId }
+ * @returns {Promise<object>} { success, data } or { success: true, data: null, skipped: "opted_out" }
+ * or { success: false, error, statusCode }
+ */
+export const queueTemplatedNotification = async (data) => {
+  const { templateCode, userId, channel, recipient, variables, referenceType, referenceId } = data;
+
+  const template = await NotificationTemplate.findOne({ code: templateCode, isActive: true });
+  if (!template) {
+    return { success: false, error: `Template with code '${templateCode}' not found or inactive`, statusCode: 404 };
+  }
+
+  const { content, unsubscribeUrl, optedOut } = await prepareTemplatedContent(template, {
+    userId,
+    channel,
+    recipient,
+    variables,
+  });
+  if (optedOut) {
+    return { success: true, data: null, skipped: "opted_out" };
+  }
+  if (!content) {
+    return { success: false, error: `Template '${templateCode}' does not support channel '${channel}'`, statusCode: 400 };
+  }
+
+  const notification = await Notification.create({
+    template: template._id,
+    templateCode: template.code,
+    user: userId || null,
+    channel,
+    recipient,
+    content: {
+      subject: content.subject || null,
+      body: content.body,
+    },
+    category: template.category,
+    unsubscribeUrl,
+    referenceType: referenceType || null,
+    referenceId: referenceId || null,
+    status: "pending",
+  });
+
+  return { success: true, data: notification };
+};
+
+/**
+ * Apply delivery receipts from a provider callback
+ * Delivered receipts move sent -> delivered; failed receipts count as a failed attempt
+ * @param {string} channelName - Channel the receipts belong to
+ * @param {string} providerName - Provider that sent the messages
+ * @param {Array} receipts - [{ providerMessageId, status, error, occurredAt }]
+ * @returns {Promise<object>} { received, delivered, failed, unmatched, skipped }
+ */
+export const processDeliveryReceipts = async (channelName, providerName, receipts) => {
+  const summary = { received: receipts.length, delivered: 0, failed: 0, unmatched: 0, skipped: 0 };
+
+  for (const receipt of receipts) {
+    const notification = await Notification.findOne({
+      channel: channelName,
+      provider: providerName,
+      providerMessageId: receipt.providerMessageId,
+    });
+
+    if (!notification) {
+      summary.unmatched++;
+      continue;
+    }
+
+    // Receipts only apply to messages the provider has accepted and not yet resolved
+    if (notification.status !== "sent") {
+      summary.skipped++;
+      continue;
+    }
+
+    if (receipt.status === "delivered") {
+      notification.status = "delivered";
+      notification.deliveredAt = receipt.occurredAt || new Date();
+      await notification.save();
+      summary.delivered++;
+    } else {
+      await recordFailure(notification, new Error(receipt.error || "Delivery failed"));
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  getBackoffDelay,
+  dispatchNotification,
+  dispatchDueNotifications,
+  requeueNotification,
+  processDeliveryReceipts,
+  renderTemplate,
+  prepareTemplatedContent,
+  queueTemplatedNotification,
+};
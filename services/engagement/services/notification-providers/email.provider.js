@@ -0,0 +1,40 @@
+import { createStubProvider } from "./stub.provider.js";
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const channel = "email";
+
+export const providers = {
+  stub: createStubProvider(channel),
+};
+
+/**
+ * Build an email message from a notification
+ * Marketing and product update emails carry List-Unsubscribe headers so mail
+ * clients can offer one-click unsubscribe (RFC 8058).
+ * @param {object} notification - Notification document
+ * @returns {object} { to, subject, body, headers }
+ */
+export const buildMessage = (notification) => {
+  if (!EMAIL_REGEX.test(notification.recipient)) {
+    const error = new Error(`Invalid email recipient: ${notification.recipient}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const headers = notification.unsubscribeUrl
+    ? {
+      "List-Unsubscribe": `<${notification.unsubscribeUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    }
+    : {};
+
+  return {
+    to: notification.recipient,
+    subject: notification.content.subject || "",
+    body: notification.content.body,
+    headers,
+  };
+};
+
+export default { channel, providers, buildMessage };
@@ -0,0 +1,38 @@
+import email from "./email.provider.js";
+import sms from "./sms.provider.js";
+import whatsapp from "./whatsapp.provider.js";
+import push from "./push.provider.js";
+
+/**
+ * Notification Channel Registry
+ * Each channel builds its own message and picks a provider from
+ * <CHANNEL>_PROVIDER (e.g. EMAIL_PROVIDER=stub). Providers expose:
+ * - name
+ * - send(message) -> { providerMessageId }
+ * - verifyReceipt(req) -> boolean
+ * - parseReceipts(payload) -> [{ providerMessageId, status, error, occurredAt }]
+ * Register real gateways in the channel's providers map.
+ */
+const channels = { email, sms, whatsapp, push };
+
+/**
+ * Get the channel adapter and its configured provider
+ * @param {string} channelName - email, sms, whatsapp or push
+ * @returns {object|null} { channel, buildMessage, provider } or null if unavailable
+ */
+export const getChannel = (channelName) => {
+  const adapter = channels[channelName];
+  if (!adapter) {
+    return null;
+  }
+
+  const providerName = process.env[`${channelName.toUpperCase()}_PROVIDER`] || "stub";
+  const provider = adapter.providers[providerName];
+  if (!provider) {
+    return null;
+  }
+
+  return { channel: adapter.channel, buildMessage: adapter.buildMessage, provider };
+};
+
+export default { getChannel };
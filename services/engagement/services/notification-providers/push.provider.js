@@ -0,0 +1,23 @@
+import { createStubProvider } from "./stub.provider.js";
+
+export const channel = "push";
+
+export const providers = {
+  stub: createStubProvider(channel),
+};
+
+/**
+ * Build a push message from a notification
+ * The recipient is the device token registered by the app
+ * @param {object} notification - Notification document
+ * @returns {object} { to, title, body }
+ */
+export const buildMessage = (notification) => {
+  return {
+    to: notification.recipient,
+    title: notification.content.subject || "",
+    body: notification.content.body,
+  };
+};
+
+export default { channel, providers, buildMessage };
@@ -0,0 +1,45 @@
+import { createStubProvider } from "./stub.provider.js";
+
+// Single SMS segments are 160 GSM-7 characters; longer bodies are sent as concatenated parts
+const SMS_SEGMENT_LENGTH = 160;
+
+export const channel = "sms";
+
+export const providers = {
+  stub: createStubProvider(channel),
+};
+
+/**
+ * Normalize an Indian mobile number to E.164
+ * @param {string} recipient - Phone number
+ * @returns {string|null} +91XXXXXXXXXX or null if invalid
+ */
+export const normalizePhone = (recipient) => {
+  const digits = String(recipient || "").replace(/\D/g, "");
+  const local = digits.length === 12 && digits.startsWith("91") ? digits.slice(2) : digits;
+
+  return /^[6-9]\d{9}$/.test(local) ? `+91${local}` : null;
+};
+
+/**
+ * Build an SMS message from a notification
+ * @param {object} notification - Notification document
+ * @returns {object} { to, body, segments }
+ */
+export const buildMessage = (notification) => {
+  const to = normalizePhone(notification.recipient);
+
+  if (!to) {
+    const error = new Error(`Invalid SMS recipient: ${notification.recipient}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  return {
+    to,
+    body: notification.content.body,
+    segments: Math.ceil(notification.content.body.length / SMS_SEGMENT_LENGTH),
+  };
+};
+
+export default { channel, providers, buildMessage };
@@ -0,0 +1,87 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Stub Notification Provider
+ * Local stand-in for a real email/SMS/WhatsApp/push gateway.
+ * NOTIFICATION_STUB_MODE=console (default) logs each message;
+ * NOTIFICATION_STUB_MODE=file appends it as a JSON line to
+ * NOTIFICATION_STUB_DIR/<channel>.log so it can be inspected after a run.
+ * Set NOTIFICATION_STUB_FAIL_RATE (0-1) to simulate provider failures.
+ *
+ * Delivery receipts use the same shape for every channel:
+ * { "messageId": "stub_email_...", "status": "delivered" | "failed", "error": "...", "timestamp": "..." }
+ * signed with HMAC-SHA256 of the JSON body (NOTIFICATION_RECEIPT_SECRET) in `x-receipt-signature`.
+ */
+
+const STUB_DIR = process.env.NOTIFICATION_STUB_DIR || "./storage/notifications";
+
+/**
+ * Create a stub provider for a channel
+ * @param {string} channel - Notification channel
+ * @returns {object} Provider with name, send, verifyReceipt, parseReceipts
+ */
+export const createStubProvider = (channel) => {
+  const send = async (message) => {
+    const mode = process.env.NOTIFICATION_STUB_MODE || "console";
+    const failRate = parseFloat(process.env.NOTIFICATION_STUB_FAIL_RATE) || 0;
+
+    if (failRate > 0 && Math.random() < failRate) {
+      throw new Error(`Stub ${channel} provider simulated failure`);
+    }
+
+    const providerMessageId = `stub_${channel}_${crypto.randomUUID()}`;
+    const entry = { providerMessageId, channel, sentAt: new Date().toISOString(), ...message };
+
+    if (mode === "file") {
+      await fs.mkdir(STUB_DIR, { recursive: true });
+      await fs.appendFile(path.join(STUB_DIR, `${channel}.log`), `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(`> [Stub ${channel}] to=${message.to} id=${providerMessageId}`);
+      if (message.subject) {
+        console.log(`> [Stub ${channel}] subject: ${message.subject}`);
+      }
+      console.log(`> [Stub ${channel}] ${message.body}`);
+    }
+
+    return { providerMessageId };
+  };
+
+  const verifyReceipt = (req) => {
+    if (process.env.VERIFY_WEBHOOK_SIGNATURE === "false") {
+      return true;
+    }
+
+    const secret = process.env.NOTIFICATION_RECEIPT_SECRET;
+    const signature = req.headers["x-receipt-signature"];
+
+    if (!secret || !signature) {
+      return false;
+    }
+
+    const expectedSignature = crypto
+      .createHmac("sha256", secret)
+      .update(JSON.stringify(req.body))
+      .digest("hex");
+
+    return signature === expectedSignature;
+  };
+
+  const parseReceipts = (payload = {}) => {
+    const receipts = Array.isArray(payload.receipts) ? payload.receipts : [payload];
+
+    return receipts
+      .filter((receipt) => receipt.messageId && receipt.status)
+      .map((receipt) => ({
+        providerMessageId: String(receipt.messageId),
+        status: receipt.status === "delivered" ? "delivered" : "failed",
+        error: receipt.error || null,
+        occurredAt: receipt.timestamp ? new Date(receipt.timestamp) : new Date(),
+      }));
+  };
+
+  return { name: "stub", send, verifyReceipt, parseReceipts };
+};
+
+export default createStubProvider;
@@ -0,0 +1,32 @@
+import { createStubProvider } from "./stub.provider.js";
+import { normalizePhone } from "./sms.provider.js";
+
+export const channel = "whatsapp";
+
+export const providers = {
+  stub: createStubProvider(channel),
+};
+
+/**
+ * Build a WhatsApp message from a notification
+ * Uses the approved template name when the notification came from a template
+ * @param {object} notification - Notification document (template populated or not)
+ * @returns {object} { to, body, templateName }
+ */
+export const buildMessage = (notification) => {
+  const to = normalizePhone(notification.recipient);
+
+  if (!to) {
+    const error = new Error(`Invalid WhatsApp recipient: ${notification.recipient}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  return {
+    to,
+    body: notification.content.body,
+    templateName: notification.template?.templates?.whatsapp?.templateName || null,
+  };
+};
+
+export default { channel, providers, buildMessage };
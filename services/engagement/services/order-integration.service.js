@@ -0,0 +1,25 @@
+import { createHttpClient, handleServiceError, TimeoutConfig } from "./http-client.service.js";
+
+const orderClient = createHttpClient(
+  process.env.ORDER_SERVICE_URL || "http://localhost:3003",
+  parseInt(process.env.ORDER_SERVICE_TIMEOUT) || TimeoutConfig.STANDARD,
+  "order"
+);
+
+/**
+ * Get order count, lifetime value and last order date for a batch of customers
+ * @param {Array<string>} userIds - Customer IDs
+ * @returns {Promise<object>} { success, data: { stats: { [userId]: {...} } } }
+ */
+export const getCustomerOrderStats = async (userIds) => {
+  try {
+    const response = await orderClient.post("/api/internal/customers/order-stats", { userIds });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Order");
+  }
+};
+
+export default {
+  getCustomerOrderStats,
+};
@@ -0,0 +1,300 @@
+import crypto from "crypto";
+import NotificationPreference from "../models/notification-preference.model.js";
+import ConsentRecord from "../models/consent-record.model.js";
+import { getCustomerContact, updateMarketingConsent } from "./auth-integration.service.js";
+
+export const PREFERENCE_CATEGORIES = ["transactional", "marketing", "product_updates"];
+export const PREFERENCE_CHANNELS = ["email", "sms", "whatsapp", "push"];
+
+// Categories that need an opt-in and carry an unsubscribe link
+export const OPT_IN_CATEGORIES = ["marketing", "product_updates"];
+
+// Preference document field holding each category's channels
+const CATEGORY_FIELD = {
+  transactional: "channels",
+  marketing: "marketing",
+  product_updates: "productUpdates",
+};
+
+// Sources that carry the auth profile's own consent: nothing to import first, nothing to sync back
+const PROFILE_SOURCES = ["signup", "profile"];
+
+const UNSUBSCRIBE_TOKEN_SECRET = process.env.UNSUBSCRIBE_TOKEN_SECRET || "unsubscribe-secret-change-in-production";
+const UNSUBSCRIBE_URL = process.env.UNSUBSCRIBE_URL || "http://localhost:3000/api/engagement/notifications/unsubscribe";
+
+/**
+ * Read a preference document as { category: { channel: boolean } }, filling in defaults
+ * @param {object|null} preference - Notification preference
+ * @returns {object} Preferences by category
+ */
+const toCategories = (preference) =>
+  Object.fromEntries(
+    PREFERENCE_CATEGORIES.map((category) => [
+      category,
+      Object.fromEntries(
+        PREFERENCE_CHANNELS.map((channel) => [
+          channel,
+          preference?.[CATEGORY_FIELD[category]]?.[channel] ?? !OPT_IN_CATEGORIES.includes(category),
+        ])
+      ),
+    ])
+  );
+
+/**
+ * Save the changes that differ from the current preferences and log each one to the ledger
+ * @param {string} userId - User ID
+ * @param {object} current - Current preferences by category
+ * @param {object} changes - { category: { channel: boolean } }
+ * @param {object} context - { source, ip, userAgent }
+ * @returns {Promise<object>} { preferences, records }
+ */
+const applyChanges = async (userId, current, changes, { source, ip = null, userAgent = null }) => {
+  const update = {};
+  const records = [];
+
+  Object.entries(changes).forEach(([category, channels]) => {
+    Object.entries(channels || {}).forEach(([channel, granted]) => {
+      if (current[category][channel] === granted) {
+        return;
+      }
+      update[`${CATEGORY_FIELD[category]}.${channel}`] = granted;
+      records.push({
+        user: userId,
+        category,
+        channel,
+        granted,
+        source,
+        ip,
+        userAgent,
+      });
+    });
+  });
+
+  const preference = await NotificationPreference.findOneAndUpdate(
+    { user: userId },
+    { $set: update },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  if (records.length > 0) {
+    await ConsentRecord.insertMany(records);
+  }
+
+  return { preferences: toCategories(preference), records };
+};
+
+/**
+ * Create a customer's preferences from the marketing consent on their auth profile
+ * Used the first time preferences are needed for customers who signed up before the
+ * preference center existed. Nothing is saved when the profile can't be read.
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Preferences by category
+ */
+const importProfileConsent = async (userId) => {
+  const result = await getCustomerContact(userId.toString());
+  if (!result.success) {
+    console.log(`> Could not import marketing consent for user ${userId}: ${result.error}`);
+    return toCategories(null);
+  }
+
+  const { preferences } = await applyChanges(
+    userId,
+    toCategories(null),
+    { marketing: result.data.contact.marketingConsent || {} },
+    { source: "import" }
+  );
+  return preferences;
+};
+
+/**
+ * Get a customer's communication preferences
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { transactional, marketing, product_updates }, each { email, sms, whatsapp, push }
+ */
+export const getPreferences = async (userId) => {
+  const preference = await NotificationPreference.findOne({ user: userId }).lean();
+  return preference ? toCategories(preference) : importProfileConsent(userId);
+};
+
+/**
+ * Change a customer's preferences
+ * Each channel that actually changes gets a ledger entry. Marketing changes are mirrored
+ * to the auth profile unless they came from it.
+ * @param {string} userId - User ID
+ * @param {object} changes - { category: { channel: boolean } }
+ * @param {object} context - { source, ip, userAgent }
+ * @returns {Promise<object>} { preferences, records }
+ */
+export const updatePreferences = async (userId, changes, context) => {
+  const fromProfile = PROFILE_SOURCES.includes(context.source);
+  const current = fromProfile
+    ? toCategories(await NotificationPreference.findOne({ user: userId }).lean())
+    : await getPreferences(userId);
+  const result = await applyChanges(userId, current, changes, context);
+
+  const marketingChanged = result.records.some((record) => record.category === "marketing");
+  if (marketingChanged && !fromProfile) {
+    updateMarketingConsent(userId.toString(), result.preferences.marketing).then((syncResult) => {
+      if (!syncResult.success) {
+        console.log(`> Warning: Marketing consent not synced to profile for user ${userId}: ${syncResult.error}`);
+      }
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Get a customer's consent history, newest first
+ * @param {string} userId - User ID
+ * @param {object} page - { skip, limit }
+ * @returns {Promise<object>} { records, total }
+ */
+export const getConsentHistory = async (userId, { skip = 0, limit = 20 } = {}) => {
+  const [records, total] = await Promise.all([
+    ConsentRecord.find({ user: userId })
+      .select("category channel granted source ip userAgent createdAt")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    ConsentRecord.countDocuments({ user: userId }),
+  ]);
+  return { records, total };
+};
+
+/**
+ * Whether a message of this category may be sent on this channel
+ * System messages always go out. Customers follow their preferences; guests follow the
+ * latest ledger entry for their address, and otherwise the consent the sender collected.
+ * @param {object} target - { userId, recipient, category, channel }
+ * @returns {Promise<boolean>}
+ */
+export const isNotificationAllowed = async ({ userId, recipient, category, channel }) => {
+  if (!PREFERENCE_CATEGORIES.includes(category)) {
+    return true;
+  }
+
+  if (userId) {
+    const preferences = await getPreferences(userId);
+    return preferences[category][channel];
+  }
+
+  if (!recipient) {
+    return true;
+  }
+
+  const latest = await ConsentRecord.findOne({ user: null, recipient: recipient.toLowerCase(), category, channel })
+    .sort({ createdAt: -1 })
+    .lean();
+  return latest ? latest.granted : true;
+};
+
+/**
+ * Sign an unsubscribe token payload
+ * @param {string} payload - Base64url encoded payload
+ * @returns {string} Base64url HMAC-SHA256 signature
+ */
+const signTokenPayload = (payload) => {
+  return crypto.createHmac("sha256", UNSUBSCRIBE_TOKEN_SECRET).update(payload).digest("base64url");
+};
+
+/**
+ * Build the one-click unsubscribe link for a message
+ * The link opts the customer (or guest address) out of the message's category on its channel.
+ * It doesn't expire, so an old message can always be used to opt out.
+ * @param {object} target - { userId, recipient, category, channel }
+ * @returns {string} URL
+ */
+export const buildUnsubscribeUrl = ({ userId, recipient, category, channel }) => {
+  const payload = Buffer.from(JSON.stringify(
+    userId ? { userId: userId.toString(), category, channel } : { recipient: recipient.toLowerCase(), category, channel }
+  )).toString("base64url");
+
+  return `${UNSUBSCRIBE_URL}?token=${payload}.${signTokenPayload(payload)}`;
+};
+
+/**
+ * Check an unsubscribe token's signature
+ * @param {string} token - Token from the unsubscribe link
+ * @returns {object} { valid, data, error }
+ */
+export const verifyUnsubscribeToken = (token) => {
+  const [payload, signature] = String(token || "").split(".");
+
+  if (!payload || !signature) {
+    return { valid: false, error: "Invalid unsubscribe link" };
+  }
+
+  const expected = Buffer.from(signTokenPayload(payload));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, error: "Invalid unsubscribe link" };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { valid: false, error: "Invalid unsubscribe link" };
+  }
+
+  if (!OPT_IN_CATEGORIES.includes(data.category) || !PREFERENCE_CHANNELS.includes(data.channel)) {
+    return { valid: false, error: "Invalid unsubscribe link" };
+  }
+
+  return { valid: true, data };
+};
+
+/**
+ * Opt out through an unsubscribe link
+ * Using a link again changes nothing and records nothing.
+ * @param {string} token - Token from the unsubscribe link
+ * @param {object} context - { ip, userAgent }
+ * @returns {Promise<object>} { success, data: { category, channel, changed } } or { success: false, error, statusCode }
+ */
+export const unsubscribe = async (token, { ip = null, userAgent = null } = {}) => {
+  const verification = verifyUnsubscribeToken(token);
+  if (!verification.valid) {
+    return { success: false, error: verification.error, statusCode: 400 };
+  }
+
+  const { userId, recipient, category, channel } = verification.data;
+
+  if (userId) {
+    const { records } = await updatePreferences(
+      userId,
+      { [category]: { [channel]: false } },
+      { source: "unsubscribe_link", ip, userAgent }
+    );
+    return { success: true, data: { category, channel, changed: records.length > 0 } };
+  }
+
+  const allowed = await isNotificationAllowed({ recipient, category, channel });
+  if (allowed) {
+    await ConsentRecord.create({
+      recipient,
+      category,
+      channel,
+      granted: false,
+      source: "unsubscribe_link",
+      ip,
+      userAgent,
+    });
+  }
+  return { success: true, data: { category, channel, changed: allowed } };
+};
+
+export default {
+  PREFERENCE_CATEGORIES,
+  PREFERENCE_CHANNELS,
+  OPT_IN_CATEGORIES,
+  getPreferences,
+  updatePreferences,
+  getConsentHistory,
+  isNotificationAllowed,
+  buildUnsubscribeUrl,
+  verifyUnsubscribeToken,
+  unsubscribe,
+};
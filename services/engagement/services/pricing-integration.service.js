@@ -0,0 +1,28 @@
+import { createHttpClient, handleServiceError, TimeoutConfig } from "./http-client.service.js";
+
+const pricingClient = createHttpClient(
+  process.env.PRICING_SERVICE_URL || "http://localhost:3004",
+  parseInt(process.env.PRICING_SERVICE_TIMEOUT) || TimeoutConfig.STANDARD,
+  "pricing"
+);
+
+/**
+ * Issue a single-use code from a coupon batch
+ * @param {string} batchId - Coupon batch ID
+ * @param {number|null} validForHours - Hours until the code expires
+ * @returns {Promise<object>} { success, data: { code, couponId, endsAt } }
+ */
+export const issueBatchCouponCode = async (batchId, validForHours = null) => {
+  try {
+    const response = await pricingClient.post(`/api/internal/coupon-batches/${batchId}/issue`, {
+      validForHours,
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Pricing");
+  }
+};
+
+export default {
+  issueBatchCouponCode,
+};
@@ -1,10 +1,30 @@
 import { customAlphabet } from "nanoid";
 import Referral from "../models/referral.model.js";
+import ReferralProgram from "../models/referral-program.model.js";
+import { awardReferralPoints } from "./loyalty.service.js";
+import { issueStoreCredit } from "./store-credit.service.js";
+import { issueBatchCouponCode } from "./pricing-integration.service.js";
+import { getCustomerSignals } from "./auth-integration.service.js";
 
 // Create a custom alphabet for referral codes (uppercase alphanumeric, no confusing chars)
 const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
 const generateCode = customAlphabet(alphabet, 8);
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A reward claim left this long by a run that died can be taken over
+const REWARD_CLAIM_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Terms for referrals made while no program was active: the referral earn rule's points,
+// held for a standard return window
+const DEFAULT_PROGRAM = {
+  refereeCouponBatchId: null,
+  referrerRewardType: "points",
+  referrerRewardValue: null,
+  minQualifyingOrderValue: 0,
+  rewardHoldDays: 7,
+};
+
 /**
  * Generates a unique referral code for a user
  * @param {string} userId - User ID to generate code for
@@ -70,8 +90,10 @@ export const getOrCreateReferralCode = async (userId) => {
  * @returns {Promise<{valid: boolean, referrerId?: string, message?: string}>}
  */
 export const validateReferralCode = async (code) => {
+  // The referrer's own code record; flags on individual referrals don't retire the code
   const referral = await Referral.findOne({
     referrerCode: code.toUpperCase(),
+    refereeEmail: null,
   }).populate("referrer", "firstName lastName");
 
   if (!referral) {
@@ -89,8 +111,364 @@ export const validateReferralCode = async (code) => {
   };
 };
 
+/**
+ * Get the referral program new referrals are enrolled in
+ * @returns {Promise<object|null>} Most recently created active program
+ */
+export const getActiveProgram = async () => {
+  return ReferralProgram.findOne({ isActive: true }).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Get the terms a referral is rewarded under
+ * Referrals keep the program they were enrolled in, even after it is deactivated.
+ * @param {object} referral - Referral
+ * @returns {Promise<object>} Program, or the default terms
+ */
+const getReferralTerms = async (referral) => {
+  const program = referral.program
+    ? await ReferralProgram.findById(referral.program).lean()
+    : await getActiveProgram();
+  return program || DEFAULT_PROGRAM;
+};
+
+/**
+ * Attach a new customer to the referral code applied with their email
+ * Issues the referee's discount code when the program has one.
+ * @param {string} email - Email the code was applied with
+ * @param {string} userId - New customer's user ID
+ * @returns {Promise<object|null>} Referral, or null when none was pending for the email
+ */
+export const linkReferee = async (email, userId) => {
+  const referral = await Referral.findOneAndUpdate(
+    { refereeEmail: email.toLowerCase(), referee: null, status: "pending" },
+    { $set: { referee: userId, status: "signed_up" } },
+    { new: true }
+  );
+  if (!referral) {
+    return null;
+  }
+
+  const terms = await getReferralTerms(referral);
+  if (terms.refereeCouponBatchId) {
+    const result = await issueBatchCouponCode(terms.refereeCouponBatchId, terms.refereeCouponValidForHours);
+    if (result.success) {
+      referral.refereeCouponCode = result.data.code;
+      referral.refereeCouponExpiresAt = result.data.endsAt || null;
+      await referral.save();
+    } else {
+      console.log(`> Warning: Failed to issue referee coupon for referral ${referral._id}: ${result.error}`);
+    }
+  }
+
+  return referral;
+};
+
+/**
+ * Convert a referral on the referee's first delivered order of the qualifying value
+ * The referrer's reward is held until the order's return window closes.
+ * @param {object} order - { refereeId, orderId, orderNumber, amount }
+ * @returns {Promise<object|null>} Referral, or null when the customer wasn't referred
+ */
+export const convertReferral = async ({ refereeId, orderId, orderNumber, amount }) => {
+  const referral = await Referral.findOne({ referee: refereeId, status: "signed_up" });
+  if (!referral) {
+    return null;
+  }
+
+  const terms = await getReferralTerms(referral);
+  if (amount < terms.minQualifyingOrderValue) {
+    console.log(`> Order ${orderNumber} is below the referral minimum of ${terms.minQualifyingOrderValue}`);
+    return referral;
+  }
+
+  const now = new Date();
+  return Referral.findOneAndUpdate(
+    { _id: referral._id, status: "signed_up" },
+    {
+      $set: {
+        status: "converted",
+        program: terms._id || null,
+        refereeFirstOrder: orderId,
+        refereeFirstOrderNumber: orderNumber,
+        refereeFirstOrderAmount: amount,
+        refereeFirstOrderReturns: [],
+        convertedAt: now,
+        rewardEligibleAt: new Date(now.getTime() + terms.rewardHoldDays * DAY_MS),
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Undo a conversion when the qualifying order is returned before the reward is paid
+ * A return lowers the order's qualifying value; once it falls below the program minimum
+ * (or the whole order comes back) the referral waits for another qualifying order.
+ * @param {object} reversal - { refereeId, orderId, returnId, amount }; no returnId means the order was cancelled
+ * @returns {Promise<object|null>} Referral, or null when no unpaid conversion used the order
+ */
+export const reverseReferralConversion = async ({ refereeId, orderId, returnId = null, amount = 0 }) => {
+  let referral;
+  if (returnId) {
+    // Recording the return ID makes a repeated call a no-op
+    referral = await Referral.findOneAndUpdate(
+      { referee: refereeId, refereeFirstOrder: orderId, status: "converted", refereeFirstOrderReturns: { $ne: returnId } },
+      { $push: { refereeFirstOrderReturns: returnId }, $inc: { refereeFirstOrderAmount: -amount } },
+      { new: true }
+    );
+  } else {
+    referral = await Referral.findOne({ referee: refereeId, refereeFirstOrder: orderId, status: "converted" });
+  }
+  if (!referral) {
+    return null;
+  }
+
+  const terms = await getReferralTerms(referral);
+  const remaining = returnId ? referral.refereeFirstOrderAmount : 0;
+  if (remaining > 0 && remaining >= terms.minQualifyingOrderValue) {
+    return referral;
+  }
+
+  console.log(`> Referral ${referral._id} no longer qualifies after order ${referral.refereeFirstOrderNumber} was returned`);
+  return Referral.findOneAndUpdate(
+    { _id: referral._id, status: "converted" },
+    {
+      $set: {
+        status: "signed_up",
+        refereeFirstOrder: null,
+        refereeFirstOrderNumber: null,
+        refereeFirstOrderAmount: 0,
+        refereeFirstOrderReturns: [],
+        convertedAt: null,
+        rewardEligibleAt: null,
+      },
+    },
+    { new: true }
+  );
+};
+
+// Gmail ignores dots and +tags, so these all reach the same inbox
+const normalizeEmail = (email) => {
+  if (!email) {
+    return null;
+  }
+  const [local, domain] = email.toLowerCase().split("@");
+  const base = local.split("+")[0];
+  return ["gmail.com", "googlemail.com"].includes(domain)
+    ? `${base.replace(/\./g, "")}@gmail.com`
+    : `${base}@${domain}`;
+};
+
+const shared = (first, second) => first.filter((value) => second.includes(value));
+
+/**
+ * Look for links between a referral's referrer and referee
+ * Checks for self-referral (same account or email inbox), referral loops and a phone,
+ * address or device the two accounts have in common.
+ * @param {object} referral - Referral with a referee
+ * @returns {Promise<object>} { success, data: { signals } } or { success: false, error }
+ */
+export const detectFraudSignals = async (referral) => {
+  const referrerId = referral.referrer.toString();
+  const refereeId = referral.referee.toString();
+  const signals = [];
+
+  if (referrerId === refereeId) {
+    return { success: true, data: { signals: [{ type: "self_referral", detail: "Referrer referred their own account" }] } };
+  }
+
+  const loop = await Referral.exists({ referrer: referral.referee, referee: referral.referrer });
+  if (loop) {
+    signals.push({ type: "referral_loop", detail: "Referee has also referred the referrer" });
+  }
+
+  const [referrerResult, refereeResult] = await Promise.all([
+    getCustomerSignals(referrerId),
+    getCustomerSignals(refereeId),
+  ]);
+  if (!referrerResult.success || !refereeResult.success) {
+    return { success: false, error: referrerResult.error || refereeResult.error };
+  }
+  const referrer = referrerResult.data.signals;
+  const referee = refereeResult.data.signals;
+
+  if (normalizeEmail(referrer.email) && normalizeEmail(referrer.email) === normalizeEmail(referee.email)) {
+    signals.push({ type: "self_referral", detail: "Referrer and referee emails reach the same inbox" });
+  }
+
+  const phones = shared(referrer.phones, referee.phones);
+  if (phones.length > 0) {
+    signals.push({ type: "shared_phone", detail: `Phone ending ${phones[0].slice(-4)}` });
+  }
+
+  const addresses = shared(referrer.addresses, referee.addresses);
+  if (addresses.length > 0) {
+    signals.push({ type: "shared_address", detail: `Address in pincode ${addresses[0].split("|")[1]}` });
+  }
+
+  const devices = shared(referrer.deviceIds, referee.deviceIds);
+  if (devices.length > 0) {
+    signals.push({ type: "shared_device", detail: `${devices.length} device(s) used by both accounts` });
+  }
+
+  return { success: true, data: { signals } };
+};
+
+/**
+ * Screen a referral for fraud and flag it when any signal is found
+ * Referrals an admin has cleared are not screened again.
+ * @param {object} referral - Referral document
+ * @returns {Promise<object>} { success, data: { flagged } } or { success: false, error }
+ */
+export const screenReferral = async (referral) => {
+  if (referral.fraudReviewedAt) {
+    return { success: true, data: { flagged: false } };
+  }
+
+  const result = await detectFraudSignals(referral);
+  if (!result.success) {
+    return result;
+  }
+
+  const { signals } = result.data;
+  if (signals.length === 0) {
+    return { success: true, data: { flagged: false } };
+  }
+
+  const types = [...new Set(signals.map((signal) => signal.type))];
+  referral.fraudSignals = signals;
+  referral.isFlagged = true;
+  referral.flagReason = `Automatic: ${types.join(", ")}`;
+  referral.flaggedBy = null;
+  referral.flaggedAt = new Date();
+  await referral.save();
+
+  console.log(`> Referral ${referral._id} flagged: ${types.join(", ")}`);
+  return { success: true, data: { flagged: true } };
+};
+
+/**
+ * Pay the referrer's reward in store credit or points under the referral's program
+ * Both are issued once per referral (a unique index backs this), so a retried payout can't pay twice.
+ * @param {object} referral - Converted referral document
+ * @returns {Promise<object>} { success, data: { referral, skipped } }
+ */
+export const payReferralReward = async (referral) => {
+  const terms = await getReferralTerms(referral);
+
+  if (terms.referrerRewardType === "store_credit") {
+    const result = await issueStoreCredit(referral.referrer, terms.referrerRewardValue, {
+      referenceType: "referral",
+      referenceId: referral._id,
+      description: "Store credit for referring a friend",
+    });
+    referral.referrerRewardAmount = result.data.transaction.amount;
+  } else {
+    const result = await awardReferralPoints(referral, terms.referrerRewardValue);
+    if (!result.data.transaction) {
+      return { success: true, data: { referral, skipped: result.data.skipped } };
+    }
+    referral.referrerRewardPoints = result.data.transaction.points;
+  }
+
+  referral.referrerRewardType = terms.referrerRewardType;
+  referral.rewardsIssued = true;
+  referral.rewardsIssuedAt = new Date();
+  referral.status = "rewarded";
+  await referral.save();
+
+  return { success: true, data: { referral, skipped: null } };
+};
+
+/**
+ * Conditions under which a reward run may claim a referral
+ * @param {Date} now - Current time
+ * @returns {object} Query conditions
+ */
+const claimableRewardQuery = (now) => ({
+  isFlagged: false,
+  rewardEligibleAt: { $lte: now },
+  $or: [
+    { status: "converted" },
+    { status: "rewarding", rewardClaimedAt: { $lte: new Date(now.getTime() - REWARD_CLAIM_TIMEOUT_MS) } },
+  ],
+});
+
+/**
+ * Hand a claimed referral back so a later run can reward it
+ * @param {string} referralId - Referral ID
+ */
+const unclaimReferral = async (referralId) => {
+  await Referral.updateOne({ _id: referralId, status: "rewarding" }, { $set: { status: "converted", rewardClaimedAt: null } });
+};
+
+/**
+ * Reward referrals whose qualifying order is past its return window
+ * Each referral is claimed (converted to rewarding) before anything is paid, so overlapping
+ * runs can't both pay it. It is then screened for fraud; flagged ones wait for an admin, and
+ * ones that can't be screened or paid are handed back for the next run.
+ * @param {Date} [now] - Cut-off for the reward hold
+ * @returns {Promise<object>} { due, rewarded, flagged, failed }
+ */
+export const processReferralRewards = async (now = new Date()) => {
+  const due = await Referral.find(claimableRewardQuery(now))
+    .select("_id")
+    .sort({ rewardEligibleAt: 1 })
+    .limit(500)
+    .lean();
+
+  const summary = { due: due.length, rewarded: 0, flagged: 0, failed: 0 };
+  for (const { _id: referralId } of due) {
+    const referral = await Referral.findOneAndUpdate(
+      { _id: referralId, ...claimableRewardQuery(now) },
+      { $set: { status: "rewarding", rewardClaimedAt: new Date() } },
+      { new: true }
+    );
+    if (!referral) {
+      continue;
+    }
+
+    try {
+      const screening = await screenReferral(referral);
+      if (!screening.success) {
+        console.log(`> Warning: Could not screen referral ${referral._id}: ${screening.error}`);
+        await unclaimReferral(referral._id);
+        summary.failed++;
+        continue;
+      }
+      if (screening.data.flagged) {
+        await unclaimReferral(referral._id);
+        summary.flagged++;
+        continue;
+      }
+
+      const payout = await payReferralReward(referral);
+      if (payout.data.skipped) {
+        await unclaimReferral(referral._id);
+      } else {
+        summary.rewarded++;
+      }
+    } catch (error) {
+      console.log(`> Error rewarding referral ${referral._id}:`, error.message);
+      await unclaimReferral(referral._id).catch(() => {});
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
 export default {
   generateReferralCode,
   getOrCreateReferralCode,
   validateReferralCode,
+  getActiveProgram,
+  linkReferee,
+  convertReferral,
+  reverseReferralConversion,
+  detectFraudSignals,
+  screenReferral,
+  payReferralReward,
+  processReferralRewards,
 };
@@ -0,0 +1,304 @@
+import CustomerSegment from "../models/customer-segment.model.js";
+import SegmentMembership from "../models/segment-membership.model.js";
+import LoyaltyAccount from "../models/loyalty-account.model.js";
+import { listCustomers } from "./auth-integration.service.js";
+import { getCustomerOrderStats } from "./order-integration.service.js";
+
+const PAGE_SIZE = parseInt(process.env.SEGMENT_REFRESH_PAGE_SIZE, 10) || 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ORDER_FIELDS = ["orderCount", "lifetimeValue", "averageOrderValue", "lastOrderDaysAgo"];
+
+/**
+ * Lowercase strings so text comparisons ignore case
+ * @param {*} value - Value to normalize
+ * @returns {*} Normalized value
+ */
+const normalize = (value) => (typeof value === "string" ? value.trim().toLowerCase() : value);
+
+/**
+ * Build the flat attribute set that segment rules are evaluated against
+ * @param {object} customer - Customer from the auth service
+ * @param {object|null} orderStats - Order stats from the order service
+ * @param {string|null} loyaltyTier - Loyalty tier name
+ * @param {Date} now - Evaluation time
+ * @returns {object} Customer profile
+ */
+export const buildCustomerProfile = (customer, orderStats, loyaltyTier, now = new Date()) => {
+  const stats = orderStats || {};
+
+  return {
+    signupDaysAgo: customer.createdAt
+      ? Math.floor((now - new Date(customer.createdAt)) / DAY_MS)
+      : null,
+    emailVerified: Boolean(customer.emailVerified),
+    phoneVerified: Boolean(customer.phoneVerified),
+    orderCount: stats.orderCount || 0,
+    lifetimeValue: stats.lifetimeValue || 0,
+    averageOrderValue: stats.averageOrderValue || 0,
+    lastOrderDaysAgo: stats.lastOrderAt
+      ? Math.floor((now - new Date(stats.lastOrderAt)) / DAY_MS)
+      : null,
+    loyaltyTier: loyaltyTier || null,
+    state: customer.state || null,
+    city: customer.city || null,
+    pincode: customer.pincode || null,
+  };
+};
+
+/**
+ * Evaluate one rule condition against a customer profile
+ * Missing attributes only satisfy neq, not_in and exists=false
+ * @param {object} condition - { field, operator, value }
+ * @param {object} profile - Customer profile
+ * @returns {boolean} True if the condition holds
+ */
+export const evaluateCondition = (condition, profile) => {
+  const actual = normalize(profile[condition.field]);
+  const expected = Array.isArray(condition.value)
+    ? condition.value.map(normalize)
+    : normalize(condition.value);
+  const isMissing = actual === null || actual === undefined;
+
+  switch (condition.operator) {
+    case "exists":
+      return expected === false ? isMissing : !isMissing;
+    case "eq":
+      return !isMissing && actual === expected;
+    case "neq":
+      return isMissing || actual !== expected;
+    case "gt":
+      return !isMissing && actual > expected;
+    case "gte":
+      return !isMissing && actual >= expected;
+    case "lt":
+      return !isMissing && actual < expected;
+    case "lte":
+      return !isMissing && actual <= expected;
+    case "in":
+      return !isMissing && [].concat(expected).includes(actual);
+    case "not_in":
+      return isMissing || ![].concat(expected).includes(actual);
+    case "starts_with":
+      return !isMissing && String(actual).startsWith(String(expected));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Evaluate a segment's rules against a customer profile
+ * A segment with no conditions matches nobody
+ * @param {object} rules - { match: "all"|"any", conditions }
+ * @param {object} profile - Customer profile
+ * @returns {boolean} True if the customer belongs to the segment
+ */
+export const evaluateRules = (rules, profile) => {
+  const conditions = rules?.conditions || [];
+  if (conditions.length === 0) {
+    return false;
+  }
+
+  return rules.match === "any"
+    ? conditions.some((condition) => evaluateCondition(condition, profile))
+    : conditions.every((condition) => evaluateCondition(condition, profile));
+};
+
+/**
+ * Check whether any segment rule needs a given group of fields
+ * @param {Array} segments - Segment documents
+ * @param {Array<string>} fields - Field names
+ * @returns {boolean} True if at least one condition uses one of the fields
+ */
+const usesFields = (segments, fields) =>
+  segments.some((segment) =>
+    (segment.rules?.conditions || []).some((condition) => fields.includes(condition.field))
+  );
+
+/**
+ * Get loyalty tier names keyed by user ID
+ * @param {Array<string>} userIds - Customer IDs
+ * @returns {Promise<Map>} userId -> tier name
+ */
+const getLoyaltyTiers = async (userIds) => {
+  const accounts = await LoyaltyAccount.find({ user: { $in: userIds } })
+    .select("user tier")
+    .populate("tier", "name")
+    .lean();
+
+  return new Map(accounts.map((account) => [account.user.toString(), account.tier?.name || null]));
+};
+
+/**
+ * Recompute membership for a set of segments in a single pass over all customers
+ * Members are upserted with the run timestamp, then anyone not seen in this run is removed.
+ * If any page fails, stale members are left in place so a partial run never empties a segment.
+ * @param {Array} segments - Segment documents
+ * @returns {Promise<object>} { customersScanned, segments: [{ segmentId, code, memberCount }] }
+ */
+export const refreshSegments = async (segments) => {
+  const runStart = new Date();
+  const needsOrderStats = usesFields(segments, ORDER_FIELDS);
+  const needsLoyalty = usesFields(segments, ["loyaltyTier"]);
+  let customersScanned = 0;
+  let page = 1;
+  let pages = 1;
+
+  console.log(`> Refreshing ${segments.length} segment(s)`);
+
+  try {
+    while (page <= pages) {
+      const customersResult = await listCustomers(page, PAGE_SIZE);
+      if (!customersResult.success) {
+        throw new Error(`Failed to load customers: ${customersResult.error}`);
+      }
+
+      const { customers, pagination } = customersResult.data;
+      pages = pagination.pages;
+      page++;
+
+      if (customers.length === 0) {
+        continue;
+      }
+
+      const userIds = customers.map((customer) => customer.userId);
+      let orderStats = {};
+      let loyaltyTiers = new Map();
+
+      if (needsOrderStats) {
+        const statsResult = await getCustomerOrderStats(userIds);
+        if (!statsResult.success) {
+          throw new Error(`Failed to load order stats: ${statsResult.error}`);
+        }
+        orderStats = statsResult.data.stats;
+      }
+
+      if (needsLoyalty) {
+        loyaltyTiers = await getLoyaltyTiers(userIds);
+      }
+
+      const operations = [];
+      for (const customer of customers) {
+        const profile = buildCustomerProfile(
+          customer,
+          orderStats[customer.userId],
+          loyaltyTiers.get(customer.userId),
+          runStart
+        );
+
+        for (const segment of segments) {
+          if (evaluateRules(segment.rules, profile)) {
+            operations.push({
+              updateOne: {
+                filter: { segment: segment._id, user: customer.userId },
+                update: { $set: { refreshedAt: runStart } },
+                upsert: true,
+              },
+            });
+          }
+        }
+      }
+
+      if (operations.length > 0) {
+        await SegmentMembership.bulkWrite(operations, { ordered: false });
+      }
+
+      customersScanned += customers.length;
+    }
+  } catch (error) {
+    console.log("> Segment refresh aborted:", error.message);
+    await CustomerSegment.updateMany(
+      { _id: { $in: segments.map((segment) => segment._id) } },
+      { $set: { lastRefreshError: error.message } }
+    );
+    throw error;
+  }
+
+  const results = [];
+  for (const segment of segments) {
+    await SegmentMembership.deleteMany({ segment: segment._id, refreshedAt: { $lt: runStart } });
+    const memberCount = await SegmentMembership.countDocuments({ segment: segment._id });
+
+    await CustomerSegment.updateOne(
+      { _id: segment._id },
+      { $set: { memberCount, lastRefreshedAt: runStart, lastRefreshError: null } }
+    );
+
+    results.push({ segmentId: segment._id, code: segment.code, memberCount });
+  }
+
+  console.log(`> Segment refresh completed: ${customersScanned} customers scanned`);
+
+  return { customersScanned, segments: results };
+};
+
+/**
+ * Refresh a single segment
+ * @param {object} segment - Segment document
+ * @returns {Promise<object>} Refresh summary
+ */
+export const refreshSegment = async (segment) => refreshSegments([segment]);
+
+/**
+ * Refresh every active segment
+ * @returns {Promise<object>} Refresh summary
+ */
+export const refreshAllSegments = async () => {
+  const segments = await CustomerSegment.find({ isActive: true }).lean();
+
+  if (segments.length === 0) {
+    return { customersScanned: 0, segments: [] };
+  }
+
+  return refreshSegments(segments);
+};
+
+/**
+ * Get the active segments a customer currently belongs to
+ * @param {string} userId - Customer ID
+ * @returns {Promise<Array>} [{ _id, code, name }]
+ */
+export const getUserSegments = async (userId) => {
+  const memberships = await SegmentMembership.find({ user: userId })
+    .populate({ path: "segment", select: "code name isActive" })
+    .lean();
+
+  return memberships
+    .filter((membership) => membership.segment?.isActive)
+    .map(({ segment }) => ({ _id: segment._id, code: segment.code, name: segment.name }));
+};
+
+/**
+ * Check which of the given segments a customer belongs to
+ * @param {string} userId - Customer ID
+ * @param {Array<string>} segmentIds - Segment IDs to check
+ * @returns {Promise<object>} { eligible, matchedSegmentIds }
+ */
+export const checkUserSegments = async (userId, segmentIds) => {
+  const activeSegmentIds = await CustomerSegment.find({
+    _id: { $in: segmentIds },
+    isActive: true,
+  }).distinct("_id");
+
+  const memberships = await SegmentMembership.find({
+    user: userId,
+    segment: { $in: activeSegmentIds },
+  })
+    .select("segment")
+    .lean();
+
+  const matchedSegmentIds = memberships.map((membership) => membership.segment.toString());
+
+  return { eligible: matchedSegmentIds.length > 0, matchedSegmentIds };
+};
+
+export default {
+  buildCustomerProfile,
+  evaluateCondition,
+  evaluateRules,
+  refreshSegments,
+  refreshSegment,
+  refreshAllSegments,
+  getUserSegments,
+  checkUserSegments,
+};
@@ -0,0 +1,59 @@
+import StoreCredit from "../models/store-credit.model.js";
+import StoreCreditTransaction from "../models/store-credit-transaction.model.js";
+
+/**
+ * Credit a customer's store credit for something another part of the system owes them
+ * The transaction is written before the balance moves, so the unique reference index
+ * turns a repeated credit into the original transaction instead of a second payout.
+ * @param {string} userId - User ID
+ * @param {number} amount - Amount to credit
+ * @param {object} details - { referenceType, referenceId, description, createdBy }
+ * @returns {Promise<object>} { success, data: { storeCredit, transaction, duplicate } }
+ */
+export const issueStoreCredit = async (userId, amount, { referenceType, referenceId, description, createdBy = null }) => {
+  const account = await StoreCredit.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  let transaction;
+  try {
+    transaction = await StoreCreditTransaction.create({
+      user: userId,
+      storeCredit: account._id,
+      type: "credit",
+      amount,
+      balanceAfter: account.balance + amount,
+      referenceType,
+      referenceId,
+      description,
+      createdBy,
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const existing = await StoreCreditTransaction.findOne({ user: userId, type: "credit", referenceType, referenceId }).lean();
+    const storeCredit = await StoreCredit.findById(existing.storeCredit).lean();
+    return { success: true, data: { storeCredit, transaction: existing, duplicate: true } };
+  }
+
+  const storeCredit = await StoreCredit.findOneAndUpdate(
+    { _id: account._id },
+    { $inc: { balance: amount, lifetimeEarned: amount } },
+    { new: true }
+  );
+
+  // Another movement may have landed between reading the account and crediting it
+  if (transaction.balanceAfter !== storeCredit.balance) {
+    transaction.balanceAfter = storeCredit.balance;
+    await transaction.save();
+  }
+
+  return { success: true, data: { storeCredit, transaction, duplicate: false } };
+};
+
+export default {
+  issueStoreCredit,
+};
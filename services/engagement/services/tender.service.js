@@ -0,0 +1,386 @@
+import LoyaltyAccount from "../models/loyalty-account.model.js";
+import LoyaltyTransaction from "../models/loyalty-transaction.model.js";
+import StoreCredit from "../models/store-credit.model.js";
+import StoreCreditTransaction from "../models/store-credit-transaction.model.js";
+import TenderHold from "../models/tender-hold.model.js";
+import { findRedeemRule } from "./loyalty.service.js";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Currency value of points under a redeem rule
+ * @param {object} rule - Redeem rule
+ * @param {number} points - Points to redeem
+ * @returns {number} Value, rounded to paise
+ */
+export const pointsToAmount = (rule, points) => roundAmount((points * (rule.pointsPerAmount || 0)) / rule.pointsValue);
+
+/**
+ * Release held balances back to the customer
+ * @param {string} userId - User ID
+ * @param {number} points - Loyalty points held
+ * @param {number} storeCreditAmount - Store credit held
+ */
+const releaseBalances = async (userId, points, storeCreditAmount) => {
+  if (points > 0) {
+    await LoyaltyAccount.updateOne({ user: userId }, { $inc: { pointsHeld: -points } });
+  }
+  if (storeCreditAmount > 0) {
+    await StoreCredit.updateOne({ user: userId }, { $inc: { heldBalance: -storeCreditAmount } });
+  }
+};
+
+/**
+ * Hold balances for a customer if enough of each is available
+ * @param {string} userId - User ID
+ * @param {number} points - Loyalty points to hold
+ * @param {number} storeCreditAmount - Store credit to hold
+ * @returns {Promise<object>} { success } or { success: false, error, statusCode }
+ */
+const holdBalances = async (userId, points, storeCreditAmount) => {
+  if (points > 0) {
+    const held = await LoyaltyAccount.updateOne(
+      {
+        user: userId,
+        $expr: { $gte: [{ $subtract: ["$pointsBalance", { $ifNull: ["$pointsHeld", 0] }] }, points] },
+      },
+      { $inc: { pointsHeld: points } }
+    );
+    if (held.modifiedCount === 0) {
+      return { success: false, error: "Not enough loyalty points", statusCode: 400 };
+    }
+  }
+
+  if (storeCreditAmount > 0) {
+    const held = await StoreCredit.updateOne(
+      {
+        user: userId,
+        $expr: { $gte: [{ $subtract: ["$balance", { $ifNull: ["$heldBalance", 0] }] }, storeCreditAmount] },
+      },
+      { $inc: { heldBalance: storeCreditAmount } }
+    );
+    if (held.modifiedCount === 0) {
+      await releaseBalances(userId, points, 0);
+      return { success: false, error: "Not enough store credit", statusCode: 400 };
+    }
+  }
+
+  return { success: true };
+};
+
+/**
+ * Put a released hold back in place, for an order that was paid after all
+ * The hold is claimed first so concurrent captures can't take the balances twice.
+ * @param {object} hold - Released hold
+ * @returns {Promise<boolean>} True when the hold is no longer released (held again, or claimed by a concurrent capture)
+ */
+const reholdReleased = async (hold) => {
+  const claimed = await TenderHold.updateOne(
+    { _id: hold._id, status: "released" },
+    { $set: { status: "held", releasedAt: null, releaseReason: null } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return true;
+  }
+
+  const held = await holdBalances(hold.user, hold.loyaltyPoints, hold.storeCreditAmount);
+  if (!held.success) {
+    await TenderHold.updateOne(
+      { _id: hold._id, status: "held" },
+      { $set: { status: "released", releasedAt: hold.releasedAt, releaseReason: hold.releaseReason } }
+    );
+    console.log(`> Tenders for order ${hold.orderNumber} can't be held again: ${held.error}`);
+    return false;
+  }
+
+  console.log(`> Tenders held again for paid order ${hold.orderNumber} (released: ${hold.releaseReason})`);
+  return true;
+};
+
+/**
+ * Hold loyalty points and store credit towards an order
+ * The held part of each balance can't be spent elsewhere until the hold is captured or released.
+ * Holding again for the same order returns the existing hold.
+ * @param {object} request - { userId, orderId, orderNumber, orderTotal, loyaltyPoints, storeCreditAmount, expiresAt }
+ * @returns {Promise<object>} { success, data: { hold, duplicate } } or { success: false, error, statusCode }
+ */
+export const holdTenders = async ({ userId, orderId, orderNumber, orderTotal, loyaltyPoints = 0, storeCreditAmount = 0, expiresAt }) => {
+  const existing = await TenderHold.findOne({ orderId }).lean();
+  if (existing) {
+    return { success: true, data: { hold: existing, duplicate: true } };
+  }
+
+  let loyaltyAmount = 0;
+  if (loyaltyPoints > 0) {
+    const rule = await findRedeemRule();
+    if (!rule || !rule.pointsValue || !rule.pointsPerAmount) {
+      return { success: false, error: "Loyalty points can't be redeemed right now", statusCode: 400 };
+    }
+    if (orderTotal < (rule.minOrderValue || 0)) {
+      return { success: false, error: `Points can be used on orders of ${rule.minOrderValue} or more`, statusCode: 400 };
+    }
+    if (rule.maxPointsPerOrder != null && loyaltyPoints > rule.maxPointsPerOrder) {
+      return { success: false, error: `At most ${rule.maxPointsPerOrder} points can be used on an order`, statusCode: 400 };
+    }
+    loyaltyAmount = pointsToAmount(rule, loyaltyPoints);
+  }
+
+  storeCreditAmount = roundAmount(storeCreditAmount);
+  if (roundAmount(loyaltyAmount + storeCreditAmount) > orderTotal) {
+    return { success: false, error: "Points and store credit are worth more than the order total", statusCode: 400 };
+  }
+
+  const held = await holdBalances(userId, loyaltyPoints, storeCreditAmount);
+  if (!held.success) {
+    return held;
+  }
+
+  try {
+    const hold = await TenderHold.create({
+      user: userId,
+      orderId,
+      orderNumber,
+      loyaltyPoints,
+      loyaltyAmount,
+      storeCreditAmount,
+      expiresAt,
+    });
+    console.log(`> Tenders held for order ${orderNumber}: ${loyaltyPoints} points, ${storeCreditAmount} store credit`);
+    return { success: true, data: { hold, duplicate: false } };
+  } catch (error) {
+    await releaseBalances(userId, loyaltyPoints, storeCreditAmount);
+    if (error.code === 11000) {
+      const hold = await TenderHold.findOne({ orderId }).lean();
+      return { success: true, data: { hold, duplicate: true } };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Debit an order's held points and store credit once its payment has succeeded
+ * A hold already released (expired, or after a failed payment attempt) is taken again
+ * while the customer still has the balances.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<object>} { success, data: { hold } } or { success: false, error, statusCode }
+ */
+export const captureTenders = async (orderId) => {
+  const hold = await TenderHold.findOneAndUpdate(
+    { orderId, status: "held" },
+    { $set: { status: "captured", capturedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!hold) {
+    const existing = await TenderHold.findOne({ orderId }).lean();
+    if (!existing) {
+      return { success: false, error: "No points or store credit are held for this order", statusCode: 404 };
+    }
+    if (existing.status === "released") {
+      if (await reholdReleased(existing)) {
+        return captureTenders(orderId);
+      }
+      return {
+        success: false,
+        error: "The held points and store credit were released and are no longer available",
+        statusCode: 409,
+      };
+    }
+    return { success: true, data: { hold: existing } };
+  }
+
+  if (hold.loyaltyPoints > 0) {
+    const account = await LoyaltyAccount.findOneAndUpdate(
+      { user: hold.user },
+      {
+        $inc: {
+          pointsBalance: -hold.loyaltyPoints,
+          pointsHeld: -hold.loyaltyPoints,
+          pointsRedeemedLifetime: hold.loyaltyPoints,
+        },
+        $set: { lastActivityAt: new Date() },
+      },
+      { new: true }
+    );
+    await LoyaltyTransaction.create({
+      user: hold.user,
+      loyaltyAccount: account._id,
+      type: "redeem",
+      points: -hold.loyaltyPoints,
+      balanceAfter: account.pointsBalance,
+      referenceType: "order",
+      referenceId: hold.orderId,
+      description: `Redeemed on order ${hold.orderNumber}`,
+    });
+  }
+
+  if (hold.storeCreditAmount > 0) {
+    const storeCredit = await StoreCredit.findOneAndUpdate(
+      { user: hold.user },
+      {
+        $inc: {
+          balance: -hold.storeCreditAmount,
+          heldBalance: -hold.storeCreditAmount,
+          lifetimeUsed: hold.storeCreditAmount,
+        },
+      },
+      { new: true }
+    );
+    await StoreCreditTransaction.create({
+      user: hold.user,
+      storeCredit: storeCredit._id,
+      type: "debit",
+      amount: hold.storeCreditAmount,
+      balanceAfter: storeCredit.balance,
+      referenceType: "order",
+      referenceId: hold.orderId,
+      description: `Used on order ${hold.orderNumber}`,
+    });
+  }
+
+  console.log(`> Tenders captured for order ${hold.orderNumber}`);
+  return { success: true, data: { hold } };
+};
+
+/**
+ * Give an order's held points and store credit back without debiting them
+ * @param {string} orderId - Order ID
+ * @param {string} reason - Why the hold was released
+ * @returns {Promise<object>} { success, data: { hold } } or { success: false, error, statusCode }
+ */
+export const releaseTenders = async (orderId, reason) => {
+  const hold = await TenderHold.findOneAndUpdate(
+    { orderId, status: "held" },
+    { $set: { status: "released", releasedAt: new Date(), releaseReason: reason } },
+    { new: true }
+  );
+
+  if (!hold) {
+    const existing = await TenderHold.findOne({ orderId }).lean();
+    if (!existing) {
+      return { success: false, error: "No points or store credit are held for this order", statusCode: 404 };
+    }
+    if (existing.status === "captured") {
+      return { success: false, error: "The points and store credit were already debited", statusCode: 409 };
+    }
+    return { success: true, data: { hold: existing } };
+  }
+
+  await releaseBalances(hold.user, hold.loyaltyPoints, hold.storeCreditAmount);
+
+  console.log(`> Tenders released for order ${hold.orderNumber} (${reason})`);
+  return { success: true, data: { hold } };
+};
+
+/**
+ * Return part of an order's debited points and store credit for a refund
+ * The points returned are in proportion to loyaltyAmount. Amounts are capped at what
+ * is left unrefunded, and repeating a refund returns the first result.
+ * @param {string} orderId - Order ID
+ * @param {object} refund - { refundId, loyaltyAmount, storeCreditAmount }
+ * @returns {Promise<object>} { success, data: { hold, refund, duplicate } } or { success: false, error, statusCode }
+ */
+export const refundTenders = async (orderId, { refundId, loyaltyAmount = 0, storeCreditAmount = 0 }) => {
+  const hold = await TenderHold.findOne({ orderId });
+  if (!hold) {
+    return { success: false, error: "No points or store credit were used on this order", statusCode: 404 };
+  }
+  if (hold.status !== "captured") {
+    return { success: false, error: "Only debited points and store credit can be refunded", statusCode: 409 };
+  }
+
+  const existing = hold.refunds.find((entry) => String(entry.refundId) === String(refundId));
+  if (existing) {
+    return { success: true, data: { hold, refund: existing, duplicate: true } };
+  }
+
+  const refundedPoints = hold.refunds.reduce((total, entry) => total + entry.loyaltyPoints, 0);
+  const refundedCredit = hold.refunds.reduce((total, entry) => total + entry.storeCreditAmount, 0);
+
+  const points = hold.loyaltyAmount > 0
+    ? Math.min(Math.round((hold.loyaltyPoints * loyaltyAmount) / hold.loyaltyAmount), hold.loyaltyPoints - refundedPoints)
+    : 0;
+  const credit = roundAmount(Math.min(storeCreditAmount, hold.storeCreditAmount - refundedCredit));
+
+  // Claim the refund on the hold first so a concurrent repeat can't credit it twice
+  const claimed = await TenderHold.updateOne(
+    { _id: hold._id, "refunds.refundId": { $ne: refundId } },
+    { $push: { refunds: { refundId, loyaltyPoints: points, storeCreditAmount: credit } } }
+  );
+  if (claimed.modifiedCount === 0) {
+    const current = await TenderHold.findById(hold._id).lean();
+    const entry = current.refunds.find((item) => String(item.refundId) === String(refundId));
+    return { success: true, data: { hold: current, refund: entry, duplicate: true } };
+  }
+
+  if (points > 0) {
+    const account = await LoyaltyAccount.findOneAndUpdate(
+      { user: hold.user },
+      { $inc: { pointsBalance: points, pointsRedeemedLifetime: -points }, $set: { lastActivityAt: new Date() } },
+      { new: true }
+    );
+    await LoyaltyTransaction.create({
+      user: hold.user,
+      loyaltyAccount: account._id,
+      type: "adjust",
+      points,
+      balanceAfter: account.pointsBalance,
+      referenceType: "refund",
+      referenceId: refundId,
+      description: `Refunded from order ${hold.orderNumber}`,
+    });
+  }
+
+  if (credit > 0) {
+    const storeCredit = await StoreCredit.findOneAndUpdate(
+      { user: hold.user },
+      { $inc: { balance: credit, lifetimeUsed: -credit } },
+      { new: true }
+    );
+    await StoreCreditTransaction.create({
+      user: hold.user,
+      storeCredit: storeCredit._id,
+      type: "credit",
+      amount: credit,
+      balanceAfter: storeCredit.balance,
+      referenceType: "refund",
+      referenceId: refundId,
+      description: `Refunded from order ${hold.orderNumber}`,
+    });
+  }
+
+  console.log(`> Tenders refunded for order ${hold.orderNumber}: ${points} points, ${credit} store credit`);
+  const updated = await TenderHold.findById(hold._id).lean();
+  return {
+    success: true,
+    data: { hold: updated, refund: { refundId, loyaltyPoints: points, storeCreditAmount: credit }, duplicate: false },
+  };
+};
+
+/**
+ * Release holds whose order was never paid
+ * @param {Date} [now] - Cut-off
+ * @returns {Promise<object>} { released }
+ */
+export const releaseExpiredHolds = async (now = new Date()) => {
+  const expired = await TenderHold.find({ status: "held", expiresAt: { $lte: now } }).select("orderId").lean();
+
+  let released = 0;
+  for (const hold of expired) {
+    const result = await releaseTenders(hold.orderId, "expired");
+    if (result.success && result.data.hold.releaseReason === "expired") {
+      released++;
+    }
+  }
+
+  return { released };
+};
+
+export default {
+  pointsToAmount,
+  holdTenders,
+  captureTenders,
+  releaseTenders,
+  refundTenders,
+  releaseExpiredHolds,
+};
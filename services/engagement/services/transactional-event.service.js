@@ -0,0 +1,225 @@
+import NotificationTemplate from "../models/notification-template.model.js";
+import TransactionalEvent from "../models/transactional-event.model.js";
+import { queueTemplatedNotification } from "./notification-dispatcher.service.js";
+import { getCustomerContact } from "./auth-integration.service.js";
+
+/**
+ * Transactional events and the template each one is sent with
+ * Template variables are the event's data fields plus customerName.
+ */
+export const TRANSACTIONAL_EVENTS = {
+  "order.confirmed": { templateCode: "ORDER_CONFIRMED", referenceType: "order" },
+  "order.shipped": { templateCode: "ORDER_SHIPPED", referenceType: "order" },
+  "order.delivered": { templateCode: "ORDER_DELIVERED", referenceType: "order" },
+  "order.cancelled": { templateCode: "ORDER_CANCELLED", referenceType: "order" },
+  "payment.succeeded": { templateCode: "PAYMENT_SUCCESS", referenceType: "payment" },
+  "payment.failed": { templateCode: "PAYMENT_FAILED", referenceType: "payment" },
+  "refund.initiated": { templateCode: "REFUND_INITIATED", referenceType: "refund" },
+  "refund.completed": { templateCode: "REFUND_COMPLETED", referenceType: "refund" },
+  "return.approved": { templateCode: "RETURN_APPROVED", referenceType: "return" },
+  "return.rejected": { templateCode: "RETURN_REJECTED", referenceType: "return" },
+  "invoice.issued": { templateCode: "INVOICE_ISSUED", referenceType: "invoice" },
+};
+
+// An event still processing after this long was abandoned (crash or unhandled error)
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// Contact detail each channel is addressed to
+const CHANNEL_RECIPIENT_FIELD = {
+  email: "email",
+  sms: "phone",
+  whatsapp: "phone",
+  push: "deviceToken",
+};
+
+/**
+ * Record the event, or pick up an earlier attempt at it that failed or was abandoned
+ * @param {object} event - Validated event
+ * @returns {Promise<object>} { event, duplicate }
+ */
+const claimEvent = async (event) => {
+  const { eventType, referenceId, userId, source, recipient, data } = event;
+
+  try {
+    const created = await TransactionalEvent.create({
+      eventType,
+      referenceId,
+      source: source || null,
+      user: userId || null,
+      templateCode: TRANSACTIONAL_EVENTS[eventType].templateCode,
+      recipient: recipient || {},
+      data: data || {},
+      status: "processing",
+      processingStartedAt: new Date(),
+    });
+    return { event: created, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const now = new Date();
+  const retried = await TransactionalEvent.findOneAndUpdate(
+    {
+      eventType,
+      referenceId,
+      $or: [
+        { status: "failed" },
+        {
+          status: "processing",
+          $or: [
+            { processingStartedAt: null },
+            { processingStartedAt: { $lte: new Date(now.getTime() - PROCESSING_LEASE_MS) } },
+          ],
+        },
+      ],
+    },
+    {
+      $set: {
+        status: "processing",
+        processingStartedAt: now,
+        errorMessage: null,
+        user: userId || null,
+        recipient: recipient || {},
+        data: data || {},
+      },
+    },
+    { new: true }
+  );
+  if (retried) {
+    return { event: retried, duplicate: false };
+  }
+
+  const existing = await TransactionalEvent.findOne({ eventType, referenceId });
+  return { event: existing, duplicate: true };
+};
+
+/**
+ * Fill in contact details the event didn't carry from the customer's auth profile
+ * @param {object} event - Transactional event document
+ * @returns {Promise<object>} { email, phone, deviceToken, customerName }
+ */
+const resolveRecipient = async (event) => {
+  const recipient = {
+    email: event.recipient?.email || null,
+    phone: event.recipient?.phone || null,
+    deviceToken: event.recipient?.deviceToken || null,
+    customerName: event.data?.customerName || null,
+  };
+
+  if (event.user && (!recipient.email || !recipient.phone || !recipient.customerName)) {
+    const result = await getCustomerContact(event.user.toString());
+    const contact = result.success ? result.data?.contact : null;
+    if (contact) {
+      recipient.email = recipient.email || contact.email;
+      recipient.phone = recipient.phone || contact.phone;
+      recipient.customerName =
+        recipient.customerName || [contact.firstName, contact.lastName].filter(Boolean).join(" ") || null;
+    } else {
+      console.log(`> Contact lookup failed for user ${event.user}: ${result.error}`);
+    }
+  }
+
+  return recipient;
+};
+
+/**
+ * Save one channel's outcome on the event as soon as it is known
+ * A failure on a later channel then leaves the queued ones recorded, so a retry skips them.
+ * @param {object} record - Transactional event document
+ * @param {object} outcome - { channel, status, notification, reason }
+ */
+const recordChannelOutcome = async (record, outcome) => {
+  record.notifications = [
+    ...record.notifications.filter((entry) => entry.channel !== outcome.channel),
+    outcome,
+  ];
+  await record.save();
+};
+
+/**
+ * Queue the notifications for an order, payment, refund, return or invoice event
+ * Each of the template's channels is sent unless the customer turned the channel off
+ * or there is no address for it. Repeating an event returns the first result.
+ * @param {object} event - { eventType, referenceId, userId, source, recipient, data }
+ * @returns {Promise<object>} { success, data: { event, duplicate } } or { success: false, error, statusCode }
+ */
+export const processTransactionalEvent = async (event) => {
+  const claim = await claimEvent(event);
+  if (claim.duplicate) {
+    return { success: true, data: claim };
+  }
+
+  const record = claim.event;
+  const { referenceType } = TRANSACTIONAL_EVENTS[record.eventType];
+
+  try {
+    const template = await NotificationTemplate.findOne({ code: record.templateCode, isActive: true }).lean();
+    if (!template) {
+      record.status = "failed";
+      record.errorMessage = `Template with code '${record.templateCode}' not found or inactive`;
+      await record.save();
+      return { success: false, error: record.errorMessage, statusCode: 404 };
+    }
+
+    const recipient = await resolveRecipient(record);
+
+    const variables = { ...record.data, customerName: recipient.customerName || "Customer" };
+
+    // Channels an earlier attempt at this event already queued are not sent again
+    const queuedChannels = new Set(
+      record.notifications.filter((entry) => entry.status === "queued").map((entry) => entry.channel)
+    );
+
+    for (const channel of template.channels) {
+      if (queuedChannels.has(channel)) {
+        continue;
+      }
+
+      const address = recipient[CHANNEL_RECIPIENT_FIELD[channel]];
+      if (!address) {
+        await recordChannelOutcome(record, { channel, status: "skipped", reason: "no_recipient" });
+        continue;
+      }
+
+      const queued = await queueTemplatedNotification({
+        templateCode: record.templateCode,
+        userId: record.user,
+        channel,
+        recipient: address,
+        variables,
+        referenceType,
+        referenceId: record.referenceId,
+      });
+
+      // The dispatcher skips channels the customer opted out of
+      if (!queued.success) {
+        await recordChannelOutcome(record, { channel, status: "skipped", reason: queued.error });
+      } else if (queued.skipped) {
+        await recordChannelOutcome(record, { channel, status: "skipped", reason: queued.skipped });
+      } else {
+        await recordChannelOutcome(record, { channel, status: "queued", notification: queued.data._id });
+      }
+    }
+
+    record.status = "processed";
+    record.processedAt = new Date();
+    await record.save();
+
+    console.log(
+      `> ${record.eventType} ${record.referenceId}: ${record.notifications.filter((n) => n.status === "queued").length} notification(s) queued`
+    );
+    return { success: true, data: { event: record, duplicate: false } };
+  } catch (error) {
+    record.status = "failed";
+    record.errorMessage = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+export default {
+  TRANSACTIONAL_EVENTS,
+  processTransactionalEvent,
+};
@@ -0,0 +1,38 @@
+import { sendResponse } from "@shared/utils";
+import { exportCustomerData, pseudonymizeCustomerData } from "../../services/customer-data.service.js";
+
+/**
+ * @route GET /api/internal/customers/:userId/export
+ * @description Export a customer's engagement data (personal data export)
+ * @access Internal (service authentication)
+ */
+export const exportData = async (req, res) => {
+  const { userId } = req.params;
+  console.log(`> GET /api/internal/customers/${userId}/export (service: ${req.serviceId})`);
+
+  try {
+    const data = await exportCustomerData(userId);
+    return sendResponse(res, 200, "Customer data exported successfully", data, null);
+  } catch (error) {
+    console.log("> Error exporting customer data:", error.message);
+    return sendResponse(res, 500, "Failed to export customer data", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/internal/customers/:userId/pseudonymize
+ * @description Scrub personal details from a customer's engagement data (account deletion)
+ * @access Internal (service authentication)
+ */
+export const pseudonymizeData = async (req, res) => {
+  const { userId } = req.params;
+  console.log(`> POST /api/internal/customers/${userId}/pseudonymize (service: ${req.serviceId})`);
+
+  try {
+    const summary = await pseudonymizeCustomerData(userId);
+    return sendResponse(res, 200, "Customer data pseudonymized successfully", summary, null);
+  } catch (error) {
+    console.log("> Error pseudonymizing customer data:", error.message);
+    return sendResponse(res, 500, "Failed to pseudonymize customer data", null, error.message);
+  }
+};
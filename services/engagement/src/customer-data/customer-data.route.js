@@ -0,0 +1,31 @@
+import { Router } from "express";
+import { exportData, pseudonymizeData } from "./customer-data.controller.js";
+import { validate } from "@shared/middlewares";
+import { authenticateService } from "@shared/auth-middleware";
+import { customerIdParamSchema } from "./customer-data.validation.js";
+
+const internalRouter = Router();
+
+/**
+ * Internal Routes (service-to-service)
+ */
+
+internalRouter.use(authenticateService);
+
+/**
+ * @route GET /api/internal/customers/:userId/export
+ * @description Export a customer's engagement data
+ * @access Internal
+ */
+internalRouter.get("/:userId/export", validate(customerIdParamSchema), exportData);
+
+/**
+ * @route POST /api/internal/customers/:userId/pseudonymize
+ * @description Scrub a customer's personal details
+ * @access Internal
+ */
+internalRouter.post("/:userId/pseudonymize", validate(customerIdParamSchema), pseudonymizeData);
+
+export default {
+  internal: internalRouter,
+};
@@ -0,0 +1,21 @@
+import Joi from "joi";
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+/**
+ * Validation schema for customer ID param (internal)
+ * GET /api/internal/customers/:userId/export
+ * POST /api/internal/customers/:userId/pseudonymize
+ */
+export const customerIdParamSchema = {
+  params: Joi.object({
+    userId: objectId.required().messages({
+      "string.pattern.base": "Invalid user ID format",
+      "any.required": "User ID is required",
+    }),
+  }),
+};
+
+export default {
+  customerIdParamSchema,
+};
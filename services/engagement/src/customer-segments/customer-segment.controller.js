@@ -0,0 +1,285 @@
+import CustomerSegment from "../../models/customer-segment.model.js";
+import SegmentMembership from "../../models/segment-membership.model.js";
+import { sendResponse } from "@shared/utils";
+import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
+import { refreshSegment, getUserSegments, checkUserSegments } from "../../services/segment.service.js";
+
+/**
+ * Refresh a segment without holding up the response
+ * @param {object} segment - Segment document
+ */
+const refreshInBackground = (segment) => {
+  refreshSegment(segment).catch((error) => {
+    console.log(`> Background refresh failed for segment ${segment.code}:`, error.message);
+  });
+};
+
+/**
+ * @route GET /api/admin/customer-segments
+ * @description List customer segments (admin)
+ * @access Admin
+ */
+export const listSegments = async (req, res) => {
+  console.log("> GET /api/admin/customer-segments");
+
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+
+    if (req.query.isActive === "true") {
+      filter.isActive = true;
+    } else if (req.query.isActive === "false") {
+      filter.isActive = false;
+    }
+
+    if (req.query.search) {
+      const pattern = new RegExp(req.query.search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      filter.$or = [{ code: pattern }, { name: pattern }];
+    }
+
+    const [segments, total] = await Promise.all([
+      CustomerSegment.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      CustomerSegment.countDocuments(filter),
+    ]);
+
+    const pagination = buildPaginationMeta(total, page, limit);
+
+    console.log(`> Found ${segments.length} of ${total} segments`);
+    return sendResponse(res, 200, "Segments fetched successfully", { segments, pagination }, null);
+  } catch (error) {
+    console.log("> Error fetching segments:", error.message);
+    return sendResponse(res, 500, "Failed to fetch segments", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/admin/customer-segments
+ * @description Create a customer segment and compute its members (admin)
+ * @access Admin
+ */
+export const createSegment = async (req, res) => {
+  console.log("> POST /api/admin/customer-segments");
+
+  try {
+    const { code, name, description, rules, isActive } = req.body;
+
+    const existingSegment = await CustomerSegment.findOne({ code });
+    if (existingSegment) {
+      console.log(`> Segment already exists: ${code}`);
+      return sendResponse(res, 409, "Segment already exists", null, `A segment with code '${code}' already exists`);
+    }
+
+    const segment = new CustomerSegment({
+      code,
+      name,
+      description: description || null,
+      rules,
+      isActive: isActive !== undefined ? isActive : true,
+      createdBy: req.adminId,
+    });
+
+    await segment.save();
+
+    if (segment.isActive) {
+      refreshInBackground(segment);
+    }
+
+    console.log(`> Segment created: ${segment.code} (${segment._id})`);
+    return sendResponse(res, 201, "Segment created successfully", { segment }, null);
+  } catch (error) {
+    console.log("> Error creating segment:", error.message);
+    return sendResponse(res, 500, "Failed to create segment", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/admin/customer-segments/:id
+ * @description Get segment by ID (admin)
+ * @access Admin
+ */
+export const getSegmentById = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> GET /api/admin/customer-segments/${id}`);
+
+  try {
+    const segment = await CustomerSegment.findById(id).lean();
+
+    if (!segment) {
+      console.log(`> Segment not found: ${id}`);
+      return sendResponse(res, 404, "Segment not found", null, `Segment with ID '${id}' not found`);
+    }
+
+    return sendResponse(res, 200, "Segment fetched successfully", { segment }, null);
+  } catch (error) {
+    console.log("> Error fetching segment:", error.message);
+    return sendResponse(res, 500, "Failed to fetch segment", null, error.message);
+  }
+};
+
+/**
+ * @route PUT /api/admin/customer-segments/:id
+ * @description Update a segment; rule changes recompute its members (admin)
+ * @access Admin
+ */
+export const updateSegment = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> PUT /api/admin/customer-segments/${id}`);
+
+  try {
+    const segment = await CustomerSegment.findById(id);
+
+    if (!segment) {
+      console.log(`> Segment not found: ${id}`);
+      return sendResponse(res, 404, "Segment not found", null, `Segment with ID '${id}' not found`);
+    }
+
+    const { name, description, rules, isActive } = req.body;
+
+    if (name !== undefined) segment.name = name;
+    if (description !== undefined) segment.description = description || null;
+    if (rules !== undefined) segment.rules = rules;
+    if (isActive !== undefined) segment.isActive = isActive;
+
+    await segment.save();
+
+    if (segment.isActive && (rules !== undefined || isActive === true)) {
+      refreshInBackground(segment);
+    }
+
+    console.log(`> Segment updated: ${segment.code}`);
+    return sendResponse(res, 200, "Segment updated successfully", { segment }, null);
+  } catch (error) {
+    console.log("> Error updating segment:", error.message);
+    return sendResponse(res, 500, "Failed to update segment", null, error.message);
+  }
+};
+
+/**
+ * @route DELETE /api/admin/customer-segments/:id
+ * @description Delete a segment and its memberships (admin)
+ * @access Admin
+ */
+export const deleteSegment = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> DELETE /api/admin/customer-segments/${id}`);
+
+  try {
+    const segment = await CustomerSegment.findById(id);
+
+    if (!segment) {
+      console.log(`> Segment not found: ${id}`);
+      return sendResponse(res, 404, "Segment not found", null, `Segment with ID '${id}' not found`);
+    }
+
+    await SegmentMembership.deleteMany({ segment: segment._id });
+    await segment.deleteOne();
+
+    console.log(`> Segment deleted: ${segment.code}`);
+    return sendResponse(res, 200, "Segment deleted successfully", null, null);
+  } catch (error) {
+    console.log("> Error deleting segment:", error.message);
+    return sendResponse(res, 500, "Failed to delete segment", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/admin/customer-segments/:id/refresh
+ * @description Recompute segment members now (admin)
+ * @access Admin
+ */
+export const refreshSegmentNow = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> POST /api/admin/customer-segments/${id}/refresh`);
+
+  try {
+    const segment = await CustomerSegment.findById(id).lean();
+
+    if (!segment) {
+      console.log(`> Segment not found: ${id}`);
+      return sendResponse(res, 404, "Segment not found", null, `Segment with ID '${id}' not found`);
+    }
+
+    if (!segment.isActive) {
+      return sendResponse(res, 400, "Segment is inactive", null, "Activate the segment before refreshing it");
+    }
+
+    const summary = await refreshSegment(segment);
+
+    return sendResponse(res, 200, "Segment refreshed successfully", summary, null);
+  } catch (error) {
+    console.log("> Error refreshing segment:", error.message);
+    return sendResponse(res, 502, "Failed to refresh segment", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/admin/customer-segments/:id/members
+ * @description List members of a segment (admin)
+ * @access Admin
+ */
+export const listSegmentMembers = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> GET /api/admin/customer-segments/${id}/members`);
+
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { segment: id };
+
+    const [members, total] = await Promise.all([
+      SegmentMembership.find(filter)
+        .select("user refreshedAt createdAt")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      SegmentMembership.countDocuments(filter),
+    ]);
+
+    const pagination = buildPaginationMeta(total, page, limit);
+
+    return sendResponse(res, 200, "Segment members fetched successfully", { members, pagination }, null);
+  } catch (error) {
+    console.log("> Error fetching segment members:", error.message);
+    return sendResponse(res, 500, "Failed to fetch segment members", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/internal/segments/check
+ * @description Check which of the given segments a customer belongs to
+ * @access Internal (service authentication)
+ */
+export const checkMembership = async (req, res) => {
+  const { userId, segmentIds } = req.body;
+  console.log(`> POST /api/internal/segments/check for user ${userId} (service: ${req.serviceId})`);
+
+  try {
+    const result = await checkUserSegments(userId, segmentIds);
+    return sendResponse(res, 200, "Segment membership checked successfully", result, null);
+  } catch (error) {
+    console.log("> Error checking segment membership:", error.message);
+    return sendResponse(res, 500, "Failed to check segment membership", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/internal/segments/users/:userId
+ * @description Get the active segments a customer belongs to
+ * @access Internal (service authentication)
+ */
+export const getSegmentsForUser = async (req, res) => {
+  const { userId } = req.params;
+  console.log(`> GET /api/internal/segments/users/${userId} (service: ${req.serviceId})`);
+
+  try {
+    const segments = await getUserSegments(userId);
+    return sendResponse(res, 200, "User segments fetched successfully", { segments }, null);
+  } catch (error) {
+    console.log("> Error fetching user segments:", error.message);
+    return sendResponse(res, 500, "Failed to fetch user segments", null, error.message);
+  }
+};
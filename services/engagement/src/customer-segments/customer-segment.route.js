@@ -0,0 +1,107 @@
+import { Router } from "express";
+import {
+  listSegments,
+  createSegment,
+  getSegmentById,
+  updateSegment,
+  deleteSegment,
+  refreshSegmentNow,
+  listSegmentMembers,
+  checkMembership,
+  getSegmentsForUser,
+} from "./customer-segment.controller.js";
+import { validate } from "@shared/middlewares";
+import { authenticateAdmin, authenticateService } from "@shared/auth-middleware";
+import {
+  createSegmentSchema,
+  updateSegmentSchema,
+  segmentIdParamSchema,
+  listSegmentsSchema,
+  listMembersSchema,
+  checkMembershipSchema,
+  userIdParamSchema,
+} from "./customer-segment.validation.js";
+
+const adminRouter = Router();
+const internalRouter = Router();
+
+/**
+ * Admin Routes
+ */
+
+// Apply admin authentication to all admin routes
+adminRouter.use(authenticateAdmin);
+
+/**
+ * @route GET /api/admin/customer-segments
+ * @description List customer segments
+ * @access Admin
+ */
+adminRouter.get("/", validate(listSegmentsSchema), listSegments);
+
+/**
+ * @route POST /api/admin/customer-segments
+ * @description Create a customer segment
+ * @access Admin
+ */
+adminRouter.post("/", validate(createSegmentSchema), createSegment);
+
+/**
+ * @route GET /api/admin/customer-segments/:id
+ * @description Get segment by ID
+ * @access Admin
+ */
+adminRouter.get("/:id", validate(segmentIdParamSchema), getSegmentById);
+
+/**
+ * @route PUT /api/admin/customer-segments/:id
+ * @description Update a segment
+ * @access Admin
+ */
+adminRouter.put("/:id", validate(updateSegmentSchema, "params"), validate(updateSegmentSchema), updateSegment);
+
+/**
+ * @route DELETE /api/admin/customer-segments/:id
+ * @description Delete a segment
+ * @access Admin
+ */
+adminRouter.delete("/:id", validate(segmentIdParamSchema), deleteSegment);
+
+/**
+ * @route POST /api/admin/customer-segments/:id/refresh
+ * @description Recompute segment members
+ * @access Admin
+ */
+adminRouter.post("/:id/refresh", validate(segmentIdParamSchema), refreshSegmentNow);
+
+/**
+ * @route GET /api/admin/customer-segments/:id/members
+ * @description List segment members
+ * @access Admin
+ */
+adminRouter.get("/:id/members", validate(listMembersSchema), listSegmentMembers);
+
+/**
+ * Internal Routes (service-to-service)
+ */
+
+internalRouter.use(authenticateService);
+
+/**
+ * @route POST /api/internal/segments/check
+ * @description Check a customer's membership in a set of segments
+ * @access Internal
+ */
+internalRouter.post("/check", validate(checkMembershipSchema), checkMembership);
+
+/**
+ * @route GET /api/internal/segments/users/:userId
+ * @description Get a customer's active segments
+ * @access Internal
+ */
+internalRouter.get("/users/:userId", validate(userIdParamSchema), getSegmentsForUser);
+
+export default {
+  admin: adminRouter,
+  internal: internalRouter,
+};
@@ -0,0 +1,146 @@
+import Joi from "joi";
+import { SEGMENT_FIELDS, SEGMENT_OPERATORS } from "../../models/customer-segment.model.js";
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+const scalarValue = Joi.alternatives().try(Joi.number(), Joi.string().trim(), Joi.boolean());
+
+const conditionSchema = Joi.object({
+  field: Joi.string().valid(...SEGMENT_FIELDS).required().messages({
+    "any.only": `Field must be one of: ${SEGMENT_FIELDS.join(", ")}`,
+    "any.required": "Condition field is required",
+  }),
+  operator: Joi.string().valid(...SEGMENT_OPERATORS).required().messages({
+    "any.only": `Operator must be one of: ${SEGMENT_OPERATORS.join(", ")}`,
+    "any.required": "Condition operator is required",
+  }),
+  value: Joi.when("operator", {
+    switch: [
+      { is: Joi.valid("in", "not_in"), then: Joi.array().items(scalarValue).min(1).required() },
+      { is: "exists", then: Joi.boolean().default(true) },
+    ],
+    otherwise: scalarValue.required(),
+  }),
+});
+
+const rulesSchema = Joi.object({
+  match: Joi.string().valid("all", "any").default("all"),
+  conditions: Joi.array().items(conditionSchema).min(1).max(20).required().messages({
+    "array.min": "At least one condition is required",
+  }),
+});
+
+const segmentIdParam = Joi.object({
+  id: objectId.required().messages({
+    "string.pattern.base": "Invalid segment ID format",
+    "any.required": "Segment ID is required",
+  }),
+});
+
+/**
+ * Validation schema for creating a customer segment
+ * POST /api/admin/customer-segments
+ */
+export const createSegmentSchema = {
+  body: Joi.object({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_]+$/).min(2).max(50).required().messages({
+      "string.pattern.base": "Segment code may only contain letters, numbers and underscores",
+      "any.required": "Segment code is required",
+    }),
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "string.empty": "Segment name is required",
+      "any.required": "Segment name is required",
+    }),
+    description: Joi.string().trim().max(500).allow(null, ""),
+    rules: rulesSchema.required(),
+    isActive: Joi.boolean().default(true),
+  }),
+};
+
+/**
+ * Validation schema for updating a customer segment
+ * PUT /api/admin/customer-segments/:id
+ */
+export const updateSegmentSchema = {
+  params: segmentIdParam,
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().trim().max(500).allow(null, ""),
+    rules: rulesSchema,
+    isActive: Joi.boolean(),
+  }).min(1).messages({
+    "object.min": "At least one field is required to update",
+  }),
+};
+
+/**
+ * Validation schema for segment ID param
+ */
+export const segmentIdParamSchema = {
+  params: segmentIdParam,
+};
+
+/**
+ * Validation schema for listing segments (admin)
+ * GET /api/admin/customer-segments
+ */
+export const listSegmentsSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    isActive: Joi.string().valid("true", "false"),
+    search: Joi.string().trim().max(100).allow(""),
+  }),
+};
+
+/**
+ * Validation schema for listing segment members (admin)
+ * GET /api/admin/customer-segments/:id/members
+ */
+export const listMembersSchema = {
+  params: segmentIdParam,
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+};
+
+/**
+ * Validation schema for checking a customer's segment membership (internal)
+ * POST /api/internal/segments/check
+ */
+export const checkMembershipSchema = {
+  body: Joi.object({
+    userId: objectId.required().messages({
+      "string.pattern.base": "Invalid user ID format",
+      "any.required": "User ID is required",
+    }),
+    segmentIds: Joi.array().items(objectId).min(1).max(100).required().messages({
+      "array.min": "At least one segment ID is required",
+      "any.required": "Segment IDs are required",
+    }),
+  }),
+};
+
+/**
+ * Validation schema for user ID param (internal)
+ * GET /api/internal/segments/users/:userId
+ */
+export const userIdParamSchema = {
+  params: Joi.object({
+    userId: objectId.required().messages({
+      "string.pattern.base": "Invalid user ID format",
+      "any.required": "User ID is required",
+    }),
+  }),
+};
+
+export default {
+  createSegmentSchema,
+  updateSegmentSchema,
+  segmentIdParamSchema,
+  listSegmentsSchema,
+  listMembersSchema,
+  checkMembershipSchema,
+  userIdParamSchema,
+};
@@ -0,0 +1,87 @@
+import { JobRunner } from "@shared/job-runner";
+import { notificationDispatchJob } from "./notification-dispatch.job.js";
+import { segmentRefreshJob } from "./segment-refresh.job.js";
+import { loyaltyExpiryJob } from "./loyalty-expiry.job.js";
+import { loyaltyBirthdayJob } from "./loyalty-birthday.job.js";
+import { tenderHoldExpiryJob } from "./tender-hold-expiry.job.js";
+import { referralRewardJob } from "./referral-reward.job.js";
+
+/**
+ * Job Scheduler
+ * Manages all scheduled background jobs. Each run is claimed in MongoDB,
+ * so with several replicas every job still runs once per schedule.
+ */
+
+export const jobRunner = new JobRunner({ service: "engagement" })
+  .register({
+    name: "notification-dispatch",
+    schedule: process.env.NOTIFICATION_DISPATCH_SCHEDULE || "* * * * *",
+    description: "Send pending notifications and retry failed ones whose backoff has elapsed (every minute)",
+    handler: notificationDispatchJob,
+  })
+  .register({
+    name: "segment-refresh",
+    schedule: process.env.SEGMENT_REFRESH_SCHEDULE || "0 3 * * *",
+    description: "Recompute customer segment membership (daily at 3:00 AM)",
+    handler: segmentRefreshJob,
+  })
+  .register({
+    name: "loyalty-expiry",
+    schedule: process.env.LOYALTY_EXPIRY_SCHEDULE || "0 2 * * *",
+    description: "Expire unspent points past their expiry date and recalculate tiers (daily at 2:00 AM)",
+    handler: loyaltyExpiryJob,
+  })
+  .register({
+    name: "loyalty-birthday",
+    schedule: process.env.LOYALTY_BIRTHDAY_SCHEDULE || "0 9 * * *",
+    description: "Award birthday points to customers whose birthday is today (daily at 9:00 AM)",
+    handler: loyaltyBirthdayJob,
+  })
+  .register({
+    name: "tender-hold-expiry",
+    schedule: process.env.TENDER_HOLD_EXPIRY_SCHEDULE || "*/15 * * * *",
+    description: "Release points and store credit held for orders whose payment window has passed (every 15 minutes)",
+    handler: tenderHoldExpiryJob,
+  })
+  .register({
+    name: "referral-reward",
+    schedule: process.env.REFERRAL_REWARD_SCHEDULE || "0 * * * *",
+    description: "Screen referrals past their reward hold for fraud and pay the referrer (hourly)",
+    handler: referralRewardJob,
+  });
+
+/**
+ * Initialize all scheduled jobs
+ * Call after the database connection is open.
+ */
+export async function initializeJobs() {
+  console.log("> Initializing background jobs...");
+
+  await jobRunner.start();
+
+  console.log("> All background jobs initialized successfully\n");
+
+  return jobRunner;
+}
+
+/**
+ * Get all scheduled jobs with their pause flag and last run
+ */
+export function getScheduledJobs() {
+  return jobRunner.listJobs();
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+export function stopAllJobs() {
+  jobRunner.stop();
+}
+
+/**
+ * Manually trigger a specific job (for testing/admin purposes)
+ * @returns {Promise<Object|null>} Job run, or null if the job is already running
+ */
+export async function triggerJob(jobName) {
+  return jobRunner.trigger(jobName);
+}
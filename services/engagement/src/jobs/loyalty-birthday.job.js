@@ -0,0 +1,28 @@
+import { awardBirthdayPoints } from "../../services/loyalty.service.js";
+
+let isRunning = false;
+
+/**
+ * Loyalty Birthday Job
+ * Awards the birthday rule's points to customers whose birthday is today
+ * Runs daily at 9 AM by default (LOYALTY_BIRTHDAY_SCHEDULE)
+ */
+export async function loyaltyBirthdayJob() {
+  if (isRunning) {
+    console.log("> Loyalty birthday job already running, skipping");
+    return { success: true, skipped: true };
+  }
+
+  isRunning = true;
+
+  try {
+    const summary = await awardBirthdayPoints();
+    console.log("> Loyalty birthday job completed:", summary);
+    return { success: true, ...summary };
+  } catch (error) {
+    console.error("> Error in loyalty birthday job:", error);
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
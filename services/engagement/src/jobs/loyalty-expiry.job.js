@@ -0,0 +1,28 @@
+import { expirePoints } from "../../services/loyalty.service.js";
+
+let isRunning = false;
+
+/**
+ * Loyalty Expiry Job
+ * Writes expire transactions for unspent points past their expiry date and recalculates tiers
+ * Runs daily at 2 AM by default (LOYALTY_EXPIRY_SCHEDULE)
+ */
+export async function loyaltyExpiryJob() {
+  if (isRunning) {
+    console.log("> Loyalty expiry already running, skipping");
+    return { success: true, skipped: true };
+  }
+
+  isRunning = true;
+
+  try {
+    const summary = await expirePoints();
+    console.log("> Loyalty expiry job completed:", summary);
+    return { success: true, ...summary };
+  } catch (error) {
+    console.error("> Error in loyalty expiry job:", error);
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
@@ -0,0 +1,33 @@
+import { dispatchDueNotifications } from "../../services/notification-dispatcher.service.js";
+
+let isRunning = false;
+
+/**
+ * Notification Dispatch Job
+ * Sends pending notifications and retries failed ones whose backoff has elapsed
+ * Runs every minute by default (NOTIFICATION_DISPATCH_SCHEDULE)
+ */
+export async function notificationDispatchJob() {
+  // Skip this tick if the previous run is still draining the queue
+  if (isRunning) {
+    console.log("> Notification dispatch already running, skipping");
+    return { success: true, skipped: true };
+  }
+
+  isRunning = true;
+
+  try {
+    const summary = await dispatchDueNotifications();
+
+    if (summary.processed > 0) {
+      console.log("> Notification dispatch completed:", summary);
+    }
+
+    return { success: true, ...summary };
+  } catch (error) {
+    console.error("> Error in notification dispatch job:", error);
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
@@ -0,0 +1,28 @@
+import { processReferralRewards } from "../../services/referral.service.js";
+
+let isRunning = false;
+
+/**
+ * Referral Reward Job
+ * Screens referrals past their reward hold for fraud and pays the referrer
+ * Runs hourly by default (REFERRAL_REWARD_SCHEDULE)
+ */
+export async function referralRewardJob() {
+  if (isRunning) {
+    console.log("> Referral reward job already running, skipping");
+    return { success: true, skipped: true };
+  }
+
+  isRunning = true;
+
+  try {
+    const summary = await processReferralRewards();
+    console.log("> Referral reward job completed:", summary);
+    return { success: true, ...summary };
+  } catch (error) {
+    console.error("> Error in referral reward job:", error);
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
@@ -0,0 +1,29 @@
+import { refreshAllSegments } from "../../services/segment.service.js";
+
+let isRunning = false;
+
+/**
+ * Segment Refresh Job
+ * Recomputes membership of every active customer segment
+ * Runs daily at 3 AM by default (SEGMENT_REFRESH_SCHEDULE)
+ */
+export async function segmentRefreshJob() {
+  // A full refresh pages through every customer, so never overlap runs
+  if (isRunning) {
+    console.log("> Segment refresh already running, skipping");
+    return { success: true, skipped: true };
+  }
+
+  isRunning = true;
+
+  try {
+    const summary = await refreshAllSegments();
+    console.log("> Segment refresh job completed:", summary);
+    return { success: true, ...summary };
+  } catch (error) {
+    console.error("> Error in segment refresh job:", error);
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
@@ -0,0 +1,28 @@
+import { releaseExpiredHolds } from "../../services/tender.service.js";
+
+let isRunning = false;
+
+/**
+ * Tender Hold Expiry Job
+ * Gives back points and store credit held for orders whose payment never completed
+ * Runs every 15 minutes by default (TENDER_HOLD_EXPIRY_SCHEDULE)
+ */
+export async function tenderHoldExpiryJob() {
+  if (isRunning) {
+    console.log("> Tender hold expiry already running, skipping");
+    return { success: true, skipped: true };
+  }
+
+  isRunning = true;
+
+  try {
+    const summary = await releaseExpiredHolds();
+    console.log("> Tender hold expiry job completed:", summary);
+    return { success: true, ...summary };
+  } catch (error) {
+    console.error("> Error in tender hold expiry job:", error);
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
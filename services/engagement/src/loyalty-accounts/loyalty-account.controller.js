@@ -3,21 +3,7 @@ import LoyaltyTransaction from "../../models/loyalty-transaction.model.js";
 import LoyaltyTier from "../../models/loyalty-tier.model.js";
 import { sendResponse } from "@shared/utils";
 import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
-
-/**
- * Helper to determine tier based on points
- */
-const determineTier = async (pointsEarnedLifetime) => {
-  const tier = await LoyaltyTier.findOne({
-    isActive: true,
-    minPoints: { $lte: pointsEarnedLifetime },
-  })
-    .sort({ minPoints: -1 })
-    .select("_id")
-    .lean();
-
-  return tier?._id || null;
-};
+import { determineTier } from "../../services/loyalty.service.js";
 
 /**
  * @route GET /api/loyalty/account
@@ -123,6 +109,42 @@ export const getAccountHistory = async (req, res) => {
   }
 };
 
+/**
+ * @route PUT /api/loyalty/account/birthday
+ * @description Set user's birthday for birthday points; it can only be set once (consumer)
+ * @access Auth
+ */
+export const setBirthday = async (req, res) => {
+  const userId = req.userId;
+  const { month, day } = req.body;
+  console.log(`> PUT /api/loyalty/account/birthday for user ${userId}`);
+
+  try {
+    const existing = await LoyaltyAccount.findOne({ user: userId }).select("birthday").lean();
+    if (existing?.birthday?.month) {
+      console.log(`> Birthday already set for user ${userId}`);
+      return sendResponse(res, 409, "Birthday already set", null, "Contact support to change your birthday");
+    }
+
+    const account = await LoyaltyAccount.findOneAndUpdate(
+      { user: userId },
+      { $set: { birthday: { month, day } } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    if (!existing) {
+      account.tier = await determineTier(account.pointsEarnedLifetime);
+      await account.save();
+    }
+
+    console.log(`> Birthday set for user ${userId}`);
+    return sendResponse(res, 200, "Birthday saved successfully", { birthday: account.birthday }, null);
+  } catch (error) {
+    console.log("> Error setting birthday:", error.message);
+    return sendResponse(res, 500, "Failed to save birthday", null, error.message);
+  }
+};
+
 /**
  * @route GET /api/admin/loyalty/accounts
  * @description List all loyalty accounts (admin)
@@ -246,6 +268,11 @@ export const adjustPoints = async (req, res) => {
       return sendResponse(res, 400, "Invalid adjustment", null, "Adjustment would result in negative balance");
     }
 
+    if (newBalance < (account.pointsHeld || 0)) {
+      console.log(`> Cannot adjust: ${account.pointsHeld} points are held for checkout`);
+      return sendResponse(res, 400, "Invalid adjustment", null, `${account.pointsHeld} points are held for an order awaiting payment`);
+    }
+
     account.pointsBalance = newBalance;
     account.lastActivityAt = new Date();
 
@@ -288,6 +315,7 @@ export const adjustPoints = async (req, res) => {
 export default {
   getAccount,
   getAccountHistory,
+  setBirthday,
   listAccounts,
   getAccountByUserId,
   adjustPoints,
@@ -2,6 +2,7 @@ import { Router } from "express";
 import {
   getAccount,
   getAccountHistory,
+  setBirthday,
   listAccounts,
   getAccountByUserId,
   adjustPoints,
@@ -11,6 +12,7 @@ import { authenticateUser, authenticateAdmin } from "@shared/auth-middleware";
 import {
   getAccountSchema,
   getAccountHistorySchema,
+  setBirthdaySchema,
   listAccountsAdminSchema,
   getAccountByUserIdSchema,
   adjustPointsSchema,
@@ -40,6 +42,13 @@ consumerRouter.get("/", validate(getAccountSchema), getAccount);
  */
 consumerRouter.get("/history", validate(getAccountHistorySchema), getAccountHistory);
 
+/**
+ * @route PUT /api/loyalty/account/birthday
+ * @description Set user's birthday for birthday points
+ * @access Auth
+ */
+consumerRouter.put("/birthday", validate(setBirthdaySchema), setBirthday);
+
 /**
  * Admin Routes
  */
@@ -22,6 +22,29 @@ export const getAccountHistorySchema = {
   }),
 };
 
+// Days in each month, allowing 29 February
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Validation schema for setting the birthday
+ * PUT /api/loyalty/account/birthday
+ */
+export const setBirthdaySchema = {
+  body: Joi.object({
+    month: Joi.number().integer().min(1).max(12).required().messages({
+      "any.required": "Birth month is required",
+    }),
+    day: Joi.number().integer().min(1).max(31).required().messages({
+      "any.required": "Birth day is required",
+    }),
+  }).custom((value, helpers) => {
+    if (value.day > DAYS_IN_MONTH[value.month - 1]) {
+      return helpers.message("Birthday is not a valid date");
+    }
+    return value;
+  }),
+};
+
 /**
  * Validation schema for listing accounts (admin)
  * GET /api/admin/loyalty/accounts
@@ -78,6 +101,7 @@ export const adjustPointsSchema = {
 export default {
   getAccountSchema,
   getAccountHistorySchema,
+  setBirthdaySchema,
   listAccountsAdminSchema,
   getAccountByUserIdSchema,
   adjustPointsSchema,
@@ -1,23 +1,15 @@
 import LoyaltyTransaction from "../../models/loyalty-transaction.model.js";
 import LoyaltyAccount from "../../models/loyalty-account.model.js";
-import LoyaltyTier from "../../models/loyalty-tier.model.js";
 import { sendResponse } from "@shared/utils";
 import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
-
-/**
- * Helper to determine tier based on points
- */
-const determineTier = async (pointsEarnedLifetime) => {
-  const tier = await LoyaltyTier.findOne({
-    isActive: true,
-    minPoints: { $lte: pointsEarnedLifetime },
-  })
-    .sort({ minPoints: -1 })
-    .select("_id")
-    .lean();
-
-  return tier?._id || null;
-};
+import {
+  determineTier,
+  awardPurchasePoints,
+  reversePurchasePoints,
+  awardSignupPoints,
+} from "../../services/loyalty.service.js";
+import { linkReferee, convertReferral, reverseReferralConversion } from "../../services/referral.service.js";
+import { PREFERENCE_CHANNELS, updatePreferences } from "../../services/preference.service.js";
 
 /**
  * @route GET /api/loyalty/transactions
@@ -183,6 +175,11 @@ export const createManualTransaction = async (req, res) => {
       return sendResponse(res, 400, "Invalid transaction", null, "Transaction would result in negative balance");
     }
 
+    if (newBalance < (account.pointsHeld || 0)) {
+      console.log(`> Cannot create transaction: ${account.pointsHeld} points are held for checkout`);
+      return sendResponse(res, 400, "Invalid transaction", null, `${account.pointsHeld} points are held for an order awaiting payment`);
+    }
+
     // Update account
     account.pointsBalance = newBalance;
     account.lastActivityAt = new Date();
@@ -228,8 +225,101 @@ export const createManualTransaction = async (req, res) => {
   }
 };
 
+/**
+ * @route POST /api/internal/loyalty/orders/:orderId/earn
+ * @description Award purchase points for a delivered order and convert the customer's referral
+ * @access Internal
+ */
+export const earnOrderPoints = async (req, res) => {
+  const { orderId } = req.params;
+  const { userId, orderNumber, amount } = req.body;
+  console.log(`> POST /api/internal/loyalty/orders/${orderId}/earn (${req.serviceId})`);
+
+  try {
+    const result = await awardPurchasePoints({ userId, orderId, orderNumber, amount });
+    const referral = await convertReferral({ refereeId: userId, orderId, orderNumber, amount });
+
+    const { transaction, duplicate, skipped } = result.data;
+    const message = skipped ? "No points awarded" : duplicate ? "Points already awarded" : "Points awarded successfully";
+    return sendResponse(res, transaction && !duplicate ? 201 : 200, message, {
+      transaction,
+      skipped: skipped || null,
+      referralId: referral?._id || null,
+    }, null);
+  } catch (error) {
+    console.log("> Error awarding order points:", error.message);
+    return sendResponse(res, 500, "Failed to award points", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/internal/loyalty/orders/:orderId/reverse
+ * @description Take back an order's points after a cancellation or return, and undo the
+ * referral conversion it earned if the order no longer qualifies
+ * @access Internal
+ */
+export const reverseOrderPoints = async (req, res) => {
+  const { orderId } = req.params;
+  const { userId, orderNumber, returnId, amount } = req.body;
+  console.log(`> POST /api/internal/loyalty/orders/${orderId}/reverse (${req.serviceId})`);
+
+  try {
+    const result = await reversePurchasePoints({ userId, orderId, orderNumber, returnId, amount });
+    const referral = await reverseReferralConversion({ refereeId: userId, orderId, returnId, amount });
+
+    const { transaction, duplicate, skipped } = result.data;
+    const message = skipped ? "No points reversed" : duplicate ? "Points already reversed" : "Points reversed successfully";
+    return sendResponse(res, transaction && !duplicate ? 201 : 200, message, {
+      transaction,
+      skipped: skipped || null,
+      referralId: referral?._id || null,
+    }, null);
+  } catch (error) {
+    console.log("> Error reversing order points:", error.message);
+    return sendResponse(res, 500, "Failed to reverse points", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/internal/loyalty/signups
+ * @description Award signup points, link the referral code applied with the customer's email
+ * and start their consent ledger with the signup form's marketing opt-in
+ * @access Internal
+ */
+export const recordSignup = async (req, res) => {
+  const { userId, email, marketingConsent, ip, userAgent } = req.body;
+  console.log(`> POST /api/internal/loyalty/signups for user ${userId} (${req.serviceId})`);
+
+  try {
+    const result = await awardSignupPoints(userId);
+    const referral = email ? await linkReferee(email, userId) : null;
+
+    // The signup form's marketing checkbox starts the customer's consent ledger
+    if (marketingConsent !== null) {
+      await updatePreferences(
+        userId,
+        { marketing: Object.fromEntries(PREFERENCE_CHANNELS.map((channel) => [channel, marketingConsent])) },
+        { source: "signup", ip: ip || null, userAgent: userAgent || null }
+      );
+    }
+
+    const { transaction, duplicate, skipped } = result.data;
+    return sendResponse(res, transaction && !duplicate ? 201 : 200, "Signup recorded successfully", {
+      transaction,
+      skipped: skipped || null,
+      referralId: referral?._id || null,
+    }, null);
+  } catch (error) {
+    console.log("> Error recording signup:", error.message);
+    return sendResponse(res, 500, "Failed to record signup", null, error.message);
+  }
+};
+
 export default {
   getTransactions,
   listTransactions,
   createManualTransaction,
+  earnOrderPoints,
+  reverseOrderPoints,
+  recordSignup,
 };
@@ -3,17 +3,24 @@ import {
   getTransactions,
   listTransactions,
   createManualTransaction,
+  earnOrderPoints,
+  reverseOrderPoints,
+  recordSignup,
 } from "./loyalty-transaction.controller.js";
 import { validate } from "@shared/middlewares";
-import { authenticateUser, authenticateAdmin } from "@shared/auth-middleware";
+import { authenticateUser, authenticateAdmin, authenticateService } from "@shared/auth-middleware";
 import {
   getTransactionsSchema,
   listTransactionsAdminSchema,
   createManualTransactionSchema,
+  earnOrderPointsSchema,
+  reverseOrderPointsSchema,
+  recordSignupSchema,
 } from "./loyalty-transaction.validation.js";
 
 const consumerRouter = Router();
 const adminRouter = Router();
+const internalRouter = Router();
 
 /**
  * Consumer Routes
@@ -50,7 +57,36 @@ adminRouter.get("/", validate(listTransactionsAdminSchema), listTransactions);
  */
 adminRouter.post("/manual", validate(createManualTransactionSchema), createManualTransaction);
 
+/**
+ * Internal Routes
+ */
+
+// Service-to-service calls only
+internalRouter.use(authenticateService);
+
+/**
+ * @route POST /api/internal/loyalty/orders/:orderId/earn
+ * @description Award purchase points for a delivered order
+ * @access Internal
+ */
+internalRouter.post("/orders/:orderId/earn", validate(earnOrderPointsSchema), earnOrderPoints);
+
+/**
+ * @route POST /api/internal/loyalty/orders/:orderId/reverse
+ * @description Reverse an order's points on cancellation or return
+ * @access Internal
+ */
+internalRouter.post("/orders/:orderId/reverse", validate(reverseOrderPointsSchema), reverseOrderPoints);
+
+/**
+ * @route POST /api/internal/loyalty/signups
+ * @description Award signup points to a new customer
+ * @access Internal
+ */
+internalRouter.post("/signups", validate(recordSignupSchema), recordSignup);
+
 export default {
   consumer: consumerRouter,
   admin: adminRouter,
+  internal: internalRouter,
 };
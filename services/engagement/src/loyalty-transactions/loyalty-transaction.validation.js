@@ -23,7 +23,7 @@ export const listTransactionsAdminSchema = {
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20),
     type: Joi.string().valid("earn", "redeem", "expire", "adjust"),
-    referenceType: Joi.string().valid("order", "signup", "review", "referral", "manual", "expiry", "birthday"),
+    referenceType: Joi.string().valid("order", "return", "refund", "signup", "review", "referral", "manual", "expiry", "birthday"),
     userId: objectId.allow("").messages({
       "string.pattern.base": "Invalid user ID format",
     }),
@@ -58,8 +58,80 @@ export const createManualTransactionSchema = {
   }),
 };
 
+const orderIdParam = Joi.object({
+  orderId: objectId.required().messages({
+    "string.pattern.base": "Invalid order ID format",
+    "any.required": "Order ID is required",
+  }),
+});
+
+/**
+ * Validation schema for awarding purchase points (internal)
+ * POST /api/internal/loyalty/orders/:orderId/earn
+ */
+export const earnOrderPointsSchema = {
+  params: orderIdParam,
+  body: Joi.object({
+    userId: objectId.required().messages({
+      "string.pattern.base": "Invalid user ID format",
+      "any.required": "User ID is required",
+    }),
+    orderNumber: Joi.string().trim().max(50).required(),
+    amount: Joi.number().min(0).required().messages({
+      "any.required": "Order amount is required",
+    }),
+  }),
+};
+
+/**
+ * Validation schema for reversing purchase points (internal)
+ * POST /api/internal/loyalty/orders/:orderId/reverse
+ */
+export const reverseOrderPointsSchema = {
+  params: orderIdParam,
+  body: Joi.object({
+    userId: objectId.required().messages({
+      "string.pattern.base": "Invalid user ID format",
+      "any.required": "User ID is required",
+    }),
+    orderNumber: Joi.string().trim().max(50).required(),
+    returnId: objectId.allow(null).default(null).messages({
+      "string.pattern.base": "Invalid return ID format",
+    }),
+    // Refunded amount of a return; points are taken back in proportion to it
+    amount: Joi.when("returnId", {
+      is: objectId.required(),
+      then: Joi.number().min(0).required().messages({
+        "any.required": "Refund amount is required for a return",
+      }),
+      otherwise: Joi.any().strip(),
+    }),
+  }),
+};
+
+/**
+ * Validation schema for recording a signup (internal)
+ * POST /api/internal/loyalty/signups
+ */
+export const recordSignupSchema = {
+  body: Joi.object({
+    userId: objectId.required().messages({
+      "string.pattern.base": "Invalid user ID format",
+      "any.required": "User ID is required",
+    }),
+    email: Joi.string().trim().email().allow(null, "").default(null),
+    // Marketing opt-in from the signup form, applied to every channel
+    marketingConsent: Joi.boolean().allow(null).default(null),
+    ip: Joi.string().max(100).allow(null, "").default(null),
+    userAgent: Joi.string().max(500).allow(null, "").default(null),
+  }),
+};
+
 export default {
   getTransactionsSchema,
   listTransactionsAdminSchema,
   createManualTransactionSchema,
+  earnOrderPointsSchema,
+  reverseOrderPointsSchema,
+  recordSignupSchema,
 };
@@ -0,0 +1,212 @@
+import { sendResponse } from "@shared/utils";
+import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
+import {
+  getPreferences as fetchPreferences,
+  updatePreferences as changePreferences,
+  getConsentHistory as fetchConsentHistory,
+  verifyUnsubscribeToken,
+  unsubscribe as unsubscribeWithToken,
+} from "../../services/preference.service.js";
+
+/**
+ * @route GET /api/notifications/preferences
+ * @description Get the categories and channels the user receives messages on (consumer)
+ * @access Auth
+ */
+export const getPreferences = async (req, res) => {
+  const userId = req.userId;
+  console.log(`> GET /api/notifications/preferences for user ${userId}`);
+
+  try {
+    const categories = await fetchPreferences(userId);
+
+    return sendResponse(res, 200, "Notification preferences fetched successfully", {
+      categories,
+      channels: categories.transactional,
+    }, null);
+  } catch (error) {
+    console.log("> Error fetching notification preferences:", error.message);
+    return sendResponse(res, 500, "Failed to fetch notification preferences", null, error.message);
+  }
+};
+
+/**
+ * @route PUT /api/notifications/preferences
+ * @description Opt in or out of categories per channel (consumer)
+ * @access Auth
+ */
+export const updatePreferences = async (req, res) => {
+  const userId = req.userId;
+  console.log(`> PUT /api/notifications/preferences for user ${userId}`);
+
+  try {
+    const changes = req.body.categories || { transactional: req.body.channels };
+
+    const { preferences, records } = await changePreferences(userId, changes, {
+      source: "preference_center",
+      ip: req.ip,
+      userAgent: req.headers["user-agent"] || null,
+    });
+
+    console.log(`> Notification preferences updated for user ${userId} (${records.length} change(s))`);
+    return sendResponse(res, 200, "Notification preferences updated successfully", {
+      categories: preferences,
+      channels: preferences.transactional,
+    }, null);
+  } catch (error) {
+    console.log("> Error updating notification preferences:", error.message);
+    return sendResponse(res, 500, "Failed to update notification preferences", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/notifications/preferences/history
+ * @description Get the user's consent history (consumer)
+ * @access Auth
+ */
+export const getConsentHistory = async (req, res) => {
+  const userId = req.userId;
+  console.log(`> GET /api/notifications/preferences/history for user ${userId}`);
+
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const { records, total } = await fetchConsentHistory(userId, { skip, limit });
+    const pagination = buildPaginationMeta(total, page, limit);
+
+    console.log(`> Found ${records.length} consent records for user ${userId}`);
+    return sendResponse(res, 200, "Consent history fetched successfully", { records, pagination }, null);
+  } catch (error) {
+    console.log("> Error fetching consent history:", error.message);
+    return sendResponse(res, 500, "Failed to fetch consent history", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/notifications/unsubscribe
+ * @description Check an unsubscribe link and show what it opts out of; nothing changes until it is POSTed
+ * @access Public (signed token)
+ */
+export const getUnsubscribeLink = async (req, res) => {
+  console.log("> GET /api/notifications/unsubscribe");
+
+  const verification = verifyUnsubscribeToken(req.query.token);
+  if (!verification.valid) {
+    console.log(`> Unsubscribe link rejected: ${verification.error}`);
+    return sendResponse(res, 400, "Invalid unsubscribe link", null, verification.error);
+  }
+
+  const { category, channel } = verification.data;
+  return sendResponse(res, 200, "Confirm to unsubscribe", { category, channel }, null);
+};
+
+/**
+ * @route POST /api/notifications/unsubscribe
+ * @description Opt out through the link in a marketing or product update message;
+ * also the one-click form mail clients use (RFC 8058)
+ * @access Public (signed token)
+ */
+export const unsubscribe = async (req, res) => {
+  console.log("> POST /api/notifications/unsubscribe");
+
+  try {
+    const result = await unsubscribeWithToken(req.query.token, {
+      ip: req.ip,
+      userAgent: req.headers["user-agent"] || null,
+    });
+
+    if (!result.success) {
+      console.log(`> Unsubscribe failed: ${result.error}`);
+      return sendResponse(res, result.statusCode, "Unsubscribe failed", null, result.error);
+    }
+
+    const { category, channel } = result.data;
+    console.log(`> Unsubscribed from ${category} via ${channel}${result.data.changed ? "" : " (already opted out)"}`);
+    return sendResponse(res, 200, "Unsubscribed successfully", result.data, null);
+  } catch (error) {
+    console.log("> Error unsubscribing:", error.message);
+    return sendResponse(res, 500, "Failed to unsubscribe", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/internal/notification-preferences/:userId
+ * @description Get a customer's communication preferences (internal)
+ * @access Internal
+ */
+export const getPreferencesInternal = async (req, res) => {
+  const { userId } = req.params;
+  console.log(`> GET /api/internal/notification-preferences/${userId}`);
+
+  try {
+    const categories = await fetchPreferences(userId);
+
+    return sendResponse(res, 200, "Notification preferences fetched successfully", { categories }, null);
+  } catch (error) {
+    console.log("> Error fetching notification preferences:", error.message);
+    return sendResponse(res, 500, "Failed to fetch notification preferences", null, error.message);
+  }
+};
+
+/**
+ * @route PUT /api/internal/notification-preferences/:userId
+ * @description Record consent collected by another service, e.g. profile edits in auth (internal)
+ * @access Internal
+ */
+export const updatePreferencesInternal = async (req, res) => {
+  const { userId } = req.params;
+  const { categories, source, ip, userAgent } = req.body;
+  console.log(`> PUT /api/internal/notification-preferences/${userId} (${source})`);
+
+  try {
+    const { preferences, records } = await changePreferences(userId, categories, {
+      source,
+      ip: ip || null,
+      userAgent: userAgent || null,
+    });
+
+    console.log(`> Notification preferences updated for user ${userId} (${records.length} change(s))`);
+    return sendResponse(res, 200, "Notification preferences updated successfully", { categories: preferences }, null);
+  } catch (error) {
+    console.log("> Error updating notification preferences:", error.message);
+    return sendResponse(res, 500, "Failed to update notification preferences", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/admin/notification-preferences/:userId
+ * @description Get a customer's preferences and consent history (admin)
+ * @access Admin
+ */
+export const getCustomerPreferences = async (req, res) => {
+  const { userId } = req.params;
+  console.log(`> GET /api/admin/notification-preferences/${userId}`);
+
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const [categories, { records, total }] = await Promise.all([
+      fetchPreferences(userId),
+      fetchConsentHistory(userId, { skip, limit }),
+    ]);
+    const pagination = buildPaginationMeta(total, page, limit);
+
+    return sendResponse(res, 200, "Notification preferences fetched successfully", {
+      categories,
+      history: records,
+      pagination,
+    }, null);
+  } catch (error) {
+    console.log("> Error fetching notification preferences:", error.message);
+    return sendResponse(res, 500, "Failed to fetch notification preferences", null, error.message);
+  }
+};
+
+export default {
+  getPreferences,
+  updatePreferences,
+  getConsentHistory,
+  getUnsubscribeLink,
+  unsubscribe,
+  getPreferencesInternal,
+  updatePreferencesInternal,
+  getCustomerPreferences,
+};
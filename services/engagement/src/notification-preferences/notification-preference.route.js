@@ -0,0 +1,108 @@
+import { Router } from "express";
+import {
+  getPreferences,
+  updatePreferences,
+  getConsentHistory,
+  getUnsubscribeLink,
+  unsubscribe,
+  getPreferencesInternal,
+  updatePreferencesInternal,
+  getCustomerPreferences,
+} from "./notification-preference.controller.js";
+import { validate } from "@shared/middlewares";
+import { authenticateUser, authenticateAdmin, authenticateService } from "@shared/auth-middleware";
+import {
+  updatePreferencesSchema,
+  consentHistorySchema,
+  unsubscribeSchema,
+  preferenceUserParamSchema,
+  updatePreferencesInternalSchema,
+} from "./notification-preference.validation.js";
+
+const consumerRouter = Router();
+const adminRouter = Router();
+const internalRouter = Router();
+
+/**
+ * Consumer Routes
+ * Mounted on /notifications ahead of the notification routes, which require auth throughout
+ */
+
+/**
+ * @route GET /api/notifications/preferences
+ * @description Get the categories and channels the user receives messages on
+ * @access Auth
+ */
+consumerRouter.get("/preferences", authenticateUser, getPreferences);
+
+/**
+ * @route PUT /api/notifications/preferences
+ * @description Opt in or out of categories per channel
+ * @access Auth
+ */
+consumerRouter.put("/preferences", authenticateUser, validate(updatePreferencesSchema), updatePreferences);
+
+/**
+ * @route GET /api/notifications/preferences/history
+ * @description Get the user's consent history
+ * @access Auth
+ */
+consumerRouter.get("/preferences/history", authenticateUser, validate(consentHistorySchema), getConsentHistory);
+
+/**
+ * @route GET /api/notifications/unsubscribe
+ * @description Check an unsubscribe link before confirming it
+ * @access Public (signed token)
+ */
+consumerRouter.get("/unsubscribe", validate(unsubscribeSchema), getUnsubscribeLink);
+
+/**
+ * @route POST /api/notifications/unsubscribe
+ * @description Opt out through an unsubscribe link, including one-click unsubscribe from a mail client
+ * @access Public (signed token)
+ */
+consumerRouter.post("/unsubscribe", validate(unsubscribeSchema), unsubscribe);
+
+/**
+ * Admin Routes
+ */
+
+adminRouter.use(authenticateAdmin);
+
+/**
+ * @route GET /api/admin/notification-preferences/:userId
+ * @description Get a customer's preferences and consent history
+ * @access Admin
+ */
+adminRouter.get("/:userId", validate(preferenceUserParamSchema), validate(consentHistorySchema), getCustomerPreferences);
+
+/**
+ * Internal Routes (service-to-service)
+ */
+
+internalRouter.use(authenticateService);
+
+/**
+ * @route GET /api/internal/notification-preferences/:userId
+ * @description Get a customer's communication preferences
+ * @access Internal
+ */
+internalRouter.get("/:userId", validate(preferenceUserParamSchema), getPreferencesInternal);
+
+/**
+ * @route PUT /api/internal/notification-preferences/:userId
+ * @description Record consent collected by another service
+ * @access Internal
+ */
+internalRouter.put(
+  "/:userId",
+  validate(updatePreferencesInternalSchema, "params"),
+  validate(updatePreferencesInternalSchema),
+  updatePreferencesInternal
+);
+
+export default {
+  consumer: consumerRouter,
+  admin: adminRouter,
+  internal: internalRouter,
+};
@@ -0,0 +1,100 @@
+import Joi from "joi";
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+const channelSwitches = Joi.object({
+  email: Joi.boolean(),
+  sms: Joi.boolean(),
+  whatsapp: Joi.boolean(),
+  push: Joi.boolean(),
+}).min(1);
+
+const categories = Joi.object({
+  transactional: channelSwitches,
+  marketing: channelSwitches,
+  product_updates: channelSwitches,
+}).min(1).messages({
+  "object.min": "At least one category is required",
+});
+
+const userIdParam = Joi.object({
+  userId: objectId.required().messages({
+    "string.pattern.base": "Invalid user ID format",
+    "any.required": "User ID is required",
+  }),
+});
+
+/**
+ * Validation schema for updating communication preferences
+ * PUT /api/notifications/preferences
+ * `channels` alone is the older form and changes transactional messages only
+ */
+export const updatePreferencesSchema = {
+  body: Joi.object({
+    categories,
+    channels: channelSwitches.messages({
+      "object.min": "At least one channel is required",
+    }),
+  }).or("categories", "channels").messages({
+    "object.missing": "Categories are required",
+  }),
+};
+
+/**
+ * Validation schema for consent history
+ * GET /api/notifications/preferences/history
+ */
+export const consentHistorySchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+};
+
+/**
+ * Validation schema for unsubscribe links
+ * GET|POST /api/notifications/unsubscribe
+ */
+export const unsubscribeSchema = {
+  query: Joi.object({
+    token: Joi.string().required().messages({
+      "any.required": "Unsubscribe token is required",
+    }),
+  }),
+};
+
+/**
+ * Validation schema for user ID param
+ * GET /api/internal/notification-preferences/:userId
+ * GET /api/admin/notification-preferences/:userId
+ */
+export const preferenceUserParamSchema = {
+  params: userIdParam,
+};
+
+/**
+ * Validation schema for changing preferences from another service (internal)
+ * PUT /api/internal/notification-preferences/:userId
+ */
+export const updatePreferencesInternalSchema = {
+  params: userIdParam,
+  body: Joi.object({
+    categories: categories.required().messages({
+      "any.required": "Categories are required",
+    }),
+    source: Joi.string().valid("profile", "signup", "admin", "import").required().messages({
+      "any.only": "Source must be one of profile, signup, admin or import",
+      "any.required": "Source is required",
+    }),
+    ip: Joi.string().max(100).allow(null, "").default(null),
+    userAgent: Joi.string().max(500).allow(null, "").default(null),
+  }),
+};
+
+export default {
+  updatePreferencesSchema,
+  consentHistorySchema,
+  unsubscribeSchema,
+  preferenceUserParamSchema,
+  updatePreferencesInternalSchema,
+};
@@ -22,8 +22,8 @@ export const createTemplateSchema = {
       "string.empty": "Template name is required",
       "any.required": "Template name is required",
     }),
-    category: Joi.string().valid("transactional", "marketing", "system").required().messages({
-      "any.only": "Category must be 'transactional', 'marketing', or 'system'",
+    category: Joi.string().valid("transactional", "marketing", "product_updates", "system").required().messages({
+      "any.only": "Category must be 'transactional', 'marketing', 'product_updates', or 'system'",
       "any.required": "Category is required",
     }),
     channels: Joi.array().items(Joi.string().valid("email", "sms", "whatsapp", "push")).min(1).required().messages({
@@ -58,7 +58,7 @@ export const updateTemplateSchema = {
   body: Joi.object({
     code: Joi.string().trim().uppercase().min(1).max(50),
     name: Joi.string().trim().min(1).max(100),
-    category: Joi.string().valid("transactional", "marketing", "system"),
+    category: Joi.string().valid("transactional", "marketing", "product_updates", "system"),
     channels: Joi.array().items(Joi.string().valid("email", "sms", "whatsapp", "push")).min(1),
     templates: Joi.object({
       email: templateContentSchema.allow(null),
@@ -93,7 +93,7 @@ export const listTemplatesSchema = {
   query: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20),
-    category: Joi.string().valid("transactional", "marketing", "system"),
+    category: Joi.string().valid("transactional", "marketing", "product_updates", "system"),
     channel: Joi.string().valid("email", "sms", "whatsapp", "push"),
     isActive: Joi.string().valid("true", "false"),
     search: Joi.string().trim().allow(""),
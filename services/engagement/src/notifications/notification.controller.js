@@ -2,6 +2,15 @@ import Notification from "../../models/notification.model.js";
 import NotificationTemplate from "../../models/notification-template.model.js";
 import { sendResponse } from "@shared/utils";
 import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
+import {
+  dispatchNotification,
+  dispatchDueNotifications,
+  requeueNotification,
+  processDeliveryReceipts,
+  prepareTemplatedContent,
+  queueTemplatedNotification,
+} from "../../services/notification-dispatcher.service.js";
+import { getChannel } from "../../services/notification-providers/index.js";
 
 /**
  * @route GET /api/notifications
@@ -154,6 +163,8 @@ export const listNotifications = async (req, res) => {
       sent: 0,
       delivered: 0,
       failed: 0,
+      dead_letter: 0,
+      suppressed: 0,
     };
 
     stats.forEach((stat) => {
@@ -216,6 +227,7 @@ export const sendNotification = async (req, res) => {
     let template = null;
     let finalSubject = subject;
     let finalBody = body;
+    let unsubscribeUrl = null;
 
     // If template code provided, get template and use its content
     if (templateCode) {
@@ -230,20 +242,16 @@ export const sendNotification = async (req, res) => {
         return sendResponse(res, 400, "Channel not supported", null, `Template '${templateCode}' does not support channel '${channel}'`);
       }
 
-      const channelTemplate = template.templates[channel];
-      if (channelTemplate) {
-        finalSubject = channelTemplate.subject || subject;
-        finalBody = channelTemplate.body;
-
-        // Replace variables
-        if (variables) {
-          Object.keys(variables).forEach((key) => {
-            if (finalSubject) {
-              finalSubject = finalSubject.replace(new RegExp(`{{${key}}}`, "g"), variables[key]);
-            }
-            finalBody = finalBody.replace(new RegExp(`{{${key}}}`, "g"), variables[key]);
-          });
-        }
+      const prepared = await prepareTemplatedContent(template, { userId, channel, recipient, variables });
+      if (prepared.optedOut) {
+        console.log(`> Recipient opted out of ${template.category} via ${channel}`);
+        return sendResponse(res, 409, "Recipient opted out", null, `Recipient has opted out of ${template.category} messages via ${channel}`);
+      }
+
+      if (prepared.content) {
+        finalSubject = prepared.content.subject || subject;
+        finalBody = prepared.content.body;
+        unsubscribeUrl = prepared.unsubscribeUrl;
       }
     }
 
@@ -258,19 +266,22 @@ export const sendNotification = async (req, res) => {
         subject: finalSubject || null,
         body: finalBody,
       },
+      category: template?.category || null,
+      unsubscribeUrl,
       status: "pending",
     });
 
     await notification.save();
 
-    // TODO: Integrate with actual notification providers (email, SMS, WhatsApp, push)
-    // For now, we'll mark it as sent immediately
-    notification.status = "sent";
-    notification.sentAt = new Date();
-    await notification.save();
+    // First attempt is made inline; failures are retried by the dispatch job
+    await dispatchNotification(notification);
 
-    console.log(`> Notification sent: ${notification._id}`);
-    return sendResponse(res, 201, "Notification sent successfully", { notification }, null);
+    const message = notification.status === "sent"
+      ? "Notification sent successfully"
+      : "Notification queued for retry";
+
+    console.log(`> Notification ${notification._id} status: ${notification.status}`);
+    return sendResponse(res, 201, message, { notification }, null);
   } catch (error) {
     console.log("> Error sending notification:", error.message);
     return sendResponse(res, 500, "Failed to send notification", null, error.message);
@@ -294,21 +305,25 @@ export const resendNotification = async (req, res) => {
       return sendResponse(res, 404, "Notification not found", null, `Notification with ID '${id}' not found`);
     }
 
-    if (notification.status !== "failed") {
+    if (!["failed", "dead_letter"].includes(notification.status)) {
       console.log(`> Cannot resend: status is ${notification.status}`);
-      return sendResponse(res, 400, "Cannot resend", null, "Only failed notifications can be resent");
+      return sendResponse(res, 400, "Cannot resend", null, "Only failed or dead-lettered notifications can be resent");
     }
 
-    // TODO: Integrate with actual notification providers
-    // For now, we'll mark it as sent immediately
-    notification.status = "sent";
-    notification.sentAt = new Date();
-    notification.retryCount += 1;
-    notification.errorMessage = null;
-    await notification.save();
+    const resent = await requeueNotification(notification);
+
+    if (!resent) {
+      console.log(`> Notification is already being sent: ${id}`);
+      return sendResponse(res, 409, "Cannot resend", null, "Notification is already being sent");
+    }
+
+    if (resent.status !== "sent") {
+      console.log(`> Notification resend failed: ${id}`);
+      return sendResponse(res, 200, "Notification resend failed, queued for retry", { notification: resent }, null);
+    }
 
     console.log(`> Notification resent: ${id}`);
-    return sendResponse(res, 200, "Notification resent successfully", { notification }, null);
+    return sendResponse(res, 200, "Notification resent successfully", { notification: resent }, null);
   } catch (error) {
     console.log("> Error resending notification:", error.message);
     return sendResponse(res, 500, "Failed to resend notification", null, error.message);
@@ -366,13 +381,15 @@ export const getNotificationStats = async (req, res) => {
         sent: 0,
         delivered: 0,
         failed: 0,
+        dead_letter: 0,
+        suppressed: 0,
         total: 0,
       },
       byChannel: {
-        email: { pending: 0, sent: 0, delivered: 0, failed: 0 },
-        sms: { pending: 0, sent: 0, delivered: 0, failed: 0 },
-        whatsapp: { pending: 0, sent: 0, delivered: 0, failed: 0 },
-        push: { pending: 0, sent: 0, delivered: 0, failed: 0 },
+        email: { pending: 0, sent: 0, delivered: 0, failed: 0, dead_letter: 0, suppressed: 0 },
+        sms: { pending: 0, sent: 0, delivered: 0, failed: 0, dead_letter: 0, suppressed: 0 },
+        whatsapp: { pending: 0, sent: 0, delivered: 0, failed: 0, dead_letter: 0, suppressed: 0 },
+        push: { pending: 0, sent: 0, delivered: 0, failed: 0, dead_letter: 0, suppressed: 0 },
       },
       daily: {},
     };
@@ -390,7 +407,7 @@ export const getNotificationStats = async (req, res) => {
 
     dailyStats.forEach((stat) => {
       if (!stats.daily[stat._id.date]) {
-        stats.daily[stat._id.date] = { pending: 0, sent: 0, delivered: 0, failed: 0 };
+        stats.daily[stat._id.date] = { pending: 0, sent: 0, delivered: 0, failed: 0, dead_letter: 0, suppressed: 0 };
       }
       stats.daily[stat._id.date][stat._id.status] = stat.count;
     });
@@ -403,6 +420,58 @@ export const getNotificationStats = async (req, res) => {
   }
 };
 
+/**
+ * @route POST /api/admin/notifications/dispatch
+ * @description Dispatch due notifications now instead of waiting for the job (admin)
+ * @access Admin
+ */
+export const dispatchNotifications = async (req, res) => {
+  console.log("> POST /api/admin/notifications/dispatch");
+
+  try {
+    const summary = await dispatchDueNotifications(req.body.batchSize);
+
+    console.log("> Manual dispatch completed:", summary);
+    return sendResponse(res, 200, "Notifications dispatched successfully", { summary }, null);
+  } catch (error) {
+    console.log("> Error dispatching notifications:", error.message);
+    return sendResponse(res, 500, "Failed to dispatch notifications", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/webhooks/notifications/:channel
+ * @description Delivery receipt callback from the channel's provider
+ * @access Public (Webhook)
+ */
+export const handleDeliveryReceipt = async (req, res) => {
+  const { channel } = req.params;
+  console.log(`> POST /api/webhooks/notifications/${channel}`);
+
+  try {
+    const adapter = getChannel(channel);
+
+    if (!adapter) {
+      console.log(`> No provider configured for channel: ${channel}`);
+      return sendResponse(res, 404, "Channel not found", null, `No provider configured for channel '${channel}'`);
+    }
+
+    if (!adapter.provider.verifyReceipt(req)) {
+      console.log("> Delivery receipt signature verification failed");
+      return sendResponse(res, 401, "Invalid receipt signature", null, "Invalid receipt signature");
+    }
+
+    const receipts = adapter.provider.parseReceipts(req.body);
+    const summary = await processDeliveryReceipts(channel, adapter.provider.name, receipts);
+
+    console.log("> Delivery receipts processed:", summary);
+    return sendResponse(res, 200, "Delivery receipts processed successfully", { summary }, null);
+  } catch (error) {
+    console.log("> Error processing delivery receipts:", error.message);
+    return sendResponse(res, 500, "Failed to process delivery receipts", null, error.message);
+  }
+};
+
 export default {
   getNotifications,
   markAsRead,
@@ -411,4 +480,35 @@ export default {
   sendNotification,
   resendNotification,
   getNotificationStats,
+  dispatchNotifications,
+  handleDeliveryReceipt,
+};
+
+/**
+ * @route POST /api/internal/notifications
+ * @description Queue a templated notification for another service
+ * @access Internal
+ */
+export const queueNotification = async (req, res) => {
+  console.log(`> POST /api/internal/notifications (${req.body.templateCode} via ${req.body.channel})`);
+
+  try {
+    const result = await queueTemplatedNotification(req.body);
+
+    if (!result.success) {
+      console.log(`> Notification not queued: ${result.error}`);
+      return sendResponse(res, result.statusCode, "Notification not queued", null, result.error);
+    }
+
+    if (result.skipped) {
+      console.log(`> Notification not queued: recipient ${result.skipped}`);
+      return sendResponse(res, 200, "Notification not queued", { notification: null, skipped: result.skipped }, null);
+    }
+
+    console.log(`> Notification queued: ${result.data._id}`);
+    return sendResponse(res, 201, "Notification queued successfully", { notification: result.data }, null);
+  } catch (error) {
+    console.log("> Error queueing notification:", error.message);
+    return sendResponse(res, 500, "Failed to queue notification", null, error.message);
+  }
 };
@@ -7,19 +7,27 @@ import {
   sendNotification,
   resendNotification,
   getNotificationStats,
+  dispatchNotifications,
+  handleDeliveryReceipt,
+  queueNotification,
 } from "./notification.controller.js";
 import { validate } from "@shared/middlewares";
-import { authenticateUser, authenticateAdmin } from "@shared/auth-middleware";
+import { authenticateUser, authenticateAdmin, authenticateService } from "@shared/auth-middleware";
 import {
   getNotificationsSchema,
   markReadSchema,
   listNotificationsAdminSchema,
   notificationIdParamSchema,
   sendNotificationSchema,
+  dispatchNotificationsSchema,
+  deliveryReceiptParamSchema,
+  queueNotificationSchema,
 } from "./notification.validation.js";
 
 const consumerRouter = Router();
 const adminRouter = Router();
+const webhookRouter = Router();
+const internalRouter = Router();
 
 /**
  * Consumer Routes
@@ -70,6 +78,13 @@ adminRouter.get("/stats", getNotificationStats);
  */
 adminRouter.post("/send", validate(sendNotificationSchema), sendNotification);
 
+/**
+ * @route POST /api/admin/notifications/dispatch
+ * @description Dispatch due notifications immediately
+ * @access Admin
+ */
+adminRouter.post("/dispatch", validate(dispatchNotificationsSchema), dispatchNotifications);
+
 /**
  * @route GET /api/admin/notifications/:id
  * @description Get notification details
@@ -84,7 +99,33 @@ adminRouter.get("/:id", validate(notificationIdParamSchema), getNotificationById
  */
 adminRouter.post("/:id/resend", validate(notificationIdParamSchema), resendNotification);
 
+/**
+ * Webhook Routes (verified per provider)
+ */
+
+/**
+ * @route POST /api/webhooks/notifications/:channel
+ * @description Delivery receipt callback
+ * @access Public (Webhook)
+ */
+webhookRouter.post("/:channel", validate(deliveryReceiptParamSchema, "params"), handleDeliveryReceipt);
+
+/**
+ * Internal Routes (service-to-service)
+ */
+
+internalRouter.use(authenticateService);
+
+/**
+ * @route POST /api/internal/notifications
+ * @description Queue a templated notification
+ * @access Internal
+ */
+internalRouter.post("/", validate(queueNotificationSchema), queueNotification);
+
 export default {
   consumer: consumerRouter,
   admin: adminRouter,
+  webhook: webhookRouter,
+  internal: internalRouter,
 };
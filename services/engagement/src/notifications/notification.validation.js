@@ -36,7 +36,7 @@ export const listNotificationsAdminSchema = {
   query: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20),
-    status: Joi.string().valid("pending", "sent", "delivered", "failed"),
+    status: Joi.string().valid("pending", "sent", "delivered", "failed", "dead_letter", "suppressed"),
     channel: Joi.string().valid("email", "sms", "whatsapp", "push"),
     userId: objectId.allow("").messages({
       "string.pattern.base": "Invalid user ID format",
@@ -88,10 +88,63 @@ export const sendNotificationSchema = {
   }),
 };
 
+/**
+ * Validation schema for dispatching due notifications (admin)
+ * POST /api/admin/notifications/dispatch
+ */
+export const dispatchNotificationsSchema = {
+  body: Joi.object({
+    batchSize: Joi.number().integer().min(1).max(500).default(50),
+  }),
+};
+
+/**
+ * Validation schema for delivery receipt callbacks
+ * POST /api/webhooks/notifications/:channel
+ */
+export const deliveryReceiptParamSchema = {
+  params: Joi.object({
+    channel: Joi.string().valid("email", "sms", "whatsapp", "push").required().messages({
+      "any.only": "Channel must be 'email', 'sms', 'whatsapp', or 'push'",
+    }),
+  }),
+};
+
+/**
+ * Validation schema for queueing a templated notification (internal)
+ * POST /api/internal/notifications
+ */
+export const queueNotificationSchema = {
+  body: Joi.object({
+    templateCode: Joi.string().trim().uppercase().required().messages({
+      "any.required": "Template code is required",
+    }),
+    userId: objectId.allow(null).messages({
+      "string.pattern.base": "Invalid user ID format",
+    }),
+    channel: Joi.string().valid("email", "sms", "whatsapp", "push").required().messages({
+      "any.only": "Channel must be 'email', 'sms', 'whatsapp', or 'push'",
+      "any.required": "Channel is required",
+    }),
+    recipient: Joi.string().trim().required().messages({
+      "string.empty": "Recipient is required",
+      "any.required": "Recipient is required",
+    }),
+    variables: Joi.object().default({}),
+    referenceType: Joi.string().trim().max(50).allow(null),
+    referenceId: objectId.allow(null).messages({
+      "string.pattern.base": "Invalid reference ID format",
+    }),
+  }),
+};
+
 export default {
   getNotificationsSchema,
   markReadSchema,
   listNotificationsAdminSchema,
   notificationIdParamSchema,
   sendNotificationSchema,
+  dispatchNotificationsSchema,
+  deliveryReceiptParamSchema,
+  queueNotificationSchema,
 };
@@ -0,0 +1,206 @@
+import ReferralProgram from "../../models/referral-program.model.js";
+import { sendResponse } from "@shared/utils";
+import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
+
+/**
+ * Deactivate every program except the given one, so new referrals have a single program
+ * @param {string} programId - Program staying active
+ */
+const deactivateOtherPrograms = async (programId) => {
+  await ReferralProgram.updateMany({ _id: { $ne: programId }, isActive: true }, { $set: { isActive: false } });
+};
+
+/**
+ * @route GET /api/admin/referral-programs
+ * @description List referral programs (admin)
+ * @access Admin
+ */
+export const listPrograms = async (req, res) => {
+  console.log("> GET /api/admin/referral-programs");
+
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+
+    if (req.query.isActive === "true") {
+      filter.isActive = true;
+    } else if (req.query.isActive === "false") {
+      filter.isActive = false;
+    }
+
+    const [programs, total] = await Promise.all([
+      ReferralProgram.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ReferralProgram.countDocuments(filter),
+    ]);
+
+    const pagination = buildPaginationMeta(total, page, limit);
+
+    console.log(`> Found ${programs.length} of ${total} programs`);
+    return sendResponse(res, 200, "Programs fetched successfully", { programs, pagination }, null);
+  } catch (error) {
+    console.log("> Error fetching programs:", error.message);
+    return sendResponse(res, 500, "Failed to fetch programs", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/admin/referral-programs
+ * @description Create a referral program (admin)
+ * An active program replaces the one currently active.
+ * @access Admin
+ */
+export const createProgram = async (req, res) => {
+  console.log("> POST /api/admin/referral-programs");
+
+  try {
+    const program = new ReferralProgram({
+      ...req.body,
+      description: req.body.description || null,
+      createdBy: req.admin._id,
+    });
+
+    await program.save();
+
+    if (program.isActive) {
+      await deactivateOtherPrograms(program._id);
+    }
+
+    console.log(`> Program created: ${program.name} (${program._id})`);
+    return sendResponse(res, 201, "Program created successfully", { program }, null);
+  } catch (error) {
+    console.log("> Error creating program:", error.message);
+    return sendResponse(res, 500, "Failed to create program", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/admin/referral-programs/:id
+ * @description Get program by ID (admin)
+ * @access Admin
+ */
+export const getProgramById = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> GET /api/admin/referral-programs/${id}`);
+
+  try {
+    const program = await ReferralProgram.findById(id).lean();
+
+    if (!program) {
+      console.log(`> Program not found: ${id}`);
+      return sendResponse(res, 404, "Program not found", null, `Program with ID '${id}' not found`);
+    }
+
+    console.log(`> Program found: ${program.name}`);
+    return sendResponse(res, 200, "Program fetched successfully", { program }, null);
+  } catch (error) {
+    console.log("> Error fetching program:", error.message);
+    return sendResponse(res, 500, "Failed to fetch program", null, error.message);
+  }
+};
+
+/**
+ * @route PUT /api/admin/referral-programs/:id
+ * @description Update a program (admin)
+ * Changes apply to referrals enrolled in the program that haven't been rewarded yet.
+ * @access Admin
+ */
+export const updateProgram = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> PUT /api/admin/referral-programs/${id}`);
+
+  try {
+    const program = await ReferralProgram.findById(id);
+
+    if (!program) {
+      console.log(`> Program not found: ${id}`);
+      return sendResponse(res, 404, "Program not found", null, `Program with ID '${id}' not found`);
+    }
+
+    program.set(req.body);
+    if (req.body.description === "") program.description = null;
+
+    if (program.referrerRewardType === "points" && !Number.isInteger(program.referrerRewardValue)) {
+      console.log(`> Fractional points reward for program ${id}`);
+      return sendResponse(res, 400, "Invalid referrer reward", null, "A points reward must be a whole number of points");
+    }
+
+    await program.save();
+
+    console.log(`> Program updated: ${program.name}`);
+    return sendResponse(res, 200, "Program updated successfully", { program }, null);
+  } catch (error) {
+    console.log("> Error updating program:", error.message);
+    return sendResponse(res, 500, "Failed to update program", null, error.message);
+  }
+};
+
+/**
+ * @route PATCH /api/admin/referral-programs/:id/activate
+ * @description Make a program the active one (admin)
+ * @access Admin
+ */
+export const activateProgram = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> PATCH /api/admin/referral-programs/${id}/activate`);
+
+  try {
+    const program = await ReferralProgram.findById(id);
+
+    if (!program) {
+      console.log(`> Program not found: ${id}`);
+      return sendResponse(res, 404, "Program not found", null, `Program with ID '${id}' not found`);
+    }
+
+    program.isActive = true;
+    await program.save();
+    await deactivateOtherPrograms(program._id);
+
+    console.log(`> Program activated: ${program.name}`);
+    return sendResponse(res, 200, "Program activated successfully", { program }, null);
+  } catch (error) {
+    console.log("> Error activating program:", error.message);
+    return sendResponse(res, 500, "Failed to activate program", null, error.message);
+  }
+};
+
+/**
+ * @route PATCH /api/admin/referral-programs/:id/deactivate
+ * @description Deactivate a program (admin)
+ * Referrals already enrolled keep its terms.
+ * @access Admin
+ */
+export const deactivateProgram = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> PATCH /api/admin/referral-programs/${id}/deactivate`);
+
+  try {
+    const program = await ReferralProgram.findById(id);
+
+    if (!program) {
+      console.log(`> Program not found: ${id}`);
+      return sendResponse(res, 404, "Program not found", null, `Program with ID '${id}' not found`);
+    }
+
+    program.isActive = false;
+    await program.save();
+
+    console.log(`> Program deactivated: ${program.name}`);
+    return sendResponse(res, 200, "Program deactivated successfully", { program }, null);
+  } catch (error) {
+    console.log("> Error deactivating program:", error.message);
+    return sendResponse(res, 500, "Failed to deactivate program", null, error.message);
+  }
+};
+
+export default {
+  listPrograms,
+  createProgram,
+  getProgramById,
+  updateProgram,
+  activateProgram,
+  deactivateProgram,
+};
@@ -0,0 +1,68 @@
+import { Router } from "express";
+import {
+  listPrograms,
+  createProgram,
+  getProgramById,
+  updateProgram,
+  activateProgram,
+  deactivateProgram,
+} from "./referral-program.controller.js";
+import { validate } from "@shared/middlewares";
+import { authenticateAdmin } from "@shared/auth-middleware";
+import {
+  createProgramSchema,
+  updateProgramSchema,
+  programIdParamSchema,
+  listProgramsSchema,
+} from "./referral-program.validation.js";
+
+const adminRouter = Router();
+
+// Apply admin authentication to all routes
+adminRouter.use(authenticateAdmin);
+
+/**
+ * @route GET /api/admin/referral-programs
+ * @description List referral programs
+ * @access Admin
+ */
+adminRouter.get("/", validate(listProgramsSchema), listPrograms);
+
+/**
+ * @route POST /api/admin/referral-programs
+ * @description Create a referral program
+ * @access Admin
+ */
+adminRouter.post("/", validate(createProgramSchema), createProgram);
+
+/**
+ * @route GET /api/admin/referral-programs/:id
+ * @description Get program by ID
+ * @access Admin
+ */
+adminRouter.get("/:id", validate(programIdParamSchema), getProgramById);
+
+/**
+ * @route PUT /api/admin/referral-programs/:id
+ * @description Update a program
+ * @access Admin
+ */
+adminRouter.put("/:id", validate(updateProgramSchema), updateProgram);
+
+/**
+ * @route PATCH /api/admin/referral-programs/:id/activate
+ * @description Make a program the active one
+ * @access Admin
+ */
+adminRouter.patch("/:id/activate", validate(programIdParamSchema), activateProgram);
+
+/**
+ * @route PATCH /api/admin/referral-programs/:id/deactivate
+ * @description Deactivate a program
+ * @access Admin
+ */
+adminRouter.patch("/:id/deactivate", validate(programIdParamSchema), deactivateProgram);
+
+export default {
+  admin: adminRouter,
+};
@@ -0,0 +1,90 @@
+import Joi from "joi";
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+const programIdParam = Joi.object({
+  id: objectId.required().messages({
+    "string.pattern.base": "Invalid program ID format",
+    "any.required": "Program ID is required",
+  }),
+});
+
+/**
+ * Validation schema for creating a referral program
+ * POST /api/admin/referral-programs
+ */
+export const createProgramSchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "string.empty": "Program name is required",
+      "any.required": "Program name is required",
+    }),
+    description: Joi.string().trim().max(500).allow(null, ""),
+    refereeCouponBatchId: objectId.allow(null).default(null).messages({
+      "string.pattern.base": "Invalid coupon batch ID format",
+    }),
+    refereeCouponValidForHours: Joi.number().integer().min(1).allow(null).default(null),
+    referrerRewardType: Joi.string().valid("store_credit", "points").required().messages({
+      "any.only": "Referrer reward type must be 'store_credit' or 'points'",
+      "any.required": "Referrer reward type is required",
+    }),
+    referrerRewardValue: Joi.when("referrerRewardType", {
+      is: "points",
+      then: Joi.number().integer().min(1),
+      otherwise: Joi.number().positive().precision(2),
+    }).required().messages({
+      "any.required": "Referrer reward value is required",
+    }),
+    minQualifyingOrderValue: Joi.number().min(0).default(0),
+    rewardHoldDays: Joi.number().integer().min(0).max(90).default(7),
+    isActive: Joi.boolean().default(true),
+  }),
+};
+
+/**
+ * Validation schema for updating a referral program
+ * PUT /api/admin/referral-programs/:id
+ */
+export const updateProgramSchema = {
+  params: programIdParam,
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().trim().max(500).allow(null, ""),
+    refereeCouponBatchId: objectId.allow(null).messages({
+      "string.pattern.base": "Invalid coupon batch ID format",
+    }),
+    refereeCouponValidForHours: Joi.number().integer().min(1).allow(null),
+    referrerRewardType: Joi.string().valid("store_credit", "points"),
+    referrerRewardValue: Joi.number().positive().precision(2),
+    minQualifyingOrderValue: Joi.number().min(0),
+    rewardHoldDays: Joi.number().integer().min(0).max(90),
+  }).min(1).messages({
+    "object.min": "At least one field is required to update",
+  }),
+};
+
+/**
+ * Validation schema for program ID param
+ */
+export const programIdParamSchema = {
+  params: programIdParam,
+};
+
+/**
+ * Validation schema for listing referral programs
+ * GET /api/admin/referral-programs
+ */
+export const listProgramsSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    isActive: Joi.string().valid("true", "false"),
+  }),
+};
+
+export default {
+  createProgramSchema,
+  updateProgramSchema,
+  programIdParamSchema,
+  listProgramsSchema,
+};
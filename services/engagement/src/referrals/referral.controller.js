@@ -1,5 +1,5 @@
 import Referral from "../../models/referral.model.js";
-import { getOrCreateReferralCode, validateReferralCode } from "../../services/referral.service.js";
+import { getOrCreateReferralCode, validateReferralCode, getActiveProgram } from "../../services/referral.service.js";
 import { sendResponse } from "@shared/utils";
 import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
 
@@ -22,9 +22,10 @@ export const getMyCode = async (req, res) => {
         $group: {
           _id: null,
           totalReferrals: { $sum: 1 },
-          converted: { $sum: { $cond: [{ $eq: ["$status", "converted"] }, 1, 0] } },
+          converted: { $sum: { $cond: [{ $in: ["$status", ["converted", "rewarding"]] }, 1, 0] } },
           rewarded: { $sum: { $cond: [{ $eq: ["$status", "rewarded"] }, 1, 0] } },
           totalPointsEarned: { $sum: "$referrerRewardPoints" },
+          totalCreditEarned: { $sum: "$referrerRewardAmount" },
         },
       },
     ]);
@@ -34,12 +35,26 @@ export const getMyCode = async (req, res) => {
       converted: 0,
       rewarded: 0,
       totalPointsEarned: 0,
+      totalCreditEarned: 0,
     };
 
+    // Current terms, so the customer knows what they and their friends get
+    const activeProgram = await getActiveProgram();
+    const program = activeProgram
+      ? {
+        referrerRewardType: activeProgram.referrerRewardType,
+        referrerRewardValue: activeProgram.referrerRewardValue,
+        minQualifyingOrderValue: activeProgram.minQualifyingOrderValue,
+        rewardHoldDays: activeProgram.rewardHoldDays,
+        refereeDiscount: Boolean(activeProgram.refereeCouponBatchId),
+      }
+      : null;
+
     console.log(`> Referral code: ${code}, isNew: ${isNew}`);
     return sendResponse(res, 200, "Referral code fetched successfully", {
       code,
       stats: referralStats,
+      program,
     }, null);
   } catch (error) {
     console.log("> Error fetching referral code:", error.message);
@@ -67,7 +82,7 @@ export const getMyReferrals = async (req, res) => {
     const [referrals, total] = await Promise.all([
       Referral.find(filter)
         .populate("referee", "firstName lastName")
-        .select("referee status refereeRewardPoints referrerRewardPoints rewardsIssued createdAt")
+        .select("referee status refereeRewardPoints referrerRewardPoints referrerRewardAmount referrerRewardType rewardsIssued convertedAt rewardEligibleAt createdAt")
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
@@ -85,6 +100,33 @@ export const getMyReferrals = async (req, res) => {
   }
 };
 
+/**
+ * @route GET /api/referrals/applied
+ * @description Get the referral the user signed up with and their discount code (consumer)
+ * @access Auth
+ */
+export const getAppliedReferral = async (req, res) => {
+  const userId = req.user._id;
+  console.log(`> GET /api/referrals/applied for user ${userId}`);
+
+  try {
+    const referral = await Referral.findOne({ referee: userId })
+      .select("status refereeCouponCode refereeCouponExpiresAt createdAt")
+      .lean();
+
+    if (!referral) {
+      console.log(`> No referral applied for user ${userId}`);
+      return sendResponse(res, 404, "No referral applied", null, "You didn't sign up with a referral code");
+    }
+
+    console.log(`> Applied referral found: ${referral._id}`);
+    return sendResponse(res, 200, "Referral fetched successfully", { referral }, null);
+  } catch (error) {
+    console.log("> Error fetching applied referral:", error.message);
+    return sendResponse(res, 500, "Failed to fetch referral", null, error.message);
+  }
+};
+
 /**
  * @route POST /api/referrals/apply
  * @description Apply referral code on signup (public)
@@ -109,11 +151,13 @@ export const applyCode = async (req, res) => {
       return sendResponse(res, 400, "Referral already applied", null, "This email has already used a referral code");
     }
 
-    // Create a pending referral record for this email
+    // Create a pending referral record for this email, enrolled in the current program
+    const program = await getActiveProgram();
     const referral = new Referral({
       referrer: validation.referrerId,
       referrerCode: code.toUpperCase(),
       refereeEmail: email,
+      program: program?._id || null,
       status: "pending",
     });
 
@@ -186,6 +230,7 @@ export const listReferrals = async (req, res) => {
             _id: "$status",
             count: { $sum: 1 },
             totalReferrerPoints: { $sum: "$referrerRewardPoints" },
+            totalReferrerCredit: { $sum: "$referrerRewardAmount" },
             totalRefereePoints: { $sum: "$refereeRewardPoints" },
           },
         },
@@ -193,16 +238,17 @@ export const listReferrals = async (req, res) => {
     ]);
 
     const statusStats = {
-      pending: { count: 0, referrerPoints: 0, refereePoints: 0 },
-      signed_up: { count: 0, referrerPoints: 0, refereePoints: 0 },
-      converted: { count: 0, referrerPoints: 0, refereePoints: 0 },
-      rewarded: { count: 0, referrerPoints: 0, refereePoints: 0 },
+      pending: { count: 0, referrerPoints: 0, referrerCredit: 0, refereePoints: 0 },
+      signed_up: { count: 0, referrerPoints: 0, referrerCredit: 0, refereePoints: 0 },
+      converted: { count: 0, referrerPoints: 0, referrerCredit: 0, refereePoints: 0 },
+      rewarded: { count: 0, referrerPoints: 0, referrerCredit: 0, refereePoints: 0 },
     };
 
     stats.forEach((stat) => {
       statusStats[stat._id] = {
         count: stat.count,
         referrerPoints: stat.totalReferrerPoints,
+        referrerCredit: stat.totalReferrerCredit,
         refereePoints: stat.totalRefereePoints,
       };
     });
@@ -235,6 +281,8 @@ export const getReferralById = async (req, res) => {
       .populate("referrer", "firstName lastName email phone")
       .populate("referee", "firstName lastName email phone")
       .populate("flaggedBy", "firstName lastName")
+      .populate("fraudReviewedBy", "firstName lastName")
+      .populate("program", "name referrerRewardType referrerRewardValue minQualifyingOrderValue rewardHoldDays")
       .lean();
 
     if (!referral) {
@@ -265,11 +313,14 @@ export const getReferralStats = async (req, res) => {
           $group: {
             _id: null,
             totalReferrals: { $sum: 1 },
-            signedUp: { $sum: { $cond: [{ $in: ["$status", ["signed_up", "converted", "rewarded"]] }, 1, 0] } },
-            converted: { $sum: { $cond: [{ $in: ["$status", ["converted", "rewarded"]] }, 1, 0] } },
+            signedUp: { $sum: { $cond: [{ $in: ["$status", ["signed_up", "converted", "rewarding", "rewarded"]] }, 1, 0] } },
+            converted: { $sum: { $cond: [{ $in: ["$status", ["converted", "rewarding", "rewarded"]] }, 1, 0] } },
             rewarded: { $sum: { $cond: [{ $eq: ["$status", "rewarded"] }, 1, 0] } },
             flagged: { $sum: { $cond: ["$isFlagged", 1, 0] } },
+            autoFlagged: { $sum: { $cond: [{ $and: ["$isFlagged", { $eq: ["$flaggedBy", null] }] }, 1, 0] } },
+            awaitingReward: { $sum: { $cond: [{ $in: ["$status", ["converted", "rewarding"]] }, 1, 0] } },
             totalReferrerPoints: { $sum: "$referrerRewardPoints" },
+            totalReferrerCredit: { $sum: "$referrerRewardAmount" },
             totalRefereePoints: { $sum: "$refereeRewardPoints" },
           },
         },
@@ -284,7 +335,7 @@ export const getReferralStats = async (req, res) => {
           $group: {
             _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
             count: { $sum: 1 },
-            converted: { $sum: { $cond: [{ $in: ["$status", ["converted", "rewarded"]] }, 1, 0] } },
+            converted: { $sum: { $cond: [{ $in: ["$status", ["converted", "rewarding", "rewarded"]] }, 1, 0] } },
           },
         },
         { $sort: { _id: 1 } },
@@ -297,7 +348,10 @@ export const getReferralStats = async (req, res) => {
       converted: 0,
       rewarded: 0,
       flagged: 0,
+      autoFlagged: 0,
+      awaitingReward: 0,
       totalReferrerPoints: 0,
+      totalReferrerCredit: 0,
       totalRefereePoints: 0,
     };
 
@@ -351,12 +405,52 @@ export const flagFraud = async (req, res) => {
   }
 };
 
+/**
+ * @route PATCH /api/admin/referrals/:id/clear-flag
+ * @description Clear a fraud flag after review (admin)
+ * The automatic checks aren't run again, so a converted referral is paid on the next reward run.
+ * @access Admin
+ */
+export const clearFlag = async (req, res) => {
+  const { id } = req.params;
+  const adminId = req.admin._id;
+  console.log(`> PATCH /api/admin/referrals/${id}/clear-flag`);
+
+  try {
+    const referral = await Referral.findById(id);
+
+    if (!referral) {
+      console.log(`> Referral not found: ${id}`);
+      return sendResponse(res, 404, "Referral not found", null, `Referral with ID '${id}' not found`);
+    }
+
+    if (!referral.isFlagged) {
+      console.log(`> Referral not flagged: ${id}`);
+      return sendResponse(res, 400, "Referral is not flagged", null, "Only a flagged referral can be cleared");
+    }
+
+    referral.isFlagged = false;
+    referral.fraudReviewedBy = adminId;
+    referral.fraudReviewedAt = new Date();
+
+    await referral.save();
+
+    console.log(`> Referral flag cleared: ${id}`);
+    return sendResponse(res, 200, "Referral flag cleared successfully", { referral }, null);
+  } catch (error) {
+    console.log("> Error clearing referral flag:", error.message);
+    return sendResponse(res, 500, "Failed to clear referral flag", null, error.message);
+  }
+};
+
 export default {
   getMyCode,
   getMyReferrals,
+  getAppliedReferral,
   applyCode,
   listReferrals,
   getReferralById,
   getReferralStats,
   flagFraud,
+  clearFlag,
 };
@@ -2,11 +2,13 @@ import { Router } from "express";
 import {
   getMyCode,
   getMyReferrals,
+  getAppliedReferral,
   applyCode,
   listReferrals,
   getReferralById,
   getReferralStats,
   flagFraud,
+  clearFlag,
 } from "./referral.controller.js";
 import { validate } from "@shared/middlewares";
 import { authenticateUser, authenticateAdmin } from "@shared/auth-middleware";
@@ -46,6 +48,13 @@ consumerRouter.get("/my-code", authenticateUser, getMyCode);
  */
 consumerRouter.get("/my-referrals", authenticateUser, validate(getMyReferralsSchema), getMyReferrals);
 
+/**
+ * @route GET /api/referrals/applied
+ * @description Get the referral the user signed up with
+ * @access Auth
+ */
+consumerRouter.get("/applied", authenticateUser, getAppliedReferral);
+
 /**
  * Admin Routes
  */
@@ -81,6 +90,13 @@ adminRouter.get("/:id", validate(referralIdParamSchema), getReferralById);
  */
 adminRouter.patch("/:id/flag-fraud", validate(flagFraudSchema), flagFraud);
 
+/**
+ * @route PATCH /api/admin/referrals/:id/clear-flag
+ * @description Clear a fraud flag after review
+ * @access Admin
+ */
+adminRouter.patch("/:id/clear-flag", validate(referralIdParamSchema), clearFlag);
+
 export default {
   consumer: consumerRouter,
   admin: adminRouter,
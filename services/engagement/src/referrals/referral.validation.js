@@ -27,7 +27,7 @@ export const getMyReferralsSchema = {
   query: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(50).default(20),
-    status: Joi.string().valid("pending", "signed_up", "converted", "rewarded"),
+    status: Joi.string().valid("pending", "signed_up", "converted", "rewarding", "rewarded"),
   }),
 };
 
@@ -39,7 +39,7 @@ export const listReferralsAdminSchema = {
   query: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20),
-    status: Joi.string().valid("pending", "signed_up", "converted", "rewarded"),
+    status: Joi.string().valid("pending", "signed_up", "converted", "rewarding", "rewarded"),
     referrerId: objectId.allow("").messages({
       "string.pattern.base": "Invalid referrer ID format",
     }),
@@ -2,6 +2,7 @@ import Review from "../../models/review.model.js";
 import ReviewVote from "../../models/review-vote.model.js";
 import { sendResponse } from "@shared/utils";
 import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
+import { awardReviewPoints } from "../../services/loyalty.service.js";
 
 /**
  * @route GET /api/products/:productId/reviews
@@ -321,6 +322,10 @@ export const approveReview = async (req, res) => {
 
     await review.save();
 
+    // Points are awarded once per review, so re-approving doesn't add more
+    awardReviewPoints(review)
+      .catch((err) => console.log("> Failed to award review points:", err.message));
+
     // TODO: Update product rating summary in catalog service
 
     console.log(`> Review approved: ${id}`);
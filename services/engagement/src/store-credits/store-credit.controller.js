@@ -2,6 +2,7 @@ import StoreCredit from "../../models/store-credit.model.js";
 import StoreCreditTransaction from "../../models/store-credit-transaction.model.js";
 import { sendResponse } from "@shared/utils";
 import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
+import { issueStoreCredit } from "../../services/store-credit.service.js";
 
 /**
  * @route GET /api/store-credits/balance
@@ -19,6 +20,7 @@ export const getBalance = async (req, res) => {
       // Return zero balance if no record exists
       return sendResponse(res, 200, "Balance fetched successfully", {
         balance: 0,
+        availableBalance: 0,
         currency: "INR",
         lifetimeEarned: 0,
         lifetimeUsed: 0,
@@ -28,6 +30,8 @@ export const getBalance = async (req, res) => {
     console.log(`> Balance for user ${userId}: ${storeCredit.balance}`);
     return sendResponse(res, 200, "Balance fetched successfully", {
       balance: storeCredit.balance,
+      // Part of the balance held for orders awaiting payment can't be used again
+      availableBalance: storeCredit.balance - (storeCredit.heldBalance || 0),
       currency: storeCredit.currency,
       lifetimeEarned: storeCredit.lifetimeEarned,
       lifetimeUsed: storeCredit.lifetimeUsed,
@@ -193,39 +197,18 @@ export const issueCredit = async (req, res) => {
   console.log(`> POST /api/admin/store-credits/${userId}/credit`);
 
   try {
-    // Get or create store credit account
-    let storeCredit = await StoreCredit.findOne({ user: userId });
-
-    if (!storeCredit) {
-      storeCredit = new StoreCredit({
-        user: userId,
-        balance: 0,
-        lifetimeEarned: 0,
-        lifetimeUsed: 0,
-      });
-    }
-
-    const newBalance = storeCredit.balance + amount;
-
-    storeCredit.balance = newBalance;
-    storeCredit.lifetimeEarned += amount;
-
-    await storeCredit.save();
-
-    // Create transaction
-    const transaction = new StoreCreditTransaction({
-      user: userId,
-      storeCredit: storeCredit._id,
-      type: "credit",
-      amount,
-      balanceAfter: newBalance,
+    const result = await issueStoreCredit(userId, amount, {
       referenceType: referenceType || "manual",
       referenceId: referenceId || null,
       description,
       createdBy: adminId,
     });
+    const { storeCredit, transaction, duplicate } = result.data;
 
-    await transaction.save();
+    if (duplicate) {
+      console.log(`> Credit already issued for ${referenceType} ${referenceId}`);
+      return sendResponse(res, 409, "Credit already issued", null, `A credit for ${referenceType} ${referenceId} was already issued`);
+    }
 
     console.log(`> Credit issued to user ${userId}: +${amount}`);
     return sendResponse(res, 200, "Credit issued successfully", {
@@ -257,9 +240,10 @@ export const deductCredit = async (req, res) => {
       return sendResponse(res, 404, "Store credit not found", null, `No store credit found for user '${userId}'`);
     }
 
-    if (storeCredit.balance < amount) {
-      console.log(`> Insufficient balance: ${storeCredit.balance} < ${amount}`);
-      return sendResponse(res, 400, "Insufficient balance", null, `User only has ${storeCredit.balance} credits available`);
+    const availableBalance = storeCredit.balance - (storeCredit.heldBalance || 0);
+    if (availableBalance < amount) {
+      console.log(`> Insufficient balance: ${availableBalance} < ${amount}`);
+      return sendResponse(res, 400, "Insufficient balance", null, `User only has ${availableBalance} credits available`);
     }
 
     const newBalance = storeCredit.balance - amount;
@@ -295,6 +279,40 @@ export const deductCredit = async (req, res) => {
   }
 };
 
+/**
+ * @route POST /api/internal/store-credits/:userId/credit
+ * @description Issue store credit for another service (e.g. an exchange's price difference)
+ * A repeated call for the same reference returns the original transaction.
+ * @access Internal
+ */
+export const issueServiceCredit = async (req, res) => {
+  const { userId } = req.params;
+  const { amount, description, referenceType, referenceId } = req.body;
+  console.log(`> POST /api/internal/store-credits/${userId}/credit (${referenceType} ${referenceId})`);
+
+  try {
+    const result = await issueStoreCredit(userId, amount, { referenceType, referenceId, description });
+    const { storeCredit, transaction, duplicate } = result.data;
+
+    if (duplicate) {
+      console.log(`> Credit already issued for ${referenceType} ${referenceId}`);
+      return sendResponse(res, 200, "Credit already issued", {
+        storeCredit,
+        transaction,
+      }, null);
+    }
+
+    console.log(`> Credit issued to user ${userId}: +${amount}`);
+    return sendResponse(res, 201, "Credit issued successfully", {
+      storeCredit,
+      transaction,
+    }, null);
+  } catch (error) {
+    console.log("> Error issuing credit:", error.message);
+    return sendResponse(res, 500, "Failed to issue credit", null, error.message);
+  }
+};
+
 export default {
   getBalance,
   getHistory,
@@ -302,4 +320,5 @@ export default {
   getByUserId,
   issueCredit,
   deductCredit,
+  issueServiceCredit,
 };
@@ -6,9 +6,10 @@ import {
   getByUserId,
   issueCredit,
   deductCredit,
+  issueServiceCredit,
 } from "./store-credit.controller.js";
 import { validate } from "@shared/middlewares";
-import { authenticateUser, authenticateAdmin } from "@shared/auth-middleware";
+import { authenticateUser, authenticateAdmin, authenticateService } from "@shared/auth-middleware";
 import {
   getBalanceSchema,
   getHistorySchema,
@@ -16,10 +17,12 @@ import {
   getByUserIdSchema,
   issueCreditSchema,
   deductCreditSchema,
+  issueServiceCreditSchema,
 } from "./store-credit.validation.js";
 
 const consumerRouter = Router();
 const adminRouter = Router();
+const internalRouter = Router();
 
 /**
  * Consumer Routes
@@ -77,7 +80,21 @@ adminRouter.post("/:userId/credit", validate(issueCreditSchema), issueCredit);
  */
 adminRouter.post("/:userId/debit", validate(deductCreditSchema), deductCredit);
 
+/**
+ * Internal Routes (service-to-service)
+ */
+
+internalRouter.use(authenticateService);
+
+/**
+ * @route POST /api/internal/store-credits/:userId/credit
+ * @description Issue store credit for another service
+ * @access Internal
+ */
+internalRouter.post("/:userId/credit", validate(issueServiceCreditSchema), issueServiceCredit);
+
 export default {
   consumer: consumerRouter,
   admin: adminRouter,
+  internal: internalRouter,
 };
@@ -104,6 +104,34 @@ export const deductCreditSchema = {
   }),
 };
 
+/**
+ * Validation schema for crediting on behalf of another service
+ * POST /api/internal/store-credits/:userId/credit
+ */
+export const issueServiceCreditSchema = {
+  params: Joi.object({
+    userId: objectId.required().messages({
+      "string.pattern.base": "Invalid user ID format",
+      "any.required": "User ID is required",
+    }),
+  }),
+  body: Joi.object({
+    amount: Joi.number().positive().required().messages({
+      "number.positive": "Amount must be positive",
+      "any.required": "Amount is required",
+    }),
+    description: Joi.string().trim().max(500).required().messages({
+      "string.empty": "Description is required",
+      "any.required": "Description is required",
+    }),
+    referenceType: Joi.string().valid("refund", "exchange", "reward", "referral").required(),
+    referenceId: objectId.required().messages({
+      "string.pattern.base": "Invalid reference ID format",
+      "any.required": "Reference ID is required",
+    }),
+  }),
+};
+
 export default {
   getBalanceSchema,
   getHistorySchema,
@@ -111,4 +139,5 @@ export default {
   getByUserIdSchema,
   issueCreditSchema,
   deductCreditSchema,
+  issueServiceCreditSchema,
 };
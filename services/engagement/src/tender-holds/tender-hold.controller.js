@@ -0,0 +1,138 @@
+import { sendResponse } from "@shared/utils";
+import { holdTenders, captureTenders, releaseTenders, refundTenders } from "../../services/tender.service.js";
+
+/**
+ * @route POST /api/internal/tender-holds
+ * @description Hold loyalty points and store credit for an order awaiting payment
+ * @access Internal
+ *
+ * @requestBody
+ * {
+ *   "userId": "<userId>",
+ *   "orderId": "<orderId>",
+ *   "orderNumber": "ORD-20250101-0001",
+ *   "orderTotal": 2499,
+ *   "loyaltyPoints": 500,
+ *   "storeCreditAmount": 200,
+ *   "expiresAt": "2025-01-01T10:30:00.000Z"
+ * }
+ *
+ * @responseBody Success (201, or 200 when the order already has a hold)
+ * {
+ *   "message": "Tenders held successfully",
+ *   "data": {
+ *     "hold": { "orderId": "...", "loyaltyPoints": 500, "loyaltyAmount": 50, "storeCreditAmount": 200, "status": "held" },
+ *     "duplicate": false
+ *   }
+ * }
+ */
+export const holdOrderTenders = async (req, res) => {
+  const { orderId } = req.body;
+  console.log(`> POST /api/internal/tender-holds (order ${orderId} from ${req.serviceId})`);
+
+  try {
+    const result = await holdTenders(req.body);
+
+    if (!result.success) {
+      console.log(`> Tenders not held: ${result.error}`);
+      return sendResponse(res, result.statusCode, "Tenders not held", null, result.error);
+    }
+
+    const { duplicate } = result.data;
+    return sendResponse(res, duplicate ? 200 : 201, duplicate ? "Tenders already held" : "Tenders held successfully", result.data, null);
+  } catch (error) {
+    console.log("> Error holding tenders:", error.message);
+    return sendResponse(res, 500, "Failed to hold tenders", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/internal/tender-holds/:orderId/capture
+ * @description Debit an order's held points and store credit once it is paid
+ * @access Internal
+ */
+export const captureOrderTenders = async (req, res) => {
+  const { orderId } = req.params;
+  console.log(`> POST /api/internal/tender-holds/${orderId}/capture (${req.serviceId})`);
+
+  try {
+    const result = await captureTenders(orderId);
+
+    if (!result.success) {
+      console.log(`> Tenders not captured: ${result.error}`);
+      return sendResponse(res, result.statusCode, "Tenders not captured", null, result.error);
+    }
+
+    return sendResponse(res, 200, "Tenders captured successfully", result.data, null);
+  } catch (error) {
+    console.log("> Error capturing tenders:", error.message);
+    return sendResponse(res, 500, "Failed to capture tenders", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/internal/tender-holds/:orderId/release
+ * @description Give an order's held points and store credit back after a failed payment or cancellation
+ * @access Internal
+ */
+export const releaseOrderTenders = async (req, res) => {
+  const { orderId } = req.params;
+  const { reason } = req.body;
+  console.log(`> POST /api/internal/tender-holds/${orderId}/release (${reason} from ${req.serviceId})`);
+
+  try {
+    const result = await releaseTenders(orderId, reason);
+
+    if (!result.success) {
+      console.log(`> Tenders not released: ${result.error}`);
+      return sendResponse(res, result.statusCode, "Tenders not released", null, result.error);
+    }
+
+    return sendResponse(res, 200, "Tenders released successfully", result.data, null);
+  } catch (error) {
+    console.log("> Error releasing tenders:", error.message);
+    return sendResponse(res, 500, "Failed to release tenders", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/internal/tender-holds/:orderId/refunds
+ * @description Return an order's debited points and store credit for a refund
+ * @access Internal
+ *
+ * @requestBody
+ * {
+ *   "refundId": "<refundId>",
+ *   "loyaltyAmount": 25,
+ *   "storeCreditAmount": 100
+ * }
+ *
+ * @responseBody Success (201, or 200 when the refund was already applied)
+ * {
+ *   "message": "Tenders refunded successfully",
+ *   "data": {
+ *     "hold": { ... },
+ *     "refund": { "refundId": "...", "loyaltyPoints": 250, "storeCreditAmount": 100 },
+ *     "duplicate": false
+ *   }
+ * }
+ */
+export const refundOrderTenders = async (req, res) => {
+  const { orderId } = req.params;
+  console.log(`> POST /api/internal/tender-holds/${orderId}/refunds (${req.serviceId})`);
+
+  try {
+    const result = await refundTenders(orderId, req.body);
+
+    if (!result.success) {
+      console.log(`> Tenders not refunded: ${result.error}`);
+      return sendResponse(res, result.statusCode, "Tenders not refunded", null, result.error);
+    }
+
+    const { duplicate } = result.data;
+    return sendResponse(res, duplicate ? 200 : 201, duplicate ? "Tenders already refunded" : "Tenders refunded successfully", result.data, null);
+  } catch (error) {
+    console.log("> Error refunding tenders:", error.message);
+    return sendResponse(res, 500, "Failed to refund tenders", null, error.message);
+  }
+};
@@ -0,0 +1,50 @@
+import { Router } from "express";
+import { holdOrderTenders, captureOrderTenders, releaseOrderTenders, refundOrderTenders } from "./tender-hold.controller.js";
+import { validate } from "@shared/middlewares";
+import { authenticateService } from "@shared/auth-middleware";
+import {
+  holdTendersSchema,
+  captureTendersSchema,
+  releaseTendersSchema,
+  refundTendersSchema,
+} from "./tender-hold.validation.js";
+
+const internalRouter = Router();
+
+/**
+ * Internal Routes (service-to-service)
+ */
+
+internalRouter.use(authenticateService);
+
+/**
+ * @route POST /api/internal/tender-holds
+ * @description Hold loyalty points and store credit for an order at checkout
+ * @access Internal
+ */
+internalRouter.post("/", validate(holdTendersSchema), holdOrderTenders);
+
+/**
+ * @route POST /api/internal/tender-holds/:orderId/capture
+ * @description Debit the held points and store credit after payment
+ * @access Internal
+ */
+internalRouter.post("/:orderId/capture", validate(captureTendersSchema), captureOrderTenders);
+
+/**
+ * @route POST /api/internal/tender-holds/:orderId/release
+ * @description Give the held points and store credit back
+ * @access Internal
+ */
+internalRouter.post("/:orderId/release", validate(releaseTendersSchema), releaseOrderTenders);
+
+/**
+ * @route POST /api/internal/tender-holds/:orderId/refunds
+ * @description Return debited points and store credit for a refund
+ * @access Internal
+ */
+internalRouter.post("/:orderId/refunds", validate(refundTendersSchema), refundOrderTenders);
+
+export default {
+  internal: internalRouter,
+};
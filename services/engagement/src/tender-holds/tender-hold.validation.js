@@ -0,0 +1,85 @@
+import Joi from "joi";
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+const orderIdParam = Joi.object({
+  orderId: objectId.required().messages({
+    "string.pattern.base": "Invalid order ID format",
+    "any.required": "Order ID is required",
+  }),
+});
+
+/**
+ * Validation schema for holding tenders (internal)
+ * POST /api/internal/tender-holds
+ */
+export const holdTendersSchema = {
+  body: Joi.object({
+    userId: objectId.required().messages({
+      "string.pattern.base": "Invalid user ID format",
+      "any.required": "User ID is required",
+    }),
+    orderId: objectId.required().messages({
+      "string.pattern.base": "Invalid order ID format",
+      "any.required": "Order ID is required",
+    }),
+    orderNumber: Joi.string().trim().max(50).required(),
+    orderTotal: Joi.number().min(0).required().messages({
+      "any.required": "Order total is required",
+    }),
+    loyaltyPoints: Joi.number().integer().min(0).default(0),
+    storeCreditAmount: Joi.number().min(0).precision(2).default(0),
+    expiresAt: Joi.date().iso().greater("now").required().messages({
+      "date.greater": "Hold expiry must be in the future",
+      "any.required": "Hold expiry is required",
+    }),
+  }).custom((value, helpers) => {
+    if (value.loyaltyPoints === 0 && value.storeCreditAmount === 0) {
+      return helpers.message("Provide loyaltyPoints or storeCreditAmount to hold");
+    }
+    return value;
+  }),
+};
+
+/**
+ * Validation schema for capturing tenders (internal)
+ * POST /api/internal/tender-holds/:orderId/capture
+ */
+export const captureTendersSchema = {
+  params: orderIdParam,
+};
+
+/**
+ * Validation schema for releasing tenders (internal)
+ * POST /api/internal/tender-holds/:orderId/release
+ */
+export const releaseTendersSchema = {
+  params: orderIdParam,
+  body: Joi.object({
+    reason: Joi.string().valid("payment_failed", "order_cancelled", "checkout_failed", "expired").required(),
+  }),
+};
+
+/**
+ * Validation schema for refunding tenders (internal)
+ * POST /api/internal/tender-holds/:orderId/refunds
+ */
+export const refundTendersSchema = {
+  params: orderIdParam,
+  body: Joi.object({
+    refundId: objectId.required().messages({
+      "string.pattern.base": "Invalid refund ID format",
+      "any.required": "Refund ID is required",
+    }),
+    // Currency value of points to return; points are returned at the rate they were redeemed at
+    loyaltyAmount: Joi.number().min(0).precision(2).default(0),
+    storeCreditAmount: Joi.number().min(0).precision(2).default(0),
+  }),
+};
+
+export default {
+  holdTendersSchema,
+  captureTendersSchema,
+  releaseTendersSchema,
+  refundTendersSchema,
+};
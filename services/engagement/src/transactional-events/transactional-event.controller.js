@@ -0,0 +1,110 @@
+import TransactionalEvent from "../../models/transactional-event.model.js";
+import { sendResponse } from "@shared/utils";
+import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
+import { processTransactionalEvent } from "../../services/transactional-event.service.js";
+
+/**
+ * @route POST /api/internal/events
+ * @description Receive an order, payment, refund, return or invoice event and queue its notifications
+ * @access Internal
+ *
+ * @requestBody
+ * {
+ *   "eventType": "order.shipped",
+ *   "referenceId": "<orderId>",
+ *   "userId": "<userId>",
+ *   "source": "order",
+ *   "recipient": { "email": "user@example.com", "phone": "+919876543210" },
+ *   "data": { "orderNumber": "ORD-20250101-0001", "trackingNumber": "BD123456", "carrierName": "Blue Dart" }
+ * }
+ *
+ * @responseBody Success (201, or 200 when the event was already received)
+ * {
+ *   "message": "Event processed successfully",
+ *   "data": {
+ *     "event": { "_id": "...", "eventType": "order.shipped", "status": "processed", "notifications": [...] },
+ *     "duplicate": false
+ *   }
+ * }
+ */
+export const receiveEvent = async (req, res) => {
+  const { eventType, referenceId } = req.body;
+  console.log(`> POST /api/internal/events (${eventType} ${referenceId} from ${req.serviceId || "unknown"})`);
+
+  try {
+    const result = await processTransactionalEvent({ ...req.body, source: req.body.source || req.serviceId });
+
+    if (!result.success) {
+      console.log(`> Event not processed: ${result.error}`);
+      return sendResponse(res, result.statusCode, "Event not processed", null, result.error);
+    }
+
+    if (result.data.duplicate) {
+      console.log(`> Event already received: ${result.data.event._id}`);
+      return sendResponse(res, 200, "Event already received", result.data, null);
+    }
+
+    return sendResponse(res, 201, "Event processed successfully", result.data, null);
+  } catch (error) {
+    console.log("> Error processing event:", error.message);
+    return sendResponse(res, 500, "Failed to process event", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/admin/transactional-events
+ * @description List received transactional events with the notifications each one queued
+ * @access Admin
+ */
+export const listEvents = async (req, res) => {
+  console.log("> GET /api/admin/transactional-events");
+
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+
+    if (req.query.eventType) {
+      filter.eventType = req.query.eventType;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.referenceId) {
+      filter.referenceId = req.query.referenceId;
+    }
+
+    if (req.query.userId) {
+      filter.user = req.query.userId;
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+      filter.createdAt = {};
+      if (req.query.startDate) {
+        filter.createdAt.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        filter.createdAt.$lte = new Date(req.query.endDate);
+      }
+    }
+
+    const [events, total] = await Promise.all([
+      TransactionalEvent.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      TransactionalEvent.countDocuments(filter),
+    ]);
+
+    const pagination = buildPaginationMeta(total, page, limit);
+
+    console.log(`> Found ${events.length} of ${total} transactional events`);
+    return sendResponse(res, 200, "Transactional events fetched successfully", { events, pagination }, null);
+  } catch (error) {
+    console.log("> Error listing transactional events:", error.message);
+    return sendResponse(res, 500, "Failed to fetch transactional events", null, error.message);
+  }
+};
+
+export default {
+  receiveEvent,
+  listEvents,
+};
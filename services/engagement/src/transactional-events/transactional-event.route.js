@@ -0,0 +1,40 @@
+import { Router } from "express";
+import { receiveEvent, listEvents } from "./transactional-event.controller.js";
+import { validate } from "@shared/middlewares";
+import { authenticateAdmin, authenticateService } from "@shared/auth-middleware";
+import { receiveEventSchema, listEventsSchema } from "./transactional-event.validation.js";
+
+const adminRouter = Router();
+const internalRouter = Router();
+
+/**
+ * Admin Routes
+ */
+
+// Apply admin authentication to all admin routes
+adminRouter.use(authenticateAdmin);
+
+/**
+ * @route GET /api/admin/transactional-events
+ * @description List received transactional events
+ * @access Admin
+ */
+adminRouter.get("/", validate(listEventsSchema), listEvents);
+
+/**
+ * Internal Routes (service-to-service)
+ */
+
+internalRouter.use(authenticateService);
+
+/**
+ * @route POST /api/internal/events
+ * @description Receive an order lifecycle event
+ * @access Internal
+ */
+internalRouter.post("/", validate(receiveEventSchema), receiveEvent);
+
+export default {
+  admin: adminRouter,
+  internal: internalRouter,
+};
@@ -0,0 +1,72 @@
+import Joi from "joi";
+import { TRANSACTIONAL_EVENTS } from "../../services/transactional-event.service.js";
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+const eventTypes = Object.keys(TRANSACTIONAL_EVENTS);
+
+/**
+ * Validation schema for receiving a transactional event
+ * POST /api/internal/events
+ */
+export const receiveEventSchema = {
+  body: Joi.object({
+    eventType: Joi.string().valid(...eventTypes).required().messages({
+      "any.only": `Event type must be one of ${eventTypes.join(", ")}`,
+      "any.required": "Event type is required",
+    }),
+    // The order, payment, refund, return or invoice the event is about
+    referenceId: objectId.required().messages({
+      "string.pattern.base": "Invalid reference ID format",
+      "any.required": "Reference ID is required",
+    }),
+    userId: objectId.allow(null).messages({
+      "string.pattern.base": "Invalid user ID format",
+    }),
+    source: Joi.string().trim().max(50).allow(null),
+    recipient: Joi.object({
+      email: Joi.string().trim().email().allow(null, ""),
+      phone: Joi.string().trim().allow(null, ""),
+      deviceToken: Joi.string().trim().allow(null, ""),
+    }).default({}),
+    // Template variables; values must be printable
+    data: Joi.object()
+      .pattern(Joi.string(), Joi.alternatives().try(Joi.string().allow(""), Joi.number(), Joi.boolean()).allow(null))
+      .default({})
+      .messages({
+        "alternatives.types": "Event data values must be strings, numbers or booleans",
+      }),
+  }).custom((event, helpers) => {
+    // Guests have no profile to look contact details up from
+    const { email, phone, deviceToken } = event.recipient;
+    if (!event.userId && !email && !phone && !deviceToken) {
+      return helpers.message("A user ID or recipient is required");
+    }
+    return event;
+  }),
+};
+
+/**
+ * Validation schema for listing transactional events
+ * GET /api/admin/transactional-events
+ */
+export const listEventsSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    eventType: Joi.string().valid(...eventTypes),
+    status: Joi.string().valid("processing", "processed", "failed"),
+    referenceId: objectId.messages({
+      "string.pattern.base": "Invalid reference ID format",
+    }),
+    userId: objectId.messages({
+      "string.pattern.base": "Invalid user ID format",
+    }),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+  }),
+};
+
+export default {
+  receiveEventSchema,
+  listEventsSchema,
+};
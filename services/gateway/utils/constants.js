@@ -12,6 +12,7 @@ export const SERVICE_ROUTES = {
   "/api/inventory": process.env.INVENTORY_SERVICE_URL || "http://localhost:3005",
   "/api/cms": process.env.CMS_SERVICE_URL || "http://localhost:3006",
   "/api/engagement": process.env.ENGAGEMENT_SERVICE_URL || "http://localhost:3007",
+  "/api/shipping": process.env.SHIPPING_SERVICE_URL || "http://localhost:3008",
 };
 
 /**
@@ -63,7 +64,11 @@ export const PUBLIC_ROUTES = [
   "/api/engagement/products",
   "/api/engagement/loyalty/tiers",
   "/api/engagement/referrals/apply",
+  "/api/engagement/notifications/unsubscribe",
+  "/api/engagement/webhooks",
   "/api/inventory/stock",
+  "/api/shipping/shipping",
+  "/api/shipping/zones",
   "/api/auth/addresses/validate-pincode",
 ];
 
@@ -89,6 +94,7 @@ export const ADMIN_ROUTES = [
   "/api/auth/admin",
   "/api/cms/admin",
   "/api/engagement/admin",
+  "/api/shipping/admin",
 ];
 
 /**
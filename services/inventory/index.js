@@ -48,7 +48,7 @@ async function startServer() {
   const app = createApp();
 
   // Initialize background jobs
-  scheduledJobs = initializeJobs();
+  scheduledJobs = await initializeJobs();
 
   server = app.listen(PORT, () => {
     console.log(`> Server running on port ${PORT}`);
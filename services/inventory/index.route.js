@@ -1,10 +1,17 @@
 import { Router } from "express";
 import { sendResponse } from "@shared/utils";
+import { authenticateAdmin } from "@shared/auth-middleware";
+import { createJobRoutes } from "@shared/job-runner";
 import stockCheckRoutes from "./src/stock-check/stock-check.route.js";
 import warehousesRoutes from "./src/warehouses/warehouses.route.js";
 import inventoryManagementRoutes from "./src/inventory-management/inventory-management.route.js";
 import reservationsRoutes from "./src/reservations/reservations.route.js";
 import adjustmentsRoutes from "./src/adjustments/adjustments.route.js";
+import allocationRoutes from "./src/allocation/allocation.route.js";
+import suppliersRoutes from "./src/suppliers/suppliers.route.js";
+import purchaseOrdersRoutes from "./src/purchase-orders/purchase-orders.route.js";
+import lotsRoutes from "./src/lots/lots.route.js";
+import { jobRunner } from "./src/jobs/job-scheduler.js";
 
 const router = Router();
 
@@ -21,5 +28,10 @@ router.use("/admin/warehouses", warehousesRoutes);
 router.use("/admin/inventory", inventoryManagementRoutes);
 router.use("/reservations", reservationsRoutes);
 router.use("/admin/adjustments", adjustmentsRoutes);
+router.use("/admin/allocation", allocationRoutes);
+router.use("/admin/suppliers", suppliersRoutes);
+router.use("/admin/purchase-orders", purchaseOrdersRoutes);
+router.use("/admin/lots", lotsRoutes);
+router.use("/admin/jobs", authenticateAdmin, createJobRoutes(jobRunner));
 
 export default router;
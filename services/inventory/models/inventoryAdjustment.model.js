@@ -10,7 +10,7 @@ const inventoryAdjustmentSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["restock", "sale", "return", "damage", "correction"],
+      enum: ["restock", "sale", "return", "damage", "correction", "expiry", "quarantine"],
       required: true,
       index: true,
     },
@@ -35,7 +35,7 @@ const inventoryAdjustmentSchema = new mongoose.Schema(
     },
     referenceType: {
       type: String,
-      enum: ["order", "return", "manual", "system"],
+      enum: ["order", "return", "manual", "system", "purchase_order", "recall"],
       default: "manual",
       index: true,
     },
@@ -43,6 +43,9 @@ const inventoryAdjustmentSchema = new mongoose.Schema(
       type: String,
       index: true,
     },
+    lotNumber: {
+      type: String,
+    },
     adjustedById: {
       type: mongoose.Schema.Types.ObjectId,
     },
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+const inventoryLotSchema = new mongoose.Schema(
+  {
+    inventoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: true,
+      index: true,
+    },
+    variantId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+    },
+    lotNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    manufacturedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    qtyOnHand: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    qtyReserved: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ["active", "blocked", "depleted"],
+      default: "active",
+      index: true,
+    },
+    blockedReason: {
+      type: String,
+      enum: ["expired", "quality_hold", "recall", null],
+      default: null,
+    },
+    blockedNote: {
+      type: String,
+      trim: true,
+    },
+    blockedAt: {
+      type: Date,
+    },
+    qtyWrittenOff: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    purchaseOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+inventoryLotSchema.index({ inventoryId: 1, lotNumber: 1 }, { unique: true });
+inventoryLotSchema.index({ inventoryId: 1, status: 1, expiresAt: 1 });
+inventoryLotSchema.index({ status: 1, expiresAt: 1 });
+inventoryLotSchema.index({ lotNumber: 1 });
+
+inventoryLotSchema.virtual("qtyAvailable").get(function () {
+  return Math.max(0, this.qtyOnHand - this.qtyReserved);
+});
+
+inventoryLotSchema.set("toJSON", { virtuals: true });
+inventoryLotSchema.set("toObject", { virtuals: true });
+
+const InventoryLot = mongoose.model("InventoryLot", inventoryLotSchema);
+
+export default InventoryLot;
@@ -8,6 +8,15 @@ const inventoryReservationSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      default: null,
+    },
+    variantId: {
+      type: String,
+      default: null,
+    },
     cartId: {
       type: String,
       index: true,
@@ -32,6 +41,18 @@ const inventoryReservationSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    lots: [
+      {
+        _id: false,
+        lotId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "InventoryLot",
+        },
+        lotNumber: String,
+        expiresAt: Date,
+        quantity: Number,
+      },
+    ],
   },
   {
     timestamps: true,
@@ -40,6 +61,7 @@ const inventoryReservationSchema = new mongoose.Schema(
 
 inventoryReservationSchema.index({ inventoryId: 1, status: 1 });
 inventoryReservationSchema.index({ status: 1, expiresAt: 1 });
+inventoryReservationSchema.index({ "lots.lotId": 1, status: 1 });
 
 const InventoryReservation = mongoose.model(
   "InventoryReservation",
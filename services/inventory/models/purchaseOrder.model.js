@@ -0,0 +1,177 @@
+import mongoose from "mongoose";
+
+export const PURCHASE_ORDER_STATUS = {
+  DRAFT: "draft",
+  SENT: "sent",
+  PARTIALLY_RECEIVED: "partially_received",
+  RECEIVED: "received",
+  CLOSED: "closed",
+  CANCELLED: "cancelled",
+};
+
+const purchaseOrderItemSchema = new mongoose.Schema(
+  {
+    inventoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: true,
+    },
+    variantId: {
+      type: String,
+      required: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+    },
+    supplierSku: {
+      type: String,
+    },
+    qtyOrdered: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    qtyReceived: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    qtyRejected: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    unitCost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    suggestion: {
+      qtyAvailable: Number,
+      reorderPoint: Number,
+      avgDailySales: Number,
+      qtyOnOrder: Number,
+    },
+  },
+  { _id: true }
+);
+
+const goodsReceiptSchema = new mongoose.Schema(
+  {
+    grnNumber: {
+      type: String,
+      required: true,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    receivedById: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    items: [
+      {
+        _id: false,
+        inventoryId: mongoose.Schema.Types.ObjectId,
+        sku: String,
+        qtyReceived: Number,
+        qtyRejected: Number,
+        lotNumber: String,
+        manufacturedAt: Date,
+        expiresAt: Date,
+        adjustmentId: mongoose.Schema.Types.ObjectId,
+      },
+    ],
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: true }
+);
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+      index: true,
+    },
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(PURCHASE_ORDER_STATUS),
+      default: PURCHASE_ORDER_STATUS.DRAFT,
+      index: true,
+    },
+    source: {
+      type: String,
+      enum: ["manual", "auto_suggest"],
+      default: "manual",
+    },
+    items: {
+      type: [purchaseOrderItemSchema],
+      validate: [(items) => items.length > 0, "Purchase order needs at least one item"],
+    },
+    receipts: {
+      type: [goodsReceiptSchema],
+      default: [],
+    },
+    expectedAt: {
+      type: Date,
+    },
+    sentAt: {
+      type: Date,
+    },
+    receivedAt: {
+      type: Date,
+    },
+    closedAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    closeReason: {
+      type: String,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    createdById: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+  },
+  {
+    timestamps: true,
+    optimisticConcurrency: true,
+  }
+);
+
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ "items.inventoryId": 1, status: 1 });
+
+purchaseOrderSchema.virtual("totalCost").get(function () {
+  return this.items.reduce((sum, item) => sum + item.qtyOrdered * item.unitCost, 0);
+});
+
+purchaseOrderSchema.set("toJSON", { virtuals: true });
+purchaseOrderSchema.set("toObject", { virtuals: true });
+
+const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
+
+export default PurchaseOrder;
@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+const supplierItemSchema = new mongoose.Schema(
+  {
+    variantId: {
+      type: String,
+      required: true,
+    },
+    supplierSku: {
+      type: String,
+      trim: true,
+    },
+    unitCost: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    minOrderQty: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+const supplierSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    contactName: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    address: {
+      line1: { type: String },
+      line2: { type: String },
+      city: { type: String },
+      state: { type: String },
+      pincode: { type: String },
+      country: { type: String, default: "India" },
+    },
+    leadTimeDays: {
+      type: Number,
+      default: 7,
+      min: 0,
+    },
+    paymentTermsDays: {
+      type: Number,
+      default: 30,
+      min: 0,
+    },
+    items: {
+      type: [supplierItemSchema],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+supplierSchema.index({ "items.variantId": 1, isActive: 1 });
+
+const Supplier = mongoose.model("Supplier", supplierSchema);
+
+export default Supplier;
@@ -1,6 +1,8 @@
 import { sendResponse, HTTP_STATUS } from "@shared/utils";
 import Inventory from "../../models/inventory.model.js";
 import InventoryAdjustment from "../../models/inventoryAdjustment.model.js";
+import { postRestock } from "./adjustments.service.js";
+import { receiveIntoLot } from "../lots/lots.service.js";
 
 /**
  * POST /api/admin/adjustments/restock
@@ -8,13 +10,57 @@ import InventoryAdjustment from "../../models/inventoryAdjustment.model.js";
  */
 export const recordRestock = async (req, res) => {
   try {
-    const { inventoryId, quantity, reason, referenceId } = req.body;
+    const { inventoryId, quantity, reason, referenceId, lotNumber, manufacturedAt, expiresAt } =
+      req.body;
 
     console.log(`> Recording restock for inventory: ${inventoryId}`);
 
-    const inventory = await Inventory.findById(inventoryId);
+    let lot = null;
+
+    if (lotNumber) {
+      const existingInventory = await Inventory.findById(inventoryId).lean();
+
+      if (!existingInventory) {
+        return sendResponse(
+          res,
+          HTTP_STATUS.NOT_FOUND,
+          "Inventory record not found",
+          null,
+          null
+        );
+      }
+
+      const lotResult = await receiveIntoLot(existingInventory, {
+        lotNumber,
+        manufacturedAt,
+        expiresAt,
+        quantity,
+      });
+
+      if (!lotResult.success) {
+        return sendResponse(
+          res,
+          HTTP_STATUS.BAD_REQUEST,
+          lotResult.error,
+          null,
+          null
+        );
+      }
+
+      lot = lotResult.data;
+    }
 
-    if (!inventory) {
+    const result = await postRestock({
+      inventoryId,
+      quantity,
+      reason,
+      referenceType: referenceId ? "order" : "manual",
+      referenceId,
+      lotNumber: lot?.lotNumber,
+      adjustedById: req.user?.id,
+    });
+
+    if (!result) {
       return sendResponse(
         res,
         HTTP_STATUS.NOT_FOUND,
@@ -24,25 +70,7 @@ export const recordRestock = async (req, res) => {
       );
     }
 
-    const qtyBefore = inventory.qtyOnHand;
-    const qtyAfter = qtyBefore + quantity;
-
-    const adjustment = new InventoryAdjustment({
-      inventoryId: inventory._id,
-      type: "restock",
-      qtyChange: quantity,
-      qtyBefore,
-      qtyAfter,
-      reason,
-      referenceType: referenceId ? "order" : "manual",
-      referenceId: referenceId || undefined,
-      adjustedById: req.user?.id,
-    });
-
-    await adjustment.save();
-
-    inventory.qtyOnHand = qtyAfter;
-    await inventory.save();
+    const { adjustment, inventory } = result;
 
     console.log(`> Restock recorded: +${quantity}`);
 
@@ -50,7 +78,7 @@ export const recordRestock = async (req, res) => {
       res,
       HTTP_STATUS.CREATED,
       "Restock recorded successfully",
-      { adjustment, inventory },
+      { adjustment, inventory, lot },
       null
     );
   } catch (error) {
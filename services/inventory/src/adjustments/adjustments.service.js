@@ -0,0 +1,49 @@
+import Inventory from "../../models/inventory.model.js";
+import InventoryAdjustment from "../../models/inventoryAdjustment.model.js";
+
+/**
+ * Add stock to an inventory record and write the restock audit entry
+ * Used by the manual restock endpoint and by purchase order receiving
+ * @param {Object} params - { inventoryId, quantity, reason, referenceType, referenceId, lotNumber, adjustedById }
+ * @returns {Promise<Object|null>} { adjustment, inventory } or null when inventory is missing
+ */
+export const postRestock = async ({
+  inventoryId,
+  quantity,
+  reason,
+  referenceType = "manual",
+  referenceId,
+  lotNumber,
+  adjustedById,
+}) => {
+  const inventory = await Inventory.findByIdAndUpdate(
+    inventoryId,
+    { $inc: { qtyOnHand: quantity } },
+    { new: true }
+  );
+
+  if (!inventory) {
+    return null;
+  }
+
+  const adjustment = new InventoryAdjustment({
+    inventoryId: inventory._id,
+    type: "restock",
+    qtyChange: quantity,
+    qtyBefore: inventory.qtyOnHand - quantity,
+    qtyAfter: inventory.qtyOnHand,
+    reason,
+    referenceType,
+    referenceId: referenceId || undefined,
+    lotNumber,
+    adjustedById,
+  });
+
+  await adjustment.save();
+
+  return { adjustment, inventory };
+};
+
+export default {
+  postRestock,
+};
@@ -5,6 +5,13 @@ export const restockSchema = Joi.object({
   quantity: Joi.number().integer().min(1).required(),
   reason: Joi.string().trim().required(),
   referenceId: Joi.string().allow(""),
+  lotNumber: Joi.string().trim(),
+  manufacturedAt: Joi.date().iso(),
+  expiresAt: Joi.date().iso().when("lotNumber", {
+    is: Joi.exist(),
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
 });
 
 export const damageSchema = Joi.object({
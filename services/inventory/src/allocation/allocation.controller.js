@@ -0,0 +1,41 @@
+import { sendResponse, HTTP_STATUS } from "@shared/utils";
+import { allocateItems } from "./allocation.service.js";
+
+/**
+ * POST /api/admin/allocation/dry-run
+ * Preview which warehouses would fulfil a cart without reserving stock
+ */
+export const dryRunAllocation = async (req, res) => {
+  try {
+    const { items, pincode, cartId, allowSplit } = req.body;
+
+    console.log(`> Allocation dry run for ${items.length} items to pincode: ${pincode || "none"}`);
+
+    const plan = await allocateItems(items, {
+      pincode: pincode || null,
+      cartId: cartId || null,
+      allowSplit,
+    });
+
+    console.log(`> Dry run: ${plan.shipmentCount} shipments, feasible: ${plan.feasible}`);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      plan.feasible
+        ? "Allocation plan generated successfully"
+        : "Cart cannot be fully allocated from current stock",
+      plan,
+      null
+    );
+  } catch (error) {
+    console.log("> Error generating allocation plan:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to generate allocation plan",
+      null,
+      error.message
+    );
+  }
+};
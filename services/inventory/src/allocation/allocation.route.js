@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { validate } from "@shared/middlewares";
+import { allocationDryRunSchema } from "./allocation.validation.js";
+import { dryRunAllocation } from "./allocation.controller.js";
+
+const router = Router();
+
+router.post("/dry-run", validate(allocationDryRunSchema), dryRunAllocation);
+
+export default router;
@@ -0,0 +1,455 @@
+import Inventory from "../../models/inventory.model.js";
+import InventoryReservation from "../../models/inventoryReservation.model.js";
+import Warehouse from "../../models/warehouse.model.js";
+import { pickLots, releaseLots } from "../lots/lots.service.js";
+
+/**
+ * Allocation engine
+ * Picks the warehouse (or set of warehouses) that should fulfil a cart and
+ * returns a split plan with one shipment per warehouse.
+ */
+
+// Indian pincodes: 1st digit = zone, 2 digits = postal circle, 3 digits = sorting district
+export const PROXIMITY = {
+  LOCAL: "local",
+  REGIONAL: "regional",
+  ZONAL: "zonal",
+  NATIONAL: "national",
+  UNKNOWN: "unknown",
+};
+
+const PROXIMITY_SCORE = {
+  [PROXIMITY.LOCAL]: 1,
+  [PROXIMITY.REGIONAL]: 0.75,
+  [PROXIMITY.ZONAL]: 0.5,
+  [PROXIMITY.NATIONAL]: 0.25,
+  [PROXIMITY.UNKNOWN]: 0.25,
+};
+
+// Relative weight of each factor when choosing the next warehouse of a split
+const SCORE_WEIGHTS = {
+  coverage: 0.6,
+  proximity: 0.25,
+  priority: 0.15,
+};
+
+/**
+ * Classify how close a warehouse is to the delivery pincode
+ * @param {string} warehousePincode - Warehouse pincode
+ * @param {string} destinationPincode - Delivery pincode
+ * @returns {string} PROXIMITY value
+ */
+export const getProximity = (warehousePincode, destinationPincode) => {
+  if (!warehousePincode || !destinationPincode) return PROXIMITY.UNKNOWN;
+
+  const origin = String(warehousePincode).trim();
+  const destination = String(destinationPincode).trim();
+
+  if (origin.slice(0, 3) === destination.slice(0, 3)) return PROXIMITY.LOCAL;
+  if (origin.slice(0, 2) === destination.slice(0, 2)) return PROXIMITY.REGIONAL;
+  if (origin[0] === destination[0]) return PROXIMITY.ZONAL;
+  return PROXIMITY.NATIONAL;
+};
+
+/**
+ * Order warehouses by proximity, then priority (lower first), then default flag
+ */
+const compareWarehouses = (a, b) =>
+  PROXIMITY_SCORE[b.proximity] - PROXIMITY_SCORE[a.proximity] ||
+  a.warehouse.priority - b.warehouse.priority ||
+  Number(b.warehouse.isDefault) - Number(a.warehouse.isDefault);
+
+/**
+ * Merge duplicate variants and drop empty lines
+ * @param {Array} items - [{ variantId, quantity }]
+ * @returns {Map} variantId -> quantity
+ */
+const mergeItems = (items) => {
+  const requested = new Map();
+  for (const item of items) {
+    if (!item.quantity || item.quantity <= 0) continue;
+    requested.set(item.variantId, (requested.get(item.variantId) || 0) + item.quantity);
+  }
+  return requested;
+};
+
+/**
+ * Units a candidate warehouse can supply towards what is still needed
+ */
+const coverableUnits = (candidate, remaining) => {
+  let units = 0;
+  for (const [variantId, needed] of remaining) {
+    const stock = candidate.stock.get(variantId);
+    if (stock) units += Math.min(stock.available, needed);
+  }
+  return units;
+};
+
+/**
+ * Take as much of the remaining quantities from a candidate as it can supply
+ */
+const takeFromCandidate = (candidate, remaining) => {
+  const items = [];
+
+  for (const [variantId, needed] of remaining) {
+    const stock = candidate.stock.get(variantId);
+    if (!stock || stock.available <= 0) continue;
+
+    const quantity = Math.min(stock.available, needed);
+    items.push({
+      variantId,
+      sku: stock.sku,
+      inventoryId: stock.inventoryId,
+      quantity,
+    });
+    remaining.set(variantId, needed - quantity);
+  }
+
+  for (const [variantId, needed] of remaining) {
+    if (needed <= 0) remaining.delete(variantId);
+  }
+
+  return items;
+};
+
+const toShipment = (candidate, items) => ({
+  warehouse: {
+    _id: candidate.warehouse._id,
+    code: candidate.warehouse.code,
+    name: candidate.warehouse.name,
+    city: candidate.warehouse.address?.city,
+    state: candidate.warehouse.address?.state,
+    pincode: candidate.warehouse.address?.pincode,
+  },
+  proximity: candidate.proximity,
+  items,
+  totalUnits: items.reduce((sum, item) => sum + item.quantity, 0),
+});
+
+/**
+ * Build an allocation plan from already loaded stock
+ * A single warehouse that can ship everything always wins; otherwise warehouses are
+ * added one at a time by weighted coverage, proximity and priority until the cart is covered.
+ * @param {Array} items - [{ variantId, quantity }]
+ * @param {Array} candidates - [{ warehouse, stock: Map(variantId -> { inventoryId, sku, available }) }]
+ * @param {Object} options - { pincode, allowSplit }
+ * @returns {Object} Allocation plan
+ */
+export const buildAllocationPlan = (items, candidates, options = {}) => {
+  const { pincode = null, allowSplit = true } = options;
+  const requested = mergeItems(items);
+  const totalRequested = [...requested.values()].reduce((sum, qty) => sum + qty, 0);
+
+  const ranked = candidates
+    .map((candidate) => ({
+      ...candidate,
+      proximity: getProximity(candidate.warehouse.address?.pincode, pincode),
+    }))
+    .sort(compareWarehouses);
+
+  const remaining = new Map(requested);
+  const shipments = [];
+
+  const single = ranked.find((candidate) => coverableUnits(candidate, remaining) === totalRequested);
+
+  if (single) {
+    shipments.push(toShipment(single, takeFromCandidate(single, remaining)));
+  } else if (allowSplit) {
+    const pool = [...ranked];
+
+    while (remaining.size > 0 && pool.length > 0) {
+      const stillNeeded = [...remaining.values()].reduce((sum, qty) => sum + qty, 0);
+      let best = null;
+      let bestScore = 0;
+
+      for (const candidate of pool) {
+        const units = coverableUnits(candidate, remaining);
+        if (units === 0) continue;
+
+        const score =
+          SCORE_WEIGHTS.coverage * (units / stillNeeded) +
+          SCORE_WEIGHTS.proximity * PROXIMITY_SCORE[candidate.proximity] +
+          SCORE_WEIGHTS.priority * (1 / candidate.warehouse.priority);
+
+        if (score > bestScore) {
+          best = candidate;
+          bestScore = score;
+        }
+      }
+
+      if (!best) break;
+
+      pool.splice(pool.indexOf(best), 1);
+      shipments.push(toShipment(best, takeFromCandidate(best, remaining)));
+    }
+  }
+
+  const allocatedByVariant = new Map();
+  for (const shipment of shipments) {
+    for (const item of shipment.items) {
+      allocatedByVariant.set(item.variantId, (allocatedByVariant.get(item.variantId) || 0) + item.quantity);
+    }
+  }
+
+  const unallocated = [...requested.entries()]
+    .filter(([variantId, qty]) => (allocatedByVariant.get(variantId) || 0) < qty)
+    .map(([variantId, qty]) => {
+      const allocated = allocatedByVariant.get(variantId) || 0;
+      return { variantId, requested: qty, allocated, shortfall: qty - allocated };
+    });
+
+  return {
+    pincode,
+    feasible: unallocated.length === 0,
+    isSplit: shipments.length > 1,
+    shipmentCount: shipments.length,
+    shipments,
+    unallocated,
+  };
+};
+
+/**
+ * Load active warehouses holding stock for the requested variants
+ * Units already held by the cart's own active reservations count as available,
+ * since they are released when the cart is re-allocated.
+ * @param {Array} variantIds - Variant IDs
+ * @param {string} cartId - Optional cart being re-allocated
+ * @returns {Promise<Array>} Candidates for buildAllocationPlan
+ */
+const loadCandidates = async (variantIds, cartId = null) => {
+  const inventories = await Inventory.find({ variantId: { $in: variantIds } }).lean();
+  if (inventories.length === 0) return [];
+
+  const warehouses = await Warehouse.find({
+    _id: { $in: [...new Set(inventories.map((inv) => inv.warehouseId.toString()))] },
+    isActive: true,
+  }).lean();
+
+  const heldByCart = new Map();
+  if (cartId) {
+    const reservations = await InventoryReservation.find({ cartId, status: "active" }).lean();
+    for (const reservation of reservations) {
+      const key = reservation.inventoryId.toString();
+      heldByCart.set(key, (heldByCart.get(key) || 0) + reservation.quantity);
+    }
+  }
+
+  const candidates = new Map(
+    warehouses.map((warehouse) => [warehouse._id.toString(), { warehouse, stock: new Map() }])
+  );
+
+  for (const inventory of inventories) {
+    const candidate = candidates.get(inventory.warehouseId.toString());
+    if (!candidate) continue;
+
+    const available =
+      inventory.qtyOnHand - inventory.qtyReserved + (heldByCart.get(inventory._id.toString()) || 0);
+
+    if (available > 0) {
+      candidate.stock.set(inventory.variantId, {
+        inventoryId: inventory._id,
+        sku: inventory.sku,
+        available,
+      });
+    }
+  }
+
+  return [...candidates.values()].filter((candidate) => candidate.stock.size > 0);
+};
+
+/**
+ * Plan fulfilment for a set of items against current stock
+ * @param {Array} items - [{ variantId, quantity }]
+ * @param {Object} options - { pincode, cartId, allowSplit }
+ * @returns {Promise<Object>} Allocation plan
+ */
+export const allocateItems = async (items, options = {}) => {
+  const { pincode = null, cartId = null, allowSplit = true } = options;
+  const variantIds = [...new Set(items.map((item) => item.variantId))];
+  const candidates = await loadCandidates(variantIds, cartId);
+
+  return buildAllocationPlan(items, candidates, { pincode, allowSplit });
+};
+
+/**
+ * Release one active reservation and give its units back
+ * @param {Object} reservation - Reservation document
+ * @param {string} status - released or expired
+ */
+export const releaseHeldUnits = async (reservation, status = "released") => {
+  const updated = await InventoryReservation.findOneAndUpdate(
+    { _id: reservation._id, status: "active" },
+    { $set: { status } }
+  );
+
+  if (updated) {
+    await releaseLots(updated.lots);
+    await Inventory.updateOne(
+      { _id: updated.inventoryId },
+      { $inc: { qtyReserved: -updated.quantity } }
+    );
+  }
+};
+
+/**
+ * Units a cart's active reservations hold, by inventory record
+ * @param {Array} reservations - Active reservation documents
+ * @returns {Map} inventoryId -> { quantity, untracked, lots: [{ lotId, quantity }] }
+ */
+const sumHeldUnits = (reservations) => {
+  const held = new Map();
+
+  for (const reservation of reservations) {
+    const key = reservation.inventoryId.toString();
+    const entry = held.get(key) || { quantity: 0, untracked: 0, lots: [] };
+    const lots = reservation.lots || [];
+
+    entry.quantity += reservation.quantity;
+    entry.untracked += reservation.quantity - lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    entry.lots.push(...lots.map(({ lotId, quantity }) => ({ lotId, quantity })));
+    held.set(key, entry);
+  }
+
+  return held;
+};
+
+/**
+ * Replace a cart's active reservations with the ones in an allocation plan
+ * Each hold is taken with a conditional increment, so stock claimed by another cart
+ * in the meantime fails the whole plan and every new hold is rolled back.
+ * Units the cart already holds count towards the new holds, and its previous
+ * reservations are only released once the whole plan is reserved, so a failed
+ * plan leaves the cart with the holds it had.
+ * @param {string} cartId - Cart ID
+ * @param {Object} plan - Feasible allocation plan
+ * @param {number} ttlMinutes - Reservation lifetime
+ * @returns {Promise<Object>} { success, reservations } or { success: false, failures }
+ */
+export const reserveAllocation = async (cartId, plan, ttlMinutes) => {
+  const existing = await InventoryReservation.find({ cartId, status: "active" });
+  const heldByCart = sumHeldUnits(existing);
+
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  const reservations = [];
+  const failures = [];
+
+  for (const shipment of plan.shipments) {
+    for (const item of shipment.items) {
+      const held = heldByCart.get(item.inventoryId.toString()) || { quantity: 0, untracked: 0, lots: [] };
+
+      const lotPick = await pickLots(item.inventoryId, item.quantity, {
+        alreadyReserved: held.untracked,
+        heldLots: held.lots,
+      });
+
+      if (!lotPick.success) {
+        failures.push({
+          variantId: item.variantId,
+          warehouseId: shipment.warehouse._id,
+          reason: "Remaining lots are too close to expiry",
+        });
+        continue;
+      }
+
+      const reserved = await Inventory.findOneAndUpdate(
+        {
+          _id: item.inventoryId,
+          $expr: { $gte: [{ $subtract: ["$qtyOnHand", "$qtyReserved"] }, item.quantity - held.quantity] },
+        },
+        { $inc: { qtyReserved: item.quantity } }
+      );
+
+      if (!reserved) {
+        await releaseLots(lotPick.lots);
+        failures.push({
+          variantId: item.variantId,
+          warehouseId: shipment.warehouse._id,
+          reason: "Stock changed while reserving",
+        });
+        continue;
+      }
+
+      reservations.push(
+        await InventoryReservation.create({
+          inventoryId: item.inventoryId,
+          warehouseId: shipment.warehouse._id,
+          variantId: item.variantId,
+          cartId,
+          quantity: item.quantity,
+          status: "active",
+          expiresAt,
+          lots: lotPick.lots,
+        })
+      );
+    }
+  }
+
+  if (failures.length > 0) {
+    for (const reservation of reservations) {
+      await releaseHeldUnits(reservation);
+    }
+    return { success: false, failures };
+  }
+
+  for (const reservation of existing) {
+    await releaseHeldUnits(reservation);
+  }
+
+  return { success: true, reservations };
+};
+
+/**
+ * Group converted reservations into one fulfilment allocation per warehouse
+ * @param {Array} reservations - Converted reservation documents
+ * @returns {Promise<Array>} [{ warehouseId, warehouseCode, warehouseName, items: [{ variantId, sku, quantity, lots }] }]
+ */
+export const groupReservationsByWarehouse = async (reservations) => {
+  const inventories = await Inventory.find({
+    _id: { $in: reservations.map((reservation) => reservation.inventoryId) },
+  })
+    .populate("warehouseId", "code name")
+    .lean();
+
+  const inventoryById = new Map(inventories.map((inv) => [inv._id.toString(), inv]));
+  const groups = new Map();
+
+  for (const reservation of reservations) {
+    const inventory = inventoryById.get(reservation.inventoryId.toString());
+    if (!inventory || !inventory.warehouseId) continue;
+
+    const warehouse = inventory.warehouseId;
+    const key = warehouse._id.toString();
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        warehouseId: warehouse._id,
+        warehouseCode: warehouse.code,
+        warehouseName: warehouse.name,
+        items: [],
+      });
+    }
+
+    groups.get(key).items.push({
+      variantId: inventory.variantId,
+      sku: inventory.sku,
+      quantity: reservation.quantity,
+      lots: (reservation.lots || []).map(({ lotNumber, expiresAt, quantity }) => ({
+        lotNumber,
+        expiresAt,
+        quantity,
+      })),
+    });
+  }
+
+  return [...groups.values()];
+};
+
+export default {
+  PROXIMITY,
+  getProximity,
+  buildAllocationPlan,
+  allocateItems,
+  releaseHeldUnits,
+  reserveAllocation,
+  groupReservationsByWarehouse,
+};
@@ -0,0 +1,18 @@
+import Joi from "joi";
+
+export const allocationDryRunSchema = Joi.object({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        variantId: Joi.string().required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    )
+    .min(1)
+    .required(),
+  pincode: Joi.string()
+    .pattern(/^[1-9][0-9]{5}$/)
+    .allow("", null),
+  cartId: Joi.string().allow("", null),
+  allowSplit: Joi.boolean().default(true),
+});
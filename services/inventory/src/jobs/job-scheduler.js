@@ -1,40 +1,44 @@
-import cron from "node-cron";
+import { JobRunner } from "@shared/job-runner";
 import { reservationExpiryJob } from "./reservation-expiry.job.js";
+import { lotExpiryJob } from "./lot-expiry.job.js";
+
+const LOT_EXPIRY_SCHEDULE = process.env.LOT_EXPIRY_SCHEDULE || "15 0 * * *";
+
+/**
+ * Scheduled jobs for the inventory service
+ * Each run is claimed in MongoDB, so only one replica runs it.
+ */
+export const jobRunner = new JobRunner({ service: "inventory" })
+  .register({
+    name: "reservation-expiry",
+    schedule: "*/5 * * * *",
+    description: "Release expired inventory reservations (every 5 minutes)",
+    handler: reservationExpiryJob
+  })
+  .register({
+    name: "lot-expiry",
+    schedule: LOT_EXPIRY_SCHEDULE,
+    description: "Block expired lots and write their units off",
+    handler: lotExpiryJob
+  });
 
 /**
  * Initialize all scheduled jobs for the inventory service
+ * Call after the database connection is open.
  */
-export function initializeJobs() {
+export async function initializeJobs() {
   console.log("> Initializing scheduled jobs...");
 
-  // Reservation Expiry Job - Runs every 5 minutes
-  const reservationExpiryTask = cron.schedule(
-    "*/5 * * * *",
-    async () => {
-      const result = await reservationExpiryJob();
-      console.log("> [SCHEDULED] Reservation expiry job result:", result);
-    },
-    {
-      scheduled: true,
-      timezone: process.env.TZ || "Asia/Kolkata"
-    }
-  );
+  await jobRunner.start();
 
   console.log("> Scheduled jobs initialized successfully");
-  console.log("> - Reservation Expiry Job: Every 5 minutes");
 
-  return {
-    reservationExpiryTask
-  };
+  return jobRunner;
 }
 
 /**
  * Stop all scheduled jobs
  */
 export function stopJobs(jobs) {
-  console.log("> Stopping scheduled jobs...");
-  if (jobs.reservationExpiryTask) {
-    jobs.reservationExpiryTask.stop();
-  }
-  console.log("> All scheduled jobs stopped");
+  jobs.stop();
 }
@@ -0,0 +1,35 @@
+import { blockExpiredLots } from "../lots/lots.service.js";
+
+/**
+ * Lot Expiry Job
+ * Runs daily to block lots past their expiry date and write their units off
+ */
+export async function lotExpiryJob() {
+  try {
+    console.log("> [JOB] Starting lot expiry job");
+    const startTime = Date.now();
+
+    const summary = await blockExpiredLots();
+
+    const duration = Date.now() - startTime;
+    console.log(
+      `> [JOB] Lot expiry job completed | ` +
+      `Blocked: ${summary.blocked} | ` +
+      `Reservations moved: ${summary.reservationsMoved} | ` +
+      `Reservations released: ${summary.reservationsReleased} | ` +
+      `Duration: ${duration}ms`
+    );
+
+    return {
+      success: true,
+      ...summary,
+      duration
+    };
+  } catch (error) {
+    console.log("> [JOB] Fatal error in lot expiry job:", error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
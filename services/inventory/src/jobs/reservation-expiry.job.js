@@ -1,5 +1,6 @@
 import Inventory from "../../models/inventory.model.js";
 import InventoryReservation from "../../models/inventoryReservation.model.js";
+import { releaseLots } from "../lots/lots.service.js";
 
 /**
  * Reservation Expiry Job
@@ -52,6 +53,8 @@ export async function reservationExpiryJob() {
         reservation.status = "expired";
         await reservation.save();
 
+        await releaseLots(reservation.lots);
+
         releasedCount++;
 
         console.log(
@@ -0,0 +1,280 @@
+import { sendResponse, HTTP_STATUS } from "@shared/utils";
+import InventoryLot from "../../models/inventoryLot.model.js";
+import * as lotService from "./lots.service.js";
+
+/**
+ * GET /api/admin/lots
+ * List lots with filters
+ */
+export const getLots = async (req, res) => {
+  try {
+    console.log("> Fetching lots");
+
+    const {
+      inventoryId,
+      warehouseId,
+      variantId,
+      status,
+      lotNumber,
+      page = 1,
+      limit = 20,
+    } = req.query;
+    const filter = {};
+
+    if (inventoryId) filter.inventoryId = inventoryId;
+    if (warehouseId) filter.warehouseId = warehouseId;
+    if (variantId) filter.variantId = variantId;
+    if (status) filter.status = status;
+    if (lotNumber) filter.lotNumber = String(lotNumber).trim().toUpperCase();
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const lots = await InventoryLot.find(filter)
+      .populate("warehouseId", "code name")
+      .sort({ expiresAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await InventoryLot.countDocuments(filter);
+
+    console.log(`> Found ${lots.length} lots`);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Lots fetched successfully",
+      {
+        lots,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error fetching lots:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to fetch lots",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * GET /api/admin/lots/near-expiry
+ * Active lots expiring within the given number of days
+ */
+export const getNearExpiryLots = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || lotService.NEAR_EXPIRY_DEFAULT_DAYS;
+    console.log(`> Building near-expiry report: ${days} days`);
+
+    const report = await lotService.getNearExpiryReport({
+      days,
+      warehouseId: req.query.warehouseId,
+    });
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Near-expiry report generated successfully",
+      report,
+      null
+    );
+  } catch (error) {
+    console.log("> Error building near-expiry report:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to generate near-expiry report",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * GET /api/admin/lots/:id
+ * Get lot details
+ */
+export const getLotById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`> Fetching lot: ${id}`);
+
+    const lot = await InventoryLot.findById(id)
+      .populate("warehouseId", "code name")
+      .populate("purchaseOrderId", "poNumber");
+
+    if (!lot) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "Lot not found", null, null);
+    }
+
+    return sendResponse(res, HTTP_STATUS.OK, "Lot fetched successfully", lot, null);
+  } catch (error) {
+    console.log("> Error fetching lot:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to fetch lot",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * POST /api/admin/lots
+ * Assign untracked stock on an inventory record to a lot
+ */
+export const assignLot = async (req, res) => {
+  try {
+    const { inventoryId, ...lotData } = req.body;
+    console.log(`> Assigning ${lotData.quantity} unit(s) of ${inventoryId} to lot ${lotData.lotNumber}`);
+
+    const result = await lotService.assignUntrackedStock(inventoryId, lotData);
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        null
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Stock assigned to lot successfully",
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error assigning lot:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to assign stock to lot",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * POST /api/admin/lots/:id/block
+ * Block a lot for quality hold or recall
+ */
+export const blockLot = async (req, res) => {
+  try {
+    console.log(`> Blocking lot: ${req.params.id}`);
+
+    const result = await lotService.blockLot(req.params.id, {
+      reason: req.body.reason,
+      note: req.body.note,
+      adjustedById: req.user?.id,
+    });
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        null
+      );
+    }
+
+    return sendResponse(res, HTTP_STATUS.OK, "Lot blocked successfully", result.data, null);
+  } catch (error) {
+    console.log("> Error blocking lot:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to block lot",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * POST /api/admin/lots/:id/unblock
+ * Return a blocked lot to sellable stock
+ */
+export const unblockLot = async (req, res) => {
+  try {
+    console.log(`> Unblocking lot: ${req.params.id}`);
+
+    const result = await lotService.unblockLot(req.params.id, {
+      adjustedById: req.user?.id,
+    });
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        null
+      );
+    }
+
+    return sendResponse(res, HTTP_STATUS.OK, "Lot unblocked successfully", result.data, null);
+  } catch (error) {
+    console.log("> Error unblocking lot:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to unblock lot",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * POST /api/admin/lots/recall-freeze
+ * Freeze remaining stock of a recalled SKU, optionally limited to lots
+ */
+export const freezeRecalledStock = async (req, res) => {
+  try {
+    console.log(`> Freezing stock for recall ${req.body.recallNumber}: ${req.body.sku}`);
+
+    const result = await lotService.freezeRecalledStock({
+      ...req.body,
+      adjustedById: req.user?.id,
+    });
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        null
+      );
+    }
+
+    console.log(`> Frozen ${result.data.totalFrozen} unit(s) for recall ${req.body.recallNumber}`);
+
+    return sendResponse(res, HTTP_STATUS.OK, "Recalled stock frozen successfully", result.data, null);
+  } catch (error) {
+    console.log("> Error freezing recalled stock:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to freeze recalled stock",
+      null,
+      error.message
+    );
+  }
+};
@@ -0,0 +1,24 @@
+import { Router } from "express";
+import { validate } from "@shared/middlewares";
+import { assignLotSchema, blockLotSchema, recallFreezeSchema } from "./lots.validation.js";
+import {
+  getLots,
+  getNearExpiryLots,
+  getLotById,
+  assignLot,
+  blockLot,
+  unblockLot,
+  freezeRecalledStock,
+} from "./lots.controller.js";
+
+const router = Router();
+
+router.get("/", getLots);
+router.get("/near-expiry", getNearExpiryLots);
+router.get("/:id", getLotById);
+router.post("/", validate(assignLotSchema), assignLot);
+router.post("/recall-freeze", validate(recallFreezeSchema), freezeRecalledStock);
+router.post("/:id/block", validate(blockLotSchema), blockLot);
+router.post("/:id/unblock", unblockLot);
+
+export default router;
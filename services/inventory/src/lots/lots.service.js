@@ -0,0 +1,606 @@
+import Inventory from "../../models/inventory.model.js";
+import InventoryLot from "../../models/inventoryLot.model.js";
+import InventoryReservation from "../../models/inventoryReservation.model.js";
+import InventoryAdjustment from "../../models/inventoryAdjustment.model.js";
+
+/**
+ * Lot service
+ * Lots split an inventory record's stock by batch. Stock received before lot
+ * tracking (or without a lot number) stays on the inventory record as untracked units.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lots closer to expiry than this are not picked for new reservations
+const MIN_SHELF_LIFE_DAYS = parseInt(process.env.LOT_MIN_SHELF_LIFE_DAYS) || 0;
+
+export const NEAR_EXPIRY_DEFAULT_DAYS = 90;
+
+/**
+ * Units of an inventory record that are not assigned to any active lot
+ * @param {Object} inventory - Inventory document (lean)
+ * @param {number} alreadyReserved - Units of the caller's own hold already counted in qtyReserved
+ * @returns {Promise<Object>} { onHand, available }
+ */
+export const getUntrackedStock = async (inventory, alreadyReserved = 0) => {
+  const [totals] = await InventoryLot.aggregate([
+    { $match: { inventoryId: inventory._id, status: "active" } },
+    {
+      $group: {
+        _id: null,
+        qtyOnHand: { $sum: "$qtyOnHand" },
+        qtyReserved: { $sum: "$qtyReserved" },
+      },
+    },
+  ]);
+
+  const onHand = inventory.qtyOnHand - (totals?.qtyOnHand || 0);
+  const reserved = inventory.qtyReserved - (totals?.qtyReserved || 0) - alreadyReserved;
+
+  return { onHand: Math.max(0, onHand), available: Math.max(0, onHand - reserved) };
+};
+
+/**
+ * Hold units on lots first-expiry-first-out
+ * Call before incrementing the inventory record's qtyReserved. Any quantity the
+ * lots cannot cover is taken from untracked stock; if that is short too, the
+ * picked lots are released and the pick fails.
+ * Units in heldLots belong to holds the caller releases afterwards, so they count as available.
+ * @param {string} inventoryId - Inventory ID
+ * @param {number} quantity - Units to hold
+ * @param {Object} options - { excludeLotIds, alreadyReserved, heldLots }
+ * @returns {Promise<Object>} { success, lots } or { success: false, shortfall }
+ */
+export const pickLots = async (inventoryId, quantity, options = {}) => {
+  const { excludeLotIds = [], alreadyReserved = 0, heldLots = [] } = options;
+  const heldByLot = new Map();
+  for (const lot of heldLots) {
+    const key = lot.lotId.toString();
+    heldByLot.set(key, (heldByLot.get(key) || 0) + lot.quantity);
+  }
+
+  const inventory = await Inventory.findById(inventoryId).lean();
+
+  if (!inventory) {
+    return { success: false, shortfall: quantity };
+  }
+
+  const minExpiry = new Date(Date.now() + MIN_SHELF_LIFE_DAYS * DAY_MS);
+  const candidates = await InventoryLot.find({
+    inventoryId,
+    status: "active",
+    expiresAt: { $gt: minExpiry },
+    _id: { $nin: excludeLotIds },
+  })
+    .sort({ expiresAt: 1, createdAt: 1 })
+    .lean();
+
+  const picked = [];
+  let remaining = quantity;
+
+  for (const lot of candidates) {
+    if (remaining <= 0) break;
+
+    const ownHeld = heldByLot.get(lot._id.toString()) || 0;
+    const take = Math.min(lot.qtyOnHand - lot.qtyReserved + ownHeld, remaining);
+    if (take <= 0) continue;
+
+    const held = await InventoryLot.findOneAndUpdate(
+      {
+        _id: lot._id,
+        status: "active",
+        $expr: { $gte: [{ $subtract: ["$qtyOnHand", "$qtyReserved"] }, take - ownHeld] },
+      },
+      { $inc: { qtyReserved: take } }
+    );
+
+    if (!held) continue;
+
+    picked.push({
+      lotId: lot._id,
+      lotNumber: lot.lotNumber,
+      expiresAt: lot.expiresAt,
+      quantity: take,
+    });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    const untracked = await getUntrackedStock(inventory, alreadyReserved);
+
+    if (untracked.available < remaining) {
+      await releaseLots(picked);
+      return { success: false, shortfall: remaining - untracked.available };
+    }
+  }
+
+  return { success: true, lots: picked };
+};
+
+/**
+ * Give held lot units back
+ * @param {Array} lots - Reservation lot entries
+ */
+export const releaseLots = async (lots = []) => {
+  for (const lot of lots) {
+    await InventoryLot.updateOne({ _id: lot.lotId }, { $inc: { qtyReserved: -lot.quantity } });
+  }
+};
+
+/**
+ * Take held lot units out of stock when a reservation is converted to a sale
+ * @param {Array} lots - Reservation lot entries
+ */
+export const consumeLots = async (lots = []) => {
+  for (const lot of lots) {
+    await InventoryLot.updateOne(
+      { _id: lot.lotId },
+      { $inc: { qtyOnHand: -lot.quantity, qtyReserved: -lot.quantity } }
+    );
+  }
+
+  if (lots.length > 0) {
+    await InventoryLot.updateMany(
+      { _id: { $in: lots.map((lot) => lot.lotId) }, status: "active", qtyOnHand: { $lte: 0 } },
+      { $set: { status: "depleted" } }
+    );
+  }
+};
+
+/**
+ * Check that units can be received into a lot
+ * An existing lot must carry the same expiry date and must not be blocked.
+ * @param {string} inventoryId - Inventory ID
+ * @param {Object} lotData - { lotNumber, expiresAt }
+ * @returns {Promise<string|null>} Error message or null when the receipt is allowed
+ */
+export const validateLotReceipt = async (inventoryId, lotData) => {
+  const lotNumber = String(lotData.lotNumber).trim().toUpperCase();
+  const existing = await InventoryLot.findOne({ inventoryId, lotNumber }).lean();
+
+  if (!existing) {
+    return new Date(lotData.expiresAt) <= new Date() ? `Lot ${lotNumber} is already expired` : null;
+  }
+
+  if (existing.expiresAt.getTime() !== new Date(lotData.expiresAt).getTime()) {
+    return `Lot ${lotNumber} already exists with a different expiry date`;
+  }
+
+  if (existing.status === "blocked") {
+    return `Lot ${lotNumber} is blocked`;
+  }
+
+  return null;
+};
+
+/**
+ * Add units to a lot, creating it on first receipt
+ * The inventory record itself must be restocked separately (see postRestock).
+ * @param {Object} inventory - Inventory document
+ * @param {Object} lotData - { lotNumber, manufacturedAt, expiresAt, quantity, purchaseOrderId }
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const receiveIntoLot = async (inventory, lotData) => {
+  const error = await validateLotReceipt(inventory._id, lotData);
+  if (error) {
+    return { success: false, error, statusCode: 400 };
+  }
+
+  const { manufacturedAt, expiresAt, quantity, purchaseOrderId } = lotData;
+  const lotNumber = String(lotData.lotNumber).trim().toUpperCase();
+
+  const lot = await InventoryLot.findOneAndUpdate(
+    { inventoryId: inventory._id, lotNumber },
+    {
+      $inc: { qtyOnHand: quantity },
+      $set: { status: "active" },
+      $setOnInsert: {
+        variantId: inventory.variantId,
+        warehouseId: inventory.warehouseId,
+        sku: inventory.sku,
+        manufacturedAt,
+        expiresAt,
+        purchaseOrderId,
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return { success: true, data: lot };
+};
+
+/**
+ * Assign stock already counted on the inventory record to a lot
+ * Used to bring stock received before lot tracking under a lot; qtyOnHand is unchanged.
+ * @param {string} inventoryId - Inventory ID
+ * @param {Object} lotData - { lotNumber, manufacturedAt, expiresAt, quantity }
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const assignUntrackedStock = async (inventoryId, lotData) => {
+  const inventory = await Inventory.findById(inventoryId).lean();
+
+  if (!inventory) {
+    return { success: false, error: "Inventory not found", statusCode: 404 };
+  }
+
+  // Untracked units already held by reservations stay untracked so they are not held twice
+  const untracked = await getUntrackedStock(inventory);
+  if (lotData.quantity > untracked.available) {
+    return {
+      success: false,
+      error: `Only ${untracked.available} untracked unit(s) of ${inventory.sku} can be assigned to a lot`,
+      statusCode: 400,
+    };
+  }
+
+  return receiveIntoLot(inventory, lotData);
+};
+
+/**
+ * Move a reservation's hold on one lot to other lots, or release the reservation
+ * when the remaining stock cannot cover it
+ * @param {Object} reservation - Active reservation document
+ * @param {Object} lot - Lot being blocked
+ * @returns {Promise<string>} "moved" or "released"
+ */
+const moveReservationOffLot = async (reservation, lot) => {
+  const entry = reservation.lots.find((held) => held.lotId.toString() === lot._id.toString());
+  if (!entry) return "moved";
+
+  await releaseLots([entry]);
+  reservation.lots = reservation.lots.filter((held) => held !== entry);
+
+  const replacement = await pickLots(reservation.inventoryId, entry.quantity, {
+    excludeLotIds: [lot._id],
+    alreadyReserved: entry.quantity,
+  });
+
+  if (replacement.success) {
+    reservation.lots.push(...replacement.lots);
+    await reservation.save();
+    return "moved";
+  }
+
+  await releaseLots(reservation.lots);
+  reservation.lots = [];
+  reservation.status = "released";
+  await reservation.save();
+  await Inventory.updateOne(
+    { _id: reservation.inventoryId },
+    { $inc: { qtyReserved: -reservation.quantity } }
+  );
+
+  return "released";
+};
+
+/**
+ * Block a lot so none of its units can be sold
+ * The lot's units are written out of the inventory record's qtyOnHand, then any
+ * active reservations holding them are moved to other lots where possible.
+ * @param {string} lotId - Lot ID
+ * @param {Object} options - { reason, note, adjustedById, referenceType, referenceId }
+ * @returns {Promise<Object>} { success, data: { lot, reservationsMoved, reservationsReleased } } or { success: false, error, statusCode }
+ */
+export const blockLot = async (lotId, options = {}) => {
+  const { reason = "quality_hold", note, adjustedById } = options;
+  const referenceType = options.referenceType || (reason === "expired" ? "system" : "manual");
+
+  const lot = await InventoryLot.findOneAndUpdate(
+    { _id: lotId, status: "active" },
+    { $set: { status: "blocked", blockedReason: reason, blockedNote: note, blockedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!lot) {
+    return { success: false, error: "Lot not found or not active", statusCode: 400 };
+  }
+
+  // Units leave sellable stock first so re-picks below only see the remaining lots
+  const writeOff = lot.qtyOnHand;
+
+  if (writeOff > 0) {
+    const inventory = await Inventory.findByIdAndUpdate(
+      lot.inventoryId,
+      { $inc: { qtyOnHand: -writeOff } },
+      { new: true }
+    );
+
+    if (inventory) {
+      await InventoryAdjustment.create({
+        inventoryId: inventory._id,
+        type: reason === "expired" ? "expiry" : "quarantine",
+        qtyChange: -writeOff,
+        qtyBefore: inventory.qtyOnHand + writeOff,
+        qtyAfter: inventory.qtyOnHand,
+        reason: `Lot ${lot.lotNumber} blocked: ${reason}${note ? ` (${note})` : ""}`,
+        referenceType,
+        referenceId: options.referenceId || lot._id.toString(),
+        lotNumber: lot.lotNumber,
+        adjustedById,
+      });
+    }
+  }
+
+  let reservationsMoved = 0;
+  let reservationsReleased = 0;
+
+  const reservations = await InventoryReservation.find({ status: "active", "lots.lotId": lot._id });
+  for (const reservation of reservations) {
+    const outcome = await moveReservationOffLot(reservation, lot);
+    if (outcome === "moved") reservationsMoved++;
+    else reservationsReleased++;
+  }
+
+  lot.qtyReserved = 0;
+  lot.qtyWrittenOff = writeOff;
+  await lot.save();
+
+  return { success: true, data: { lot, reservationsMoved, reservationsReleased } };
+};
+
+/**
+ * Return a blocked lot to sellable stock
+ * Expired lots cannot be unblocked.
+ * @param {string} lotId - Lot ID
+ * @param {Object} options - { adjustedById }
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const unblockLot = async (lotId, options = {}) => {
+  const { adjustedById } = options;
+  const lot = await InventoryLot.findById(lotId);
+
+  if (!lot || lot.status !== "blocked") {
+    return { success: false, error: "Lot not found or not blocked", statusCode: 400 };
+  }
+
+  if (lot.blockedReason === "expired" || lot.expiresAt <= new Date()) {
+    return { success: false, error: "Expired lots cannot be unblocked", statusCode: 400 };
+  }
+
+  const restored = lot.qtyWrittenOff;
+
+  if (restored > 0) {
+    const inventory = await Inventory.findByIdAndUpdate(
+      lot.inventoryId,
+      { $inc: { qtyOnHand: restored } },
+      { new: true }
+    );
+
+    if (inventory) {
+      await InventoryAdjustment.create({
+        inventoryId: inventory._id,
+        type: "quarantine",
+        qtyChange: restored,
+        qtyBefore: inventory.qtyOnHand - restored,
+        qtyAfter: inventory.qtyOnHand,
+        reason: `Lot ${lot.lotNumber} released from ${lot.blockedReason}`,
+        referenceType: "manual",
+        referenceId: lot._id.toString(),
+        lotNumber: lot.lotNumber,
+        adjustedById,
+      });
+    }
+  }
+
+  lot.status = lot.qtyOnHand > 0 ? "active" : "depleted";
+  lot.blockedReason = null;
+  lot.blockedNote = undefined;
+  lot.blockedAt = undefined;
+  lot.qtyWrittenOff = 0;
+  await lot.save();
+
+  return { success: true, data: lot };
+};
+
+/**
+ * Freeze the remaining stock of a recalled SKU in every warehouse
+ * With lot numbers only those lots are blocked. Without them every lot is blocked and
+ * untracked units are written off too, releasing the reservations that held them.
+ * @param {Object} recall - { sku, lotNumbers, recallId, recallNumber, adjustedById }
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const freezeRecalledStock = async (recall) => {
+  const { recallId, recallNumber, adjustedById } = recall;
+  const lotNumbers = (recall.lotNumbers || []).map((lotNumber) => String(lotNumber).trim().toUpperCase());
+
+  const base = await Inventory.findOne({ sku: String(recall.sku).trim().toUpperCase() }).lean();
+  if (!base) {
+    return { success: false, error: `No inventory found for SKU ${recall.sku}`, statusCode: 404 };
+  }
+
+  // Transfers create per-warehouse SKUs, so every record for the variant is in scope
+  const inventories = await Inventory.find({ variantId: base.variantId }).lean();
+  const inventoryIds = inventories.map((inventory) => inventory._id);
+
+  const lotFilter = { inventoryId: { $in: inventoryIds }, status: { $in: ["active", "blocked"] } };
+  if (lotNumbers.length > 0) lotFilter.lotNumber = { $in: lotNumbers };
+
+  const lots = await InventoryLot.find(lotFilter).sort({ expiresAt: 1 });
+  const blockOptions = {
+    reason: "recall",
+    note: recallNumber,
+    adjustedById,
+    referenceType: "recall",
+    referenceId: recallId,
+  };
+
+  const frozenLots = [];
+  for (const lot of lots) {
+    if (lot.status === "blocked") {
+      // Already out of sellable stock; only the reason changes
+      if (lot.blockedReason !== "recall" && lot.blockedReason !== "expired") {
+        lot.blockedReason = "recall";
+        lot.blockedNote = recallNumber;
+        await lot.save();
+      }
+      frozenLots.push({ lotId: lot._id, lotNumber: lot.lotNumber, sku: lot.sku, qtyFrozen: 0, alreadyBlocked: true });
+      continue;
+    }
+
+    const result = await blockLot(lot._id, blockOptions);
+    if (!result.success) continue;
+
+    frozenLots.push({
+      lotId: lot._id,
+      lotNumber: lot.lotNumber,
+      sku: lot.sku,
+      qtyFrozen: result.data.lot.qtyWrittenOff,
+      alreadyBlocked: false,
+      reservationsReleased: result.data.reservationsReleased,
+    });
+  }
+
+  const frozenUntracked = [];
+  if (lotNumbers.length === 0) {
+    for (const { _id } of inventories) {
+      const inventory = await Inventory.findById(_id).lean();
+      const untracked = await getUntrackedStock(inventory);
+
+      const holds = await InventoryReservation.find({ inventoryId: _id, status: "active" });
+      for (const reservation of holds) {
+        const released = await InventoryReservation.findOneAndUpdate(
+          { _id: reservation._id, status: "active" },
+          { $set: { status: "released" } }
+        );
+        if (!released) continue;
+        await releaseLots(released.lots);
+        await Inventory.updateOne({ _id }, { $inc: { qtyReserved: -released.quantity } });
+      }
+
+      if (untracked.onHand > 0) {
+        const updated = await Inventory.findByIdAndUpdate(
+          _id,
+          { $inc: { qtyOnHand: -untracked.onHand } },
+          { new: true }
+        );
+
+        await InventoryAdjustment.create({
+          inventoryId: _id,
+          type: "quarantine",
+          qtyChange: -untracked.onHand,
+          qtyBefore: updated.qtyOnHand + untracked.onHand,
+          qtyAfter: updated.qtyOnHand,
+          reason: `Untracked stock frozen for recall ${recallNumber}`,
+          referenceType: "recall",
+          referenceId: recallId,
+          adjustedById,
+        });
+      }
+
+      if (untracked.onHand > 0 || holds.length > 0) {
+        frozenUntracked.push({
+          inventoryId: _id,
+          sku: inventory.sku,
+          qtyFrozen: untracked.onHand,
+          reservationsReleased: holds.length,
+        });
+      }
+    }
+  }
+
+  const foundLotNumbers = new Set(lots.map((lot) => lot.lotNumber));
+
+  return {
+    success: true,
+    data: {
+      variantId: base.variantId,
+      lots: frozenLots,
+      untracked: frozenUntracked,
+      unmatchedLotNumbers: lotNumbers.filter((lotNumber) => !foundLotNumbers.has(lotNumber)),
+      totalFrozen:
+        frozenLots.reduce((sum, lot) => sum + lot.qtyFrozen, 0) +
+        frozenUntracked.reduce((sum, entry) => sum + entry.qtyFrozen, 0),
+    },
+  };
+};
+
+/**
+ * Block every active lot whose expiry date has passed
+ * @returns {Promise<Object>} { blocked, reservationsMoved, reservationsReleased }
+ */
+export const blockExpiredLots = async () => {
+  const expired = await InventoryLot.find({
+    status: "active",
+    expiresAt: { $lte: new Date() },
+  })
+    .select("_id lotNumber")
+    .lean();
+
+  const summary = { blocked: 0, reservationsMoved: 0, reservationsReleased: 0 };
+
+  for (const lot of expired) {
+    const result = await blockLot(lot._id, { reason: "expired" });
+    if (!result.success) continue;
+
+    summary.blocked++;
+    summary.reservationsMoved += result.data.reservationsMoved;
+    summary.reservationsReleased += result.data.reservationsReleased;
+  }
+
+  return summary;
+};
+
+/**
+ * Active lots expiring within a window, soonest first, with bucket totals
+ * @param {Object} options - { days, warehouseId }
+ * @returns {Promise<Object>} { windowDays, summary, lots }
+ */
+export const getNearExpiryReport = async (options = {}) => {
+  const { days = NEAR_EXPIRY_DEFAULT_DAYS, warehouseId } = options;
+  const now = Date.now();
+
+  const filter = {
+    status: "active",
+    qtyOnHand: { $gt: 0 },
+    expiresAt: { $lte: new Date(now + days * DAY_MS) },
+  };
+  if (warehouseId) filter.warehouseId = warehouseId;
+
+  const lots = await InventoryLot.find(filter)
+    .populate("warehouseId", "code name")
+    .sort({ expiresAt: 1 })
+    .lean();
+
+  const summary = { expired: 0, within30Days: 0, within60Days: 0, within90Days: 0, beyond90Days: 0, totalUnits: 0 };
+
+  const rows = lots.map((lot) => {
+    const daysToExpiry = Math.ceil((lot.expiresAt.getTime() - now) / DAY_MS);
+
+    if (daysToExpiry <= 0) summary.expired += lot.qtyOnHand;
+    else if (daysToExpiry <= 30) summary.within30Days += lot.qtyOnHand;
+    else if (daysToExpiry <= 60) summary.within60Days += lot.qtyOnHand;
+    else if (daysToExpiry <= 90) summary.within90Days += lot.qtyOnHand;
+    else summary.beyond90Days += lot.qtyOnHand;
+    summary.totalUnits += lot.qtyOnHand;
+
+    return {
+      _id: lot._id,
+      lotNumber: lot.lotNumber,
+      sku: lot.sku,
+      variantId: lot.variantId,
+      warehouse: lot.warehouseId,
+      manufacturedAt: lot.manufacturedAt,
+      expiresAt: lot.expiresAt,
+      daysToExpiry,
+      qtyOnHand: lot.qtyOnHand,
+      qtyReserved: lot.qtyReserved,
+    };
+  });
+
+  return { windowDays: days, summary, lots: rows };
+};
+
+export default {
+  getUntrackedStock,
+  pickLots,
+  releaseLots,
+  consumeLots,
+  validateLotReceipt,
+  receiveIntoLot,
+  assignUntrackedStock,
+  blockLot,
+  unblockLot,
+  freezeRecalledStock,
+  blockExpiredLots,
+  getNearExpiryReport,
+};
@@ -0,0 +1,21 @@
+import Joi from "joi";
+
+export const assignLotSchema = Joi.object({
+  inventoryId: Joi.string().required(),
+  lotNumber: Joi.string().trim().required(),
+  manufacturedAt: Joi.date().iso(),
+  expiresAt: Joi.date().iso().required(),
+  quantity: Joi.number().integer().min(1).required(),
+});
+
+export const blockLotSchema = Joi.object({
+  reason: Joi.string().valid("quality_hold", "recall").required(),
+  note: Joi.string().trim().allow(""),
+});
+
+export const recallFreezeSchema = Joi.object({
+  sku: Joi.string().trim().required(),
+  lotNumbers: Joi.array().items(Joi.string().trim()).default([]),
+  recallId: Joi.string().required(),
+  recallNumber: Joi.string().trim().required(),
+});
@@ -0,0 +1,373 @@
+import { sendResponse, HTTP_STATUS } from "@shared/utils";
+import PurchaseOrder from "../../models/purchaseOrder.model.js";
+import * as purchaseOrderService from "./purchase-orders.service.js";
+
+/**
+ * GET /api/admin/purchase-orders
+ * List purchase orders with filters
+ */
+export const getPurchaseOrders = async (req, res) => {
+  try {
+    console.log("> Fetching purchase orders");
+
+    const { status, supplierId, warehouseId, source, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (supplierId) filter.supplierId = supplierId;
+    if (warehouseId) filter.warehouseId = warehouseId;
+    if (source) filter.source = source;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const purchaseOrders = await PurchaseOrder.find(filter)
+      .select("-receipts")
+      .populate("supplierId", "code name")
+      .populate("warehouseId", "code name")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await PurchaseOrder.countDocuments(filter);
+
+    console.log(`> Found ${purchaseOrders.length} purchase orders`);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Purchase orders fetched successfully",
+      {
+        purchaseOrders,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error fetching purchase orders:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to fetch purchase orders",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * GET /api/admin/purchase-orders/:id
+ * Get purchase order with receipts
+ */
+export const getPurchaseOrderById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`> Fetching purchase order: ${id}`);
+
+    const purchaseOrder = await PurchaseOrder.findById(id)
+      .populate("supplierId", "code name email phone leadTimeDays")
+      .populate("warehouseId", "code name address");
+
+    if (!purchaseOrder) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Purchase order not found",
+        null,
+        null
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Purchase order fetched successfully",
+      purchaseOrder,
+      null
+    );
+  } catch (error) {
+    console.log("> Error fetching purchase order:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to fetch purchase order",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * POST /api/admin/purchase-orders
+ * Create draft purchase order
+ */
+export const createPurchaseOrder = async (req, res) => {
+  try {
+    console.log("> Creating purchase order");
+
+    const result = await purchaseOrderService.createPurchaseOrder(req.body, req.user?.id);
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        null
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Purchase order created successfully",
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error creating purchase order:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to create purchase order",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * PUT /api/admin/purchase-orders/:id
+ * Update draft purchase order
+ */
+export const updatePurchaseOrder = async (req, res) => {
+  try {
+    console.log(`> Updating purchase order: ${req.params.id}`);
+
+    const result = await purchaseOrderService.updateDraftPurchaseOrder(req.params.id, req.body);
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        null
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Purchase order updated successfully",
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error updating purchase order:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to update purchase order",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * POST /api/admin/purchase-orders/:id/send
+ * Mark purchase order as sent to supplier
+ */
+export const sendPurchaseOrder = async (req, res) => {
+  try {
+    console.log(`> Sending purchase order: ${req.params.id}`);
+
+    const result = await purchaseOrderService.sendPurchaseOrder(req.params.id);
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        null
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Purchase order sent successfully",
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error sending purchase order:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to send purchase order",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * POST /api/admin/purchase-orders/:id/receive
+ * Record goods receipt (GRN) and restock received units
+ */
+export const receivePurchaseOrder = async (req, res) => {
+  try {
+    console.log(`> Receiving against purchase order: ${req.params.id}`);
+
+    const result = await purchaseOrderService.receivePurchaseOrder(req.params.id, req.body, req.user?.id);
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        null
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Goods receipt recorded successfully",
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error recording goods receipt:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to record goods receipt",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * POST /api/admin/purchase-orders/:id/close
+ * Close purchase order
+ */
+export const closePurchaseOrder = async (req, res) => {
+  try {
+    console.log(`> Closing purchase order: ${req.params.id}`);
+
+    const result = await purchaseOrderService.closePurchaseOrder(req.params.id, req.body.reason);
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        null
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Purchase order closed successfully",
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error closing purchase order:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to close purchase order",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * POST /api/admin/purchase-orders/:id/cancel
+ * Cancel purchase order before receiving
+ */
+export const cancelPurchaseOrder = async (req, res) => {
+  try {
+    console.log(`> Cancelling purchase order: ${req.params.id}`);
+
+    const result = await purchaseOrderService.cancelPurchaseOrder(req.params.id, req.body.reason);
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        null
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Purchase order cancelled successfully",
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error cancelling purchase order:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to cancel purchase order",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * POST /api/admin/purchase-orders/auto-suggest
+ * Draft purchase orders for SKUs below their reorder point
+ */
+export const autoSuggestPurchaseOrders = async (req, res) => {
+  try {
+    const { dryRun } = req.body;
+
+    console.log(`> Suggesting purchase orders${dryRun ? " (dry run)" : ""}`);
+
+    const result = await purchaseOrderService.suggestPurchaseOrders(req.body, req.user?.id);
+
+    console.log(
+      `> Suggested ${result.purchaseOrders.length} purchase orders, ${result.unassigned.length} SKUs without supplier`
+    );
+
+    return sendResponse(
+      res,
+      dryRun ? HTTP_STATUS.OK : HTTP_STATUS.CREATED,
+      dryRun
+        ? "Purchase order suggestions generated successfully"
+        : "Draft purchase orders created successfully",
+      result,
+      null
+    );
+  } catch (error) {
+    console.log("> Error suggesting purchase orders:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to suggest purchase orders",
+      null,
+      error.message
+    );
+  }
+};
@@ -0,0 +1,34 @@
+import { Router } from "express";
+import { validate } from "@shared/middlewares";
+import {
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  receivePurchaseOrderSchema,
+  closePurchaseOrderSchema,
+  autoSuggestSchema,
+} from "./purchase-orders.validation.js";
+import {
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+  autoSuggestPurchaseOrders,
+} from "./purchase-orders.controller.js";
+
+const router = Router();
+
+router.get("/", getPurchaseOrders);
+router.post("/", validate(createPurchaseOrderSchema), createPurchaseOrder);
+router.post("/auto-suggest", validate(autoSuggestSchema), autoSuggestPurchaseOrders);
+router.get("/:id", getPurchaseOrderById);
+router.put("/:id", validate(updatePurchaseOrderSchema), updatePurchaseOrder);
+router.post("/:id/send", sendPurchaseOrder);
+router.post("/:id/receive", validate(receivePurchaseOrderSchema), receivePurchaseOrder);
+router.post("/:id/close", validate(closePurchaseOrderSchema), closePurchaseOrder);
+router.post("/:id/cancel", validate(closePurchaseOrderSchema), cancelPurchaseOrder);
+
+export default router;
@@ -0,0 +1,591 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Inventory from "../../models/inventory.model.js";
+import InventoryAdjustment from "../../models/inventoryAdjustment.model.js";
+import Supplier from "../../models/supplier.model.js";
+import Warehouse from "../../models/warehouse.model.js";
+import PurchaseOrder, { PURCHASE_ORDER_STATUS } from "../../models/purchaseOrder.model.js";
+import { postRestock } from "../adjustments/adjustments.service.js";
+import { validateLotReceipt, receiveIntoLot } from "../lots/lots.service.js";
+
+/**
+ * Purchase order service
+ * Supplier ordering lifecycle: draft -> sent -> partially_received -> received -> closed
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 30;
+const DEFAULT_COVERAGE_DAYS = 30;
+
+// Units on these orders are already on their way and count against new suggestions
+const OPEN_STATUSES = [
+  PURCHASE_ORDER_STATUS.DRAFT,
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+];
+
+const RECEIVABLE_STATUSES = [
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+];
+
+const generatePoNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  return `PO-${date}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+};
+
+const outstandingQty = (item) => Math.max(0, item.qtyOrdered - item.qtyReceived);
+
+/**
+ * Resolve requested lines against the warehouse's inventory and the supplier's price list
+ * @param {Object} supplier - Supplier document
+ * @param {string} warehouseId - Receiving warehouse
+ * @param {Array} items - [{ inventoryId, qtyOrdered, unitCost }]
+ * @returns {Promise<Object>} { success, data: items } or { success: false, error, statusCode }
+ */
+const buildOrderItems = async (supplier, warehouseId, items) => {
+  const inventories = await Inventory.find({
+    _id: { $in: items.map((item) => item.inventoryId) },
+  }).lean();
+  const inventoryById = new Map(inventories.map((inv) => [inv._id.toString(), inv]));
+  const priceList = new Map(supplier.items.map((entry) => [entry.variantId, entry]));
+
+  const orderItems = [];
+
+  for (const item of items) {
+    const inventory = inventoryById.get(String(item.inventoryId));
+
+    if (!inventory) {
+      return { success: false, error: `Inventory ${item.inventoryId} not found`, statusCode: 404 };
+    }
+
+    if (inventory.warehouseId.toString() !== String(warehouseId)) {
+      return {
+        success: false,
+        error: `${inventory.sku} is not stocked in the receiving warehouse`,
+        statusCode: 400,
+      };
+    }
+
+    const listed = priceList.get(inventory.variantId);
+
+    orderItems.push({
+      inventoryId: inventory._id,
+      variantId: inventory.variantId,
+      sku: inventory.sku,
+      supplierSku: listed?.supplierSku,
+      qtyOrdered: item.qtyOrdered,
+      unitCost: item.unitCost ?? listed?.unitCost ?? 0,
+    });
+  }
+
+  return { success: true, data: orderItems };
+};
+
+/**
+ * Create a draft purchase order
+ * @param {Object} data - { supplierId, warehouseId, items, expectedAt, notes }
+ * @param {string} createdById - Admin ID
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const createPurchaseOrder = async (data, createdById) => {
+  const { supplierId, warehouseId, items, expectedAt, notes } = data;
+
+  const [supplier, warehouse] = await Promise.all([
+    Supplier.findById(supplierId).lean(),
+    Warehouse.findById(warehouseId).lean(),
+  ]);
+
+  if (!supplier || !supplier.isActive) {
+    return { success: false, error: "Supplier not found or inactive", statusCode: 400 };
+  }
+
+  if (!warehouse) {
+    return { success: false, error: "Warehouse not found", statusCode: 400 };
+  }
+
+  const itemsResult = await buildOrderItems(supplier, warehouseId, items);
+  if (!itemsResult.success) return itemsResult;
+
+  const purchaseOrder = await PurchaseOrder.create({
+    poNumber: generatePoNumber(),
+    supplierId,
+    warehouseId,
+    items: itemsResult.data,
+    expectedAt,
+    notes,
+    createdById,
+  });
+
+  return { success: true, data: purchaseOrder };
+};
+
+/**
+ * Replace the lines or details of a draft purchase order
+ * @param {string} id - Purchase order ID
+ * @param {Object} updates - { items, expectedAt, notes }
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const updateDraftPurchaseOrder = async (id, updates) => {
+  const purchaseOrder = await PurchaseOrder.findById(id);
+
+  if (!purchaseOrder) {
+    return { success: false, error: "Purchase order not found", statusCode: 404 };
+  }
+
+  if (purchaseOrder.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+    return { success: false, error: "Only draft purchase orders can be edited", statusCode: 400 };
+  }
+
+  if (updates.items) {
+    const supplier = await Supplier.findById(purchaseOrder.supplierId).lean();
+    const itemsResult = await buildOrderItems(supplier, purchaseOrder.warehouseId, updates.items);
+    if (!itemsResult.success) return itemsResult;
+    purchaseOrder.items = itemsResult.data;
+  }
+
+  if (updates.expectedAt !== undefined) purchaseOrder.expectedAt = updates.expectedAt;
+  if (updates.notes !== undefined) purchaseOrder.notes = updates.notes;
+
+  await purchaseOrder.save();
+
+  return { success: true, data: purchaseOrder };
+};
+
+/**
+ * Mark a draft as sent to the supplier
+ * Expected delivery defaults to the supplier's lead time
+ * @param {string} id - Purchase order ID
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const sendPurchaseOrder = async (id) => {
+  const purchaseOrder = await PurchaseOrder.findById(id);
+
+  if (!purchaseOrder) {
+    return { success: false, error: "Purchase order not found", statusCode: 404 };
+  }
+
+  if (purchaseOrder.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+    return { success: false, error: "Only draft purchase orders can be sent", statusCode: 400 };
+  }
+
+  const supplier = await Supplier.findById(purchaseOrder.supplierId).lean();
+
+  if (!supplier?.isActive) {
+    return { success: false, error: "Supplier is inactive", statusCode: 400 };
+  }
+
+  const now = new Date();
+  purchaseOrder.status = PURCHASE_ORDER_STATUS.SENT;
+  purchaseOrder.sentAt = now;
+  if (!purchaseOrder.expectedAt) {
+    purchaseOrder.expectedAt = new Date(now.getTime() + supplier.leadTimeDays * DAY_MS);
+  }
+
+  await purchaseOrder.save();
+
+  return { success: true, data: purchaseOrder };
+};
+
+/**
+ * Record a goods receipt (GRN) against a sent purchase order
+ * The PO is saved first under optimistic concurrency so two receipts for the same
+ * units cannot both pass; accepted units are then restocked through the adjustments module.
+ * @param {string} id - Purchase order ID
+ * @param {Object} receipt - { items: [{ inventoryId, qtyReceived, qtyRejected, lotNumber, manufacturedAt, expiresAt }], notes }
+ * @param {string} receivedById - Admin ID
+ * @returns {Promise<Object>} { success, data: { purchaseOrder, receipt } } or { success: false, error, statusCode }
+ */
+export const receivePurchaseOrder = async (id, receipt, receivedById) => {
+  const purchaseOrder = await PurchaseOrder.findById(id);
+
+  if (!purchaseOrder) {
+    return { success: false, error: "Purchase order not found", statusCode: 404 };
+  }
+
+  if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+    return {
+      success: false,
+      error: `Cannot receive against a purchase order in ${purchaseOrder.status} status`,
+      statusCode: 400,
+    };
+  }
+
+  const linesByInventory = new Map(purchaseOrder.items.map((item) => [item.inventoryId.toString(), item]));
+  const receiptItems = [];
+
+  for (const received of receipt.items) {
+    const line = linesByInventory.get(String(received.inventoryId));
+
+    if (!line) {
+      return {
+        success: false,
+        error: `Inventory ${received.inventoryId} is not on this purchase order`,
+        statusCode: 400,
+      };
+    }
+
+    const outstanding = outstandingQty(line);
+    if (received.qtyReceived > outstanding) {
+      return {
+        success: false,
+        error: `Only ${outstanding} unit(s) of ${line.sku} are outstanding`,
+        statusCode: 400,
+      };
+    }
+
+    if (received.lotNumber && received.qtyReceived > 0) {
+      const lotError = await validateLotReceipt(line.inventoryId, received);
+      if (lotError) {
+        return { success: false, error: lotError, statusCode: 400 };
+      }
+    }
+
+    line.qtyReceived += received.qtyReceived;
+    line.qtyRejected += received.qtyRejected || 0;
+    receiptItems.push({
+      inventoryId: line.inventoryId,
+      sku: line.sku,
+      qtyReceived: received.qtyReceived,
+      qtyRejected: received.qtyRejected || 0,
+      lotNumber: received.lotNumber?.toUpperCase(),
+      manufacturedAt: received.manufacturedAt,
+      expiresAt: received.expiresAt,
+    });
+  }
+
+  const grnNumber = `GRN-${purchaseOrder.poNumber.replace(/^PO-/, "")}-${purchaseOrder.receipts.length + 1}`;
+  const fullyReceived = purchaseOrder.items.every((item) => outstandingQty(item) === 0);
+
+  purchaseOrder.status = fullyReceived
+    ? PURCHASE_ORDER_STATUS.RECEIVED
+    : PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED;
+  if (fullyReceived) purchaseOrder.receivedAt = new Date();
+
+  purchaseOrder.receipts.push({
+    grnNumber,
+    receivedById,
+    items: receiptItems,
+    notes: receipt.notes,
+  });
+
+  try {
+    await purchaseOrder.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return {
+        success: false,
+        error: "Purchase order was updated by another receipt, please retry",
+        statusCode: 409,
+      };
+    }
+    throw error;
+  }
+
+  const savedReceipt = purchaseOrder.receipts[purchaseOrder.receipts.length - 1];
+
+  for (const item of savedReceipt.items) {
+    if (item.qtyReceived <= 0) continue;
+
+    if (item.lotNumber) {
+      const inventory = await Inventory.findById(item.inventoryId).lean();
+      const lotResult = inventory
+        ? await receiveIntoLot(inventory, {
+            lotNumber: item.lotNumber,
+            manufacturedAt: item.manufacturedAt,
+            expiresAt: item.expiresAt,
+            quantity: item.qtyReceived,
+            purchaseOrderId: purchaseOrder._id,
+          })
+        : { success: false, error: "Inventory not found" };
+
+      if (!lotResult.success) {
+        console.log(`> Lot ${item.lotNumber} not recorded for ${grnNumber}: ${lotResult.error}`);
+      }
+    }
+
+    const result = await postRestock({
+      inventoryId: item.inventoryId,
+      quantity: item.qtyReceived,
+      reason: `${grnNumber} against ${purchaseOrder.poNumber}`,
+      referenceType: "purchase_order",
+      referenceId: purchaseOrder._id.toString(),
+      lotNumber: item.lotNumber,
+      adjustedById: receivedById,
+    });
+
+    if (result) {
+      item.adjustmentId = result.adjustment._id;
+    } else {
+      console.log(`> Inventory ${item.inventoryId} missing while posting ${grnNumber}`);
+    }
+  }
+
+  await purchaseOrder.save();
+
+  return { success: true, data: { purchaseOrder, receipt: savedReceipt } };
+};
+
+/**
+ * Close a purchase order, short-closing any units the supplier will not deliver
+ * @param {string} id - Purchase order ID
+ * @param {string} reason - Close reason
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const closePurchaseOrder = async (id, reason) => {
+  const purchaseOrder = await PurchaseOrder.findById(id);
+
+  if (!purchaseOrder) {
+    return { success: false, error: "Purchase order not found", statusCode: 404 };
+  }
+
+  if (
+    ![PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED, PURCHASE_ORDER_STATUS.RECEIVED].includes(
+      purchaseOrder.status
+    )
+  ) {
+    return {
+      success: false,
+      error: "Only received or partially received purchase orders can be closed",
+      statusCode: 400,
+    };
+  }
+
+  purchaseOrder.status = PURCHASE_ORDER_STATUS.CLOSED;
+  purchaseOrder.closedAt = new Date();
+  purchaseOrder.closeReason = reason;
+  await purchaseOrder.save();
+
+  return { success: true, data: purchaseOrder };
+};
+
+/**
+ * Cancel a purchase order before anything has been received
+ * @param {string} id - Purchase order ID
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const cancelPurchaseOrder = async (id, reason) => {
+  const purchaseOrder = await PurchaseOrder.findById(id);
+
+  if (!purchaseOrder) {
+    return { success: false, error: "Purchase order not found", statusCode: 404 };
+  }
+
+  if (![PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.SENT].includes(purchaseOrder.status)) {
+    return {
+      success: false,
+      error: "Only draft or sent purchase orders can be cancelled",
+      statusCode: 400,
+    };
+  }
+
+  purchaseOrder.status = PURCHASE_ORDER_STATUS.CANCELLED;
+  purchaseOrder.cancelledAt = new Date();
+  purchaseOrder.closeReason = reason;
+  await purchaseOrder.save();
+
+  return { success: true, data: purchaseOrder };
+};
+
+/**
+ * Pick the supplier for each variant: cheapest listed price, then shortest lead time
+ * @param {Array} variantIds - Variant IDs
+ * @returns {Promise<Map>} variantId -> { supplier, listing }
+ */
+const pickSuppliers = async (variantIds) => {
+  const suppliers = await Supplier.find({
+    isActive: true,
+    "items.variantId": { $in: variantIds },
+  }).lean();
+
+  const chosen = new Map();
+
+  for (const supplier of suppliers) {
+    for (const listing of supplier.items) {
+      if (!variantIds.includes(listing.variantId)) continue;
+
+      const current = chosen.get(listing.variantId);
+      const better =
+        !current ||
+        listing.unitCost < current.listing.unitCost ||
+        (listing.unitCost === current.listing.unitCost &&
+          supplier.leadTimeDays < current.supplier.leadTimeDays);
+
+      if (better) chosen.set(listing.variantId, { supplier, listing });
+    }
+  }
+
+  return chosen;
+};
+
+/**
+ * Calculate how many units to reorder
+ * Target stock covers the reorder point plus expected sales over the supplier
+ * lead time and the coverage window; stock on hand and on order is netted off.
+ * @param {Object} params - { available, reorderPoint, avgDailySales, leadTimeDays, coverageDays, qtyOnOrder, minOrderQty }
+ * @returns {number} Units to order (0 when nothing is needed)
+ */
+export const calculateReorderQty = ({
+  available,
+  reorderPoint,
+  avgDailySales,
+  leadTimeDays,
+  coverageDays,
+  qtyOnOrder,
+  minOrderQty = 1,
+}) => {
+  const target = reorderPoint + Math.ceil(avgDailySales * (leadTimeDays + coverageDays));
+  const needed = target - available - qtyOnOrder;
+
+  if (needed <= 0) return 0;
+  return Math.max(needed, minOrderQty);
+};
+
+/**
+ * Draft purchase orders for SKUs below their reorder point
+ * Velocity comes from sale adjustments over the lookback window. One draft is
+ * created per supplier and warehouse; SKUs without an active supplier are reported back.
+ * @param {Object} options - { warehouseId, lookbackDays, coverageDays, dryRun }
+ * @param {string} createdById - Admin ID
+ * @returns {Promise<Object>} { purchaseOrders, unassigned, coveredByOpenOrders }
+ */
+export const suggestPurchaseOrders = async (options = {}, createdById = null) => {
+  const {
+    warehouseId,
+    lookbackDays = DEFAULT_LOOKBACK_DAYS,
+    coverageDays = DEFAULT_COVERAGE_DAYS,
+    dryRun = false,
+  } = options;
+
+  const filter = {
+    reorderPoint: { $gt: 0 },
+    $expr: { $lt: [{ $subtract: ["$qtyOnHand", "$qtyReserved"] }, "$reorderPoint"] },
+  };
+  if (warehouseId) filter.warehouseId = new mongoose.Types.ObjectId(warehouseId);
+
+  const lowStock = await Inventory.find(filter).lean();
+
+  if (lowStock.length === 0) {
+    return { purchaseOrders: [], unassigned: [], coveredByOpenOrders: 0 };
+  }
+
+  const inventoryIds = lowStock.map((inv) => inv._id);
+  const since = new Date(Date.now() - lookbackDays * DAY_MS);
+
+  const [sales, onOrder, suppliers] = await Promise.all([
+    InventoryAdjustment.aggregate([
+      { $match: { inventoryId: { $in: inventoryIds }, type: "sale", createdAt: { $gte: since } } },
+      { $group: { _id: "$inventoryId", unitsSold: { $sum: { $abs: "$qtyChange" } } } },
+    ]),
+    PurchaseOrder.aggregate([
+      { $match: { status: { $in: OPEN_STATUSES }, "items.inventoryId": { $in: inventoryIds } } },
+      { $unwind: "$items" },
+      { $match: { "items.inventoryId": { $in: inventoryIds } } },
+      {
+        $group: {
+          _id: "$items.inventoryId",
+          qtyOnOrder: {
+            $sum: { $max: [0, { $subtract: ["$items.qtyOrdered", "$items.qtyReceived"] }] },
+          },
+        },
+      },
+    ]),
+    pickSuppliers([...new Set(lowStock.map((inv) => inv.variantId))]),
+  ]);
+
+  const soldById = new Map(sales.map((row) => [row._id.toString(), row.unitsSold]));
+  const onOrderById = new Map(onOrder.map((row) => [row._id.toString(), row.qtyOnOrder]));
+
+  const drafts = new Map();
+  const unassigned = [];
+  let coveredByOpenOrders = 0;
+
+  for (const inventory of lowStock) {
+    const key = inventory._id.toString();
+    const available = inventory.qtyOnHand - inventory.qtyReserved;
+    const avgDailySales = (soldById.get(key) || 0) / lookbackDays;
+    const qtyOnOrder = onOrderById.get(key) || 0;
+    const source = suppliers.get(inventory.variantId);
+
+    const qty = calculateReorderQty({
+      available,
+      reorderPoint: inventory.reorderPoint,
+      avgDailySales,
+      leadTimeDays: source?.supplier.leadTimeDays ?? 0,
+      coverageDays,
+      qtyOnOrder,
+      minOrderQty: source?.listing.minOrderQty,
+    });
+
+    if (qty === 0) {
+      coveredByOpenOrders++;
+      continue;
+    }
+
+    const suggestion = {
+      qtyAvailable: available,
+      reorderPoint: inventory.reorderPoint,
+      avgDailySales: Math.round(avgDailySales * 100) / 100,
+      qtyOnOrder,
+    };
+
+    if (!source) {
+      unassigned.push({
+        inventoryId: inventory._id,
+        variantId: inventory.variantId,
+        sku: inventory.sku,
+        warehouseId: inventory.warehouseId,
+        suggestedQty: qty,
+        ...suggestion,
+      });
+      continue;
+    }
+
+    const draftKey = `${source.supplier._id}:${inventory.warehouseId}`;
+    if (!drafts.has(draftKey)) {
+      drafts.set(draftKey, {
+        supplierId: source.supplier._id,
+        warehouseId: inventory.warehouseId,
+        source: "auto_suggest",
+        items: [],
+      });
+    }
+
+    drafts.get(draftKey).items.push({
+      inventoryId: inventory._id,
+      variantId: inventory.variantId,
+      sku: inventory.sku,
+      supplierSku: source.listing.supplierSku,
+      qtyOrdered: qty,
+      unitCost: source.listing.unitCost,
+      suggestion,
+    });
+  }
+
+  let purchaseOrders = [...drafts.values()];
+
+  if (!dryRun && purchaseOrders.length > 0) {
+    purchaseOrders = await PurchaseOrder.insertMany(
+      purchaseOrders.map((draft) => ({
+        ...draft,
+        poNumber: generatePoNumber(),
+        notes: `Auto-suggested from ${lookbackDays}-day sales velocity`,
+        createdById,
+      }))
+    );
+  }
+
+  return { purchaseOrders, unassigned, coveredByOpenOrders };
+};
+
+export default {
+  createPurchaseOrder,
+  updateDraftPurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+  calculateReorderQty,
+  suggestPurchaseOrders,
+};
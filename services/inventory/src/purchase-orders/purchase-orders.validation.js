@@ -0,0 +1,54 @@
+import Joi from "joi";
+
+const orderItemSchema = Joi.object({
+  inventoryId: Joi.string().required(),
+  qtyOrdered: Joi.number().integer().min(1).required(),
+  unitCost: Joi.number().min(0),
+});
+
+export const createPurchaseOrderSchema = Joi.object({
+  supplierId: Joi.string().required(),
+  warehouseId: Joi.string().required(),
+  items: Joi.array().items(orderItemSchema).min(1).unique("inventoryId").required(),
+  expectedAt: Joi.date().iso(),
+  notes: Joi.string().trim().allow(""),
+});
+
+export const updatePurchaseOrderSchema = Joi.object({
+  items: Joi.array().items(orderItemSchema).min(1).unique("inventoryId"),
+  expectedAt: Joi.date().iso().allow(null),
+  notes: Joi.string().trim().allow(""),
+}).min(1);
+
+export const receivePurchaseOrderSchema = Joi.object({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        inventoryId: Joi.string().required(),
+        qtyReceived: Joi.number().integer().min(0).required(),
+        qtyRejected: Joi.number().integer().min(0).default(0),
+        lotNumber: Joi.string().trim(),
+        manufacturedAt: Joi.date().iso(),
+        expiresAt: Joi.date().iso().when("lotNumber", {
+          is: Joi.exist(),
+          then: Joi.required(),
+          otherwise: Joi.forbidden(),
+        }),
+      })
+    )
+    .min(1)
+    .unique("inventoryId")
+    .required(),
+  notes: Joi.string().trim().allow(""),
+});
+
+export const closePurchaseOrderSchema = Joi.object({
+  reason: Joi.string().trim().allow(""),
+});
+
+export const autoSuggestSchema = Joi.object({
+  warehouseId: Joi.string(),
+  lookbackDays: Joi.number().integer().min(1).max(365).default(30),
+  coverageDays: Joi.number().integer().min(1).max(180).default(30),
+  dryRun: Joi.boolean().default(false),
+});
@@ -2,6 +2,12 @@ import { sendResponse, HTTP_STATUS } from "@shared/utils";
 import Inventory from "../../models/inventory.model.js";
 import InventoryReservation from "../../models/inventoryReservation.model.js";
 import InventoryAdjustment from "../../models/inventoryAdjustment.model.js";
+import {
+  allocateItems,
+  reserveAllocation,
+  groupReservationsByWarehouse,
+} from "../allocation/allocation.service.js";
+import { pickLots, releaseLots, consumeLots } from "../lots/lots.service.js";
 
 const CART_TTL_MINUTES = 15;
 const CHECKOUT_TTL_MINUTES = 30;
@@ -16,14 +22,32 @@ export const createReservation = async (req, res) => {
 
     console.log(`> Creating reservation for cart: ${cartId}`);
 
-    const filter = { variantId };
+    let inventory;
+
     if (warehouseId) {
-      filter.warehouseId = warehouseId;
-    }
+      inventory = await Inventory.findOne({ variantId, warehouseId }).populate(
+        "warehouseId",
+        "isActive"
+      );
+    } else {
+      const plan = await allocateItems([{ variantId, quantity }], {
+        allowSplit: false,
+      });
 
-    const inventory = await Inventory.findOne(filter)
-      .populate("warehouseId", "isActive")
-      .sort({ "warehouseId.priority": 1 });
+      if (!plan.feasible) {
+        return sendResponse(
+          res,
+          HTTP_STATUS.BAD_REQUEST,
+          "Insufficient quantity available",
+          null,
+          "No active warehouse can supply the requested quantity"
+        );
+      }
+
+      inventory = await Inventory.findById(
+        plan.shipments[0].items[0].inventoryId
+      ).populate("warehouseId", "isActive");
+    }
 
     if (!inventory) {
       return sendResponse(
@@ -57,14 +81,29 @@ export const createReservation = async (req, res) => {
       );
     }
 
+    const lotPick = await pickLots(inventory._id, quantity);
+
+    if (!lotPick.success) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Insufficient quantity available",
+        null,
+        `${lotPick.shortfall} unit(s) are in lots too close to expiry`
+      );
+    }
+
     const expiresAt = new Date(Date.now() + CART_TTL_MINUTES * 60 * 1000);
 
     const reservation = new InventoryReservation({
       inventoryId: inventory._id,
+      warehouseId: inventory.warehouseId._id,
+      variantId,
       cartId,
       quantity,
       status: "active",
       expiresAt,
+      lots: lotPick.lots,
     });
 
     await reservation.save();
@@ -95,100 +134,59 @@ export const createReservation = async (req, res) => {
 
 /**
  * POST /api/reservations/checkout
- * Create or extend reservations for checkout
+ * Allocate the cart across warehouses and hold stock for checkout
  */
 export const checkoutReservation = async (req, res) => {
   try {
-    const { cartId, items } = req.body;
+    const { cartId, items, pincode, holdMinutes } = req.body;
 
     console.log(`> Creating checkout reservations for cart: ${cartId}`);
 
-    const reservations = [];
-    const failures = [];
-
-    for (const item of items) {
-      const inventory = await Inventory.findOne({ variantId: item.variantId })
-        .populate("warehouseId", "isActive")
-        .sort({ "warehouseId.priority": 1 });
-
-      if (!inventory || !inventory.warehouseId.isActive) {
-        failures.push({
-          variantId: item.variantId,
-          reason: "Inventory not available",
-        });
-        continue;
-      }
-
-      const available = inventory.qtyOnHand - inventory.qtyReserved;
-
-      if (available < item.quantity) {
-        failures.push({
-          variantId: item.variantId,
-          reason: `Only ${available} available`,
-        });
-        continue;
-      }
+    const plan = await allocateItems(items, {
+      pincode: pincode || null,
+      cartId,
+    });
 
-      let reservation = await InventoryReservation.findOne({
-        cartId,
-        inventoryId: inventory._id,
-        status: "active",
-      });
+    if (!plan.feasible) {
+      const failures = plan.unallocated.map((item) => ({
+        variantId: item.variantId,
+        reason: `Only ${item.allocated} available`,
+      }));
 
-      const expiresAt = new Date(
-        Date.now() + CHECKOUT_TTL_MINUTES * 60 * 1000
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Some items could not be reserved",
+        { failures, allocation: plan },
+        null
       );
-
-      if (reservation) {
-        const qtyDiff = item.quantity - reservation.quantity;
-
-        if (qtyDiff !== 0) {
-          inventory.qtyReserved += qtyDiff;
-          await inventory.save();
-        }
-
-        reservation.quantity = item.quantity;
-        reservation.expiresAt = expiresAt;
-        await reservation.save();
-      } else {
-        reservation = new InventoryReservation({
-          inventoryId: inventory._id,
-          cartId,
-          quantity: item.quantity,
-          status: "active",
-          expiresAt,
-        });
-
-        await reservation.save();
-
-        inventory.qtyReserved += item.quantity;
-        await inventory.save();
-      }
-
-      reservations.push(reservation);
     }
 
-    if (failures.length > 0) {
-      for (const reservation of reservations) {
-        await releaseReservation(reservation._id);
-      }
+    const result = await reserveAllocation(
+      cartId,
+      plan,
+      holdMinutes || CHECKOUT_TTL_MINUTES
+    );
 
+    if (!result.success) {
       return sendResponse(
         res,
-        HTTP_STATUS.BAD_REQUEST,
+        HTTP_STATUS.CONFLICT,
         "Some items could not be reserved",
-        { failures },
+        { failures: result.failures },
         null
       );
     }
 
-    console.log(`> Checkout reservations created: ${reservations.length}`);
+    console.log(
+      `> Checkout reservations created: ${result.reservations.length} across ${plan.shipmentCount} warehouses`
+    );
 
     return sendResponse(
       res,
       HTTP_STATUS.OK,
       "Checkout reservations created successfully",
-      { reservations, allReserved: true },
+      { reservations: result.reservations, allReserved: true, allocation: plan },
       null
     );
   } catch (error) {
@@ -233,6 +231,8 @@ export const convertReservations = async (req, res) => {
       reservation.orderId = orderId;
       await reservation.save();
 
+      await consumeLots(reservation.lots);
+
       const inventory = await Inventory.findById(reservation.inventoryId);
 
       if (inventory) {
@@ -258,13 +258,17 @@ export const convertReservations = async (req, res) => {
       }
     }
 
-    console.log(`> Converted ${reservations.length} reservations`);
+    const allocations = await groupReservationsByWarehouse(reservations);
+
+    console.log(
+      `> Converted ${reservations.length} reservations from ${allocations.length} warehouses`
+    );
 
     return sendResponse(
       res,
       HTTP_STATUS.OK,
       "Reservations converted successfully",
-      reservations,
+      { reservations, allocations },
       null
     );
   } catch (error) {
@@ -446,6 +450,8 @@ async function releaseReservation(reservationId) {
   reservation.status = "released";
   await reservation.save();
 
+  await releaseLots(reservation.lots);
+
   const inventory = await Inventory.findById(reservation.inventoryId);
 
   if (inventory) {
@@ -467,6 +473,8 @@ export const cleanupExpiredReservations = async () => {
       reservation.status = "expired";
       await reservation.save();
 
+      await releaseLots(reservation.lots);
+
       const inventory = await Inventory.findById(reservation.inventoryId);
 
       if (inventory) {
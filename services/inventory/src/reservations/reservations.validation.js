@@ -4,7 +4,7 @@ export const createReservationSchema = Joi.object({
   cartId: Joi.string().required(),
   variantId: Joi.string().required(),
   quantity: Joi.number().integer().min(1).required(),
-  warehouseId: Joi.string().allow(""),
+  warehouseId: Joi.string().allow("", null),
 });
 
 export const checkoutReservationSchema = Joi.object({
@@ -18,6 +18,11 @@ export const checkoutReservationSchema = Joi.object({
     )
     .min(1)
     .required(),
+  pincode: Joi.string()
+    .pattern(/^[1-9][0-9]{5}$/)
+    .allow("", null),
+  // Longer holds for stock set aside outside checkout, e.g. exchange replacements (up to 30 days)
+  holdMinutes: Joi.number().integer().min(1).max(43200),
 });
 
 export const convertReservationSchema = Joi.object({
@@ -0,0 +1,269 @@
+import { sendResponse, HTTP_STATUS } from "@shared/utils";
+import Supplier from "../../models/supplier.model.js";
+import PurchaseOrder, { PURCHASE_ORDER_STATUS } from "../../models/purchaseOrder.model.js";
+
+const OPEN_PO_STATUSES = [
+  PURCHASE_ORDER_STATUS.DRAFT,
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+];
+
+/**
+ * GET /api/admin/suppliers
+ * List suppliers with optional filtering
+ */
+export const getAllSuppliers = async (req, res) => {
+  try {
+    console.log("> Fetching suppliers");
+
+    const { isActive, variantId, search, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === "true";
+    }
+
+    if (variantId) {
+      filter["items.variantId"] = variantId;
+    }
+
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      filter.$or = [{ name: pattern }, { code: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const suppliers = await Supplier.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Supplier.countDocuments(filter);
+
+    console.log(`> Found ${suppliers.length} suppliers`);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Suppliers fetched successfully",
+      {
+        suppliers,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error fetching suppliers:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to fetch suppliers",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * GET /api/admin/suppliers/:id
+ * Get supplier with open purchase order count
+ */
+export const getSupplierById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`> Fetching supplier: ${id}`);
+
+    const supplier = await Supplier.findById(id).lean();
+
+    if (!supplier) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Supplier not found",
+        null,
+        null
+      );
+    }
+
+    supplier.openPurchaseOrders = await PurchaseOrder.countDocuments({
+      supplierId: supplier._id,
+      status: { $in: OPEN_PO_STATUSES },
+    });
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Supplier fetched successfully",
+      supplier,
+      null
+    );
+  } catch (error) {
+    console.log("> Error fetching supplier:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to fetch supplier",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * POST /api/admin/suppliers
+ * Create new supplier
+ */
+export const createSupplier = async (req, res) => {
+  try {
+    console.log("> Creating supplier");
+
+    const supplier = new Supplier(req.body);
+    await supplier.save();
+
+    console.log(`> Supplier created: ${supplier.code}`);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Supplier created successfully",
+      supplier,
+      null
+    );
+  } catch (error) {
+    console.log("> Error creating supplier:", error.message);
+
+    if (error.code === 11000) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Supplier code already exists",
+        null,
+        "Duplicate supplier code"
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to create supplier",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * PUT /api/admin/suppliers/:id
+ * Update supplier details and price list
+ */
+export const updateSupplier = async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`> Updating supplier: ${id}`);
+
+    const supplier = await Supplier.findById(id);
+
+    if (!supplier) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Supplier not found",
+        null,
+        null
+      );
+    }
+
+    Object.assign(supplier, req.body);
+    await supplier.save();
+
+    console.log(`> Supplier updated: ${supplier.code}`);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Supplier updated successfully",
+      supplier,
+      null
+    );
+  } catch (error) {
+    console.log("> Error updating supplier:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to update supplier",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * PATCH /api/admin/suppliers/:id/status
+ * Activate or deactivate supplier
+ */
+export const updateSupplierStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    console.log(`> Updating supplier status: ${id} to ${isActive}`);
+
+    const supplier = await Supplier.findById(id);
+
+    if (!supplier) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Supplier not found",
+        null,
+        null
+      );
+    }
+
+    if (isActive === false) {
+      const openOrders = await PurchaseOrder.countDocuments({
+        supplierId: supplier._id,
+        status: { $in: OPEN_PO_STATUSES },
+      });
+
+      if (openOrders > 0) {
+        return sendResponse(
+          res,
+          HTTP_STATUS.BAD_REQUEST,
+          "Cannot deactivate supplier with open purchase orders",
+          null,
+          `${openOrders} open purchase orders`
+        );
+      }
+    }
+
+    supplier.isActive = isActive;
+    await supplier.save();
+
+    console.log(`> Supplier status updated: ${supplier.code}`);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Supplier status updated successfully",
+      supplier,
+      null
+    );
+  } catch (error) {
+    console.log("> Error updating supplier status:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to update supplier status",
+      null,
+      error.message
+    );
+  }
+};
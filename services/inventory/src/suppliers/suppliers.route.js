@@ -0,0 +1,24 @@
+import { Router } from "express";
+import { validate } from "@shared/middlewares";
+import {
+  createSupplierSchema,
+  updateSupplierSchema,
+  supplierStatusSchema,
+} from "./suppliers.validation.js";
+import {
+  getAllSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  updateSupplierStatus,
+} from "./suppliers.controller.js";
+
+const router = Router();
+
+router.get("/", getAllSuppliers);
+router.get("/:id", getSupplierById);
+router.post("/", validate(createSupplierSchema), createSupplier);
+router.put("/:id", validate(updateSupplierSchema), updateSupplier);
+router.patch("/:id/status", validate(supplierStatusSchema), updateSupplierStatus);
+
+export default router;
@@ -0,0 +1,57 @@
+import Joi from "joi";
+
+const supplierItemSchema = Joi.object({
+  variantId: Joi.string().required(),
+  supplierSku: Joi.string().trim().allow(""),
+  unitCost: Joi.number().min(0).required(),
+  minOrderQty: Joi.number().integer().min(1).default(1),
+});
+
+const addressSchema = Joi.object({
+  line1: Joi.string().allow(""),
+  line2: Joi.string().allow(""),
+  city: Joi.string().allow(""),
+  state: Joi.string().allow(""),
+  pincode: Joi.string().allow(""),
+  country: Joi.string().default("India"),
+});
+
+export const createSupplierSchema = Joi.object({
+  code: Joi.string().uppercase().trim().required(),
+  name: Joi.string().trim().required(),
+  contactName: Joi.string().trim().allow(""),
+  email: Joi.string().email().allow(""),
+  phone: Joi.string().trim().allow(""),
+  gstin: Joi.string()
+    .uppercase()
+    .trim()
+    .pattern(/^[0-9]{2}[A-Z0-9]{13}$/)
+    .allow(""),
+  address: addressSchema,
+  leadTimeDays: Joi.number().integer().min(0).default(7),
+  paymentTermsDays: Joi.number().integer().min(0).default(30),
+  items: Joi.array().items(supplierItemSchema).unique("variantId").default([]),
+  isActive: Joi.boolean().default(true),
+  notes: Joi.string().trim().allow(""),
+});
+
+export const updateSupplierSchema = Joi.object({
+  name: Joi.string().trim(),
+  contactName: Joi.string().trim().allow(""),
+  email: Joi.string().email().allow(""),
+  phone: Joi.string().trim().allow(""),
+  gstin: Joi.string()
+    .uppercase()
+    .trim()
+    .pattern(/^[0-9]{2}[A-Z0-9]{13}$/)
+    .allow(""),
+  address: addressSchema,
+  leadTimeDays: Joi.number().integer().min(0),
+  paymentTermsDays: Joi.number().integer().min(0),
+  items: Joi.array().items(supplierItemSchema).unique("variantId"),
+  notes: Joi.string().trim().allow(""),
+}).min(1);
+
+export const supplierStatusSchema = Joi.object({
+  isActive: Joi.boolean().required(),
+});
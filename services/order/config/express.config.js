@@ -13,8 +13,12 @@ export default function createApp() {
   // CORS
   app.use(cors());
 
-  // Body parsing
-  app.use(express.json());
+  // Body parsing (the raw bytes are kept for webhook signature checks)
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
   app.use(express.urlencoded({ extended: true }));
 
   // Request logging
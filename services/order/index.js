@@ -45,7 +45,7 @@ async function startServer() {
   const app = createApp();
 
   // Initialize background jobs
-  initializeJobs();
+  await initializeJobs();
 
   server = app.listen(PORT, () => {
     console.log(`> Server running on port ${PORT}`);
@@ -1,5 +1,7 @@
 import { Router } from "express";
 import { sendResponse } from "@shared/utils";
+import { authenticateAdmin } from "@shared/auth-middleware";
+import { createJobRoutes } from "@shared/job-runner";
 import * as cartRoutes from "./src/cart/cart.route.js";
 import * as checkoutRoutes from "./src/checkout/checkout.route.js";
 import * as ordersRoutes from "./src/orders/orders.route.js";
@@ -7,6 +9,12 @@ import * as paymentsRoutes from "./src/payments/payments.route.js";
 import * as refundsRoutes from "./src/refunds/refunds.route.js";
 import * as returnsRoutes from "./src/returns/returns.route.js";
 import * as invoicesRoutes from "./src/invoices/invoices.route.js";
+import * as shipmentsRoutes from "./src/shipments/shipments.route.js";
+import * as recallsRoutes from "./src/recalls/recalls.route.js";
+import * as cartRecoveryRoutes from "./src/cart-recovery/cart-recovery.route.js";
+import * as returnPoliciesRoutes from "./src/return-policies/return-policies.route.js";
+import internalRoutes from "./src/internal/internal.route.js";
+import { jobRunner } from "./src/jobs/job-scheduler.js";
 
 const router = Router();
 
@@ -22,6 +30,12 @@ router.get("/health", (req, res) => {
  * Webhook Routes (No Authentication)
  */
 router.use("/webhooks", paymentsRoutes.webhook);
+router.use("/webhooks", shipmentsRoutes.webhook);
+
+/**
+ * Internal Routes (Service-to-service, not exposed via gateway)
+ */
+router.use("/internal", internalRoutes);
 
 /**
  * Consumer Routes
@@ -38,11 +52,16 @@ router.use("/invoices", invoicesRoutes.consumer);
  * Admin Routes
  */
 router.use("/admin/cart", cartRoutes.admin);
+router.use("/admin/cart-recovery", cartRecoveryRoutes.admin);
 router.use("/admin/checkout", checkoutRoutes.admin);
 router.use("/admin/orders", ordersRoutes.admin);
 router.use("/admin/payments", paymentsRoutes.admin);
 router.use("/admin/refunds", refundsRoutes.admin);
 router.use("/admin/returns", returnsRoutes.admin);
+router.use("/admin/return-policies", returnPoliciesRoutes.admin);
 router.use("/admin/invoices", invoicesRoutes.admin);
+router.use("/admin/shipments", shipmentsRoutes.admin);
+router.use("/admin/recalls", recallsRoutes.admin);
+router.use("/admin/jobs", authenticateAdmin, createJobRoutes(jobRunner));
 
 export default router;
@@ -100,6 +100,49 @@ const cartSchema = new mongoose.Schema(
       enum: ["web", "mobile"],
       default: "web"
     },
+    // Contact captured for guest carts, used for recovery messages
+    contact: {
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null
+      },
+      phone: {
+        type: String,
+        trim: true,
+        default: null
+      },
+      // SMS and WhatsApp recovery messages need an explicit opt-in
+      consent: {
+        sms: {
+          type: Boolean,
+          default: false
+        },
+        whatsapp: {
+          type: Boolean,
+          default: false
+        }
+      },
+      capturedAt: {
+        type: Date,
+        default: null
+      }
+    },
+    // Set when the cart was restored from a recovery message link
+    recoveryAttribution: {
+      type: {
+        recoveryId: mongoose.Schema.Types.ObjectId,
+        stepIndex: Number,
+        channel: String,
+        restoredAt: Date
+      },
+      default: null
+    },
+    recoveryCompletedAt: {
+      type: Date,
+      default: null
+    },
     convertedOrderId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Order",
@@ -126,6 +169,7 @@ cartSchema.index({ sessionId: 1, status: 1 });
 cartSchema.index({ userType: 1, status: 1 });
 cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 cartSchema.index({ createdAt: 1 });
+cartSchema.index({ status: 1, recoveryCompletedAt: 1, updatedAt: 1 });
 
 // Pre-validate hook to ensure either userId or sessionId exists
 cartSchema.pre("validate", function () {
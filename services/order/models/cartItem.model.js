@@ -48,6 +48,25 @@ const cartItemSchema = new mongoose.Schema(
       required: true,
       min: 0
     },
+    // Share of cart-level promotions allocated to this line by the pricing service
+    allocatedDiscount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    discountAllocations: {
+      type: [
+        {
+          _id: false,
+          type: { type: String },
+          promotionId: String,
+          name: String,
+          code: String,
+          amount: Number
+        }
+      ],
+      default: []
+    },
     isFreeGift: {
       type: Boolean,
       default: false
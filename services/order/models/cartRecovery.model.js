@@ -0,0 +1,178 @@
+import mongoose from "mongoose";
+import {
+  CART_RECOVERY_STATUS,
+  CART_RECOVERY_CHANNELS,
+  CART_RECOVERY_MESSAGE_STATUS,
+  CART_RECOVERY_SKIP_REASON,
+  CART_RECOVERY_ATTRIBUTION
+} from "../utils/constants.js";
+import { recoveryStepSchema } from "./recoverySequence.model.js";
+
+/**
+ * One step of the sequence, sent or skipped
+ */
+const recoveryMessageSchema = new mongoose.Schema(
+  {
+    stepIndex: {
+      type: Number,
+      required: true
+    },
+    channel: {
+      type: String,
+      enum: CART_RECOVERY_CHANNELS,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(CART_RECOVERY_MESSAGE_STATUS),
+      required: true
+    },
+    skipReason: {
+      type: String,
+      enum: [...Object.values(CART_RECOVERY_SKIP_REASON), null],
+      default: null
+    },
+    recipient: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    couponCode: {
+      type: String,
+      default: null
+    },
+    notificationId: {
+      type: String,
+      default: null
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * A restore link opened by the customer
+ */
+const recoveryRestoreSchema = new mongoose.Schema(
+  {
+    stepIndex: {
+      type: Number,
+      required: true
+    },
+    channel: {
+      type: String,
+      enum: CART_RECOVERY_CHANNELS
+    },
+    restoredToCartId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cart"
+    },
+    restoredAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Recovery sequence run for one abandoned cart
+ * Steps are copied from the sequence when the run starts, so later edits to the
+ * sequence do not change runs already in progress.
+ */
+const cartRecoverySchema = new mongoose.Schema(
+  {
+    cartId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cart",
+      required: true,
+      unique: true
+    },
+    sequenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecoverySequence",
+      default: null
+    },
+    sequenceName: {
+      type: String,
+      trim: true
+    },
+    steps: {
+      type: [recoveryStepSchema],
+      default: []
+    },
+    userId: {
+      type: String,
+      default: null
+    },
+    sessionId: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: Object.values(CART_RECOVERY_STATUS),
+      default: CART_RECOVERY_STATUS.ACTIVE,
+      index: true
+    },
+    nextStepIndex: {
+      type: Number,
+      default: 0
+    },
+    messages: {
+      type: [recoveryMessageSchema],
+      default: []
+    },
+    restores: {
+      type: [recoveryRestoreSchema],
+      default: []
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    // Attribution of the order that recovered the cart
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null
+    },
+    orderTotal: {
+      type: Number,
+      default: null
+    },
+    recoveredStepIndex: {
+      type: Number,
+      default: null
+    },
+    recoveredChannel: {
+      type: String,
+      enum: [...CART_RECOVERY_CHANNELS, null],
+      default: null
+    },
+    attributionType: {
+      type: String,
+      enum: [...Object.values(CART_RECOVERY_ATTRIBUTION), null],
+      default: null
+    },
+    recoveredAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Indexes
+cartRecoverySchema.index({ sequenceId: 1, createdAt: -1 });
+cartRecoverySchema.index({ status: 1, createdAt: -1 });
+
+export const CartRecovery = mongoose.model("CartRecovery", cartRecoverySchema);
+
+export default CartRecovery;
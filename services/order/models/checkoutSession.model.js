@@ -126,7 +126,35 @@ const checkoutSessionSchema = new mongoose.Schema(
         taxRate: Number,
         taxableAmount: Number,
         cgst: Number,
-        sgst: Number
+        sgst: Number,
+        igst: Number,
+        destinationState: String,
+        // GST per cart line, from the product's HSN rate and the fulfilling warehouse's state
+        lines: [
+          {
+            _id: false,
+            productId: String,
+            variantId: String,
+            hsnCode: String,
+            gstRate: Number,
+            originState: String,
+            isInterState: Boolean,
+            taxableValue: Number,
+            cgst: Number,
+            sgst: Number,
+            igst: Number,
+            totalTax: Number
+          }
+        ],
+        shipping: {
+          taxableValue: Number,
+          gstRate: Number,
+          isInterState: Boolean,
+          cgst: Number,
+          sgst: Number,
+          igst: Number,
+          totalTax: Number
+        }
       },
       default: null
     },
@@ -146,11 +174,23 @@ const checkoutSessionSchema = new mongoose.Schema(
       type: [mongoose.Schema.Types.Mixed],
       default: []
     },
+    availableShippingMethods: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: []
+    },
+    fulfillmentPlan: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
     shippingMethod: {
       type: {
         methodId: String,
+        name: String,
+        carrierName: String,
         cost: Number,
-        estimatedDeliveryDays: Number
+        estimatedDeliveryDays: Number,
+        estimatedDaysMin: Number,
+        codAvailable: Boolean
       },
       default: null
     },
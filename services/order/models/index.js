@@ -14,3 +14,8 @@ export { default as Payment } from "./payment.model.js";
 export { default as Refund } from "./refund.model.js";
 export { default as Return } from "./return.model.js";
 export { default as Invoice } from "./invoice.model.js";
+export { default as Shipment } from "./shipment.model.js";
+export { default as Recall } from "./recall.model.js";
+export { default as RecoverySequence } from "./recoverySequence.model.js";
+export { default as CartRecovery } from "./cartRecovery.model.js";
+export { default as ReturnPolicy } from "./returnPolicy.model.js";
@@ -1,5 +1,30 @@
 import mongoose from "mongoose";
-import { INVOICE_STATUS } from "../utils/constants.js";
+import { INVOICE_STATUS, INVOICE_TYPE } from "../utils/constants.js";
+
+// One invoice or credit note line with its GST breakup
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    orderItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OrderItem",
+      default: null
+    },
+    description: String,
+    sku: String,
+    hsnCode: String,
+    quantity: Number,
+    unitPrice: Number,
+    discount: Number,
+    taxableValue: Number,
+    gstRate: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    total: Number
+  },
+  { _id: false }
+);
 
 const invoiceSchema = new mongoose.Schema(
   {
@@ -17,10 +42,40 @@ const invoiceSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["sale", "credit_note"],
-      default: "sale",
+      enum: Object.values(INVOICE_TYPE),
+      default: INVOICE_TYPE.SALE,
+      index: true
+    },
+    userId: {
+      type: String,
+      default: null,
       index: true
     },
+    customerName: {
+      type: String,
+      trim: true
+    },
+    customerEmail: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    // Credit notes: the refund they record and the sale invoice they adjust
+    refundId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Refund",
+      default: null,
+      sparse: true
+    },
+    originalInvoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      default: null
+    },
+    items: {
+      type: [invoiceLineSchema],
+      default: []
+    },
     status: {
       type: String,
       enum: Object.values(INVOICE_STATUS),
@@ -53,6 +108,7 @@ const invoiceSchema = new mongoose.Schema(
     },
     taxSummary: {
       type: {
+        taxableValue: Number,
         cgst: Number,
         sgst: Number,
         igst: Number,
@@ -60,6 +116,11 @@ const invoiceSchema = new mongoose.Schema(
       },
       default: {}
     },
+    // GSTR place of supply, e.g. "29-Karnataka"
+    placeOfSupply: {
+      type: String,
+      trim: true
+    },
     gstin: {
       type: String,
       uppercase: true,
@@ -70,6 +131,22 @@ const invoiceSchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    notes: {
+      type: String,
+      trim: true
+    },
+    emailSentAt: {
+      type: Date
+    },
+    emailSentTo: {
+      type: String
+    },
+    regenerationReason: {
+      type: String
+    },
+    regeneratedAt: {
+      type: Date
+    },
     issuedAt: {
       type: Date,
       sparse: true
@@ -94,6 +171,7 @@ const invoiceSchema = new mongoose.Schema(
 invoiceSchema.index({ orderId: 1, type: 1 });
 invoiceSchema.index({ createdAt: -1 });
 invoiceSchema.index({ issuedAt: -1 });
+invoiceSchema.index({ type: 1, issuedAt: 1 });
 
 export const Invoice = mongoose.model("Invoice", invoiceSchema);
 
@@ -1,5 +1,5 @@
 import mongoose from "mongoose";
-import { ORDER_STATUS, PAYMENT_STATUS, FULFILLMENT_STATUS } from "../utils/constants.js";
+import { ORDER_STATUS, PAYMENT_STATUS, FULFILLMENT_STATUS, TENDER_STATUS } from "../utils/constants.js";
 
 const orderSchema = new mongoose.Schema(
   {
@@ -107,6 +107,25 @@ const orderSchema = new mongoose.Schema(
       default: 0,
       min: 0
     },
+    // GST totals and the tax on shipping; per-line tax lives on the order items
+    taxBreakdownSnapshot: {
+      type: {
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        placeOfSupply: String,
+        shipping: {
+          taxableValue: Number,
+          gstRate: Number,
+          isInterState: Boolean,
+          cgst: Number,
+          sgst: Number,
+          igst: Number,
+          totalTax: Number
+        }
+      },
+      default: null
+    },
     shippingAddressSnapshot: {
       type: {
         fullName: String,
@@ -159,6 +178,33 @@ const orderSchema = new mongoose.Schema(
       ],
       default: []
     },
+    fulfillmentAllocations: {
+      type: [
+        {
+          _id: false,
+          warehouseId: String,
+          warehouseCode: String,
+          warehouseName: String,
+          items: [
+            {
+              _id: false,
+              variantId: String,
+              sku: String,
+              quantity: Number,
+              lots: [
+                {
+                  _id: false,
+                  lotNumber: String,
+                  expiresAt: Date,
+                  quantity: Number
+                }
+              ]
+            }
+          ]
+        }
+      ],
+      default: []
+    },
     paymentMethod: {
       type: String,
       enum: ["razorpay", "cod", "wallet"],
@@ -198,6 +244,44 @@ const orderSchema = new mongoose.Schema(
       enum: ["web", "mobile"],
       default: "web"
     },
+    // Abandoned cart recovery step the order is attributed to
+    recoveryAttribution: {
+      type: {
+        recoveryId: mongoose.Schema.Types.ObjectId,
+        sequenceId: mongoose.Schema.Types.ObjectId,
+        stepIndex: Number,
+        channel: String,
+        attributionType: String,
+        couponCode: String
+      },
+      default: null
+    },
+    // Set on replacement orders created by an exchange return
+    exchangeReturnId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Return",
+      default: null
+    },
+    // Value of the returned items applied to a replacement order
+    exchangeCredit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Loyalty points and store credit the customer paid part of grandTotal with;
+    // gatewayAmount is the rest, charged through the payment gateway (or on delivery)
+    tenders: {
+      type: {
+        loyaltyPoints: Number,
+        loyaltyAmount: Number,
+        storeCreditAmount: Number,
+        gatewayAmount: Number,
+        status: { type: String, enum: Object.values(TENDER_STATUS) },
+        // Why engagement refused to debit them when status is unpaid
+        captureError: String
+      },
+      default: null
+    },
     cancellationReason: {
       type: String,
       maxlength: 500,
@@ -242,6 +326,9 @@ orderSchema.index({ status: 1, fulfillmentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ confirmedAt: -1 });
 orderSchema.index({ deliveredAt: -1 });
+orderSchema.index({ "recoveryAttribution.recoveryId": 1 }, { sparse: true });
+orderSchema.index({ exchangeReturnId: 1 }, { sparse: true });
+orderSchema.index({ "tenders.status": 1 }, { sparse: true });
 
 // Virtual for items
 orderSchema.virtual("items", {
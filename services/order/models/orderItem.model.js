@@ -82,14 +82,74 @@ const orderItemSchema = new mongoose.Schema(
       required: true,
       min: 0
     },
+    // Share of cart-level promotions allocated to this line by the pricing service
+    allocatedDiscount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    discountAllocations: {
+      type: [
+        {
+          _id: false,
+          type: { type: String },
+          promotionId: String,
+          name: String,
+          code: String,
+          amount: Number
+        }
+      ],
+      default: []
+    },
+    // lineTotal less allocatedDiscount; the base for lineTax and refunds
+    taxableValue: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     hsnCode: {
       type: String,
       trim: true
     },
+    // GST applied to taxableValue; lineTax is taxBreakup's total
+    gstRate: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    taxBreakup: {
+      type: {
+        cgst: Number,
+        sgst: Number,
+        igst: Number
+      },
+      default: null
+    },
+    originState: {
+      type: String,
+      default: null
+    },
     isFreeGift: {
       type: Boolean,
       default: false
     },
+    // Inventory lots the units were picked from, for return and recall tracing
+    lots: {
+      type: [
+        {
+          _id: false,
+          lotNumber: String,
+          expiresAt: Date,
+          quantity: Number
+        }
+      ],
+      default: []
+    },
     fulfillmentStatus: {
       type: String,
       enum: Object.values(FULFILLMENT_STATUS),
@@ -111,6 +171,7 @@ const orderItemSchema = new mongoose.Schema(
 orderItemSchema.index({ orderId: 1, fulfillmentStatus: 1 });
 orderItemSchema.index({ productId: 1, variantId: 1 });
 orderItemSchema.index({ createdAt: 1 });
+orderItemSchema.index({ "lots.lotNumber": 1 });
 
 export const OrderItem = mongoose.model("OrderItem", orderItemSchema);
 
@@ -52,11 +52,21 @@ const paymentSchema = new mongoose.Schema(
       default: "INR",
       uppercase: true
     },
+    // Charged through the gateway, in paise; tenders below covered the rest of the order
     amount: {
       type: Number,
       required: true,
       min: 0
     },
+    // Split-tender breakdown in rupees
+    tenders: {
+      type: {
+        loyaltyPoints: Number,
+        loyaltyAmount: Number,
+        storeCreditAmount: Number
+      },
+      default: null
+    },
     capturedAmount: {
       type: Number,
       default: 0,
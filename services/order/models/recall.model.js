@@ -0,0 +1,190 @@
+import mongoose from "mongoose";
+import {
+  RECALL_STATUS,
+  RECALL_RESOLUTION,
+  RECALL_NOTIFICATION_STATUS,
+  RECALL_STOCK_FREEZE_STATUS
+} from "../utils/constants.js";
+
+/**
+ * One customer who received recalled units, across all of their affected orders
+ */
+const recallCustomerSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    orders: [
+      {
+        _id: false,
+        orderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order"
+        },
+        orderNumber: String,
+        orderedAt: Date,
+        orderItemIds: [mongoose.Schema.Types.ObjectId],
+        quantity: Number,
+        lotNumbers: [String]
+      }
+    ],
+    totalQuantity: {
+      type: Number,
+      default: 0
+    },
+    notification: {
+      status: {
+        type: String,
+        enum: Object.values(RECALL_NOTIFICATION_STATUS),
+        default: RECALL_NOTIFICATION_STATUS.PENDING
+      },
+      channel: String,
+      notificationId: String,
+      queuedAt: Date,
+      error: String
+    },
+    resolution: {
+      type: {
+        type: String,
+        enum: Object.values(RECALL_RESOLUTION),
+        default: RECALL_RESOLUTION.PENDING
+      },
+      note: {
+        type: String,
+        maxlength: 1000,
+        trim: true
+      },
+      refundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Refund"
+      },
+      replacementOrderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order"
+      },
+      resolvedAt: Date,
+      resolvedById: String
+    }
+  },
+  { _id: true }
+);
+
+const recallSchema = new mongoose.Schema(
+  {
+    recallNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true
+    },
+    sku: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      index: true
+    },
+    productName: {
+      type: String,
+      trim: true
+    },
+    lotNumbers: {
+      type: [String],
+      default: []
+    },
+    orderedFrom: {
+      type: Date,
+      default: null
+    },
+    orderedTo: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      required: true,
+      maxlength: 1000,
+      trim: true
+    },
+    customerMessage: {
+      type: String,
+      maxlength: 2000,
+      trim: true
+    },
+    templateCode: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(RECALL_STATUS),
+      default: RECALL_STATUS.OPEN,
+      index: true
+    },
+    stockFreeze: {
+      status: {
+        type: String,
+        enum: Object.values(RECALL_STOCK_FREEZE_STATUS),
+        default: RECALL_STOCK_FREEZE_STATUS.PENDING
+      },
+      totalFrozen: {
+        type: Number,
+        default: 0
+      },
+      result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+      },
+      frozenAt: Date,
+      error: String
+    },
+    customers: {
+      type: [recallCustomerSchema],
+      default: []
+    },
+    createdById: {
+      type: String,
+      default: null
+    },
+    closedAt: {
+      type: Date,
+      default: null
+    },
+    closedById: {
+      type: String,
+      default: null
+    },
+    closeNote: {
+      type: String,
+      maxlength: 1000,
+      trim: true
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Indexes
+recallSchema.index({ status: 1, createdAt: -1 });
+recallSchema.index({ "customers.orders.orderId": 1 });
+
+export const Recall = mongoose.model("Recall", recallSchema);
+
+export default Recall;
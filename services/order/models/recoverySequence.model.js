@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import { CART_RECOVERY_CHANNELS } from "../utils/constants.js";
+
+/**
+ * Coupon sent with a recovery message
+ */
+const recoveryCouponSchema = new mongoose.Schema(
+  {
+    batchId: {
+      type: String,
+      required: true
+    },
+    // Each issued code expires this many hours after the message is sent
+    validForHours: {
+      type: Number,
+      min: 1,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * One message in a recovery sequence
+ * delayHours counts from the cart's last activity.
+ */
+export const recoveryStepSchema = new mongoose.Schema(
+  {
+    delayHours: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    channel: {
+      type: String,
+      enum: CART_RECOVERY_CHANNELS,
+      required: true
+    },
+    // Engagement template; defaults to ABANDONED_CART_<CHANNEL>
+    templateCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null
+    },
+    // A single-use code is issued from this pricing coupon batch for each message
+    coupon: {
+      type: recoveryCouponSchema,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Abandoned cart recovery sequence
+ * The active sequence with the highest minCartValue the cart qualifies for is used.
+ */
+const recoverySequenceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    description: {
+      type: String,
+      maxlength: 1000,
+      trim: true
+    },
+    minCartValue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    steps: {
+      type: [recoveryStepSchema],
+      validate: {
+        validator: (steps) => steps.length > 0,
+        message: "A recovery sequence needs at least one step"
+      }
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true
+    },
+    createdById: {
+      type: String,
+      default: null
+    },
+    updatedById: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Indexes
+recoverySequenceSchema.index({ isActive: 1, minCartValue: -1 });
+
+export const RecoverySequence = mongoose.model("RecoverySequence", recoverySequenceSchema);
+
+export default RecoverySequence;
@@ -53,11 +53,21 @@ const refundSchema = new mongoose.Schema(
         {
           orderItemId: mongoose.Schema.Types.ObjectId,
           quantity: Number,
-          amount: Number
+          amount: Number,
+          discountReversed: Number
         }
       ],
       default: []
     },
+    // How the refund was split across the tenders the order was paid with, in rupees
+    tenderSplit: {
+      type: {
+        gatewayAmount: Number,
+        loyaltyAmount: Number,
+        storeCreditAmount: Number
+      },
+      default: null
+    },
     initiatedByType: {
       type: String,
       enum: ["customer", "admin"],
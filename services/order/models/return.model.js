@@ -1,5 +1,149 @@
 import mongoose from "mongoose";
-import { RETURN_STATUS, RETURN_REASON } from "../utils/constants.js";
+import {
+  RETURN_STATUS,
+  RETURN_REASON,
+  RETURN_TYPE,
+  EXCHANGE_SETTLEMENT_METHOD,
+  EXCHANGE_SETTLEMENT_STATUS
+} from "../utils/constants.js";
+
+/**
+ * Replacement line for an exchanged order item
+ * Priced when the exchange is requested; tax is settled when the stock is reserved.
+ */
+const exchangeItemSchema = new mongoose.Schema(
+  {
+    orderItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    productId: {
+      type: String,
+      required: true
+    },
+    variantId: {
+      type: String,
+      required: true
+    },
+    sku: String,
+    name: String,
+    imageUrl: String,
+    hsnCode: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    unitMrp: {
+      type: Number,
+      min: 0
+    },
+    lineTotal: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    gstRate: {
+      type: Number,
+      default: null
+    },
+    originState: {
+      type: String,
+      default: null
+    },
+    lineTax: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    taxBreakup: {
+      type: {
+        cgst: Number,
+        sgst: Number,
+        igst: Number
+      },
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Payment link or store credit covering the exchange's price difference
+ */
+const exchangeSettlementSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: Object.values(EXCHANGE_SETTLEMENT_METHOD),
+      required: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(EXCHANGE_SETTLEMENT_STATUS),
+      required: true
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    paymentLinkId: String,
+    paymentLinkUrl: String,
+    paymentLinkExpiresAt: Date,
+    gatewayPaymentId: String,
+    storeCreditTransactionId: String,
+    failureReason: String,
+    settledAt: Date
+  },
+  { _id: false }
+);
+
+const exchangeSchema = new mongoose.Schema(
+  {
+    items: {
+      type: [exchangeItemSchema],
+      default: []
+    },
+    // What the customer paid for the returned units, applied to the replacement order
+    returnedValue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Replacement lines plus their tax
+    replacementValue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // replacementValue less returnedValue: positive is owed by the customer, negative is credited back
+    priceDifference: {
+      type: Number,
+      default: 0
+    },
+    // Inventory reservations for the replacement stock are held under this key
+    reservationKey: String,
+    reservedAt: Date,
+    reservationExpiresAt: Date,
+    reservationReleasedAt: Date,
+    replacementOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null
+    },
+    settlement: {
+      type: exchangeSettlementSchema,
+      default: null
+    }
+  },
+  { _id: false }
+);
 
 const returnSchema = new mongoose.Schema(
   {
@@ -26,6 +170,12 @@ const returnSchema = new mongoose.Schema(
       default: RETURN_STATUS.REQUESTED,
       index: true
     },
+    type: {
+      type: String,
+      enum: Object.values(RETURN_TYPE),
+      default: RETURN_TYPE.REFUND,
+      index: true
+    },
     reason: {
       type: String,
       enum: Object.values(RETURN_REASON),
@@ -36,9 +186,16 @@ const returnSchema = new mongoose.Schema(
         {
           orderItemId: mongoose.Schema.Types.ObjectId,
           quantity: Number,
+          refundAmount: Number,
+          discountReversed: Number,
           reason: String,
           condition: String,
-          images: [String]
+          images: [String],
+          opened: Boolean,
+          // Return policy applied when the return was requested
+          policyId: mongoose.Schema.Types.ObjectId,
+          policyName: String,
+          restockingFee: Number
         }
       ],
       required: true,
@@ -49,6 +206,21 @@ const returnSchema = new mongoose.Schema(
         message: "At least one item must be included in the return"
       }
     },
+    // Sum of item refund amounts, from each order line's discount allocation, less restocking fees (0 for exchanges)
+    refundAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    restockingFee: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    exchange: {
+      type: exchangeSchema,
+      default: null
+    },
     customerNotes: {
       type: String,
       maxlength: 1000,
@@ -94,6 +266,7 @@ returnSchema.index({ orderId: 1, status: 1 });
 returnSchema.index({ userId: 1, createdAt: -1 });
 returnSchema.index({ createdAt: -1 });
 returnSchema.index({ completedAt: -1 });
+returnSchema.index({ "exchange.settlement.paymentLinkId": 1 }, { sparse: true });
 
 const Return = mongoose.model("Return", returnSchema);
 
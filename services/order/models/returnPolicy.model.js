@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import { RETURN_POLICY_SCOPE, RETURN_REASON, RESTOCKING_FEE_TYPE } from "../utils/constants.js";
+
+/**
+ * Fee kept from the refund for a returned item
+ * Percentage fees apply to the item's refund amount; fixed fees are charged per unit.
+ */
+const restockingFeeSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(RESTOCKING_FEE_TYPE),
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // No fee when the item is returned for one of these reasons (e.g. damaged, wrong_item)
+    exemptReasons: {
+      type: [{ type: String, enum: Object.values(RETURN_REASON) }],
+      default: []
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Return policy
+ * Assigned to order items by product, tag or category. The most specific scope wins
+ * (product, then tag, then category, then default); within a scope the highest priority wins.
+ */
+const returnPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    description: {
+      type: String,
+      maxlength: 1000,
+      trim: true
+    },
+    scope: {
+      type: String,
+      enum: Object.values(RETURN_POLICY_SCOPE),
+      required: true
+    },
+    productIds: {
+      type: [String],
+      default: []
+    },
+    categoryIds: {
+      type: [String],
+      default: []
+    },
+    tags: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      default: []
+    },
+    priority: {
+      type: Number,
+      default: 0
+    },
+    isReturnable: {
+      type: Boolean,
+      default: true
+    },
+    // Days from delivery
+    returnWindowDays: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Empty allows every reason
+    allowedReasons: {
+      type: [{ type: String, enum: Object.values(RETURN_REASON) }],
+      default: []
+    },
+    // When false, opened items are only accepted for openedItemReasons
+    acceptsOpenedItems: {
+      type: Boolean,
+      default: true
+    },
+    openedItemReasons: {
+      type: [{ type: String, enum: Object.values(RETURN_REASON) }],
+      default: []
+    },
+    // Returns for these reasons need at least minImages photos
+    imageRequiredReasons: {
+      type: [{ type: String, enum: Object.values(RETURN_REASON) }],
+      default: []
+    },
+    minImages: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    restockingFee: {
+      type: restockingFeeSchema,
+      default: null
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true
+    },
+    createdById: {
+      type: String,
+      default: null
+    },
+    updatedById: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Indexes
+returnPolicySchema.index({ isActive: 1, scope: 1, priority: -1 });
+returnPolicySchema.index({ productIds: 1 });
+returnPolicySchema.index({ categoryIds: 1 });
+returnPolicySchema.index({ tags: 1 });
+
+export const ReturnPolicy = mongoose.model("ReturnPolicy", returnPolicySchema);
+
+export default ReturnPolicy;
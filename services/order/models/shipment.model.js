@@ -0,0 +1,185 @@
+import mongoose from "mongoose";
+import { SHIPPING_STATUS, SHIPMENT_EVENT_SOURCE } from "../utils/constants.js";
+
+const shipmentEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(SHIPPING_STATUS),
+      required: true
+    },
+    carrierStatus: {
+      type: String,
+      trim: true
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+      trim: true
+    },
+    location: {
+      type: String,
+      maxlength: 200,
+      trim: true
+    },
+    source: {
+      type: String,
+      enum: Object.values(SHIPMENT_EVENT_SOURCE),
+      default: SHIPMENT_EVENT_SOURCE.CARRIER
+    },
+    // False when the event arrived out of order and did not move the shipment status
+    applied: {
+      type: Boolean,
+      default: true
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: true }
+);
+
+const shipmentSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true
+    },
+    userId: {
+      type: String,
+      required: true,
+      index: true
+    },
+    shipmentNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true
+    },
+    status: {
+      type: String,
+      enum: Object.values(SHIPPING_STATUS),
+      default: SHIPPING_STATUS.PENDING,
+      index: true
+    },
+    items: {
+      type: [
+        {
+          orderItemId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "OrderItem",
+            required: true
+          },
+          variantId: String,
+          sku: String,
+          name: String,
+          quantity: {
+            type: Number,
+            required: true,
+            min: 1
+          }
+        }
+      ],
+      required: true,
+      validate: {
+        validator: function (items) {
+          return items && items.length > 0;
+        },
+        message: "At least one item must be allocated to the shipment"
+      }
+    },
+    carrierCode: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    carrierName: {
+      type: String,
+      trim: true
+    },
+    awbNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true
+    },
+    trackingUrl: {
+      type: String,
+      trim: true
+    },
+    warehouseId: {
+      type: String,
+      sparse: true
+    },
+    packageData: {
+      weight: Number,
+      weightUnit: {
+        type: String,
+        default: "g"
+      },
+      dimensions: {
+        length: Number,
+        width: Number,
+        height: Number
+      }
+    },
+    events: {
+      type: [shipmentEventSchema],
+      default: []
+    },
+    notes: {
+      type: String,
+      maxlength: 1000,
+      trim: true
+    },
+    createdById: {
+      type: String,
+      sparse: true
+    },
+    estimatedDeliveryAt: {
+      type: Date,
+      sparse: true
+    },
+    shippedAt: {
+      type: Date,
+      sparse: true
+    },
+    outForDeliveryAt: {
+      type: Date,
+      sparse: true
+    },
+    deliveredAt: {
+      type: Date,
+      sparse: true
+    },
+    cancelledAt: {
+      type: Date,
+      sparse: true
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Indexes
+shipmentSchema.index({ orderId: 1, status: 1 });
+shipmentSchema.index({ carrierCode: 1, awbNumber: 1 });
+shipmentSchema.index({ createdAt: -1 });
+
+const Shipment = mongoose.model("Shipment", shipmentSchema);
+
+export default Shipment;
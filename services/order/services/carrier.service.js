@@ -0,0 +1,43 @@
+import stubCarrier from "./carriers/stub.carrier.js";
+
+/**
+ * Carrier Adapter Registry
+ * Every adapter exposes the same surface:
+ * - code, name
+ * - createShipment({ shipment, order }) -> { awbNumber, trackingUrl, estimatedDeliveryAt }
+ * - cancelShipment({ awbNumber }) -> { cancelled }
+ * - verifyWebhook(req) -> boolean
+ * - parseWebhook(payload) -> normalized tracking events
+ * Register real courier integrations here alongside the stub.
+ */
+const adapters = {
+  [stubCarrier.code]: stubCarrier
+};
+
+const DEFAULT_CARRIER_CODE = process.env.DEFAULT_CARRIER_CODE || stubCarrier.code;
+
+/**
+ * Get a carrier adapter by code
+ * @param {string} carrierCode - Carrier code (defaults to DEFAULT_CARRIER_CODE)
+ * @returns {Object|null} Carrier adapter or null if not registered
+ */
+export const getCarrier = (carrierCode) => {
+  const code = String(carrierCode || DEFAULT_CARRIER_CODE).toLowerCase();
+  return adapters[code] || null;
+};
+
+/**
+ * List registered carriers
+ * @returns {Array} [{ code, name }]
+ */
+export const listCarriers = () => {
+  return Object.values(adapters).map((adapter) => ({
+    code: adapter.code,
+    name: adapter.name
+  }));
+};
+
+export default {
+  getCarrier,
+  listCarriers
+};
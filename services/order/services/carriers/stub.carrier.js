@@ -0,0 +1,123 @@
+import crypto from "crypto";
+import { SHIPPING_STATUS, CARRIER_CODE } from "../../utils/constants.js";
+
+/**
+ * Stub Carrier Adapter
+ * Local stand-in for a courier integration. Generates AWB numbers without any
+ * network call and accepts webhook payloads in a simple documented format:
+ *
+ * {
+ *   "awb": "STUB1234567890",
+ *   "events": [
+ *     { "id": "evt_1", "code": "PICKED_UP", "description": "...", "location": "Mumbai", "timestamp": "2026-01-01T10:00:00Z" }
+ *   ]
+ * }
+ *
+ * Signed with HMAC-SHA256 of the raw request body in the `x-carrier-signature` header.
+ */
+
+const STUB_TRACKING_BASE_URL =
+  process.env.STUB_CARRIER_TRACKING_URL || "http://localhost:3003/tracking/stub";
+
+const DEFAULT_TRANSIT_DAYS = 5;
+
+// Carrier status codes mapped to our shipping statuses
+const STATUS_MAP = {
+  MANIFESTED: SHIPPING_STATUS.PROCESSING,
+  PICKED_UP: SHIPPING_STATUS.SHIPPED,
+  IN_TRANSIT: SHIPPING_STATUS.IN_TRANSIT,
+  REACHED_HUB: SHIPPING_STATUS.IN_TRANSIT,
+  OUT_FOR_DELIVERY: SHIPPING_STATUS.OUT_FOR_DELIVERY,
+  DELIVERY_FAILED: SHIPPING_STATUS.FAILED,
+  DELIVERED: SHIPPING_STATUS.DELIVERED,
+  RTO_DELIVERED: SHIPPING_STATUS.RETURNED
+};
+
+export const code = CARRIER_CODE.STUB;
+export const name = "Stub Courier";
+
+/**
+ * Book a shipment with the carrier
+ * @param {Object} params - { shipment, order }
+ * @returns {Promise<Object>} { awbNumber, trackingUrl, estimatedDeliveryAt }
+ */
+export const createShipment = async ({ shipment, order }) => {
+  const awbNumber = `STUB${Date.now()}${crypto.randomInt(100, 999)}`;
+  const transitDays = order?.shippingMethodSnapshot?.estimatedDaysMax || DEFAULT_TRANSIT_DAYS;
+
+  console.log(`> [StubCarrier] Booked ${shipment.shipmentNumber} with AWB ${awbNumber}`);
+
+  return {
+    awbNumber,
+    trackingUrl: `${STUB_TRACKING_BASE_URL}/${awbNumber}`,
+    estimatedDeliveryAt: new Date(Date.now() + transitDays * 24 * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * Cancel a booked shipment with the carrier
+ * @param {Object} params - { awbNumber }
+ * @returns {Promise<Object>} { cancelled }
+ */
+export const cancelShipment = async ({ awbNumber }) => {
+  console.log(`> [StubCarrier] Cancelled AWB ${awbNumber}`);
+  return { cancelled: true };
+};
+
+/**
+ * Verify an inbound webhook request
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the signature matches
+ */
+export const verifyWebhook = (req) => {
+  if (process.env.VERIFY_WEBHOOK_SIGNATURE === "false") {
+    return true;
+  }
+
+  const secret = process.env.STUB_CARRIER_WEBHOOK_SECRET;
+  const signature = req.headers["x-carrier-signature"];
+
+  if (!secret || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret).update(req.rawBody || "").digest("hex")
+  );
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Normalize a webhook payload into tracking events
+ * @param {Object} payload - Webhook body
+ * @returns {Array} [{ awbNumber, eventId, status, carrierStatus, description, location, occurredAt }]
+ */
+export const parseWebhook = (payload = {}) => {
+  const events = Array.isArray(payload.events) ? payload.events : [payload];
+
+  return events
+    .map((event) => {
+      const carrierStatus = String(event.code || "").toUpperCase();
+      return {
+        awbNumber: event.awb || payload.awb,
+        eventId: event.id ? String(event.id) : null,
+        status: STATUS_MAP[carrierStatus] || null,
+        carrierStatus,
+        description: event.description,
+        location: event.location,
+        occurredAt: event.timestamp ? new Date(event.timestamp) : new Date()
+      };
+    })
+    .filter((event) => event.awbNumber && event.status);
+};
+
+export default {
+  code,
+  name,
+  createShipment,
+  cancelShipment,
+  verifyWebhook,
+  parseWebhook
+};
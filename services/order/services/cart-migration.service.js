@@ -1,6 +1,81 @@
 import { Cart, CartItem } from "../models/index.js";
 import { CART_STATUS } from "../utils/constants.js";
 
+/**
+ * Move items into another cart
+ * Items of a variant already in the target cart add to its quantity; others are copied.
+ * The caller deletes the source cart and recalculates the target's totals.
+ * @param {Array} sourceItems - Cart items to move
+ * @param {Object} targetCart - Cart that receives the items
+ * @returns {Promise<object>} { itemsMerged, itemsAdded }
+ */
+export const mergeCartItems = async (sourceItems, targetCart) => {
+  const targetItems = await CartItem.find({ cartId: targetCart._id });
+  const targetItemsMap = new Map();
+
+  // Create map of target cart items by variantId for quick lookup
+  for (const item of targetItems) {
+    targetItemsMap.set(item.variantId, item);
+  }
+
+  let itemsMerged = 0;
+  let itemsAdded = 0;
+
+  for (const sourceItem of sourceItems) {
+    const existingTargetItem = targetItemsMap.get(sourceItem.variantId);
+
+    if (existingTargetItem) {
+      // Matching variant found - combine quantities
+      console.log(`> Merging variant ${sourceItem.variantId}: combining quantities`);
+
+      existingTargetItem.quantity += sourceItem.quantity;
+
+      // Use the newer price
+      const sourceItemTime = sourceItem.priceSnapshot?.capturedAt || sourceItem.addedAt;
+      const targetItemTime = existingTargetItem.priceSnapshot?.capturedAt || existingTargetItem.addedAt;
+
+      if (sourceItemTime > targetItemTime) {
+        existingTargetItem.unitPrice = sourceItem.unitPrice;
+        existingTargetItem.unitMrp = sourceItem.unitMrp;
+        existingTargetItem.lineDiscount = sourceItem.lineDiscount;
+        existingTargetItem.priceSnapshot = sourceItem.priceSnapshot;
+        existingTargetItem.productStatus = sourceItem.productStatus;
+      }
+
+      existingTargetItem.lineTotal = existingTargetItem.quantity * existingTargetItem.unitPrice;
+      await existingTargetItem.save();
+
+      itemsMerged++;
+    } else {
+      // No matching variant - add to target cart
+      console.log(`> Adding variant ${sourceItem.variantId} to target cart`);
+
+      await CartItem.create({
+        cartId: targetCart._id,
+        productId: sourceItem.productId,
+        variantId: sourceItem.variantId,
+        bundleId: sourceItem.bundleId,
+        quantity: sourceItem.quantity,
+        unitPrice: sourceItem.unitPrice,
+        unitMrp: sourceItem.unitMrp,
+        lineDiscount: sourceItem.lineDiscount,
+        lineTotal: sourceItem.lineTotal,
+        isFreeGift: sourceItem.isFreeGift,
+        giftRuleId: sourceItem.giftRuleId,
+        priceSnapshot: sourceItem.priceSnapshot,
+        productStatus: sourceItem.productStatus,
+        priceChanged: sourceItem.priceChanged,
+        priceChangeDetails: sourceItem.priceChangeDetails,
+        customization: sourceItem.customization
+      });
+
+      itemsAdded++;
+    }
+  }
+
+  return { itemsMerged, itemsAdded };
+};
+
 /**
  * Migrate guest cart to user account after registration/login
  * @param {string} guestSessionId - Guest session ID (used as cart sessionId)
@@ -70,68 +145,7 @@ export const migrateGuestCartToUser = async (guestSessionId, userId) => {
     // Scenario 2: User cart exists - merge items
     console.log("> Existing user cart found, merging items");
 
-    const userItems = await CartItem.find({ cartId: userCart._id });
-    const userItemsMap = new Map();
-
-    // Create map of user cart items by variantId for quick lookup
-    for (const item of userItems) {
-      userItemsMap.set(item.variantId, item);
-    }
-
-    let itemsMerged = 0;
-    let itemsAdded = 0;
-
-    for (const guestItem of guestItems) {
-      const existingUserItem = userItemsMap.get(guestItem.variantId);
-
-      if (existingUserItem) {
-        // Matching variant found - combine quantities
-        console.log(`> Merging variant ${guestItem.variantId}: combining quantities`);
-
-        existingUserItem.quantity += guestItem.quantity;
-
-        // Use the newer price (guest item price is likely more recent)
-        const guestItemTime = guestItem.priceSnapshot?.capturedAt || guestItem.addedAt;
-        const userItemTime = existingUserItem.priceSnapshot?.capturedAt || existingUserItem.addedAt;
-
-        if (guestItemTime > userItemTime) {
-          existingUserItem.unitPrice = guestItem.unitPrice;
-          existingUserItem.unitMrp = guestItem.unitMrp;
-          existingUserItem.lineDiscount = guestItem.lineDiscount;
-          existingUserItem.priceSnapshot = guestItem.priceSnapshot;
-          existingUserItem.productStatus = guestItem.productStatus;
-        }
-
-        existingUserItem.lineTotal = existingUserItem.quantity * existingUserItem.unitPrice;
-        await existingUserItem.save();
-
-        itemsMerged++;
-      } else {
-        // No matching variant - add to user cart
-        console.log(`> Adding variant ${guestItem.variantId} to user cart`);
-
-        await CartItem.create({
-          cartId: userCart._id,
-          productId: guestItem.productId,
-          variantId: guestItem.variantId,
-          bundleId: guestItem.bundleId,
-          quantity: guestItem.quantity,
-          unitPrice: guestItem.unitPrice,
-          unitMrp: guestItem.unitMrp,
-          lineDiscount: guestItem.lineDiscount,
-          lineTotal: guestItem.lineTotal,
-          isFreeGift: guestItem.isFreeGift,
-          giftRuleId: guestItem.giftRuleId,
-          priceSnapshot: guestItem.priceSnapshot,
-          productStatus: guestItem.productStatus,
-          priceChanged: guestItem.priceChanged,
-          priceChangeDetails: guestItem.priceChangeDetails,
-          customization: guestItem.customization
-        });
-
-        itemsAdded++;
-      }
-    }
+    const { itemsMerged, itemsAdded } = await mergeCartItems(guestItems, userCart);
 
     // Delete guest cart items
     await CartItem.deleteMany({ cartId: guestCart._id });
@@ -189,5 +203,6 @@ export const migrateGuestCartToUser = async (guestSessionId, userId) => {
 };
 
 export default {
+  mergeCartItems,
   migrateGuestCartToUser
 };
@@ -0,0 +1,672 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Cart, CartItem, CartRecovery, RecoverySequence } from "../models/index.js";
+import {
+  CART_STATUS,
+  CART_RECOVERY_STATUS,
+  CART_RECOVERY_MESSAGE_STATUS,
+  CART_RECOVERY_SKIP_REASON,
+  CART_RECOVERY_ATTRIBUTION,
+  DEFAULT_CART_RECOVERY_STEPS,
+  CART_RESTORE_TOKEN_TTL_DAYS,
+  CART_RECOVERY_ATTRIBUTION_DAYS
+} from "../utils/constants.js";
+import { mergeCartItems } from "./cart-migration.service.js";
+import { getCustomerContact } from "./user-integration.service.js";
+import * as pricingService from "./pricing-integration.service.js";
+import * as engagementService from "./engagement-integration.service.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const RESTORE_TOKEN_SECRET = process.env.CART_RESTORE_TOKEN_SECRET || "cart-restore-secret-change-in-production";
+
+// Carts idle longer than the last step's delay plus this are no longer picked up
+const RECOVERY_GRACE_HOURS = 24;
+
+// Carts checked per job run
+const RECOVERY_BATCH_SIZE = 200;
+
+// Channels that need the customer's explicit opt-in
+const OPT_IN_CHANNELS = ["sms", "whatsapp"];
+
+/**
+ * Sign a restore token payload
+ * @param {string} payload - Base64url encoded payload
+ * @returns {string} Base64url HMAC-SHA256 signature
+ */
+const signTokenPayload = (payload) => {
+  return crypto.createHmac("sha256", RESTORE_TOKEN_SECRET).update(payload).digest("base64url");
+};
+
+/**
+ * Create a signed cart restore token for one recovery message
+ * @param {Object} data - { cartId, recoveryId, stepIndex }
+ * @param {Date} now - Current time
+ * @returns {string} Token
+ */
+export const createRestoreToken = ({ cartId, recoveryId, stepIndex }, now = new Date()) => {
+  const payload = Buffer.from(JSON.stringify({
+    cartId: cartId.toString(),
+    recoveryId: recoveryId.toString(),
+    stepIndex,
+    expiresAt: now.getTime() + CART_RESTORE_TOKEN_TTL_DAYS * DAY_MS
+  })).toString("base64url");
+
+  return `${payload}.${signTokenPayload(payload)}`;
+};
+
+/**
+ * Check a cart restore token's signature and expiry
+ * @param {string} token - Token from the recovery message link
+ * @param {Date} now - Current time
+ * @returns {Object} { valid, expired, data, error }
+ */
+export const verifyRestoreToken = (token, now = new Date()) => {
+  const [payload, signature] = String(token || "").split(".");
+
+  if (!payload || !signature) {
+    return { valid: false, expired: false, error: "Invalid restore link" };
+  }
+
+  const expected = Buffer.from(signTokenPayload(payload));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, expired: false, error: "Invalid restore link" };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { valid: false, expired: false, error: "Invalid restore link" };
+  }
+
+  if (!data.expiresAt || data.expiresAt <= now.getTime()) {
+    return { valid: false, expired: true, error: "Restore link has expired" };
+  }
+
+  return { valid: true, expired: false, data };
+};
+
+/**
+ * Get the active recovery sequences, highest minimum cart value first
+ * Falls back to the default sequence when none is active.
+ * @returns {Promise<Array>} Sequences
+ */
+export const getActiveSequences = async () => {
+  const sequences = await RecoverySequence.find({ isActive: true })
+    .sort({ minCartValue: -1, updatedAt: -1 })
+    .lean();
+
+  if (sequences.length > 0) {
+    return sequences;
+  }
+
+  return [{ _id: null, name: "Default", minCartValue: 0, steps: DEFAULT_CART_RECOVERY_STEPS }];
+};
+
+/**
+ * Resolve the name, email, phone and consent to message a cart's customer
+ * Registered customers come from the auth service, with their marketing opt-ins from the
+ * engagement preference center; guests from the contact captured on the cart.
+ * @param {Object} cart - Cart
+ * @returns {Promise<Object>} { success, data: { name, email, phone, consent } }
+ */
+const resolveContact = async (cart) => {
+  if (!cart.userId) {
+    return {
+      success: true,
+      data: {
+        name: null,
+        email: cart.contact?.email || null,
+        phone: cart.contact?.phone || null,
+        consent: cart.contact?.consent || {}
+      }
+    };
+  }
+
+  const result = await getCustomerContact(cart.userId);
+
+  // A deleted or suspended account is simply not messaged
+  if (!result.success && result.statusCode !== 404) {
+    return result;
+  }
+
+  if (!result.success) {
+    return { success: true, data: { name: null, email: null, phone: null, consent: {} } };
+  }
+
+  const preferencesResult = await engagementService.getNotificationPreferences(cart.userId);
+  if (!preferencesResult.success) {
+    return preferencesResult;
+  }
+
+  const contact = result.data;
+  return {
+    success: true,
+    data: {
+      name: [contact.firstName, contact.lastName].filter(Boolean).join(" ") || null,
+      email: contact.email || null,
+      phone: contact.phone || null,
+      consent: preferencesResult.data.categories.marketing
+    }
+  };
+};
+
+/**
+ * Work out why a step cannot be sent to a customer
+ * Email follows the existing cart reminder; SMS and WhatsApp need an opt-in.
+ * @param {string} channel - Step channel
+ * @param {Object} contact - { email, phone, consent }
+ * @returns {string|null} Skip reason, or null if the step can be sent
+ */
+const getSkipReason = (channel, contact) => {
+  const recipient = channel === "email" ? contact.email : contact.phone;
+
+  if (!recipient) {
+    return CART_RECOVERY_SKIP_REASON.NO_RECIPIENT;
+  }
+
+  if (OPT_IN_CHANNELS.includes(channel) && contact.consent?.[channel] !== true) {
+    return CART_RECOVERY_SKIP_REASON.NO_CONSENT;
+  }
+
+  return null;
+};
+
+/**
+ * Issue the step's coupon (if any) and queue its message with a restore link
+ * @param {Object} recovery - Cart recovery
+ * @param {Object} cart - Cart
+ * @param {number} stepIndex - Step to send
+ * @param {Object} contact - { name, email, phone }
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { success, message } or { success: false, error }
+ */
+const sendRecoveryStep = async (recovery, cart, stepIndex, contact, now) => {
+  const step = recovery.steps[stepIndex];
+  const recipient = step.channel === "email" ? contact.email : contact.phone;
+
+  let coupon = null;
+  if (step.coupon?.batchId) {
+    const couponResult = await pricingService.issueBatchCouponCode(step.coupon.batchId, step.coupon.validForHours);
+
+    if (!couponResult.success) {
+      return { success: false, error: `Coupon not issued: ${couponResult.error}` };
+    }
+    coupon = couponResult.data;
+  }
+
+  const token = createRestoreToken({ cartId: cart._id, recoveryId: recovery._id, stepIndex }, now);
+
+  const result = await engagementService.queueTemplatedNotification({
+    templateCode: step.templateCode || `ABANDONED_CART_${step.channel.toUpperCase()}`,
+    userId: cart.userId || null,
+    channel: step.channel,
+    recipient,
+    variables: {
+      customerName: contact.name || "Customer",
+      itemCount: cart.itemCount,
+      cartTotal: cart.grandTotal,
+      restoreUrl: `${process.env.FRONTEND_URL}/cart/restore?token=${encodeURIComponent(token)}`,
+      couponCode: coupon?.code || null,
+      couponExpiresAt: coupon?.endsAt || null
+    },
+    referenceType: "cart_recovery",
+    referenceId: recovery._id.toString()
+  });
+
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  // Engagement doesn't queue messages the recipient has opted out of
+  if (result.data?.skipped) {
+    return {
+      success: true,
+      message: {
+        stepIndex,
+        channel: step.channel,
+        status: CART_RECOVERY_MESSAGE_STATUS.SKIPPED,
+        skipReason: CART_RECOVERY_SKIP_REASON.NO_CONSENT,
+        recipient,
+        couponCode: coupon?.code || null,
+        sentAt: now
+      }
+    };
+  }
+
+  return {
+    success: true,
+    message: {
+      stepIndex,
+      channel: step.channel,
+      status: CART_RECOVERY_MESSAGE_STATUS.QUEUED,
+      recipient,
+      couponCode: coupon?.code || null,
+      notificationId: result.data?.notification?._id?.toString() || null,
+      sentAt: now
+    }
+  };
+};
+
+/**
+ * Send the recovery messages that are due
+ * A step is due once the cart has been idle for its delay. If several steps fell due
+ * while the job was not running, only the latest is sent and the others are skipped.
+ * A step whose coupon or message could not be queued is retried on the next run.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Run summary
+ */
+export const processCartRecoveries = async (now = new Date()) => {
+  const sequences = await getActiveSequences();
+  const firstDelayHours = Math.min(...sequences.map((sequence) => sequence.steps[0].delayHours));
+  const lastDelayHours = Math.max(...sequences.map((sequence) => sequence.steps[sequence.steps.length - 1].delayHours));
+
+  const carts = await Cart.find({
+    status: CART_STATUS.ACTIVE,
+    recoveryCompletedAt: null,
+    itemCount: { $gt: 0 },
+    updatedAt: {
+      $lte: new Date(now.getTime() - firstDelayHours * HOUR_MS),
+      $gte: new Date(now.getTime() - (lastDelayHours + RECOVERY_GRACE_HOURS) * HOUR_MS)
+    }
+  })
+    .sort({ updatedAt: 1 })
+    .limit(RECOVERY_BATCH_SIZE);
+
+  const recoveries = await CartRecovery.find({ cartId: { $in: carts.map((cart) => cart._id) } });
+  const recoveriesByCart = new Map(recoveries.map((recovery) => [recovery.cartId.toString(), recovery]));
+
+  const summary = { cartsChecked: carts.length, queued: 0, skipped: 0, failed: 0, completed: 0 };
+
+  for (const cart of carts) {
+    try {
+      const idleHours = (now.getTime() - cart.updatedAt.getTime()) / HOUR_MS;
+      let recovery = recoveriesByCart.get(cart._id.toString());
+
+      if (recovery && recovery.status !== CART_RECOVERY_STATUS.ACTIVE) {
+        continue;
+      }
+
+      if (!recovery) {
+        const sequence = sequences.find((candidate) => cart.grandTotal >= (candidate.minCartValue || 0));
+        if (!sequence || sequence.steps[0].delayHours > idleHours) {
+          continue;
+        }
+
+        recovery = new CartRecovery({
+          cartId: cart._id,
+          sequenceId: sequence._id,
+          sequenceName: sequence.name,
+          steps: sequence.steps,
+          userId: cart.userId || null,
+          sessionId: cart.sessionId || null
+        });
+
+        // Keep the cart until the restore link of the last step has expired
+        const lastStep = sequence.steps[sequence.steps.length - 1];
+        const keepUntil = new Date(
+          cart.updatedAt.getTime() + lastStep.delayHours * HOUR_MS + CART_RESTORE_TOKEN_TTL_DAYS * DAY_MS
+        );
+        if (!cart.expiresAt || cart.expiresAt < keepUntil) {
+          await Cart.updateOne({ _id: cart._id }, { $set: { expiresAt: keepUntil } }, { timestamps: false });
+        }
+      }
+
+      const dueSteps = recovery.steps
+        .map((step, index) => index)
+        .filter((index) => index >= recovery.nextStepIndex && recovery.steps[index].delayHours <= idleHours);
+
+      if (dueSteps.length === 0) {
+        continue;
+      }
+
+      const stepIndex = dueSteps[dueSteps.length - 1];
+      const step = recovery.steps[stepIndex];
+
+      const contactResult = await resolveContact(cart);
+      if (!contactResult.success) {
+        console.log(`> Could not resolve contact for cart ${cart._id}: ${contactResult.error}`);
+        summary.failed++;
+        continue;
+      }
+
+      const skipReason = getSkipReason(step.channel, contactResult.data);
+      let message;
+
+      if (skipReason) {
+        message = {
+          stepIndex,
+          channel: step.channel,
+          status: CART_RECOVERY_MESSAGE_STATUS.SKIPPED,
+          skipReason,
+          sentAt: now
+        };
+        summary.skipped++;
+      } else {
+        const sendResult = await sendRecoveryStep(recovery, cart, stepIndex, contactResult.data, now);
+        if (!sendResult.success) {
+          console.log(`> Recovery step ${stepIndex} not sent for cart ${cart._id}: ${sendResult.error}`);
+          summary.failed++;
+          continue;
+        }
+        message = sendResult.message;
+        if (message.status === CART_RECOVERY_MESSAGE_STATUS.SKIPPED) {
+          summary.skipped++;
+        } else {
+          summary.queued++;
+        }
+      }
+
+      for (const supersededIndex of dueSteps.slice(0, -1)) {
+        recovery.messages.push({
+          stepIndex: supersededIndex,
+          channel: recovery.steps[supersededIndex].channel,
+          status: CART_RECOVERY_MESSAGE_STATUS.SKIPPED,
+          skipReason: CART_RECOVERY_SKIP_REASON.SUPERSEDED,
+          sentAt: now
+        });
+        summary.skipped++;
+      }
+      recovery.messages.push(message);
+      recovery.nextStepIndex = stepIndex + 1;
+
+      if (recovery.nextStepIndex >= recovery.steps.length) {
+        recovery.status = CART_RECOVERY_STATUS.COMPLETED;
+        recovery.completedAt = now;
+      }
+
+      await recovery.save();
+
+      if (recovery.status === CART_RECOVERY_STATUS.COMPLETED) {
+        await Cart.updateOne({ _id: cart._id }, { $set: { recoveryCompletedAt: now } }, { timestamps: false });
+        summary.completed++;
+      }
+
+      console.log(`> Recovery step ${stepIndex} (${step.channel}) ${message.status} for cart ${cart._id}`);
+    } catch (error) {
+      console.log(`> Error processing recovery for cart ${cart._id}: ${error.message}`);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Restore the cart behind a recovery link for the customer opening it
+ * The cart is moved to the requester's identity, so the link works on any device.
+ * If the requester already has an active cart, the recovered items are merged into it.
+ * A registered customer's cart cannot be restored into another customer's account.
+ * @param {string} token - Restore token
+ * @param {Object} requester - { userId, guestId }
+ * @returns {Promise<Object>} { success, data: { cart, merged, couponCode } } or { success: false, error, statusCode }
+ */
+export const restoreCartFromToken = async (token, { userId = null, guestId = null }) => {
+  const verification = verifyRestoreToken(token);
+
+  if (!verification.valid) {
+    return { success: false, error: verification.error, statusCode: verification.expired ? 410 : 400 };
+  }
+
+  const { cartId, recoveryId, stepIndex } = verification.data;
+  const sourceCart = await Cart.findById(cartId);
+
+  if (!sourceCart) {
+    return { success: false, error: "This cart is no longer available", statusCode: 404 };
+  }
+
+  if (sourceCart.status === CART_STATUS.CONVERTED) {
+    return { success: false, error: "This cart has already been ordered", statusCode: 409 };
+  }
+
+  const isGuest = !userId;
+  const ownsCart = isGuest ? sourceCart.sessionId === guestId : sourceCart.userId === userId;
+
+  if (!ownsCart && !isGuest && sourceCart.userId) {
+    return { success: false, error: "This cart belongs to another account", statusCode: 403 };
+  }
+
+  const recovery = await CartRecovery.findById(recoveryId);
+  const channel = recovery?.steps[stepIndex]?.channel || null;
+  const message = recovery?.messages.find(
+    (entry) => entry.stepIndex === stepIndex && entry.status === CART_RECOVERY_MESSAGE_STATUS.QUEUED
+  );
+
+  let cart = sourceCart;
+  let merged = false;
+
+  if (!ownsCart) {
+    const targetCart = await Cart.findOne({
+      ...(isGuest ? { sessionId: guestId } : { userId }),
+      status: CART_STATUS.ACTIVE
+    });
+
+    if (targetCart) {
+      const sourceItems = await CartItem.find({ cartId: sourceCart._id });
+      const { itemsMerged, itemsAdded } = await mergeCartItems(sourceItems, targetCart);
+
+      await CartItem.deleteMany({ cartId: sourceCart._id });
+      await Cart.findByIdAndDelete(sourceCart._id);
+
+      console.log(`> Restored cart ${sourceCart._id} into ${targetCart._id} (${itemsMerged} merged, ${itemsAdded} added)`);
+      cart = targetCart;
+      merged = true;
+    } else {
+      sourceCart.userId = isGuest ? null : userId;
+      sourceCart.sessionId = isGuest ? guestId : null;
+      sourceCart.userType = isGuest ? "guest" : "registered";
+      sourceCart.status = CART_STATUS.ACTIVE;
+    }
+  }
+
+  if (recovery) {
+    cart.recoveryAttribution = { recoveryId: recovery._id, stepIndex, channel, restoredAt: new Date() };
+  }
+  await cart.save();
+
+  if (recovery) {
+    recovery.restores.push({ stepIndex, channel, restoredToCartId: cart._id });
+    await recovery.save();
+  }
+
+  return { success: true, data: { cart, merged, couponCode: message?.couponCode || null } };
+};
+
+/**
+ * Attribute an order to the recovery step that brought the customer back
+ * A restore link opened within the attribution window wins; otherwise the last message
+ * sent for the cart within the window gets the credit.
+ * @param {Object} cart - Cart being converted
+ * @param {Object} order - New order (saved with recoveryAttribution when attributed)
+ * @returns {Promise<Object|null>} Attribution, or null if the order is not a recovery
+ */
+export const attributeRecoveredOrder = async (cart, order) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - CART_RECOVERY_ATTRIBUTION_DAYS * DAY_MS);
+
+  let recovery = null;
+  let stepIndex = null;
+  let attributionType = null;
+
+  const restored = cart.recoveryAttribution;
+  if (restored?.recoveryId && restored.restoredAt >= windowStart) {
+    recovery = await CartRecovery.findById(restored.recoveryId);
+    stepIndex = restored.stepIndex;
+    attributionType = CART_RECOVERY_ATTRIBUTION.RESTORE_LINK;
+  }
+
+  if (!recovery) {
+    recovery = await CartRecovery.findOne({ cartId: cart._id });
+    const lastMessage = recovery?.messages
+      .filter((message) => message.status === CART_RECOVERY_MESSAGE_STATUS.QUEUED && message.sentAt >= windowStart)
+      .pop();
+
+    if (!lastMessage) {
+      return null;
+    }
+    stepIndex = lastMessage.stepIndex;
+    attributionType = CART_RECOVERY_ATTRIBUTION.LAST_MESSAGE;
+  }
+
+  if (!recovery || recovery.status === CART_RECOVERY_STATUS.RECOVERED) {
+    return null;
+  }
+
+  const message = recovery.messages.find(
+    (entry) => entry.stepIndex === stepIndex && entry.status === CART_RECOVERY_MESSAGE_STATUS.QUEUED
+  );
+  const channel = recovery.steps[stepIndex]?.channel || null;
+
+  recovery.status = CART_RECOVERY_STATUS.RECOVERED;
+  recovery.orderId = order._id;
+  recovery.orderTotal = order.grandTotal;
+  recovery.recoveredStepIndex = stepIndex;
+  recovery.recoveredChannel = channel;
+  recovery.attributionType = attributionType;
+  recovery.recoveredAt = now;
+  await recovery.save();
+
+  order.recoveryAttribution = {
+    recoveryId: recovery._id,
+    sequenceId: recovery.sequenceId,
+    stepIndex,
+    channel,
+    attributionType,
+    couponCode: message?.couponCode || null
+  };
+  await order.save();
+
+  console.log(`> Order ${order.orderNumber} attributed to recovery step ${stepIndex} (${attributionType})`);
+  return order.recoveryAttribution;
+};
+
+/**
+ * Recovery funnel per sequence and step: messages queued and skipped, restore links
+ * opened, and orders and revenue recovered
+ * @param {Object} filters - { from, to, sequenceId } (dates filter when the recovery started)
+ * @returns {Promise<Array>} Sequences with their steps
+ */
+export const getRecoveryStats = async ({ from, to, sequenceId } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+  if (sequenceId) {
+    match.sequenceId = new mongoose.Types.ObjectId(sequenceId);
+  }
+
+  const [sequences, messages, restores, recovered] = await Promise.all([
+    CartRecovery.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$sequenceId",
+          sequenceName: { $last: "$sequenceName" },
+          carts: { $sum: 1 },
+          recoveredOrders: { $sum: { $cond: [{ $eq: ["$status", CART_RECOVERY_STATUS.RECOVERED] }, 1, 0] } },
+          recoveredRevenue: { $sum: { $ifNull: ["$orderTotal", 0] } }
+        }
+      }
+    ]),
+    CartRecovery.aggregate([
+      { $match: match },
+      { $unwind: "$messages" },
+      {
+        $group: {
+          _id: { sequenceId: "$sequenceId", stepIndex: "$messages.stepIndex", status: "$messages.status" },
+          channel: { $first: "$messages.channel" },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    CartRecovery.aggregate([
+      { $match: match },
+      { $unwind: "$restores" },
+      {
+        $group: {
+          _id: { sequenceId: "$sequenceId", stepIndex: "$restores.stepIndex" },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    CartRecovery.aggregate([
+      { $match: { ...match, status: CART_RECOVERY_STATUS.RECOVERED } },
+      {
+        $group: {
+          _id: { sequenceId: "$sequenceId", stepIndex: "$recoveredStepIndex", attributionType: "$attributionType" },
+          orders: { $sum: 1 },
+          revenue: { $sum: "$orderTotal" }
+        }
+      }
+    ])
+  ]);
+
+  const sequenceKey = (id) => (id ? id.toString() : "default");
+  const stepsBySequence = new Map();
+
+  const getStep = (id, stepIndex) => {
+    const key = sequenceKey(id);
+    if (!stepsBySequence.has(key)) stepsBySequence.set(key, new Map());
+    const steps = stepsBySequence.get(key);
+    if (!steps.has(stepIndex)) {
+      steps.set(stepIndex, {
+        stepIndex,
+        channel: null,
+        queued: 0,
+        skipped: 0,
+        restores: 0,
+        recoveredOrders: 0,
+        restoreLinkOrders: 0,
+        lastMessageOrders: 0,
+        recoveredRevenue: 0
+      });
+    }
+    return steps.get(stepIndex);
+  };
+
+  for (const row of messages) {
+    const step = getStep(row._id.sequenceId, row._id.stepIndex);
+    step.channel = row.channel;
+    if (row._id.status === CART_RECOVERY_MESSAGE_STATUS.QUEUED) step.queued += row.count;
+    else step.skipped += row.count;
+  }
+
+  for (const row of restores) {
+    getStep(row._id.sequenceId, row._id.stepIndex).restores += row.count;
+  }
+
+  for (const row of recovered) {
+    const step = getStep(row._id.sequenceId, row._id.stepIndex);
+    step.recoveredOrders += row.orders;
+    step.recoveredRevenue = Math.round((step.recoveredRevenue + row.revenue) * 100) / 100;
+    if (row._id.attributionType === CART_RECOVERY_ATTRIBUTION.RESTORE_LINK) step.restoreLinkOrders += row.orders;
+    else step.lastMessageOrders += row.orders;
+  }
+
+  return sequences.map((sequence) => ({
+    sequenceId: sequence._id,
+    sequenceName: sequence.sequenceName,
+    carts: sequence.carts,
+    recoveredOrders: sequence.recoveredOrders,
+    recoveredRevenue: Math.round(sequence.recoveredRevenue * 100) / 100,
+    recoveryRate: sequence.carts > 0 ? Math.round((sequence.recoveredOrders / sequence.carts) * 10000) / 100 : 0,
+    steps: [...(stepsBySequence.get(sequenceKey(sequence._id))?.values() || [])]
+      .sort((a, b) => a.stepIndex - b.stepIndex)
+  }));
+};
+
+export default {
+  createRestoreToken,
+  verifyRestoreToken,
+  getActiveSequences,
+  processCartRecoveries,
+  restoreCartFromToken,
+  attributeRecoveredOrder,
+  getRecoveryStats
+};
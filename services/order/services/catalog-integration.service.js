@@ -171,3 +171,17 @@ export const getOrderItemsMetadata = async (items) => {
     return handleServiceError(error, "Catalog");
   }
 };
+
+/**
+ * Get tags and category IDs (including ancestors) for products
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<Object>} { success, data: { products } }
+ */
+export const getProductsMetadata = async (productIds) => {
+  try {
+    const response = await catalogClient.post("/api/products/metadata", { productIds });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Catalog");
+  }
+};
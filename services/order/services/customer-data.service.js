@@ -0,0 +1,177 @@
+import {
+  Order,
+  OrderItem,
+  Payment,
+  Refund,
+  Return,
+  Invoice,
+  Shipment,
+  Cart,
+  CartItem,
+  CheckoutSession
+} from "../models/index.js";
+import { ORDER_STATUS, RETURN_STATUS } from "../utils/constants.js";
+
+const REDACTED = "[redacted]";
+
+// Orders in these statuses are still being fulfilled and must keep their delivery details
+const OPEN_ORDER_STATUSES = [
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.OUT_FOR_DELIVERY
+];
+
+const CLOSED_RETURN_STATUSES = [
+  RETURN_STATUS.COMPLETED,
+  RETURN_STATUS.REJECTED,
+  RETURN_STATUS.CANCELLED
+];
+
+/**
+ * Build the $set for scrubbing identifying fields of an address snapshot
+ * City, state and pincode are kept for tax place-of-supply and regional reporting
+ * @param {string} path - Snapshot field name
+ * @returns {Object} Update fields
+ */
+const redactAddressFields = (path) => ({
+  [`${path}.fullName`]: REDACTED,
+  [`${path}.phone`]: REDACTED,
+  [`${path}.addressLine1`]: REDACTED,
+  [`${path}.addressLine2`]: null,
+  [`${path}.landmark`]: null
+});
+
+/**
+ * Collect everything the order service holds about a customer
+ * @param {string} userId - Customer ID
+ * @returns {Promise<Object>} { success, data }
+ */
+export const exportCustomerData = async (userId) => {
+  const orders = await Order.find({ userId })
+    .select("-internalNotes -checkoutSessionId -guestSessionId")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const orderIds = orders.map((order) => order._id);
+
+  const [items, payments, refunds, returns, invoices, shipments, carts] = await Promise.all([
+    OrderItem.find({ orderId: { $in: orderIds } }).lean(),
+    Payment.find({ orderId: { $in: orderIds } })
+      .select("orderId gateway method status currency amount capturedAmount refundedAmount capturedAt createdAt")
+      .lean(),
+    Refund.find({ orderId: { $in: orderIds } })
+      .select("orderId refundNumber type reason status amount processedAt createdAt")
+      .lean(),
+    Return.find({ userId })
+      .select("-adminNotes -inspectionNotes")
+      .lean(),
+    Invoice.find({ orderId: { $in: orderIds } })
+      .select("orderId invoiceNumber type status totals taxSummary issuedAt")
+      .lean(),
+    Shipment.find({ userId })
+      .select("orderId shipmentNumber status items carrierName awbNumber trackingUrl shippedAt deliveredAt events.status events.description events.location events.occurredAt")
+      .lean(),
+    Cart.find({ userId })
+      .select("status currency subtotal grandTotal itemCount appliedCoupons createdAt updatedAt")
+      .lean()
+  ]);
+
+  const itemsByOrder = new Map();
+  for (const item of items) {
+    const key = item.orderId.toString();
+    if (!itemsByOrder.has(key)) itemsByOrder.set(key, []);
+    itemsByOrder.get(key).push(item);
+  }
+
+  return {
+    success: true,
+    data: {
+      orders: orders.map((order) => ({
+        ...order,
+        items: itemsByOrder.get(order._id.toString()) || []
+      })),
+      payments,
+      refunds,
+      returns,
+      invoices,
+      shipments,
+      carts
+    }
+  };
+};
+
+/**
+ * Strip personal details from a customer's order history
+ * Orders, payments and refunds are kept for accounting with contact and address details scrubbed.
+ * Tax invoices are statutory records and are retained as issued.
+ * Carts and checkout sessions are transient and are deleted outright.
+ * Refuses while the customer still has orders or returns in progress.
+ * @param {string} userId - Customer ID
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const pseudonymizeCustomerData = async (userId) => {
+  const [openOrders, openReturns] = await Promise.all([
+    Order.countDocuments({ userId, status: { $in: OPEN_ORDER_STATUSES } }),
+    Return.countDocuments({ userId, status: { $nin: CLOSED_RETURN_STATUSES } })
+  ]);
+
+  if (openOrders > 0 || openReturns > 0) {
+    return {
+      success: false,
+      error: `Customer has ${openOrders} open order(s) and ${openReturns} open return(s)`,
+      statusCode: 409
+    };
+  }
+
+  const orderIds = await Order.find({ userId }).distinct("_id");
+
+  const orderResult = await Order.updateMany(
+    { userId },
+    {
+      $set: {
+        email: `deleted-${userId}@redacted.invalid`,
+        phone: REDACTED,
+        guestInfo: null,
+        giftMessage: null,
+        customerNotes: null,
+        ...redactAddressFields("shippingAddressSnapshot"),
+        ...redactAddressFields("billingAddressSnapshot")
+      }
+    }
+  );
+
+  // Gateway payloads carry the payer's email, phone and instrument details
+  const paymentResult = await Payment.updateMany(
+    { orderId: { $in: orderIds } },
+    { $set: { methodDetails: null, gatewayResponse: null } }
+  );
+
+  const returnResult = await Return.updateMany(
+    { userId },
+    { $set: { customerNotes: null } }
+  );
+
+  const cartIds = await Cart.find({ userId }).distinct("_id");
+  await CartItem.deleteMany({ cartId: { $in: cartIds } });
+  const cartResult = await Cart.deleteMany({ _id: { $in: cartIds } });
+  const checkoutResult = await CheckoutSession.deleteMany({ userId });
+
+  const summary = {
+    ordersPseudonymized: orderResult.modifiedCount,
+    paymentsScrubbed: paymentResult.modifiedCount,
+    returnsScrubbed: returnResult.modifiedCount,
+    cartsDeleted: cartResult.deletedCount,
+    checkoutSessionsDeleted: checkoutResult.deletedCount,
+    invoicesRetained: await Invoice.countDocuments({ orderId: { $in: orderIds } })
+  };
+
+  console.log(`> Pseudonymized order data for customer ${userId}:`, summary);
+
+  return { success: true, data: summary };
+};
+
+export default {
+  exportCustomerData,
+  pseudonymizeCustomerData
+};
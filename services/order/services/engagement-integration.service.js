@@ -1,13 +1,13 @@
 import { createHttpClient, handleServiceError, TimeoutConfig } from "./http-client.service.js";
 
 const engagementClient = createHttpClient(
-  process.env.ENGAGEMENT_SERVICE_URL || "http://localhost:3008",
+  process.env.ENGAGEMENT_SERVICE_URL || "http://localhost:3007",
   parseInt(process.env.ENGAGEMENT_SERVICE_TIMEOUT) || TimeoutConfig.STANDARD,
   "engagement"
 );
 
-// Engagement graceful degradation - when true, logs notifications instead of calling service
-const ENGAGEMENT_GRACEFUL_DEGRADATION = process.env.ENGAGEMENT_GRACEFUL_DEGRADATION === "true" || true; // Default to true until engagement service is ready
+// Engagement graceful degradation - when true, logs events instead of sending them to engagement
+const ENGAGEMENT_GRACEFUL_DEGRADATION = process.env.ENGAGEMENT_GRACEFUL_DEGRADATION === "true";
 
 /**
  * Helper to gracefully handle engagement service calls
@@ -30,16 +30,16 @@ const withGracefulDegradation = async (notificationType, data, serviceCall) => {
 };
 
 /**
- * Send order confirmation email
- * @param {Object} orderData - Order details
- * @returns {Promise<Object>} Email send result
+ * Send an order, payment, refund, return or invoice event to engagement
+ * Engagement picks the template and channels, and ignores a repeat of the same
+ * event type and reference ID, so callers can safely retry.
+ * @param {Object} event - { eventType, referenceId, userId, recipient, data }
+ * @returns {Promise<Object>} Event with the notifications it queued
  */
-export const sendOrderConfirmationEmail = async (orderData) => {
-  return withGracefulDegradation("OrderConfirmation", orderData, async () => {
+export const publishTransactionalEvent = async (event) => {
+  return withGracefulDegradation(event.eventType, event, async () => {
     try {
-      const response = await engagementClient.post("/api/notifications/order-confirmation", {
-        orderData
-      });
+      const response = await engagementClient.post("/api/internal/events", { ...event, source: "order" });
       return { success: true, data: response.data };
     } catch (error) {
       return handleServiceError(error, "Engagement");
@@ -48,128 +48,218 @@ export const sendOrderConfirmationEmail = async (orderData) => {
 };
 
 /**
- * Send order shipped notification
- * @param {Object} orderData - Order details with tracking
- * @returns {Promise<Object>} Notification result
+ * Contact details for an order, including guest orders
+ * @param {Object} order - Order
+ * @returns {Object} { email, phone }
  */
-export const sendOrderShippedNotification = async (orderData) => {
-  try {
-    const response = await engagementClient.post("/api/notifications/order-shipped", {
-      orderData
-    });
-    return { success: true, data: response.data };
-  } catch (error) {
-    return handleServiceError(error, "Engagement");
+const getOrderRecipient = (order) => ({
+  email: order.email || order.guestInfo?.email || null,
+  phone: order.phone || order.guestInfo?.phone || null
+});
+
+/**
+ * Build an event about an order
+ * @param {string} eventType - Event type
+ * @param {Object} order - Order
+ * @param {Object} data - Template variables besides the order number
+ * @returns {Object} Event
+ */
+const buildOrderEvent = (eventType, order, data = {}) => ({
+  eventType,
+  referenceId: order._id.toString(),
+  userId: order.userId || null,
+  recipient: getOrderRecipient(order),
+  data: {
+    orderNumber: order.orderNumber,
+    orderUrl: `${process.env.FRONTEND_URL}/orders/${order._id}`,
+    ...data
   }
+});
+
+// Payment amounts are stored in paise
+const formatPaymentAmount = (payment) => (payment.amount / 100).toFixed(2);
+
+/**
+ * Send order confirmed notification
+ * @param {Object} order - Order
+ * @returns {Promise<Object>} Event result
+ */
+export const sendOrderConfirmedNotification = async (order) => {
+  return publishTransactionalEvent(
+    buildOrderEvent("order.confirmed", order, { orderTotal: order.grandTotal })
+  );
+};
+
+/**
+ * Send order shipped notification
+ * @param {Object} order - Order with tracking
+ * @returns {Promise<Object>} Event result
+ */
+export const sendOrderShippedNotification = async (order) => {
+  return publishTransactionalEvent(
+    buildOrderEvent("order.shipped", order, {
+      trackingNumber: order.trackingNumber || "",
+      carrierName: order.carrierName || ""
+    })
+  );
 };
 
 /**
  * Send order delivered notification
- * @param {Object} orderData - Order details
- * @returns {Promise<Object>} Notification result
+ * @param {Object} order - Order
+ * @returns {Promise<Object>} Event result
  */
-export const sendOrderDeliveredNotification = async (orderData) => {
-  try {
-    const response = await engagementClient.post("/api/notifications/order-delivered", {
-      orderData
-    });
-    return { success: true, data: response.data };
-  } catch (error) {
-    return handleServiceError(error, "Engagement");
-  }
+export const sendOrderDeliveredNotification = async (order) => {
+  return publishTransactionalEvent(buildOrderEvent("order.delivered", order));
 };
 
 /**
  * Send order cancelled notification
- * @param {Object} orderData - Order details with cancellation reason
- * @returns {Promise<Object>} Notification result
+ * @param {Object} order - Order with cancellation reason
+ * @returns {Promise<Object>} Event result
  */
-export const sendOrderCancelledNotification = async (orderData) => {
-  try {
-    const response = await engagementClient.post("/api/notifications/order-cancelled", {
-      orderData
-    });
-    return { success: true, data: response.data };
-  } catch (error) {
-    return handleServiceError(error, "Engagement");
-  }
+export const sendOrderCancelledNotification = async (order) => {
+  return publishTransactionalEvent(
+    buildOrderEvent("order.cancelled", order, { reason: order.cancellationReason || "" })
+  );
 };
 
 /**
  * Send payment success notification
- * @param {Object} paymentData - Payment details
- * @returns {Promise<Object>} Notification result
+ * @param {Object} order - Order
+ * @param {Object} payment - Captured payment
+ * @returns {Promise<Object>} Event result
  */
-export const sendPaymentSuccessNotification = async (paymentData) => {
-  return withGracefulDegradation("PaymentSuccess", paymentData, async () => {
-    try {
-      const response = await engagementClient.post("/api/notifications/payment-success", {
-        paymentData
-      });
-      return { success: true, data: response.data };
-    } catch (error) {
-      return handleServiceError(error, "Engagement");
-    }
+export const sendPaymentSuccessNotification = async (order, payment) => {
+  return publishTransactionalEvent({
+    ...buildOrderEvent("payment.succeeded", order, {
+      amount: formatPaymentAmount(payment),
+      paymentId: payment.gatewayPaymentId || ""
+    }),
+    referenceId: payment._id.toString()
   });
 };
 
 /**
  * Send payment failed notification
- * @param {Object} paymentData - Payment details
- * @returns {Promise<Object>} Notification result
+ * @param {Object} order - Order
+ * @param {Object} payment - Failed payment
+ * @returns {Promise<Object>} Event result
  */
-export const sendPaymentFailedNotification = async (paymentData) => {
-  try {
-    const response = await engagementClient.post("/api/notifications/payment-failed", {
-      paymentData
-    });
-    return { success: true, data: response.data };
-  } catch (error) {
-    return handleServiceError(error, "Engagement");
-  }
+export const sendPaymentFailedNotification = async (order, payment) => {
+  return publishTransactionalEvent({
+    ...buildOrderEvent("payment.failed", order, {
+      amount: formatPaymentAmount(payment),
+      reason: payment.failureReason || ""
+    }),
+    referenceId: payment._id.toString()
+  });
 };
 
 /**
  * Send refund initiated notification
- * @param {Object} refundData - Refund details
- * @returns {Promise<Object>} Notification result
+ * @param {Object} refund - Refund
+ * @param {Object} [order] - Order, for guest contact details
+ * @returns {Promise<Object>} Event result
  */
-export const sendRefundInitiatedNotification = async (refundData) => {
-  try {
-    const response = await engagementClient.post("/api/notifications/refund-initiated", {
-      refundData
-    });
-    return { success: true, data: response.data };
-  } catch (error) {
-    return handleServiceError(error, "Engagement");
-  }
+export const sendRefundInitiatedNotification = async (refund, order = null) => {
+  return publishTransactionalEvent({
+    eventType: "refund.initiated",
+    referenceId: refund._id.toString(),
+    userId: refund.userId?.toString() || null,
+    recipient: order ? getOrderRecipient(order) : {},
+    data: {
+      orderNumber: refund.orderNumber,
+      refundAmount: refund.refundAmount
+    }
+  });
 };
 
 /**
  * Send refund completed notification
- * @param {Object} refundData - Refund details
- * @returns {Promise<Object>} Notification result
+ * @param {Object} refund - Processed refund
+ * @param {Object} [order] - Order, for guest contact details
+ * @returns {Promise<Object>} Event result
  */
-export const sendRefundCompletedNotification = async (refundData) => {
-  try {
-    const response = await engagementClient.post("/api/notifications/refund-completed", {
-      refundData
-    });
-    return { success: true, data: response.data };
-  } catch (error) {
-    return handleServiceError(error, "Engagement");
-  }
+export const sendRefundCompletedNotification = async (refund, order = null) => {
+  return publishTransactionalEvent({
+    eventType: "refund.completed",
+    referenceId: refund._id.toString(),
+    userId: refund.userId?.toString() || null,
+    recipient: order ? getOrderRecipient(order) : {},
+    data: {
+      orderNumber: refund.orderNumber,
+      refundAmount: refund.approvedAmount ?? refund.refundAmount,
+      refundMethod: refund.refundMethod || ""
+    }
+  });
 };
 
 /**
  * Send return approved notification
- * @param {Object} returnData - Return details
- * @returns {Promise<Object>} Notification result
+ * @param {Object} returnRequest - Approved return
+ * @returns {Promise<Object>} Event result
  */
-export const sendReturnApprovedNotification = async (returnData) => {
+export const sendReturnApprovedNotification = async (returnRequest) => {
+  return publishTransactionalEvent({
+    eventType: "return.approved",
+    referenceId: returnRequest._id.toString(),
+    userId: returnRequest.userId.toString(),
+    data: {
+      orderNumber: returnRequest.orderNumber,
+      returnNumber: returnRequest.returnNumber
+    }
+  });
+};
+
+/**
+ * Send return rejected notification
+ * @param {Object} returnRequest - Rejected return with rejection reason
+ * @returns {Promise<Object>} Event result
+ */
+export const sendReturnRejectedNotification = async (returnRequest) => {
+  return publishTransactionalEvent({
+    eventType: "return.rejected",
+    referenceId: returnRequest._id.toString(),
+    userId: returnRequest.userId.toString(),
+    data: {
+      orderNumber: returnRequest.orderNumber,
+      returnNumber: returnRequest.returnNumber,
+      reason: returnRequest.rejectionReason || ""
+    }
+  });
+};
+
+/**
+ * Send invoice issued notification
+ * The customer downloads the PDF from the order page (orderUrl)
+ * @param {Object} invoice - Sale invoice
+ * @param {Object} order - Order
+ * @returns {Promise<Object>} Event result
+ */
+export const sendInvoiceIssuedNotification = async (invoice, order) => {
+  return publishTransactionalEvent({
+    ...buildOrderEvent("invoice.issued", order, {
+      invoiceNumber: invoice.invoiceNumber,
+      total: invoice.totals.grandTotal
+    }),
+    referenceId: invoice._id.toString()
+  });
+};
+
+/**
+ * Track customer event
+ * @param {string} userId - User ID
+ * @param {string} eventName - Event name
+ * @param {Object} eventData - Event data
+ * @returns {Promise<Object>} Tracking result
+ */
+export const trackCustomerEvent = async (userId, eventName, eventData) => {
   try {
-    const response = await engagementClient.post("/api/notifications/return-approved", {
-      returnData
+    const response = await engagementClient.post("/api/events/track", {
+      userId,
+      eventName,
+      eventData
     });
     return { success: true, data: response.data };
   } catch (error) {
@@ -178,15 +268,14 @@ export const sendReturnApprovedNotification = async (returnData) => {
 };
 
 /**
- * Send return rejected notification
- * @param {Object} returnData - Return details with rejection reason
- * @returns {Promise<Object>} Notification result
+ * Get a customer's communication preferences from the engagement preference center
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { success, data: { categories } } where categories are
+ * transactional, marketing and product_updates, each { email, sms, whatsapp, push }
  */
-export const sendReturnRejectedNotification = async (returnData) => {
+export const getNotificationPreferences = async (userId) => {
   try {
-    const response = await engagementClient.post("/api/notifications/return-rejected", {
-      returnData
-    });
+    const response = await engagementClient.get(`/api/internal/notification-preferences/${userId}`);
     return { success: true, data: response.data };
   } catch (error) {
     return handleServiceError(error, "Engagement");
@@ -194,15 +283,13 @@ export const sendReturnRejectedNotification = async (returnData) => {
 };
 
 /**
- * Send abandoned cart reminder
- * @param {Object} cartData - Cart details
- * @returns {Promise<Object>} Notification result
+ * Queue a notification rendered from an engagement template
+ * @param {Object} notificationData - { templateCode, userId, channel, recipient, variables, referenceType, referenceId }
+ * @returns {Promise<Object>} Queued notification
  */
-export const sendAbandonedCartReminder = async (cartData) => {
+export const queueTemplatedNotification = async (notificationData) => {
   try {
-    const response = await engagementClient.post("/api/notifications/abandoned-cart", {
-      cartData
-    });
+    const response = await engagementClient.post("/api/internal/notifications", notificationData);
     return { success: true, data: response.data };
   } catch (error) {
     return handleServiceError(error, "Engagement");
@@ -210,14 +297,20 @@ export const sendAbandonedCartReminder = async (cartData) => {
 };
 
 /**
- * Send invoice email with PDF
- * @param {Object} invoiceData - Invoice details with PDF URL
- * @returns {Promise<Object>} Email result
+ * Award loyalty points for a delivered order
+ * Engagement awards them once per order and converts the customer's referral on their first qualifying order.
+ * @param {Object} order - Delivered order
+ * @returns {Promise<Object>} Loyalty transaction, or the reason none was created
  */
-export const sendInvoiceEmail = async (invoiceData) => {
+export const earnOrderLoyaltyPoints = async (order) => {
+  if (!order.userId) {
+    return { success: true, data: null };
+  }
   try {
-    const response = await engagementClient.post("/api/notifications/invoice", {
-      invoiceData
+    const response = await engagementClient.post(`/api/internal/loyalty/orders/${order._id}/earn`, {
+      userId: order.userId,
+      orderNumber: order.orderNumber,
+      amount: order.grandTotal
     });
     return { success: true, data: response.data };
   } catch (error) {
@@ -226,18 +319,25 @@ export const sendInvoiceEmail = async (invoiceData) => {
 };
 
 /**
- * Track customer event
- * @param {string} userId - User ID
- * @param {string} eventName - Event name
- * @param {Object} eventData - Event data
- * @returns {Promise<Object>} Tracking result
+ * Take back an order's loyalty points
+ * A return takes back points in proportion to its refund; without one the remaining points are reversed.
+ * Engagement also undoes a referral conversion the order no longer qualifies for.
+ * @param {Object} order - Cancelled or returned order
+ * @param {Object} [returnRequest] - Completed return
+ * @returns {Promise<Object>} Loyalty transaction, or the reason none was created
  */
-export const trackCustomerEvent = async (userId, eventName, eventData) => {
+export const reverseOrderLoyaltyPoints = async (order, returnRequest = null) => {
+  if (!order.userId) {
+    return { success: true, data: null };
+  }
   try {
-    const response = await engagementClient.post("/api/events/track", {
-      userId,
-      eventName,
-      eventData
+    const response = await engagementClient.post(`/api/internal/loyalty/orders/${order._id}/reverse`, {
+      userId: order.userId,
+      orderNumber: order.orderNumber,
+      ...(returnRequest && {
+        returnId: returnRequest._id.toString(),
+        amount: returnRequest.refundAmount
+      })
     });
     return { success: true, data: response.data };
   } catch (error) {
@@ -246,13 +346,15 @@ export const trackCustomerEvent = async (userId, eventName, eventData) => {
 };
 
 /**
- * Get customer notification preferences
+ * Credit a customer's store credit balance
+ * Repeating a credit for the same reference returns the original transaction.
  * @param {string} userId - User ID
- * @returns {Promise<Object>} Notification preferences
+ * @param {Object} creditData - { amount, description, referenceType, referenceId }
+ * @returns {Promise<Object>} Store credit and transaction
  */
-export const getNotificationPreferences = async (userId) => {
+export const creditStoreCredit = async (userId, creditData) => {
   try {
-    const response = await engagementClient.get(`/api/preferences/${userId}`);
+    const response = await engagementClient.post(`/api/internal/store-credits/${userId}/credit`, creditData);
     return { success: true, data: response.data };
   } catch (error) {
     return handleServiceError(error, "Engagement");
@@ -260,48 +362,64 @@ export const getNotificationPreferences = async (userId) => {
 };
 
 /**
- * Send order cancellation email (simplified)
- * @param {string} userId - User ID
- * @param {string} orderNumber - Order number
- * @returns {Promise<Object>} Email result
+ * Hold loyalty points and store credit towards an order at checkout
+ * The held balances can't be spent elsewhere until the hold is captured, released or expires.
+ * @param {Object} holdData - { userId, orderId, orderNumber, orderTotal, loyaltyPoints, storeCreditAmount, expiresAt }
+ * @returns {Promise<Object>} Hold with the points' currency value as loyaltyAmount
  */
-export const sendOrderCancellationEmail = async (userId, orderNumber) => {
-  return sendOrderCancelledNotification({ userId, orderNumber });
+export const holdOrderTenders = async (holdData) => {
+  try {
+    const response = await engagementClient.post("/api/internal/tender-holds", holdData);
+    return { success: true, data: response.data };
+  } catch (error) {
+    // Keep engagement's reason (e.g. not enough points) so checkout can show it
+    const result = handleServiceError(error, "Engagement");
+    return { ...result, error: error.response?.data?.error || result.error };
+  }
 };
 
 /**
- * Send order delivered email (simplified)
- * @param {string} userId - User ID
- * @param {string} orderNumber - Order number
- * @returns {Promise<Object>} Email result
+ * Debit an order's held points and store credit after its payment succeeds
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} Captured hold
  */
-export const sendOrderDeliveredEmail = async (userId, orderNumber) => {
-  return sendOrderDeliveredNotification({ userId, orderNumber });
+export const captureOrderTenders = async (orderId) => {
+  try {
+    const response = await engagementClient.post(`/api/internal/tender-holds/${orderId}/capture`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    const result = handleServiceError(error, "Engagement");
+    return { ...result, error: error.response?.data?.error || result.error };
+  }
 };
 
 /**
- * Send order shipped email (simplified)
- * @param {string} userId - User ID
- * @param {string} orderNumber - Order number
- * @param {string} trackingNumber - Tracking number
- * @returns {Promise<Object>} Email result
+ * Give an order's held points and store credit back
+ * @param {string} orderId - Order ID
+ * @param {string} reason - payment_failed, order_cancelled or checkout_failed
+ * @returns {Promise<Object>} Released hold
  */
-export const sendOrderShippedEmail = async (userId, orderNumber, trackingNumber) => {
-  return sendOrderShippedNotification({ userId, orderNumber, trackingNumber });
+export const releaseOrderTenders = async (orderId, reason) => {
+  try {
+    const response = await engagementClient.post(`/api/internal/tender-holds/${orderId}/release`, { reason });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Engagement");
+  }
 };
 
 /**
- * Generic send email function for background jobs
- * @param {Object} emailData - Email data { to, subject, template, context, attachments }
- * @returns {Promise<Object>} Email result
+ * Return part of an order's debited points and store credit
+ * Repeating a refund ID returns the first result.
+ * @param {string} orderId - Order ID
+ * @param {Object} refundData - { refundId, loyaltyAmount, storeCreditAmount }
+ * @returns {Promise<Object>} Points and store credit returned
  */
-export const sendEmail = async (emailData) => {
-  return withGracefulDegradation("GenericEmail", emailData, async () => {
-    try {
-      const response = await engagementClient.post("/api/emails/send", emailData);
-      return { success: true, data: response.data };
-    } catch (error) {
-      return handleServiceError(error, "Engagement");
-    }
-  });
+export const refundOrderTenders = async (orderId, refundData) => {
+  try {
+    const response = await engagementClient.post(`/api/internal/tender-holds/${orderId}/refunds`, refundData);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Engagement");
+  }
 };
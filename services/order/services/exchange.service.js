@@ -0,0 +1,580 @@
+/**
+ * Exchange Service
+ * Replacement pricing, stock holds, replacement orders and price difference settlement
+ * for exchange returns
+ */
+
+import { Order, OrderItem, OrderStatusHistory, Payment, Return } from "../models/index.js";
+import * as inventoryService from "./inventory-integration.service.js";
+import * as catalogService from "./catalog-integration.service.js";
+import * as pricingService from "./pricing-integration.service.js";
+import * as userService from "./user-integration.service.js";
+import { creditStoreCredit } from "./engagement-integration.service.js";
+import { calculateTax, roundAmount } from "./totals-calculator.service.js";
+import { getOriginStatesByVariant, isInterStateSupply, formatPlaceOfSupply } from "./gst.service.js";
+import { generateOrderNumber } from "./order-number.service.js";
+import {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_METHOD,
+  STATUS_TYPE,
+  CHANGED_BY_TYPE,
+  DEFAULT_GST_RATE,
+  EXCHANGE_SETTLEMENT_METHOD,
+  EXCHANGE_SETTLEMENT_STATUS,
+  EXCHANGE_RESERVATION_HOLD_DAYS,
+  EXCHANGE_PAYMENT_LINK_EXPIRY_DAYS
+} from "../utils/constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Razorpay payment methods mapped to ours; cards are split by card type
+const GATEWAY_PAYMENT_METHODS = {
+  upi: PAYMENT_METHOD.UPI,
+  netbanking: PAYMENT_METHOD.NET_BANKING,
+  wallet: PAYMENT_METHOD.WALLET,
+  emi: PAYMENT_METHOD.EMI
+};
+
+/**
+ * Inventory reservation key for an exchange's replacement stock
+ * @param {Object} returnRequest - Return
+ * @returns {string} Reservation key
+ */
+export const getReservationKey = (returnRequest) => `exchange:${returnRequest._id}`;
+
+/**
+ * Price the replacement variants picked for each exchanged order item
+ * Replacements must be a variant of the same product and in stock.
+ * @param {Array} items - Return items with orderItemId, quantity and replacementVariantId
+ * @param {Map} orderItemsMap - orderItemId -> order item
+ * @param {string} userId - Customer ID, for customer pricing
+ * @returns {Promise<Object>} { success, data: exchangeItems } or { success: false, error, statusCode }
+ */
+export const priceReplacementItems = async (items, orderItemsMap, userId) => {
+  const exchangeItems = [];
+
+  for (const item of items) {
+    const orderItem = orderItemsMap.get(item.orderItemId);
+    const variantResult = await catalogService.getProductVariant(orderItem.productId, item.replacementVariantId);
+    if (!variantResult.success || !variantResult.data) {
+      return {
+        success: false,
+        error: `Replacement variant ${item.replacementVariantId} is not available for ${orderItem.name}`,
+        statusCode: 400
+      };
+    }
+
+    const pricingResult = await pricingService.getVariantPrice(item.replacementVariantId, userId);
+    if (!pricingResult.success || pricingResult.data?.finalPrice === undefined) {
+      return {
+        success: false,
+        error: `Price not found for replacement variant ${item.replacementVariantId}`,
+        statusCode: pricingResult.statusCode === 404 ? 400 : 502
+      };
+    }
+
+    const stockCheck = await inventoryService.checkStock(item.replacementVariantId, item.quantity);
+    if (!stockCheck.success || !stockCheck.data?.available) {
+      return {
+        success: false,
+        error: `Replacement variant ${item.replacementVariantId} is out of stock`,
+        statusCode: 409
+      };
+    }
+
+    const productData = variantResult.data;
+    const unitPrice = pricingResult.data.finalPrice;
+
+    exchangeItems.push({
+      orderItemId: orderItem._id,
+      productId: orderItem.productId,
+      variantId: item.replacementVariantId,
+      sku: productData.sku || "",
+      name: productData.name || orderItem.name,
+      imageUrl: productData.imageUrl || productData.image || "",
+      hsnCode: productData.hsnCode || orderItem.hsnCode || "",
+      quantity: item.quantity,
+      unitPrice,
+      unitMrp: pricingResult.data.mrp || unitPrice,
+      lineTotal: roundAmount(unitPrice * item.quantity),
+      gstRate: orderItem.gstRate ?? DEFAULT_GST_RATE,
+      originState: orderItem.originState || null
+    });
+  }
+
+  return { success: true, data: exchangeItems };
+};
+
+/**
+ * Tax the replacement lines and work out the price difference
+ * Each line keeps the GST rate of the item it replaces; the state treatment follows the
+ * warehouse holding the replacement, or the original line's warehouse until stock is reserved.
+ * @param {Object} exchange - Exchange details (items, returnedValue); updated in place
+ * @param {string} destinationState - Delivery state
+ * @param {Map} originStates - variantId -> warehouse state
+ * @returns {Object} The exchange
+ */
+export const applyExchangeTaxes = (exchange, destinationState, originStates = new Map()) => {
+  let replacementValue = 0;
+
+  for (const item of exchange.items) {
+    item.originState = originStates.get(item.variantId) || item.originState || null;
+    const tax = calculateTax(
+      item.lineTotal,
+      item.gstRate ?? DEFAULT_GST_RATE,
+      isInterStateSupply(item.originState, destinationState)
+    );
+    item.lineTax = tax.totalTax;
+    item.taxBreakup = { cgst: tax.cgst, sgst: tax.sgst, igst: tax.igst };
+    replacementValue += item.lineTotal + tax.totalTax;
+  }
+
+  exchange.replacementValue = roundAmount(replacementValue);
+  exchange.priceDifference = roundAmount(exchange.replacementValue - exchange.returnedValue);
+  return exchange;
+};
+
+/**
+ * Hold the replacement stock for an exchange
+ * The hold lasts EXCHANGE_RESERVATION_HOLD_DAYS; reserving again replaces the previous hold.
+ * Taxes and the price difference are recalculated for the allocated warehouses.
+ * @param {Object} returnRequest - Exchange return (not saved)
+ * @param {Object} order - Original order
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const reserveReplacementStock = async (returnRequest, order) => {
+  const { exchange } = returnRequest;
+  const reservationKey = getReservationKey(returnRequest);
+  const holdMinutes = EXCHANGE_RESERVATION_HOLD_DAYS * 24 * 60;
+
+  const result = await inventoryService.reserveCheckoutAllocation(
+    reservationKey,
+    exchange.items.map(item => ({ variantId: item.variantId, quantity: item.quantity })),
+    order.shippingAddressSnapshot?.pincode || null,
+    holdMinutes
+  );
+
+  if (!result.success) {
+    console.log(`> Failed to reserve replacement stock for return ${returnRequest.returnNumber}: ${result.error}`);
+    return {
+      success: false,
+      error: "Replacement items could not be reserved",
+      statusCode: result.statusCode === 400 || result.statusCode === 409 ? 409 : 502
+    };
+  }
+
+  const now = new Date();
+  exchange.reservationKey = reservationKey;
+  exchange.reservedAt = now;
+  exchange.reservationExpiresAt = new Date(now.getTime() + holdMinutes * 60 * 1000);
+  exchange.reservationReleasedAt = null;
+  applyExchangeTaxes(
+    exchange,
+    order.shippingAddressSnapshot?.state,
+    getOriginStatesByVariant(result.data?.allocation)
+  );
+
+  return { success: true, data: exchange };
+};
+
+/**
+ * Release the replacement stock held for an exchange
+ * Does nothing once the replacement order has been created.
+ * @param {Object} returnRequest - Exchange return (not saved)
+ * @returns {Promise<boolean>} True if a hold was released
+ */
+export const releaseReplacementStock = async (returnRequest) => {
+  const { exchange } = returnRequest;
+  if (!exchange?.reservationKey || exchange.reservationReleasedAt || exchange.replacementOrderId) {
+    return false;
+  }
+
+  const result = await inventoryService.releaseCartReservations(exchange.reservationKey);
+  if (!result.success) {
+    // The hold expires on its own
+    console.log(`> Failed to release replacement stock for return ${returnRequest.returnNumber}: ${result.error}`);
+    return false;
+  }
+
+  exchange.reservationReleasedAt = new Date();
+  return true;
+};
+
+/**
+ * Create a Razorpay payment link for the amount an exchange leaves to pay
+ * @param {Object} returnRequest - Exchange return
+ * @param {Object} replacementOrder - Replacement order
+ * @param {number} amount - Amount due
+ * @returns {Promise<Object>} { success, data: { id, url, expiresAt } } or { success: false, error }
+ */
+const createPaymentLink = async (returnRequest, replacementOrder, amount) => {
+  const expiresAt = new Date(Date.now() + EXCHANGE_PAYMENT_LINK_EXPIRY_DAYS * DAY_MS);
+
+  // Payment bypass mode - matches checkout; returns a mock link without calling Razorpay
+  const PAYMENT_BYPASS_MODE = process.env.PAYMENT_BYPASS_MODE === "true" || true; // Default to true until Razorpay is configured
+
+  if (PAYMENT_BYPASS_MODE) {
+    console.log("> Payment bypass mode: Simulating Razorpay payment link creation");
+    const mockLinkId = `plink_${Date.now()}${Math.random().toString(36).substr(2, 9)}`;
+    return {
+      success: true,
+      data: { id: mockLinkId, url: `https://rzp.io/i/${mockLinkId}`, expiresAt }
+    };
+  }
+
+  try {
+    const contactResult = await userService.getCustomerContact(returnRequest.userId);
+    const contact = contactResult.success ? contactResult.data : null;
+
+    const Razorpay = (await import("razorpay")).default;
+    const razorpay = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+
+    const paymentLink = await razorpay.paymentLink.create({
+      amount: Math.round(amount * 100),
+      currency: replacementOrder.currency || "INR",
+      accept_partial: false,
+      description: `Price difference for exchange ${returnRequest.returnNumber}`,
+      reference_id: `${returnRequest.returnNumber}-${Date.now().toString(36)}`,
+      customer: {
+        name: [contact?.firstName, contact?.lastName].filter(Boolean).join(" ") || undefined,
+        email: contact?.email || replacementOrder.email,
+        contact: contact?.phone || replacementOrder.phone
+      },
+      notify: { sms: true, email: true },
+      reminder_enable: true,
+      expire_by: Math.floor(expiresAt.getTime() / 1000),
+      notes: {
+        returnId: returnRequest._id.toString(),
+        orderId: replacementOrder._id.toString(),
+        orderNumber: replacementOrder.orderNumber
+      }
+    });
+
+    return {
+      success: true,
+      data: { id: paymentLink.id, url: paymentLink.short_url, expiresAt }
+    };
+  } catch (error) {
+    console.log("> Error creating Razorpay payment link:", error.message || error.error?.description);
+    return { success: false, error: error.message || error.error?.description || "Payment link creation failed" };
+  }
+};
+
+/**
+ * Settle an exchange's price difference
+ * A higher-priced replacement is paid for through a payment link; a lower-priced one
+ * credits the difference to the customer's store credit. Safe to call again to retry a
+ * failed settlement or re-issue an expired payment link.
+ * @param {Object} returnRequest - Exchange return with a replacement order (not saved)
+ * @param {Object} replacementOrder - Replacement order
+ * @returns {Promise<Object>} Settlement
+ */
+export const settlePriceDifference = async (returnRequest, replacementOrder) => {
+  const { exchange } = returnRequest;
+  const difference = exchange.priceDifference || 0;
+  const now = new Date();
+
+  if (difference === 0) {
+    exchange.settlement = {
+      method: EXCHANGE_SETTLEMENT_METHOD.NONE,
+      status: EXCHANGE_SETTLEMENT_STATUS.NOT_REQUIRED,
+      amount: 0,
+      settledAt: now
+    };
+    return exchange.settlement;
+  }
+
+  if (difference > 0) {
+    const linkResult = await createPaymentLink(returnRequest, replacementOrder, difference);
+    exchange.settlement = linkResult.success
+      ? {
+        method: EXCHANGE_SETTLEMENT_METHOD.PAYMENT_LINK,
+        status: EXCHANGE_SETTLEMENT_STATUS.PENDING,
+        amount: difference,
+        paymentLinkId: linkResult.data.id,
+        paymentLinkUrl: linkResult.data.url,
+        paymentLinkExpiresAt: linkResult.data.expiresAt
+      }
+      : {
+        method: EXCHANGE_SETTLEMENT_METHOD.PAYMENT_LINK,
+        status: EXCHANGE_SETTLEMENT_STATUS.FAILED,
+        amount: difference,
+        failureReason: linkResult.error
+      };
+    return exchange.settlement;
+  }
+
+  const creditAmount = roundAmount(-difference);
+  const creditResult = await creditStoreCredit(returnRequest.userId, {
+    amount: creditAmount,
+    description: `Price difference for exchange ${returnRequest.returnNumber}`,
+    referenceType: "exchange",
+    referenceId: returnRequest._id.toString()
+  });
+
+  exchange.settlement = creditResult.success
+    ? {
+      method: EXCHANGE_SETTLEMENT_METHOD.STORE_CREDIT,
+      status: EXCHANGE_SETTLEMENT_STATUS.CREDITED,
+      amount: creditAmount,
+      storeCreditTransactionId: creditResult.data?.transaction?._id?.toString() || null,
+      settledAt: now
+    }
+    : {
+      method: EXCHANGE_SETTLEMENT_METHOD.STORE_CREDIT,
+      status: EXCHANGE_SETTLEMENT_STATUS.FAILED,
+      amount: creditAmount,
+      failureReason: creditResult.error
+    };
+  return exchange.settlement;
+};
+
+/**
+ * Create the replacement order for an exchange whose returned items passed inspection
+ * The order carries the replacement lines at the prices quoted to the customer. The value of
+ * the returned items is applied as exchangeCredit, so the order is paid in full unless the
+ * replacement costs more; then it waits on the payment link. Held stock is converted to the
+ * sale (re-reserved first if the hold has lapsed).
+ * @param {Object} returnRequest - Exchange return (not saved)
+ * @param {Object} order - Original order
+ * @returns {Promise<Object>} { success, data: { order, settlement } } or { success: false, error, statusCode }
+ */
+export const createReplacementOrder = async (returnRequest, order) => {
+  const { exchange } = returnRequest;
+
+  if (exchange.replacementOrderId) {
+    const existing = await Order.findById(exchange.replacementOrderId);
+    return { success: true, data: { order: existing, settlement: exchange.settlement } };
+  }
+
+  const holdLapsed = !exchange.reservedAt
+    || exchange.reservationReleasedAt
+    || exchange.reservationExpiresAt <= new Date();
+  if (holdLapsed) {
+    const reservation = await reserveReplacementStock(returnRequest, order);
+    if (!reservation.success) {
+      return reservation;
+    }
+  }
+
+  const subtotal = roundAmount(exchange.items.reduce((total, item) => total + item.lineTotal, 0));
+  const taxTotal = roundAmount(exchange.items.reduce((total, item) => total + item.lineTax, 0));
+  const taxSum = (field) => roundAmount(
+    exchange.items.reduce((total, item) => total + (item.taxBreakup?.[field] || 0), 0)
+  );
+  const grandTotal = roundAmount(subtotal + taxTotal);
+  const exchangeCredit = Math.min(exchange.returnedValue, grandTotal);
+  const amountDue = roundAmount(grandTotal - exchangeCredit);
+  const now = new Date();
+
+  const replacementOrder = await Order.create({
+    orderNumber: await generateOrderNumber(),
+    userId: order.userId,
+    orderType: order.orderType,
+    guestSessionId: order.guestSessionId || null,
+    guestInfo: order.guestInfo || null,
+    email: order.email,
+    phone: order.phone,
+    status: amountDue > 0 ? ORDER_STATUS.PENDING : ORDER_STATUS.CONFIRMED,
+    paymentStatus: amountDue > 0 ? PAYMENT_STATUS.PENDING : PAYMENT_STATUS.SUCCESS,
+    confirmedAt: amountDue > 0 ? null : now,
+    currency: order.currency,
+    subtotal,
+    discountTotal: 0,
+    shippingTotal: 0,
+    taxTotal,
+    taxBreakdownSnapshot: {
+      cgst: taxSum("cgst"),
+      sgst: taxSum("sgst"),
+      igst: taxSum("igst"),
+      placeOfSupply: formatPlaceOfSupply(order.shippingAddressSnapshot?.state),
+      shipping: null
+    },
+    grandTotal,
+    paidAmount: exchangeCredit,
+    exchangeCredit,
+    exchangeReturnId: returnRequest._id,
+    shippingAddressSnapshot: order.shippingAddressSnapshot,
+    billingAddressSnapshot: order.billingAddressSnapshot,
+    shippingMethodSnapshot: { ...order.shippingMethodSnapshot, rate: 0 },
+    paymentMethod: order.paymentMethod,
+    internalNotes: `Exchange replacement for return ${returnRequest.returnNumber} (order ${order.orderNumber})`
+  });
+
+  const conversionResult = await inventoryService.convertReservationsToSale(
+    exchange.reservationKey,
+    replacementOrder._id.toString()
+  );
+
+  const lotsByVariant = new Map();
+  if (!conversionResult.success) {
+    console.log(`> Failed to convert replacement reservations for order ${replacementOrder.orderNumber}`);
+  } else if (conversionResult.data?.allocations?.length > 0) {
+    replacementOrder.fulfillmentAllocations = conversionResult.data.allocations;
+    await replacementOrder.save();
+
+    for (const allocation of conversionResult.data.allocations) {
+      for (const item of allocation.items) {
+        if (item.lots?.length > 0) {
+          lotsByVariant.set(item.variantId, [...(lotsByVariant.get(item.variantId) || []), ...item.lots]);
+        }
+      }
+    }
+  }
+
+  await OrderItem.insertMany(exchange.items.map(item => ({
+    orderId: replacementOrder._id,
+    productId: item.productId,
+    variantId: item.variantId,
+    sku: item.sku,
+    name: item.name,
+    imageUrl: item.imageUrl,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    unitMrp: item.unitMrp || item.unitPrice,
+    lineDiscount: 0,
+    lineTotal: item.lineTotal,
+    allocatedDiscount: 0,
+    taxableValue: item.lineTotal,
+    lineTax: item.lineTax,
+    taxBreakup: item.taxBreakup,
+    gstRate: item.gstRate,
+    originState: item.originState,
+    hsnCode: item.hsnCode,
+    lots: lotsByVariant.get(item.variantId) || []
+  })));
+
+  await OrderStatusHistory.create({
+    orderId: replacementOrder._id,
+    statusType: STATUS_TYPE.ORDER,
+    fromStatus: null,
+    toStatus: replacementOrder.status,
+    changedByType: CHANGED_BY_TYPE.SYSTEM,
+    notes: `Replacement order for exchange ${returnRequest.returnNumber}`
+  });
+
+  exchange.replacementOrderId = replacementOrder._id;
+  const settlement = await settlePriceDifference(returnRequest, replacementOrder);
+
+  console.log(`> Replacement order ${replacementOrder.orderNumber} created for return ${returnRequest.returnNumber}`);
+  return { success: true, data: { order: replacementOrder, settlement } };
+};
+
+/**
+ * Record a paid exchange payment link (payment_link.paid webhook)
+ * Confirms the replacement order and records the payment.
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<boolean>} True if an exchange was updated
+ */
+export const handlePaymentLinkPaid = async (payload) => {
+  const linkEntity = payload.payment_link?.entity;
+  const paymentEntity = payload.payment?.entity;
+
+  const returnRequest = await Return.findOne({ "exchange.settlement.paymentLinkId": linkEntity?.id });
+  if (!returnRequest) {
+    console.log("> No exchange found for payment link");
+    return false;
+  }
+
+  const { settlement } = returnRequest.exchange;
+  if (settlement.status === EXCHANGE_SETTLEMENT_STATUS.PAID) {
+    console.log("> Exchange payment link already recorded");
+    return false;
+  }
+
+  settlement.status = EXCHANGE_SETTLEMENT_STATUS.PAID;
+  settlement.gatewayPaymentId = paymentEntity?.id || null;
+  settlement.settledAt = new Date();
+  await returnRequest.save();
+
+  const order = await Order.findById(returnRequest.exchange.replacementOrderId);
+  if (!order) {
+    console.log("> Replacement order not found");
+    return true;
+  }
+
+  const amountPaid = (linkEntity.amount_paid ?? paymentEntity?.amount ?? 0) / 100;
+  const previousStatus = order.status;
+
+  await Payment.create({
+    orderId: order._id,
+    idempotencyKey: `exchange-${returnRequest._id}-${paymentEntity?.id || linkEntity.id}`,
+    gateway: "razorpay",
+    gatewayOrderId: paymentEntity?.order_id || null,
+    gatewayPaymentId: paymentEntity?.id || null,
+    method: paymentEntity?.method === "card"
+      ? paymentEntity.card?.type === "debit" ? PAYMENT_METHOD.DEBIT_CARD : PAYMENT_METHOD.CREDIT_CARD
+      : GATEWAY_PAYMENT_METHODS[paymentEntity?.method] || PAYMENT_METHOD.UPI,
+    status: PAYMENT_STATUS.SUCCESS,
+    amount: Math.round(amountPaid * 100),
+    currency: order.currency
+  });
+
+  order.paidAmount = roundAmount((order.paidAmount || 0) + amountPaid);
+  order.paymentStatus = PAYMENT_STATUS.SUCCESS;
+  if (order.status === ORDER_STATUS.PENDING) {
+    order.status = ORDER_STATUS.CONFIRMED;
+    order.confirmedAt = new Date();
+  }
+  await order.save();
+
+  await OrderStatusHistory.create({
+    orderId: order._id,
+    statusType: STATUS_TYPE.PAYMENT,
+    fromStatus: PAYMENT_STATUS.PENDING,
+    toStatus: PAYMENT_STATUS.SUCCESS,
+    changedByType: CHANGED_BY_TYPE.SYSTEM,
+    notes: `Exchange price difference paid via payment link ${linkEntity.id}`
+  });
+
+  if (previousStatus !== order.status) {
+    await OrderStatusHistory.create({
+      orderId: order._id,
+      statusType: STATUS_TYPE.ORDER,
+      fromStatus: previousStatus,
+      toStatus: order.status,
+      changedByType: CHANGED_BY_TYPE.SYSTEM,
+      notes: "Replacement order confirmed after the price difference was paid"
+    });
+  }
+
+  console.log(`> Exchange ${returnRequest.returnNumber} price difference paid`);
+  return true;
+};
+
+/**
+ * Mark an exchange payment link as expired (payment_link.expired / payment_link.cancelled webhooks)
+ * The link can be re-issued by settling the exchange again.
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<boolean>} True if an exchange was updated
+ */
+export const handlePaymentLinkExpired = async (payload) => {
+  const linkEntity = payload.payment_link?.entity;
+
+  const returnRequest = await Return.findOne({ "exchange.settlement.paymentLinkId": linkEntity?.id });
+  if (!returnRequest || returnRequest.exchange.settlement.status !== EXCHANGE_SETTLEMENT_STATUS.PENDING) {
+    return false;
+  }
+
+  returnRequest.exchange.settlement.status = EXCHANGE_SETTLEMENT_STATUS.EXPIRED;
+  await returnRequest.save();
+
+  console.log(`> Exchange ${returnRequest.returnNumber} payment link ${linkEntity.status || "expired"}`);
+  return true;
+};
+
+export default {
+  getReservationKey,
+  priceReplacementItems,
+  applyExchangeTaxes,
+  reserveReplacementStock,
+  releaseReplacementStock,
+  settlePriceDifference,
+  createReplacementOrder,
+  handlePaymentLinkPaid,
+  handlePaymentLinkExpired
+};
@@ -0,0 +1,231 @@
+/**
+ * GST Service
+ * Place of supply, per-line tax for checkout fallbacks, and invoice/credit note lines
+ */
+
+import { calculateTax, calculateLineTaxes, roundAmount } from "./totals-calculator.service.js";
+import { DEFAULT_GST_RATE, GST_STATE_CODES, SHIPPING_SAC_CODE } from "../utils/constants.js";
+
+/**
+ * Normalize a state name for comparison
+ * @param {string} state - State name
+ * @returns {string|null} Lowercase trimmed state
+ */
+export const normalizeState = (state) => {
+  return state ? String(state).trim().toLowerCase().replace(/\s+/g, " ").replace(/&/g, "and") : null;
+};
+
+/**
+ * Check whether a supply is inter-state (IGST) rather than intra-state (CGST + SGST)
+ * An unknown origin or destination is treated as intra-state.
+ * @param {string} originState - Warehouse state
+ * @param {string} destinationState - Delivery state
+ * @returns {boolean} True if inter-state
+ */
+export const isInterStateSupply = (originState, destinationState) => {
+  const origin = normalizeState(originState);
+  const destination = normalizeState(destinationState);
+  return Boolean(origin && destination && origin !== destination);
+};
+
+/**
+ * Format a state as a GSTR place of supply ("29-Karnataka")
+ * @param {string} state - State name
+ * @returns {string} Place of supply (the bare state name if its code is unknown)
+ */
+export const formatPlaceOfSupply = (state) => {
+  if (!state) {
+    return "";
+  }
+
+  const code = GST_STATE_CODES[normalizeState(state)];
+  return code ? `${code}-${String(state).trim()}` : String(state).trim();
+};
+
+/**
+ * Map each variant to the state of the warehouse shipping most of its units
+ * @param {Object} fulfillmentPlan - Allocation plan from the inventory service
+ * @returns {Map} variantId -> warehouse state
+ */
+export const getOriginStatesByVariant = (fulfillmentPlan) => {
+  const best = new Map();
+
+  for (const shipment of fulfillmentPlan?.shipments || []) {
+    for (const item of shipment.items || []) {
+      const current = best.get(item.variantId);
+      if (!current || item.quantity > current.quantity) {
+        best.set(item.variantId, { state: shipment.warehouse?.state || null, quantity: item.quantity });
+      }
+    }
+  }
+
+  return new Map([...best.entries()].map(([variantId, entry]) => [variantId, entry.state]));
+};
+
+/**
+ * Build the checkout tax breakdown locally when the pricing service is unavailable
+ * Every line is taxed at the default GST rate; state treatment follows the warehouse.
+ * @param {Array} lines - [{ productId, variantId, taxableValue, originState }]
+ * @param {number} shippingAmount - Shipping charge
+ * @param {string} destinationState - Delivery state
+ * @returns {Object} Tax breakdown in the pricing service's shape
+ */
+export const buildFallbackTaxBreakdown = (lines, shippingAmount, destinationState) => {
+  const taxLines = lines.map(line => ({
+    ...line,
+    gstRate: DEFAULT_GST_RATE,
+    isInterState: isInterStateSupply(line.originState, destinationState)
+  }));
+  const lineTaxes = calculateLineTaxes(taxLines, DEFAULT_GST_RATE);
+
+  const principalLine = taxLines.reduce(
+    (principal, line) => (!principal || line.taxableValue > principal.taxableValue ? line : principal),
+    null
+  );
+  const shippingInterState = principalLine ? principalLine.isInterState : false;
+  const shipping = {
+    taxableValue: roundAmount(shippingAmount || 0),
+    gstRate: DEFAULT_GST_RATE,
+    isInterState: shippingInterState,
+    ...calculateTax(shippingAmount || 0, DEFAULT_GST_RATE, shippingInterState)
+  };
+
+  const resultLines = taxLines.map((line, index) => ({ ...line, hsnCode: null, ...lineTaxes.lines[index] }));
+  const sum = (field) => roundAmount([...resultLines, shipping].reduce((total, line) => total + (line[field] || 0), 0));
+
+  return {
+    taxAmount: sum("totalTax"),
+    taxRate: DEFAULT_GST_RATE,
+    taxableAmount: sum("taxableValue"),
+    cgst: sum("cgst"),
+    sgst: sum("sgst"),
+    igst: sum("igst"),
+    destinationState,
+    lines: resultLines,
+    shipping
+  };
+};
+
+/**
+ * Build invoice lines with the GST breakup of every order item, plus shipping
+ * @param {Array} orderItems - Order items
+ * @param {Object} order - Order (for the shipping tax snapshot)
+ * @returns {Array} Invoice lines
+ */
+export const buildInvoiceLines = (orderItems, order) => {
+  const lines = orderItems.map(item => {
+    const taxableValue = item.taxableValue ?? roundAmount(item.lineTotal - (item.allocatedDiscount || 0));
+    const breakup = item.taxBreakup || calculateTax(taxableValue, item.gstRate ?? DEFAULT_GST_RATE, false);
+
+    return {
+      orderItemId: item._id,
+      description: item.name,
+      sku: item.sku,
+      hsnCode: item.hsnCode || "",
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      discount: roundAmount((item.lineDiscount || 0) + (item.allocatedDiscount || 0)),
+      taxableValue,
+      gstRate: item.gstRate ?? DEFAULT_GST_RATE,
+      cgst: breakup.cgst || 0,
+      sgst: breakup.sgst || 0,
+      igst: breakup.igst || 0,
+      totalTax: roundAmount(item.lineTax || 0),
+      total: roundAmount(taxableValue + (item.lineTax || 0))
+    };
+  });
+
+  const shipping = order.taxBreakdownSnapshot?.shipping;
+  if (order.shippingTotal > 0) {
+    const shippingTax = shipping || calculateTax(order.shippingTotal, DEFAULT_GST_RATE, false);
+    lines.push({
+      orderItemId: null,
+      description: "Shipping charges",
+      sku: null,
+      hsnCode: SHIPPING_SAC_CODE,
+      quantity: 1,
+      unitPrice: order.shippingTotal,
+      discount: 0,
+      taxableValue: order.shippingTotal,
+      gstRate: shipping?.gstRate ?? DEFAULT_GST_RATE,
+      cgst: shippingTax.cgst || 0,
+      sgst: shippingTax.sgst || 0,
+      igst: shippingTax.igst || 0,
+      totalTax: shippingTax.totalTax || 0,
+      total: roundAmount(order.shippingTotal + (shippingTax.totalTax || 0))
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Build credit note lines for a refund
+ * The refunded amount includes tax, so each line is split back into taxable value and
+ * tax at the original line's rate, keeping the original CGST/SGST or IGST treatment.
+ * @param {Array} refundItems - Refund items { orderItemId, quantity, amount }
+ * @param {Map} orderItemsById - orderItemId -> order item
+ * @returns {Array} Credit note lines
+ */
+export const buildCreditNoteLines = (refundItems, orderItemsById) => {
+  return refundItems
+    .map(refundItem => {
+      const item = orderItemsById.get(refundItem.orderItemId.toString());
+      if (!item) {
+        return null;
+      }
+
+      const gstRate = item.gstRate ?? DEFAULT_GST_RATE;
+      const amount = roundAmount(refundItem.amount || 0);
+      const taxableValue = roundAmount(amount / (1 + gstRate / 100));
+      const totalTax = roundAmount(amount - taxableValue);
+      const isInterState = (item.taxBreakup?.igst || 0) > 0;
+      const cgst = isInterState ? 0 : roundAmount(totalTax / 2);
+
+      return {
+        orderItemId: item._id,
+        description: item.name,
+        sku: item.sku,
+        hsnCode: item.hsnCode || "",
+        quantity: refundItem.quantity,
+        unitPrice: item.unitPrice,
+        discount: 0,
+        taxableValue,
+        gstRate,
+        cgst,
+        sgst: isInterState ? 0 : roundAmount(totalTax - cgst),
+        igst: isInterState ? totalTax : 0,
+        totalTax,
+        total: amount
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Sum the GST columns of invoice lines
+ * @param {Array} lines - Invoice lines
+ * @returns {Object} { taxableValue, cgst, sgst, igst, totalTax }
+ */
+export const summarizeTax = (lines) => {
+  const sum = (field) => roundAmount(lines.reduce((total, line) => total + (line[field] || 0), 0));
+
+  return {
+    taxableValue: sum("taxableValue"),
+    cgst: sum("cgst"),
+    sgst: sum("sgst"),
+    igst: sum("igst"),
+    totalTax: sum("totalTax")
+  };
+};
+
+export default {
+  normalizeState,
+  isInterStateSupply,
+  formatPlaceOfSupply,
+  getOriginStatesByVariant,
+  buildFallbackTaxBreakdown,
+  buildInvoiceLines,
+  buildCreditNoteLines,
+  summarizeTax
+};
@@ -0,0 +1,287 @@
+/**
+ * GSTR Report Service
+ * Shapes sale invoices and credit notes into GSTR-1 sections
+ *
+ * All customers are treated as unregistered (B2C):
+ * - b2cl: inter-state invoices above B2CL_INVOICE_THRESHOLD, one row per invoice and rate
+ * - b2cs: everything else, aggregated by place of supply and rate, net of credit notes
+ * - cdnur: credit notes against B2CL invoices
+ * - hsn: HSN/SAC-wise summary, net of credit notes
+ */
+
+import { roundAmount } from "./totals-calculator.service.js";
+import { B2CL_INVOICE_THRESHOLD, SHIPPING_SAC_CODE } from "../utils/constants.js";
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// CSV columns per section, matching the GSTR-1 offline utility templates
+export const GSTR1_CSV_COLUMNS = {
+  b2cl: [
+    ["Invoice Number", "invoiceNumber"],
+    ["Invoice date", "invoiceDate"],
+    ["Invoice Value", "invoiceValue"],
+    ["Place Of Supply", "placeOfSupply"],
+    ["Applicable % of Tax Rate", "applicableTaxRate"],
+    ["Rate", "rate"],
+    ["Taxable Value", "taxableValue"],
+    ["Cess Amount", "cess"],
+    ["E-Commerce GSTIN", "ecommerceGstin"]
+  ],
+  b2cs: [
+    ["Type", "type"],
+    ["Place Of Supply", "placeOfSupply"],
+    ["Rate", "rate"],
+    ["Applicable % of Tax Rate", "applicableTaxRate"],
+    ["Taxable Value", "taxableValue"],
+    ["Cess Amount", "cess"],
+    ["E-Commerce GSTIN", "ecommerceGstin"]
+  ],
+  cdnur: [
+    ["UR Type", "urType"],
+    ["Note Number", "noteNumber"],
+    ["Note Date", "noteDate"],
+    ["Note Type", "noteType"],
+    ["Place Of Supply", "placeOfSupply"],
+    ["Note Value", "noteValue"],
+    ["Applicable % of Tax Rate", "applicableTaxRate"],
+    ["Rate", "rate"],
+    ["Taxable Value", "taxableValue"],
+    ["Cess Amount", "cess"]
+  ],
+  hsn: [
+    ["HSN", "hsnCode"],
+    ["Description", "description"],
+    ["UQC", "uqc"],
+    ["Total Quantity", "totalQuantity"],
+    ["Total Value", "totalValue"],
+    ["Rate", "rate"],
+    ["Taxable Value", "taxableValue"],
+    ["Integrated Tax Amount", "igst"],
+    ["Central Tax Amount", "cgst"],
+    ["State/UT Tax Amount", "sgst"],
+    ["Cess Amount", "cess"]
+  ]
+};
+
+/**
+ * Format a date the way the GSTR-1 offline utility expects (dd-Mon-yyyy)
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+export const formatGstrDate = (date) => {
+  const value = new Date(date);
+  const day = String(value.getDate()).padStart(2, "0");
+  return `${day}-${MONTHS[value.getMonth()]}-${value.getFullYear()}`;
+};
+
+/**
+ * Check whether a sale invoice is reported individually under B2CL
+ * @param {Object} invoice - Sale invoice
+ * @returns {boolean} True for inter-state invoices above the threshold
+ */
+export const isB2clInvoice = (invoice) => {
+  return (invoice.taxSummary?.igst || 0) > 0 && (invoice.totals?.grandTotal || 0) > B2CL_INVOICE_THRESHOLD;
+};
+
+/**
+ * Group invoice lines by GST rate
+ * @param {Array} items - Invoice lines
+ * @returns {Map} rate -> { taxableValue, cgst, sgst, igst }
+ */
+const groupByRate = (items) => {
+  const groups = new Map();
+
+  for (const item of items) {
+    const group = groups.get(item.gstRate) || { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+    group.taxableValue += item.taxableValue || 0;
+    group.cgst += item.cgst || 0;
+    group.sgst += item.sgst || 0;
+    group.igst += item.igst || 0;
+    groups.set(item.gstRate, group);
+  }
+
+  return groups;
+};
+
+/**
+ * Add (or, for credit notes, subtract) invoice lines into the HSN summary
+ * @param {Map} summary - Running HSN summary
+ * @param {Array} items - Invoice lines
+ * @param {number} sign - 1 for invoices, -1 for credit notes
+ */
+const addToHsnSummary = (summary, items, sign) => {
+  for (const item of items) {
+    const hsnCode = item.hsnCode || "";
+    const key = `${hsnCode}:${item.gstRate}`;
+    const row = summary.get(key) || {
+      hsnCode,
+      description: item.description || "",
+      uqc: hsnCode === SHIPPING_SAC_CODE ? "NA" : "NOS",
+      totalQuantity: 0,
+      totalValue: 0,
+      rate: item.gstRate,
+      taxableValue: 0,
+      igst: 0,
+      cgst: 0,
+      sgst: 0,
+      cess: 0
+    };
+
+    row.totalQuantity += sign * (hsnCode === SHIPPING_SAC_CODE ? 0 : item.quantity || 0);
+    row.totalValue += sign * (item.total || 0);
+    row.taxableValue += sign * (item.taxableValue || 0);
+    row.igst += sign * (item.igst || 0);
+    row.cgst += sign * (item.cgst || 0);
+    row.sgst += sign * (item.sgst || 0);
+    summary.set(key, row);
+  }
+};
+
+/**
+ * Build the GSTR-1 sections for a period
+ * @param {Object} data - { invoices, creditNotes, originalInvoicesById }
+ * @returns {Object} { b2cl, b2cs, cdnur, hsn, summary }
+ */
+export const buildGstr1Report = ({ invoices, creditNotes, originalInvoicesById }) => {
+  const b2cl = [];
+  const b2csGroups = new Map();
+  const cdnur = [];
+  const hsnSummary = new Map();
+
+  const addToB2cs = (placeOfSupply, items, sign) => {
+    for (const [rate, group] of groupByRate(items)) {
+      const key = `${placeOfSupply}:${rate}`;
+      const row = b2csGroups.get(key) || {
+        type: "OE",
+        placeOfSupply,
+        rate,
+        applicableTaxRate: "",
+        taxableValue: 0,
+        igst: 0,
+        cgst: 0,
+        sgst: 0,
+        cess: 0,
+        ecommerceGstin: ""
+      };
+
+      row.taxableValue += sign * group.taxableValue;
+      row.igst += sign * group.igst;
+      row.cgst += sign * group.cgst;
+      row.sgst += sign * group.sgst;
+      b2csGroups.set(key, row);
+    }
+  };
+
+  for (const invoice of invoices) {
+    addToHsnSummary(hsnSummary, invoice.items, 1);
+
+    if (!isB2clInvoice(invoice)) {
+      addToB2cs(invoice.placeOfSupply, invoice.items, 1);
+      continue;
+    }
+
+    for (const [rate, group] of groupByRate(invoice.items)) {
+      b2cl.push({
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: formatGstrDate(invoice.issuedAt || invoice.createdAt),
+        invoiceValue: invoice.totals.grandTotal,
+        placeOfSupply: invoice.placeOfSupply,
+        applicableTaxRate: "",
+        rate,
+        taxableValue: roundAmount(group.taxableValue),
+        igst: roundAmount(group.igst),
+        cess: 0,
+        ecommerceGstin: ""
+      });
+    }
+  }
+
+  for (const creditNote of creditNotes) {
+    addToHsnSummary(hsnSummary, creditNote.items, -1);
+
+    const originalInvoice = originalInvoicesById.get(String(creditNote.originalInvoiceId));
+    if (!originalInvoice || !isB2clInvoice(originalInvoice)) {
+      addToB2cs(creditNote.placeOfSupply, creditNote.items, -1);
+      continue;
+    }
+
+    for (const [rate, group] of groupByRate(creditNote.items)) {
+      cdnur.push({
+        urType: "B2CL",
+        noteNumber: creditNote.invoiceNumber,
+        noteDate: formatGstrDate(creditNote.issuedAt || creditNote.createdAt),
+        noteType: "C",
+        originalInvoiceNumber: originalInvoice.invoiceNumber,
+        originalInvoiceDate: formatGstrDate(originalInvoice.issuedAt || originalInvoice.createdAt),
+        placeOfSupply: creditNote.placeOfSupply,
+        noteValue: creditNote.totals.grandTotal,
+        applicableTaxRate: "",
+        rate,
+        taxableValue: roundAmount(group.taxableValue),
+        igst: roundAmount(group.igst),
+        cess: 0
+      });
+    }
+  }
+
+  const roundRow = (row) => ({
+    ...row,
+    taxableValue: roundAmount(row.taxableValue),
+    igst: roundAmount(row.igst),
+    cgst: roundAmount(row.cgst),
+    sgst: roundAmount(row.sgst)
+  });
+
+  const b2cs = [...b2csGroups.values()]
+    .map(roundRow)
+    .sort((a, b) => a.placeOfSupply.localeCompare(b.placeOfSupply) || a.rate - b.rate);
+  const hsn = [...hsnSummary.values()]
+    .map(row => ({ ...roundRow(row), totalValue: roundAmount(row.totalValue) }))
+    .sort((a, b) => a.hsnCode.localeCompare(b.hsnCode) || a.rate - b.rate);
+
+  const sumInvoices = (documents, field) =>
+    roundAmount(documents.reduce((total, document) => total + (document.taxSummary?.[field] || 0), 0));
+
+  return {
+    b2cl,
+    b2cs,
+    cdnur,
+    hsn,
+    summary: {
+      invoiceCount: invoices.length,
+      creditNoteCount: creditNotes.length,
+      taxableValue: roundAmount(sumInvoices(invoices, "taxableValue") - sumInvoices(creditNotes, "taxableValue")),
+      igst: roundAmount(sumInvoices(invoices, "igst") - sumInvoices(creditNotes, "igst")),
+      cgst: roundAmount(sumInvoices(invoices, "cgst") - sumInvoices(creditNotes, "cgst")),
+      sgst: roundAmount(sumInvoices(invoices, "sgst") - sumInvoices(creditNotes, "sgst"))
+    }
+  };
+};
+
+/**
+ * Render one GSTR-1 section as CSV
+ * @param {string} section - Section name (b2cl, b2cs, cdnur, hsn)
+ * @param {Array} rows - Section rows
+ * @returns {string} CSV content
+ */
+export const toGstr1Csv = (section, rows) => {
+  const columns = GSTR1_CSV_COLUMNS[section];
+
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return text.includes(",") || text.includes('"') ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.map(([header]) => escape(header)).join(","),
+    ...rows.map(row => columns.map(([, key]) => escape(row[key])).join(","))
+  ].join("\n");
+};
+
+export default {
+  GSTR1_CSV_COLUMNS,
+  formatGstrDate,
+  isB2clInvoice,
+  buildGstr1Report,
+  toGstr1Csv
+};
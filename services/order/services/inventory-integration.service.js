@@ -104,6 +104,29 @@ export const releaseCartReservations = async (cartId) => {
   }
 };
 
+/**
+ * Allocate the cart across warehouses for a delivery pincode and hold the stock
+ * Replaces any reservations the cart already holds
+ * @param {string} cartId - Cart ID (or any reservation key, e.g. an exchange's)
+ * @param {Array} items - Array of {variantId, quantity}
+ * @param {string} pincode - Delivery pincode
+ * @param {number} holdMinutes - Optional hold time; defaults to the checkout TTL
+ * @returns {Promise<Object>} Reservations and allocation plan
+ */
+export const reserveCheckoutAllocation = async (cartId, items, pincode, holdMinutes = null) => {
+  try {
+    const response = await inventoryClient.post("/api/reservations/checkout", {
+      cartId,
+      items,
+      pincode,
+      ...(holdMinutes ? { holdMinutes } : {})
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Inventory");
+  }
+};
+
 /**
  * Convert cart reservations to order sale
  * @param {string} cartId - Cart ID
@@ -194,3 +217,22 @@ export const releaseInventory = async (orderId) => {
     return handleServiceError(error, "Inventory");
   }
 };
+
+/**
+ * Freeze remaining stock of a recalled SKU
+ * @param {Object} recall - { sku, lotNumbers, recallId, recallNumber }
+ * @returns {Promise<Object>} Frozen lots and untracked units
+ */
+export const freezeRecalledStock = async ({ sku, lotNumbers, recallId, recallNumber }) => {
+  try {
+    const response = await inventoryClient.post("/api/admin/lots/recall-freeze", {
+      sku,
+      lotNumbers,
+      recallId,
+      recallNumber
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Inventory");
+  }
+};
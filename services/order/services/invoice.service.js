@@ -0,0 +1,313 @@
+/**
+ * Invoice Service
+ * Builds GST tax invoices for orders and credit notes for refunds
+ */
+
+import PDFDocument from "pdfkit";
+import { Invoice, OrderItem, Order } from "../models/index.js";
+import { generateInvoiceNumber, generateCreditNoteNumber } from "./order-number.service.js";
+import { buildInvoiceLines, buildCreditNoteLines, summarizeTax, formatPlaceOfSupply } from "./gst.service.js";
+import { roundAmount } from "./totals-calculator.service.js";
+import { INVOICE_STATUS, INVOICE_TYPE } from "../utils/constants.js";
+
+/**
+ * Customer details shared by invoices and credit notes
+ * @param {Object} order - Order
+ * @returns {Object} Customer fields
+ */
+const getCustomerDetails = (order) => {
+  return {
+    userId: order.userId || null,
+    customerName: order.billingAddressSnapshot?.fullName || order.shippingAddressSnapshot?.fullName || "",
+    customerEmail: order.email || order.guestInfo?.email || ""
+  };
+};
+
+/**
+ * Compute sale invoice totals from its lines
+ * Goods are shown at list price less discount; shipping is the line without an order item.
+ * @param {Array} items - Invoice lines
+ * @returns {Object} { totals, taxSummary }
+ */
+export const buildSaleTotals = (items) => {
+  const goods = items.filter(item => item.orderItemId);
+  const goodsTaxable = goods.reduce((total, item) => total + item.taxableValue, 0);
+  const discount = goods.reduce((total, item) => total + item.discount, 0);
+  const shipping = items.filter(item => !item.orderItemId).reduce((total, item) => total + item.taxableValue, 0);
+  const taxSummary = summarizeTax(items);
+
+  return {
+    totals: {
+      subtotal: roundAmount(goodsTaxable + discount),
+      discount: roundAmount(discount),
+      shipping: roundAmount(shipping),
+      tax: taxSummary.totalTax,
+      grandTotal: roundAmount(taxSummary.taxableValue + taxSummary.totalTax)
+    },
+    taxSummary
+  };
+};
+
+/**
+ * Create the tax invoice for an order
+ * @param {Object} order - Order
+ * @param {Array} orderItems - Order items
+ * @param {Object} options - { createdById, includeShippingCharges, includeDiscounts, notes }
+ * @returns {Promise<Object>} Created invoice
+ */
+export const createSaleInvoice = async (order, orderItems, options) => {
+  const { createdById, includeShippingCharges = true, includeDiscounts = true, notes = null } = options;
+
+  let items = buildInvoiceLines(orderItems, order);
+  if (!includeShippingCharges) {
+    items = items.filter(item => item.orderItemId);
+  }
+  if (!includeDiscounts) {
+    // Goods are then shown at their net (discounted) prices
+    items = items.map(item => ({ ...item, discount: 0 }));
+  }
+
+  const { totals, taxSummary } = buildSaleTotals(items);
+
+  const invoice = await Invoice.create({
+    orderId: order._id,
+    invoiceNumber: await generateInvoiceNumber(),
+    type: INVOICE_TYPE.SALE,
+    status: INVOICE_STATUS.GENERATED,
+    ...getCustomerDetails(order),
+    items,
+    totals,
+    billingAddressSnapshot: order.billingAddressSnapshot,
+    taxSummary,
+    placeOfSupply: order.taxBreakdownSnapshot?.placeOfSupply || formatPlaceOfSupply(order.shippingAddressSnapshot?.state),
+    notes: notes || null,
+    issuedAt: new Date(),
+    createdById
+  });
+
+  console.log(`> Invoice ${invoice.invoiceNumber} created for order ${order.orderNumber}`);
+  return invoice;
+};
+
+/**
+ * Create the credit note for a completed refund
+ * The credit note adjusts the order's sale invoice; without one there is nothing to
+ * adjust and no credit note is issued. Calling it again for the same refund returns
+ * the existing credit note.
+ * @param {Object} refund - Refund with items { orderItemId, quantity, amount }
+ * @param {string} createdById - Admin issuing the credit note
+ * @returns {Promise<Object|null>} Credit note, or null if the order has no sale invoice
+ */
+export const createCreditNote = async (refund, createdById) => {
+  const existing = await Invoice.findOne({ refundId: refund._id, type: INVOICE_TYPE.CREDIT_NOTE });
+  if (existing) {
+    return existing;
+  }
+
+  const orderId = refund.orderId?._id || refund.orderId;
+  const saleInvoice = await Invoice.findOne({ orderId, type: INVOICE_TYPE.SALE });
+  if (!saleInvoice) {
+    console.log(`> No sale invoice for order ${orderId}, skipping credit note`);
+    return null;
+  }
+
+  const order = await Order.findById(orderId);
+  const refundItems = refund.items || [];
+  const orderItems = await OrderItem.find({ _id: { $in: refundItems.map(item => item.orderItemId) } });
+  const items = buildCreditNoteLines(refundItems, new Map(orderItems.map(item => [item._id.toString(), item])));
+  const taxSummary = summarizeTax(items);
+
+  const creditNote = await Invoice.create({
+    orderId,
+    invoiceNumber: await generateCreditNoteNumber(),
+    type: INVOICE_TYPE.CREDIT_NOTE,
+    status: INVOICE_STATUS.GENERATED,
+    ...getCustomerDetails(order),
+    refundId: refund._id,
+    originalInvoiceId: saleInvoice._id,
+    items,
+    totals: {
+      subtotal: taxSummary.taxableValue,
+      discount: 0,
+      shipping: 0,
+      tax: taxSummary.totalTax,
+      grandTotal: roundAmount(taxSummary.taxableValue + taxSummary.totalTax)
+    },
+    billingAddressSnapshot: saleInvoice.billingAddressSnapshot,
+    taxSummary,
+    placeOfSupply: saleInvoice.placeOfSupply,
+    notes: `Against invoice ${saleInvoice.invoiceNumber}`,
+    issuedAt: new Date(),
+    createdById
+  });
+
+  console.log(`> Credit note ${creditNote.invoiceNumber} created for invoice ${saleInvoice.invoiceNumber}`);
+  return creditNote;
+};
+
+/**
+ * Render an invoice or credit note as a PDF
+ * @param {Object} invoice - Invoice
+ * @param {Object} order - Order (for the order number)
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export const generateInvoicePdf = (invoice, order) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50 });
+      const buffers = [];
+
+      doc.on("data", buffers.push.bind(buffers));
+      doc.on("end", () => {
+        const pdfBuffer = Buffer.concat(buffers);
+        resolve(pdfBuffer);
+      });
+      doc.on("error", reject);
+
+      const isCreditNote = invoice.type === INVOICE_TYPE.CREDIT_NOTE;
+      const formatAmount = (amount) => `₹${(amount || 0).toFixed(2)}`;
+
+      // Header
+      doc.fontSize(20).text(isCreditNote ? "CREDIT NOTE" : "TAX INVOICE", { align: "center" });
+      doc.moveDown();
+
+      // Company details (left side)
+      doc.fontSize(12).text("Cleanse Ayurveda", { continued: false });
+      doc.fontSize(10).text("Address Line 1");
+      doc.text("Address Line 2");
+      doc.text("Phone: +91-XXXXXXXXXX");
+      doc.text("Email: support@cleanseayurveda.com");
+      doc.moveDown();
+
+      // Invoice details (right side)
+      doc.fontSize(10);
+      doc.text(`${isCreditNote ? "Credit Note" : "Invoice"} Number: ${invoice.invoiceNumber}`, { align: "right" });
+      doc.text(`Order Number: ${order.orderNumber}`, { align: "right" });
+      doc.text(`Date: ${new Date(invoice.issuedAt || invoice.createdAt).toLocaleDateString()}`, { align: "right" });
+      if (invoice.placeOfSupply) {
+        doc.text(`Place of Supply: ${invoice.placeOfSupply}`, { align: "right" });
+      }
+      doc.moveDown();
+
+      // Customer details
+      const billing = invoice.billingAddressSnapshot;
+      doc.fontSize(12).text("Bill To:", { underline: true });
+      doc.fontSize(10).text(invoice.customerName || "");
+      doc.text(invoice.customerEmail || "");
+      if (billing) {
+        doc.text(billing.phone || "");
+        doc.text(billing.addressLine1 || "");
+        if (billing.addressLine2) {
+          doc.text(billing.addressLine2);
+        }
+        doc.text(`${billing.city}, ${billing.state} ${billing.pincode}`);
+      }
+      doc.moveDown();
+
+      // Items table
+      const tableTop = doc.y;
+      const descriptionX = 50;
+      const hsnX = 200;
+      const quantityX = 250;
+      const taxableX = 285;
+      const rateX = 355;
+      const taxX = 395;
+      const amountX = 460;
+
+      // Table header
+      doc.fontSize(9).font("Helvetica-Bold");
+      doc.text("Item", descriptionX, tableTop);
+      doc.text("HSN/SAC", hsnX, tableTop);
+      doc.text("Qty", quantityX, tableTop);
+      doc.text("Taxable", taxableX, tableTop);
+      doc.text("GST %", rateX, tableTop);
+      doc.text(invoice.taxSummary?.igst > 0 ? "IGST" : "CGST+SGST", taxX, tableTop);
+      doc.text("Amount", amountX, tableTop);
+
+      // Horizontal line
+      doc
+        .moveTo(descriptionX, tableTop + 15)
+        .lineTo(520, tableTop + 15)
+        .stroke();
+
+      // Table rows
+      let yPosition = tableTop + 25;
+      doc.font("Helvetica");
+
+      for (const item of invoice.items) {
+        doc.text(item.description || item.sku || "N/A", descriptionX, yPosition, { width: 145 });
+        doc.text(item.hsnCode || "-", hsnX, yPosition);
+        doc.text(item.quantity.toString(), quantityX, yPosition);
+        doc.text(formatAmount(item.taxableValue), taxableX, yPosition);
+        doc.text(`${item.gstRate}%`, rateX, yPosition);
+        doc.text(formatAmount(item.totalTax), taxX, yPosition);
+        doc.text(formatAmount(item.total), amountX, yPosition);
+        yPosition += 20;
+      }
+
+      // Horizontal line
+      doc
+        .moveTo(descriptionX, yPosition)
+        .lineTo(520, yPosition)
+        .stroke();
+
+      yPosition += 10;
+
+      // Totals
+      const labelX = 355;
+      doc.font("Helvetica").fontSize(10);
+      doc.text("Subtotal:", labelX, yPosition);
+      doc.text(formatAmount(invoice.totals.subtotal), amountX, yPosition);
+      yPosition += 20;
+
+      if (invoice.totals.discount > 0) {
+        doc.text("Discount:", labelX, yPosition);
+        doc.text(`-${formatAmount(invoice.totals.discount)}`, amountX, yPosition);
+        yPosition += 20;
+      }
+
+      if (invoice.totals.shipping > 0) {
+        doc.text("Shipping:", labelX, yPosition);
+        doc.text(formatAmount(invoice.totals.shipping), amountX, yPosition);
+        yPosition += 20;
+      }
+
+      const taxRows = invoice.taxSummary?.igst > 0
+        ? [["IGST", invoice.taxSummary.igst]]
+        : [["CGST", invoice.taxSummary?.cgst], ["SGST", invoice.taxSummary?.sgst]];
+      for (const [label, amount] of taxRows) {
+        doc.text(`${label}:`, labelX, yPosition);
+        doc.text(formatAmount(amount), amountX, yPosition);
+        yPosition += 20;
+      }
+
+      // Grand total
+      doc.font("Helvetica-Bold").fontSize(12);
+      doc.text("Total:", labelX, yPosition);
+      doc.text(formatAmount(invoice.totals.grandTotal), amountX, yPosition);
+
+      // Notes
+      if (invoice.notes) {
+        doc.moveDown(2);
+        doc.fontSize(10).font("Helvetica");
+        doc.text("Notes:", { underline: true });
+        doc.text(invoice.notes);
+      }
+
+      // Footer
+      doc.moveDown(2);
+      doc.fontSize(8).text("Thank you for your business!", { align: "center" });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+export default {
+  buildSaleTotals,
+  createSaleInvoice,
+  createCreditNote,
+  generateInvoicePdf
+};
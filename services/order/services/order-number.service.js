@@ -15,7 +15,7 @@ const Counter = mongoose.model("Counter", counterSchema);
 
 /**
  * Get next sequence number for a counter type
- * @param {string} counterName - Name of counter (order, refund, return, invoice)
+ * @param {string} counterName - Name of counter (order, refund, return, invoice, credit_note)
  * @returns {Promise<number>} Next sequence number
  */
 const getNextSequence = async (counterName) => {
@@ -66,6 +66,18 @@ export const generateReturnNumber = async () => {
   return `RET-${year}-${paddedSequence}`;
 };
 
+/**
+ * Generate shipment number
+ * Format: SHP-YYYY-XXXXXX
+ * @returns {Promise<string>} Shipment number
+ */
+export const generateShipmentNumber = async () => {
+  const year = new Date().getFullYear();
+  const sequence = await getNextSequence("shipment");
+  const paddedSequence = String(sequence).padStart(6, "0");
+  return `SHP-${year}-${paddedSequence}`;
+};
+
 /**
  * Generate invoice number
  * Format: INV-YYYY-XXXXXX
@@ -78,6 +90,30 @@ export const generateInvoiceNumber = async () => {
   return `INV-${year}-${paddedSequence}`;
 };
 
+/**
+ * Generate credit note number
+ * Format: CRN-YYYY-XXXXXX
+ * @returns {Promise<string>} Credit note number
+ */
+export const generateCreditNoteNumber = async () => {
+  const year = new Date().getFullYear();
+  const sequence = await getNextSequence("credit_note");
+  const paddedSequence = String(sequence).padStart(6, "0");
+  return `CRN-${year}-${paddedSequence}`;
+};
+
+/**
+ * Generate recall number
+ * Format: RCL-YYYY-XXXXXX
+ * @returns {Promise<string>} Recall number
+ */
+export const generateRecallNumber = async () => {
+  const year = new Date().getFullYear();
+  const sequence = await getNextSequence("recall");
+  const paddedSequence = String(sequence).padStart(6, "0");
+  return `RCL-${year}-${paddedSequence}`;
+};
+
 /**
  * Get current sequence for a counter
  * @param {string} counterName - Counter name
@@ -123,7 +159,7 @@ export const getCounterStats = async () => {
 /**
  * Validate number format
  * @param {string} number - Number to validate
- * @param {string} type - Type (order, refund, return, invoice)
+ * @param {string} type - Type (order, refund, return, invoice, credit_note, shipment, recall)
  * @returns {boolean} Is valid
  */
 export const validateNumberFormat = (number, type) => {
@@ -131,7 +167,10 @@ export const validateNumberFormat = (number, type) => {
     order: "ORD",
     refund: "REF",
     return: "RET",
-    invoice: "INV"
+    invoice: "INV",
+    credit_note: "CRN",
+    shipment: "SHP",
+    recall: "RCL"
   };
 
   const prefix = prefixes[type];
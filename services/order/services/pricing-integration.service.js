@@ -145,14 +145,33 @@ export const validateCouponUsage = async (couponCode, userId) => {
  * @param {string} couponCode - Coupon code
  * @param {string} userId - User ID
  * @param {string} orderId - Order ID
+ * @param {number} discountAmount - Discount the coupon gave on this order
  * @returns {Promise<Object>} Usage record result
  */
-export const recordCouponUsage = async (couponCode, userId, orderId) => {
+export const recordCouponUsage = async (couponCode, userId, orderId, discountAmount = 0) => {
   try {
     const response = await pricingClient.post("/api/coupons/usage", {
       code: couponCode,
       userId,
-      orderId
+      orderId,
+      discountAmount
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Pricing");
+  }
+};
+
+/**
+ * Issue one new single-customer code from a coupon batch
+ * @param {string} batchId - Pricing coupon batch ID
+ * @param {number|null} validForHours - Hours until the code expires
+ * @returns {Promise<Object>} Issued code { code, couponId, endsAt }
+ */
+export const issueBatchCouponCode = async (batchId, validForHours = null) => {
+  try {
+    const response = await pricingClient.post(`/api/internal/coupon-batches/${batchId}/issue`, {
+      validForHours
     });
     return { success: true, data: response.data };
   } catch (error) {
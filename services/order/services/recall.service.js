@@ -0,0 +1,400 @@
+import { Order, OrderItem, Recall, Refund } from "../models/index.js";
+import {
+  ORDER_STATUS,
+  RECALL_STATUS,
+  RECALL_RESOLUTION,
+  RECALL_NOTIFICATION_STATUS,
+  RECALL_STOCK_FREEZE_STATUS,
+  RECALL_NOTIFICATION_TEMPLATE
+} from "../utils/constants.js";
+import { generateRecallNumber } from "./order-number.service.js";
+import * as inventoryService from "./inventory-integration.service.js";
+import * as engagementService from "./engagement-integration.service.js";
+
+// Customers in these notification states are (re)tried when notifications are sent
+const NOTIFIABLE_STATUSES = [RECALL_NOTIFICATION_STATUS.PENDING, RECALL_NOTIFICATION_STATUS.FAILED];
+
+/**
+ * Find every customer who received the recalled SKU
+ * Orders are matched on their items; lot numbers only match items that recorded lots at checkout.
+ * @param {Object} criteria - { sku, lotNumbers, orderedFrom, orderedTo }
+ * @returns {Promise<Object>} { productName, customers }
+ */
+const resolveAffectedCustomers = async ({ sku, lotNumbers = [], orderedFrom, orderedTo }) => {
+  const itemFilter = { sku };
+  if (lotNumbers.length > 0) itemFilter["lots.lotNumber"] = { $in: lotNumbers };
+  if (orderedFrom || orderedTo) {
+    itemFilter.createdAt = {};
+    if (orderedFrom) itemFilter.createdAt.$gte = orderedFrom;
+    if (orderedTo) itemFilter.createdAt.$lte = orderedTo;
+  }
+
+  const items = await OrderItem.find(itemFilter).select("orderId name quantity lots").lean();
+  if (items.length === 0) {
+    return { productName: null, customers: [] };
+  }
+
+  const orders = await Order.find({
+    _id: { $in: [...new Set(items.map((item) => item.orderId.toString()))] },
+    status: { $ne: ORDER_STATUS.CANCELLED }
+  })
+    .select("orderNumber userId email phone guestInfo shippingAddressSnapshot createdAt")
+    .lean();
+
+  const ordersById = new Map(orders.map((order) => [order._id.toString(), order]));
+  const customersByKey = new Map();
+
+  for (const item of items) {
+    const order = ordersById.get(item.orderId.toString());
+    if (!order) continue;
+
+    const matchedLots = lotNumbers.length > 0
+      ? (item.lots || []).filter((lot) => lotNumbers.includes(lot.lotNumber))
+      : item.lots || [];
+    const quantity = lotNumbers.length > 0
+      ? matchedLots.reduce((sum, lot) => sum + lot.quantity, 0)
+      : item.quantity;
+
+    const key = order.userId || order.email;
+    let customer = customersByKey.get(key);
+    if (!customer) {
+      const guestName = [order.guestInfo?.firstName, order.guestInfo?.lastName].filter(Boolean).join(" ");
+      customer = {
+        userId: order.userId || null,
+        name: guestName || order.shippingAddressSnapshot?.fullName || "",
+        email: order.email,
+        phone: order.phone,
+        orders: [],
+        totalQuantity: 0
+      };
+      customersByKey.set(key, customer);
+    }
+
+    let orderEntry = customer.orders.find((entry) => entry.orderId.toString() === order._id.toString());
+    if (!orderEntry) {
+      orderEntry = {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderedAt: order.createdAt,
+        orderItemIds: [],
+        quantity: 0,
+        lotNumbers: []
+      };
+      customer.orders.push(orderEntry);
+    }
+
+    orderEntry.orderItemIds.push(item._id);
+    orderEntry.quantity += quantity;
+    for (const lot of matchedLots) {
+      if (!orderEntry.lotNumbers.includes(lot.lotNumber)) orderEntry.lotNumbers.push(lot.lotNumber);
+    }
+    customer.totalQuantity += quantity;
+  }
+
+  return { productName: items[0].name, customers: [...customersByKey.values()] };
+};
+
+/**
+ * Count customers by resolution and notification status
+ * @param {Object} recall - Recall document
+ * @returns {Object} Summary counts
+ */
+export const summarizeRecall = (recall) => {
+  const summary = {
+    customers: recall.customers.length,
+    orders: 0,
+    units: 0,
+    resolution: Object.fromEntries(Object.values(RECALL_RESOLUTION).map((value) => [value, 0])),
+    notification: Object.fromEntries(Object.values(RECALL_NOTIFICATION_STATUS).map((value) => [value, 0]))
+  };
+
+  for (const customer of recall.customers) {
+    summary.orders += customer.orders.length;
+    summary.units += customer.totalQuantity;
+    summary.resolution[customer.resolution?.type || RECALL_RESOLUTION.PENDING]++;
+    summary.notification[customer.notification?.status || RECALL_NOTIFICATION_STATUS.PENDING]++;
+  }
+
+  return summary;
+};
+
+/**
+ * Ask the inventory service to freeze the recall's remaining stock
+ * A failed freeze is recorded on the recall so it can be retried.
+ * @param {Object} recall - Recall document
+ * @returns {Promise<Object>} Updated recall
+ */
+const applyStockFreeze = async (recall) => {
+  const result = await inventoryService.freezeRecalledStock({
+    sku: recall.sku,
+    lotNumbers: recall.lotNumbers,
+    recallId: recall._id.toString(),
+    recallNumber: recall.recallNumber
+  });
+
+  if (result.success) {
+    recall.stockFreeze.status = RECALL_STOCK_FREEZE_STATUS.FROZEN;
+    recall.stockFreeze.totalFrozen += result.data?.totalFrozen || 0;
+    recall.stockFreeze.result = result.data;
+    recall.stockFreeze.frozenAt = new Date();
+    recall.stockFreeze.error = null;
+  } else {
+    console.log(`> Stock freeze failed for recall ${recall.recallNumber}: ${result.error}`);
+    recall.stockFreeze.status = RECALL_STOCK_FREEZE_STATUS.FAILED;
+    recall.stockFreeze.error = result.error;
+  }
+
+  await recall.save();
+  return recall;
+};
+
+/**
+ * Open a recall: resolve affected customers and freeze remaining stock
+ * @param {Object} recallData - { sku, lotNumbers, orderedFrom, orderedTo, reason, customerMessage, templateCode, freezeStock }
+ * @param {string} createdById - Admin ID
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const createRecall = async (recallData, createdById = null) => {
+  const { freezeStock = true, ...criteria } = recallData;
+  const sku = criteria.sku.trim().toUpperCase();
+  const lotNumbers = (criteria.lotNumbers || []).map((lotNumber) => lotNumber.trim().toUpperCase());
+
+  const existing = await Recall.findOne({
+    sku,
+    status: RECALL_STATUS.OPEN,
+    lotNumbers: lotNumbers.length > 0 ? { $in: lotNumbers } : { $size: 0 }
+  }).lean();
+
+  if (existing) {
+    return {
+      success: false,
+      error: `Recall ${existing.recallNumber} is already open for this SKU`,
+      statusCode: 409
+    };
+  }
+
+  const { productName, customers } = await resolveAffectedCustomers({
+    sku,
+    lotNumbers,
+    orderedFrom: criteria.orderedFrom,
+    orderedTo: criteria.orderedTo
+  });
+
+  const recall = await Recall.create({
+    recallNumber: await generateRecallNumber(),
+    sku,
+    productName,
+    lotNumbers,
+    orderedFrom: criteria.orderedFrom || null,
+    orderedTo: criteria.orderedTo || null,
+    reason: criteria.reason,
+    customerMessage: criteria.customerMessage,
+    templateCode: criteria.templateCode || RECALL_NOTIFICATION_TEMPLATE,
+    stockFreeze: {
+      status: freezeStock ? RECALL_STOCK_FREEZE_STATUS.PENDING : RECALL_STOCK_FREEZE_STATUS.SKIPPED
+    },
+    customers,
+    createdById
+  });
+
+  console.log(`> Recall ${recall.recallNumber} opened for ${sku}: ${customers.length} customer(s)`);
+
+  if (freezeStock) {
+    await applyStockFreeze(recall);
+  }
+
+  return { success: true, data: recall };
+};
+
+/**
+ * Load an open recall
+ * @param {string} recallId - Recall ID
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+const getOpenRecall = async (recallId) => {
+  const recall = await Recall.findById(recallId);
+
+  if (!recall) {
+    return { success: false, error: "Recall not found", statusCode: 404 };
+  }
+
+  if (recall.status !== RECALL_STATUS.OPEN) {
+    return { success: false, error: "Recall is closed", statusCode: 400 };
+  }
+
+  return { success: true, data: recall };
+};
+
+/**
+ * Freeze (or retry freezing) a recall's remaining stock
+ * Safe to repeat: stock that is already frozen is not written off again.
+ * @param {string} recallId - Recall ID
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const freezeRecallStock = async (recallId) => {
+  const lookup = await getOpenRecall(recallId);
+  if (!lookup.success) return lookup;
+
+  const recall = await applyStockFreeze(lookup.data);
+
+  if (recall.stockFreeze.status !== RECALL_STOCK_FREEZE_STATUS.FROZEN) {
+    return { success: false, error: `Stock freeze failed: ${recall.stockFreeze.error}`, statusCode: 502 };
+  }
+
+  return { success: true, data: recall };
+};
+
+/**
+ * Queue recall notifications for customers not yet notified
+ * Email is used when the customer has one, otherwise SMS.
+ * @param {string} recallId - Recall ID
+ * @returns {Promise<Object>} { success, data: { recall, queued, failed, skipped } } or { success: false, error, statusCode }
+ */
+export const notifyRecallCustomers = async (recallId) => {
+  const lookup = await getOpenRecall(recallId);
+  if (!lookup.success) return lookup;
+
+  const recall = lookup.data;
+  const summary = { queued: 0, failed: 0, skipped: 0 };
+
+  for (const customer of recall.customers) {
+    if (!NOTIFIABLE_STATUSES.includes(customer.notification?.status || RECALL_NOTIFICATION_STATUS.PENDING)) {
+      continue;
+    }
+
+    const channel = customer.email ? "email" : customer.phone ? "sms" : null;
+    if (!channel) {
+      customer.notification = { status: RECALL_NOTIFICATION_STATUS.SKIPPED, error: "No email or phone on file" };
+      summary.skipped++;
+      continue;
+    }
+
+    const result = await engagementService.queueTemplatedNotification({
+      templateCode: recall.templateCode,
+      userId: customer.userId,
+      channel,
+      recipient: channel === "email" ? customer.email : customer.phone,
+      variables: {
+        customerName: customer.name || "Customer",
+        productName: recall.productName || recall.sku,
+        sku: recall.sku,
+        recallNumber: recall.recallNumber,
+        lotNumbers: [...new Set(customer.orders.flatMap((order) => order.lotNumbers))].join(", "),
+        orderNumbers: customer.orders.map((order) => order.orderNumber).join(", "),
+        message: recall.customerMessage || recall.reason
+      },
+      referenceType: "recall",
+      referenceId: recall._id.toString()
+    });
+
+    if (result.success) {
+      customer.notification = {
+        status: RECALL_NOTIFICATION_STATUS.QUEUED,
+        channel,
+        notificationId: result.data?.notification?._id?.toString(),
+        queuedAt: new Date()
+      };
+      summary.queued++;
+    } else {
+      customer.notification = { status: RECALL_NOTIFICATION_STATUS.FAILED, channel, error: result.error };
+      summary.failed++;
+    }
+  }
+
+  await recall.save();
+
+  console.log(`> Recall ${recall.recallNumber} notifications: ${JSON.stringify(summary)}`);
+  return { success: true, data: { recall, ...summary } };
+};
+
+/**
+ * Record how a customer's recall was resolved
+ * @param {string} recallId - Recall ID
+ * @param {string} customerId - Recall customer entry ID
+ * @param {Object} resolutionData - { resolution, note, refundId, replacementOrderId }
+ * @param {string} resolvedById - Admin ID
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const resolveRecallCustomer = async (recallId, customerId, resolutionData, resolvedById = null) => {
+  const lookup = await getOpenRecall(recallId);
+  if (!lookup.success) return lookup;
+
+  const recall = lookup.data;
+  const customer = recall.customers.id(customerId);
+
+  if (!customer) {
+    return { success: false, error: "Customer is not part of this recall", statusCode: 404 };
+  }
+
+  const { resolution, note, refundId, replacementOrderId } = resolutionData;
+  const customerOrderIds = customer.orders.map((order) => order.orderId.toString());
+
+  if (refundId) {
+    const refund = await Refund.findById(refundId).select("orderId").lean();
+    if (!refund || !customerOrderIds.includes(refund.orderId.toString())) {
+      return { success: false, error: "Refund does not belong to this customer's recalled orders", statusCode: 400 };
+    }
+  }
+
+  if (replacementOrderId) {
+    const replacement = await Order.exists({ _id: replacementOrderId });
+    if (!replacement) {
+      return { success: false, error: "Replacement order not found", statusCode: 400 };
+    }
+  }
+
+  customer.resolution = {
+    type: resolution,
+    note,
+    refundId: refundId || null,
+    replacementOrderId: replacementOrderId || null,
+    resolvedAt: new Date(),
+    resolvedById
+  };
+
+  await recall.save();
+
+  return { success: true, data: { recall, customer } };
+};
+
+/**
+ * Close a recall once every customer is resolved
+ * @param {string} recallId - Recall ID
+ * @param {Object} options - { note, force }
+ * @param {string} closedById - Admin ID
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const closeRecall = async (recallId, options = {}, closedById = null) => {
+  const lookup = await getOpenRecall(recallId);
+  if (!lookup.success) return lookup;
+
+  const recall = lookup.data;
+  const unresolved = recall.customers.filter(
+    (customer) => (customer.resolution?.type || RECALL_RESOLUTION.PENDING) === RECALL_RESOLUTION.PENDING
+  ).length;
+
+  if (unresolved > 0 && !options.force) {
+    return {
+      success: false,
+      error: `${unresolved} customer(s) are still unresolved; pass force to close anyway`,
+      statusCode: 400
+    };
+  }
+
+  recall.status = RECALL_STATUS.CLOSED;
+  recall.closedAt = new Date();
+  recall.closedById = closedById;
+  recall.closeNote = options.note;
+  await recall.save();
+
+  return { success: true, data: recall };
+};
+
+export default {
+  summarizeRecall,
+  createRecall,
+  freezeRecallStock,
+  notifyRecallCustomers,
+  resolveRecallCustomer,
+  closeRecall
+};
@@ -0,0 +1,184 @@
+import { ReturnPolicy } from "../models/index.js";
+import {
+  RETURN_POLICY_SCOPE,
+  RETURN_POLICY_PRECEDENCE,
+  RESTOCKING_FEE_TYPE,
+  RETURN_INELIGIBILITY,
+  RETURN_WINDOW_DAYS
+} from "../utils/constants.js";
+import { getProductsMetadata } from "./catalog-integration.service.js";
+import { roundAmount } from "./totals-calculator.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Applies to items no active policy matches
+const FALLBACK_POLICY = {
+  _id: null,
+  name: "Default",
+  scope: RETURN_POLICY_SCOPE.DEFAULT,
+  isReturnable: true,
+  returnWindowDays: RETURN_WINDOW_DAYS,
+  allowedReasons: [],
+  acceptsOpenedItems: true,
+  openedItemReasons: [],
+  imageRequiredReasons: [],
+  minImages: 1,
+  restockingFee: null
+};
+
+const formatReason = (reason) => reason.replace(/_/g, " ");
+
+const formatReasons = (reasons) => reasons.map(formatReason).join(", ");
+
+/**
+ * Whether a policy's scope covers a product
+ * @param {Object} policy - Return policy
+ * @param {string} productId - Product ID
+ * @param {Object} [product] - Catalog metadata with tags and categoryIds
+ * @returns {boolean}
+ */
+const policyMatchesProduct = (policy, productId, product) => {
+  switch (policy.scope) {
+    case RETURN_POLICY_SCOPE.PRODUCT:
+      return policy.productIds.includes(productId);
+    case RETURN_POLICY_SCOPE.TAG:
+      return (product?.tags || []).some((tag) => policy.tags.includes(tag.toLowerCase()));
+    case RETURN_POLICY_SCOPE.CATEGORY:
+      return (product?.categoryIds || []).some((categoryId) => policy.categoryIds.includes(categoryId));
+    default:
+      return true;
+  }
+};
+
+/**
+ * Find the return policy for each order item
+ * Product policies beat tag policies, which beat category policies, which beat default ones;
+ * within a scope the highest priority (then the most recently updated) policy wins.
+ * @param {Array} orderItems - Order items
+ * @returns {Promise<Object>} { success, data: Map orderItemId -> policy } or { success: false, error, statusCode }
+ */
+export const resolveReturnPolicies = async (orderItems) => {
+  const policies = await ReturnPolicy.find({ isActive: true })
+    .sort({ priority: -1, updatedAt: -1 })
+    .lean();
+  policies.sort(
+    (a, b) => RETURN_POLICY_PRECEDENCE.indexOf(a.scope) - RETURN_POLICY_PRECEDENCE.indexOf(b.scope)
+  );
+
+  // Tag and category policies need the products' catalog classification
+  let productsById = new Map();
+  const needsCatalog = policies.some((policy) =>
+    [RETURN_POLICY_SCOPE.TAG, RETURN_POLICY_SCOPE.CATEGORY].includes(policy.scope)
+  );
+  if (needsCatalog) {
+    const productIds = [...new Set(orderItems.map((item) => item.productId))];
+    const metadata = await getProductsMetadata(productIds);
+    if (!metadata.success) {
+      return {
+        success: false,
+        error: "Could not load product categories to check return eligibility",
+        statusCode: 502
+      };
+    }
+    productsById = new Map((metadata.data?.products || []).map((product) => [product._id.toString(), product]));
+  }
+
+  const policiesByItem = new Map();
+  for (const orderItem of orderItems) {
+    const product = productsById.get(orderItem.productId);
+    const policy = policies.find((candidate) => policyMatchesProduct(candidate, orderItem.productId, product));
+    policiesByItem.set(orderItem._id.toString(), policy || FALLBACK_POLICY);
+  }
+
+  return { success: true, data: policiesByItem };
+};
+
+/**
+ * Check a requested return item against its policy
+ * @param {Object} policy - Return policy
+ * @param {Object} orderItem - Order item
+ * @param {Object} item - Requested item { quantity, reason, opened, images }
+ * @param {Date} [deliveredAt] - When the order was delivered
+ * @returns {Array<Object>} Problems as { code, reason }; empty when the item can be returned
+ */
+export const evaluateReturnItem = (policy, orderItem, item, deliveredAt) => {
+  const problems = [];
+  const name = orderItem.name;
+
+  const returnableQuantity = orderItem.quantity - (orderItem.quantityReturned || 0);
+  if (item.quantity > returnableQuantity) {
+    problems.push({
+      code: RETURN_INELIGIBILITY.QUANTITY_EXCEEDED,
+      reason: `Only ${returnableQuantity} units of ${name} are available for return`
+    });
+  }
+
+  if (!policy.isReturnable) {
+    problems.push({
+      code: RETURN_INELIGIBILITY.NOT_RETURNABLE,
+      reason: `${name} is not returnable (${policy.name})`
+    });
+    return problems;
+  }
+
+  if (deliveredAt) {
+    const windowEndsAt = new Date(deliveredAt.getTime() + policy.returnWindowDays * DAY_MS);
+    if (Date.now() > windowEndsAt.getTime()) {
+      problems.push({
+        code: RETURN_INELIGIBILITY.WINDOW_CLOSED,
+        reason: `${name} could only be returned within ${policy.returnWindowDays} days of delivery (until ${windowEndsAt.toISOString().slice(0, 10)})`
+      });
+    }
+  }
+
+  if (policy.allowedReasons.length > 0 && !policy.allowedReasons.includes(item.reason)) {
+    problems.push({
+      code: RETURN_INELIGIBILITY.REASON_NOT_ALLOWED,
+      reason: `${name} can't be returned as ${formatReason(item.reason)}; accepted reasons: ${formatReasons(policy.allowedReasons)}`
+    });
+  }
+
+  if (item.opened && !policy.acceptsOpenedItems && !policy.openedItemReasons.includes(item.reason)) {
+    problems.push({
+      code: RETURN_INELIGIBILITY.OPENED_ITEM,
+      reason: policy.openedItemReasons.length > 0
+        ? `Opened ${name} can only be returned as ${formatReasons(policy.openedItemReasons)}`
+        : `Opened ${name} can't be returned`
+    });
+  }
+
+  const imageCount = (item.images || []).length;
+  if (policy.imageRequiredReasons.includes(item.reason) && imageCount < policy.minImages) {
+    problems.push({
+      code: RETURN_INELIGIBILITY.IMAGES_REQUIRED,
+      reason: `Returning ${name} as ${formatReason(item.reason)} needs at least ${policy.minImages} photo(s) of the item`
+    });
+  }
+
+  return problems;
+};
+
+/**
+ * Restocking fee kept from an item's refund
+ * @param {Object} policy - Return policy
+ * @param {string} reason - Return reason
+ * @param {number} quantity - Units returned
+ * @param {number} refundAmount - Item refund before the fee
+ * @returns {number} Fee, never more than the refund
+ */
+export const calculateRestockingFee = (policy, reason, quantity, refundAmount) => {
+  const fee = policy.restockingFee;
+  if (!fee || fee.exemptReasons?.includes(reason)) return 0;
+
+  const amount = fee.type === RESTOCKING_FEE_TYPE.PERCENTAGE
+    ? (refundAmount * fee.value) / 100
+    : fee.value * quantity;
+
+  return roundAmount(Math.min(amount, refundAmount));
+};
+
+export default {
+  resolveReturnPolicies,
+  evaluateReturnItem,
+  calculateRestockingFee
+};
@@ -0,0 +1,702 @@
+import { Order, OrderItem, OrderStatusHistory, Shipment } from "../models/index.js";
+import {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  FULFILLMENT_STATUS,
+  SHIPPING_STATUS,
+  SHIPPED_STATUSES,
+  TERMINAL_SHIPPING_STATUSES,
+  SHIPPING_STATUS_RANK,
+  SHIPMENT_EVENT_SOURCE,
+  STATUS_TYPE,
+  CHANGED_BY_TYPE
+} from "../utils/constants.js";
+import { generateShipmentNumber } from "./order-number.service.js";
+import { getCarrier } from "./carrier.service.js";
+import * as engagementService from "./engagement-integration.service.js";
+
+// Orders in these statuses can have new shipments created against them
+const SHIPPABLE_ORDER_STATUSES = [
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.OUT_FOR_DELIVERY
+];
+
+// Order statuses that shipment events may move forward, in order of progression
+const ORDER_PROGRESSION = [
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.OUT_FOR_DELIVERY,
+  ORDER_STATUS.DELIVERED
+];
+
+// Shipments in these statuses no longer hold their items (cancelled before pickup or returned to origin)
+const RELEASED_SHIPPING_STATUSES = [SHIPPING_STATUS.CANCELLED, SHIPPING_STATUS.RETURNED];
+
+// Shipments can only be cancelled before the carrier picks them up
+const CANCELLABLE_SHIPPING_STATUSES = [SHIPPING_STATUS.PENDING, SHIPPING_STATUS.PROCESSING];
+
+/**
+ * Sum allocated quantity per order item across shipments
+ * @param {Array} shipments - Shipments for an order
+ * @param {Function} filter - Which shipments to count
+ * @returns {Map<string, number>} orderItemId -> quantity
+ */
+const sumShipmentQuantities = (shipments, filter) => {
+  const totals = new Map();
+
+  for (const shipment of shipments) {
+    if (!filter(shipment)) continue;
+
+    for (const item of shipment.items) {
+      const key = item.orderItemId.toString();
+      totals.set(key, (totals.get(key) || 0) + item.quantity);
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Map the variants a warehouse was allocated at checkout onto the order's items
+ * Quantities are capped by what is still left to ship
+ * @param {Object} warehouseAllocation - { warehouseId, items: [{ variantId, quantity }] }
+ * @param {Array} orderItems - Order items
+ * @param {Function} remainingFor - Unshipped quantity of an order item
+ * @returns {Array} [{ orderItem, quantity }]
+ */
+const allocateWarehouseItems = (warehouseAllocation, orderItems, remainingFor) => {
+  const allocation = [];
+
+  for (const allocated of warehouseAllocation.items) {
+    let needed = allocated.quantity;
+
+    for (const orderItem of orderItems) {
+      if (needed <= 0) break;
+      if (orderItem.variantId !== allocated.variantId) continue;
+
+      const taken = allocation
+        .filter((entry) => entry.orderItem === orderItem)
+        .reduce((sum, entry) => sum + entry.quantity, 0);
+      const quantity = Math.min(needed, remainingFor(orderItem) - taken);
+
+      if (quantity > 0) {
+        allocation.push({ orderItem, quantity });
+        needed -= quantity;
+      }
+    }
+  }
+
+  return allocation;
+};
+
+/**
+ * Set an order's fulfillment status and record it in status history
+ * Shared by the admin override and by carrier-driven syncing
+ * @param {Object} order - Order document
+ * @param {string} fulfillmentStatus - New fulfillment status
+ * @param {Object} options - { changedByType, changedById, notes }
+ * @returns {Promise<Object>} Updated order
+ */
+export const setFulfillmentStatus = async (order, fulfillmentStatus, options = {}) => {
+  const { changedByType = CHANGED_BY_TYPE.SYSTEM, changedById, notes } = options;
+  const previousStatus = order.fulfillmentStatus;
+
+  if (previousStatus === fulfillmentStatus) {
+    return order;
+  }
+
+  order.fulfillmentStatus = fulfillmentStatus;
+  await order.save();
+
+  await OrderStatusHistory.create({
+    orderId: order._id,
+    statusType: STATUS_TYPE.FULFILLMENT,
+    fromStatus: previousStatus,
+    toStatus: fulfillmentStatus,
+    changedByType,
+    changedById,
+    notes: notes || `Fulfillment status updated to ${fulfillmentStatus}`
+  });
+
+  console.log(`> Fulfillment status for order ${order.orderNumber}: ${previousStatus} -> ${fulfillmentStatus}`);
+
+  return order;
+};
+
+/**
+ * Move an order's status forward as its shipments progress
+ * Never moves an order backwards and never touches cancelled/returned orders
+ * @param {Object} order - Order document
+ * @param {string} targetStatus - Status implied by the shipments
+ * @param {Array} shipments - Shipments for the order
+ * @param {Object} options - { changedByType, changedById }
+ * @returns {Promise<boolean>} True if the order status changed
+ */
+const advanceOrderStatus = async (order, targetStatus, shipments, options) => {
+  const { changedByType, changedById } = options;
+  const currentIndex = ORDER_PROGRESSION.indexOf(order.status);
+  const targetIndex = ORDER_PROGRESSION.indexOf(targetStatus);
+
+  if (currentIndex === -1 || targetIndex <= currentIndex) {
+    return false;
+  }
+
+  const previousStatus = order.status;
+  const now = new Date();
+
+  if (targetIndex >= ORDER_PROGRESSION.indexOf(ORDER_STATUS.SHIPPED) && !order.shippedAt) {
+    const firstShipped = shipments
+      .filter((shipment) => shipment.shippedAt)
+      .sort((a, b) => a.shippedAt - b.shippedAt)[0];
+
+    order.shippedAt = firstShipped?.shippedAt || now;
+    if (firstShipped && !order.trackingNumber) {
+      order.trackingNumber = firstShipped.awbNumber;
+      order.carrierName = firstShipped.carrierName;
+    }
+  }
+
+  if (targetStatus === ORDER_STATUS.OUT_FOR_DELIVERY) {
+    order.outForDeliveryAt = now;
+  }
+
+  if (targetStatus === ORDER_STATUS.DELIVERED) {
+    order.deliveredAt = now;
+
+    // For COD orders, the carrier has collected payment on delivery
+    if (order.paymentMethod === "cod" && order.paymentStatus === PAYMENT_STATUS.PENDING) {
+      order.paymentStatus = PAYMENT_STATUS.SUCCESS;
+
+      await OrderStatusHistory.create({
+        orderId: order._id,
+        statusType: STATUS_TYPE.PAYMENT,
+        fromStatus: PAYMENT_STATUS.PENDING,
+        toStatus: PAYMENT_STATUS.SUCCESS,
+        changedByType,
+        changedById,
+        notes: "COD payment collected on delivery"
+      });
+    }
+  }
+
+  order.status = targetStatus;
+  await order.save();
+
+  await OrderStatusHistory.create({
+    orderId: order._id,
+    statusType: STATUS_TYPE.ORDER,
+    fromStatus: previousStatus,
+    toStatus: targetStatus,
+    changedByType,
+    changedById,
+    notes: `Order status updated to ${targetStatus} from shipment tracking`
+  });
+
+  console.log(`> Order ${order.orderNumber} status: ${previousStatus} -> ${targetStatus}`);
+
+  if (targetStatus === ORDER_STATUS.SHIPPED) {
+    await engagementService.sendOrderShippedNotification(order)
+      .catch(err => console.log("> Warning: Failed to send shipped notification:", err.message));
+  }
+
+  if (targetStatus === ORDER_STATUS.DELIVERED) {
+    await engagementService.sendOrderDeliveredNotification(order)
+      .catch(err => console.log("> Warning: Failed to send delivered notification:", err.message));
+
+    const loyalty = await engagementService.earnOrderLoyaltyPoints(order);
+    if (!loyalty.success) {
+      console.log("> Warning: Failed to award loyalty points:", loyalty.error);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Recompute item and order fulfillment from the order's shipments
+ * Items count as fulfilled once their shipment has been picked up by the carrier
+ * @param {string} orderId - Order ID
+ * @param {Object} options - { changedByType, changedById }
+ * @returns {Promise<Object|null>} { order, items } or null if the order does not exist
+ */
+export const syncOrderFulfillment = async (orderId, options = {}) => {
+  const syncOptions = {
+    changedByType: options.changedByType || CHANGED_BY_TYPE.SYSTEM,
+    changedById: options.changedById
+  };
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return null;
+  }
+
+  const [items, shipments] = await Promise.all([
+    OrderItem.find({ orderId: order._id }),
+    Shipment.find({ orderId: order._id })
+  ]);
+
+  const shippedQuantities = sumShipmentQuantities(
+    shipments,
+    (shipment) => SHIPPED_STATUSES.includes(shipment.status)
+  );
+
+  let totalOrdered = 0;
+  let totalShipped = 0;
+
+  for (const item of items) {
+    const shipped = Math.min(shippedQuantities.get(item._id.toString()) || 0, item.quantity);
+    const itemStatus = shipped === 0
+      ? FULFILLMENT_STATUS.UNFULFILLED
+      : shipped >= item.quantity
+        ? FULFILLMENT_STATUS.FULFILLED
+        : FULFILLMENT_STATUS.PARTIALLY_FULFILLED;
+
+    totalOrdered += item.quantity;
+    totalShipped += shipped;
+
+    if (item.quantityFulfilled !== shipped || item.fulfillmentStatus !== itemStatus) {
+      item.quantityFulfilled = shipped;
+      item.fulfillmentStatus = itemStatus;
+      await item.save();
+    }
+  }
+
+  const fulfillmentStatus = totalShipped === 0
+    ? FULFILLMENT_STATUS.UNFULFILLED
+    : totalShipped >= totalOrdered
+      ? FULFILLMENT_STATUS.FULFILLED
+      : FULFILLMENT_STATUS.PARTIALLY_FULFILLED;
+
+  await setFulfillmentStatus(order, fulfillmentStatus, {
+    ...syncOptions,
+    notes: `Fulfillment updated from shipments (${totalShipped}/${totalOrdered} units shipped)`
+  });
+
+  // The order is delivered only when everything has shipped and every shipped parcel has arrived
+  const shippedShipments = shipments.filter((shipment) => SHIPPED_STATUSES.includes(shipment.status));
+  let targetStatus = null;
+
+  if (
+    fulfillmentStatus === FULFILLMENT_STATUS.FULFILLED &&
+    shippedShipments.every((shipment) => shipment.status === SHIPPING_STATUS.DELIVERED)
+  ) {
+    targetStatus = ORDER_STATUS.DELIVERED;
+  } else if (shippedShipments.some((shipment) => shipment.status === SHIPPING_STATUS.OUT_FOR_DELIVERY)) {
+    targetStatus = ORDER_STATUS.OUT_FOR_DELIVERY;
+  } else if (shippedShipments.length > 0) {
+    targetStatus = ORDER_STATUS.SHIPPED;
+  }
+
+  if (targetStatus) {
+    await advanceOrderStatus(order, targetStatus, shipments, syncOptions);
+  }
+
+  return { order, items };
+};
+
+/**
+ * Create a shipment for an order and book it with the carrier
+ * When no items are given, every unallocated unit on the order is included
+ * @param {string} orderId - Order ID
+ * @param {Object} shipmentData - { items: [{ orderItemId, quantity }], carrierCode, warehouseId, packageData, notes }
+ * @param {string} createdById - Admin ID
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const createShipment = async (orderId, shipmentData = {}, createdById = null) => {
+  const { items: requestedItems, carrierCode, warehouseId, packageData, notes } = shipmentData;
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return { success: false, error: "Order not found", statusCode: 404 };
+  }
+
+  if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+    return {
+      success: false,
+      error: `Cannot create a shipment for an order in ${order.status} status`,
+      statusCode: 400
+    };
+  }
+
+  const carrier = getCarrier(carrierCode);
+  if (!carrier) {
+    return { success: false, error: `Unknown carrier: ${carrierCode}`, statusCode: 400 };
+  }
+
+  const [orderItems, existingShipments] = await Promise.all([
+    OrderItem.find({ orderId: order._id }).lean(),
+    Shipment.find({ orderId: order._id }).lean()
+  ]);
+
+  const allocated = sumShipmentQuantities(
+    existingShipments,
+    (shipment) => !RELEASED_SHIPPING_STATUSES.includes(shipment.status)
+  );
+  const remainingFor = (item) => item.quantity - (allocated.get(item._id.toString()) || 0);
+  const itemsById = new Map(orderItems.map((item) => [item._id.toString(), item]));
+
+  let allocation = [];
+
+  if (requestedItems && requestedItems.length > 0) {
+    // Lines repeating an orderItemId are merged so their total is checked against what is left
+    const requestedById = new Map();
+
+    for (const requested of requestedItems) {
+      const orderItem = itemsById.get(String(requested.orderItemId));
+
+      if (!orderItem) {
+        return {
+          success: false,
+          error: `Item ${requested.orderItemId} does not belong to this order`,
+          statusCode: 400
+        };
+      }
+
+      const entry = requestedById.get(orderItem._id.toString()) || { orderItem, quantity: 0 };
+      entry.quantity += requested.quantity;
+      requestedById.set(orderItem._id.toString(), entry);
+    }
+
+    for (const entry of requestedById.values()) {
+      const remaining = remainingFor(entry.orderItem);
+      if (entry.quantity > remaining) {
+        return {
+          success: false,
+          error: `Only ${remaining} unit(s) of ${entry.orderItem.sku} are left to ship`,
+          statusCode: 400
+        };
+      }
+
+      allocation.push(entry);
+    }
+  } else {
+    const warehouseAllocation = warehouseId
+      ? order.fulfillmentAllocations.find((entry) => entry.warehouseId === String(warehouseId))
+      : null;
+
+    if (warehouseAllocation) {
+      allocation = allocateWarehouseItems(warehouseAllocation, orderItems, remainingFor);
+    } else {
+      allocation = orderItems
+        .map((orderItem) => ({ orderItem, quantity: remainingFor(orderItem) }))
+        .filter((entry) => entry.quantity > 0);
+    }
+  }
+
+  if (allocation.length === 0) {
+    return { success: false, error: "All items on this order are already allocated to shipments", statusCode: 400 };
+  }
+
+  const shipment = new Shipment({
+    orderId: order._id,
+    userId: order.userId,
+    shipmentNumber: await generateShipmentNumber(),
+    status: SHIPPING_STATUS.PENDING,
+    items: allocation.map(({ orderItem, quantity }) => ({
+      orderItemId: orderItem._id,
+      variantId: orderItem.variantId,
+      sku: orderItem.sku,
+      name: orderItem.name,
+      quantity
+    })),
+    carrierCode: carrier.code,
+    carrierName: carrier.name,
+    warehouseId,
+    packageData,
+    notes,
+    createdById
+  });
+
+  let booking;
+  try {
+    booking = await carrier.createShipment({ shipment, order });
+  } catch (error) {
+    console.log(`> Carrier booking failed for order ${order.orderNumber}:`, error.message);
+    return { success: false, error: `Carrier booking failed: ${error.message}`, statusCode: 502 };
+  }
+
+  shipment.awbNumber = booking.awbNumber;
+  shipment.trackingUrl = booking.trackingUrl;
+  shipment.estimatedDeliveryAt = booking.estimatedDeliveryAt;
+  shipment.status = SHIPPING_STATUS.PROCESSING;
+  shipment.events.push({
+    status: SHIPPING_STATUS.PROCESSING,
+    description: `Shipment booked with ${carrier.name}`,
+    source: SHIPMENT_EVENT_SOURCE.SYSTEM
+  });
+  await shipment.save();
+
+  console.log(`> Shipment ${shipment.shipmentNumber} created for order ${order.orderNumber}`);
+
+  await advanceOrderStatus(order, ORDER_STATUS.PROCESSING, [shipment], {
+    changedByType: createdById ? CHANGED_BY_TYPE.ADMIN : CHANGED_BY_TYPE.SYSTEM,
+    changedById: createdById
+  });
+
+  return { success: true, data: shipment };
+};
+
+/**
+ * Create one shipment per warehouse from the allocation made at checkout
+ * Warehouses whose items are already on shipments are skipped
+ * @param {string} orderId - Order ID
+ * @param {Object} options - { carrierCode, notes }
+ * @param {string} createdById - Admin ID
+ * @returns {Promise<Object>} { success, data: { shipments, skipped } }
+ */
+export const createAllocatedShipments = async (orderId, options = {}, createdById = null) => {
+  const { carrierCode, notes } = options;
+
+  if (!getCarrier(carrierCode)) {
+    return { success: false, error: `Unknown carrier: ${carrierCode}`, statusCode: 400 };
+  }
+
+  const order = await Order.findById(orderId).select("fulfillmentAllocations").lean();
+  if (!order) {
+    return { success: false, error: "Order not found", statusCode: 404 };
+  }
+
+  if (!order.fulfillmentAllocations || order.fulfillmentAllocations.length === 0) {
+    return { success: false, error: "Order has no warehouse allocation", statusCode: 400 };
+  }
+
+  const shipments = [];
+  const skipped = [];
+
+  for (const allocation of order.fulfillmentAllocations) {
+    const result = await createShipment(
+      orderId,
+      { carrierCode, warehouseId: allocation.warehouseId, notes },
+      createdById
+    );
+
+    if (result.success) {
+      shipments.push(result.data);
+    } else if (result.statusCode === 400 || result.statusCode === 502) {
+      skipped.push({ warehouseId: allocation.warehouseId, warehouseCode: allocation.warehouseCode, error: result.error });
+    } else {
+      return result;
+    }
+  }
+
+  return { success: true, data: { shipments, skipped } };
+};
+
+/**
+ * Record a tracking event on a shipment
+ * Duplicate events (same eventId) are skipped; out-of-order events are kept in the log
+ * but do not move the shipment backwards
+ * @param {Object} shipment - Shipment document
+ * @param {Object} event - { eventId, status, carrierStatus, description, location, occurredAt }
+ * @param {string} source - Event source
+ * @returns {Promise<Object>} { duplicate, applied }
+ */
+export const applyShipmentEvent = async (shipment, event, source = SHIPMENT_EVENT_SOURCE.CARRIER) => {
+  if (event.eventId && shipment.events.some((existing) => existing.eventId === event.eventId)) {
+    return { duplicate: true, applied: false };
+  }
+
+  const currentStatus = shipment.status;
+  // A failed delivery attempt can follow any live status (usually out_for_delivery)
+  const applied =
+    !TERMINAL_SHIPPING_STATUSES.includes(currentStatus) &&
+    (event.status === SHIPPING_STATUS.FAILED ||
+      SHIPPING_STATUS_RANK[event.status] >= SHIPPING_STATUS_RANK[currentStatus]);
+
+  const occurredAt = event.occurredAt || new Date();
+
+  shipment.events.push({
+    eventId: event.eventId,
+    status: event.status,
+    carrierStatus: event.carrierStatus,
+    description: event.description,
+    location: event.location,
+    source,
+    applied,
+    occurredAt
+  });
+
+  if (applied) {
+    shipment.status = event.status;
+
+    if (SHIPPED_STATUSES.includes(event.status) && !shipment.shippedAt) {
+      shipment.shippedAt = occurredAt;
+    }
+    if (event.status === SHIPPING_STATUS.OUT_FOR_DELIVERY) {
+      shipment.outForDeliveryAt = occurredAt;
+    }
+    if (event.status === SHIPPING_STATUS.DELIVERED) {
+      shipment.deliveredAt = occurredAt;
+    }
+  }
+
+  await shipment.save();
+
+  if (!applied) {
+    console.log(`> Ignored ${event.status} event for ${shipment.shipmentNumber} (currently ${currentStatus})`);
+  }
+
+  return { duplicate: false, applied };
+};
+
+/**
+ * Process normalized events from a carrier webhook
+ * @param {string} carrierCode - Carrier code
+ * @param {Array} events - Normalized events from the carrier adapter
+ * @returns {Promise<Object>} { received, applied, ignored, duplicates, unmatched }
+ */
+export const processCarrierEvents = async (carrierCode, events) => {
+  const summary = { received: events.length, applied: 0, ignored: 0, duplicates: 0, unmatched: [] };
+  const touchedOrderIds = new Set();
+
+  for (const event of events) {
+    const shipment = await Shipment.findOne({ carrierCode, awbNumber: event.awbNumber });
+
+    if (!shipment) {
+      summary.unmatched.push(event.awbNumber);
+      continue;
+    }
+
+    const result = await applyShipmentEvent(shipment, event, SHIPMENT_EVENT_SOURCE.CARRIER);
+
+    if (result.duplicate) {
+      summary.duplicates++;
+    } else if (result.applied) {
+      summary.applied++;
+      touchedOrderIds.add(shipment.orderId.toString());
+    } else {
+      summary.ignored++;
+    }
+  }
+
+  for (const orderId of touchedOrderIds) {
+    await syncOrderFulfillment(orderId, { changedByType: CHANGED_BY_TYPE.SYSTEM });
+  }
+
+  return summary;
+};
+
+/**
+ * Cancel a shipment that has not been picked up yet
+ * Its items become available for a new shipment
+ * @param {string} shipmentId - Shipment ID
+ * @param {Object} options - { reason, changedById }
+ * @returns {Promise<Object>} { success, data } or { success: false, error, statusCode }
+ */
+export const cancelShipment = async (shipmentId, options = {}) => {
+  const { reason, changedById } = options;
+
+  const shipment = await Shipment.findById(shipmentId);
+  if (!shipment) {
+    return { success: false, error: "Shipment not found", statusCode: 404 };
+  }
+
+  if (!CANCELLABLE_SHIPPING_STATUSES.includes(shipment.status)) {
+    return {
+      success: false,
+      error: `Cannot cancel a shipment in ${shipment.status} status`,
+      statusCode: 400
+    };
+  }
+
+  const carrier = getCarrier(shipment.carrierCode);
+  if (carrier && shipment.awbNumber) {
+    try {
+      await carrier.cancelShipment({ awbNumber: shipment.awbNumber });
+    } catch (error) {
+      console.log(`> Carrier cancellation failed for ${shipment.shipmentNumber}:`, error.message);
+      return { success: false, error: `Carrier cancellation failed: ${error.message}`, statusCode: 502 };
+    }
+  }
+
+  shipment.status = SHIPPING_STATUS.CANCELLED;
+  shipment.cancelledAt = new Date();
+  shipment.events.push({
+    status: SHIPPING_STATUS.CANCELLED,
+    description: reason || "Shipment cancelled",
+    source: SHIPMENT_EVENT_SOURCE.ADMIN
+  });
+  await shipment.save();
+
+  await syncOrderFulfillment(shipment.orderId, {
+    changedByType: CHANGED_BY_TYPE.ADMIN,
+    changedById
+  });
+
+  return { success: true, data: shipment };
+};
+
+/**
+ * Build the customer-facing tracking view for an order
+ * @param {Object} order - Order (lean or document)
+ * @returns {Promise<Object>} Tracking data with per-shipment events and a merged timeline
+ */
+export const getOrderTracking = async (order) => {
+  const [shipments, history] = await Promise.all([
+    Shipment.find({ orderId: order._id }).sort({ createdAt: 1 }).lean(),
+    OrderStatusHistory.find({
+      orderId: order._id,
+      statusType: { $in: [STATUS_TYPE.ORDER, STATUS_TYPE.FULFILLMENT] }
+    }).lean()
+  ]);
+
+  const timeline = history.map((entry) => ({
+    type: entry.statusType,
+    status: entry.toStatus,
+    description: entry.notes,
+    occurredAt: entry.createdAt
+  }));
+
+  const shipmentViews = shipments.map((shipment) => {
+    const events = [...shipment.events]
+      .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt))
+      .map((event) => ({
+        status: event.status,
+        description: event.description,
+        location: event.location,
+        occurredAt: event.occurredAt
+      }));
+
+    for (const event of events) {
+      timeline.push({ type: "shipment", shipmentNumber: shipment.shipmentNumber, ...event });
+    }
+
+    return {
+      shipmentNumber: shipment.shipmentNumber,
+      status: shipment.status,
+      carrierName: shipment.carrierName,
+      awbNumber: shipment.awbNumber,
+      trackingUrl: shipment.trackingUrl,
+      estimatedDeliveryAt: shipment.estimatedDeliveryAt,
+      shippedAt: shipment.shippedAt,
+      deliveredAt: shipment.deliveredAt,
+      items: shipment.items.map(({ orderItemId, sku, name, quantity }) => ({ orderItemId, sku, name, quantity })),
+      events
+    };
+  });
+
+  timeline.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    fulfillmentStatus: order.fulfillmentStatus,
+    shipments: shipmentViews,
+    timeline
+  };
+};
+
+export default {
+  setFulfillmentStatus,
+  syncOrderFulfillment,
+  createShipment,
+  createAllocatedShipments,
+  applyShipmentEvent,
+  processCarrierEvents,
+  cancelShipment,
+  getOrderTracking
+};
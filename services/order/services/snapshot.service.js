@@ -1,3 +1,5 @@
+import { roundAmount } from "./totals-calculator.service.js";
+
 /**
  * Snapshot Service
  * Creates immutable snapshots of data to preserve historical state
@@ -99,6 +101,9 @@ export const createOrderItemSnapshot = (cartItem, productData, orderId) => {
     lineDiscount: cartItem.lineDiscount || cartItem.discount || 0,
     lineTax: 0,
     lineTotal: cartItem.lineTotal,
+    allocatedDiscount: cartItem.allocatedDiscount || 0,
+    discountAllocations: cartItem.discountAllocations || [],
+    taxableValue: Math.max(0, roundAmount(cartItem.lineTotal - (cartItem.allocatedDiscount || 0))),
     hsnCode: productData.hsnCode || "",
     isFreeGift: cartItem.isFreeGift || false,
     fulfillmentStatus: "unfulfilled"
@@ -0,0 +1,197 @@
+/**
+ * Tender Service
+ * Loyalty points and store credit used as part payment for an order.
+ * Engagement holds the balances at checkout; this settles the hold as the
+ * order's payment succeeds, fails or is refunded.
+ */
+
+import { OrderStatusHistory } from "../models/index.js";
+import * as engagementService from "./engagement-integration.service.js";
+import { roundAmount } from "./totals-calculator.service.js";
+import { TENDER_STATUS, STATUS_TYPE, CHANGED_BY_TYPE } from "../utils/constants.js";
+
+/**
+ * Whether part of the order was paid with points or store credit
+ * @param {Object} order - Order
+ * @returns {boolean}
+ */
+export const hasTenders = (order) =>
+  Boolean(order.tenders && (order.tenders.loyaltyAmount > 0 || order.tenders.storeCreditAmount > 0));
+
+/**
+ * Amount left to charge through the payment gateway
+ * @param {Object} order - Order
+ * @returns {number} Rupees
+ */
+export const getGatewayAmount = (order) =>
+  order.tenders ? order.tenders.gatewayAmount : order.grandTotal;
+
+/**
+ * Split a refund across the tenders the order was paid with, in the proportions they paid
+ * Rounding differences go to the gateway share so the parts add up to the refund.
+ * @param {Object} order - Order
+ * @param {number} amount - Refund amount in rupees
+ * @returns {Object} { gatewayAmount, loyaltyAmount, storeCreditAmount }
+ */
+export const splitRefundAmount = (order, amount) => {
+  if (!hasTenders(order) || !order.grandTotal) {
+    return { gatewayAmount: amount, loyaltyAmount: 0, storeCreditAmount: 0 };
+  }
+
+  const share = Math.min(amount / order.grandTotal, 1);
+  const loyaltyAmount = roundAmount(order.tenders.loyaltyAmount * share);
+  const storeCreditAmount = roundAmount(order.tenders.storeCreditAmount * share);
+
+  return {
+    gatewayAmount: roundAmount(Math.max(amount - loyaltyAmount - storeCreditAmount, 0)),
+    loyaltyAmount,
+    storeCreditAmount
+  };
+};
+
+/**
+ * Debit the order's held points and store credit once it is paid
+ * Saves the order with the tenders marked captured. Tenders already released are
+ * taken again by engagement if the customer still has the balances.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { success, data } or { success: false, error }
+ */
+export const captureTenders = async (order) => {
+  if (!hasTenders(order) || order.tenders.status === TENDER_STATUS.CAPTURED) {
+    return { success: true, data: null };
+  }
+
+  const result = await engagementService.captureOrderTenders(order._id.toString());
+  if (!result.success) {
+    console.log(`> Warning: Failed to capture tenders for order ${order.orderNumber}: ${result.error}`);
+    return result;
+  }
+
+  order.tenders.status = TENDER_STATUS.CAPTURED;
+  order.tenders.captureError = undefined;
+  order.markModified("tenders");
+  await order.save();
+
+  console.log(`> Tenders captured for order ${order.orderNumber}`);
+  return result;
+};
+
+/**
+ * Debit the order's points and store credit after its gateway payment succeeded
+ * If they can't be debited, the order is marked unpaid by their value and flagged in its
+ * history for an admin to review, since the customer has otherwise received them for free.
+ * @param {Object} order - Paid order document
+ * @returns {Promise<Object>} { success, data } or { success: false, error }
+ */
+export const captureTendersForPayment = async (order) => {
+  const result = await captureTenders(order);
+  if (result.success) {
+    return result;
+  }
+
+  const shortfall = roundAmount(order.tenders.loyaltyAmount + order.tenders.storeCreditAmount);
+  const previousStatus = order.tenders.status;
+  order.tenders.status = TENDER_STATUS.UNPAID;
+  order.tenders.captureError = result.error;
+  order.markModified("tenders");
+  await order.save();
+
+  if (previousStatus !== TENDER_STATUS.UNPAID) {
+    await OrderStatusHistory.create({
+      orderId: order._id,
+      statusType: STATUS_TYPE.PAYMENT,
+      fromStatus: `tenders_${previousStatus}`,
+      toStatus: `tenders_${TENDER_STATUS.UNPAID}`,
+      changedByType: CHANGED_BY_TYPE.SYSTEM,
+      notes: `Needs review: paid order is short by ${shortfall} because its points and store credit could not be debited (${result.error})`
+    });
+  }
+
+  console.log(`> Order ${order.orderNumber} flagged for review: ${shortfall} in points and store credit unpaid`);
+  return result;
+};
+
+/**
+ * Give the order's held points and store credit back
+ * Saves the order with the tenders marked released.
+ * @param {Object} order - Order document
+ * @param {string} reason - payment_failed, order_cancelled or checkout_failed
+ * @returns {Promise<Object>} { success, data } or { success: false, error }
+ */
+export const releaseTenders = async (order, reason) => {
+  if (!hasTenders(order) || order.tenders.status !== TENDER_STATUS.HELD) {
+    return { success: true, data: null };
+  }
+
+  const result = await engagementService.releaseOrderTenders(order._id.toString(), reason);
+  if (!result.success) {
+    console.log(`> Warning: Failed to release tenders for order ${order.orderNumber}: ${result.error}`);
+    return result;
+  }
+
+  order.tenders.status = TENDER_STATUS.RELEASED;
+  order.markModified("tenders");
+  await order.save();
+
+  console.log(`> Tenders released for order ${order.orderNumber} (${reason})`);
+  return result;
+};
+
+/**
+ * Return points and store credit for a refund
+ * @param {Object} order - Order
+ * @param {string} refundId - Refund ID; repeating it returns the first result
+ * @param {Object} split - { loyaltyAmount, storeCreditAmount } from splitRefundAmount
+ * @returns {Promise<Object>} { success, data } or { success: false, error }
+ */
+export const refundTenders = async (order, refundId, { loyaltyAmount, storeCreditAmount }) => {
+  if (!hasTenders(order) || order.tenders.status !== TENDER_STATUS.CAPTURED) {
+    return { success: true, data: null };
+  }
+  if (loyaltyAmount <= 0 && storeCreditAmount <= 0) {
+    return { success: true, data: null };
+  }
+
+  const result = await engagementService.refundOrderTenders(order._id.toString(), {
+    refundId: refundId.toString(),
+    loyaltyAmount,
+    storeCreditAmount
+  });
+  if (!result.success) {
+    console.log(`> Warning: Failed to refund tenders for order ${order.orderNumber}: ${result.error}`);
+  }
+  return result;
+};
+
+/**
+ * Settle a cancelled order's tenders
+ * Held balances are released; debited ones are returned in full.
+ * @param {Object} order - Cancelled order document
+ * @returns {Promise<Object>} { success, data } or { success: false, error }
+ */
+export const settleCancelledOrderTenders = async (order) => {
+  if (!hasTenders(order)) {
+    return { success: true, data: null };
+  }
+
+  if (order.tenders.status === TENDER_STATUS.HELD) {
+    return releaseTenders(order, "order_cancelled");
+  }
+
+  // The order ID doubles as the refund ID, so a repeated cancellation can't refund twice
+  return refundTenders(order, order._id, {
+    loyaltyAmount: order.tenders.loyaltyAmount,
+    storeCreditAmount: order.tenders.storeCreditAmount
+  });
+};
+
+export default {
+  hasTenders,
+  getGatewayAmount,
+  splitRefundAmount,
+  captureTenders,
+  captureTendersForPayment,
+  releaseTenders,
+  refundTenders,
+  settleCancelledOrderTenders
+};
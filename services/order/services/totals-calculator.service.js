@@ -54,32 +54,56 @@ export const calculateDiscountTotal = (appliedCoupons = [], appliedDiscounts = [
 
 /**
  * Calculate tax amount based on Indian GST rules
+ * CGST and SGST always add up to the total tax (SGST takes any odd paisa).
  * @param {number} taxableAmount - Amount to calculate tax on
  * @param {number} taxRate - Tax rate percentage (e.g., 18 for 18%)
  * @param {boolean} isInterState - Is shipment inter-state
  * @returns {Object} Tax breakdown
  */
 export const calculateTax = (taxableAmount, taxRate, isInterState = false) => {
-  const totalTax = (taxableAmount * taxRate) / 100;
+  const totalTax = roundAmount((taxableAmount * taxRate) / 100);
 
   if (isInterState) {
     return {
-      igst: parseFloat(totalTax.toFixed(2)),
+      igst: totalTax,
       cgst: 0,
       sgst: 0,
-      totalTax: parseFloat(totalTax.toFixed(2))
+      totalTax
     };
   } else {
-    const halfTax = totalTax / 2;
+    const cgst = roundAmount(totalTax / 2);
     return {
       igst: 0,
-      cgst: parseFloat(halfTax.toFixed(2)),
-      sgst: parseFloat(halfTax.toFixed(2)),
-      totalTax: parseFloat(totalTax.toFixed(2))
+      cgst,
+      sgst: roundAmount(totalTax - cgst),
+      totalTax
     };
   }
 };
 
+/**
+ * Calculate tax per order line from each line's taxable value
+ * A line's own gstRate and isInterState take precedence over the defaults.
+ * @param {Array} lines - Lines with taxableValue (and optionally gstRate, isInterState)
+ * @param {number} taxRate - Default tax rate percentage (e.g., 18 for 18%)
+ * @param {boolean} isInterState - Default inter-state flag
+ * @returns {Object} Per-line tax breakdowns and their total
+ */
+export const calculateLineTaxes = (lines, taxRate, isInterState = false) => {
+  const lineTaxes = lines.map(line => calculateTax(
+    line.taxableValue || 0,
+    line.gstRate ?? taxRate,
+    line.isInterState ?? isInterState
+  ));
+
+  const totalTax = lineTaxes.reduce((total, tax) => total + tax.totalTax, 0);
+
+  return {
+    lines: lineTaxes,
+    totalTax: parseFloat(totalTax.toFixed(2))
+  };
+};
+
 /**
  * Calculate order grand total
  * @param {number} subtotal - Subtotal amount
@@ -160,6 +184,32 @@ export const calculateRefundAmount = (refundItems, originalShipping = 0, refundS
   };
 };
 
+/**
+ * Calculate the refundable amount for units of an order line
+ * Uses the line's allocated taxable value plus tax, so each unit carries its share of
+ * the order discounts. The final units refund whatever is left, so rounding never
+ * lets a line refund more or less than was paid for it.
+ * @param {Object} orderItem - Order item with quantity, taxableValue, lineTax, quantityRefunded, amountRefunded
+ * @param {number} quantity - Units being refunded
+ * @returns {Object} Refund amount and discount clawed back
+ */
+export const calculateItemRefundAmount = (orderItem, quantity) => {
+  const taxableValue = orderItem.taxableValue ?? orderItem.lineTotal;
+  const linePaid = taxableValue + (orderItem.lineTax || 0);
+  const refundedQuantity = orderItem.quantityRefunded || 0;
+  const lineDiscount = (orderItem.lineDiscount || 0) + (orderItem.allocatedDiscount || 0);
+
+  const isFinalRefund = refundedQuantity + quantity >= orderItem.quantity;
+  const amount = isFinalRefund
+    ? linePaid - (orderItem.amountRefunded || 0)
+    : (linePaid * quantity) / orderItem.quantity;
+
+  return {
+    amount: Math.max(0, parseFloat(amount.toFixed(2))),
+    discountReversed: parseFloat(((lineDiscount * quantity) / orderItem.quantity).toFixed(2))
+  };
+};
+
 /**
  * Calculate partial refund percentage
  * @param {number} refundAmount - Amount being refunded
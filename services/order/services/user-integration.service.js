@@ -29,3 +29,17 @@ export async function getUserById(userId) {
 export async function getUserProfile(userId) {
   return getUserById(userId);
 }
+
+/**
+ * Get a customer's name, email, phone and marketing consent from the auth service
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { success, data: { userId, firstName, lastName, email, phone, marketingConsent } }
+ */
+export async function getCustomerContact(userId) {
+  try {
+    const response = await httpClient.get(`/api/internal/customers/${userId}/contact`);
+    return { success: true, data: response.data?.contact || null };
+  } catch (error) {
+    return handleServiceError(error, "Auth");
+  }
+}
@@ -0,0 +1,210 @@
+import { sendResponse, HTTP_STATUS } from "@shared/utils";
+import { CartRecovery, RecoverySequence } from "../../models/index.js";
+import { DEFAULT_CART_RECOVERY_STEPS } from "../../utils/constants.js";
+import * as cartRecoveryService from "../../services/cart-recovery.service.js";
+
+/**
+ * Get recovery sequences (admin)
+ * Includes the default sequence used while none is active
+ * @route GET /api/admin/cart-recovery/sequences
+ * @access Private (Admin)
+ */
+export const getSequences = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    console.log("> Getting cart recovery sequences");
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive;
+
+    const sequences = await RecoverySequence.find(query)
+      .sort({ isActive: -1, minCartValue: -1, createdAt: -1 })
+      .lean();
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Recovery sequences retrieved successfully",
+      {
+        sequences,
+        defaultSequence: { name: "Default", minCartValue: 0, steps: DEFAULT_CART_RECOVERY_STEPS }
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error getting recovery sequences:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve recovery sequences",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Create a recovery sequence (admin)
+ * @route POST /api/admin/cart-recovery/sequences
+ * @access Private (Admin)
+ */
+export const createSequence = async (req, res) => {
+  try {
+    console.log("> Creating cart recovery sequence:", req.body.name);
+
+    const sequence = await RecoverySequence.create({
+      ...req.body,
+      createdById: req.adminId,
+      updatedById: req.adminId
+    });
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Recovery sequence created successfully",
+      sequence,
+      null
+    );
+  } catch (error) {
+    console.log("> Error creating recovery sequence:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to create recovery sequence",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Update or deactivate a recovery sequence (admin)
+ * Carts already in the sequence keep the steps they started with
+ * @route PUT /api/admin/cart-recovery/sequences/:sequenceId
+ * @access Private (Admin)
+ */
+export const updateSequence = async (req, res) => {
+  try {
+    const { sequenceId } = req.params;
+
+    console.log("> Updating cart recovery sequence:", sequenceId);
+
+    const sequence = await RecoverySequence.findByIdAndUpdate(
+      sequenceId,
+      { $set: { ...req.body, updatedById: req.adminId } },
+      { new: true, runValidators: true }
+    );
+
+    if (!sequence) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Recovery sequence not found",
+        null,
+        null
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Recovery sequence updated successfully",
+      sequence,
+      null
+    );
+  } catch (error) {
+    console.log("> Error updating recovery sequence:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to update recovery sequence",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Get cart recoveries with the messages sent and the attributed order (admin)
+ * @route GET /api/admin/cart-recovery/recoveries
+ * @access Private (Admin)
+ */
+export const getRecoveries = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, sequenceId, cartId } = req.query;
+
+    console.log("> Getting cart recoveries", { status, sequenceId, cartId });
+
+    const query = {};
+    if (status) query.status = status;
+    if (sequenceId) query.sequenceId = sequenceId;
+    if (cartId) query.cartId = cartId;
+
+    const skip = (page - 1) * limit;
+
+    const [recoveries, total] = await Promise.all([
+      CartRecovery.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      CartRecovery.countDocuments(query)
+    ]);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Cart recoveries retrieved successfully",
+      {
+        recoveries,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / limit)
+        }
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error getting cart recoveries:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve cart recoveries",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Get recovery funnel and attributed orders per sequence and step (admin)
+ * @route GET /api/admin/cart-recovery/stats
+ * @access Private (Admin)
+ */
+export const getRecoveryStats = async (req, res) => {
+  try {
+    console.log("> Getting cart recovery stats", req.query);
+
+    const sequences = await cartRecoveryService.getRecoveryStats(req.query);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Cart recovery stats retrieved successfully",
+      { sequences },
+      null
+    );
+  } catch (error) {
+    console.log("> Error getting cart recovery stats:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve cart recovery stats",
+      null,
+      error.message
+    );
+  }
+};
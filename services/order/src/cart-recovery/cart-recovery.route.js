@@ -0,0 +1,74 @@
+import express from "express";
+import { validate } from "@shared/middlewares";
+import { authenticateAdmin } from "@shared/auth-middleware";
+import * as cartRecoveryController from "./cart-recovery.controller.js";
+import * as cartRecoveryValidation from "./cart-recovery.validation.js";
+
+/**
+ * Admin Cart Recovery Routes
+ * Base path: /api/admin/cart-recovery
+ */
+const adminRouter = express.Router();
+
+// Apply admin authentication to all admin routes
+adminRouter.use(authenticateAdmin);
+
+/**
+ * @route   GET /api/admin/cart-recovery/sequences
+ * @desc    Get recovery sequences
+ * @access  Private (Admin)
+ */
+adminRouter.get(
+  "/sequences",
+  validate(cartRecoveryValidation.getSequencesSchema),
+  cartRecoveryController.getSequences
+);
+
+/**
+ * @route   POST /api/admin/cart-recovery/sequences
+ * @desc    Create a recovery sequence
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/sequences",
+  validate(cartRecoveryValidation.createSequenceSchema),
+  cartRecoveryController.createSequence
+);
+
+/**
+ * @route   PUT /api/admin/cart-recovery/sequences/:sequenceId
+ * @desc    Update or deactivate a recovery sequence
+ * @access  Private (Admin)
+ */
+adminRouter.put(
+  "/sequences/:sequenceId",
+  validate(cartRecoveryValidation.updateSequenceSchema),
+  cartRecoveryController.updateSequence
+);
+
+/**
+ * @route   GET /api/admin/cart-recovery/recoveries
+ * @desc    Get cart recoveries with messages sent and attributed orders
+ * @access  Private (Admin)
+ */
+adminRouter.get(
+  "/recoveries",
+  validate(cartRecoveryValidation.getRecoveriesSchema),
+  cartRecoveryController.getRecoveries
+);
+
+/**
+ * @route   GET /api/admin/cart-recovery/stats
+ * @desc    Get recovery funnel and attributed orders per sequence and step
+ * @access  Private (Admin)
+ */
+adminRouter.get(
+  "/stats",
+  validate(cartRecoveryValidation.getRecoveryStatsSchema),
+  cartRecoveryController.getRecoveryStats
+);
+
+/**
+ * Export routers using dual export pattern
+ */
+export const admin = adminRouter;
@@ -0,0 +1,110 @@
+import Joi from "joi";
+import { CART_RECOVERY_CHANNELS, CART_RECOVERY_STATUS } from "../../utils/constants.js";
+
+/**
+ * Validation schemas for abandoned cart recovery operations
+ */
+
+const objectId = Joi.string().hex().length(24);
+
+const stepSchema = Joi.object({
+  delayHours: Joi.number().min(0).max(24 * 30).required().messages({
+    "any.required": "Step delay (hours) is required"
+  }),
+  channel: Joi.string().valid(...CART_RECOVERY_CHANNELS).required().messages({
+    "any.only": `Channel must be one of ${CART_RECOVERY_CHANNELS.join(", ")}`,
+    "any.required": "Step channel is required"
+  }),
+  templateCode: Joi.string().trim().uppercase().allow(null).optional(),
+  coupon: Joi.object({
+    batchId: objectId.required().messages({
+      "string.hex": "Coupon batch ID must be a valid ID",
+      "string.length": "Coupon batch ID must be a valid ID",
+      "any.required": "Coupon batch ID is required"
+    }),
+    validForHours: Joi.number().integer().min(1).allow(null).optional()
+  }).allow(null).optional()
+});
+
+// Each step's delay counts from the cart's last activity, so delays must increase
+const stepsSchema = Joi.array().items(stepSchema).min(1).max(10).custom((steps, helpers) => {
+  for (let i = 1; i < steps.length; i++) {
+    if (steps[i].delayHours <= steps[i - 1].delayHours) {
+      return helpers.message("Step delays must increase from one step to the next");
+    }
+  }
+  return steps;
+});
+
+/**
+ * Create recovery sequence validation (admin)
+ */
+export const createSequenceSchema = {
+  body: Joi.object({
+    name: Joi.string().trim().max(200).required().messages({
+      "string.empty": "Name is required",
+      "any.required": "Name is required"
+    }),
+    description: Joi.string().trim().max(1000).allow("").optional(),
+    minCartValue: Joi.number().min(0).default(0),
+    isActive: Joi.boolean().default(true),
+    steps: stepsSchema.required().messages({
+      "any.required": "At least one step is required"
+    })
+  })
+};
+
+/**
+ * Update recovery sequence validation (admin)
+ * Carts already in the sequence keep the steps they started with
+ */
+export const updateSequenceSchema = {
+  params: Joi.object({
+    sequenceId: objectId.required()
+  }),
+  body: Joi.object({
+    name: Joi.string().trim().max(200),
+    description: Joi.string().trim().max(1000).allow(""),
+    minCartValue: Joi.number().min(0),
+    isActive: Joi.boolean(),
+    steps: stepsSchema
+  }).min(1)
+};
+
+/**
+ * Get recovery sequences validation (admin)
+ */
+export const getSequencesSchema = {
+  query: Joi.object({
+    isActive: Joi.boolean().optional()
+  })
+};
+
+/**
+ * Get cart recoveries validation (admin)
+ */
+export const getRecoveriesSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid(...Object.values(CART_RECOVERY_STATUS)).optional(),
+    sequenceId: objectId.optional(),
+    cartId: objectId.optional()
+  })
+};
+
+/**
+ * Get recovery stats validation (admin)
+ */
+export const getRecoveryStatsSchema = {
+  query: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().when("from", {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref("from"))
+    }).optional().messages({
+      "date.min": "to must not be before from"
+    }),
+    sequenceId: objectId.optional()
+  })
+};
@@ -1,5 +1,4 @@
-import { sendResponse } from "@shared/utils";
-import { HTTP_STATUS } from "../../utils/constants.js";
+import { sendResponse, HTTP_STATUS } from "@shared/utils";
 import * as cartMigrationService from "../../services/cart-migration.service.js";
 
 /**
@@ -4,8 +4,9 @@ import { CART_STATUS, CART_EXPIRY_HOURS, MAX_CART_ITEMS } from "../../utils/cons
 import * as inventoryService from "../../services/inventory-integration.service.js";
 import * as pricingService from "../../services/pricing-integration.service.js";
 import * as catalogService from "../../services/catalog-integration.service.js";
-import { calculateCartTotals } from "../../services/totals-calculator.service.js";
+import { calculateCartTotals, calculateSubtotal } from "../../services/totals-calculator.service.js";
 import * as cartValidationService from "../../services/cart-validation.service.js";
+import * as cartRecoveryService from "../../services/cart-recovery.service.js";
 
 /**
  * Get or create user's active cart
@@ -580,11 +581,13 @@ export const applyCoupon = async (req, res) => {
       );
     }
 
-    cart.appliedCoupons.push({
+    // Pricing evaluates one coupon per cart, so a new coupon replaces the previous one
+    cart.appliedCoupons = [{
       couponId: couponValidation.data.couponId,
       code: couponCode,
-      discountAmount: couponValidation.data.discountAmount
-    });
+      discountAmount: couponValidation.data.discountAmount,
+      appliedAt: new Date()
+    }];
 
     await cart.save();
 
@@ -842,6 +845,137 @@ export const removeDeletedItems = async (req, res) => {
   }
 };
 
+/**
+ * Save contact details and reminder consent on the cart
+ * Lets abandoned cart reminders reach guests; SMS and WhatsApp are only sent with consent
+ * @route PUT /api/cart/contact
+ * @access Private (Consumer or Guest)
+ */
+export const updateContact = async (req, res) => {
+  try {
+    const { email, phone, consent } = req.body;
+
+    // Determine if user is logged in or guest
+    const isGuest = req.userType === "guest";
+    const identifier = isGuest ? req.guestId : req.userId;
+    const identifierField = isGuest ? "sessionId" : "userId";
+
+    console.log(`> Saving cart contact for ${isGuest ? "guest" : "user"}:`, identifier);
+
+    const cart = await Cart.findOne({
+      [identifierField]: identifier,
+      status: CART_STATUS.ACTIVE
+    });
+
+    if (!cart) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "No active cart found",
+        null,
+        null
+      );
+    }
+
+    cart.contact = {
+      email: email !== undefined ? email : cart.contact?.email || null,
+      phone: phone !== undefined ? phone : cart.contact?.phone || null,
+      consent,
+      capturedAt: new Date()
+    };
+    await cart.save();
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Contact details saved successfully",
+      { contact: cart.contact },
+      null
+    );
+  } catch (error) {
+    console.log("> Error saving cart contact:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to save contact details",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Restore a cart from an abandoned cart recovery link
+ * Works on any device: the cart moves to the requester, or is merged into their active cart.
+ * A coupon sent with the message is applied if the cart has none.
+ * @route POST /api/cart/restore
+ * @access Private (Consumer or Guest)
+ */
+export const restoreCart = async (req, res) => {
+  try {
+    const isGuest = req.userType === "guest";
+    const identifier = isGuest ? req.guestId : req.userId;
+
+    console.log(`> Restoring cart from recovery link for ${isGuest ? "guest" : "user"}:`, identifier);
+
+    const result = await cartRecoveryService.restoreCartFromToken(req.body.token, {
+      userId: isGuest ? null : req.userId,
+      guestId: isGuest ? req.guestId : null
+    });
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        result.error
+      );
+    }
+
+    const { cart, merged, couponCode } = result.data;
+
+    if (couponCode && cart.appliedCoupons.length === 0) {
+      const items = await CartItem.find({ cartId: cart._id }).lean();
+      const couponValidation = await pricingService.validateCoupon(couponCode, identifier, cart.subtotal, items);
+
+      if (couponValidation.success) {
+        cart.appliedCoupons = [{
+          couponId: couponValidation.data.couponId,
+          code: couponCode,
+          discountAmount: couponValidation.data.discountAmount,
+          appliedAt: new Date()
+        }];
+        await cart.save();
+      } else {
+        console.log(`> Recovery coupon ${couponCode} not applied: ${couponValidation.error}`);
+      }
+    }
+
+    await recalculateCartTotals(cart._id);
+
+    const updatedCart = await Cart.findById(cart._id).lean();
+    const updatedItems = await CartItem.find({ cartId: cart._id }).lean();
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Cart restored successfully",
+      { ...updatedCart, items: updatedItems, merged },
+      null
+    );
+  } catch (error) {
+    console.log("> Error restoring cart:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to restore cart",
+      null,
+      error.message
+    );
+  }
+};
+
 /**
  * Get abandoned carts (admin)
  * @route GET /api/admin/cart/abandoned
@@ -1005,6 +1139,104 @@ export const deleteCart = async (req, res) => {
   }
 };
 
+/**
+ * Helper function to refresh cart coupons, discounts, free gifts and per-line discount
+ * allocations from the pricing service
+ * Keeps the previously stored promotions if the pricing service is unavailable.
+ * @param {Object} cart - Cart document (modified in place)
+ * @param {Array} items - Cart items
+ */
+const applyCartPromotions = async (cart, items) => {
+  const paidItems = items.filter(item => !item.isFreeGift);
+  const appliedCoupon = cart.appliedCoupons[0] || null;
+
+  if (paidItems.length === 0) {
+    cart.appliedDiscounts = [];
+    cart.freeGifts = [];
+    return;
+  }
+
+  const pricingResult = await pricingService.calculateCartTotals({
+    cartSubtotal: calculateSubtotal(paidItems),
+    couponCode: appliedCoupon ? appliedCoupon.code : null,
+    items: paidItems.map(item => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      price: item.unitPrice
+    }))
+  });
+
+  if (!pricingResult.success) {
+    console.log("> Pricing service unavailable, keeping stored promotions:", pricingResult.error);
+    return;
+  }
+
+  const pricing = pricingResult.data;
+  const now = new Date();
+
+  cart.appliedCoupons = appliedCoupon ? [appliedCoupon] : [];
+  if (appliedCoupon) {
+    appliedCoupon.discountAmount = pricing.coupon ? pricing.coupon.discount : 0;
+    appliedCoupon.discountType = pricing.coupon ? pricing.coupon.type : appliedCoupon.discountType;
+    if (pricing.couponError) {
+      console.log(`> Coupon ${appliedCoupon.code} no longer applies: ${pricing.couponError}`);
+    }
+  }
+
+  cart.appliedDiscounts = [
+    ...pricing.automaticDiscounts.map(discount => ({
+      discountId: String(discount.id),
+      name: discount.name,
+      discountAmount: discount.amount,
+      discountType: "automatic",
+      appliedAt: now
+    })),
+    ...(pricing.tierDiscounts || []).map(discount => ({
+      discountId: String(discount.id),
+      name: discount.name,
+      discountAmount: discount.amount,
+      discountType: "tier",
+      appliedAt: now
+    }))
+  ];
+
+  cart.freeGifts = (pricing.freeGifts || []).map(gift => ({
+    ruleId: String(gift.ruleId),
+    productId: gift.productId,
+    variantId: gift.variantId,
+    quantity: gift.quantity,
+    addedAt: now
+  }));
+
+  // Store each line's share of the discounts; lineIndex points into paidItems
+  const allocationsByLine = new Map((pricing.lineAllocations || []).map(line => [line.lineIndex, line]));
+  await CartItem.bulkWrite(
+    paidItems.map((item, lineIndex) => {
+      const line = allocationsByLine.get(lineIndex);
+      return {
+        updateOne: {
+          filter: { _id: item._id },
+          update: {
+            $set: {
+              allocatedDiscount: line ? line.discount : 0,
+              discountAllocations: line
+                ? line.allocations.map(allocation => ({
+                  type: allocation.type,
+                  promotionId: String(allocation.id),
+                  name: allocation.name,
+                  code: allocation.code || null,
+                  amount: allocation.amount
+                }))
+                : []
+            }
+          }
+        }
+      };
+    })
+  );
+};
+
 /**
  * Helper function to recalculate cart totals
  * @param {string} cartId - Cart ID
@@ -1023,6 +1255,8 @@ const recalculateCartTotals = async (cartId, maxRetries = 3) => {
       const currentVersion = cart.version;
       const items = await CartItem.find({ cartId }).lean();
 
+      await applyCartPromotions(cart, items);
+
       const totals = calculateCartTotals(
         { items, appliedCoupons: cart.appliedCoupons, appliedDiscounts: cart.appliedDiscounts },
         cart.shippingTotal || 0,
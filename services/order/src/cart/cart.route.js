@@ -115,6 +115,30 @@ consumerRouter.delete(
   cartController.removeCoupon
 );
 
+/**
+ * @route   PUT /api/cart/contact
+ * @desc    Save contact details and reminder consent on the cart
+ * @access  Private (Consumer or Guest)
+ */
+consumerRouter.put(
+  "/contact",
+  requireAuthOrGuest,
+  validate(cartValidation.updateContactSchema),
+  cartController.updateContact
+);
+
+/**
+ * @route   POST /api/cart/restore
+ * @desc    Restore a cart from an abandoned cart recovery link
+ * @access  Private (Consumer or Guest)
+ */
+consumerRouter.post(
+  "/restore",
+  requireAuthOrGuest,
+  validate(cartValidation.restoreCartSchema),
+  cartController.restoreCart
+);
+
 /**
  * Admin Cart Routes
  * Base path: /api/admin/cart
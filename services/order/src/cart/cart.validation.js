@@ -98,6 +98,39 @@ export const getAbandonedCartsSchema = {
   })
 };
 
+/**
+ * Save contact details validation
+ * Guests give an email or phone so abandoned cart reminders can reach them
+ */
+export const updateContactSchema = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email().allow(null).optional().messages({
+      "string.email": "Email must be a valid email address"
+    }),
+    phone: Joi.string().trim().pattern(/^[6-9]\d{9}$/).allow(null).optional().messages({
+      "string.pattern.base": "Phone number must be a valid 10-digit Indian mobile number"
+    }),
+    consent: Joi.object({
+      sms: Joi.boolean().default(false),
+      whatsapp: Joi.boolean().default(false)
+    }).default({ sms: false, whatsapp: false })
+  }).or("email", "phone").messages({
+    "object.missing": "Email or phone is required"
+  })
+};
+
+/**
+ * Restore cart from recovery link validation
+ */
+export const restoreCartSchema = {
+  body: Joi.object({
+    token: Joi.string().trim().required().messages({
+      "string.empty": "Restore token is required",
+      "any.required": "Restore token is required"
+    })
+  })
+};
+
 /**
  * Get cart by ID validation (admin)
  */
@@ -7,15 +7,24 @@ import {
   PAYMENT_STATUS,
   PAYMENT_METHOD,
   CHECKOUT_EXPIRY_MINUTES,
-  INVENTORY_RESERVATION_MINUTES
+  INVENTORY_RESERVATION_MINUTES,
+  PAYMENT_RECONCILIATION_WINDOW_HOURS,
+  DEFAULT_ITEM_WEIGHT_GRAMS,
+  WEIGHT_UNIT_TO_GRAMS,
+  DEFAULT_GST_RATE,
+  TENDER_STATUS
 } from "../../utils/constants.js";
 import * as inventoryService from "../../services/inventory-integration.service.js";
 import * as shippingService from "../../services/shipping-integration.service.js";
 import * as catalogService from "../../services/catalog-integration.service.js";
 import * as pricingService from "../../services/pricing-integration.service.js";
-import { calculateCartTotals } from "../../services/totals-calculator.service.js";
+import * as cartRecoveryService from "../../services/cart-recovery.service.js";
+import { calculateCartTotals, calculateLineTaxes, roundAmount } from "../../services/totals-calculator.service.js";
+import { getOriginStatesByVariant, buildFallbackTaxBreakdown, formatPlaceOfSupply } from "../../services/gst.service.js";
 import { createAddressSnapshot, createOrderItemSnapshot } from "../../services/snapshot.service.js";
 import { generateOrderNumber } from "../../services/order-number.service.js";
+import * as tenderService from "../../services/tender.service.js";
+import { holdOrderTenders, releaseOrderTenders, sendOrderConfirmedNotification } from "../../services/engagement-integration.service.js";
 
 /**
  * Initiate checkout from cart
@@ -195,14 +204,49 @@ export const updateShippingAddress = async (req, res) => {
       );
     }
 
-    const shippingMethods = await shippingService.getShippingMethods(
-      shippingAddress.pincode,
-      session.subtotal
+    const packageData = await buildPackageData(session);
+    const shippingMethods = await shippingService.getAvailableShippingMethods(
+      shippingAddress,
+      packageData
     );
 
+    if (shippingMethods.success && shippingMethods.data?.serviceable === false) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Delivery is not available to this pincode",
+        null,
+        "PINCODE_NOT_SERVICEABLE"
+      );
+    }
+
+    // Re-allocate stock now that the delivery pincode is known
+    const cartItems = await CartItem.find({ cartId: session.cartId }).lean();
+    const allocationResult = await inventoryService.reserveCheckoutAllocation(
+      session.cartId.toString(),
+      cartItems.map(item => ({ variantId: item.variantId, quantity: item.quantity })),
+      shippingAddress.pincode
+    );
+
+    if (!allocationResult.success && allocationResult.statusCode < 500) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.CONFLICT,
+        "Some items are no longer available. Please update your cart.",
+        null,
+        "OUT_OF_STOCK"
+      );
+    }
+
+    if (!allocationResult.success) {
+      console.log("> Warning: Unable to allocate stock for pincode, keeping existing reservations");
+    }
+
     session.shippingAddress = createAddressSnapshot(shippingAddress);
     session.status = CHECKOUT_STATUS.ADDRESS_ENTERED;
-    session.availableShippingMethods = shippingMethods.success ? shippingMethods.data : [];
+    session.availableShippingMethods = shippingMethods.success ? shippingMethods.data?.methods || [] : [];
+    session.shippingMethod = null;
+    session.fulfillmentPlan = allocationResult.success ? allocationResult.data?.allocation || null : null;
 
     await session.save();
 
@@ -314,7 +358,7 @@ export const updateBillingAddress = async (req, res) => {
 export const selectShippingMethod = async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { shippingMethodId, shippingCost, estimatedDeliveryDays } = req.body;
+    const { shippingMethodId } = req.body;
 
     // Determine if user is logged in or guest
     const isGuest = req.userType === "guest";
@@ -351,49 +395,81 @@ export const selectShippingMethod = async (req, res) => {
       );
     }
 
+    // Price the selected method server-side so the client cannot set its own shipping cost
+    const packageData = await buildPackageData(session);
+    const rateResult = await shippingService.calculateShippingRate(
+      shippingMethodId,
+      session.shippingAddress,
+      packageData
+    );
+
+    if (!rateResult.success) {
+      return sendResponse(
+        res,
+        rateResult.statusCode === 404 || rateResult.statusCode === 400
+          ? HTTP_STATUS.BAD_REQUEST
+          : HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        "Selected shipping method is not available",
+        null,
+        rateResult.error
+      );
+    }
+
+    const shippingRate = rateResult.data;
+
     session.shippingMethod = {
-      methodId: shippingMethodId,
-      cost: shippingCost,
-      estimatedDeliveryDays: estimatedDeliveryDays || null
+      methodId: shippingRate.methodId,
+      name: shippingRate.name || null,
+      carrierName: shippingRate.carrierName || null,
+      cost: shippingRate.rate,
+      estimatedDeliveryDays: shippingRate.estimatedDays || null,
+      estimatedDaysMin: shippingRate.estimatedDaysMin || null,
+      codAvailable: shippingRate.codAvailable === true
     };
-    session.shippingTotal = shippingCost;
+    session.shippingTotal = shippingRate.rate;
+
+    // Tax each line at its HSN rate, inter-state when its warehouse is in another state
+    const cartItems = await CartItem.find({ cartId: session.cartId }).lean();
+    const originStates = getOriginStatesByVariant(session.fulfillmentPlan);
+    const destinationState = session.shippingAddress?.state || null;
+    const taxLines = cartItems.map(item => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      taxableValue: Math.max(0, roundAmount(item.lineTotal - (item.allocatedDiscount || 0))),
+      originState: originStates.get(item.variantId) || null
+    }));
 
-    // Calculate tax by calling pricing service
-    const taxableAmount = session.subtotal - session.discountTotal + session.shippingTotal;
     const taxResult = await pricingService.calculateTax({
-      amount: taxableAmount,
-      state: session.shippingAddress?.state,
+      lines: taxLines,
+      shippingAmount: session.shippingTotal,
+      state: destinationState,
       country: session.shippingAddress?.country || "IN"
     });
 
-    let taxTotal = 0;
     let taxBreakdown = null;
 
-    if (taxResult.success && taxResult.data?.data) {
-      const taxData = taxResult.data.data;
-      taxTotal = taxData.taxAmount || 0;
+    if (taxResult.success && taxResult.data?.lines) {
+      const taxData = taxResult.data;
       taxBreakdown = {
         taxAmount: taxData.taxAmount,
         taxRate: taxData.taxRate,
         taxableAmount: taxData.taxableAmount,
-        cgst: taxData.breakdown?.cgst,
-        sgst: taxData.breakdown?.sgst
+        cgst: taxData.breakdown?.cgst || 0,
+        sgst: taxData.breakdown?.sgst || 0,
+        igst: taxData.breakdown?.igst || 0,
+        destinationState,
+        lines: taxData.lines,
+        shipping: taxData.shipping
       };
-      console.log(`> Tax calculated via pricing service: ${taxTotal} (${taxData.taxRate}%)`);
+      console.log(`> Tax calculated via pricing service: ${taxData.taxAmount} (effective ${taxData.taxRate}%)`);
     } else {
-      // Fallback to 18% default GST if pricing service fails
-      const defaultTaxRate = 18;
-      taxTotal = Math.round((taxableAmount * defaultTaxRate / 100) * 100) / 100;
-      taxBreakdown = {
-        taxAmount: taxTotal,
-        taxRate: defaultTaxRate,
-        taxableAmount: taxableAmount,
-        cgst: Math.round((taxTotal / 2) * 100) / 100,
-        sgst: Math.round((taxTotal / 2) * 100) / 100
-      };
-      console.log(`> Warning: Pricing service unavailable, using fallback ${defaultTaxRate}% tax: ${taxTotal}`);
+      // Fall back to the default GST rate for every line if pricing service fails
+      taxBreakdown = buildFallbackTaxBreakdown(taxLines, session.shippingTotal, destinationState);
+      console.log(`> Warning: Pricing service unavailable, using fallback ${DEFAULT_GST_RATE}% tax: ${taxBreakdown.taxAmount}`);
     }
 
+    const taxTotal = taxBreakdown.taxAmount;
+
     session.taxTotal = taxTotal;
     session.taxBreakdown = taxBreakdown;
     session.grandTotal = session.subtotal - session.discountTotal + session.shippingTotal + taxTotal;
@@ -426,9 +502,13 @@ export const selectShippingMethod = async (req, res) => {
  * @access Private (Consumer or Guest)
  */
 export const completeCheckout = async (req, res) => {
+  // Set once points or store credit are held, so a failure below gives them back
+  let heldOrderId = null;
+
   try {
     const { sessionId } = req.params;
-    const { paymentMethod, notes } = req.body;
+    const { paymentMethod, notes, loyaltyPoints, storeCreditAmount } = req.body;
+    const usesTenders = loyaltyPoints > 0 || storeCreditAmount > 0;
 
     // Determine if user is logged in or guest
     const isGuest = req.userType === "guest";
@@ -475,6 +555,26 @@ export const completeCheckout = async (req, res) => {
       );
     }
 
+    if (paymentMethod === PAYMENT_METHOD.COD && !session.shippingMethod.codAvailable) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Cash on delivery is not available for the selected shipping method",
+        null,
+        "COD_NOT_AVAILABLE"
+      );
+    }
+
+    if (isGuest && usesTenders) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Sign in to pay with loyalty points or store credit",
+        null,
+        "TENDER_REQUIRES_ACCOUNT"
+      );
+    }
+
     // Validate applied coupons before order creation
     if (session.appliedCoupons && session.appliedCoupons.length > 0) {
       console.log(`> Validating ${session.appliedCoupons.length} applied coupons`);
@@ -648,9 +748,19 @@ export const completeCheckout = async (req, res) => {
       orderNumber,
       status: ORDER_STATUS.PENDING,
       paymentStatus: PAYMENT_STATUS.PENDING,
+      // COD orders are marked paid when the carrier delivers them; everything else goes through Razorpay
+      paymentMethod: paymentMethod === PAYMENT_METHOD.COD ? "cod" : "razorpay",
       shippingAddressSnapshot: session.shippingAddress,
       billingAddressSnapshot: session.billingAddress,
-      shippingMethodSnapshot: session.shippingMethod,
+      shippingMethodSnapshot: {
+        methodId: session.shippingMethod.methodId,
+        name: session.shippingMethod.name,
+        carrierName: session.shippingMethod.carrierName,
+        rate: session.shippingMethod.cost,
+        estimatedDaysMin: session.shippingMethod.estimatedDaysMin,
+        estimatedDaysMax: session.shippingMethod.estimatedDeliveryDays,
+        isCodAvailable: session.shippingMethod.codAvailable
+      },
       appliedCouponsSnapshot: session.appliedCoupons,
       appliedDiscountsSnapshot: session.appliedDiscounts,
       currency: session.currency,
@@ -658,6 +768,15 @@ export const completeCheckout = async (req, res) => {
       discountTotal: session.discountTotal,
       shippingTotal: session.shippingTotal,
       taxTotal: session.taxTotal,
+      taxBreakdownSnapshot: session.taxBreakdown
+        ? {
+          cgst: session.taxBreakdown.cgst || 0,
+          sgst: session.taxBreakdown.sgst || 0,
+          igst: session.taxBreakdown.igst || 0,
+          placeOfSupply: formatPlaceOfSupply(session.shippingAddress?.state),
+          shipping: session.taxBreakdown.shipping || null
+        }
+        : null,
       grandTotal: session.grandTotal,
       itemCount: session.itemCount,
       notes: notes || ""
@@ -684,7 +803,47 @@ export const completeCheckout = async (req, res) => {
       orderData.guestInfo = null;
     }
 
-    const order = await Order.create(orderData);
+    const order = new Order(orderData);
+
+    // Hold the points and store credit first; the gateway only charges what they don't cover.
+    // The hold lasts as long as a gateway payment for the order can still arrive.
+    if (usesTenders) {
+      const holdExpiresAt = new Date();
+      holdExpiresAt.setHours(holdExpiresAt.getHours() + PAYMENT_RECONCILIATION_WINDOW_HOURS);
+
+      const holdResult = await holdOrderTenders({
+        userId: identifier,
+        orderId: order._id.toString(),
+        orderNumber,
+        orderTotal: session.grandTotal,
+        loyaltyPoints,
+        storeCreditAmount,
+        expiresAt: holdExpiresAt.toISOString()
+      });
+
+      if (!holdResult.success) {
+        console.log(`> Failed to hold tenders: ${holdResult.error}`);
+        return sendResponse(
+          res,
+          holdResult.statusCode >= 500 ? HTTP_STATUS.INTERNAL_SERVER_ERROR : HTTP_STATUS.BAD_REQUEST,
+          "Could not apply loyalty points or store credit",
+          null,
+          holdResult.error
+        );
+      }
+
+      heldOrderId = order._id.toString();
+      const hold = holdResult.data.hold;
+      order.tenders = {
+        loyaltyPoints: hold.loyaltyPoints,
+        loyaltyAmount: hold.loyaltyAmount,
+        storeCreditAmount: hold.storeCreditAmount,
+        gatewayAmount: roundAmount(order.grandTotal - hold.loyaltyAmount - hold.storeCreditAmount),
+        status: TENDER_STATUS.HELD
+      };
+    }
+
+    await order.save();
 
     const productPromises = cartItems.map(item =>
       catalogService.getProductVariant(item.productId, item.variantId)
@@ -696,6 +855,33 @@ export const completeCheckout = async (req, res) => {
       return createOrderItemSnapshot(item, productData, order._id);
     });
 
+    // Carry each line's GST from the checkout tax breakdown (after its share of the order discounts)
+    const taxLinesByVariant = new Map(
+      (session.taxBreakdown?.lines || []).map(line => [line.variantId, line])
+    );
+    const lineTaxes = calculateLineTaxes(
+      orderItemsData.map(item => {
+        const taxLine = taxLinesByVariant.get(item.variantId);
+        return taxLine
+          ? { taxableValue: item.taxableValue, gstRate: taxLine.gstRate, isInterState: taxLine.isInterState }
+          : item;
+      }),
+      session.taxBreakdown?.taxRate || 0,
+      (session.taxBreakdown?.igst || 0) > 0
+    );
+    orderItemsData.forEach((item, index) => {
+      const taxLine = taxLinesByVariant.get(item.variantId);
+      const tax = lineTaxes.lines[index];
+
+      item.lineTax = tax.totalTax;
+      item.taxBreakup = { cgst: tax.cgst, sgst: tax.sgst, igst: tax.igst };
+      item.gstRate = taxLine?.gstRate ?? session.taxBreakdown?.taxRate ?? null;
+      item.originState = taxLine?.originState || null;
+      if (taxLine?.hsnCode) {
+        item.hsnCode = taxLine.hsnCode;
+      }
+    });
+
     await OrderItem.insertMany(orderItemsData);
 
     const conversionResult = await inventoryService.convertReservationsToSale(
@@ -705,6 +891,10 @@ export const completeCheckout = async (req, res) => {
 
     if (!conversionResult.success) {
       console.log("> Failed to convert inventory reservations");
+    } else if (conversionResult.data?.allocations?.length > 0) {
+      order.fulfillmentAllocations = conversionResult.data.allocations;
+      await order.save();
+      await recordOrderItemLots(order._id, conversionResult.data.allocations);
     }
 
     // Record coupon usage for all applied coupons
@@ -713,10 +903,17 @@ export const completeCheckout = async (req, res) => {
 
       for (const couponCode of session.appliedCoupons) {
         try {
+          const couponDiscount = orderItemsData.reduce(
+            (total, item) => total + (item.discountAllocations || [])
+              .filter(allocation => allocation.code === couponCode)
+              .reduce((sum, allocation) => sum + (allocation.amount || 0), 0),
+            0
+          );
           const usageResult = await pricingService.recordCouponUsage(
             couponCode,
             identifier,
-            order._id.toString()
+            order._id.toString(),
+            roundAmount(couponDiscount)
           );
 
           if (usageResult.success) {
@@ -731,34 +928,94 @@ export const completeCheckout = async (req, res) => {
     }
 
     const idempotencyKey = `payment-${identifier}-${order._id}-${Date.now()}`;
+    const gatewayAmount = tenderService.getGatewayAmount(order);
+    const paymentTenders = order.tenders
+      ? {
+        loyaltyPoints: order.tenders.loyaltyPoints,
+        loyaltyAmount: order.tenders.loyaltyAmount,
+        storeCreditAmount: order.tenders.storeCreditAmount
+      }
+      : null;
 
-    const razorpayOrder = await createRazorpayOrder(order, idempotencyKey);
+    let razorpayOrder = null;
+    let payment;
 
-    if (!razorpayOrder.success) {
-      return sendResponse(
-        res,
-        HTTP_STATUS.INTERNAL_SERVER_ERROR,
-        "Failed to create payment",
-        null,
-        razorpayOrder.error
-      );
-    }
+    if (gatewayAmount <= 0) {
+      // Points and store credit cover the whole order, so there's nothing to charge
+      const captureResult = await tenderService.captureTenders(order);
+      if (!captureResult.success) {
+        throw new Error(`Failed to apply loyalty points or store credit: ${captureResult.error}`);
+      }
+      heldOrderId = null;
+
+      payment = await Payment.create({
+        orderId: order._id,
+        idempotencyKey,
+        gateway: "none",
+        method: paymentMethod,
+        status: PAYMENT_STATUS.SUCCESS,
+        amount: 0,
+        tenders: paymentTenders,
+        currency: order.currency,
+        capturedAt: new Date()
+      });
 
-    const payment = await Payment.create({
-      orderId: order._id,
-      idempotencyKey,
-      gateway: "razorpay",
-      gatewayOrderId: razorpayOrder.data.id,
-      method: paymentMethod,
-      status: PAYMENT_STATUS.INITIATED,
-      amount: Math.round(order.grandTotal * 100),
-      currency: order.currency
-    });
+      order.paymentMethod = "wallet";
+      order.paymentStatus = PAYMENT_STATUS.SUCCESS;
+      order.status = ORDER_STATUS.CONFIRMED;
+      order.confirmedAt = new Date();
+      await order.save();
+
+      sendOrderConfirmedNotification(order)
+        .catch(err => console.log("> Failed to send order confirmation notification:", err.message));
+    } else {
+      razorpayOrder = await createRazorpayOrder(order, idempotencyKey);
+
+      if (!razorpayOrder.success) {
+        await tenderService.releaseTenders(order, "checkout_failed");
+        heldOrderId = null;
+        return sendResponse(
+          res,
+          HTTP_STATUS.INTERNAL_SERVER_ERROR,
+          "Failed to create payment",
+          null,
+          razorpayOrder.error
+        );
+      }
+
+      // Cash on delivery collects only the rest, so the points and store credit are debited now
+      if (paymentMethod === PAYMENT_METHOD.COD) {
+        const captureResult = await tenderService.captureTenders(order);
+        if (!captureResult.success) {
+          throw new Error(`Failed to apply loyalty points or store credit: ${captureResult.error}`);
+        }
+      }
+
+      payment = await Payment.create({
+        orderId: order._id,
+        idempotencyKey,
+        gateway: "razorpay",
+        gatewayOrderId: razorpayOrder.data.id,
+        method: paymentMethod,
+        status: PAYMENT_STATUS.INITIATED,
+        amount: Math.round(gatewayAmount * 100),
+        tenders: paymentTenders,
+        currency: order.currency
+      });
+      heldOrderId = null;
+    }
 
     cart.status = CART_STATUS.CONVERTED;
     cart.convertedOrderId = order._id;
     await cart.save();
 
+    // Credit the abandoned cart recovery step that brought the customer back
+    try {
+      await cartRecoveryService.attributeRecoveredOrder(cart, order);
+    } catch (error) {
+      console.log(`> Warning: Failed to record cart recovery attribution: ${error.message}`);
+    }
+
     session.status = CHECKOUT_STATUS.COMPLETED;
     session.orderId = order._id;
     await session.save();
@@ -770,9 +1027,10 @@ export const completeCheckout = async (req, res) => {
       {
         order,
         payment: {
-          razorpayOrderId: razorpayOrder.data.id,
+          razorpayOrderId: razorpayOrder?.data.id || null,
           amount: payment.amount,
           currency: payment.currency,
+          tenders: payment.tenders,
           keyId: process.env.RAZORPAY_KEY_ID
         }
       },
@@ -780,6 +1038,12 @@ export const completeCheckout = async (req, res) => {
     );
   } catch (error) {
     console.log("> Error completing checkout:", error.message);
+    if (heldOrderId) {
+      releaseOrderTenders(heldOrderId, "checkout_failed")
+        .then((result) => {
+          if (!result.success) console.log("> Warning: Failed to release tenders:", result.error);
+        });
+    }
     return sendResponse(
       res,
       HTTP_STATUS.INTERNAL_SERVER_ERROR,
@@ -1018,6 +1282,65 @@ export const getExpiredCheckouts = async (req, res) => {
   }
 };
 
+/**
+ * Helper function to build package data for shipping rate calculation
+ * Sums variant weights from catalog; falls back to DEFAULT_ITEM_WEIGHT_GRAMS per unit
+ * @param {Object} session - Checkout session
+ * @returns {Promise<Object>} Package data {weight, weightUnit, orderValue, itemCount}
+ */
+const buildPackageData = async (session) => {
+  const cartItems = await CartItem.find({ cartId: session.cartId }).lean();
+
+  const variantResults = await Promise.all(
+    cartItems.map(item => catalogService.getVariant(item.variantId))
+  );
+
+  let totalGrams = 0;
+  cartItems.forEach((item, index) => {
+    const weight = variantResults[index].success ? variantResults[index].data?.variant?.weight : null;
+    const unitGrams = weight?.value
+      ? weight.value * (WEIGHT_UNIT_TO_GRAMS[weight.unit] || 1)
+      : DEFAULT_ITEM_WEIGHT_GRAMS;
+    totalGrams += unitGrams * item.quantity;
+  });
+
+  return {
+    weight: Math.ceil(totalGrams),
+    weightUnit: "g",
+    orderValue: session.subtotal - session.discountTotal,
+    itemCount: cartItems.reduce((sum, item) => sum + item.quantity, 0)
+  };
+};
+
+/**
+ * Helper function to copy picked inventory lots onto order items
+ * @param {string} orderId - Order ID
+ * @param {Array} allocations - Warehouse allocations returned by reservation conversion
+ */
+const recordOrderItemLots = async (orderId, allocations) => {
+  const lotsByVariant = new Map();
+
+  for (const allocation of allocations) {
+    for (const item of allocation.items) {
+      if (!item.lots || item.lots.length === 0) continue;
+      const lots = lotsByVariant.get(item.variantId) || [];
+      lots.push(...item.lots);
+      lotsByVariant.set(item.variantId, lots);
+    }
+  }
+
+  if (lotsByVariant.size === 0) return;
+
+  await OrderItem.bulkWrite(
+    [...lotsByVariant].map(([variantId, lots]) => ({
+      updateOne: {
+        filter: { orderId, variantId, isFreeGift: { $ne: true } },
+        update: { $set: { lots } }
+      }
+    }))
+  );
+};
+
 /**
  * Helper function to create Razorpay order
  * @param {Object} order - Order object
@@ -1037,9 +1360,9 @@ const createRazorpayOrder = async (order, idempotencyKey) => {
       data: {
         id: mockOrderId,
         entity: "order",
-        amount: Math.round(order.grandTotal * 100),
+        amount: Math.round(tenderService.getGatewayAmount(order) * 100),
         amount_paid: 0,
-        amount_due: Math.round(order.grandTotal * 100),
+        amount_due: Math.round(tenderService.getGatewayAmount(order) * 100),
         currency: order.currency,
         receipt: order.orderNumber,
         status: "created",
@@ -1064,7 +1387,7 @@ const createRazorpayOrder = async (order, idempotencyKey) => {
     });
 
     const razorpayOrder = await razorpay.orders.create({
-      amount: Math.round(order.grandTotal * 100),
+      amount: Math.round(tenderService.getGatewayAmount(order) * 100),
       currency: order.currency,
       receipt: order.orderNumber,
       notes: {
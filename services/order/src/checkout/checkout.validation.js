@@ -109,11 +109,8 @@ export const selectShippingMethodSchema = {
       "string.empty": "Shipping method ID is required",
       "any.required": "Shipping method ID is required"
     }),
-    shippingCost: Joi.number().min(0).required().messages({
-      "number.base": "Shipping cost must be a number",
-      "number.min": "Shipping cost cannot be negative",
-      "any.required": "Shipping cost is required"
-    }),
+    // Cost and delivery estimate are priced by the shipping service; client values are ignored
+    shippingCost: Joi.number().min(0).optional(),
     estimatedDeliveryDays: Joi.number().integer().min(1).max(90).optional()
   })
 };
@@ -137,7 +134,17 @@ export const completeCheckoutSchema = {
         "any.only": "Invalid payment method",
         "any.required": "Payment method is required"
       }),
-    notes: Joi.string().trim().max(500).allow("", null).optional()
+    notes: Joi.string().trim().max(500).allow("", null).optional(),
+    // Paid before the gateway charge; the rest of the total goes to paymentMethod
+    loyaltyPoints: Joi.number().integer().min(0).default(0).messages({
+      "number.base": "Loyalty points must be a number",
+      "number.integer": "Loyalty points must be a whole number",
+      "number.min": "Loyalty points cannot be negative"
+    }),
+    storeCreditAmount: Joi.number().min(0).precision(2).default(0).messages({
+      "number.base": "Store credit amount must be a number",
+      "number.min": "Store credit amount cannot be negative"
+    })
   })
 };
 
@@ -0,0 +1,140 @@
+import { sendResponse, HTTP_STATUS } from "@shared/utils";
+import { Order } from "../../models/index.js";
+import { ORDER_STATUS } from "../../utils/constants.js";
+import * as customerDataService from "../../services/customer-data.service.js";
+
+// Orders in these statuses never became a purchase and are left out of customer stats
+const EXCLUDED_FROM_STATS = [ORDER_STATUS.PENDING, ORDER_STATUS.CANCELLED];
+
+/**
+ * Get order history stats for a batch of customers
+ * @route POST /api/internal/customers/order-stats
+ * @access Internal (service authentication)
+ */
+export const getCustomerOrderStats = async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    console.log(`> Getting order stats for ${userIds.length} customers (service: ${req.serviceId})`);
+
+    const results = await Order.aggregate([
+      {
+        $match: {
+          userId: { $in: userIds },
+          status: { $nin: EXCLUDED_FROM_STATS }
+        }
+      },
+      {
+        $group: {
+          _id: "$userId",
+          orderCount: { $sum: 1 },
+          lifetimeValue: { $sum: { $subtract: ["$grandTotal", { $ifNull: ["$refundedAmount", 0] }] } },
+          firstOrderAt: { $min: "$createdAt" },
+          lastOrderAt: { $max: "$createdAt" }
+        }
+      }
+    ]);
+
+    const stats = {};
+    for (const result of results) {
+      stats[result._id] = {
+        orderCount: result.orderCount,
+        lifetimeValue: Math.round(result.lifetimeValue * 100) / 100,
+        averageOrderValue: Math.round((result.lifetimeValue / result.orderCount) * 100) / 100,
+        firstOrderAt: result.firstOrderAt,
+        lastOrderAt: result.lastOrderAt
+      };
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Customer order stats retrieved successfully",
+      { stats },
+      null
+    );
+  } catch (error) {
+    console.log("> Error getting customer order stats:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve customer order stats",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Export a customer's order data (personal data export)
+ * @route GET /api/internal/customers/:userId/export
+ * @access Internal (service authentication)
+ */
+export const exportCustomerData = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    console.log(`> Exporting order data for customer ${userId} (service: ${req.serviceId})`);
+
+    const result = await customerDataService.exportCustomerData(userId);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Customer data exported successfully",
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error exporting customer data:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to export customer data",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Pseudonymize a customer's order data (account deletion)
+ * @route POST /api/internal/customers/:userId/pseudonymize
+ * @access Internal (service authentication)
+ */
+export const pseudonymizeCustomerData = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    console.log(`> Pseudonymizing order data for customer ${userId} (service: ${req.serviceId})`);
+
+    const result = await customerDataService.pseudonymizeCustomerData(userId);
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        result.error
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Customer data pseudonymized successfully",
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error pseudonymizing customer data:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to pseudonymize customer data",
+      null,
+      error.message
+    );
+  }
+};
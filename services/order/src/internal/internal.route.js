@@ -1,5 +1,9 @@
 import express from "express";
+import { validate } from "@shared/middlewares";
+import { authenticateService } from "@shared/auth-middleware";
 import * as cartMigrationController from "../cart/cart-migration.controller.js";
+import * as internalController from "./internal.controller.js";
+import * as internalValidation from "./internal.validation.js";
 
 /**
  * Internal Routes
@@ -20,4 +24,40 @@ router.post(
   cartMigrationController.migrateGuestCart
 );
 
+/**
+ * @route   POST /api/internal/customers/order-stats
+ * @desc    Order count, lifetime value and last order date for a batch of customers
+ * @access  Internal (service authentication)
+ */
+router.post(
+  "/customers/order-stats",
+  authenticateService,
+  validate(internalValidation.getCustomerOrderStatsSchema),
+  internalController.getCustomerOrderStats
+);
+
+/**
+ * @route   GET /api/internal/customers/:userId/export
+ * @desc    Export a customer's order data
+ * @access  Internal (service authentication)
+ */
+router.get(
+  "/customers/:userId/export",
+  authenticateService,
+  validate(internalValidation.customerIdParamSchema, "params"),
+  internalController.exportCustomerData
+);
+
+/**
+ * @route   POST /api/internal/customers/:userId/pseudonymize
+ * @desc    Scrub personal details from a customer's order data
+ * @access  Internal (service authentication)
+ */
+router.post(
+  "/customers/:userId/pseudonymize",
+  authenticateService,
+  validate(internalValidation.customerIdParamSchema, "params"),
+  internalController.pseudonymizeCustomerData
+);
+
 export default router;
@@ -0,0 +1,28 @@
+import Joi from "joi";
+
+/**
+ * Validation schemas for internal (service-to-service) operations
+ */
+
+/**
+ * Customer order stats validation
+ */
+export const getCustomerOrderStatsSchema = {
+  body: Joi.object({
+    userIds: Joi.array().items(Joi.string().trim()).min(1).max(500).required().messages({
+      "array.max": "At most 500 user IDs can be requested at once",
+      "any.required": "User IDs are required"
+    })
+  })
+};
+
+/**
+ * Customer ID param validation
+ */
+export const customerIdParamSchema = {
+  params: Joi.object({
+    userId: Joi.string().trim().required().messages({
+      "any.required": "User ID is required"
+    })
+  })
+};
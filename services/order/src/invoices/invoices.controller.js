@@ -3,8 +3,12 @@ import { Invoice } from "../../models/index.js";
 import { Order } from "../../models/index.js";
 import { OrderItem } from "../../models/index.js";
 import { Payment } from "../../models/index.js";
-import { sendInvoiceEmail as sendInvoiceEmailService } from "../../services/engagement-integration.service.js";
-import PDFDocument from "pdfkit";
+import { Refund } from "../../models/index.js";
+import { sendInvoiceIssuedNotification, queueTemplatedNotification } from "../../services/engagement-integration.service.js";
+import { buildSaleTotals, createSaleInvoice, createCreditNote, generateInvoicePdf } from "../../services/invoice.service.js";
+import { buildInvoiceLines } from "../../services/gst.service.js";
+import { buildGstr1Report, toGstr1Csv } from "../../services/gstr-report.service.js";
+import { INVOICE_TYPE, REFUND_STATUS } from "../../utils/constants.js";
 import path from "path";
 import fs from "fs";
 
@@ -101,7 +105,7 @@ export const getInvoiceByOrderId = async (req, res) => {
     }
 
     // Find invoice
-    const invoice = await Invoice.findOne({ orderId });
+    const invoice = await Invoice.findOne({ orderId, type: INVOICE_TYPE.SALE });
 
     if (!invoice) {
       console.log("> Invoice not found for this order");
@@ -167,10 +171,9 @@ export const downloadInvoicePdf = async (req, res) => {
 
     // Get order details
     const order = await Order.findById(invoice.orderId);
-    const orderItems = await OrderItem.find({ orderId: invoice.orderId });
 
     // Generate PDF
-    const pdfBuffer = await generateInvoicePdf(invoice, order, orderItems);
+    const pdfBuffer = await generateInvoicePdf(invoice, order);
 
     // Set response headers
     res.setHeader("Content-Type", "application/pdf");
@@ -285,7 +288,7 @@ export const generateInvoice = async (req, res) => {
     }
 
     // Check if invoice already exists
-    const existingInvoice = await Invoice.findOne({ orderId });
+    const existingInvoice = await Invoice.findOne({ orderId, type: INVOICE_TYPE.SALE });
 
     if (existingInvoice) {
       console.log("> Invoice already exists for this order");
@@ -316,71 +319,19 @@ export const generateInvoice = async (req, res) => {
     // Get order items
     const orderItems = await OrderItem.find({ orderId });
 
-    // Calculate invoice amounts
-    let subtotal = 0;
-    let totalTax = 0;
-
-    for (const item of orderItems) {
-      subtotal += item.lineTotal;
-      totalTax += item.lineTax;
-    }
-
-    let total = subtotal + totalTax;
-
-    // Add shipping charges if included
-    if (includeShippingCharges && order.shippingCharges) {
-      total += order.shippingCharges;
-    }
-
-    // Subtract discounts if included
-    let totalDiscount = 0;
-    if (includeDiscounts && order.totalDiscount) {
-      totalDiscount = order.totalDiscount;
-      total -= totalDiscount;
-    }
-
-    // Generate invoice number (format: INV-YYYYMMDD-XXXXX)
-    const date = new Date();
-    const dateStr = date.toISOString().slice(0, 10).replace(/-/g, "");
-    const count = await Invoice.countDocuments();
-    const invoiceNumber = `INV-${dateStr}-${String(count + 1).padStart(5, "0")}`;
-
-    // Create invoice
-    const invoice = await Invoice.create({
-      invoiceNumber,
-      orderId,
-      userId: order.userId,
-      customerName: order.customerName,
-      customerEmail: order.customerEmail,
-      customerPhone: order.customerPhone,
-      billingAddress: order.billingAddress,
-      shippingAddress: order.shippingAddress,
-      items: orderItems.map((item) => ({
-        productId: item.productId,
-        productName: item.productName,
-        variantId: item.variantId,
-        variantName: item.variantName,
-        sku: item.sku,
-        quantity: item.quantity,
-        unitPrice: item.unitPrice,
-        lineDiscount: includeDiscounts ? item.lineDiscount : 0,
-        lineTax: item.lineTax,
-        lineTotal: item.lineTotal
-      })),
-      subtotal,
-      totalTax,
-      totalDiscount: includeDiscounts ? totalDiscount : 0,
-      shippingCharges: includeShippingCharges ? order.shippingCharges : 0,
-      total,
-      notes: notes || null,
-      generatedBy: req.user._id.toString()
+    // Create invoice with the GST breakup of every line
+    const invoice = await createSaleInvoice(order, orderItems, {
+      createdById: req.user._id.toString(),
+      includeShippingCharges,
+      includeDiscounts,
+      notes
     });
 
     console.log("> Invoice generated successfully:", invoice.invoiceNumber);
 
     // Send invoice email
     try {
-      await sendInvoiceEmailNotification(invoice, order, orderItems);
+      await sendInvoiceEmailNotification(invoice, order);
     } catch (emailError) {
       console.error("> Failed to send invoice email:", emailError);
     }
@@ -417,6 +368,7 @@ export const getAllInvoices = async (req, res) => {
       limit = 20,
       userId,
       orderId,
+      type,
       startDate,
       endDate,
       sortBy = "createdAt",
@@ -428,6 +380,7 @@ export const getAllInvoices = async (req, res) => {
 
     if (userId) filter.userId = userId;
     if (orderId) filter.orderId = orderId;
+    if (type) filter.type = type;
 
     if (startDate || endDate) {
       filter.createdAt = {};
@@ -556,36 +509,33 @@ export const sendInvoiceEmail = async (req, res) => {
 
     // Get order details
     const order = await Order.findById(invoice.orderId);
-    const orderItems = await OrderItem.find({ orderId: invoice.orderId });
-
-    // Generate PDF
-    const pdfBuffer = await generateInvoicePdf(invoice, order, orderItems);
 
     // Determine recipient email
     const toEmail = recipientEmail || invoice.customerEmail;
 
-    // Send email with PDF attachment
-    const emailData = {
-      to: toEmail,
-      subject: subject || `Invoice ${invoice.invoiceNumber} - Cleanse Ayurveda`,
-      template: "invoice",
-      context: {
+    // A resend is queued directly so it isn't collapsed into the original invoice.issued event
+    const result = await queueTemplatedNotification({
+      templateCode: "INVOICE_ISSUED",
+      userId: order.userId || null,
+      channel: "email",
+      recipient: toEmail,
+      variables: {
         customerName: invoice.customerName,
         invoiceNumber: invoice.invoiceNumber,
         orderNumber: order.orderNumber,
-        total: invoice.total,
+        orderUrl: `${process.env.FRONTEND_URL}/orders/${order._id}`,
+        total: invoice.totals.grandTotal,
+        subject: subject || `Invoice ${invoice.invoiceNumber}`,
         message: message || ""
       },
-      attachments: [
-        {
-          filename: `invoice-${invoice.invoiceNumber}.pdf`,
-          content: pdfBuffer,
-          contentType: "application/pdf"
-        }
-      ]
-    };
+      referenceType: "invoice",
+      referenceId: invoice._id.toString()
+    });
 
-    await sendInvoiceEmailService(emailData);
+    if (!result.success) {
+      console.log("> Invoice email not queued:", result.error);
+      return sendResponse(res, result.statusCode || 502, "Failed to send invoice email", null, result.error);
+    }
 
     // Update invoice
     invoice.emailSentAt = new Date();
@@ -641,38 +591,26 @@ export const regenerateInvoice = async (req, res) => {
     const order = await Order.findById(invoice.orderId);
     const orderItems = await OrderItem.find({ orderId: invoice.orderId });
 
-    // Recalculate amounts
-    let subtotal = 0;
-    let totalTax = 0;
-
-    for (const item of orderItems) {
-      subtotal += item.lineTotal;
-      totalTax += item.lineTax;
+    if (invoice.type === INVOICE_TYPE.CREDIT_NOTE) {
+      console.log("> Credit notes cannot be regenerated");
+      return sendResponse(
+        res,
+        400,
+        "Credit notes cannot be regenerated",
+        null,
+        "Only sale invoices can be regenerated"
+      );
     }
 
-    let total = subtotal + totalTax + (order.shippingCharges || 0) - (order.totalDiscount || 0);
+    // Rebuild lines and totals from the current order items
+    const items = buildInvoiceLines(orderItems, order);
+    const { totals, taxSummary } = buildSaleTotals(items);
 
-    // Update invoice
-    invoice.items = orderItems.map((item) => ({
-      productId: item.productId,
-      productName: item.productName,
-      variantId: item.variantId,
-      variantName: item.variantName,
-      sku: item.sku,
-      quantity: item.quantity,
-      unitPrice: item.unitPrice,
-      lineDiscount: item.lineDiscount,
-      lineTax: item.lineTax,
-      lineTotal: item.lineTotal
-    }));
-    invoice.subtotal = subtotal;
-    invoice.totalTax = totalTax;
-    invoice.totalDiscount = order.totalDiscount || 0;
-    invoice.shippingCharges = order.shippingCharges || 0;
-    invoice.total = total;
+    invoice.items = items;
+    invoice.totals = totals;
+    invoice.taxSummary = taxSummary;
     invoice.regenerationReason = reason;
     invoice.notes = notes || invoice.notes;
-    invoice.regeneratedBy = req.user._id.toString();
     invoice.regeneratedAt = new Date();
 
     await invoice.save();
@@ -697,6 +635,103 @@ export const regenerateInvoice = async (req, res) => {
   }
 };
 
+/**
+ * Issue credit note for a completed refund
+ * @route POST /api/admin/invoices/credit-notes/:refundId
+ */
+export const issueCreditNote = async (req, res) => {
+  try {
+    console.log("> Issuing credit note for refund:", req.params.refundId);
+
+    const { refundId } = req.params;
+
+    const refund = await Refund.findById(refundId);
+
+    if (!refund) {
+      console.log("> Refund not found");
+      return sendResponse(res, 404, "Refund not found", null, "Refund not found");
+    }
+
+    if (refund.status !== REFUND_STATUS.COMPLETED) {
+      console.log("> Refund not completed");
+      return sendResponse(
+        res,
+        400,
+        "Credit note cannot be issued",
+        null,
+        "Credit notes can only be issued for completed refunds"
+      );
+    }
+
+    const creditNote = await createCreditNote(refund, req.user._id.toString());
+
+    if (!creditNote) {
+      console.log("> No sale invoice for the refunded order");
+      return sendResponse(
+        res,
+        400,
+        "Credit note cannot be issued",
+        null,
+        "The order has no invoice to adjust"
+      );
+    }
+
+    console.log("> Credit note issued:", creditNote.invoiceNumber);
+    return sendResponse(res, 201, "Credit note issued successfully", { creditNote }, null);
+  } catch (error) {
+    console.error("> Error issuing credit note:", error);
+    return sendResponse(res, 500, "Failed to issue credit note", null, error.message);
+  }
+};
+
+/**
+ * Get GSTR-1 report for a period
+ * @route GET /api/admin/invoices/reports/gstr1
+ */
+export const getGstr1Report = async (req, res) => {
+  try {
+    console.log("> Building GSTR-1 report");
+
+    const { startDate, endDate, format = "json", section } = req.query;
+    const period = { $gte: new Date(startDate), $lte: new Date(endDate) };
+
+    const [invoices, creditNotes] = await Promise.all([
+      Invoice.find({ type: INVOICE_TYPE.SALE, issuedAt: period }).lean(),
+      Invoice.find({ type: INVOICE_TYPE.CREDIT_NOTE, issuedAt: period }).lean()
+    ]);
+
+    // Credit notes may adjust invoices issued in an earlier period
+    const originalInvoiceIds = [...new Set(creditNotes.map(note => String(note.originalInvoiceId)))];
+    const originalInvoices = await Invoice.find({ _id: { $in: originalInvoiceIds } }).lean();
+    const originalInvoicesById = new Map(originalInvoices.map(invoice => [String(invoice._id), invoice]));
+
+    const report = buildGstr1Report({ invoices, creditNotes, originalInvoicesById });
+
+    if (format === "csv") {
+      const filename = `gstr1-${section}-${new Date(startDate).toISOString().split("T")[0]}.csv`;
+
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.send(toGstr1Csv(section, report[section]));
+    }
+
+    console.log(`> GSTR-1 report built from ${invoices.length} invoices and ${creditNotes.length} credit notes`);
+    return sendResponse(
+      res,
+      200,
+      "GSTR-1 report generated successfully",
+      {
+        period: { startDate, endDate },
+        ...(section ? { [section]: report[section], summary: report.summary } : report)
+      },
+      null
+    );
+  } catch (error) {
+    console.error("> Error building GSTR-1 report:", error);
+    return sendResponse(res, 500, "Failed to generate GSTR-1 report", null, error.message);
+  }
+};
+
 /**
  * Get invoice statistics
  * @route GET /api/admin/invoices/stats
@@ -708,7 +743,7 @@ export const getInvoiceStats = async (req, res) => {
     const { startDate, endDate, groupBy = "day" } = req.query;
 
     // Build match filter
-    const matchFilter = {};
+    const matchFilter = { type: INVOICE_TYPE.SALE };
 
     if (startDate || endDate) {
       matchFilter.createdAt = {};
@@ -742,8 +777,8 @@ export const getInvoiceStats = async (req, res) => {
         $group: {
           _id: { $dateToString: { format: dateFormat, date: "$createdAt" } },
           count: { $sum: 1 },
-          totalAmount: { $sum: "$total" },
-          avgAmount: { $avg: "$total" }
+          totalAmount: { $sum: "$totals.grandTotal" },
+          avgAmount: { $avg: "$totals.grandTotal" }
         }
       },
       { $sort: { _id: 1 } }
@@ -756,10 +791,10 @@ export const getInvoiceStats = async (req, res) => {
         $group: {
           _id: null,
           totalInvoices: { $sum: 1 },
-          totalRevenue: { $sum: "$total" },
-          avgInvoiceAmount: { $avg: "$total" },
-          minInvoiceAmount: { $min: "$total" },
-          maxInvoiceAmount: { $max: "$total" }
+          totalRevenue: { $sum: "$totals.grandTotal" },
+          avgInvoiceAmount: { $avg: "$totals.grandTotal" },
+          minInvoiceAmount: { $min: "$totals.grandTotal" },
+          maxInvoiceAmount: { $max: "$totals.grandTotal" }
         }
       }
     ]);
@@ -799,171 +834,13 @@ export const getInvoiceStats = async (req, res) => {
  */
 
 /**
- * Generate invoice PDF
+ * Send invoice issued notification
  */
-async function generateInvoicePdf(invoice, order, orderItems) {
-  return new Promise((resolve, reject) => {
-    try {
-      const doc = new PDFDocument({ margin: 50 });
-      const buffers = [];
-
-      doc.on("data", buffers.push.bind(buffers));
-      doc.on("end", () => {
-        const pdfBuffer = Buffer.concat(buffers);
-        resolve(pdfBuffer);
-      });
-      doc.on("error", reject);
-
-      // Header
-      doc.fontSize(20).text("INVOICE", { align: "center" });
-      doc.moveDown();
-
-      // Company details (left side)
-      doc.fontSize(12).text("Cleanse Ayurveda", { continued: false });
-      doc.fontSize(10).text("Address Line 1");
-      doc.text("Address Line 2");
-      doc.text("Phone: +91-XXXXXXXXXX");
-      doc.text("Email: support@cleanseayurveda.com");
-      doc.moveDown();
-
-      // Invoice details (right side)
-      doc.fontSize(10);
-      doc.text(`Invoice Number: ${invoice.invoiceNumber}`, { align: "right" });
-      doc.text(`Order Number: ${order.orderNumber}`, { align: "right" });
-      doc.text(`Date: ${new Date(invoice.createdAt).toLocaleDateString()}`, { align: "right" });
-      doc.moveDown();
-
-      // Customer details
-      doc.fontSize(12).text("Bill To:", { underline: true });
-      doc.fontSize(10).text(invoice.customerName);
-      doc.text(invoice.customerEmail);
-      doc.text(invoice.customerPhone);
-      if (invoice.billingAddress) {
-        doc.text(invoice.billingAddress.addressLine1);
-        if (invoice.billingAddress.addressLine2) {
-          doc.text(invoice.billingAddress.addressLine2);
-        }
-        doc.text(
-          `${invoice.billingAddress.city}, ${invoice.billingAddress.state} ${invoice.billingAddress.postalCode}`
-        );
-      }
-      doc.moveDown();
-
-      // Items table
-      const tableTop = doc.y;
-      const itemCodeX = 50;
-      const descriptionX = 150;
-      const quantityX = 300;
-      const priceX = 360;
-      const amountX = 420;
-
-      // Table header
-      doc.fontSize(10).font("Helvetica-Bold");
-      doc.text("Item", itemCodeX, tableTop);
-      doc.text("Description", descriptionX, tableTop);
-      doc.text("Qty", quantityX, tableTop);
-      doc.text("Price", priceX, tableTop);
-      doc.text("Amount", amountX, tableTop);
-
-      // Horizontal line
-      doc
-        .moveTo(itemCodeX, tableTop + 15)
-        .lineTo(520, tableTop + 15)
-        .stroke();
-
-      // Table rows
-      let yPosition = tableTop + 25;
-      doc.font("Helvetica");
-
-      for (const item of invoice.items) {
-        doc.text(item.sku || "N/A", itemCodeX, yPosition);
-        doc.text(item.productName, descriptionX, yPosition, { width: 140 });
-        doc.text(item.quantity.toString(), quantityX, yPosition);
-        doc.text(`₹${item.unitPrice.toFixed(2)}`, priceX, yPosition);
-        doc.text(`₹${item.lineTotal.toFixed(2)}`, amountX, yPosition);
-        yPosition += 20;
-      }
-
-      // Horizontal line
-      doc
-        .moveTo(itemCodeX, yPosition)
-        .lineTo(520, yPosition)
-        .stroke();
-
-      yPosition += 10;
-
-      // Totals
-      doc.font("Helvetica");
-      doc.text("Subtotal:", priceX, yPosition);
-      doc.text(`₹${invoice.subtotal.toFixed(2)}`, amountX, yPosition);
-      yPosition += 20;
-
-      if (invoice.totalDiscount > 0) {
-        doc.text("Discount:", priceX, yPosition);
-        doc.text(`-₹${invoice.totalDiscount.toFixed(2)}`, amountX, yPosition);
-        yPosition += 20;
-      }
-
-      if (invoice.shippingCharges > 0) {
-        doc.text("Shipping:", priceX, yPosition);
-        doc.text(`₹${invoice.shippingCharges.toFixed(2)}`, amountX, yPosition);
-        yPosition += 20;
-      }
-
-      doc.text("Tax:", priceX, yPosition);
-      doc.text(`₹${invoice.totalTax.toFixed(2)}`, amountX, yPosition);
-      yPosition += 20;
-
-      // Grand total
-      doc.font("Helvetica-Bold").fontSize(12);
-      doc.text("Total:", priceX, yPosition);
-      doc.text(`₹${invoice.total.toFixed(2)}`, amountX, yPosition);
-
-      // Notes
-      if (invoice.notes) {
-        doc.moveDown(2);
-        doc.fontSize(10).font("Helvetica");
-        doc.text("Notes:", { underline: true });
-        doc.text(invoice.notes);
-      }
-
-      // Footer
-      doc.moveDown(2);
-      doc.fontSize(8).text("Thank you for your business!", { align: "center" });
-
-      doc.end();
-    } catch (error) {
-      reject(error);
-    }
-  });
-}
-
-/**
- * Send invoice email notification
- */
-async function sendInvoiceEmailNotification(invoice, order, orderItems) {
-  const pdfBuffer = await generateInvoicePdf(invoice, order, orderItems);
-
-  const emailData = {
-    to: invoice.customerEmail,
-    subject: `Your Invoice ${invoice.invoiceNumber} - Cleanse Ayurveda`,
-    template: "invoice",
-    context: {
-      customerName: invoice.customerName,
-      invoiceNumber: invoice.invoiceNumber,
-      orderNumber: order.orderNumber,
-      total: invoice.total
-    },
-    attachments: [
-      {
-        filename: `invoice-${invoice.invoiceNumber}.pdf`,
-        content: pdfBuffer,
-        contentType: "application/pdf"
-      }
-    ]
-  };
-
-  await sendInvoiceEmailService(emailData);
+async function sendInvoiceEmailNotification(invoice, order) {
+  const result = await sendInvoiceIssuedNotification(invoice, order);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
 
   invoice.emailSentAt = new Date();
   invoice.emailSentTo = invoice.customerEmail;
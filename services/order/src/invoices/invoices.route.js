@@ -88,6 +88,30 @@ adminRouter.post(
   invoicesController.generateInvoice
 );
 
+/**
+ * @route   GET /api/admin/invoices/reports/gstr1
+ * @desc    Get GSTR-1 sections (B2CL, B2CS, CDNUR, HSN summary) as JSON or CSV
+ * @access  Private (Admin)
+ */
+adminRouter.get(
+  "/reports/gstr1",
+  authenticateAdmin,
+  validate(invoicesValidation.getGstr1ReportSchema),
+  invoicesController.getGstr1Report
+);
+
+/**
+ * @route   POST /api/admin/invoices/credit-notes/:refundId
+ * @desc    Issue credit note for a completed refund
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/credit-notes/:refundId",
+  authenticateAdmin,
+  validate(invoicesValidation.issueCreditNoteSchema),
+  invoicesController.issueCreditNote
+);
+
 /**
  * @route   GET /api/admin/invoices
  * @desc    Get all invoices with filters
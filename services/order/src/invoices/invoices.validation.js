@@ -80,6 +80,7 @@ export const getAllInvoicesSchema = {
     limit: Joi.number().integer().min(1).max(100).default(20),
     userId: Joi.string().optional(),
     orderId: Joi.string().optional(),
+    type: Joi.string().valid("sale", "credit_note").optional(),
     startDate: Joi.date().iso().optional(),
     endDate: Joi.date().iso().optional(),
     sortBy: Joi.string().valid("createdAt", "invoiceNumber").default("createdAt"),
@@ -149,3 +150,38 @@ export const getInvoiceStatsSchema = {
     groupBy: Joi.string().valid("day", "week", "month", "year").default("day")
   })
 };
+
+/**
+ * Issue credit note validation (admin)
+ */
+export const issueCreditNoteSchema = {
+  params: Joi.object({
+    refundId: Joi.string().required().messages({
+      "string.empty": "Refund ID is required",
+      "any.required": "Refund ID is required"
+    })
+  })
+};
+
+/**
+ * GSTR-1 report validation (admin)
+ * CSV exports are per section, matching the GSTR-1 offline utility templates
+ */
+export const getGstr1ReportSchema = {
+  query: Joi.object({
+    startDate: Joi.date().iso().required().messages({
+      "any.required": "Start date is required"
+    }),
+    endDate: Joi.date().iso().min(Joi.ref("startDate")).required().messages({
+      "date.min": "End date must be after start date",
+      "any.required": "End date is required"
+    }),
+    format: Joi.string().valid("json", "csv").default("json"),
+    section: Joi.string().valid("b2cl", "b2cs", "cdnur", "hsn").when("format", {
+      is: "csv",
+      then: Joi.required().messages({
+        "any.required": "Section is required for CSV export"
+      })
+    })
+  })
+};
@@ -1,4 +1,4 @@
-import cron from "node-cron";
+import { JobRunner } from "@shared/job-runner";
 import { cartCleanupJob } from "./cart-cleanup.job.js";
 import { checkoutExpiryJob } from "./checkout-expiry.job.js";
 import { abandonedCartReminderJob } from "./abandoned-cart-reminder.job.js";
@@ -9,182 +9,86 @@ import { cartItemValidationJob } from "./cart-item-validation.job.js";
 
 /**
  * Job Scheduler
- * Manages all scheduled background jobs using node-cron
+ * Manages all scheduled background jobs. Each run is claimed in MongoDB,
+ * so with several replicas every job still runs once per schedule.
  */
 
-const jobs = [];
+export const jobRunner = new JobRunner({ service: "order" })
+  .register({
+    name: "cart-cleanup",
+    schedule: "0 2 * * *",
+    description: "Remove expired carts and their items (daily at 2:00 AM)",
+    handler: cartCleanupJob
+  })
+  .register({
+    name: "checkout-expiry",
+    schedule: "0 * * * *",
+    description: "Mark expired checkout sessions as expired (every hour)",
+    handler: checkoutExpiryJob
+  })
+  .register({
+    name: "abandoned-cart-reminder",
+    schedule: "*/15 * * * *",
+    description: "Send due abandoned cart recovery messages (every 15 minutes)",
+    handler: abandonedCartReminderJob
+  })
+  .register({
+    name: "order-auto-confirm",
+    schedule: "0 */2 * * *",
+    description: "Auto-confirm pending orders after the payment grace period (every 2 hours)",
+    handler: orderAutoConfirmJob
+  })
+  .register({
+    name: "payment-reconciliation",
+    schedule: "0 */4 * * *",
+    description: "Reconcile pending payment status with Razorpay (every 4 hours)",
+    handler: paymentReconciliationJob
+  })
+  .register({
+    name: "auto-invoice-generation",
+    schedule: "0 */6 * * *",
+    description: "Generate invoices for delivered orders (every 6 hours)",
+    handler: autoInvoiceGenerationJob
+  })
+  .register({
+    name: "cart-item-validation",
+    schedule: "0 */6 * * *",
+    description: "Check that products and variants in carts still exist (every 6 hours)",
+    handler: cartItemValidationJob
+  });
 
 /**
  * Initialize all scheduled jobs
+ * Call after the database connection is open.
  */
-export function initializeJobs() {
+export async function initializeJobs() {
   console.log("> Initializing background jobs...");
 
-  // Cart Cleanup Job - Runs daily at 2:00 AM
-  const cartCleanupTask = cron.schedule(
-    "0 2 * * *",
-    async () => {
-      console.log("\n> [SCHEDULED] Starting cart cleanup job");
-      const result = await cartCleanupJob();
-      console.log("> [SCHEDULED] Cart cleanup job result:", result);
-    },
-    {
-      scheduled: true,
-      timezone: process.env.TZ || "Asia/Kolkata"
-    }
-  );
-  jobs.push({ name: "cart-cleanup", task: cartCleanupTask, schedule: "Daily at 2:00 AM" });
-  console.log("> Scheduled: Cart Cleanup Job - Daily at 2:00 AM");
-
-  // Checkout Session Expiry Job - Runs every hour
-  const checkoutExpiryTask = cron.schedule(
-    "0 * * * *",
-    async () => {
-      console.log("\n> [SCHEDULED] Starting checkout session expiry job");
-      const result = await checkoutExpiryJob();
-      console.log("> [SCHEDULED] Checkout session expiry job result:", result);
-    },
-    {
-      scheduled: true,
-      timezone: process.env.TZ || "Asia/Kolkata"
-    }
-  );
-  jobs.push({ name: "checkout-expiry", task: checkoutExpiryTask, schedule: "Every hour" });
-  console.log("> Scheduled: Checkout Session Expiry Job - Every hour");
-
-  // Abandoned Cart Reminder Job - Runs every 6 hours
-  const abandonedCartReminderTask = cron.schedule(
-    "0 */6 * * *",
-    async () => {
-      console.log("\n> [SCHEDULED] Starting abandoned cart reminder job");
-      const result = await abandonedCartReminderJob();
-      console.log("> [SCHEDULED] Abandoned cart reminder job result:", result);
-    },
-    {
-      scheduled: true,
-      timezone: process.env.TZ || "Asia/Kolkata"
-    }
-  );
-  jobs.push({ name: "abandoned-cart-reminder", task: abandonedCartReminderTask, schedule: "Every 6 hours" });
-  console.log("> Scheduled: Abandoned Cart Reminder Job - Every 6 hours");
-
-  // Order Auto-Confirmation Job - Runs every 2 hours
-  const orderAutoConfirmTask = cron.schedule(
-    "0 */2 * * *",
-    async () => {
-      console.log("\n> [SCHEDULED] Starting order auto-confirmation job");
-      const result = await orderAutoConfirmJob();
-      console.log("> [SCHEDULED] Order auto-confirmation job result:", result);
-    },
-    {
-      scheduled: true,
-      timezone: process.env.TZ || "Asia/Kolkata"
-    }
-  );
-  jobs.push({ name: "order-auto-confirm", task: orderAutoConfirmTask, schedule: "Every 2 hours" });
-  console.log("> Scheduled: Order Auto-Confirmation Job - Every 2 hours");
-
-  // Payment Reconciliation Job - Runs every 4 hours
-  const paymentReconciliationTask = cron.schedule(
-    "0 */4 * * *",
-    async () => {
-      console.log("\n> [SCHEDULED] Starting payment reconciliation job");
-      const result = await paymentReconciliationJob();
-      console.log("> [SCHEDULED] Payment reconciliation job result:", result);
-    },
-    {
-      scheduled: true,
-      timezone: process.env.TZ || "Asia/Kolkata"
-    }
-  );
-  jobs.push({ name: "payment-reconciliation", task: paymentReconciliationTask, schedule: "Every 4 hours" });
-  console.log("> Scheduled: Payment Reconciliation Job - Every 4 hours");
-
-  // Auto Invoice Generation Job - Runs every 6 hours
-  const autoInvoiceGenerationTask = cron.schedule(
-    "0 */6 * * *",
-    async () => {
-      console.log("\n> [SCHEDULED] Starting auto invoice generation job");
-      const result = await autoInvoiceGenerationJob();
-      console.log("> [SCHEDULED] Auto invoice generation job result:", result);
-    },
-    {
-      scheduled: true,
-      timezone: process.env.TZ || "Asia/Kolkata"
-    }
-  );
-  jobs.push({ name: "auto-invoice-generation", task: autoInvoiceGenerationTask, schedule: "Every 6 hours" });
-  console.log("> Scheduled: Auto Invoice Generation Job - Every 6 hours");
+  await jobRunner.start();
 
-  // Cart Item Validation Job - Runs every 6 hours
-  const cartItemValidationTask = cron.schedule(
-    "0 */6 * * *",
-    async () => {
-      console.log("\n> [SCHEDULED] Starting cart item validation job");
-      const result = await cartItemValidationJob();
-      console.log("> [SCHEDULED] Cart item validation job result:", result);
-    },
-    {
-      scheduled: true,
-      timezone: process.env.TZ || "Asia/Kolkata"
-    }
-  );
-  jobs.push({ name: "cart-item-validation", task: cartItemValidationTask, schedule: "Every 6 hours" });
-  console.log("> Scheduled: Cart Item Validation Job - Every 6 hours");
-
-  console.log(`> Total scheduled jobs: ${jobs.length}`);
   console.log("> All background jobs initialized successfully\n");
 
-  return jobs;
+  return jobRunner;
 }
 
 /**
- * Get all scheduled jobs
+ * Get all scheduled jobs with their pause flag and last run
  */
 export function getScheduledJobs() {
-  return jobs.map((job) => ({
-    name: job.name,
-    schedule: job.schedule,
-    running: job.task.running || false
-  }));
+  return jobRunner.listJobs();
 }
 
 /**
  * Stop all scheduled jobs
  */
 export function stopAllJobs() {
-  console.log("> Stopping all background jobs...");
-
-  jobs.forEach((job) => {
-    job.task.stop();
-    console.log(`> Stopped: ${job.name}`);
-  });
-
-  console.log("> All background jobs stopped");
+  jobRunner.stop();
 }
 
 /**
  * Manually trigger a specific job (for testing/admin purposes)
+ * @returns {Promise<Object|null>} Job run, or null if the job is already running
  */
 export async function triggerJob(jobName) {
-  console.log(`> Manually triggering job: ${jobName}`);
-
-  switch (jobName) {
-    case "cart-cleanup":
-      return await cartCleanupJob();
-    case "checkout-expiry":
-      return await checkoutExpiryJob();
-    case "abandoned-cart-reminder":
-      return await abandonedCartReminderJob();
-    case "order-auto-confirm":
-      return await orderAutoConfirmJob();
-    case "payment-reconciliation":
-      return await paymentReconciliationJob();
-    case "auto-invoice-generation":
-      return await autoInvoiceGenerationJob();
-    case "cart-item-validation":
-      return await cartItemValidationJob();
-    default:
-      throw new Error(`Unknown job: ${jobName}`);
-  }
+  return jobRunner.trigger(jobName);
 }
@@ -1,5 +1,5 @@
 import { Order } from "../../models/order.model.js";
-import { sendEmail } from "../../services/engagement-integration.service.js";
+import { sendOrderConfirmedNotification } from "../../services/engagement-integration.service.js";
 
 /**
  * Order Auto-Confirmation Job
@@ -43,24 +43,10 @@ export async function orderAutoConfirmJob() {
 
         console.log(`> Auto-confirmed order ${order.orderNumber}`);
 
-        // Send confirmation email
-        try {
-          const emailData = {
-            to: order.customerEmail,
-            subject: `Order Confirmed - ${order.orderNumber}`,
-            template: "order-confirmed",
-            context: {
-              customerName: order.customerName,
-              orderNumber: order.orderNumber,
-              orderTotal: order.totalAmount,
-              orderUrl: `${process.env.FRONTEND_URL}/orders/${order._id}`
-            }
-          };
-
-          await sendEmail(emailData);
-          console.log(`> Sent confirmation email to ${order.customerEmail}`);
-        } catch (emailError) {
-          console.error(`> Failed to send confirmation email for order ${order.orderNumber}:`, emailError);
+        // Send confirmation notification
+        const notifyResult = await sendOrderConfirmedNotification(order);
+        if (!notifyResult.success) {
+          console.error(`> Failed to send confirmation for order ${order.orderNumber}:`, notifyResult.error);
         }
 
         confirmedCount++;
@@ -1,6 +1,8 @@
 import { Payment } from "../../models/payment.model.js";
 import { Order } from "../../models/order.model.js";
 import Razorpay from "razorpay";
+import * as tenderService from "../../services/tender.service.js";
+import { PAYMENT_RECONCILIATION_WINDOW_HOURS } from "../../utils/constants.js";
 
 /**
  * Payment Reconciliation Job
@@ -17,10 +19,9 @@ export async function paymentReconciliationJob() {
       key_secret: process.env.RAZORPAY_KEY_SECRET
     });
 
-    // Get reconciliation window from environment (default: check payments from last 48 hours)
-    const reconciliationWindowHours = parseInt(process.env.PAYMENT_RECONCILIATION_WINDOW_HOURS) || 48;
+    // Check payments from the reconciliation window (default: last 48 hours)
     const windowStart = new Date();
-    windowStart.setHours(windowStart.getHours() - reconciliationWindowHours);
+    windowStart.setHours(windowStart.getHours() - PAYMENT_RECONCILIATION_WINDOW_HOURS);
 
     console.log(`> Reconciling payments created after ${windowStart.toISOString()}`);
 
@@ -81,10 +82,16 @@ export async function paymentReconciliationJob() {
               order.paymentStatus = "paid";
               await order.save();
               console.log(`> Updated order ${order.orderNumber} payment status to paid`);
+
+              // Debit the points and store credit paid alongside
+              await tenderService.captureTendersForPayment(order);
             } else if (newStatus === "failed" && order.paymentStatus !== "failed") {
               order.paymentStatus = "failed";
               await order.save();
               console.log(`> Updated order ${order.orderNumber} payment status to failed`);
+
+              // Give back the points and store credit held for this payment
+              await tenderService.releaseTenders(order, "payment_failed");
             }
           }
 
@@ -3,6 +3,8 @@ import { Order, OrderItem, OrderStatusHistory, Payment } from "../../models/inde
 import { ORDER_STATUS, PAYMENT_STATUS, FULFILLMENT_STATUS, STATUS_TYPE, CHANGED_BY_TYPE } from "../../utils/constants.js";
 import * as inventoryService from "../../services/inventory-integration.service.js";
 import * as engagementService from "../../services/engagement-integration.service.js";
+import * as shipmentService from "../../services/shipment.service.js";
+import * as tenderService from "../../services/tender.service.js";
 
 /**
  * Get my orders (consumer)
@@ -173,6 +175,51 @@ export const getOrderByNumber = async (req, res) => {
   }
 };
 
+/**
+ * Get order tracking timeline (consumer)
+ * @route GET /api/orders/:orderId/tracking
+ * @access Private (Consumer)
+ */
+export const getOrderTracking = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { orderId } = req.params;
+
+    console.log("> Getting tracking for order:", orderId);
+
+    const order = await Order.findOne({ _id: orderId, userId }).lean();
+
+    if (!order) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Order not found",
+        null,
+        null
+      );
+    }
+
+    const tracking = await shipmentService.getOrderTracking(order);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Order tracking retrieved successfully",
+      tracking,
+      null
+    );
+  } catch (error) {
+    console.log("> Error getting order tracking:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve order tracking",
+      null,
+      error.message
+    );
+  }
+};
+
 /**
  * Cancel order (consumer)
  * @route POST /api/orders/:orderId/cancel
@@ -228,7 +275,16 @@ export const cancelOrder = async (req, res) => {
       console.log("> Failed to release inventory:", releaseResult.error);
     }
 
-    await engagementService.sendOrderCancellationEmail(userId, order.orderNumber);
+    // Give back any loyalty points and store credit the order was paid with
+    await tenderService.settleCancelledOrderTenders(order);
+
+    engagementService.sendOrderCancelledNotification(order)
+      .catch(err => console.log("> Warning: Failed to send cancelled notification:", err.message));
+
+    engagementService.reverseOrderLoyaltyPoints(order)
+      .then((result) => {
+        if (!result.success) console.log("> Warning: Failed to reverse loyalty points:", result.error);
+      });
 
     return sendResponse(
       res,
@@ -263,6 +319,7 @@ export const getAllOrders = async (req, res) => {
       status,
       paymentStatus,
       fulfillmentStatus,
+      tenderStatus,
       userId,
       orderNumber,
       email,
@@ -297,6 +354,7 @@ export const getAllOrders = async (req, res) => {
     if (status) query.status = status;
     if (paymentStatus) query.paymentStatus = paymentStatus;
     if (fulfillmentStatus) query.fulfillmentStatus = fulfillmentStatus;
+    if (tenderStatus) query["tenders.status"] = tenderStatus;
     if (userId) query.userId = userId;
     if (orderNumber) query.orderNumber = { $regex: orderNumber, $options: "i" };
     if (email) query.email = { $regex: email, $options: "i" };
@@ -352,6 +410,7 @@ export const getAllOrders = async (req, res) => {
           status,
           paymentStatus,
           fulfillmentStatus,
+          tenderStatus,
           dateRange: startDate || endDate ? { startDate, endDate } : null,
           amountRange: minAmount || maxAmount ? { minAmount, maxAmount } : null
         }
@@ -554,7 +613,7 @@ export const updateOrderStatus = async (req, res) => {
       }
 
       // Send shipment notification
-      await engagementService.sendOrderShippedEmail(order.userId, order.orderNumber, trackingNumber)
+      await engagementService.sendOrderShippedNotification(order)
         .catch(err => console.log("> Warning: Failed to send shipped notification:", err.message));
     }
 
@@ -582,7 +641,7 @@ export const updateOrderStatus = async (req, res) => {
       }
 
       // Send delivery notification
-      await engagementService.sendOrderDeliveredEmail(order.userId, order.orderNumber)
+      await engagementService.sendOrderDeliveredNotification(order)
         .catch(err => console.log("> Warning: Failed to send delivered notification:", err.message));
     }
 
@@ -590,6 +649,24 @@ export const updateOrderStatus = async (req, res) => {
     order.status = status;
     await order.save();
 
+    // Give back any loyalty points and store credit the order was paid with
+    if (status === ORDER_STATUS.CANCELLED) {
+      await tenderService.settleCancelledOrderTenders(order);
+    }
+
+    // Delivered orders earn loyalty points; cancelled and returned orders give them back
+    if (status === ORDER_STATUS.DELIVERED) {
+      engagementService.earnOrderLoyaltyPoints(order)
+        .then((result) => {
+          if (!result.success) console.log("> Warning: Failed to award loyalty points:", result.error);
+        });
+    } else if (status === ORDER_STATUS.CANCELLED || status === ORDER_STATUS.RETURNED) {
+      engagementService.reverseOrderLoyaltyPoints(order)
+        .then((result) => {
+          if (!result.success) console.log("> Warning: Failed to reverse loyalty points:", result.error);
+        });
+    }
+
     // Create status history entry
     await OrderStatusHistory.create({
       orderId: order._id,
@@ -689,7 +766,7 @@ export const updateFulfillmentStatus = async (req, res) => {
   try {
     const { orderId } = req.params;
     const { fulfillmentStatus, notes } = req.body;
-    const adminId = req.user.id;
+    const adminId = req.adminId;
 
     console.log("> Updating fulfillment status:", { orderId, fulfillmentStatus });
 
@@ -705,18 +782,11 @@ export const updateFulfillmentStatus = async (req, res) => {
       );
     }
 
-    const previousStatus = order.fulfillmentStatus;
-    order.fulfillmentStatus = fulfillmentStatus;
-    await order.save();
-
-    await OrderStatusHistory.create({
-      orderId: order._id,
-      statusType: STATUS_TYPE.FULFILLMENT,
-      oldStatus: previousStatus,
-      newStatus: fulfillmentStatus,
-      changedBy: CHANGED_BY_TYPE.ADMIN,
-      changedByUserId: adminId,
-      notes: notes || `Fulfillment status updated to ${fulfillmentStatus}`
+    // Manual override; carrier events keep this in sync automatically via shipments
+    await shipmentService.setFulfillmentStatus(order, fulfillmentStatus, {
+      changedByType: CHANGED_BY_TYPE.ADMIN,
+      changedById: adminId,
+      notes
     });
 
     return sendResponse(
@@ -947,6 +1017,10 @@ export const bulkUpdateStatus = async (req, res) => {
 
         await order.save();
 
+        if (status === ORDER_STATUS.CANCELLED) {
+          await tenderService.settleCancelledOrderTenders(order);
+        }
+
         // Create status history
         await OrderStatusHistory.create({
           orderId: order._id,
@@ -46,6 +46,17 @@ consumerRouter.get(
   ordersController.getOrderById
 );
 
+/**
+ * @route   GET /api/orders/:orderId/tracking
+ * @desc    Get shipment tracking timeline for an order
+ * @access  Private (Consumer)
+ */
+consumerRouter.get(
+  "/:orderId/tracking",
+  validate(ordersValidation.getOrderByIdSchema),
+  ordersController.getOrderTracking
+);
+
 /**
  * @route   POST /api/orders/:orderId/cancel
  * @desc    Cancel order
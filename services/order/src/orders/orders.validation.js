@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { TENDER_STATUS } from "../../utils/constants.js";
 
 /**
  * Validation schemas for order operations
@@ -86,6 +87,9 @@ export const getAllOrdersSchema = {
     fulfillmentStatus: Joi.string()
       .valid("unfulfilled", "partially_fulfilled", "fulfilled")
       .optional(),
+    tenderStatus: Joi.string()
+      .valid(...Object.values(TENDER_STATUS))
+      .optional(),
     userId: Joi.string().optional(),
     orderNumber: Joi.string().optional(),
     email: Joi.string().email().optional(),
@@ -4,6 +4,9 @@ import { Order, Payment, OrderStatusHistory, OrderItem } from "../../models/inde
 import { releaseReservation } from "../../services/inventory-integration.service.js";
 import * as inventoryService from "../../services/inventory-integration.service.js";
 import { sendPaymentSuccessNotification, sendPaymentFailedNotification } from "../../services/engagement-integration.service.js";
+import { handlePaymentLinkPaid, handlePaymentLinkExpired } from "../../services/exchange.service.js";
+import * as tenderService from "../../services/tender.service.js";
+import { TENDER_STATUS } from "../../utils/constants.js";
 
 /**
  * Consumer: Verify payment signature after payment
@@ -57,6 +60,9 @@ export const verifyPaymentSignature = async (req, res) => {
         order.paymentStatus = "success";
         await order.save();
 
+        // Debit the points and store credit paid alongside
+        await tenderService.captureTendersForPayment(order);
+
         // Create status history
         await OrderStatusHistory.create({
           orderId: order._id,
@@ -68,12 +74,8 @@ export const verifyPaymentSignature = async (req, res) => {
         });
 
         // Send payment success notification
-        sendPaymentSuccessNotification({
-          userId: order.userId,
-          orderNumber: order.orderNumber,
-          amount: payment.amount,
-          paymentId: razorpay_payment_id
-        }).catch(err => console.log("> Failed to send payment success notification:", err.message));
+        sendPaymentSuccessNotification(order, payment)
+          .catch(err => console.log("> Failed to send payment success notification:", err.message));
       }
     }
 
@@ -127,6 +129,16 @@ export const handleRazorpayWebhook = async (req, res) => {
         await handleRefundCreated(payload);
         break;
 
+      // Exchange price difference payment links
+      case "payment_link.paid":
+        await handlePaymentLinkPaid(payload);
+        break;
+
+      case "payment_link.expired":
+      case "payment_link.cancelled":
+        await handlePaymentLinkExpired(payload);
+        break;
+
       default:
         console.log(`> Unhandled webhook event: ${event}`);
     }
@@ -172,6 +184,9 @@ const handlePaymentCaptured = async (payload) => {
     order.paymentStatus = "captured";
     await order.save();
 
+    // Debit the points and store credit paid alongside
+    await tenderService.captureTendersForPayment(order);
+
     // Create status history
     await OrderStatusHistory.create({
       orderId: order._id,
@@ -183,12 +198,8 @@ const handlePaymentCaptured = async (payload) => {
     });
 
     // Send notification
-    sendPaymentSuccessNotification({
-      userId: order.userId,
-      orderNumber: order.orderNumber,
-      amount: payment.amount,
-      paymentId: paymentEntity.id
-    }).catch(err => console.log("> Failed to send payment success notification:", err.message));
+    sendPaymentSuccessNotification(order, payment)
+      .catch(err => console.log("> Failed to send payment success notification:", err.message));
   }
 
   console.log("> Payment captured successfully");
@@ -226,6 +237,9 @@ const handlePaymentFailed = async (payload) => {
     order.paymentStatus = "failed";
     await order.save();
 
+    // Give back the points and store credit held for this payment
+    await tenderService.releaseTenders(order, "payment_failed");
+
     // Create status history
     await OrderStatusHistory.create({
       orderId: order._id,
@@ -244,12 +258,8 @@ const handlePaymentFailed = async (payload) => {
     }
 
     // Send notification
-    sendPaymentFailedNotification({
-      userId: order.userId,
-      orderNumber: order.orderNumber,
-      amount: payment.amount,
-      reason: payment.failureReason
-    }).catch(err => console.log("> Failed to send payment failed notification:", err.message));
+    sendPaymentFailedNotification(order, payment)
+      .catch(err => console.log("> Failed to send payment failed notification:", err.message));
   }
 
   console.log("> Payment failed");
@@ -287,6 +297,9 @@ const handleOrderPaid = async (payload) => {
     order.status = "confirmed";
     await order.save();
 
+    // Debit the points and store credit paid alongside
+    await tenderService.captureTendersForPayment(order);
+
     // Create status history for payment
     await OrderStatusHistory.create({
       orderId: order._id,
@@ -490,6 +503,12 @@ export const retryPayment = async (req, res) => {
       return sendResponse(res, 404, "Order not found", null, "Order not found");
     }
 
+    // The failed payment gave back the points and store credit paid alongside it
+    if (order.tenders?.status === TENDER_STATUS.RELEASED) {
+      console.log("> Order tenders were released");
+      return sendResponse(res, 400, "Payment cannot be retried", null, "The loyalty points and store credit for this order were released; the customer needs to check out again");
+    }
+
     const razorpayOrder = await razorpay.orders.create({
       amount: Math.round(payment.amount * 100),
       currency: payment.currency,
@@ -771,6 +790,9 @@ export const handleDelayedPayment = async (req, res) => {
         order.cancelledAt = new Date();
         await order.save();
 
+        // Give back the points and store credit paid alongside
+        await tenderService.settleCancelledOrderTenders(order);
+
         // Create status history
         await OrderStatusHistory.create({
           orderId: order._id,
@@ -818,6 +840,9 @@ export const handleDelayedPayment = async (req, res) => {
 
     await order.save();
 
+    // Debit the points and store credit paid alongside
+    await tenderService.captureTendersForPayment(order);
+
     // Create status history
     await OrderStatusHistory.create({
       orderId: order._id,
@@ -840,12 +865,8 @@ export const handleDelayedPayment = async (req, res) => {
     }
 
     // Send order confirmation notification
-    sendPaymentSuccessNotification({
-      userId: order.userId,
-      orderNumber: order.orderNumber,
-      amount: payment.amount,
-      paymentId: razorpayPaymentId
-    }).catch(err => console.log("> Failed to send payment success notification:", err.message));
+    sendPaymentSuccessNotification(order, payment)
+      .catch(err => console.log("> Failed to send payment success notification:", err.message));
 
     console.log("> Delayed payment processed successfully");
     return sendResponse(res, 200, "Delayed payment processed successfully", {
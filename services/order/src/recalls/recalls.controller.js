@@ -0,0 +1,298 @@
+import { sendResponse, HTTP_STATUS } from "@shared/utils";
+import { Recall } from "../../models/index.js";
+import * as recallService from "../../services/recall.service.js";
+
+/**
+ * Send a failed service result
+ * @param {Object} res - Express response
+ * @param {Object} result - { error, statusCode }
+ */
+const sendServiceError = (res, result) => {
+  return sendResponse(
+    res,
+    result.statusCode || HTTP_STATUS.BAD_REQUEST,
+    result.error,
+    null,
+    result.error
+  );
+};
+
+/**
+ * Get all recalls (admin)
+ * @route GET /api/admin/recalls
+ * @access Private (Admin)
+ */
+export const getAllRecalls = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, sku } = req.query;
+
+    console.log("> Getting all recalls (admin)", { status, sku });
+
+    const query = {};
+    if (status) query.status = status;
+    if (sku) query.sku = sku;
+
+    const skip = (page - 1) * limit;
+
+    const [recalls, total] = await Promise.all([
+      Recall.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Recall.countDocuments(query)
+    ]);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Recalls retrieved successfully",
+      {
+        recalls: recalls.map(({ customers, ...recall }) => ({
+          ...recall,
+          summary: recallService.summarizeRecall({ customers })
+        })),
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / limit)
+        }
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error getting recalls:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve recalls",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Get recall with affected customers (admin)
+ * @route GET /api/admin/recalls/:recallId
+ * @access Private (Admin)
+ */
+export const getRecallById = async (req, res) => {
+  try {
+    const { recallId } = req.params;
+
+    console.log("> Getting recall:", recallId);
+
+    const recall = await Recall.findById(recallId).lean();
+
+    if (!recall) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Recall not found",
+        null,
+        null
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Recall retrieved successfully",
+      { ...recall, summary: recallService.summarizeRecall(recall) },
+      null
+    );
+  } catch (error) {
+    console.log("> Error getting recall:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve recall",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Open a recall for a SKU (admin)
+ * @route POST /api/admin/recalls
+ * @access Private (Admin)
+ */
+export const createRecall = async (req, res) => {
+  try {
+    console.log("> Creating recall for SKU:", req.body.sku);
+
+    const result = await recallService.createRecall(req.body, req.adminId);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    const recall = result.data;
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      `Recall ${recall.recallNumber} opened for ${recall.customers.length} customer(s)`,
+      { ...recall.toObject(), summary: recallService.summarizeRecall(recall) },
+      null
+    );
+  } catch (error) {
+    console.log("> Error creating recall:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to create recall",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Freeze or retry freezing recalled stock (admin)
+ * @route POST /api/admin/recalls/:recallId/freeze-stock
+ * @access Private (Admin)
+ */
+export const freezeRecallStock = async (req, res) => {
+  try {
+    const { recallId } = req.params;
+
+    console.log("> Freezing stock for recall:", recallId);
+
+    const result = await recallService.freezeRecallStock(recallId);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Recalled stock frozen successfully",
+      result.data.stockFreeze,
+      null
+    );
+  } catch (error) {
+    console.log("> Error freezing recalled stock:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to freeze recalled stock",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Queue recall notifications for customers not yet notified (admin)
+ * @route POST /api/admin/recalls/:recallId/notify
+ * @access Private (Admin)
+ */
+export const notifyRecallCustomers = async (req, res) => {
+  try {
+    const { recallId } = req.params;
+
+    console.log("> Notifying customers for recall:", recallId);
+
+    const result = await recallService.notifyRecallCustomers(recallId);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    const { recall, queued, failed, skipped } = result.data;
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      `${queued} notification(s) queued`,
+      { queued, failed, skipped, summary: recallService.summarizeRecall(recall) },
+      null
+    );
+  } catch (error) {
+    console.log("> Error notifying recall customers:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to notify recall customers",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Record a customer's recall resolution (admin)
+ * @route PATCH /api/admin/recalls/:recallId/customers/:customerId
+ * @access Private (Admin)
+ */
+export const resolveRecallCustomer = async (req, res) => {
+  try {
+    const { recallId, customerId } = req.params;
+
+    console.log(`> Resolving recall ${recallId} for customer ${customerId}: ${req.body.resolution}`);
+
+    const result = await recallService.resolveRecallCustomer(recallId, customerId, req.body, req.adminId);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Recall resolution recorded successfully",
+      { customer: result.data.customer, summary: recallService.summarizeRecall(result.data.recall) },
+      null
+    );
+  } catch (error) {
+    console.log("> Error resolving recall customer:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to record recall resolution",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Close a recall (admin)
+ * @route POST /api/admin/recalls/:recallId/close
+ * @access Private (Admin)
+ */
+export const closeRecall = async (req, res) => {
+  try {
+    const { recallId } = req.params;
+
+    console.log("> Closing recall:", recallId);
+
+    const result = await recallService.closeRecall(recallId, req.body, req.adminId);
+
+    if (!result.success) {
+      return sendServiceError(res, result);
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Recall closed successfully",
+      { ...result.data.toObject(), summary: recallService.summarizeRecall(result.data) },
+      null
+    );
+  } catch (error) {
+    console.log("> Error closing recall:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to close recall",
+      null,
+      error.message
+    );
+  }
+};
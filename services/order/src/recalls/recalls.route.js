@@ -0,0 +1,96 @@
+import express from "express";
+import { validate } from "@shared/middlewares";
+import { authenticateAdmin } from "@shared/auth-middleware";
+import * as recallsController from "./recalls.controller.js";
+import * as recallsValidation from "./recalls.validation.js";
+
+/**
+ * Admin Recalls Routes
+ * Base path: /api/admin/recalls
+ */
+const adminRouter = express.Router();
+
+// Apply admin authentication to all admin routes
+adminRouter.use(authenticateAdmin);
+
+/**
+ * @route   GET /api/admin/recalls
+ * @desc    Get all recalls with filters
+ * @access  Private (Admin)
+ */
+adminRouter.get(
+  "/",
+  validate(recallsValidation.getAllRecallsSchema),
+  recallsController.getAllRecalls
+);
+
+/**
+ * @route   POST /api/admin/recalls
+ * @desc    Open a recall, resolve affected customers and freeze remaining stock
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/",
+  validate(recallsValidation.createRecallSchema),
+  recallsController.createRecall
+);
+
+/**
+ * @route   GET /api/admin/recalls/:recallId
+ * @desc    Get recall with affected customers
+ * @access  Private (Admin)
+ */
+adminRouter.get(
+  "/:recallId",
+  validate(recallsValidation.getRecallByIdSchema),
+  recallsController.getRecallById
+);
+
+/**
+ * @route   POST /api/admin/recalls/:recallId/freeze-stock
+ * @desc    Freeze or retry freezing the recalled stock
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/:recallId/freeze-stock",
+  validate(recallsValidation.getRecallByIdSchema),
+  recallsController.freezeRecallStock
+);
+
+/**
+ * @route   POST /api/admin/recalls/:recallId/notify
+ * @desc    Queue recall notifications for customers not yet notified
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/:recallId/notify",
+  validate(recallsValidation.getRecallByIdSchema),
+  recallsController.notifyRecallCustomers
+);
+
+/**
+ * @route   PATCH /api/admin/recalls/:recallId/customers/:customerId
+ * @desc    Record how a customer's recall was resolved
+ * @access  Private (Admin)
+ */
+adminRouter.patch(
+  "/:recallId/customers/:customerId",
+  validate(recallsValidation.resolveRecallCustomerSchema),
+  recallsController.resolveRecallCustomer
+);
+
+/**
+ * @route   POST /api/admin/recalls/:recallId/close
+ * @desc    Close a recall
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/:recallId/close",
+  validate(recallsValidation.closeRecallSchema),
+  recallsController.closeRecall
+);
+
+/**
+ * Export routers using dual export pattern
+ */
+export const admin = adminRouter;
@@ -0,0 +1,97 @@
+import Joi from "joi";
+
+/**
+ * Validation schemas for product recall operations
+ */
+
+const recallIdParams = Joi.object({
+  recallId: Joi.string().required().messages({
+    "string.empty": "Recall ID is required",
+    "any.required": "Recall ID is required"
+  })
+});
+
+/**
+ * Get all recalls validation (admin)
+ */
+export const getAllRecallsSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid("open", "closed").optional(),
+    sku: Joi.string().trim().uppercase().optional()
+  })
+};
+
+/**
+ * Get recall by ID validation (admin)
+ */
+export const getRecallByIdSchema = {
+  params: recallIdParams
+};
+
+/**
+ * Create recall validation (admin)
+ * Without lotNumbers every order of the SKU (within the date range) is affected
+ */
+export const createRecallSchema = {
+  body: Joi.object({
+    sku: Joi.string().trim().required().messages({
+      "string.empty": "SKU is required",
+      "any.required": "SKU is required"
+    }),
+    lotNumbers: Joi.array().items(Joi.string().trim()).unique().default([]),
+    orderedFrom: Joi.date().iso().optional(),
+    orderedTo: Joi.date().iso().when("orderedFrom", {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref("orderedFrom"))
+    }).optional().messages({
+      "date.min": "orderedTo must not be before orderedFrom"
+    }),
+    reason: Joi.string().trim().max(1000).required().messages({
+      "string.empty": "Reason is required",
+      "any.required": "Reason is required"
+    }),
+    customerMessage: Joi.string().trim().max(2000).optional(),
+    templateCode: Joi.string().trim().uppercase().optional(),
+    freezeStock: Joi.boolean().default(true)
+  })
+};
+
+/**
+ * Record customer resolution validation (admin)
+ */
+export const resolveRecallCustomerSchema = {
+  params: Joi.object({
+    recallId: Joi.string().required(),
+    customerId: Joi.string().required()
+  }),
+  body: Joi.object({
+    resolution: Joi.string().valid("refund", "replacement", "acknowledged").required().messages({
+      "any.only": "Resolution must be refund, replacement or acknowledged",
+      "any.required": "Resolution is required"
+    }),
+    note: Joi.string().trim().max(1000).optional(),
+    refundId: Joi.string().when("resolution", {
+      is: "refund",
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    }),
+    replacementOrderId: Joi.string().when("resolution", {
+      is: "replacement",
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    })
+  })
+};
+
+/**
+ * Close recall validation (admin)
+ */
+export const closeRecallSchema = {
+  params: recallIdParams,
+  body: Joi.object({
+    note: Joi.string().trim().max(1000).optional(),
+    force: Joi.boolean().default(false)
+  })
+};
@@ -1,6 +1,9 @@
 import { sendResponse } from "@shared/utils";
 import { Order, OrderItem, Refund, Payment, OrderStatusHistory } from "../../models/index.js";
 import { sendRefundInitiatedNotification, sendRefundCompletedNotification } from "../../services/engagement-integration.service.js";
+import { calculateItemRefundAmount, roundAmount } from "../../services/totals-calculator.service.js";
+import { createCreditNote } from "../../services/invoice.service.js";
+import * as tenderService from "../../services/tender.service.js";
 
 /**
  * Consumer: Request a refund
@@ -79,9 +82,9 @@ export const requestRefund = async (req, res) => {
         );
       }
 
-      // Calculate refund amount for this item
-      const itemRefundAmount = (orderItem.unitPrice - orderItem.lineDiscount / orderItem.quantity) * item.quantity;
-      refundAmount += itemRefundAmount;
+      // Refund the line's allocated taxable value and tax, so discounts are clawed back per item
+      const itemRefund = calculateItemRefundAmount(orderItem, item.quantity);
+      refundAmount += itemRefund.amount;
 
       refundItems.push({
         orderItemId: item.orderItemId,
@@ -89,17 +92,21 @@ export const requestRefund = async (req, res) => {
         variantId: orderItem.variantId,
         quantity: item.quantity,
         unitPrice: orderItem.unitPrice,
-        refundAmount: itemRefundAmount,
+        amount: itemRefund.amount,
+        discountReversed: itemRefund.discountReversed,
         reason: item.reason
       });
     }
 
+    refundAmount = roundAmount(refundAmount);
+
     // Create refund
     const refund = await Refund.create({
       orderId,
       userId,
       orderNumber: order.orderNumber,
       refundAmount,
+      items: refundItems,
       approvedAmount: null,
       status: "pending",
       refundMethod: refundMethod || "original_payment_method",
@@ -111,12 +118,8 @@ export const requestRefund = async (req, res) => {
     // Items are embedded in the refund document, no separate insertion needed
 
     // Send notification
-    sendRefundInitiatedNotification({
-      userId,
-      orderNumber: order.orderNumber,
-      refundAmount,
-      refundId: refund._id.toString()
-    }).catch(err => console.log("> Failed to send refund initiated notification:", err.message));
+    sendRefundInitiatedNotification(refund, order)
+      .catch(err => console.log("> Failed to send refund initiated notification:", err.message));
 
     console.log("> Refund requested successfully");
     return sendResponse(res, 201, "Refund requested successfully", { refund }, null);
@@ -459,9 +462,16 @@ export const processRefund = async (req, res) => {
       return sendResponse(res, 404, "Payment not found", null, "No successful payment found for this order");
     }
 
+    // Points and store credit get back their share of the refund; the gateway refunds the rest
+    const split = tenderService.splitRefundAmount(refund.orderId, refund.approvedAmount);
+    const tenderResult = await tenderService.refundTenders(refund.orderId, refund._id, split);
+    if (!tenderResult.success) {
+      return sendResponse(res, 502, "Failed to refund loyalty points and store credit", null, tenderResult.error);
+    }
+
     // Process refund based on refund method
     let refundResult;
-    if (refund.refundMethod === "original_payment_method" && payment.gatewayPaymentId) {
+    if (refund.refundMethod === "original_payment_method" && payment.gatewayPaymentId && split.gatewayAmount > 0) {
       // Process via Razorpay
       const Razorpay = (await import("razorpay")).default;
       const razorpay = new Razorpay({
@@ -470,12 +480,12 @@ export const processRefund = async (req, res) => {
       });
 
       refundResult = await razorpay.payments.refund(payment.gatewayPaymentId, {
-        amount: Math.round(refund.approvedAmount * 100),
+        amount: Math.round(split.gatewayAmount * 100),
         notes: { refundId: refund._id.toString(), reason: refund.description }
       });
 
       // Update payment
-      payment.refundedAmount = (payment.refundedAmount || 0) + refund.approvedAmount;
+      payment.refundedAmount = (payment.refundedAmount || 0) + split.gatewayAmount;
       if (payment.refundedAmount >= payment.amount) {
         payment.status = "refunded";
       } else {
@@ -497,7 +507,7 @@ export const processRefund = async (req, res) => {
           newStatus: payment.status,
           changedBy: "admin",
           changedById: req.user._id.toString(),
-          notes: `Refund processed. Amount: ₹${refund.approvedAmount}. Refund ID: ${refund._id}`
+          notes: `Refund processed. Amount: ₹${split.gatewayAmount}. Refund ID: ${refund._id}`
         });
       }
     }
@@ -508,6 +518,7 @@ export const processRefund = async (req, res) => {
     refund.processedAt = new Date();
     refund.transactionId = transactionId || refundResult?.id;
     refund.gatewayResponse = refundResult || null;
+    refund.tenderSplit = split;
     refund.adminNotes = notes ? `${refund.adminNotes || ""}\n${notes}` : refund.adminNotes;
     await refund.save();
 
@@ -517,17 +528,21 @@ export const processRefund = async (req, res) => {
       const orderItem = await OrderItem.findById(refundItem.orderItemId);
       if (orderItem) {
         orderItem.quantityRefunded = (orderItem.quantityRefunded || 0) + refundItem.quantity;
+        orderItem.amountRefunded = roundAmount((orderItem.amountRefunded || 0) + (refundItem.amount || 0));
         await orderItem.save();
       }
     }
 
+    // Issue the GST credit note; it can be re-issued from the invoices admin if this fails
+    try {
+      await createCreditNote(refund, req.user._id.toString());
+    } catch (creditNoteError) {
+      console.log("> Failed to issue credit note:", creditNoteError.message);
+    }
+
     // Send notification
-    sendRefundCompletedNotification({
-      userId: refund.userId.toString(),
-      orderNumber: refund.orderNumber,
-      refundAmount: refund.approvedAmount,
-      refundMethod: refund.refundMethod
-    }).catch(err => console.log("> Failed to send refund completed notification:", err.message));
+    sendRefundCompletedNotification(refund)
+      .catch(err => console.log("> Failed to send refund completed notification:", err.message));
 
     console.log("> Refund processed successfully");
     return sendResponse(res, 200, "Refund processed successfully", { refund }, null);
@@ -0,0 +1,146 @@
+import { sendResponse, HTTP_STATUS } from "@shared/utils";
+import { ReturnPolicy } from "../../models/index.js";
+import { RETURN_POLICY_SCOPE, RETURN_WINDOW_DAYS } from "../../utils/constants.js";
+
+// Field a scoped policy matches on
+const SCOPE_TARGET_FIELD = {
+  [RETURN_POLICY_SCOPE.PRODUCT]: "productIds",
+  [RETURN_POLICY_SCOPE.TAG]: "tags",
+  [RETURN_POLICY_SCOPE.CATEGORY]: "categoryIds"
+};
+
+/**
+ * Get return policies (admin)
+ * Includes the window used for items no active policy matches
+ * @route GET /api/admin/return-policies
+ * @access Private (Admin)
+ */
+export const getPolicies = async (req, res) => {
+  try {
+    const { scope, isActive, productId, categoryId, tag } = req.query;
+
+    console.log("> Getting return policies", req.query);
+
+    const query = {};
+    if (scope) query.scope = scope;
+    if (isActive !== undefined) query.isActive = isActive;
+    if (productId) query.productIds = productId;
+    if (categoryId) query.categoryIds = categoryId;
+    if (tag) query.tags = tag;
+
+    const policies = await ReturnPolicy.find(query)
+      .sort({ isActive: -1, scope: 1, priority: -1, updatedAt: -1 })
+      .lean();
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Return policies retrieved successfully",
+      {
+        policies,
+        fallbackPolicy: { name: "Default", isReturnable: true, returnWindowDays: RETURN_WINDOW_DAYS }
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error getting return policies:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve return policies",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Create a return policy (admin)
+ * @route POST /api/admin/return-policies
+ * @access Private (Admin)
+ */
+export const createPolicy = async (req, res) => {
+  try {
+    console.log("> Creating return policy:", req.body.name);
+
+    const policy = await ReturnPolicy.create({
+      ...req.body,
+      createdById: req.adminId,
+      updatedById: req.adminId
+    });
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Return policy created successfully",
+      policy,
+      null
+    );
+  } catch (error) {
+    console.log("> Error creating return policy:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to create return policy",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Update or deactivate a return policy (admin)
+ * Returns already requested keep the fees and reasons they were accepted with
+ * @route PUT /api/admin/return-policies/:policyId
+ * @access Private (Admin)
+ */
+export const updatePolicy = async (req, res) => {
+  try {
+    const { policyId } = req.params;
+
+    console.log("> Updating return policy:", policyId);
+
+    const policy = await ReturnPolicy.findById(policyId);
+    if (!policy) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Return policy not found",
+        null,
+        null
+      );
+    }
+
+    policy.set({ ...req.body, updatedById: req.adminId });
+
+    const targetField = SCOPE_TARGET_FIELD[policy.scope];
+    if (targetField && policy[targetField].length === 0) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Validation failed",
+        null,
+        `A ${policy.scope} policy needs at least one entry in ${targetField}`
+      );
+    }
+
+    await policy.save();
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Return policy updated successfully",
+      policy,
+      null
+    );
+  } catch (error) {
+    console.log("> Error updating return policy:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to update return policy",
+      null,
+      error.message
+    );
+  }
+};
@@ -0,0 +1,52 @@
+import express from "express";
+import { validate } from "@shared/middlewares";
+import { authenticateAdmin } from "@shared/auth-middleware";
+import * as returnPoliciesController from "./return-policies.controller.js";
+import * as returnPoliciesValidation from "./return-policies.validation.js";
+
+/**
+ * Admin Return Policy Routes
+ * Base path: /api/admin/return-policies
+ */
+const adminRouter = express.Router();
+
+// Apply admin authentication to all admin routes
+adminRouter.use(authenticateAdmin);
+
+/**
+ * @route   GET /api/admin/return-policies
+ * @desc    Get return policies
+ * @access  Private (Admin)
+ */
+adminRouter.get(
+  "/",
+  validate(returnPoliciesValidation.getPoliciesSchema),
+  returnPoliciesController.getPolicies
+);
+
+/**
+ * @route   POST /api/admin/return-policies
+ * @desc    Create a return policy for products, tags, categories or as a default
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/",
+  validate(returnPoliciesValidation.createPolicySchema),
+  returnPoliciesController.createPolicy
+);
+
+/**
+ * @route   PUT /api/admin/return-policies/:policyId
+ * @desc    Update or deactivate a return policy
+ * @access  Private (Admin)
+ */
+adminRouter.put(
+  "/:policyId",
+  validate(returnPoliciesValidation.updatePolicySchema),
+  returnPoliciesController.updatePolicy
+);
+
+/**
+ * Export routers using dual export pattern
+ */
+export const admin = adminRouter;
@@ -0,0 +1,110 @@
+import Joi from "joi";
+import { RETURN_POLICY_SCOPE, RETURN_REASON, RESTOCKING_FEE_TYPE } from "../../utils/constants.js";
+
+/**
+ * Validation schemas for return policy operations
+ */
+
+const objectId = Joi.string().hex().length(24);
+
+const reasonsSchema = Joi.array()
+  .items(Joi.string().valid(...Object.values(RETURN_REASON)))
+  .unique()
+  .messages({
+    "any.only": "Invalid return reason",
+    "array.unique": "Return reasons must not repeat"
+  });
+
+const restockingFeeSchema = Joi.object({
+  type: Joi.string().valid(...Object.values(RESTOCKING_FEE_TYPE)).required().messages({
+    "any.only": "Restocking fee type must be percentage or fixed",
+    "any.required": "Restocking fee type is required"
+  }),
+  value: Joi.number().min(0).required()
+    .when("type", { is: RESTOCKING_FEE_TYPE.PERCENTAGE, then: Joi.number().max(100) })
+    .messages({
+      "number.max": "Percentage restocking fee cannot exceed 100",
+      "any.required": "Restocking fee value is required"
+    }),
+  exemptReasons: reasonsSchema.default([])
+});
+
+const policyFields = {
+  name: Joi.string().trim().max(200),
+  description: Joi.string().trim().max(1000).allow(""),
+  scope: Joi.string().valid(...Object.values(RETURN_POLICY_SCOPE)).messages({
+    "any.only": "Scope must be product, tag, category or default"
+  }),
+  productIds: Joi.array().items(objectId).unique(),
+  categoryIds: Joi.array().items(objectId).unique(),
+  tags: Joi.array().items(Joi.string().trim().lowercase()).unique(),
+  priority: Joi.number().integer(),
+  isReturnable: Joi.boolean(),
+  returnWindowDays: Joi.number().integer().min(0).max(365),
+  allowedReasons: reasonsSchema,
+  acceptsOpenedItems: Joi.boolean(),
+  openedItemReasons: reasonsSchema,
+  imageRequiredReasons: reasonsSchema,
+  minImages: Joi.number().integer().min(1).max(5),
+  restockingFee: restockingFeeSchema.allow(null),
+  isActive: Joi.boolean()
+};
+
+// A scoped policy needs something to match on
+const requireScopeTargets = (policy, helpers) => {
+  const targets = {
+    [RETURN_POLICY_SCOPE.PRODUCT]: "productIds",
+    [RETURN_POLICY_SCOPE.TAG]: "tags",
+    [RETURN_POLICY_SCOPE.CATEGORY]: "categoryIds"
+  };
+  const field = targets[policy.scope];
+  if (field && !(policy[field]?.length > 0)) {
+    return helpers.message(`A ${policy.scope} policy needs at least one entry in ${field}`);
+  }
+  return policy;
+};
+
+/**
+ * Create return policy validation (admin)
+ */
+export const createPolicySchema = {
+  body: Joi.object({
+    ...policyFields,
+    name: policyFields.name.required().messages({
+      "string.empty": "Name is required",
+      "any.required": "Name is required"
+    }),
+    scope: policyFields.scope.required().messages({
+      "any.required": "Scope is required"
+    }),
+    returnWindowDays: policyFields.returnWindowDays.required().messages({
+      "any.required": "Return window (days) is required"
+    }),
+    isActive: policyFields.isActive.default(true)
+  }).custom(requireScopeTargets)
+};
+
+/**
+ * Update return policy validation (admin)
+ * Returns already requested keep the fees and reasons they were accepted with
+ */
+export const updatePolicySchema = {
+  params: Joi.object({
+    policyId: objectId.required()
+  }),
+  body: Joi.object(policyFields).min(1)
+};
+
+/**
+ * Get return policies validation (admin)
+ */
+export const getPoliciesSchema = {
+  query: Joi.object({
+    scope: Joi.string().valid(...Object.values(RETURN_POLICY_SCOPE)).optional(),
+    isActive: Joi.boolean().optional(),
+    productId: objectId.optional(),
+    categoryId: objectId.optional(),
+    tag: Joi.string().trim().lowercase().optional()
+  })
+};
+
@@ -1,6 +1,15 @@
 import { sendResponse } from "@shared/utils";
 import { Order, OrderItem, Return, Refund } from "../../models/index.js";
-import { sendReturnApprovedNotification, sendReturnRejectedNotification } from "../../services/engagement-integration.service.js";
+import {
+  sendReturnApprovedNotification,
+  sendReturnRejectedNotification,
+  reverseOrderLoyaltyPoints
+} from "../../services/engagement-integration.service.js";
+import { calculateItemRefundAmount, roundAmount } from "../../services/totals-calculator.service.js";
+import { generateReturnNumber } from "../../services/order-number.service.js";
+import * as exchangeService from "../../services/exchange.service.js";
+import * as returnPolicyService from "../../services/return-policy.service.js";
+import { RETURN_STATUS, RETURN_TYPE, EXCHANGE_SETTLEMENT_STATUS } from "../../utils/constants.js";
 
 /**
  * Consumer: Request a return
@@ -8,8 +17,8 @@ import { sendReturnApprovedNotification, sendReturnRejectedNotification } from "
 export const requestReturn = async (req, res) => {
   try {
     console.log("> Requesting return");
-    const { orderId, items, description, images } = req.body;
-    const userId = req.user._id.toString();
+    const { orderId, type, items, description, images } = req.body;
+    const userId = req.userId;
 
     // Find order
     const order = await Order.findById(orderId);
@@ -30,64 +39,112 @@ export const requestReturn = async (req, res) => {
       return sendResponse(res, 400, "Order not eligible for return", null, "Only delivered orders can be returned");
     }
 
-    // Check return window
-    const returnWindowDays = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
-    const returnWindowMs = returnWindowDays * 24 * 60 * 60 * 1000;
-    const orderAge = Date.now() - order.deliveredAt?.getTime();
-    if (orderAge > returnWindowMs) {
-      console.log("> Return window expired");
-      return sendResponse(
-        res,
-        400,
-        "Return window expired",
-        null,
-        `Return can only be requested within ${returnWindowDays} days of delivery`
-      );
-    }
-
     // Get order items
     const orderItems = await OrderItem.find({ orderId });
     const orderItemsMap = new Map(orderItems.map(item => [item._id.toString(), item]));
 
-    // Validate items
-    const returnItems = [];
     for (const item of items) {
-      const orderItem = orderItemsMap.get(item.orderItemId);
-      if (!orderItem) {
+      if (!orderItemsMap.has(item.orderItemId)) {
         console.log(`> Order item not found: ${item.orderItemId}`);
         return sendResponse(res, 404, "Order item not found", null, `Order item ${item.orderItemId} not found`);
       }
+    }
 
-      // Check if quantity is valid
-      const returnableQuantity = orderItem.quantity - (orderItem.quantityReturned || 0);
-      if (item.quantity > returnableQuantity) {
-        console.log(`> Invalid return quantity for item: ${item.orderItemId}`);
-        return sendResponse(
-          res,
-          400,
-          "Invalid return quantity",
-          null,
-          `Only ${returnableQuantity} units available for return`
-        );
+    // Each item is checked against the return policy for its product, tag or category
+    const policies = await returnPolicyService.resolveReturnPolicies(
+      items.map(item => orderItemsMap.get(item.orderItemId))
+    );
+    if (!policies.success) {
+      console.log(`> Return policies unavailable: ${policies.error}`);
+      return sendResponse(res, policies.statusCode, "Failed to check return eligibility", null, policies.error);
+    }
+
+    // Validate items
+    const returnItems = [];
+    const ineligibleItems = [];
+    for (const item of items) {
+      const orderItem = orderItemsMap.get(item.orderItemId);
+      const policy = policies.data.get(item.orderItemId);
+      // Order-level photos count towards every item
+      const itemImages = [...(item.images || []), ...(images || [])];
+
+      const problems = returnPolicyService.evaluateReturnItem(
+        policy,
+        orderItem,
+        { ...item, images: itemImages },
+        order.deliveredAt
+      );
+      if (problems.length > 0) {
+        ineligibleItems.push({ orderItemId: item.orderItemId, name: orderItem.name, problems });
+        continue;
       }
 
+      const itemRefund = calculateItemRefundAmount(orderItem, item.quantity);
+      const restockingFee = returnPolicyService.calculateRestockingFee(
+        policy,
+        item.reason,
+        item.quantity,
+        itemRefund.amount
+      );
+
       returnItems.push({
         orderItemId: item.orderItemId,
         productId: orderItem.productId,
         variantId: orderItem.variantId,
         quantity: item.quantity,
-        reason: item.reason
+        refundAmount: roundAmount(itemRefund.amount - restockingFee),
+        discountReversed: itemRefund.discountReversed,
+        reason: item.reason,
+        opened: item.opened,
+        images: itemImages,
+        policyId: policy._id,
+        policyName: policy.name,
+        restockingFee
       });
     }
 
+    if (ineligibleItems.length > 0) {
+      console.log(`> ${ineligibleItems.length} items not eligible for return`);
+      return sendResponse(
+        res,
+        400,
+        "Items not eligible for return",
+        { ineligibleItems },
+        ineligibleItems.flatMap(item => item.problems.map(problem => problem.reason)).join("; ")
+      );
+    }
+
+    const refundAmount = roundAmount(returnItems.reduce((total, item) => total + item.refundAmount, 0));
+    const restockingFee = roundAmount(returnItems.reduce((total, item) => total + item.restockingFee, 0));
+
+    // Exchanges price the replacements now; the returned items' value pays for them instead of a refund
+    let exchange = null;
+    if (type === RETURN_TYPE.EXCHANGE) {
+      const pricing = await exchangeService.priceReplacementItems(items, orderItemsMap, userId);
+      if (!pricing.success) {
+        console.log(`> Replacement items rejected: ${pricing.error}`);
+        return sendResponse(res, pricing.statusCode, "Replacement items unavailable", null, pricing.error);
+      }
+
+      exchange = exchangeService.applyExchangeTaxes(
+        { items: pricing.data, returnedValue: refundAmount },
+        order.shippingAddressSnapshot?.state
+      );
+    }
+
     // Create return with embedded items
     const returnRequest = await Return.create({
       orderId,
       userId,
+      returnNumber: await generateReturnNumber(),
       orderNumber: order.orderNumber,
-      status: "pending",
+      status: RETURN_STATUS.REQUESTED,
+      type,
       reason: items[0]?.reason || "other", // Use first item's reason or default
       items: returnItems,
+      refundAmount: exchange ? 0 : refundAmount,
+      restockingFee,
+      exchange,
       customerNotes: description,
       requestedBy: userId,
       pickupAddress: order.shippingAddress
@@ -108,7 +165,7 @@ export const getMyReturns = async (req, res) => {
   try {
     console.log("> Getting my returns");
     const { page = 1, limit = 20, status, startDate, endDate } = req.query;
-    const userId = req.user._id.toString();
+    const userId = req.userId;
 
     // Build filter
     const filter = { userId };
@@ -160,7 +217,7 @@ export const getReturnById = async (req, res) => {
   try {
     console.log("> Getting return by ID");
     const { returnId } = req.params;
-    const userId = req.user._id.toString();
+    const userId = req.userId;
 
     const returnRequest = await Return.findById(returnId)
       .populate("orderId", "orderNumber status deliveredAt")
@@ -194,7 +251,7 @@ export const cancelReturn = async (req, res) => {
     console.log("> Cancelling return");
     const { returnId } = req.params;
     const { reason } = req.body;
-    const userId = req.user._id.toString();
+    const userId = req.userId;
 
     const returnRequest = await Return.findById(returnId);
     if (!returnRequest) {
@@ -209,13 +266,19 @@ export const cancelReturn = async (req, res) => {
     }
 
     // Check if return can be cancelled
-    if (!["pending", "approved", "pickup_scheduled"].includes(returnRequest.status)) {
+    const cancellableStatuses = [RETURN_STATUS.REQUESTED, RETURN_STATUS.APPROVED, RETURN_STATUS.PICKUP_SCHEDULED];
+    if (!cancellableStatuses.includes(returnRequest.status)) {
       console.log("> Return cannot be cancelled");
       return sendResponse(res, 400, "Return cannot be cancelled", null, "Return cannot be cancelled at this stage");
     }
 
+    // Free the stock held for an exchange's replacement items
+    if (returnRequest.type === RETURN_TYPE.EXCHANGE) {
+      await exchangeService.releaseReplacementStock(returnRequest);
+    }
+
     // Update return
-    returnRequest.status = "cancelled";
+    returnRequest.status = RETURN_STATUS.CANCELLED;
     returnRequest.cancelReason = reason || "Cancelled by customer";
     returnRequest.cancelledAt = new Date();
     await returnRequest.save();
@@ -238,6 +301,7 @@ export const getAllReturns = async (req, res) => {
       page = 1,
       limit = 20,
       status,
+      type,
       userId,
       orderId,
       startDate,
@@ -249,6 +313,7 @@ export const getAllReturns = async (req, res) => {
     // Build filter
     const filter = {};
     if (status) filter.status = status;
+    if (type) filter.type = type;
     if (userId) filter.userId = userId;
     if (orderId) filter.orderId = orderId;
     if (startDate || endDate) {
@@ -338,24 +403,31 @@ export const approveReturn = async (req, res) => {
     }
 
     // Check if return can be approved
-    if (returnRequest.status !== "pending") {
+    if (returnRequest.status !== RETURN_STATUS.REQUESTED) {
       console.log("> Return cannot be approved");
       return sendResponse(res, 400, "Return cannot be approved", null, "Only pending returns can be approved");
     }
 
+    // Hold the replacement stock until the returned items pass inspection
+    if (returnRequest.type === RETURN_TYPE.EXCHANGE) {
+      const order = await Order.findById(returnRequest.orderId);
+      const reservation = await exchangeService.reserveReplacementStock(returnRequest, order);
+      if (!reservation.success) {
+        console.log("> Replacement stock could not be reserved");
+        return sendResponse(res, reservation.statusCode, "Replacement items could not be reserved", null, reservation.error);
+      }
+    }
+
     // Update return
-    returnRequest.status = "approved";
-    returnRequest.approvedBy = req.user._id.toString();
+    returnRequest.status = RETURN_STATUS.APPROVED;
+    returnRequest.approvedById = req.adminId;
     returnRequest.approvedAt = new Date();
     returnRequest.adminNotes = notes || "";
     await returnRequest.save();
 
     // Send notification
-    sendReturnApprovedNotification({
-      userId: returnRequest.userId.toString(),
-      orderNumber: returnRequest.orderNumber,
-      returnId: returnRequest._id.toString()
-    }).catch(err => console.log("> Failed to send return approved notification:", err.message));
+    sendReturnApprovedNotification(returnRequest)
+      .catch(err => console.log("> Failed to send return approved notification:", err.message));
 
     console.log("> Return approved successfully");
     return sendResponse(res, 200, "Return approved successfully", { return: returnRequest }, null);
@@ -381,25 +453,22 @@ export const rejectReturn = async (req, res) => {
     }
 
     // Check if return can be rejected
-    if (returnRequest.status !== "pending") {
+    if (returnRequest.status !== RETURN_STATUS.REQUESTED) {
       console.log("> Return cannot be rejected");
       return sendResponse(res, 400, "Return cannot be rejected", null, "Only pending returns can be rejected");
     }
 
     // Update return
-    returnRequest.status = "rejected";
+    returnRequest.status = RETURN_STATUS.REJECTED;
     returnRequest.rejectionReason = reason;
     returnRequest.adminNotes = notes || "";
-    returnRequest.rejectedBy = req.user._id.toString();
+    returnRequest.rejectedBy = req.adminId;
     returnRequest.rejectedAt = new Date();
     await returnRequest.save();
 
     // Send notification
-    sendReturnRejectedNotification({
-      userId: returnRequest.userId.toString(),
-      orderNumber: returnRequest.orderNumber,
-      reason: reason
-    }).catch(err => console.log("> Failed to send return rejected notification:", err.message));
+    sendReturnRejectedNotification(returnRequest)
+      .catch(err => console.log("> Failed to send return rejected notification:", err.message));
 
     console.log("> Return rejected successfully");
     return sendResponse(res, 200, "Return rejected successfully", { return: returnRequest }, null);
@@ -425,13 +494,13 @@ export const schedulePickup = async (req, res) => {
     }
 
     // Check if return can have pickup scheduled
-    if (returnRequest.status !== "approved") {
+    if (returnRequest.status !== RETURN_STATUS.APPROVED) {
       console.log("> Pickup cannot be scheduled");
       return sendResponse(res, 400, "Pickup cannot be scheduled", null, "Pickup can only be scheduled for approved returns");
     }
 
     // Update return
-    returnRequest.status = "pickup_scheduled";
+    returnRequest.status = RETURN_STATUS.PICKUP_SCHEDULED;
     returnRequest.pickupDate = new Date(pickupDate);
     returnRequest.pickupTimeSlot = pickupTimeSlot;
     returnRequest.courierPartner = courierPartner || null;
@@ -463,13 +532,13 @@ export const confirmPickup = async (req, res) => {
     }
 
     // Check if pickup can be confirmed
-    if (returnRequest.status !== "pickup_scheduled") {
+    if (returnRequest.status !== RETURN_STATUS.PICKUP_SCHEDULED) {
       console.log("> Pickup cannot be confirmed");
       return sendResponse(res, 400, "Pickup cannot be confirmed", null, "Only scheduled pickups can be confirmed");
     }
 
     // Update return
-    returnRequest.status = "picked_up";
+    returnRequest.status = RETURN_STATUS.PICKED_UP;
     returnRequest.pickupConfirmedAt = pickupConfirmedAt ? new Date(pickupConfirmedAt) : new Date();
     returnRequest.adminNotes = notes ? `${returnRequest.adminNotes || ""}\n${notes}` : returnRequest.adminNotes;
     await returnRequest.save();
@@ -498,25 +567,51 @@ export const inspectReturn = async (req, res) => {
     }
 
     // Check if return can be inspected
-    if (returnRequest.status !== "picked_up") {
+    if (returnRequest.status !== RETURN_STATUS.PICKED_UP) {
       console.log("> Return cannot be inspected");
       return sendResponse(res, 400, "Return cannot be inspected", null, "Only picked up returns can be inspected");
     }
 
+    const isExchange = returnRequest.type === RETURN_TYPE.EXCHANGE;
+    let replacementOrder = null;
+
+    // An exchange that passes inspection ships the replacement items as a new order
+    if (inspectionStatus === "accepted" && isExchange) {
+      const order = await Order.findById(returnRequest.orderId);
+      const replacement = await exchangeService.createReplacementOrder(returnRequest, order);
+      if (!replacement.success) {
+        console.log(`> Replacement order could not be created: ${replacement.error}`);
+        return sendResponse(res, replacement.statusCode, "Replacement order could not be created", null, replacement.error);
+      }
+      replacementOrder = replacement.data.order;
+    }
+
     // Update return
-    returnRequest.status = inspectionStatus;
     returnRequest.inspectionNotes = inspectionNotes;
-    returnRequest.inspectedBy = req.user._id.toString();
+    returnRequest.inspectedBy = req.adminId;
     returnRequest.inspectedAt = new Date();
 
     if (inspectionStatus === "rejected_after_inspection") {
+      returnRequest.status = RETURN_STATUS.REJECTED;
+      returnRequest.inspectionStatus = "fail";
       returnRequest.rejectionReason = rejectionReason;
+
+      if (isExchange) {
+        await exchangeService.releaseReplacementStock(returnRequest);
+      }
     } else if (inspectionStatus === "accepted") {
+      returnRequest.inspectionStatus = "pass";
+
       // Update order items using embedded return items
       for (const returnItem of returnRequest.items) {
         const orderItem = await OrderItem.findById(returnItem.orderItemId);
         if (orderItem) {
           orderItem.quantityReturned = (orderItem.quantityReturned || 0) + returnItem.quantity;
+          // Exchanged units' value went to the replacement order, so they can no longer be refunded
+          if (isExchange) {
+            orderItem.quantityRefunded = (orderItem.quantityRefunded || 0) + returnItem.quantity;
+            orderItem.amountRefunded = roundAmount((orderItem.amountRefunded || 0) + returnItem.refundAmount);
+          }
           await orderItem.save();
         }
       }
@@ -530,21 +625,74 @@ export const inspectReturn = async (req, res) => {
           order.status = "returned";
           await order.save();
         }
+
+        // Refunded items give back their share of the order's loyalty points
+        if (returnRequest.refundAmount > 0) {
+          reverseOrderLoyaltyPoints(order, returnRequest)
+            .then((result) => {
+              if (!result.success) console.log("> Warning: Failed to reverse loyalty points:", result.error);
+            });
+        }
       }
 
-      returnRequest.status = "completed";
+      returnRequest.status = RETURN_STATUS.COMPLETED;
+      returnRequest.completedAt = new Date();
     }
 
     await returnRequest.save();
 
     console.log("> Return inspected successfully");
-    return sendResponse(res, 200, "Return inspected successfully", { return: returnRequest }, null);
+    return sendResponse(res, 200, "Return inspected successfully", { return: returnRequest, replacementOrder }, null);
   } catch (error) {
     console.log("> Error inspecting return:", error);
     return sendResponse(res, 500, "Failed to inspect return", null, error.message);
   }
 };
 
+/**
+ * Admin: Retry an exchange's price difference settlement
+ * Re-issues an expired payment link, or retries a failed payment link or store credit top-up.
+ */
+export const settleExchange = async (req, res) => {
+  try {
+    console.log("> Settling exchange price difference");
+    const { returnId } = req.params;
+
+    const returnRequest = await Return.findById(returnId);
+    if (!returnRequest) {
+      console.log("> Return not found");
+      return sendResponse(res, 404, "Return not found", null, "Return not found");
+    }
+
+    if (returnRequest.type !== RETURN_TYPE.EXCHANGE || !returnRequest.exchange?.replacementOrderId) {
+      console.log("> Return has no replacement order");
+      return sendResponse(res, 400, "Exchange cannot be settled", null, "Only exchanges with a replacement order can be settled");
+    }
+
+    const retryableStatuses = [EXCHANGE_SETTLEMENT_STATUS.FAILED, EXCHANGE_SETTLEMENT_STATUS.EXPIRED];
+    if (!retryableStatuses.includes(returnRequest.exchange.settlement?.status)) {
+      console.log("> Exchange settlement is not failed or expired");
+      return sendResponse(
+        res,
+        409,
+        "Exchange cannot be settled",
+        null,
+        `Settlement is already ${returnRequest.exchange.settlement?.status}`
+      );
+    }
+
+    const replacementOrder = await Order.findById(returnRequest.exchange.replacementOrderId);
+    const settlement = await exchangeService.settlePriceDifference(returnRequest, replacementOrder);
+    await returnRequest.save();
+
+    console.log(`> Exchange settlement ${settlement.status}`);
+    return sendResponse(res, 200, "Exchange settlement updated", { return: returnRequest, settlement }, null);
+  } catch (error) {
+    console.log("> Error settling exchange:", error);
+    return sendResponse(res, 500, "Failed to settle exchange", null, error.message);
+  }
+};
+
 /**
  * Admin: Get return statistics
  */
@@ -572,12 +720,12 @@ export const getReturnStats = async (req, res) => {
       pickedUpReturns
     ] = await Promise.all([
       Return.countDocuments(dateFilter),
-      Return.countDocuments({ ...dateFilter, status: "pending" }),
-      Return.countDocuments({ ...dateFilter, status: "approved" }),
-      Return.countDocuments({ ...dateFilter, status: "rejected" }),
-      Return.countDocuments({ ...dateFilter, status: "completed" }),
-      Return.countDocuments({ ...dateFilter, status: "pickup_scheduled" }),
-      Return.countDocuments({ ...dateFilter, status: "picked_up" })
+      Return.countDocuments({ ...dateFilter, status: RETURN_STATUS.REQUESTED }),
+      Return.countDocuments({ ...dateFilter, status: RETURN_STATUS.APPROVED }),
+      Return.countDocuments({ ...dateFilter, status: RETURN_STATUS.REJECTED }),
+      Return.countDocuments({ ...dateFilter, status: RETURN_STATUS.COMPLETED }),
+      Return.countDocuments({ ...dateFilter, status: RETURN_STATUS.PICKUP_SCHEDULED }),
+      Return.countDocuments({ ...dateFilter, status: RETURN_STATUS.PICKED_UP })
     ]);
 
     // Get breakdown by status
@@ -586,6 +734,12 @@ export const getReturnStats = async (req, res) => {
       { $group: { _id: "$status", count: { $sum: 1 } } }
     ]);
 
+    // Get breakdown by return type (refund or exchange)
+    const typeBreakdown = await Return.aggregate([
+      { $match: dateFilter },
+      { $group: { _id: "$type", count: { $sum: 1 } } }
+    ]);
+
     // Get breakdown by reason from embedded items
     const reasonBreakdown = await Return.aggregate([
       { $match: dateFilter },
@@ -604,6 +758,7 @@ export const getReturnStats = async (req, res) => {
       approvalRate: totalReturns > 0 ? (((approvedReturns + completedReturns) / totalReturns) * 100).toFixed(2) : 0,
       completionRate: totalReturns > 0 ? ((completedReturns / totalReturns) * 100).toFixed(2) : 0,
       statusBreakdown,
+      typeBreakdown,
       reasonBreakdown
     };
 
@@ -160,6 +160,18 @@ adminRouter.post(
   returnsController.inspectReturn
 );
 
+/**
+ * @route   POST /api/admin/returns/:returnId/exchange/settle
+ * @desc    Retry a failed or expired exchange price difference settlement
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/:returnId/exchange/settle",
+  authenticateAdmin,
+  validate(returnsValidation.settleExchangeSchema),
+  returnsController.settleExchange
+);
+
 /**
  * Export routers using dual export pattern
  */
@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { RETURN_STATUS, RETURN_TYPE } from "../../utils/constants.js";
 
 /**
  * Validation schemas for return operations
@@ -13,6 +14,12 @@ export const requestReturnSchema = {
       "string.empty": "Order ID is required",
       "any.required": "Order ID is required"
     }),
+    type: Joi.string()
+      .valid(...Object.values(RETURN_TYPE))
+      .default(RETURN_TYPE.REFUND)
+      .messages({
+        "any.only": "Return type must be refund or exchange"
+      }),
     items: Joi.array()
       .items(
         Joi.object({
@@ -44,6 +51,26 @@ export const requestReturnSchema = {
               "string.empty": "Reason is required",
               "any.only": "Invalid return reason",
               "any.required": "Reason is required"
+            }),
+          // Some return policies don't accept opened items
+          opened: Joi.boolean().default(false),
+          images: Joi.array()
+            .items(Joi.string().uri())
+            .max(5)
+            .optional()
+            .messages({
+              "array.max": "Maximum 5 images allowed per item"
+            }),
+          // Variant of the same product to send instead (exchanges only)
+          replacementVariantId: Joi.string()
+            .when("/type", {
+              is: RETURN_TYPE.EXCHANGE,
+              then: Joi.required(),
+              otherwise: Joi.forbidden()
+            })
+            .messages({
+              "any.required": "Replacement variant is required for every exchanged item",
+              "any.unknown": "Replacement variants are only allowed for exchanges"
             })
         })
       )
@@ -77,7 +104,7 @@ export const getMyReturnsSchema = {
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20),
     status: Joi.string()
-      .valid("pending", "approved", "rejected", "pickup_scheduled", "picked_up", "inspecting", "accepted", "rejected_after_inspection", "completed", "cancelled")
+      .valid(...Object.values(RETURN_STATUS))
       .optional(),
     startDate: Joi.date().iso().optional(),
     endDate: Joi.date().iso().optional()
@@ -122,8 +149,9 @@ export const getAllReturnsSchema = {
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20),
     status: Joi.string()
-      .valid("pending", "approved", "rejected", "pickup_scheduled", "picked_up", "inspecting", "accepted", "rejected_after_inspection", "completed", "cancelled")
+      .valid(...Object.values(RETURN_STATUS))
       .optional(),
+    type: Joi.string().valid(...Object.values(RETURN_TYPE)).optional(),
     userId: Joi.string().optional(),
     orderId: Joi.string().optional(),
     startDate: Joi.date().iso().optional(),
@@ -267,6 +295,18 @@ export const inspectReturnSchema = {
   })
 };
 
+/**
+ * Settle exchange validation (admin)
+ */
+export const settleExchangeSchema = {
+  params: Joi.object({
+    returnId: Joi.string().required().messages({
+      "string.empty": "Return ID is required",
+      "any.required": "Return ID is required"
+    })
+  })
+};
+
 /**
  * Get return stats validation (admin)
  */
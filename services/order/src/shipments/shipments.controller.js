@@ -0,0 +1,385 @@
+import { sendResponse, HTTP_STATUS } from "@shared/utils";
+import { Shipment } from "../../models/index.js";
+import { SHIPMENT_EVENT_SOURCE, CHANGED_BY_TYPE } from "../../utils/constants.js";
+import * as shipmentService from "../../services/shipment.service.js";
+import * as carrierService from "../../services/carrier.service.js";
+
+/**
+ * Get all shipments (admin)
+ * @route GET /api/admin/shipments
+ * @access Private (Admin)
+ */
+export const getAllShipments = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, orderId, status, carrierCode, awbNumber } = req.query;
+
+    console.log("> Getting all shipments (admin)", { orderId, status, carrierCode });
+
+    const query = {};
+    if (orderId) query.orderId = orderId;
+    if (status) query.status = status;
+    if (carrierCode) query.carrierCode = carrierCode;
+    if (awbNumber) query.awbNumber = awbNumber;
+
+    const skip = (page - 1) * limit;
+
+    const [shipments, total] = await Promise.all([
+      Shipment.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Shipment.countDocuments(query)
+    ]);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Shipments retrieved successfully",
+      {
+        shipments,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / limit)
+        }
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error getting shipments:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve shipments",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Get registered carriers (admin)
+ * @route GET /api/admin/shipments/carriers
+ * @access Private (Admin)
+ */
+export const getCarriers = async (req, res) => {
+  try {
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Carriers retrieved successfully",
+      { carriers: carrierService.listCarriers() },
+      null
+    );
+  } catch (error) {
+    console.log("> Error getting carriers:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve carriers",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Create shipment for an order (admin)
+ * @route POST /api/admin/shipments
+ * @access Private (Admin)
+ */
+export const createShipment = async (req, res) => {
+  try {
+    const { orderId, ...shipmentData } = req.body;
+    const adminId = req.adminId;
+
+    console.log("> Creating shipment for order:", orderId);
+
+    const result = await shipmentService.createShipment(orderId, shipmentData, adminId);
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        result.error
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Shipment created successfully",
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error creating shipment:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to create shipment",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Create shipments for every warehouse allocated at checkout (admin)
+ * @route POST /api/admin/shipments/allocated
+ * @access Private (Admin)
+ */
+export const createAllocatedShipments = async (req, res) => {
+  try {
+    const { orderId, carrierCode, notes } = req.body;
+    const adminId = req.adminId;
+
+    console.log("> Creating allocated shipments for order:", orderId);
+
+    const result = await shipmentService.createAllocatedShipments(
+      orderId,
+      { carrierCode, notes },
+      adminId
+    );
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        result.error
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      `${result.data.shipments.length} shipment(s) created`,
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error creating allocated shipments:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to create shipments",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Get shipment by ID (admin)
+ * @route GET /api/admin/shipments/:shipmentId
+ * @access Private (Admin)
+ */
+export const getShipmentById = async (req, res) => {
+  try {
+    const { shipmentId } = req.params;
+
+    console.log("> Getting shipment:", shipmentId);
+
+    const shipment = await Shipment.findById(shipmentId).lean();
+
+    if (!shipment) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Shipment not found",
+        null,
+        null
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Shipment retrieved successfully",
+      shipment,
+      null
+    );
+  } catch (error) {
+    console.log("> Error getting shipment:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to retrieve shipment",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Add a manual tracking event to a shipment (admin)
+ * @route POST /api/admin/shipments/:shipmentId/events
+ * @access Private (Admin)
+ */
+export const addShipmentEvent = async (req, res) => {
+  try {
+    const { shipmentId } = req.params;
+    const { status, description, location, occurredAt } = req.body;
+    const adminId = req.adminId;
+
+    console.log("> Adding shipment event:", { shipmentId, status });
+
+    const shipment = await Shipment.findById(shipmentId);
+
+    if (!shipment) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Shipment not found",
+        null,
+        null
+      );
+    }
+
+    const result = await shipmentService.applyShipmentEvent(
+      shipment,
+      { status, description, location, occurredAt },
+      SHIPMENT_EVENT_SOURCE.ADMIN
+    );
+
+    if (!result.applied) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        `Cannot move shipment from ${shipment.status} to ${status}`,
+        shipment,
+        null
+      );
+    }
+
+    await shipmentService.syncOrderFulfillment(shipment.orderId, {
+      changedByType: CHANGED_BY_TYPE.ADMIN,
+      changedById: adminId
+    });
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Shipment event recorded successfully",
+      shipment,
+      null
+    );
+  } catch (error) {
+    console.log("> Error adding shipment event:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to record shipment event",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Cancel shipment (admin)
+ * @route POST /api/admin/shipments/:shipmentId/cancel
+ * @access Private (Admin)
+ */
+export const cancelShipment = async (req, res) => {
+  try {
+    const { shipmentId } = req.params;
+    const { reason } = req.body;
+    const adminId = req.adminId;
+
+    console.log("> Cancelling shipment:", shipmentId);
+
+    const result = await shipmentService.cancelShipment(shipmentId, { reason, changedById: adminId });
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        result.statusCode || HTTP_STATUS.BAD_REQUEST,
+        result.error,
+        null,
+        result.error
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Shipment cancelled successfully",
+      result.data,
+      null
+    );
+  } catch (error) {
+    console.log("> Error cancelling shipment:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to cancel shipment",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * Handle carrier tracking webhook
+ * @route POST /api/webhooks/carriers/:carrierCode
+ * @access Public (Webhook)
+ */
+export const handleCarrierWebhook = async (req, res) => {
+  try {
+    const { carrierCode } = req.params;
+
+    console.log("> Received carrier webhook:", carrierCode);
+
+    const carrier = carrierService.getCarrier(carrierCode);
+
+    if (!carrier) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Unknown carrier",
+        null,
+        null
+      );
+    }
+
+    if (!carrier.verifyWebhook(req)) {
+      console.log("> Carrier webhook signature verification failed");
+      return sendResponse(
+        res,
+        HTTP_STATUS.UNAUTHORIZED,
+        "Invalid webhook signature",
+        null,
+        null
+      );
+    }
+
+    const events = carrier.parseWebhook(req.body);
+    const summary = await shipmentService.processCarrierEvents(carrier.code, events);
+
+    console.log("> Carrier webhook processed:", summary);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Webhook processed successfully",
+      summary,
+      null
+    );
+  } catch (error) {
+    console.log("> Error processing carrier webhook:", error.message);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Failed to process webhook",
+      null,
+      error.message
+    );
+  }
+};
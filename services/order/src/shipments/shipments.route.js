@@ -0,0 +1,106 @@
+import express from "express";
+import { validate } from "@shared/middlewares";
+import { authenticateAdmin } from "@shared/auth-middleware";
+import * as shipmentsController from "./shipments.controller.js";
+import * as shipmentsValidation from "./shipments.validation.js";
+
+/**
+ * Admin Shipments Routes
+ * Base path: /api/admin/shipments
+ */
+const adminRouter = express.Router();
+
+// Apply admin authentication to all admin routes
+adminRouter.use(authenticateAdmin);
+
+/**
+ * @route   GET /api/admin/shipments/carriers
+ * @desc    Get registered carriers
+ * @access  Private (Admin)
+ */
+adminRouter.get("/carriers", shipmentsController.getCarriers);
+
+/**
+ * @route   GET /api/admin/shipments
+ * @desc    Get all shipments with filters
+ * @access  Private (Admin)
+ */
+adminRouter.get(
+  "/",
+  validate(shipmentsValidation.getAllShipmentsSchema),
+  shipmentsController.getAllShipments
+);
+
+/**
+ * @route   POST /api/admin/shipments
+ * @desc    Create a shipment for an order and book it with the carrier
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/",
+  validate(shipmentsValidation.createShipmentSchema),
+  shipmentsController.createShipment
+);
+
+/**
+ * @route   POST /api/admin/shipments/allocated
+ * @desc    Create one shipment per warehouse from the order's checkout allocation
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/allocated",
+  validate(shipmentsValidation.createAllocatedShipmentsSchema),
+  shipmentsController.createAllocatedShipments
+);
+
+/**
+ * @route   GET /api/admin/shipments/:shipmentId
+ * @desc    Get shipment by ID
+ * @access  Private (Admin)
+ */
+adminRouter.get(
+  "/:shipmentId",
+  validate(shipmentsValidation.getShipmentByIdSchema),
+  shipmentsController.getShipmentById
+);
+
+/**
+ * @route   POST /api/admin/shipments/:shipmentId/events
+ * @desc    Record a manual tracking event
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/:shipmentId/events",
+  validate(shipmentsValidation.addShipmentEventSchema),
+  shipmentsController.addShipmentEvent
+);
+
+/**
+ * @route   POST /api/admin/shipments/:shipmentId/cancel
+ * @desc    Cancel a shipment before pickup
+ * @access  Private (Admin)
+ */
+adminRouter.post(
+  "/:shipmentId/cancel",
+  validate(shipmentsValidation.cancelShipmentSchema),
+  shipmentsController.cancelShipment
+);
+
+/**
+ * Webhook Routes (No Authentication, verified per carrier)
+ * Base path: /api/webhooks
+ */
+const webhookRouter = express.Router();
+
+/**
+ * @route   POST /api/webhooks/carriers/:carrierCode
+ * @desc    Handle carrier tracking events
+ * @access  Public (Webhook)
+ */
+webhookRouter.post("/carriers/:carrierCode", shipmentsController.handleCarrierWebhook);
+
+/**
+ * Export routers using dual export pattern
+ */
+export const admin = adminRouter;
+export const webhook = webhookRouter;
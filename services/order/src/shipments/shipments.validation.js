@@ -0,0 +1,128 @@
+import Joi from "joi";
+
+/**
+ * Validation schemas for shipment operations
+ */
+
+const SHIPPING_STATUS_VALUES = [
+  "pending",
+  "processing",
+  "shipped",
+  "in_transit",
+  "out_for_delivery",
+  "delivered",
+  "failed",
+  "returned",
+  "cancelled"
+];
+
+const shipmentIdParams = Joi.object({
+  shipmentId: Joi.string().required().messages({
+    "string.empty": "Shipment ID is required",
+    "any.required": "Shipment ID is required"
+  })
+});
+
+/**
+ * Get all shipments validation (admin)
+ */
+export const getAllShipmentsSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    orderId: Joi.string().optional(),
+    status: Joi.string().valid(...SHIPPING_STATUS_VALUES).optional(),
+    carrierCode: Joi.string().trim().lowercase().optional(),
+    awbNumber: Joi.string().trim().optional()
+  })
+};
+
+/**
+ * Create shipment validation (admin)
+ * Omitting items ships the units allocated to warehouseId at checkout, or every unit
+ * not yet allocated to another shipment when the order has no allocation for it
+ */
+export const createShipmentSchema = {
+  body: Joi.object({
+    orderId: Joi.string().required().messages({
+      "string.empty": "Order ID is required",
+      "any.required": "Order ID is required"
+    }),
+    items: Joi.array()
+      .items(
+        Joi.object({
+          orderItemId: Joi.string().required(),
+          quantity: Joi.number().integer().min(1).required()
+        })
+      )
+      .min(1)
+      .unique("orderItemId")
+      .optional()
+      .messages({
+        "array.unique": "Each order item can only be listed once per shipment"
+      }),
+    carrierCode: Joi.string().trim().lowercase().optional(),
+    warehouseId: Joi.string().trim().optional(),
+    packageData: Joi.object({
+      weight: Joi.number().min(0).optional(),
+      weightUnit: Joi.string().valid("g", "kg").default("g"),
+      dimensions: Joi.object({
+        length: Joi.number().min(0).required(),
+        width: Joi.number().min(0).required(),
+        height: Joi.number().min(0).required()
+      }).optional()
+    }).optional(),
+    notes: Joi.string().trim().max(1000).allow("", null).optional()
+  })
+};
+
+/**
+ * Create one shipment per allocated warehouse validation (admin)
+ */
+export const createAllocatedShipmentsSchema = {
+  body: Joi.object({
+    orderId: Joi.string().required().messages({
+      "string.empty": "Order ID is required",
+      "any.required": "Order ID is required"
+    }),
+    carrierCode: Joi.string().trim().lowercase().optional(),
+    notes: Joi.string().trim().max(1000).allow("", null).optional()
+  })
+};
+
+/**
+ * Get shipment by ID validation (admin)
+ */
+export const getShipmentByIdSchema = {
+  params: shipmentIdParams
+};
+
+/**
+ * Add shipment event validation (admin)
+ * Manual status updates for carriers without webhook support
+ */
+export const addShipmentEventSchema = {
+  params: shipmentIdParams,
+  body: Joi.object({
+    status: Joi.string()
+      .valid("shipped", "in_transit", "out_for_delivery", "delivered", "failed", "returned")
+      .required()
+      .messages({
+        "any.only": "Invalid shipment status",
+        "any.required": "Status is required"
+      }),
+    description: Joi.string().trim().max(500).optional(),
+    location: Joi.string().trim().max(200).optional(),
+    occurredAt: Joi.date().iso().optional()
+  })
+};
+
+/**
+ * Cancel shipment validation (admin)
+ */
+export const cancelShipmentSchema = {
+  params: shipmentIdParams,
+  body: Joi.object({
+    reason: Joi.string().trim().max(500).allow("", null).optional()
+  })
+};
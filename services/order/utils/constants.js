@@ -51,7 +51,48 @@ export const SHIPPING_STATUS = {
   OUT_FOR_DELIVERY: "out_for_delivery",
   DELIVERED: "delivered",
   FAILED: "failed",
-  RETURNED: "returned"
+  RETURNED: "returned",
+  CANCELLED: "cancelled"
+};
+
+// Shipment statuses in which the allocated items have left the warehouse
+export const SHIPPED_STATUSES = [
+  SHIPPING_STATUS.SHIPPED,
+  SHIPPING_STATUS.IN_TRANSIT,
+  SHIPPING_STATUS.OUT_FOR_DELIVERY,
+  SHIPPING_STATUS.FAILED,
+  SHIPPING_STATUS.DELIVERED
+];
+
+// Shipment statuses after which carrier events no longer change the shipment
+export const TERMINAL_SHIPPING_STATUSES = [
+  SHIPPING_STATUS.DELIVERED,
+  SHIPPING_STATUS.RETURNED,
+  SHIPPING_STATUS.CANCELLED
+];
+
+// Forward progression of a shipment; events that move backwards are recorded but ignored.
+// A failed delivery attempt ranks with in_transit so the next re-attempt moves it forward again.
+export const SHIPPING_STATUS_RANK = {
+  [SHIPPING_STATUS.PENDING]: 0,
+  [SHIPPING_STATUS.PROCESSING]: 1,
+  [SHIPPING_STATUS.SHIPPED]: 2,
+  [SHIPPING_STATUS.IN_TRANSIT]: 3,
+  [SHIPPING_STATUS.FAILED]: 3,
+  [SHIPPING_STATUS.OUT_FOR_DELIVERY]: 4,
+  [SHIPPING_STATUS.DELIVERED]: 5,
+  [SHIPPING_STATUS.RETURNED]: 5,
+  [SHIPPING_STATUS.CANCELLED]: 5
+};
+
+export const SHIPMENT_EVENT_SOURCE = {
+  CARRIER: "carrier",
+  ADMIN: "admin",
+  SYSTEM: "system"
+};
+
+export const CARRIER_CODE = {
+  STUB: "stub"
 };
 
 // Order Status History
@@ -131,16 +172,85 @@ export const RETURN_STATUS = {
 
 export const RETURN_REASON = {
   DAMAGED: "damaged",
+  DEFECTIVE: "defective",
   WRONG_ITEM: "wrong_item",
   NOT_AS_DESCRIBED: "not_as_described",
   QUALITY_ISSUE: "quality_issue",
   SIZE_ISSUE: "size_issue",
+  COLOR_MISMATCH: "color_mismatch",
+  EXPIRED: "expired",
   CHANGED_MIND: "changed_mind",
   BETTER_PRICE: "better_price",
   LATE_DELIVERY: "late_delivery",
   OTHER: "other"
 };
 
+export const RETURN_TYPE = {
+  REFUND: "refund",
+  EXCHANGE: "exchange"
+};
+
+// How the price difference between returned and replacement items is settled
+export const EXCHANGE_SETTLEMENT_METHOD = {
+  NONE: "none",
+  PAYMENT_LINK: "payment_link",
+  STORE_CREDIT: "store_credit"
+};
+
+export const EXCHANGE_SETTLEMENT_STATUS = {
+  NOT_REQUIRED: "not_required",
+  PENDING: "pending",
+  PAID: "paid",
+  CREDITED: "credited",
+  EXPIRED: "expired",
+  FAILED: "failed"
+};
+
+// Loyalty points and store credit put towards an order, settled in engagement
+export const TENDER_STATUS = {
+  HELD: "held",
+  CAPTURED: "captured",
+  RELEASED: "released",
+  // The order was paid but its points and store credit could not be debited, so it is
+  // short by their value and needs an admin to review it
+  UNPAID: "unpaid"
+};
+
+// Replacement stock is held from approval until the returned items pass inspection
+export const EXCHANGE_RESERVATION_HOLD_DAYS = parseInt(process.env.EXCHANGE_RESERVATION_HOLD_DAYS) || 14;
+export const EXCHANGE_PAYMENT_LINK_EXPIRY_DAYS = parseInt(process.env.EXCHANGE_PAYMENT_LINK_EXPIRY_DAYS) || 7;
+
+// Return policies: the most specific active policy matching an order item applies
+export const RETURN_POLICY_SCOPE = {
+  PRODUCT: "product",
+  TAG: "tag",
+  CATEGORY: "category",
+  DEFAULT: "default"
+};
+
+// Scopes from most to least specific
+export const RETURN_POLICY_PRECEDENCE = [
+  RETURN_POLICY_SCOPE.PRODUCT,
+  RETURN_POLICY_SCOPE.TAG,
+  RETURN_POLICY_SCOPE.CATEGORY,
+  RETURN_POLICY_SCOPE.DEFAULT
+];
+
+export const RESTOCKING_FEE_TYPE = {
+  PERCENTAGE: "percentage",
+  FIXED: "fixed"
+};
+
+// Why an item can't be returned, reported per item by requestReturn
+export const RETURN_INELIGIBILITY = {
+  QUANTITY_EXCEEDED: "quantity_exceeded",
+  NOT_RETURNABLE: "not_returnable",
+  WINDOW_CLOSED: "window_closed",
+  REASON_NOT_ALLOWED: "reason_not_allowed",
+  OPENED_ITEM: "opened_item",
+  IMAGES_REQUIRED: "images_required"
+};
+
 // Invoice Constants
 export const INVOICE_STATUS = {
   DRAFT: "draft",
@@ -150,14 +260,153 @@ export const INVOICE_STATUS = {
   CANCELLED: "cancelled"
 };
 
+export const INVOICE_TYPE = {
+  SALE: "sale",
+  CREDIT_NOTE: "credit_note"
+};
+
+// GST Constants
+// Rate used when a product has no HSN code or its code is missing from the catalog master
+export const DEFAULT_GST_RATE = parseFloat(process.env.DEFAULT_GST_RATE) || 18;
+
+// SAC code for courier/delivery charges, reported on invoices and in the HSN summary
+export const SHIPPING_SAC_CODE = process.env.SHIPPING_SAC_CODE || "996812";
+
+// Inter-state B2C invoices above this value are reported individually (GSTR-1 B2CL)
+export const B2CL_INVOICE_THRESHOLD = parseFloat(process.env.B2CL_INVOICE_THRESHOLD) || 100000;
+
+// GST state codes used for place of supply
+export const GST_STATE_CODES = {
+  "jammu and kashmir": "01",
+  "himachal pradesh": "02",
+  "punjab": "03",
+  "chandigarh": "04",
+  "uttarakhand": "05",
+  "haryana": "06",
+  "delhi": "07",
+  "rajasthan": "08",
+  "uttar pradesh": "09",
+  "bihar": "10",
+  "sikkim": "11",
+  "arunachal pradesh": "12",
+  "nagaland": "13",
+  "manipur": "14",
+  "mizoram": "15",
+  "tripura": "16",
+  "meghalaya": "17",
+  "assam": "18",
+  "west bengal": "19",
+  "jharkhand": "20",
+  "odisha": "21",
+  "chhattisgarh": "22",
+  "madhya pradesh": "23",
+  "gujarat": "24",
+  "dadra and nagar haveli and daman and diu": "26",
+  "karnataka": "29",
+  "goa": "30",
+  "lakshadweep": "31",
+  "kerala": "32",
+  "tamil nadu": "33",
+  "puducherry": "34",
+  "andaman and nicobar islands": "35",
+  "telangana": "36",
+  "andhra pradesh": "37",
+  "ladakh": "38"
+};
+
+// Recall Constants
+export const RECALL_STATUS = {
+  OPEN: "open",
+  CLOSED: "closed"
+};
+
+export const RECALL_RESOLUTION = {
+  PENDING: "pending",
+  REFUND: "refund",
+  REPLACEMENT: "replacement",
+  ACKNOWLEDGED: "acknowledged"
+};
+
+export const RECALL_NOTIFICATION_STATUS = {
+  PENDING: "pending",
+  QUEUED: "queued",
+  FAILED: "failed",
+  SKIPPED: "skipped"
+};
+
+export const RECALL_STOCK_FREEZE_STATUS = {
+  PENDING: "pending",
+  FROZEN: "frozen",
+  FAILED: "failed",
+  SKIPPED: "skipped"
+};
+
+export const RECALL_NOTIFICATION_TEMPLATE = process.env.RECALL_NOTIFICATION_TEMPLATE || "PRODUCT_RECALL";
+
+// Cart Recovery Constants
+export const CART_RECOVERY_STATUS = {
+  ACTIVE: "active",
+  COMPLETED: "completed",
+  RECOVERED: "recovered"
+};
+
+export const CART_RECOVERY_CHANNELS = ["email", "sms", "whatsapp"];
+
+export const CART_RECOVERY_MESSAGE_STATUS = {
+  QUEUED: "queued",
+  SKIPPED: "skipped"
+};
+
+export const CART_RECOVERY_SKIP_REASON = {
+  NO_RECIPIENT: "no_recipient",
+  NO_CONSENT: "no_consent",
+  SUPERSEDED: "superseded"
+};
+
+export const CART_RECOVERY_ATTRIBUTION = {
+  RESTORE_LINK: "restore_link",
+  LAST_MESSAGE: "last_message"
+};
+
+// Used when no recovery sequence is active; the coupon step is sent without a coupon
+// unless CART_RECOVERY_COUPON_BATCH_ID is set
+export const DEFAULT_CART_RECOVERY_STEPS = [
+  { delayHours: 1, channel: "whatsapp" },
+  { delayHours: 24, channel: "email" },
+  {
+    delayHours: 72,
+    channel: "email",
+    coupon: process.env.CART_RECOVERY_COUPON_BATCH_ID
+      ? { batchId: process.env.CART_RECOVERY_COUPON_BATCH_ID, validForHours: 48 }
+      : null
+  }
+];
+
+export const CART_RESTORE_TOKEN_TTL_DAYS = parseInt(process.env.CART_RESTORE_TOKEN_TTL_DAYS) || 7;
+export const CART_RECOVERY_ATTRIBUTION_DAYS = parseInt(process.env.CART_RECOVERY_ATTRIBUTION_DAYS) || 7;
+
 // Time Constants
 export const CART_EXPIRY_HOURS = 72;
 export const CHECKOUT_EXPIRY_MINUTES = 30;
 export const INVENTORY_RESERVATION_MINUTES = 30;
 export const PAYMENT_TIMEOUT_MINUTES = 15;
-export const RETURN_WINDOW_DAYS = 7;
+// How long a gateway payment can still arrive and be reconciled; tender holds last as long
+export const PAYMENT_RECONCILIATION_WINDOW_HOURS = parseInt(process.env.PAYMENT_RECONCILIATION_WINDOW_HOURS) || 48;
+// Used when no return policy matches an item
+export const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
 export const REFUND_PROCESSING_DAYS = 5;
 
+// Shipping Constants
+export const DEFAULT_ITEM_WEIGHT_GRAMS = parseInt(process.env.DEFAULT_ITEM_WEIGHT_GRAMS) || 250;
+export const WEIGHT_UNIT_TO_GRAMS = {
+  g: 1,
+  kg: 1000,
+  ml: 1,
+  L: 1000,
+  oz: 28.3495,
+  lb: 453.592
+};
+
 // Pagination Constants
 export const DEFAULT_PAGE = 1;
 export const DEFAULT_LIMIT = 20;
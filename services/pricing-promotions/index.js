@@ -2,13 +2,20 @@ import "@shared/env-loader";
 import { database as connectDB } from "@shared/config";
 import mongoose from "mongoose";
 import createApp from "./config/express.config.js";
+import { initializeJobs, stopJobs } from "./src/jobs/job-scheduler.js";
 
 const PORT = process.env.PORT || 3004;
 let server = null;
+let scheduledJobs = null;
 
 const gracefulShutdown = async (signal) => {
   console.log(`> Received ${signal}, shutting down gracefully...`);
 
+  // Stop all scheduled jobs
+  if (scheduledJobs) {
+    stopJobs(scheduledJobs);
+  }
+
   if (server) {
     server.close(async () => {
       console.log("> HTTP server closed");
@@ -40,6 +47,9 @@ async function startServer() {
 
   const app = createApp();
 
+  // Initialize background jobs
+  scheduledJobs = await initializeJobs();
+
   server = app.listen(PORT, () => {
     console.log(`> Server running on port ${PORT}`);
   });
@@ -47,6 +57,9 @@ async function startServer() {
   server.on("error", (err) => {
     if (err.code === "EADDRINUSE") {
       console.error(`> Port ${PORT} is already in use`);
+      if (scheduledJobs) {
+        stopJobs(scheduledJobs);
+      }
       process.exit(1);
     } else {
       console.error("> Server error:", err);
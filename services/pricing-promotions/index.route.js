@@ -1,10 +1,17 @@
 import { Router } from "express";
 import { sendResponse } from "@shared/utils";
 import { validateBody } from "@shared/middlewares";
+import { createJobRoutes } from "@shared/job-runner";
+import { authenticateAdmin } from "./middlewares/auth.middleware.js";
+import { jobRunner } from "./src/jobs/job-scheduler.js";
 import couponsRoutes from "./src/coupons/coupons.route.js";
+import couponBatchesRoutes from "./src/coupon-batches/coupon-batches.route.js";
+import priceSchedulesRoutes from "./src/price-schedules/price-schedules.route.js";
+import saleEventsRoutes from "./src/sale-events/sale-events.route.js";
 import { calculatePrice, calculateCartTotals, calculateTax, getVariantPrice, bulkGetPrices, createPricing } from "./src/pricing/pricing.controller.js";
-import { calculatePricingSchema } from "./src/pricing/pricing.validator.js";
-import { validateCouponUsage } from "./src/coupons/coupons.controller.js";
+import { calculatePricingSchema, calculateTaxSchema } from "./src/pricing/pricing.validator.js";
+import { validateCouponUsage, recordCouponUsage } from "./src/coupons/coupons.controller.js";
+import { recordCouponUsageSchema } from "./src/coupons/coupons.validator.js";
 import automaticDiscountsRoutes from "./src/automatic-discounts/automatic-discounts.route.js";
 import tierDiscountsRoutes from "./src/tier-discounts/tier-discounts.route.js";
 import freeGiftsRoutes from "./src/free-gifts/free-gifts.route.js";
@@ -46,11 +53,11 @@ router.post("/calculate/cart", validateBody(calculatePricingSchema), calculateCa
 
 /**
  * @route POST /api/calculate/tax
- * @description Calculate tax for an order
+ * @description Calculate GST for an order (per line from HSN rates when lines are sent)
  * @access Public
  */
-router.post("/calculate/tax", calculateTax);
-router.post("/tax", calculateTax); // Alias for gateway routing
+router.post("/calculate/tax", validateBody(calculateTaxSchema), calculateTax);
+router.post("/tax", validateBody(calculateTaxSchema), calculateTax); // Alias for gateway routing
 
 /**
  * @route POST /api/coupons/usage/validate
@@ -59,6 +66,13 @@ router.post("/tax", calculateTax); // Alias for gateway routing
  */
 router.post("/coupons/usage/validate", validateCouponUsage);
 
+/**
+ * @route POST /api/coupons/usage
+ * @description Record a coupon redemption (Order service integration endpoint)
+ * @access Public
+ */
+router.post("/coupons/usage", validateBody(recordCouponUsageSchema), recordCouponUsage);
+
 /**
  * @route GET /api/prices/:variantId
  * @description Get price for a single variant
@@ -73,6 +87,16 @@ router.get("/prices/:variantId", getVariantPrice);
  */
 router.post("/prices/bulk", bulkGetPrices);
 
+/**
+ * Internal Routes (Service-to-service, not exposed via gateway)
+ */
+
+/**
+ * @route /api/internal/coupon-batches
+ * @description Issue single-customer codes from a coupon batch
+ */
+router.use("/internal/coupon-batches", couponBatchesRoutes.internal);
+
 /**
  * Admin Routes
  */
@@ -83,6 +107,12 @@ router.post("/prices/bulk", bulkGetPrices);
  */
 router.use("/admin/coupons", couponsRoutes.admin);
 
+/**
+ * @route /api/admin/coupon-batches
+ * @description Coupon batch (unique code campaign) management routes (admin)
+ */
+router.use("/admin/coupon-batches", couponBatchesRoutes.admin);
+
 /**
  * @route /api/admin/automatic-discounts
  * @description Automatic discount management routes (admin)
@@ -101,9 +131,27 @@ router.use("/admin/tier-discounts", tierDiscountsRoutes.admin);
  */
 router.use("/admin/free-gift-rules", freeGiftsRoutes.admin);
 
+/**
+ * @route /api/admin/prices
+ * @description Price schedule and price history routes (admin)
+ */
+router.use("/admin/prices", priceSchedulesRoutes.admin);
+
+/**
+ * @route /api/admin/sale-events
+ * @description Sale event (bulk scheduled sale prices) management routes (admin)
+ */
+router.use("/admin/sale-events", saleEventsRoutes.admin);
+
+/**
+ * @route /api/admin/jobs
+ * @description Scheduled job status, run history, manual trigger and pause (admin)
+ */
+router.use("/admin/jobs", authenticateAdmin, createJobRoutes(jobRunner));
+
 /**
  * @route POST /api/admin/prices
- * @description Create/update pricing record for a variant
+ * @description Set the regular price of a variant (Catalog service integration endpoint)
  * @access Admin
  */
 router.post("/admin/prices", createPricing);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import itemSetSchema from "./itemSet.schema.js";
 
 const automaticDiscountSchema = new mongoose.Schema(
   {
@@ -13,7 +14,7 @@ const automaticDiscountSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["percentage", "fixed_amount"],
+      enum: ["percentage", "fixed_amount", "buy_x_get_y", "bundle_price"],
       required: true,
     },
     value: {
@@ -25,6 +26,31 @@ const automaticDiscountSchema = new mongoose.Schema(
       type: Number,
       default: null,
     },
+    // buy_x_get_y: value is the reward percentage (100 = free)
+    // bundle_price: value is the price for buyQuantity qualifying items
+    qualifyingItems: {
+      type: itemSetSchema,
+      default: null,
+    },
+    rewardItems: {
+      type: itemSetSchema,
+      default: null,
+    },
+    buyQuantity: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    getQuantity: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    maxApplications: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
     minOrderValue: {
       type: Number,
       default: 0,
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import itemSetSchema from "./itemSet.schema.js";
 
 const couponSchema = new mongoose.Schema(
   {
@@ -21,7 +22,7 @@ const couponSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["percentage", "fixed_amount", "free_shipping"],
+      enum: ["percentage", "fixed_amount", "free_shipping", "buy_x_get_y", "bundle_price"],
       required: true,
     },
     value: {
@@ -33,6 +34,31 @@ const couponSchema = new mongoose.Schema(
       type: Number,
       default: null,
     },
+    // buy_x_get_y: value is the reward percentage (100 = free)
+    // bundle_price: value is the price for buyQuantity qualifying items
+    qualifyingItems: {
+      type: itemSetSchema,
+      default: null,
+    },
+    rewardItems: {
+      type: itemSetSchema,
+      default: null,
+    },
+    buyQuantity: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    getQuantity: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    maxApplications: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
     minOrderValue: {
       type: Number,
       default: 0,
@@ -92,6 +118,12 @@ const couponSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Set on unique codes generated for a coupon batch
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CouponBatch",
+      default: null,
+    },
     createdById: {
       type: mongoose.Schema.Types.ObjectId,
       required: true,
@@ -111,6 +143,7 @@ couponSchema.index({ code: 1, isActive: 1 });
 couponSchema.index({ startsAt: 1, endsAt: 1 });
 couponSchema.index({ isActive: 1, isAutoApply: 1 });
 couponSchema.index({ deletedAt: 1 });
+couponSchema.index({ batchId: 1, usageCount: 1 });
 
 const Coupon = mongoose.model("Coupon", couponSchema);
 
@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+import itemSetSchema from "./itemSet.schema.js";
+
+// Unambiguous characters only (no 0/O, 1/I/L)
+export const DEFAULT_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+/**
+ * Coupon batch (campaign)
+ * One discount definition shared by many unique codes. Each code is a Coupon
+ * document with batchId set, so codes go through the regular coupon validation.
+ */
+const couponBatchSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Code generation
+    prefix: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "",
+    },
+    codeLength: {
+      type: Number,
+      required: true,
+      min: 4,
+      max: 32,
+    },
+    alphabet: {
+      type: String,
+      default: DEFAULT_CODE_ALPHABET,
+    },
+    codeCount: {
+      type: Number,
+      default: 0,
+    },
+    // Discount definition copied onto every code
+    type: {
+      type: String,
+      enum: ["percentage", "fixed_amount", "free_shipping", "buy_x_get_y", "bundle_price"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    maxDiscount: {
+      type: Number,
+      default: null,
+    },
+    qualifyingItems: {
+      type: itemSetSchema,
+      default: null,
+    },
+    rewardItems: {
+      type: itemSetSchema,
+      default: null,
+    },
+    buyQuantity: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    getQuantity: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    maxApplications: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    minOrderValue: {
+      type: Number,
+      default: 0,
+    },
+    // Redemptions allowed per code (usageLimitTotal on each code)
+    usageLimitPerCode: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    usageLimitPerUser: {
+      type: Number,
+      default: 1,
+    },
+    appliesTo: {
+      type: String,
+      enum: ["all", "specific_products", "specific_collections"],
+      default: "all",
+    },
+    applicableIds: {
+      type: [String],
+      default: [],
+    },
+    excludedIds: {
+      type: [String],
+      default: [],
+    },
+    customerEligibility: {
+      type: String,
+      enum: ["all", "first_order", "specific_segments"],
+      default: "all",
+    },
+    eligibleSegmentIds: {
+      type: [String],
+      default: [],
+    },
+    isStackable: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    createdById: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponBatchSchema.index({ deletedAt: 1, createdAt: -1 });
+
+const CouponBatch = mongoose.model("CouponBatch", couponBatchSchema);
+
+export default CouponBatch;
@@ -13,6 +13,12 @@ const couponUsageSchema = new mongoose.Schema({
     required: true,
     index: true,
   },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CouponBatch",
+    default: null,
+    index: true,
+  },
   orderId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Order",
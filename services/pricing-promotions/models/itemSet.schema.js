@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+/**
+ * Set of cart items a promotion qualifies on or rewards
+ * Used by buy_x_get_y and bundle_price coupons and automatic discounts.
+ */
+const itemSetSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ["product", "collection", "category"],
+      required: true,
+    },
+    ids: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+export default itemSetSchema;
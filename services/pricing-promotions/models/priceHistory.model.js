@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+const priceSnapshotSchema = new mongoose.Schema(
+  {
+    mrp: {
+      type: Number,
+      default: null,
+    },
+    salePrice: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Append-only log of every change to a variant's current price
+ */
+const priceHistorySchema = new mongoose.Schema({
+  variantId: {
+    type: String,
+    required: true,
+  },
+  productId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // Null when the variant had no price before
+  previous: {
+    type: priceSnapshotSchema,
+    default: null,
+  },
+  current: {
+    type: priceSnapshotSchema,
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: ["manual", "schedule_activated", "schedule_expired", "schedule_cancelled"],
+    required: true,
+  },
+  // Schedule whose price is now in force
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PriceSchedule",
+    default: null,
+  },
+  saleEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SaleEvent",
+    default: null,
+  },
+  // Null for changes made by the schedule job
+  changedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  note: {
+    type: String,
+    default: null,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+priceHistorySchema.index({ variantId: 1, changedAt: -1 });
+
+const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema);
+
+export default PriceHistory;
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+/**
+ * One price for a variant over a time window. A variant can have any number
+ * of schedules; VariantPricing holds the one currently in force.
+ */
+const priceScheduleSchema = new mongoose.Schema(
+  {
+    variantId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    productId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    mrp: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    salePrice: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    // Null for an open-ended price that stays until a newer one replaces it
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "active", "expired", "superseded", "cancelled"],
+      default: "scheduled",
+    },
+    // Set once the start time has been processed, so the job does not pick the row up again
+    started: {
+      type: Boolean,
+      default: false,
+    },
+    source: {
+      type: String,
+      enum: ["manual", "schedule", "sale_event", "baseline"],
+      default: "schedule",
+    },
+    saleEventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SaleEvent",
+      default: null,
+      index: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    createdById: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    activatedAt: {
+      type: Date,
+      default: null,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledById: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceScheduleSchema.index({ variantId: 1, status: 1, startsAt: -1 });
+priceScheduleSchema.index({ status: 1, started: 1, startsAt: 1 });
+priceScheduleSchema.index({ status: 1, endsAt: 1 });
+
+const PriceSchedule = mongoose.model("PriceSchedule", priceScheduleSchema);
+
+export default PriceSchedule;
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+/**
+ * A named sale window (e.g. "Diwali Sale") that schedules sale prices for many variants at once
+ */
+const saleEventSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "active", "ended", "cancelled"],
+      default: "scheduled",
+      index: true,
+    },
+    variantCount: {
+      type: Number,
+      default: 0,
+    },
+    createdById: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledById: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+saleEventSchema.index({ startsAt: -1 });
+
+const SaleEvent = mongoose.model("SaleEvent", saleEventSchema);
+
+export default SaleEvent;
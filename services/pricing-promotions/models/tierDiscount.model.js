@@ -56,6 +56,15 @@ const tierDiscountSchema = new mongoose.Schema(
         message: "At least one tier level is required",
       },
     },
+    priority: {
+      type: Number,
+      default: 0,
+      index: true,
+    },
+    isStackable: {
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -36,6 +36,16 @@ const variantPricingSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // True while the current price has not yet been pushed to the catalog
+    catalogSyncPending: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    catalogSyncedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,44 @@
+import { createHttpClient, handleServiceError, TimeoutConfig } from "./http-client.service.js";
+
+const catalogClient = createHttpClient(
+  process.env.CATALOG_SERVICE_URL || "http://localhost:3002",
+  parseInt(process.env.CATALOG_SERVICE_TIMEOUT) || TimeoutConfig.STANDARD,
+  "catalog"
+);
+
+/**
+ * Get metadata (including category and collection IDs) for products
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<object>} { success, data: { products } }
+ */
+export const getProductsMetadata = async (productIds) => {
+  try {
+    const response = await catalogClient.post("/api/products/metadata", { productIds });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Catalog");
+  }
+};
+
+/**
+ * Push a variant's current price to the catalog
+ * @param {string} variantId - Variant ID
+ * @param {object} price - { mrp, salePrice }
+ * @returns {Promise<object>} { success, data: { variant } }
+ */
+export const updateVariantPrice = async (variantId, { mrp, salePrice }) => {
+  try {
+    const response = await catalogClient.put(`/api/admin/variants/${variantId}`, {
+      mrp,
+      salePrice: salePrice || null,
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Catalog");
+  }
+};
+
+export default {
+  getProductsMetadata,
+  updateVariantPrice,
+};
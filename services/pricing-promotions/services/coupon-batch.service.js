@@ -0,0 +1,276 @@
+import crypto from "crypto";
+import Coupon from "../models/coupon.model.js";
+import CouponBatch from "../models/couponBatch.model.js";
+import CouponUsage from "../models/couponUsage.model.js";
+import { COUPON_BATCH_LIMITS } from "../utils/constants.js";
+
+const GENERATION_CHUNK_SIZE = 1000;
+const MAX_GENERATION_ROUNDS = 10;
+
+// Discount rule fields copied from a batch onto each of its codes
+export const BATCH_RULE_FIELDS = [
+  "type",
+  "value",
+  "maxDiscount",
+  "qualifyingItems",
+  "rewardItems",
+  "buyQuantity",
+  "getQuantity",
+  "maxApplications",
+  "minOrderValue",
+  "usageLimitPerUser",
+  "appliesTo",
+  "applicableIds",
+  "excludedIds",
+  "customerEligibility",
+  "eligibleSegmentIds",
+  "isStackable",
+  "isActive",
+  "startsAt",
+  "endsAt",
+];
+
+/**
+ * Check that a batch's code space can hold more codes without frequent collisions
+ * @param {object} batch - Batch settings { alphabet, codeLength, codeCount }
+ * @param {number} quantity - Codes to add
+ * @returns {boolean} - True if the code space is large enough
+ */
+export const hasCodeSpaceFor = (batch, quantity) => {
+  const codeSpace = Math.pow(batch.alphabet.length, batch.codeLength);
+  return codeSpace >= ((batch.codeCount || 0) + quantity) * COUPON_BATCH_LIMITS.CODE_SPACE_HEADROOM;
+};
+
+/**
+ * Generate one random code from the batch settings
+ * @param {object} batch - Batch settings { prefix, alphabet, codeLength }
+ * @returns {string} - Code
+ */
+export const generateRandomCode = (batch) => {
+  let body = "";
+  for (let i = 0; i < batch.codeLength; i++) {
+    body += batch.alphabet[crypto.randomInt(batch.alphabet.length)];
+  }
+  return `${batch.prefix || ""}${body}`;
+};
+
+/**
+ * Build the coupon document for one batch code
+ * @param {object} batch - Coupon batch
+ * @param {string} code - Generated code
+ * @returns {object} - Coupon data
+ */
+const buildBatchCoupon = (batch, code) => {
+  const coupon = {
+    code,
+    name: batch.name,
+    description: batch.description,
+    batchId: batch._id,
+    usageLimitTotal: batch.usageLimitPerCode,
+    isAutoApply: false,
+    createdById: batch.createdById,
+  };
+
+  for (const field of BATCH_RULE_FIELDS) {
+    coupon[field] = batch[field];
+  }
+
+  return coupon;
+};
+
+/**
+ * Generate unique codes for a batch
+ * Candidates are drawn in chunks, checked against existing coupon codes and inserted
+ * unordered; codes lost to a concurrent insert are drawn again in the next round.
+ * @param {object} batch - Coupon batch
+ * @param {number} quantity - Codes to generate
+ * @returns {Promise<{created: number}>} - Number of codes created
+ */
+export const generateBatchCodes = async (batch, quantity) => {
+  console.log(`> Generating ${quantity} codes for batch: ${batch.name}`);
+
+  let created = 0;
+  let rounds = 0;
+
+  while (created < quantity && rounds < MAX_GENERATION_ROUNDS) {
+    rounds++;
+    const chunkSize = Math.min(GENERATION_CHUNK_SIZE, quantity - created);
+
+    const candidates = new Set();
+    while (candidates.size < chunkSize) {
+      candidates.add(generateRandomCode(batch));
+    }
+
+    const existing = await Coupon.find({ code: { $in: [...candidates] } }).select("code").lean();
+    existing.forEach((coupon) => candidates.delete(coupon.code));
+
+    if (candidates.size === 0) {
+      continue;
+    }
+
+    try {
+      const inserted = await Coupon.insertMany(
+        [...candidates].map((code) => buildBatchCoupon(batch, code)),
+        { ordered: false }
+      );
+      created += inserted.length;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      created += error.insertedDocs?.length ?? error.result?.insertedCount ?? 0;
+    }
+  }
+
+  await CouponBatch.updateOne({ _id: batch._id }, { $inc: { codeCount: created } });
+
+  console.log(`> Generated ${created} of ${quantity} codes for batch: ${batch.name}`);
+  return { created };
+};
+
+/**
+ * Issue one new code from a batch, e.g. a single-use code sent to one customer
+ * The code expires after validForHours, or when the batch ends if that is sooner.
+ * @param {object} batch - Coupon batch
+ * @param {object} options - { validForHours }
+ * @returns {Promise<object|null>} - Created coupon, or null if no free code was found
+ */
+export const issueBatchCode = async (batch, { validForHours = null } = {}) => {
+  const coupon = buildBatchCoupon(batch, null);
+
+  if (validForHours) {
+    const expiresAt = new Date(Date.now() + validForHours * 60 * 60 * 1000);
+    coupon.endsAt = batch.endsAt && batch.endsAt < expiresAt ? batch.endsAt : expiresAt;
+  }
+
+  for (let attempt = 0; attempt < MAX_GENERATION_ROUNDS; attempt++) {
+    try {
+      const issued = await Coupon.create({ ...coupon, code: generateRandomCode(batch) });
+      await CouponBatch.updateOne({ _id: batch._id }, { $inc: { codeCount: 1 } });
+      return issued;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Copy updated batch fields onto its codes
+ * @param {object} batch - Coupon batch
+ * @param {object} updates - Updated batch fields
+ * @returns {Promise<number>} - Number of codes updated
+ */
+export const syncBatchCodes = async (batch, updates) => {
+  const couponUpdates = {};
+
+  for (const field of ["name", "description", ...BATCH_RULE_FIELDS]) {
+    if (updates[field] !== undefined) {
+      couponUpdates[field] = updates[field];
+    }
+  }
+
+  if (Object.keys(couponUpdates).length === 0) {
+    return 0;
+  }
+
+  const result = await Coupon.updateMany(
+    { batchId: batch._id, deletedAt: null },
+    { $set: couponUpdates }
+  );
+
+  console.log(`> Synced ${result.modifiedCount} codes for batch: ${batch.name}`);
+  return result.modifiedCount;
+};
+
+/**
+ * Redemption stats for a batch
+ * Code counts come from the coupons; redemptions, customers and discount from CouponUsage.
+ * @param {object} batch - Coupon batch
+ * @returns {Promise<object>} - Stats
+ */
+export const getBatchStats = async (batch) => {
+  const [totalCodes, redeemedCodes, customers, usage, dailyRedemptions] = await Promise.all([
+    Coupon.countDocuments({ batchId: batch._id, deletedAt: null }),
+    Coupon.countDocuments({ batchId: batch._id, deletedAt: null, usageCount: { $gt: 0 } }),
+    CouponUsage.distinct("userId", { batchId: batch._id }),
+    CouponUsage.aggregate([
+      { $match: { batchId: batch._id } },
+      {
+        $group: {
+          _id: null,
+          totalRedemptions: { $sum: 1 },
+          totalDiscount: { $sum: "$discountAmount" },
+          firstRedeemedAt: { $min: "$usedAt" },
+          lastRedeemedAt: { $max: "$usedAt" },
+        },
+      },
+    ]),
+    CouponUsage.aggregate([
+      { $match: { batchId: batch._id } },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$usedAt" } },
+          redemptions: { $sum: 1 },
+          discount: { $sum: "$discountAmount" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  const totals = usage[0] || {};
+
+  return {
+    totalCodes,
+    redeemedCodes,
+    unusedCodes: totalCodes - redeemedCodes,
+    redemptionRate: totalCodes > 0 ? Math.round((redeemedCodes / totalCodes) * 10000) / 100 : 0,
+    totalRedemptions: totals.totalRedemptions || 0,
+    uniqueCustomers: customers.length,
+    totalDiscount: Math.round((totals.totalDiscount || 0) * 100) / 100,
+    firstRedeemedAt: totals.firstRedeemedAt || null,
+    lastRedeemedAt: totals.lastRedeemedAt || null,
+    dailyRedemptions: dailyRedemptions.map((day) => ({
+      date: day._id,
+      redemptions: day.redemptions,
+      discount: Math.round(day.discount * 100) / 100,
+    })),
+  };
+};
+
+/**
+ * Render batch codes as CSV
+ * @param {Array} coupons - Batch coupons { code, usageCount, usageLimitTotal, isActive }
+ * @returns {string} - CSV content
+ */
+export const buildBatchCodesCsv = (coupons) => {
+  const rows = coupons.map((coupon) => {
+    let status = "unused";
+    if (!coupon.isActive) {
+      status = "inactive";
+    } else if (coupon.usageLimitTotal !== null && coupon.usageCount >= coupon.usageLimitTotal) {
+      status = "redeemed";
+    } else if (coupon.usageCount > 0) {
+      status = "partially_redeemed";
+    }
+
+    return [coupon.code, status, coupon.usageCount, coupon.usageLimitTotal ?? ""].join(",");
+  });
+
+  return ["Code,Status,Times Used,Usage Limit", ...rows].join("\n");
+};
+
+export default {
+  BATCH_RULE_FIELDS,
+  hasCodeSpaceFor,
+  generateRandomCode,
+  generateBatchCodes,
+  issueBatchCode,
+  syncBatchCodes,
+  getBatchStats,
+  buildBatchCodesCsv,
+};
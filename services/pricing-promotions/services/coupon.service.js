@@ -1,5 +1,8 @@
 import Coupon from "../models/coupon.model.js";
 import CouponUsage from "../models/couponUsage.model.js";
+import { checkSegmentMembership } from "./engagement-integration.service.js";
+import { calculateItemPromotion } from "./item-promotion.service.js";
+import { CUSTOMER_ELIGIBILITY } from "../utils/constants.js";
 
 /**
  * Validate coupon code
@@ -58,6 +61,31 @@ export const validateCoupon = async (code, userId, cartData) => {
       }
     }
 
+    // Check customer segment eligibility (fails closed if the segment lookup is unavailable)
+    if (coupon.customerEligibility === CUSTOMER_ELIGIBILITY.SPECIFIC_SEGMENTS) {
+      if (!userId) {
+        console.log(`> Segment coupon requires a signed-in user: ${code}`);
+        return { valid: false, error: "Please sign in to use this coupon" };
+      }
+
+      if (!coupon.eligibleSegmentIds || coupon.eligibleSegmentIds.length === 0) {
+        console.log(`> Segment coupon has no segments configured: ${code}`);
+        return { valid: false, error: "You are not eligible for this coupon" };
+      }
+
+      const membership = await checkSegmentMembership(userId.toString(), coupon.eligibleSegmentIds);
+
+      if (!membership.success) {
+        console.log(`> Segment check failed for coupon ${code}: ${membership.error}`);
+        return { valid: false, error: "Unable to verify coupon eligibility, please try again" };
+      }
+
+      if (!membership.data.eligible) {
+        console.log(`> User not in eligible segments for coupon: ${code}`);
+        return { valid: false, error: "You are not eligible for this coupon" };
+      }
+    }
+
     // Check minimum order value
     if (coupon.minOrderValue > 0 && cartData.subtotal < coupon.minOrderValue) {
       console.log(`> Minimum order value not met: ${code}`);
@@ -110,6 +138,11 @@ export const calculateCouponDiscount = (coupon, cartData) => {
         discount = 0;
         break;
 
+      case "buy_x_get_y":
+      case "bundle_price":
+        discount = calculateItemPromotion(coupon, cartData).amount;
+        break;
+
       default:
         console.log(`> Unknown coupon type: ${coupon.type}`);
         discount = 0;
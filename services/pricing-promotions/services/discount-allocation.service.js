@@ -0,0 +1,139 @@
+import { matchesItemSet } from "./item-promotion.service.js";
+import { APPLIES_TO, ITEM_SCOPE } from "../utils/constants.js";
+
+/**
+ * Split an amount across weights, in paise, so the parts always add up to the amount
+ * Remaining paise go to the largest remainders (earliest line on ties).
+ * @param {number} amount - Amount to split
+ * @param {Array<number>} weights - Non-negative weights
+ * @returns {Array<number>} - Parts (rounded to 2 decimals)
+ */
+export const splitAmount = (amount, weights) => {
+  const totalPaise = Math.round(amount * 100);
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+  if (totalPaise <= 0 || totalWeight <= 0) {
+    return weights.map(() => 0);
+  }
+
+  const exact = weights.map((weight) => (totalPaise * weight) / totalWeight);
+  const parts = exact.map(Math.floor);
+  let remainder = totalPaise - parts.reduce((total, part) => total + part, 0);
+
+  const order = exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+
+  for (const { index } of order) {
+    if (remainder <= 0) break;
+    parts[index] += 1;
+    remainder -= 1;
+  }
+
+  return parts.map((paise) => paise / 100);
+};
+
+/**
+ * Value of a cart line before discounts
+ * @param {object} item - Cart item
+ * @returns {number}
+ */
+const lineValue = (item) => (item.price || 0) * (item.quantity || 0);
+
+/**
+ * Check whether a cart line is inside a coupon or automatic discount's appliesTo scope
+ * @param {object} item - Cart item
+ * @param {object} promotion - Coupon or automatic discount
+ * @returns {boolean}
+ */
+const isInPromotionScope = (item, promotion) => {
+  switch (promotion.appliesTo) {
+    case APPLIES_TO.SPECIFIC_PRODUCTS:
+      return matchesItemSet(item, { scope: ITEM_SCOPE.PRODUCT, ids: promotion.applicableIds || [] });
+
+    case APPLIES_TO.SPECIFIC_COLLECTIONS:
+      return matchesItemSet(item, { scope: ITEM_SCOPE.COLLECTION, ids: promotion.applicableIds || [] });
+
+    default:
+      return true;
+  }
+};
+
+/**
+ * Weights used to spread one applied promotion across cart lines
+ * Item promotions follow their rewarded lines; scoped promotions go to in-scope lines;
+ * everything else is spread in proportion to line value.
+ * @param {Array} items - Cart items
+ * @param {object} applied - Applied promotion { promotion, rewardedLines }
+ * @returns {Array<number>} - One weight per cart line
+ */
+const allocationWeights = (items, applied) => {
+  if (applied.rewardedLines && applied.rewardedLines.length > 0) {
+    const weights = items.map(() => 0);
+    for (const line of applied.rewardedLines) {
+      weights[line.lineIndex] += line.discount;
+    }
+    return weights;
+  }
+
+  const paidWeights = items.map((item) => (item.isFreeGift ? 0 : lineValue(item)));
+
+  if (applied.promotion) {
+    const scopedWeights = items.map((item, index) =>
+      isInPromotionScope(item, applied.promotion) ? paidWeights[index] : 0
+    );
+    if (scopedWeights.some((weight) => weight > 0)) {
+      return scopedWeights;
+    }
+  }
+
+  return paidWeights;
+};
+
+/**
+ * Spread every applied discount across cart lines
+ * @param {object} cartData - Cart data with items
+ * @param {Array} appliedPromotions - { type, id, name, code, amount, promotion, rewardedLines }
+ * @returns {Array} - Per line { lineIndex, productId, variantId, quantity, lineValue, discount, taxableValue, allocations }
+ */
+export const allocateDiscounts = (cartData, appliedPromotions) => {
+  const items = cartData.items || [];
+
+  const lines = items.map((item, lineIndex) => ({
+    lineIndex,
+    productId: item.productId,
+    variantId: item.variantId || null,
+    quantity: item.quantity,
+    lineValue: Math.round(lineValue(item) * 100) / 100,
+    discount: 0,
+    taxableValue: 0,
+    allocations: [],
+  }));
+
+  for (const applied of appliedPromotions) {
+    const parts = splitAmount(applied.amount, allocationWeights(items, applied));
+
+    parts.forEach((amount, lineIndex) => {
+      if (amount <= 0) return;
+
+      const allocation = { type: applied.type, id: applied.id, name: applied.name, amount };
+      if (applied.code) {
+        allocation.code = applied.code;
+      }
+
+      lines[lineIndex].allocations.push(allocation);
+      lines[lineIndex].discount = Math.round((lines[lineIndex].discount + amount) * 100) / 100;
+    });
+  }
+
+  for (const line of lines) {
+    line.taxableValue = Math.max(0, Math.round((line.lineValue - line.discount) * 100) / 100);
+  }
+
+  return lines;
+};
+
+export default {
+  splitAmount,
+  allocateDiscounts,
+};
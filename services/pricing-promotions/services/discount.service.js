@@ -1,4 +1,22 @@
 import AutomaticDiscount from "../models/automaticDiscount.model.js";
+import TierDiscount from "../models/tierDiscount.model.js";
+import { calculateItemPromotion } from "./item-promotion.service.js";
+import { TIER_TYPE } from "../utils/constants.js";
+
+/**
+ * Build the query for promotions that are active and inside their date window
+ * @param {Date} now - Evaluation time
+ * @returns {object} - Mongo filter
+ */
+const activeWindowQuery = (now) => ({
+  isActive: true,
+  $or: [
+    { startsAt: null, endsAt: null },
+    { startsAt: { $lte: now }, endsAt: null },
+    { startsAt: null, endsAt: { $gte: now } },
+    { startsAt: { $lte: now }, endsAt: { $gte: now } },
+  ],
+});
 
 /**
  * Evaluate and get eligible automatic discounts
@@ -9,20 +27,10 @@ export const evaluateAutomaticDiscounts = async (cartData) => {
   try {
     console.log(`> Evaluating automatic discounts for cart subtotal: ${cartData.subtotal}`);
 
-    const now = new Date();
-
     // Find all active automatic discounts within date range
-    const query = {
-      isActive: true,
-      $or: [
-        { startsAt: null, endsAt: null },
-        { startsAt: { $lte: now }, endsAt: null },
-        { startsAt: null, endsAt: { $gte: now } },
-        { startsAt: { $lte: now }, endsAt: { $gte: now } },
-      ],
-    };
-
-    const discounts = await AutomaticDiscount.find(query).sort({ priority: -1 });
+    const query = activeWindowQuery(new Date());
+
+    const discounts = await AutomaticDiscount.find(query).sort({ priority: -1, createdAt: 1 });
 
     // Filter by minimum order value
     const eligibleDiscounts = discounts.filter(
@@ -66,6 +74,11 @@ export const calculateAutomaticDiscount = (discount, cartData) => {
         }
         break;
 
+      case "buy_x_get_y":
+      case "bundle_price":
+        discountAmount = calculateItemPromotion(discount, cartData).amount;
+        break;
+
       default:
         console.log(`> Unknown discount type: ${discount.type}`);
         discountAmount = 0;
@@ -82,7 +95,99 @@ export const calculateAutomaticDiscount = (discount, cartData) => {
   }
 };
 
+/**
+ * Count the units in a cart, ignoring free gift lines
+ * @param {object} cartData - Cart data with items
+ * @returns {number} - Total quantity
+ */
+export const getCartQuantity = (cartData) => {
+  return (cartData.items || [])
+    .filter((item) => !item.isFreeGift)
+    .reduce((total, item) => total + (item.quantity || 0), 0);
+};
+
+/**
+ * Pick the tier level a cart qualifies for
+ * When levels overlap, the level with the highest minimum wins.
+ * @param {object} tierDiscount - Tier discount object
+ * @param {object} cartData - Cart data with subtotal and items
+ * @returns {object|null} - Matching level or null
+ */
+export const resolveTierLevel = (tierDiscount, cartData) => {
+  const metric =
+    tierDiscount.type === TIER_TYPE.CART_QUANTITY ? getCartQuantity(cartData) : cartData.subtotal;
+
+  const matching = (tierDiscount.levels || []).filter(
+    (level) => metric >= level.min && (level.max === null || level.max === undefined || metric <= level.max)
+  );
+
+  if (matching.length === 0) {
+    return null;
+  }
+
+  return matching.reduce((best, level) => (level.min > best.min ? level : best));
+};
+
+/**
+ * Evaluate and get tier discounts the cart reaches a level for
+ * @param {object} cartData - Cart data with subtotal and items
+ * @returns {Promise<Array>} - Array of { tierDiscount, level }
+ */
+export const evaluateTierDiscounts = async (cartData) => {
+  try {
+    console.log(`> Evaluating tier discounts for cart subtotal: ${cartData.subtotal}`);
+
+    const tierDiscounts = await TierDiscount.find(activeWindowQuery(new Date())).sort({
+      priority: -1,
+      createdAt: 1,
+    });
+
+    const eligibleTiers = [];
+    for (const tierDiscount of tierDiscounts) {
+      const level = resolveTierLevel(tierDiscount, cartData);
+      if (level) {
+        eligibleTiers.push({ tierDiscount, level });
+      }
+    }
+
+    console.log(`> Found ${eligibleTiers.length} eligible tier discounts`);
+    return eligibleTiers;
+  } catch (error) {
+    console.log(`> Error evaluating tier discounts: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Calculate discount amount for a tier level
+ * @param {object} level - Tier level object
+ * @param {object} cartData - Cart data with subtotal
+ * @returns {number} - Discount amount (rounded to 2 decimals)
+ */
+export const calculateTierDiscount = (level, cartData) => {
+  let discountAmount = 0;
+
+  switch (level.discountType) {
+    case "percentage":
+      discountAmount = (cartData.subtotal * level.discountValue) / 100;
+      break;
+
+    case "fixed_amount":
+      discountAmount = Math.min(level.discountValue, cartData.subtotal);
+      break;
+
+    default:
+      console.log(`> Unknown tier discount type: ${level.discountType}`);
+  }
+
+  return Math.round(discountAmount * 100) / 100;
+};
+
 export default {
   evaluateAutomaticDiscounts,
   calculateAutomaticDiscount,
+  getCartQuantity,
+  resolveTierLevel,
+  evaluateTierDiscounts,
+  calculateTierDiscount,
 };
@@ -0,0 +1,29 @@
+import { createHttpClient, handleServiceError, TimeoutConfig } from "./http-client.service.js";
+
+const engagementClient = createHttpClient(
+  process.env.ENGAGEMENT_SERVICE_URL || "http://localhost:3007",
+  parseInt(process.env.ENGAGEMENT_SERVICE_TIMEOUT) || TimeoutConfig.STANDARD,
+  "engagement"
+);
+
+/**
+ * Check which of the given customer segments a user belongs to
+ * @param {string} userId - User ID
+ * @param {Array<string>} segmentIds - Segment IDs to check
+ * @returns {Promise<object>} { success, data: { eligible, matchedSegmentIds } }
+ */
+export const checkSegmentMembership = async (userId, segmentIds) => {
+  try {
+    const response = await engagementClient.post("/api/internal/segments/check", {
+      userId,
+      segmentIds,
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return handleServiceError(error, "Engagement");
+  }
+};
+
+export default {
+  checkSegmentMembership,
+};
@@ -0,0 +1,84 @@
+import FreeGiftRule from "../models/freeGiftRule.model.js";
+import { TRIGGER_TYPE } from "../utils/constants.js";
+
+/**
+ * Check whether a cart triggers a free gift rule
+ * @param {object} rule - Free gift rule object
+ * @param {object} cartData - Cart data with subtotal and items
+ * @returns {boolean} - True if the rule is triggered
+ */
+export const isFreeGiftTriggered = (rule, cartData) => {
+  switch (rule.triggerType) {
+    case TRIGGER_TYPE.CART_VALUE:
+      return rule.triggerValue !== null && cartData.subtotal >= rule.triggerValue;
+
+    case TRIGGER_TYPE.PRODUCT_PURCHASE: {
+      const purchasedProductIds = new Set(
+        (cartData.items || []).filter((item) => !item.isFreeGift).map((item) => item.productId)
+      );
+      return rule.triggerProductIds.some((productId) => purchasedProductIds.has(productId));
+    }
+
+    default:
+      console.log(`> Unknown free gift trigger type: ${rule.triggerType}`);
+      return false;
+  }
+};
+
+/**
+ * Evaluate and get free gifts earned by the cart
+ * Rules are evaluated oldest first; a gift variant is only granted once per cart.
+ * @param {object} cartData - Cart data with subtotal and items
+ * @returns {Promise<Array>} - Array of { ruleId, name, productId, variantId, quantity }
+ */
+export const evaluateFreeGifts = async (cartData) => {
+  try {
+    console.log(`> Evaluating free gift rules for cart subtotal: ${cartData.subtotal}`);
+
+    const now = new Date();
+    const rules = await FreeGiftRule.find({
+      isActive: true,
+      $or: [
+        { startsAt: null, endsAt: null },
+        { startsAt: { $lte: now }, endsAt: null },
+        { startsAt: null, endsAt: { $gte: now } },
+        { startsAt: { $lte: now }, endsAt: { $gte: now } },
+      ],
+    }).sort({ createdAt: 1 });
+
+    const freeGifts = [];
+    const grantedGifts = new Set();
+
+    for (const rule of rules) {
+      if (!isFreeGiftTriggered(rule, cartData)) {
+        continue;
+      }
+
+      const giftKey = `${rule.giftProductId}:${rule.giftVariantId || ""}`;
+      if (grantedGifts.has(giftKey)) {
+        console.log(`> Skipping duplicate free gift from rule: ${rule.name}`);
+        continue;
+      }
+
+      grantedGifts.add(giftKey);
+      freeGifts.push({
+        ruleId: rule._id,
+        name: rule.name,
+        productId: rule.giftProductId,
+        variantId: rule.giftVariantId,
+        quantity: rule.giftQuantity,
+      });
+    }
+
+    console.log(`> Found ${freeGifts.length} free gifts`);
+    return freeGifts;
+  } catch (error) {
+    console.log(`> Error evaluating free gifts: ${error.message}`);
+    return [];
+  }
+};
+
+export default {
+  isFreeGiftTriggered,
+  evaluateFreeGifts,
+};
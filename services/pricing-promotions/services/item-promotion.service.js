@@ -0,0 +1,272 @@
+import { getProductsMetadata } from "./catalog-integration.service.js";
+import { APPLIES_TO, DISCOUNT_TYPE, ITEM_DISCOUNT_TYPES, ITEM_SCOPE } from "../utils/constants.js";
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const hasApplicationsLeft = (promotion, applications) =>
+  promotion.maxApplications === null ||
+  promotion.maxApplications === undefined ||
+  applications < promotion.maxApplications;
+
+/**
+ * Check whether a coupon or automatic discount is evaluated against line items
+ * @param {object} promotion - Coupon or automatic discount
+ * @returns {boolean}
+ */
+export const isItemPromotion = (promotion) => ITEM_DISCOUNT_TYPES.includes(promotion.type);
+
+/**
+ * Attach category and collection IDs to cart items when a promotion needs them
+ * If the catalog lookup fails, collection/category item sets simply match nothing.
+ * @param {object} cartData - Cart data with items
+ * @param {Array} promotions - Promotions that may be applied to the cart
+ * @returns {Promise<object>} - Cart data with classified items
+ */
+export const classifyCartItems = async (cartData, promotions) => {
+  const items = cartData.items || [];
+
+  const needsClassification = promotions.some(
+    (promotion) =>
+      promotion.appliesTo === APPLIES_TO.SPECIFIC_COLLECTIONS ||
+      (isItemPromotion(promotion) &&
+        [promotion.qualifyingItems, promotion.rewardItems].some(
+          (itemSet) => itemSet && itemSet.scope !== ITEM_SCOPE.PRODUCT
+        ))
+  );
+
+  if (items.length === 0 || !needsClassification) {
+    return cartData;
+  }
+
+  const productIds = [...new Set(items.map((item) => item.productId).filter(Boolean))];
+  console.log(`> Classifying ${productIds.length} cart products for item promotions`);
+
+  const result = await getProductsMetadata(productIds);
+  if (!result.success) {
+    console.log(`> Could not classify cart products: ${result.error}`);
+    return cartData;
+  }
+
+  const productsById = new Map(result.data.products.map((product) => [String(product._id), product]));
+
+  return {
+    ...cartData,
+    items: items.map((item) => {
+      const product = productsById.get(item.productId);
+      return {
+        ...item,
+        categoryIds: product?.categoryIds || [],
+        collectionIds: product?.collectionIds || [],
+      };
+    }),
+  };
+};
+
+/**
+ * Check whether a cart item belongs to an item set
+ * @param {object} item - Cart item
+ * @param {object} itemSet - Item set { scope, ids }
+ * @returns {boolean}
+ */
+export const matchesItemSet = (item, itemSet) => {
+  if (!itemSet || !itemSet.ids) {
+    return false;
+  }
+
+  switch (itemSet.scope) {
+    case ITEM_SCOPE.PRODUCT:
+      return itemSet.ids.includes(item.productId);
+
+    case ITEM_SCOPE.COLLECTION:
+      return (item.collectionIds || []).some((id) => itemSet.ids.includes(id));
+
+    case ITEM_SCOPE.CATEGORY:
+      return (item.categoryIds || []).some((id) => itemSet.ids.includes(id));
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Expand matching cart lines into single units so each unit is used at most once
+ * @param {Array} items - Cart items
+ * @param {object} itemSet - Item set { scope, ids }
+ * @returns {Array} - Units { key, lineIndex, price }
+ */
+const expandUnits = (items, itemSet) => {
+  const units = [];
+
+  items.forEach((item, lineIndex) => {
+    if (item.isFreeGift || !matchesItemSet(item, itemSet)) {
+      return;
+    }
+
+    for (let n = 0; n < (item.quantity || 0); n++) {
+      units.push({ key: `${lineIndex}:${n}`, lineIndex, price: item.price || 0 });
+    }
+  });
+
+  return units;
+};
+
+/**
+ * Group unit rewards back into cart lines
+ * @param {Array} items - Cart items
+ * @param {Array} rewards - Unit rewards { lineIndex, amount }
+ * @returns {Array} - Rewarded lines { lineIndex, productId, variantId, quantity, discount }
+ */
+const summarizeRewardedLines = (items, rewards) => {
+  const lines = new Map();
+
+  for (const reward of rewards) {
+    const item = items[reward.lineIndex];
+    const line = lines.get(reward.lineIndex) || {
+      lineIndex: reward.lineIndex,
+      productId: item.productId,
+      variantId: item.variantId || null,
+      quantity: 0,
+      discount: 0,
+    };
+
+    line.quantity += 1;
+    line.discount += reward.amount;
+    lines.set(reward.lineIndex, line);
+  }
+
+  return [...lines.values()]
+    .sort((a, b) => a.lineIndex - b.lineIndex)
+    .map((line) => ({ ...line, discount: round(line.discount) }));
+};
+
+/**
+ * Calculate a buy X get Y promotion
+ * Each application uses buyQuantity qualifying units (units that cannot be rewarded first,
+ * then most expensive) and rewards the cheapest getQuantity remaining reward units.
+ * Reward items default to the qualifying items; value is the reward percentage (100 = free).
+ * @param {object} promotion - Coupon or automatic discount
+ * @param {object} cartData - Cart data with items
+ * @returns {object} - { amount, rewardedLines }
+ */
+export const calculateBuyXGetY = (promotion, cartData) => {
+  const items = cartData.items || [];
+  const rewardSet = promotion.rewardItems || promotion.qualifyingItems;
+  const rewardPercentage = Math.min(promotion.value, 100) / 100;
+
+  const rewardable = expandUnits(items, rewardSet).sort(
+    (a, b) => a.price - b.price || a.lineIndex - b.lineIndex
+  );
+  const rewardableKeys = new Set(rewardable.map((unit) => unit.key));
+  const qualifying = expandUnits(items, promotion.qualifyingItems).sort(
+    (a, b) =>
+      Number(rewardableKeys.has(a.key)) - Number(rewardableKeys.has(b.key)) ||
+      b.price - a.price ||
+      a.lineIndex - b.lineIndex
+  );
+
+  const used = new Set();
+  const rewards = [];
+  let applications = 0;
+
+  while (hasApplicationsLeft(promotion, applications)) {
+    const buyUnits = qualifying.filter((unit) => !used.has(unit.key)).slice(0, promotion.buyQuantity);
+    if (buyUnits.length < promotion.buyQuantity) break;
+
+    const buyKeys = new Set(buyUnits.map((unit) => unit.key));
+    const rewardUnits = rewardable
+      .filter((unit) => !used.has(unit.key) && !buyKeys.has(unit.key))
+      .slice(0, promotion.getQuantity);
+    if (rewardUnits.length < promotion.getQuantity) break;
+
+    for (const unit of [...buyUnits, ...rewardUnits]) {
+      used.add(unit.key);
+    }
+    for (const unit of rewardUnits) {
+      rewards.push({ lineIndex: unit.lineIndex, amount: unit.price * rewardPercentage });
+    }
+    applications++;
+  }
+
+  const rewardedLines = summarizeRewardedLines(items, rewards);
+  return {
+    amount: round(rewardedLines.reduce((total, line) => total + line.discount, 0)),
+    rewardedLines,
+  };
+};
+
+/**
+ * Calculate a mix-and-match bundle price promotion ("any 3 for 999")
+ * Qualifying units are grouped most expensive first into bundles of buyQuantity; each bundle
+ * is charged value, and the saving is spread across its units in proportion to price.
+ * @param {object} promotion - Coupon or automatic discount
+ * @param {object} cartData - Cart data with items
+ * @returns {object} - { amount, rewardedLines }
+ */
+export const calculateBundlePrice = (promotion, cartData) => {
+  const items = cartData.items || [];
+  const units = expandUnits(items, promotion.qualifyingItems).sort(
+    (a, b) => b.price - a.price || a.lineIndex - b.lineIndex
+  );
+
+  const rewards = [];
+  let applications = 0;
+
+  for (let start = 0; start + promotion.buyQuantity <= units.length; start += promotion.buyQuantity) {
+    if (!hasApplicationsLeft(promotion, applications)) break;
+
+    const bundle = units.slice(start, start + promotion.buyQuantity);
+    const bundleTotal = bundle.reduce((total, unit) => total + unit.price, 0);
+    const saving = round(bundleTotal - promotion.value);
+
+    // Bundles only get cheaper from here on
+    if (saving <= 0) break;
+
+    let allocated = 0;
+    bundle.forEach((unit, index) => {
+      const amount =
+        index === bundle.length - 1 ? round(saving - allocated) : round((saving * unit.price) / bundleTotal);
+      allocated += amount;
+      rewards.push({ lineIndex: unit.lineIndex, amount });
+    });
+    applications++;
+  }
+
+  const rewardedLines = summarizeRewardedLines(items, rewards);
+  return {
+    amount: round(rewardedLines.reduce((total, line) => total + line.discount, 0)),
+    rewardedLines,
+  };
+};
+
+/**
+ * Calculate an item promotion (buy_x_get_y or bundle_price)
+ * @param {object} promotion - Coupon or automatic discount
+ * @param {object} cartData - Cart data with items
+ * @returns {object} - { amount, rewardedLines }
+ */
+export const calculateItemPromotion = (promotion, cartData) => {
+  try {
+    switch (promotion.type) {
+      case DISCOUNT_TYPE.BUY_X_GET_Y:
+        return calculateBuyXGetY(promotion, cartData);
+
+      case DISCOUNT_TYPE.BUNDLE_PRICE:
+        return calculateBundlePrice(promotion, cartData);
+
+      default:
+        return { amount: 0, rewardedLines: [] };
+    }
+  } catch (error) {
+    console.log(`> Error calculating item promotion ${promotion.name}: ${error.message}`);
+    return { amount: 0, rewardedLines: [] };
+  }
+};
+
+export default {
+  isItemPromotion,
+  classifyCartItems,
+  matchesItemSet,
+  calculateBuyXGetY,
+  calculateBundlePrice,
+  calculateItemPromotion,
+};
@@ -0,0 +1,279 @@
+import PriceSchedule from "../models/priceSchedule.model.js";
+import PriceHistory from "../models/priceHistory.model.js";
+import VariantPricing from "../models/variantPricing.model.js";
+import { updateVariantPrice } from "./catalog-integration.service.js";
+import {
+  PRICE_SCHEDULE_STATUS,
+  PRICE_SCHEDULE_SOURCE,
+  PRICE_CHANGE_SOURCE,
+} from "../utils/constants.js";
+
+// Schedules that can still take effect
+const PENDING_STATUSES = [PRICE_SCHEDULE_STATUS.SCHEDULED, PRICE_SCHEDULE_STATUS.ACTIVE];
+
+const byNewestStart = (a, b) =>
+  b.startsAt - a.startsAt || new Date(b.createdAt) - new Date(a.createdAt);
+
+/**
+ * Pick the schedule whose price is in force
+ * A sale window beats an open-ended price; within each kind the latest start wins.
+ * @param {Array} schedules - Schedules that have started and not ended
+ * @returns {object|null} - Effective schedule
+ */
+export const resolveEffectiveSchedule = (schedules) => {
+  const windowed = schedules.filter((schedule) => schedule.endsAt).sort(byNewestStart);
+  if (windowed.length > 0) {
+    return windowed[0];
+  }
+
+  const openEnded = schedules.filter((schedule) => !schedule.endsAt).sort(byNewestStart);
+  return openEnded[0] || null;
+};
+
+/**
+ * Snapshot the current price of variants as open-ended schedules, so sale windows
+ * have a price to fall back to when they end
+ * Variants that already have an open-ended schedule, or no price yet, are skipped.
+ * @param {Array<string>} variantIds - Variant IDs
+ * @returns {Promise<Array>} - Baseline schedules created
+ */
+export const ensureBaselineSchedules = async (variantIds) => {
+  const withOpenEnded = new Set(
+    await PriceSchedule.distinct("variantId", {
+      variantId: { $in: variantIds },
+      status: { $in: PENDING_STATUSES },
+      endsAt: null,
+    })
+  );
+
+  const pricings = await VariantPricing.find({
+    variantId: { $in: variantIds.filter((variantId) => !withOpenEnded.has(variantId)) },
+  });
+  if (pricings.length === 0) {
+    return [];
+  }
+
+  return PriceSchedule.insertMany(
+    pricings.map((pricing) => ({
+      variantId: pricing.variantId,
+      productId: pricing.productId,
+      mrp: pricing.mrp,
+      salePrice: pricing.salePrice,
+      startsAt: pricing.effectiveFrom || pricing.createdAt,
+      endsAt: null,
+      source: PRICE_SCHEDULE_SOURCE.BASELINE,
+      reason: "Price in force before scheduling",
+    }))
+  );
+};
+
+/**
+ * Push a variant's current price to the catalog
+ * Failures are left pending and retried by the price schedule job.
+ * @param {object} pricing - VariantPricing document
+ * @returns {Promise<boolean>} - True if the catalog was updated
+ */
+export const syncCatalogPrice = async (pricing) => {
+  const result = await updateVariantPrice(pricing.variantId, {
+    mrp: pricing.mrp,
+    salePrice: pricing.salePrice,
+  });
+
+  if (!result.success) {
+    console.log(`> Catalog price sync failed for variant ${pricing.variantId}: ${result.error}`);
+
+    // The variant no longer exists in the catalog, so there is nothing to retry
+    if (result.statusCode === 404) {
+      pricing.catalogSyncPending = false;
+      await pricing.save();
+    }
+    return false;
+  }
+
+  pricing.catalogSyncPending = false;
+  pricing.catalogSyncedAt = new Date();
+  await pricing.save();
+  return true;
+};
+
+/**
+ * Recompute a variant's current price from its schedules
+ * Expires ended schedules, activates the effective one, updates VariantPricing,
+ * records the change in price history and syncs the catalog.
+ * @param {string} variantId - Variant ID
+ * @param {object} options - { changedById, source, note, now }
+ * @returns {Promise<object>} - { changed, pricing, history, catalogSynced }
+ */
+export const applyVariantSchedules = async (
+  variantId,
+  { changedById = null, source = null, note = null, now = new Date() } = {}
+) => {
+  const schedules = await PriceSchedule.find({
+    variantId,
+    status: { $in: PENDING_STATUSES },
+  });
+
+  const expired = [];
+  const live = [];
+  for (const schedule of schedules) {
+    if (schedule.endsAt && schedule.endsAt <= now) {
+      expired.push(schedule);
+    } else if (schedule.startsAt <= now) {
+      live.push(schedule);
+    }
+  }
+
+  const effective = resolveEffectiveSchedule(live);
+  const latestOpenEnded = live.filter((schedule) => !schedule.endsAt).sort(byNewestStart)[0];
+
+  for (const schedule of expired) {
+    schedule.status = PRICE_SCHEDULE_STATUS.EXPIRED;
+    schedule.started = true;
+    schedule.endedAt = now;
+  }
+
+  for (const schedule of live) {
+    schedule.started = true;
+
+    if (schedule === effective) {
+      schedule.status = PRICE_SCHEDULE_STATUS.ACTIVE;
+      schedule.activatedAt = schedule.activatedAt || now;
+    } else if (!schedule.endsAt && schedule !== latestOpenEnded) {
+      // An older open-ended price can never come back once a newer one has started
+      schedule.status = PRICE_SCHEDULE_STATUS.SUPERSEDED;
+      schedule.endedAt = now;
+    } else {
+      schedule.status = PRICE_SCHEDULE_STATUS.SCHEDULED;
+    }
+  }
+
+  await Promise.all(
+    [...expired, ...live].filter((schedule) => schedule.isModified()).map((schedule) => schedule.save())
+  );
+
+  let pricing = await VariantPricing.findOne({ variantId });
+
+  if (!effective) {
+    return { changed: false, pricing, history: null, catalogSynced: false };
+  }
+
+  const previous = pricing ? { mrp: pricing.mrp, salePrice: pricing.salePrice ?? null } : null;
+  const current = { mrp: effective.mrp, salePrice: effective.salePrice ?? null };
+  const changed = !previous || previous.mrp !== current.mrp || previous.salePrice !== current.salePrice;
+
+  if (!pricing) {
+    pricing = new VariantPricing({ variantId, productId: effective.productId });
+  }
+
+  pricing.mrp = current.mrp;
+  pricing.salePrice = current.salePrice;
+  pricing.effectiveFrom = effective.startsAt;
+  pricing.effectiveTo = effective.endsAt;
+  pricing.isActive = true;
+  if (changed) {
+    pricing.catalogSyncPending = true;
+  }
+  await pricing.save();
+
+  if (!changed) {
+    return { changed: false, pricing, history: null, catalogSynced: false };
+  }
+
+  const changeSource =
+    source ||
+    (expired.length > 0 ? PRICE_CHANGE_SOURCE.SCHEDULE_EXPIRED : PRICE_CHANGE_SOURCE.SCHEDULE_ACTIVATED);
+
+  const history = await PriceHistory.create({
+    variantId,
+    productId: pricing.productId,
+    previous,
+    current,
+    source: changeSource,
+    scheduleId: effective._id,
+    saleEventId: effective.saleEventId || expired.find((schedule) => schedule.saleEventId)?.saleEventId || null,
+    changedById,
+    note: note || effective.reason,
+    changedAt: now,
+  });
+
+  console.log(
+    `> Price changed for variant ${variantId}: MRP ${current.mrp}, Sale ${current.salePrice ?? "-"} (${changeSource})`
+  );
+
+  const catalogSynced = await syncCatalogPrice(pricing);
+
+  return { changed: true, pricing, history, catalogSynced };
+};
+
+/**
+ * Create a price schedule for a variant and apply it if it has already started
+ * @param {object} data - { variantId, productId, mrp, salePrice, startsAt, endsAt, reason, source, saleEventId }
+ * @param {string|null} createdById - Admin ID
+ * @returns {Promise<object>} - { schedule, result }
+ */
+export const createPriceSchedule = async (data, createdById = null) => {
+  await ensureBaselineSchedules([data.variantId]);
+
+  const schedule = await PriceSchedule.create({
+    variantId: data.variantId,
+    productId: data.productId,
+    mrp: data.mrp,
+    salePrice: data.salePrice ?? null,
+    startsAt: data.startsAt ? new Date(data.startsAt) : new Date(),
+    endsAt: data.endsAt ? new Date(data.endsAt) : null,
+    source: data.source || PRICE_SCHEDULE_SOURCE.SCHEDULE,
+    saleEventId: data.saleEventId || null,
+    reason: data.reason || null,
+    createdById,
+  });
+
+  const isManual = schedule.source === PRICE_SCHEDULE_SOURCE.MANUAL;
+  const result = await applyVariantSchedules(schedule.variantId, {
+    changedById: createdById,
+    source: isManual ? PRICE_CHANGE_SOURCE.MANUAL : null,
+  });
+
+  return { schedule, result };
+};
+
+/**
+ * Cancel a pending schedule and recompute the variant's price
+ * @param {object} schedule - PriceSchedule document
+ * @param {string|null} cancelledById - Admin ID
+ * @returns {Promise<object>} - Result of applyVariantSchedules
+ */
+export const cancelPriceSchedule = async (schedule, cancelledById = null) => {
+  schedule.status = PRICE_SCHEDULE_STATUS.CANCELLED;
+  schedule.cancelledAt = new Date();
+  schedule.cancelledById = cancelledById;
+  await schedule.save();
+
+  return applyVariantSchedules(schedule.variantId, {
+    changedById: cancelledById,
+    source: PRICE_CHANGE_SOURCE.SCHEDULE_CANCELLED,
+    note: schedule.reason ? `Cancelled: ${schedule.reason}` : "Schedule cancelled",
+  });
+};
+
+/**
+ * Find variants whose schedules are due to start or end
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<string>>} - Variant IDs
+ */
+export const findVariantsWithDueSchedules = (now = new Date()) =>
+  PriceSchedule.distinct("variantId", {
+    $or: [
+      { status: PRICE_SCHEDULE_STATUS.SCHEDULED, started: false, startsAt: { $lte: now } },
+      { status: { $in: PENDING_STATUSES }, endsAt: { $ne: null, $lte: now } },
+    ],
+  });
+
+export default {
+  resolveEffectiveSchedule,
+  ensureBaselineSchedules,
+  syncCatalogPrice,
+  applyVariantSchedules,
+  createPriceSchedule,
+  cancelPriceSchedule,
+  findVariantsWithDueSchedules,
+};
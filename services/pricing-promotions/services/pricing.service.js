@@ -1,8 +1,97 @@
 import { validateCoupon, calculateCouponDiscount } from "./coupon.service.js";
-import { evaluateAutomaticDiscounts, calculateAutomaticDiscount } from "./discount.service.js";
+import {
+  evaluateAutomaticDiscounts,
+  calculateAutomaticDiscount,
+  evaluateTierDiscounts,
+  calculateTierDiscount,
+} from "./discount.service.js";
+import { evaluateFreeGifts } from "./free-gift.service.js";
+import { isItemPromotion, classifyCartItems, calculateItemPromotion } from "./item-promotion.service.js";
+import { allocateDiscounts } from "./discount-allocation.service.js";
+
+// Tie-break order for promotions with the same priority
+const PROMOTION_SOURCE_ORDER = {
+  automatic: 0,
+  tier: 1,
+};
 
 /**
- * Calculate complete pricing with all applicable discounts
+ * Order automatic and tier promotions deterministically
+ * Higher priority first, then automatic before tier, then oldest first, then by ID.
+ * @param {object} a - Promotion candidate
+ * @param {object} b - Promotion candidate
+ * @returns {number} - Sort order
+ */
+export const comparePromotions = (a, b) => {
+  if (a.priority !== b.priority) return b.priority - a.priority;
+  if (a.source !== b.source) return PROMOTION_SOURCE_ORDER[a.source] - PROMOTION_SOURCE_ORDER[b.source];
+
+  const createdDiff = new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+  if (createdDiff !== 0) return createdDiff;
+
+  return String(a.id).localeCompare(String(b.id));
+};
+
+/**
+ * Calculate a coupon or automatic discount, with the rewarded lines for item promotions
+ * @param {object} promotion - Coupon or automatic discount
+ * @param {object} cartData - Cart data with subtotal and items
+ * @param {Function} calculateAmount - Calculator for cart-level types
+ * @returns {object} - { amount, rewardedLines }
+ */
+const evaluatePromotion = (promotion, cartData, calculateAmount) => {
+  if (isItemPromotion(promotion)) {
+    return calculateItemPromotion(promotion, cartData);
+  }
+
+  return { amount: calculateAmount(promotion, cartData), rewardedLines: [] };
+};
+
+/**
+ * Apply one promotion to the running pricing breakdown
+ * A non-stackable promotion only applies to a cart with no other discount, and once
+ * applied it closes the cart to every later promotion. Savings never exceed the subtotal.
+ * @param {object} pricing - Pricing breakdown being built
+ * @param {object} state - Pipeline state { exclusive }
+ * @param {string} name - Promotion name (for logs)
+ * @param {boolean} isStackable - Whether the promotion combines with others
+ * @param {number} amount - Calculated discount amount
+ * @returns {number} - Amount actually applied (0 if skipped)
+ */
+const applyPromotion = (pricing, state, name, isStackable, amount) => {
+  if (amount <= 0) {
+    return 0;
+  }
+
+  if (state.exclusive) {
+    console.log(`> Skipping ${name}: a non-stackable promotion is already applied`);
+    return 0;
+  }
+
+  if (!isStackable && pricing.totalSavings > 0) {
+    console.log(`> Skipping non-stackable promotion: ${name}`);
+    return 0;
+  }
+
+  const remaining = Math.max(0, pricing.subtotal - pricing.totalSavings);
+  const applied = Math.round(Math.min(amount, remaining) * 100) / 100;
+  if (applied <= 0) {
+    return 0;
+  }
+
+  pricing.totalSavings += applied;
+  if (!isStackable) {
+    state.exclusive = true;
+  }
+
+  return applied;
+};
+
+/**
+ * Calculate complete pricing with all applicable promotions
+ * Pipeline: coupon first (explicitly chosen by the customer), then automatic and tier
+ * discounts in priority order, then free gifts (which never change the total). Every
+ * applied discount is then spread across the cart lines in lineAllocations.
  * @param {object} cartData - Cart data with subtotal and items
  * @param {string} appliedCouponCode - Optional coupon code
  * @param {string} userId - Optional user ID
@@ -18,80 +107,158 @@ export const calculatePricing = async (cartData, appliedCouponCode = null, userI
       discounts: [],
       coupon: null,
       automaticDiscounts: [],
+      tierDiscounts: [],
+      freeGifts: [],
+      lineAllocations: [],
       totalSavings: 0,
       grandTotal: cartData.subtotal,
     };
+    const state = { exclusive: false };
+    const appliedPromotions = [];
 
-    // Validate and apply coupon if provided
+    // Validate coupon if provided
+    let coupon = null;
     if (appliedCouponCode) {
       console.log(`> Validating coupon: ${appliedCouponCode}`);
       const couponValidation = await validateCoupon(appliedCouponCode, userId, cartData);
 
       if (couponValidation.valid) {
-        const couponDiscount = calculateCouponDiscount(couponValidation.coupon, cartData);
-
-        if (couponDiscount > 0) {
-          pricing.coupon = {
-            code: couponValidation.coupon.code,
-            name: couponValidation.coupon.name,
-            type: couponValidation.coupon.type,
-            discount: couponDiscount,
-          };
-
-          pricing.discounts.push({
-            type: "coupon",
-            name: couponValidation.coupon.name,
-            code: couponValidation.coupon.code,
-            amount: couponDiscount,
-          });
-
-          pricing.totalSavings += couponDiscount;
-          console.log(`> Coupon applied: ${couponValidation.coupon.code}, discount: ${couponDiscount}`);
-        }
+        coupon = couponValidation.coupon;
       } else {
         console.log(`> Coupon validation failed: ${couponValidation.error}`);
         pricing.couponError = couponValidation.error;
       }
     }
 
-    // Evaluate and apply automatic discounts
-    console.log(`> Evaluating automatic discounts`);
-    const eligibleDiscounts = await evaluateAutomaticDiscounts(cartData);
+    console.log(`> Evaluating automatic and tier discounts`);
+    const [eligibleDiscounts, eligibleTiers, freeGifts] = await Promise.all([
+      evaluateAutomaticDiscounts(cartData),
+      evaluateTierDiscounts(cartData),
+      evaluateFreeGifts(cartData),
+    ]);
+
+    // Item promotions targeting collections or categories need classified cart lines
+    const pricedCart = await classifyCartItems(cartData, [coupon, ...eligibleDiscounts].filter(Boolean));
 
-    for (const discount of eligibleDiscounts) {
-      const discountAmount = calculateAutomaticDiscount(discount, cartData);
+    // Apply coupon first
+    if (coupon) {
+      const couponResult = evaluatePromotion(coupon, pricedCart, calculateCouponDiscount);
+      const couponDiscount = applyPromotion(pricing, state, coupon.code, coupon.isStackable, couponResult.amount);
 
-      if (discountAmount > 0) {
-        // Check if stackable
-        if (!discount.isStackable && pricing.totalSavings > 0) {
-          console.log(`> Skipping non-stackable discount: ${discount.name}`);
-          continue;
+      if (couponDiscount > 0) {
+        pricing.coupon = {
+          id: coupon._id,
+          code: coupon.code,
+          name: coupon.name,
+          type: coupon.type,
+          discount: couponDiscount,
+        };
+        if (isItemPromotion(coupon)) {
+          pricing.coupon.rewardedLines = couponResult.rewardedLines;
         }
 
-        pricing.automaticDiscounts.push({
-          id: discount._id,
-          name: discount.name,
-          type: discount.type,
-          amount: discountAmount,
-          priority: discount.priority,
+        pricing.discounts.push({
+          type: "coupon",
+          name: coupon.name,
+          code: coupon.code,
+          amount: couponDiscount,
+        });
+        appliedPromotions.push({
+          type: "coupon",
+          id: coupon._id,
+          name: coupon.name,
+          code: coupon.code,
+          amount: couponDiscount,
+          promotion: coupon,
+          rewardedLines: couponResult.rewardedLines,
         });
 
-        pricing.discounts.push({
-          type: "automatic",
+        console.log(`> Coupon applied: ${coupon.code}, discount: ${couponDiscount}`);
+      }
+    }
+
+    // Apply automatic and tier discounts as one priority-ordered list
+    const candidates = [
+      ...eligibleDiscounts.map((discount) => {
+        const result = evaluatePromotion(discount, pricedCart, calculateAutomaticDiscount);
+        return {
+          source: "automatic",
+          id: discount._id,
           name: discount.name,
-          amount: discountAmount,
-        });
+          priority: discount.priority,
+          isStackable: discount.isStackable,
+          createdAt: discount.createdAt,
+          amount: result.amount,
+          rewardedLines: result.rewardedLines,
+          discount,
+        };
+      }),
+      ...eligibleTiers.map(({ tierDiscount, level }) => ({
+        source: "tier",
+        id: tierDiscount._id,
+        name: tierDiscount.name,
+        priority: tierDiscount.priority || 0,
+        isStackable: tierDiscount.isStackable || false,
+        createdAt: tierDiscount.createdAt,
+        amount: calculateTierDiscount(level, pricedCart),
+        tierDiscount,
+        level,
+      })),
+    ].sort(comparePromotions);
 
-        pricing.totalSavings += discountAmount;
-        console.log(`> Automatic discount applied: ${discount.name}, amount: ${discountAmount}`);
+    for (const candidate of candidates) {
+      const amount = applyPromotion(pricing, state, candidate.name, candidate.isStackable, candidate.amount);
+      if (amount <= 0) {
+        continue;
+      }
 
-        // If not stackable, break after first discount
-        if (!discount.isStackable) {
-          break;
+      if (candidate.source === "automatic") {
+        const automaticDiscount = {
+          id: candidate.id,
+          name: candidate.name,
+          type: candidate.discount.type,
+          amount,
+          priority: candidate.priority,
+        };
+        if (isItemPromotion(candidate.discount)) {
+          automaticDiscount.rewardedLines = candidate.rewardedLines;
         }
+        pricing.automaticDiscounts.push(automaticDiscount);
+      } else {
+        pricing.tierDiscounts.push({
+          id: candidate.id,
+          name: candidate.name,
+          type: candidate.tierDiscount.type,
+          level: {
+            min: candidate.level.min,
+            max: candidate.level.max,
+            badge: candidate.level.badge,
+          },
+          amount,
+          priority: candidate.priority,
+        });
       }
+
+      pricing.discounts.push({
+        type: candidate.source,
+        name: candidate.name,
+        amount,
+      });
+      appliedPromotions.push({
+        type: candidate.source,
+        id: candidate.id,
+        name: candidate.name,
+        amount,
+        promotion: candidate.discount || null,
+        rewardedLines: candidate.rewardedLines || [],
+      });
+
+      console.log(`> ${candidate.source} discount applied: ${candidate.name}, amount: ${amount}`);
     }
 
+    pricing.freeGifts = freeGifts;
+    pricing.lineAllocations = allocateDiscounts(pricedCart, appliedPromotions);
+
     // Calculate grand total
     pricing.grandTotal = Math.max(0, pricing.subtotal - pricing.totalSavings);
     pricing.grandTotal = Math.round(pricing.grandTotal * 100) / 100;
@@ -109,6 +276,9 @@ export const calculatePricing = async (cartData, appliedCouponCode = null, userI
       discounts: [],
       coupon: null,
       automaticDiscounts: [],
+      tierDiscounts: [],
+      freeGifts: [],
+      lineAllocations: [],
       totalSavings: 0,
       grandTotal: cartData.subtotal,
       error: "Error calculating pricing",
@@ -117,5 +287,6 @@ export const calculatePricing = async (cartData, appliedCouponCode = null, userI
 };
 
 export default {
+  comparePromotions,
   calculatePricing,
 };
@@ -0,0 +1,146 @@
+import PriceSchedule from "../models/priceSchedule.model.js";
+import VariantPricing from "../models/variantPricing.model.js";
+import { applyVariantSchedules, ensureBaselineSchedules } from "./price-schedule.service.js";
+import {
+  PRICE_SCHEDULE_STATUS,
+  PRICE_SCHEDULE_SOURCE,
+  PRICE_CHANGE_SOURCE,
+  SALE_EVENT_STATUS,
+} from "../utils/constants.js";
+
+/**
+ * Round a price to paise
+ * @param {number} amount - Amount
+ * @returns {number} - Rounded amount
+ */
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Work out the sale price of each item in a sale event
+ * MRP and product ID default to the variant's current pricing record. The sale
+ * price is either given per item or derived from a discount percent.
+ * @param {Array} items - [{ variantId, productId, mrp, salePrice, discountPercent }]
+ * @param {number|null} defaultDiscountPercent - Event-wide discount percent
+ * @returns {Promise<object>} - { prices, skipped }
+ */
+export const resolveSaleEventPrices = async (items, defaultDiscountPercent = null) => {
+  const pricings = await VariantPricing.find({
+    variantId: { $in: items.map((item) => item.variantId) },
+  });
+  const pricingByVariant = new Map(pricings.map((pricing) => [pricing.variantId, pricing]));
+
+  const prices = [];
+  const skipped = [];
+
+  for (const item of items) {
+    const pricing = pricingByVariant.get(item.variantId);
+    const productId = item.productId || pricing?.productId;
+    const mrp = item.mrp ?? pricing?.mrp;
+    const discountPercent = item.discountPercent ?? defaultDiscountPercent;
+
+    if (!productId || !mrp) {
+      skipped.push({ variantId: item.variantId, reason: "Variant has no price yet; pass productId and mrp" });
+      continue;
+    }
+
+    let salePrice = item.salePrice ?? null;
+    if (salePrice === null && discountPercent !== null && discountPercent !== undefined) {
+      salePrice = roundPrice((mrp * (100 - discountPercent)) / 100);
+    }
+
+    if (salePrice === null) {
+      skipped.push({ variantId: item.variantId, reason: "No salePrice or discountPercent given" });
+      continue;
+    }
+
+    if (salePrice > mrp) {
+      skipped.push({ variantId: item.variantId, reason: "Sale price is higher than MRP" });
+      continue;
+    }
+
+    prices.push({ variantId: item.variantId, productId, mrp, salePrice });
+  }
+
+  return { prices, skipped };
+};
+
+/**
+ * Create the price schedules of a sale event
+ * Applies them straight away if the event has already started.
+ * @param {object} saleEvent - SaleEvent document
+ * @param {Array} prices - Resolved prices from resolveSaleEventPrices
+ * @returns {Promise<Array>} - Price schedules created
+ */
+export const scheduleSaleEventPrices = async (saleEvent, prices) => {
+  await ensureBaselineSchedules(prices.map((price) => price.variantId));
+
+  const schedules = await PriceSchedule.insertMany(
+    prices.map((price) => ({
+      ...price,
+      startsAt: saleEvent.startsAt,
+      endsAt: saleEvent.endsAt,
+      source: PRICE_SCHEDULE_SOURCE.SALE_EVENT,
+      saleEventId: saleEvent._id,
+      reason: saleEvent.name,
+      createdById: saleEvent.createdById,
+    }))
+  );
+
+  if (saleEvent.startsAt <= new Date()) {
+    for (const schedule of schedules) {
+      await applyVariantSchedules(schedule.variantId, { changedById: saleEvent.createdById });
+    }
+    saleEvent.status = SALE_EVENT_STATUS.ACTIVE;
+    await saleEvent.save();
+  }
+
+  return schedules;
+};
+
+/**
+ * Cancel a sale event and put its variants back on their regular price
+ * @param {object} saleEvent - SaleEvent document
+ * @param {string} cancelledById - Admin ID
+ * @returns {Promise<object>} - { cancelledSchedules, repricedVariants }
+ */
+export const cancelSaleEvent = async (saleEvent, cancelledById) => {
+  const now = new Date();
+
+  saleEvent.status = SALE_EVENT_STATUS.CANCELLED;
+  saleEvent.cancelledAt = now;
+  saleEvent.cancelledById = cancelledById;
+  await saleEvent.save();
+
+  const pendingQuery = {
+    saleEventId: saleEvent._id,
+    status: { $in: [PRICE_SCHEDULE_STATUS.SCHEDULED, PRICE_SCHEDULE_STATUS.ACTIVE] },
+  };
+  const variantIds = await PriceSchedule.distinct("variantId", pendingQuery);
+
+  const { modifiedCount } = await PriceSchedule.updateMany(pendingQuery, {
+    status: PRICE_SCHEDULE_STATUS.CANCELLED,
+    cancelledAt: now,
+    cancelledById,
+  });
+
+  let repricedVariants = 0;
+  for (const variantId of variantIds) {
+    const result = await applyVariantSchedules(variantId, {
+      changedById: cancelledById,
+      source: PRICE_CHANGE_SOURCE.SCHEDULE_CANCELLED,
+      note: `Sale event "${saleEvent.name}" cancelled`,
+      now,
+    });
+    if (result.changed) {
+      repricedVariants++;
+    }
+  }
+
+  return { cancelledSchedules: modifiedCount, repricedVariants };
+};
+
+export default {
+  resolveSaleEventPrices,
+  scheduleSaleEventPrices,
+  cancelSaleEvent,
+};
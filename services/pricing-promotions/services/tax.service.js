@@ -0,0 +1,129 @@
+import { getProductsMetadata } from "./catalog-integration.service.js";
+
+// Rate used when a product has no HSN code or the code is not in the catalog master
+export const DEFAULT_GST_RATE = parseFloat(process.env.DEFAULT_GST_RATE) || 18;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Normalize a state name for comparison
+ * @param {string} state - State name
+ * @returns {string|null}
+ */
+export const normalizeState = (state) =>
+  state ? String(state).trim().toLowerCase().replace(/\s+/g, " ").replace(/&/g, "and") : null;
+
+/**
+ * Check whether a supply crosses state lines (IGST) or stays within one state (CGST + SGST)
+ * An unknown origin or destination is treated as intra-state.
+ * @param {string} originState - State the goods ship from
+ * @param {string} destinationState - State the goods are delivered to
+ * @returns {boolean}
+ */
+export const isInterStateSupply = (originState, destinationState) => {
+  const origin = normalizeState(originState);
+  const destination = normalizeState(destinationState);
+  return Boolean(origin && destination && origin !== destination);
+};
+
+/**
+ * Split GST on a taxable value into CGST/SGST or IGST
+ * CGST and SGST always add up to the total tax (SGST takes any odd paisa).
+ * @param {number} taxableValue - Taxable value
+ * @param {number} gstRate - GST rate percentage
+ * @param {boolean} isInterState - Inter-state supply
+ * @returns {object} - { cgst, sgst, igst, totalTax }
+ */
+export const splitGst = (taxableValue, gstRate, isInterState) => {
+  const totalTax = round((taxableValue * gstRate) / 100);
+
+  if (isInterState) {
+    return { cgst: 0, sgst: 0, igst: totalTax, totalTax };
+  }
+
+  const cgst = round(totalTax / 2);
+  return { cgst, sgst: round(totalTax - cgst), igst: 0, totalTax };
+};
+
+/**
+ * Calculate GST per line from each product's HSN rate and the line's ship-from state
+ * Shipping is a composite supply: it takes the rate and state treatment of the
+ * principal (highest value) line.
+ * @param {object} taxData - { lines: [{ productId, variantId, taxableValue, originState }], shippingAmount, destinationState }
+ * @returns {Promise<object>} - { taxAmount, taxableAmount, taxRate, destinationState, isInterState, breakdown, lines, shipping }
+ */
+export const calculateLineTaxes = async ({ lines, shippingAmount = 0, destinationState = null }) => {
+  const productIds = [...new Set(lines.map((line) => line.productId).filter(Boolean))];
+  let productsById = new Map();
+
+  if (productIds.length > 0) {
+    const result = await getProductsMetadata(productIds);
+    if (result.success) {
+      productsById = new Map(result.data.products.map((product) => [String(product._id), product]));
+    } else {
+      console.log(`> Could not load HSN rates, using default ${DEFAULT_GST_RATE}% GST: ${result.error}`);
+    }
+  }
+
+  const taxLines = lines.map((line, lineIndex) => {
+    const product = productsById.get(line.productId);
+    const hasHsnRate = product?.gstRate !== null && product?.gstRate !== undefined;
+    const gstRate = hasHsnRate ? product.gstRate : DEFAULT_GST_RATE;
+    const isInterState = isInterStateSupply(line.originState, destinationState);
+    const taxableValue = round(Math.max(0, line.taxableValue || 0));
+
+    return {
+      lineIndex,
+      productId: line.productId,
+      variantId: line.variantId || null,
+      hsnCode: product?.hsnCode || null,
+      gstRate,
+      rateSource: hasHsnRate ? "hsn" : "default",
+      originState: line.originState || null,
+      isInterState,
+      taxableValue,
+      ...splitGst(taxableValue, gstRate, isInterState),
+    };
+  });
+
+  const principalLine = taxLines.reduce(
+    (principal, line) => (!principal || line.taxableValue > principal.taxableValue ? line : principal),
+    null
+  );
+  const shippingTaxable = round(Math.max(0, shippingAmount));
+  const shippingRate = principalLine ? principalLine.gstRate : DEFAULT_GST_RATE;
+  const shippingInterState = principalLine ? principalLine.isInterState : false;
+  const shipping = {
+    taxableValue: shippingTaxable,
+    gstRate: shippingRate,
+    isInterState: shippingInterState,
+    ...splitGst(shippingTaxable, shippingRate, shippingInterState),
+  };
+
+  const sum = (field) => round([...taxLines, shipping].reduce((total, line) => total + line[field], 0));
+  const taxAmount = sum("totalTax");
+  const taxableAmount = sum("taxableValue");
+
+  return {
+    taxAmount,
+    taxableAmount,
+    // Effective rate across lines; individual lines may be taxed at different rates
+    taxRate: taxableAmount > 0 ? round((taxAmount / taxableAmount) * 100) : 0,
+    destinationState,
+    isInterState: taxLines.some((line) => line.isInterState),
+    breakdown: {
+      cgst: sum("cgst"),
+      sgst: sum("sgst"),
+      igst: sum("igst"),
+    },
+    lines: taxLines,
+    shipping,
+  };
+};
+
+export default {
+  normalizeState,
+  isInterStateSupply,
+  splitGst,
+  calculateLineTaxes,
+};
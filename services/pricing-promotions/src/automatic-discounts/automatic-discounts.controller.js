@@ -9,7 +9,7 @@ import AutomaticDiscount from "../../models/automaticDiscount.model.js";
  *   page: number,
  *   limit: number,
  *   isActive: boolean,
- *   type: string (percentage|fixed_amount)
+ *   type: string (percentage|fixed_amount|buy_x_get_y|bundle_price)
  * }
  * @responseBody {
  *   discounts: array,
@@ -72,9 +72,14 @@ export const getAllAutomaticDiscounts = async (req, res) => {
  * @requestBody {
  *   name: string (required),
  *   description: string,
- *   type: string (percentage|fixed_amount, required),
- *   value: number (required, min 0),
+ *   type: string (percentage|fixed_amount|buy_x_get_y|bundle_price, required),
+ *   value: number (required, min 0; reward % for buy_x_get_y, bundle price for bundle_price),
  *   maxDiscount: number,
+ *   qualifyingItems: { scope: product|collection|category, ids: array } (item types),
+ *   rewardItems: { scope, ids } (buy_x_get_y, defaults to qualifyingItems),
+ *   buyQuantity: number (item types),
+ *   getQuantity: number (buy_x_get_y),
+ *   maxApplications: number,
  *   minOrderValue: number,
  *   appliesTo: string (cart|specific_products|specific_collections),
  *   applicableIds: array of strings,
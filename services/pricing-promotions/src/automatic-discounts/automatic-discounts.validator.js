@@ -1,14 +1,46 @@
 import Joi from "joi";
 
+/**
+ * Validation schema for a qualifying/reward item set (subdocument)
+ */
+const itemSetSchema = Joi.object({
+  scope: Joi.string().required().valid("product", "collection", "category"),
+  ids: Joi.array().items(Joi.string().trim()).min(1).required(),
+});
+
 /**
  * Validation schema for creating a new automatic discount (admin)
  */
 export const createAutomaticDiscountSchema = Joi.object({
   name: Joi.string().required().trim().min(3).max(200),
   description: Joi.string().allow("", null).trim().max(1000),
-  type: Joi.string().required().valid("percentage", "fixed_amount"),
-  value: Joi.number().required().min(0),
+  type: Joi.string().required().valid("percentage", "fixed_amount", "buy_x_get_y", "bundle_price"),
+  value: Joi.number()
+    .required()
+    .min(0)
+    .when("type", { is: "buy_x_get_y", then: Joi.number().max(100) }),
   maxDiscount: Joi.number().allow(null).min(0),
+  qualifyingItems: Joi.when("type", {
+    is: Joi.valid("buy_x_get_y", "bundle_price"),
+    then: itemSetSchema.required(),
+    otherwise: Joi.valid(null),
+  }),
+  rewardItems: Joi.when("type", {
+    is: "buy_x_get_y",
+    then: itemSetSchema.allow(null),
+    otherwise: Joi.valid(null),
+  }),
+  buyQuantity: Joi.when("type", {
+    is: Joi.valid("buy_x_get_y", "bundle_price"),
+    then: Joi.number().integer().min(1).required(),
+    otherwise: Joi.valid(null),
+  }),
+  getQuantity: Joi.when("type", {
+    is: "buy_x_get_y",
+    then: Joi.number().integer().min(1).required(),
+    otherwise: Joi.valid(null),
+  }),
+  maxApplications: Joi.number().integer().min(1).allow(null),
   minOrderValue: Joi.number().min(0).default(0),
   appliesTo: Joi.string()
     .valid("cart", "specific_products", "specific_collections")
@@ -27,9 +59,14 @@ export const createAutomaticDiscountSchema = Joi.object({
 export const updateAutomaticDiscountSchema = Joi.object({
   name: Joi.string().trim().min(3).max(200),
   description: Joi.string().allow("", null).trim().max(1000),
-  type: Joi.string().valid("percentage", "fixed_amount"),
+  type: Joi.string().valid("percentage", "fixed_amount", "buy_x_get_y", "bundle_price"),
   value: Joi.number().min(0),
   maxDiscount: Joi.number().allow(null).min(0),
+  qualifyingItems: itemSetSchema.allow(null),
+  rewardItems: itemSetSchema.allow(null),
+  buyQuantity: Joi.number().integer().min(1).allow(null),
+  getQuantity: Joi.number().integer().min(1).allow(null),
+  maxApplications: Joi.number().integer().min(1).allow(null),
   minOrderValue: Joi.number().min(0),
   appliesTo: Joi.string().valid("cart", "specific_products", "specific_collections"),
   applicableIds: Joi.array().items(Joi.string()),
@@ -0,0 +1,548 @@
+import CouponBatch, { DEFAULT_CODE_ALPHABET } from "../../models/couponBatch.model.js";
+import Coupon from "../../models/coupon.model.js";
+import {
+  hasCodeSpaceFor,
+  generateBatchCodes,
+  issueBatchCode,
+  syncBatchCodes,
+  getBatchStats,
+  buildBatchCodesCsv,
+} from "../../services/coupon-batch.service.js";
+import { sendResponse } from "@shared/utils";
+import { HTTP_STATUS } from "../../utils/constants.js";
+
+/**
+ * Find a batch that has not been deleted
+ * @param {string} id - Batch ID
+ * @returns {Promise<object|null>} - Coupon batch
+ */
+const findBatch = (id) => CouponBatch.findOne({ _id: id, deletedAt: null });
+
+const sendBatchNotFound = (res) =>
+  sendResponse(
+    res,
+    HTTP_STATUS.NOT_FOUND,
+    "Coupon batch not found",
+    null,
+    "Coupon batch does not exist or has been deleted"
+  );
+
+const sendCodeSpaceTooSmall = (res) =>
+  sendResponse(
+    res,
+    HTTP_STATUS.BAD_REQUEST,
+    "Code space too small",
+    null,
+    "Increase the code length or alphabet size to generate this many unique codes"
+  );
+
+/**
+ * @route GET /api/admin/coupon-batches
+ * @description List coupon batches with pagination
+ * @access Admin
+ *
+ * @queryParams
+ * page: number (default: 1)
+ * limit: number (default: 20)
+ * isActive: boolean
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Coupon batches retrieved successfully",
+ *   "data": {
+ *     "batches": [ ... ],
+ *     "pagination": { "total": 4, "page": 1, "limit": 20, "totalPages": 1 }
+ *   },
+ *   "error": null
+ * }
+ */
+export const getAllCouponBatches = async (req, res) => {
+  console.log("> Get all coupon batches request received");
+  console.log("> Query params:", req.query);
+
+  try {
+    const { page = 1, limit = 20, isActive } = req.query;
+
+    const query = { deletedAt: null };
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === "true";
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [batches, total] = await Promise.all([
+      CouponBatch.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      CouponBatch.countDocuments(query),
+    ]);
+
+    const pagination = {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / parseInt(limit)),
+    };
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Coupon batches retrieved successfully",
+      { batches, pagination },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error getting coupon batches: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error retrieving coupon batches",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route POST /api/admin/coupon-batches
+ * @description Create a coupon batch and generate its unique codes
+ * @access Admin
+ *
+ * @requestBody application/json
+ * {
+ *   "name": "Influencer - Priya - Oct",
+ *   "prefix": "PRIYA-",
+ *   "codeLength": 8,
+ *   "quantity": 5000,
+ *   "usageLimitPerCode": 1,
+ *   "type": "percentage",
+ *   "value": 15,
+ *   "maxDiscount": 300,
+ *   "endsAt": "2025-12-31"
+ * }
+ *
+ * @responseBody Success (201)
+ * {
+ *   "message": "Coupon batch created successfully",
+ *   "data": { "batch": { ... }, "generated": 5000 },
+ *   "error": null
+ * }
+ */
+export const createCouponBatch = async (req, res) => {
+  console.log("> Create coupon batch request received");
+  console.log("> Request body:", req.body);
+
+  try {
+    const { quantity, ...batchData } = req.body;
+    batchData.alphabet = batchData.alphabet || DEFAULT_CODE_ALPHABET;
+
+    if (!hasCodeSpaceFor(batchData, quantity)) {
+      return sendCodeSpaceTooSmall(res);
+    }
+
+    const batch = await CouponBatch.create({ ...batchData, createdById: req.adminId });
+    const { created } = await generateBatchCodes(batch, quantity);
+    batch.codeCount = created;
+
+    console.log(`> Coupon batch created: ${batch.name}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      created < quantity
+        ? `Coupon batch created with ${created} of ${quantity} codes`
+        : "Coupon batch created successfully",
+      { batch, generated: created },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error creating coupon batch: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error creating coupon batch",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route GET /api/admin/coupon-batches/:id
+ * @description Get coupon batch details
+ * @access Admin
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Coupon batch retrieved successfully",
+ *   "data": { ... },
+ *   "error": null
+ * }
+ */
+export const getCouponBatchById = async (req, res) => {
+  console.log("> Get coupon batch by ID request received");
+  console.log("> Batch ID:", req.params.id);
+
+  try {
+    const batch = await findBatch(req.params.id);
+
+    if (!batch) {
+      return sendBatchNotFound(res);
+    }
+
+    return sendResponse(res, HTTP_STATUS.OK, "Coupon batch retrieved successfully", batch, null);
+  } catch (error) {
+    console.log(`> Error getting coupon batch: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error retrieving coupon batch",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route PUT /api/admin/coupon-batches/:id
+ * @description Update a coupon batch and all of its codes
+ * @access Admin
+ *
+ * @requestBody application/json
+ * {
+ *   "endsAt": "2026-01-31",
+ *   "isActive": false
+ * }
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Coupon batch updated successfully",
+ *   "data": { "batch": { ... }, "codesUpdated": 5000 },
+ *   "error": null
+ * }
+ */
+export const updateCouponBatch = async (req, res) => {
+  console.log("> Update coupon batch request received");
+  console.log("> Batch ID:", req.params.id);
+  console.log("> Request body:", req.body);
+
+  try {
+    const batch = await CouponBatch.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
+      { $set: req.body },
+      { new: true, runValidators: true }
+    );
+
+    if (!batch) {
+      return sendBatchNotFound(res);
+    }
+
+    const codesUpdated = await syncBatchCodes(batch, req.body);
+
+    console.log(`> Coupon batch updated: ${batch.name}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Coupon batch updated successfully",
+      { batch, codesUpdated },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error updating coupon batch: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error updating coupon batch",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route DELETE /api/admin/coupon-batches/:id
+ * @description Soft delete a coupon batch and its codes
+ * @access Admin
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Coupon batch deleted successfully",
+ *   "data": null,
+ *   "error": null
+ * }
+ */
+export const deleteCouponBatch = async (req, res) => {
+  console.log("> Delete coupon batch request received");
+  console.log("> Batch ID:", req.params.id);
+
+  try {
+    const deletedAt = new Date();
+    const batch = await CouponBatch.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
+      { $set: { deletedAt } },
+      { new: true }
+    );
+
+    if (!batch) {
+      return sendBatchNotFound(res);
+    }
+
+    await Coupon.updateMany({ batchId: batch._id, deletedAt: null }, { $set: { deletedAt } });
+
+    console.log(`> Coupon batch deleted: ${batch.name}`);
+    return sendResponse(res, HTTP_STATUS.OK, "Coupon batch deleted successfully", null, null);
+  } catch (error) {
+    console.log(`> Error deleting coupon batch: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error deleting coupon batch",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route POST /api/admin/coupon-batches/:id/codes
+ * @description Generate more codes for a batch
+ * @access Admin
+ *
+ * @requestBody application/json
+ * {
+ *   "quantity": 1000
+ * }
+ *
+ * @responseBody Success (201)
+ * {
+ *   "message": "Codes generated successfully",
+ *   "data": { "generated": 1000, "codeCount": 6000 },
+ *   "error": null
+ * }
+ */
+export const generateCouponBatchCodes = async (req, res) => {
+  console.log("> Generate coupon batch codes request received");
+  console.log("> Batch ID:", req.params.id);
+
+  try {
+    const { quantity } = req.body;
+    const batch = await findBatch(req.params.id);
+
+    if (!batch) {
+      return sendBatchNotFound(res);
+    }
+
+    if (!hasCodeSpaceFor(batch, quantity)) {
+      return sendCodeSpaceTooSmall(res);
+    }
+
+    const { created } = await generateBatchCodes(batch, quantity);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      created < quantity ? `Generated ${created} of ${quantity} codes` : "Codes generated successfully",
+      { generated: created, codeCount: batch.codeCount + created },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error generating coupon batch codes: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error generating codes",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route POST /api/internal/coupon-batches/:id/issue
+ * @description Issue one new code from a batch for a single customer (e.g. cart recovery)
+ * @access Internal (service authentication)
+ *
+ * @requestBody application/json
+ * {
+ *   "validForHours": 48
+ * }
+ *
+ * @responseBody Success (201)
+ * {
+ *   "message": "Code issued successfully",
+ *   "data": { "code": "CART-7KQ2M9XD", "couponId": "...", "endsAt": "2025-10-22T10:00:00.000Z" },
+ *   "error": null
+ * }
+ */
+export const issueCouponBatchCode = async (req, res) => {
+  console.log(`> Issue coupon batch code request received from ${req.serviceId}`);
+  console.log("> Batch ID:", req.params.id);
+
+  try {
+    const batch = await findBatch(req.params.id);
+
+    if (!batch) {
+      return sendBatchNotFound(res);
+    }
+
+    if (!batch.isActive || (batch.endsAt && batch.endsAt <= new Date())) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Coupon batch is not active",
+        null,
+        "Codes can only be issued from an active batch that has not ended"
+      );
+    }
+
+    if (!hasCodeSpaceFor(batch, 1)) {
+      return sendCodeSpaceTooSmall(res);
+    }
+
+    const coupon = await issueBatchCode(batch, req.body);
+
+    if (!coupon) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.CONFLICT,
+        "Could not issue a unique code",
+        null,
+        "Every generated code collided with an existing one"
+      );
+    }
+
+    console.log(`> Issued code ${coupon.code} from batch: ${batch.name}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Code issued successfully",
+      { code: coupon.code, couponId: coupon._id, endsAt: coupon.endsAt },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error issuing coupon batch code: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error issuing code",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route GET /api/admin/coupon-batches/:id/export
+ * @description Download batch codes as CSV (Code, Status, Times Used, Usage Limit)
+ * @access Admin
+ *
+ * @responseBody Success (200)
+ * text/csv attachment
+ */
+export const exportCouponBatchCodes = async (req, res) => {
+  console.log("> Export coupon batch codes request received");
+  console.log("> Batch ID:", req.params.id);
+
+  try {
+    const batch = await findBatch(req.params.id);
+
+    if (!batch) {
+      return sendBatchNotFound(res);
+    }
+
+    const coupons = await Coupon.find({ batchId: batch._id, deletedAt: null })
+      .select("code usageCount usageLimitTotal isActive")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const filename = `coupon-batch-${batch._id}-${new Date().toISOString().split("T")[0]}.csv`;
+
+    console.log(`> Exporting ${coupons.length} codes for batch: ${batch.name}`);
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.send(buildBatchCodesCsv(coupons));
+  } catch (error) {
+    console.log(`> Error exporting coupon batch codes: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error exporting codes",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route GET /api/admin/coupon-batches/:id/stats
+ * @description Get redemption stats for a batch
+ * @access Admin
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Coupon batch stats retrieved successfully",
+ *   "data": {
+ *     "totalCodes": 5000,
+ *     "redeemedCodes": 812,
+ *     "unusedCodes": 4188,
+ *     "redemptionRate": 16.24,
+ *     "totalRedemptions": 812,
+ *     "uniqueCustomers": 790,
+ *     "totalDiscount": 182340.5,
+ *     "firstRedeemedAt": "...",
+ *     "lastRedeemedAt": "...",
+ *     "dailyRedemptions": [{ "date": "2025-10-01", "redemptions": 120, "discount": 26800 }]
+ *   },
+ *   "error": null
+ * }
+ */
+export const getCouponBatchStats = async (req, res) => {
+  console.log("> Get coupon batch stats request received");
+  console.log("> Batch ID:", req.params.id);
+
+  try {
+    const batch = await findBatch(req.params.id);
+
+    if (!batch) {
+      return sendBatchNotFound(res);
+    }
+
+    const stats = await getBatchStats(batch);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Coupon batch stats retrieved successfully",
+      stats,
+      null
+    );
+  } catch (error) {
+    console.log(`> Error getting coupon batch stats: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error retrieving coupon batch stats",
+      null,
+      error.message
+    );
+  }
+};
+
+export default {
+  getAllCouponBatches,
+  createCouponBatch,
+  getCouponBatchById,
+  updateCouponBatch,
+  deleteCouponBatch,
+  generateCouponBatchCodes,
+  issueCouponBatchCode,
+  exportCouponBatchCodes,
+  getCouponBatchStats,
+};
@@ -0,0 +1,115 @@
+import { Router } from "express";
+import {
+  getAllCouponBatches,
+  createCouponBatch,
+  getCouponBatchById,
+  updateCouponBatch,
+  deleteCouponBatch,
+  generateCouponBatchCodes,
+  issueCouponBatchCode,
+  exportCouponBatchCodes,
+  getCouponBatchStats,
+} from "./coupon-batches.controller.js";
+import {
+  createCouponBatchSchema,
+  generateCouponBatchCodesSchema,
+  issueCouponBatchCodeSchema,
+  updateCouponBatchSchema,
+} from "./coupon-batches.validator.js";
+import { validateBody } from "@shared/middlewares";
+import { authenticateService } from "@shared/auth-middleware";
+import { authenticateAdmin } from "../../middlewares/auth.middleware.js";
+
+// Admin router
+const adminRouter = Router();
+
+/**
+ * @route GET /api/admin/coupon-batches
+ * @description Get all coupon batches with pagination
+ * @access Admin
+ */
+adminRouter.get("/", authenticateAdmin, getAllCouponBatches);
+
+/**
+ * @route POST /api/admin/coupon-batches
+ * @description Create coupon batch and generate its codes
+ * @access Admin
+ */
+adminRouter.post(
+  "/",
+  authenticateAdmin,
+  validateBody(createCouponBatchSchema),
+  createCouponBatch
+);
+
+/**
+ * @route GET /api/admin/coupon-batches/:id
+ * @description Get single coupon batch details
+ * @access Admin
+ */
+adminRouter.get("/:id", authenticateAdmin, getCouponBatchById);
+
+/**
+ * @route PUT /api/admin/coupon-batches/:id
+ * @description Update coupon batch and its codes
+ * @access Admin
+ */
+adminRouter.put(
+  "/:id",
+  authenticateAdmin,
+  validateBody(updateCouponBatchSchema),
+  updateCouponBatch
+);
+
+/**
+ * @route DELETE /api/admin/coupon-batches/:id
+ * @description Soft delete coupon batch and its codes
+ * @access Admin
+ */
+adminRouter.delete("/:id", authenticateAdmin, deleteCouponBatch);
+
+/**
+ * @route POST /api/admin/coupon-batches/:id/codes
+ * @description Generate more codes for a batch
+ * @access Admin
+ */
+adminRouter.post(
+  "/:id/codes",
+  authenticateAdmin,
+  validateBody(generateCouponBatchCodesSchema),
+  generateCouponBatchCodes
+);
+
+/**
+ * @route GET /api/admin/coupon-batches/:id/export
+ * @description Export batch codes as CSV
+ * @access Admin
+ */
+adminRouter.get("/:id/export", authenticateAdmin, exportCouponBatchCodes);
+
+/**
+ * @route GET /api/admin/coupon-batches/:id/stats
+ * @description Get batch redemption stats
+ * @access Admin
+ */
+adminRouter.get("/:id/stats", authenticateAdmin, getCouponBatchStats);
+
+// Internal router (service-to-service)
+const internalRouter = Router();
+
+/**
+ * @route POST /api/internal/coupon-batches/:id/issue
+ * @description Issue one new code from a batch for a single customer
+ * @access Internal (service authentication)
+ */
+internalRouter.post(
+  "/:id/issue",
+  authenticateService,
+  validateBody(issueCouponBatchCodeSchema),
+  issueCouponBatchCode
+);
+
+export default {
+  admin: adminRouter,
+  internal: internalRouter,
+};
@@ -0,0 +1,66 @@
+import Joi from "joi";
+import { discountRuleKeys } from "../coupons/coupons.validator.js";
+import { COUPON_BATCH_LIMITS } from "../../utils/constants.js";
+
+const quantitySchema = Joi.number().integer().min(1).max(COUPON_BATCH_LIMITS.MAX_CODES_PER_REQUEST);
+
+/**
+ * Validation schema for creating a coupon batch and generating its codes (admin)
+ */
+export const createCouponBatchSchema = Joi.object({
+  name: Joi.string().required().trim().min(3).max(200),
+  description: Joi.string().allow("", null).trim().max(1000),
+  prefix: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]*$/).max(18).allow("").default("")
+    .messages({ "string.pattern.base": "Prefix may only contain letters, digits and hyphens" }),
+  codeLength: Joi.number().integer().min(4).max(32).default(8),
+  alphabet: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9]+$/)
+    .min(2)
+    .custom((value, helpers) => (new Set(value).size === value.length ? value : helpers.error("any.invalid")))
+    .messages({
+      "string.pattern.base": "Alphabet may only contain letters and digits",
+      "any.invalid": "Alphabet characters must be unique",
+    }),
+  quantity: quantitySchema.required(),
+  usageLimitPerCode: Joi.number().integer().min(1).default(1),
+  ...discountRuleKeys,
+  usageLimitPerUser: Joi.number().allow(null).min(1).default(1),
+});
+
+/**
+ * Validation schema for generating more codes in a batch (admin)
+ */
+export const generateCouponBatchCodesSchema = Joi.object({
+  quantity: quantitySchema.required(),
+});
+
+/**
+ * Validation schema for issuing one code from a batch (internal)
+ */
+export const issueCouponBatchCodeSchema = Joi.object({
+  validForHours: Joi.number().integer().min(1).max(24 * 365).allow(null).default(null),
+});
+
+/**
+ * Validation schema for updating a coupon batch (admin)
+ * Changes are copied onto every code in the batch.
+ */
+export const updateCouponBatchSchema = Joi.object({
+  name: Joi.string().trim().min(3).max(200),
+  description: Joi.string().allow("", null).trim().max(1000),
+  maxDiscount: Joi.number().allow(null).min(0),
+  minOrderValue: Joi.number().min(0),
+  usageLimitPerUser: Joi.number().allow(null).min(1),
+  isActive: Joi.boolean(),
+  startsAt: Joi.date().allow(null).iso(),
+  endsAt: Joi.date().allow(null).iso(),
+}).min(1);
+
+export default {
+  createCouponBatchSchema,
+  generateCouponBatchCodesSchema,
+  issueCouponBatchCodeSchema,
+  updateCouponBatchSchema,
+};
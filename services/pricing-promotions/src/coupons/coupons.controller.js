@@ -1,3 +1,4 @@
+import mongoose from "mongoose";
 import Coupon from "../../models/coupon.model.js";
 import CouponUsage from "../../models/couponUsage.model.js";
 import { validateCoupon } from "../../services/coupon.service.js";
@@ -76,6 +77,7 @@ export const validateCouponCode = async (req, res) => {
  * limit: number (default: 20)
  * isActive: boolean
  * type: string
+ * batchId: string (codes of a coupon batch; batch codes are excluded otherwise)
  *
  * @responseBody Success (200)
  * {
@@ -97,9 +99,9 @@ export const getAllCoupons = async (req, res) => {
   console.log("> Query params:", req.query);
 
   try {
-    const { page = 1, limit = 20, isActive, type } = req.query;
+    const { page = 1, limit = 20, isActive, type, batchId } = req.query;
 
-    const query = { deletedAt: null };
+    const query = { deletedAt: null, batchId: batchId || null };
 
     if (isActive !== undefined) {
       query.isActive = isActive === "true";
@@ -162,6 +164,18 @@ export const getAllCoupons = async (req, res) => {
  *   "endsAt": "2024-12-31"
  * }
  *
+ * Buy X get Y ("buy serum, get toner 50% off"):
+ * {
+ *   "code": "SERUMTONER",
+ *   "name": "Serum + Toner",
+ *   "type": "buy_x_get_y",
+ *   "value": 50,
+ *   "qualifyingItems": { "scope": "category", "ids": ["<serums category ID>"] },
+ *   "rewardItems": { "scope": "category", "ids": ["<toners category ID>"] },
+ *   "buyQuantity": 1,
+ *   "getQuantity": 1
+ * }
+ *
  * @responseBody Success (201)
  * {
  *   "message": "Coupon created successfully",
@@ -572,6 +586,113 @@ export const validateCouponUsage = async (req, res) => {
   }
 };
 
+/**
+ * @route POST /api/coupons/usage
+ * @description Record a coupon redemption for a placed order (Order service integration endpoint)
+ * @access Public
+ *
+ * @requestBody application/json
+ * {
+ *   "code": "SAVE20",
+ *   "userId": "user_id",
+ *   "orderId": "order_id",
+ *   "discountAmount": 200
+ * }
+ *
+ * @responseBody Success (201)
+ * {
+ *   "message": "Coupon usage recorded",
+ *   "data": { "couponId": "...", "usageCount": 1 },
+ *   "error": null
+ * }
+ */
+export const recordCouponUsage = async (req, res) => {
+  console.log("> Record coupon usage request received");
+  console.log("> Request body:", req.body);
+
+  try {
+    const { code, userId, orderId, discountAmount } = req.body;
+
+    const coupon = await Coupon.findOne({ code, deletedAt: null });
+
+    if (!coupon) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Coupon not found",
+        null,
+        "Coupon does not exist or has been deleted"
+      );
+    }
+
+    const existingUsage = await CouponUsage.findOne({ couponId: coupon._id, orderId });
+    if (existingUsage) {
+      console.log(`> Usage already recorded for coupon ${code} on order ${orderId}`);
+      return sendResponse(
+        res,
+        HTTP_STATUS.OK,
+        "Coupon usage already recorded",
+        { couponId: coupon._id, usageCount: coupon.usageCount },
+        null
+      );
+    }
+
+    // Claim a use atomically so single-use codes cannot be redeemed twice
+    const claimed = await Coupon.findOneAndUpdate(
+      {
+        _id: coupon._id,
+        $or: [
+          { usageLimitTotal: null },
+          { $expr: { $lt: ["$usageCount", "$usageLimitTotal"] } },
+        ],
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      console.log(`> Coupon usage limit reached: ${code}`);
+      return sendResponse(
+        res,
+        HTTP_STATUS.CONFLICT,
+        "Coupon usage limit reached",
+        null,
+        "This coupon has already been fully redeemed"
+      );
+    }
+
+    // Guest checkouts have no user ID; their use is counted on the coupon only
+    if (mongoose.Types.ObjectId.isValid(userId)) {
+      await CouponUsage.create({
+        couponId: coupon._id,
+        batchId: coupon.batchId,
+        userId,
+        orderId,
+        discountAmount,
+      });
+    }
+
+    console.log(`> Coupon usage recorded: ${code} (${claimed.usageCount} uses)`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Coupon usage recorded",
+      { couponId: coupon._id, usageCount: claimed.usageCount },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error recording coupon usage: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error recording coupon usage",
+      null,
+      error.message
+    );
+  }
+};
+
 export default {
   validateCouponCode,
   getAllCoupons,
@@ -581,4 +702,5 @@ export default {
   deleteCoupon,
   getCouponUsage,
   validateCouponUsage,
+  recordCouponUsage,
 };
@@ -1,5 +1,13 @@
 import Joi from "joi";
 
+/**
+ * Validation schema for a qualifying/reward item set (subdocument)
+ */
+const itemSetSchema = Joi.object({
+  scope: Joi.string().required().valid("product", "collection", "category"),
+  ids: Joi.array().items(Joi.string().trim()).min(1).required(),
+});
+
 /**
  * Validation schema for coupon code validation (consumer)
  */
@@ -9,28 +17,74 @@ export const validateCouponSchema = Joi.object({
 });
 
 /**
- * Validation schema for creating a new coupon (admin)
+ * Discount rule keys shared by coupons and coupon batches
  */
-export const createCouponSchema = Joi.object({
-  code: Joi.string().required().trim().uppercase().min(3).max(50),
-  name: Joi.string().required().trim().min(3).max(200),
-  description: Joi.string().allow("", null).trim().max(1000),
-  type: Joi.string().required().valid("percentage", "fixed_amount", "free_shipping"),
-  value: Joi.number().required().min(0),
+export const discountRuleKeys = {
+  type: Joi.string()
+    .required()
+    .valid("percentage", "fixed_amount", "free_shipping", "buy_x_get_y", "bundle_price"),
+  value: Joi.number()
+    .required()
+    .min(0)
+    .when("type", { is: "buy_x_get_y", then: Joi.number().max(100) }),
   maxDiscount: Joi.number().allow(null).min(0),
+  qualifyingItems: Joi.when("type", {
+    is: Joi.valid("buy_x_get_y", "bundle_price"),
+    then: itemSetSchema.required(),
+    otherwise: Joi.valid(null),
+  }),
+  rewardItems: Joi.when("type", {
+    is: "buy_x_get_y",
+    then: itemSetSchema.allow(null),
+    otherwise: Joi.valid(null),
+  }),
+  buyQuantity: Joi.when("type", {
+    is: Joi.valid("buy_x_get_y", "bundle_price"),
+    then: Joi.number().integer().min(1).required(),
+    otherwise: Joi.valid(null),
+  }),
+  getQuantity: Joi.when("type", {
+    is: "buy_x_get_y",
+    then: Joi.number().integer().min(1).required(),
+    otherwise: Joi.valid(null),
+  }),
+  maxApplications: Joi.number().integer().min(1).allow(null),
   minOrderValue: Joi.number().min(0).default(0),
-  usageLimitTotal: Joi.number().allow(null).min(1),
   usageLimitPerUser: Joi.number().allow(null).min(1),
   appliesTo: Joi.string().valid("all", "specific_products", "specific_collections").default("all"),
   applicableIds: Joi.array().items(Joi.string()).default([]),
   excludedIds: Joi.array().items(Joi.string()).default([]),
   customerEligibility: Joi.string().valid("all", "first_order", "specific_segments").default("all"),
-  eligibleSegmentIds: Joi.array().items(Joi.string()).default([]),
+  eligibleSegmentIds: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .when("customerEligibility", { is: "specific_segments", then: Joi.array().min(1) })
+    .default([]),
   isStackable: Joi.boolean().default(false),
-  isAutoApply: Joi.boolean().default(false),
   isActive: Joi.boolean().default(true),
   startsAt: Joi.date().allow(null).iso(),
   endsAt: Joi.date().allow(null).iso().greater(Joi.ref("startsAt")),
+};
+
+/**
+ * Validation schema for creating a new coupon (admin)
+ */
+export const createCouponSchema = Joi.object({
+  code: Joi.string().required().trim().uppercase().min(3).max(50),
+  name: Joi.string().required().trim().min(3).max(200),
+  description: Joi.string().allow("", null).trim().max(1000),
+  ...discountRuleKeys,
+  usageLimitTotal: Joi.number().allow(null).min(1),
+  isAutoApply: Joi.boolean().default(false),
+});
+
+/**
+ * Validation schema for recording a coupon redemption (order service)
+ */
+export const recordCouponUsageSchema = Joi.object({
+  code: Joi.string().required().trim().uppercase(),
+  userId: Joi.string().required(),
+  orderId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+  discountAmount: Joi.number().min(0).default(0),
 });
 
 /**
@@ -41,6 +95,11 @@ export const updateCouponSchema = Joi.object({
   description: Joi.string().allow("", null).trim().max(1000),
   value: Joi.number().min(0),
   maxDiscount: Joi.number().allow(null).min(0),
+  qualifyingItems: itemSetSchema.allow(null),
+  rewardItems: itemSetSchema.allow(null),
+  buyQuantity: Joi.number().integer().min(1).allow(null),
+  getQuantity: Joi.number().integer().min(1).allow(null),
+  maxApplications: Joi.number().integer().min(1).allow(null),
   minOrderValue: Joi.number().min(0),
   usageLimitTotal: Joi.number().allow(null).min(1),
   usageLimitPerUser: Joi.number().allow(null).min(1),
@@ -48,7 +107,7 @@ export const updateCouponSchema = Joi.object({
   applicableIds: Joi.array().items(Joi.string()),
   excludedIds: Joi.array().items(Joi.string()),
   customerEligibility: Joi.string().valid("all", "first_order", "specific_segments"),
-  eligibleSegmentIds: Joi.array().items(Joi.string()),
+  eligibleSegmentIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)),
   isStackable: Joi.boolean(),
   isAutoApply: Joi.boolean(),
   isActive: Joi.boolean(),
@@ -57,7 +116,9 @@ export const updateCouponSchema = Joi.object({
 }).min(1);
 
 export default {
+  discountRuleKeys,
   validateCouponSchema,
   createCouponSchema,
+  recordCouponUsageSchema,
   updateCouponSchema,
 };
@@ -0,0 +1,36 @@
+import { JobRunner } from "@shared/job-runner";
+import { priceScheduleJob } from "./price-schedule.job.js";
+
+const PRICE_SCHEDULE_CRON = process.env.PRICE_SCHEDULE_CRON || "* * * * *";
+
+/**
+ * Scheduled jobs for the pricing & promotions service
+ * Each run is claimed in MongoDB, so only one replica runs it.
+ */
+export const jobRunner = new JobRunner({ service: "pricing-promotions" }).register({
+  name: "price-schedule",
+  schedule: PRICE_SCHEDULE_CRON,
+  description: "Start and end scheduled prices and sale events, and retry catalog syncs",
+  handler: priceScheduleJob,
+});
+
+/**
+ * Initialize all scheduled jobs for the pricing & promotions service
+ * Call after the database connection is open.
+ */
+export async function initializeJobs() {
+  console.log("> Initializing scheduled jobs...");
+
+  await jobRunner.start();
+
+  console.log("> Scheduled jobs initialized successfully");
+
+  return jobRunner;
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+export function stopJobs(jobs) {
+  jobs.stop();
+}
@@ -0,0 +1,96 @@
+import SaleEvent from "../../models/saleEvent.model.js";
+import VariantPricing from "../../models/variantPricing.model.js";
+import {
+  applyVariantSchedules,
+  findVariantsWithDueSchedules,
+  syncCatalogPrice,
+} from "../../services/price-schedule.service.js";
+import { SALE_EVENT_STATUS } from "../../utils/constants.js";
+
+const CATALOG_RETRY_BATCH_SIZE = 100;
+
+/**
+ * Price Schedule Job
+ * Starts and ends scheduled prices and sale events, and retries failed catalog syncs
+ */
+export async function priceScheduleJob() {
+  try {
+    console.log("> [JOB] Starting price schedule job");
+    const startTime = Date.now();
+    const now = new Date();
+
+    const variantIds = await findVariantsWithDueSchedules(now);
+
+    let priceChanges = 0;
+    let catalogSyncFailures = 0;
+    let errors = 0;
+
+    for (const variantId of variantIds) {
+      try {
+        const result = await applyVariantSchedules(variantId, { now });
+        if (result.changed) {
+          priceChanges++;
+          if (!result.catalogSynced) {
+            catalogSyncFailures++;
+          }
+        }
+      } catch (error) {
+        console.log(`> [JOB] Error applying price schedules for variant ${variantId}:`, error.message);
+        errors++;
+      }
+    }
+
+    const [startedEvents, endedEvents] = await Promise.all([
+      SaleEvent.updateMany(
+        { status: SALE_EVENT_STATUS.SCHEDULED, startsAt: { $lte: now }, endsAt: { $gt: now } },
+        { status: SALE_EVENT_STATUS.ACTIVE }
+      ),
+      SaleEvent.updateMany(
+        { status: { $in: [SALE_EVENT_STATUS.SCHEDULED, SALE_EVENT_STATUS.ACTIVE] }, endsAt: { $lte: now } },
+        { status: SALE_EVENT_STATUS.ENDED }
+      ),
+    ]);
+
+    // Retry catalog syncs that failed on earlier runs
+    const pendingSyncs = await VariantPricing.find({
+      catalogSyncPending: true,
+      updatedAt: { $lt: now },
+    }).limit(CATALOG_RETRY_BATCH_SIZE);
+
+    let catalogSyncRetried = 0;
+    for (const pricing of pendingSyncs) {
+      if (await syncCatalogPrice(pricing)) {
+        catalogSyncRetried++;
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(
+      `> [JOB] Price schedule job completed | ` +
+      `Variants checked: ${variantIds.length} | ` +
+      `Price changes: ${priceChanges} | ` +
+      `Sale events started: ${startedEvents.modifiedCount} | ` +
+      `Sale events ended: ${endedEvents.modifiedCount} | ` +
+      `Catalog syncs retried: ${catalogSyncRetried}/${pendingSyncs.length} | ` +
+      `Duration: ${duration}ms`
+    );
+
+    return {
+      success: true,
+      variantsChecked: variantIds.length,
+      priceChanges,
+      catalogSyncFailures,
+      catalogSyncRetried,
+      saleEventsStarted: startedEvents.modifiedCount,
+      saleEventsEnded: endedEvents.modifiedCount,
+      errors,
+      duration,
+    };
+  } catch (error) {
+    console.log("> [JOB] Fatal error in price schedule job:", error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
@@ -0,0 +1,296 @@
+import PriceSchedule from "../../models/priceSchedule.model.js";
+import PriceHistory from "../../models/priceHistory.model.js";
+import VariantPricing from "../../models/variantPricing.model.js";
+import { createPriceSchedule, cancelPriceSchedule } from "../../services/price-schedule.service.js";
+import { sendResponse } from "@shared/utils";
+import { HTTP_STATUS, PRICE_SCHEDULE_STATUS } from "../../utils/constants.js";
+
+/**
+ * @route POST /api/admin/prices/schedules
+ * @description Schedule a price for a variant
+ * Without endsAt the price is open-ended and replaces the regular price from startsAt.
+ * With endsAt it is a sale window and the regular price comes back when it ends.
+ * @access Admin
+ *
+ * @requestBody application/json
+ * {
+ *   "variantId": "507f1f77bcf86cd799439011",
+ *   "salePrice": 349,
+ *   "startsAt": "2025-11-01T10:00:00+05:30",
+ *   "endsAt": "2025-11-01T23:59:59+05:30",
+ *   "reason": "Flash sale"
+ * }
+ *
+ * @responseBody Success (201)
+ * {
+ *   "message": "Price scheduled successfully",
+ *   "data": { "schedule": { ... }, "currentPrice": { ... } },
+ *   "error": null
+ * }
+ */
+export const schedulePrice = async (req, res) => {
+  console.log("> Schedule price request received");
+  console.log("> Request body:", req.body);
+
+  try {
+    const pricing = await VariantPricing.findOne({ variantId: req.body.variantId });
+    const productId = req.body.productId || pricing?.productId;
+    const mrp = req.body.mrp ?? pricing?.mrp;
+
+    if (!productId || !mrp) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Variant has no price yet",
+        null,
+        "productId and mrp are required for a variant without a price"
+      );
+    }
+
+    if (req.body.salePrice !== null && req.body.salePrice > mrp) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Invalid sale price",
+        null,
+        "Sale price cannot be higher than MRP"
+      );
+    }
+
+    const { schedule, result } = await createPriceSchedule(
+      { ...req.body, productId, mrp },
+      req.adminId
+    );
+
+    console.log(`> Price scheduled for variant ${schedule.variantId} from ${schedule.startsAt.toISOString()}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Price scheduled successfully",
+      { schedule, currentPrice: result.pricing },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error scheduling price: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error scheduling price",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route GET /api/admin/prices/:variantId/schedules
+ * @description List a variant's price schedules, newest start first
+ * @access Admin
+ *
+ * @queryParams
+ * status: string (scheduled, active, expired, superseded, cancelled)
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Price schedules retrieved successfully",
+ *   "data": { "currentPrice": { ... }, "schedules": [ ... ] },
+ *   "error": null
+ * }
+ */
+export const getPriceSchedules = async (req, res) => {
+  console.log("> Get price schedules request received");
+  console.log("> Variant ID:", req.params.variantId);
+
+  try {
+    const { variantId } = req.params;
+    const query = { variantId };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const [currentPrice, schedules] = await Promise.all([
+      VariantPricing.findOne({ variantId }),
+      PriceSchedule.find(query).sort({ startsAt: -1, createdAt: -1 }),
+    ]);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Price schedules retrieved successfully",
+      { currentPrice, schedules },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error getting price schedules: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error retrieving price schedules",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route POST /api/admin/prices/schedules/:id/cancel
+ * @description Cancel a price schedule that has not ended
+ * A started open-ended price cannot be cancelled; schedule a new price instead.
+ * @access Admin
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Price schedule cancelled successfully",
+ *   "data": { "schedule": { ... }, "currentPrice": { ... } },
+ *   "error": null
+ * }
+ */
+export const cancelSchedule = async (req, res) => {
+  console.log("> Cancel price schedule request received");
+  console.log("> Schedule ID:", req.params.id);
+
+  try {
+    const schedule = await PriceSchedule.findById(req.params.id);
+
+    if (!schedule) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.NOT_FOUND,
+        "Price schedule not found",
+        null,
+        "Price schedule does not exist"
+      );
+    }
+
+    if (![PRICE_SCHEDULE_STATUS.SCHEDULED, PRICE_SCHEDULE_STATUS.ACTIVE].includes(schedule.status)) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Price schedule cannot be cancelled",
+        null,
+        `Price schedule is already ${schedule.status}`
+      );
+    }
+
+    if (!schedule.endsAt && schedule.startsAt <= new Date()) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Price schedule cannot be cancelled",
+        null,
+        "This is the variant's regular price; schedule a new price instead"
+      );
+    }
+
+    const result = await cancelPriceSchedule(schedule, req.adminId);
+
+    console.log(`> Price schedule cancelled: ${schedule._id}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Price schedule cancelled successfully",
+      { schedule, currentPrice: result.pricing },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error cancelling price schedule: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error cancelling price schedule",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route GET /api/admin/prices/:variantId/history
+ * @description Get every change to a variant's price, newest first
+ * @access Admin
+ *
+ * @queryParams
+ * page: number (default: 1)
+ * limit: number (default: 20)
+ * from: date
+ * to: date
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Price history retrieved successfully",
+ *   "data": {
+ *     "history": [
+ *       {
+ *         "previous": { "mrp": 499, "salePrice": 449 },
+ *         "current": { "mrp": 499, "salePrice": 349 },
+ *         "source": "schedule_activated",
+ *         "scheduleId": "...",
+ *         "saleEventId": "...",
+ *         "changedById": null,
+ *         "note": "Diwali Sale",
+ *         "changedAt": "2025-11-01T04:30:00.000Z"
+ *       }
+ *     ],
+ *     "pagination": { "total": 12, "page": 1, "limit": 20, "totalPages": 1 }
+ *   },
+ *   "error": null
+ * }
+ */
+export const getPriceHistory = async (req, res) => {
+  console.log("> Get price history request received");
+  console.log("> Variant ID:", req.params.variantId);
+
+  try {
+    const { page = 1, limit = 20, from, to } = req.query;
+    const query = { variantId: req.params.variantId };
+
+    if (from || to) {
+      query.changedAt = {};
+      if (from) query.changedAt.$gte = new Date(from);
+      if (to) query.changedAt.$lte = new Date(to);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [history, total] = await Promise.all([
+      PriceHistory.find(query).sort({ changedAt: -1 }).skip(skip).limit(parseInt(limit)),
+      PriceHistory.countDocuments(query),
+    ]);
+
+    const pagination = {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / parseInt(limit)),
+    };
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Price history retrieved successfully",
+      { history, pagination },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error getting price history: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error retrieving price history",
+      null,
+      error.message
+    );
+  }
+};
+
+export default {
+  schedulePrice,
+  getPriceSchedules,
+  cancelSchedule,
+  getPriceHistory,
+};
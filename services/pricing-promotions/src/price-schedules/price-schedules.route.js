@@ -0,0 +1,50 @@
+import { Router } from "express";
+import {
+  schedulePrice,
+  getPriceSchedules,
+  cancelSchedule,
+  getPriceHistory,
+} from "./price-schedules.controller.js";
+import { createPriceScheduleSchema } from "./price-schedules.validator.js";
+import { validateBody } from "@shared/middlewares";
+import { authenticateAdmin } from "../../middlewares/auth.middleware.js";
+
+// Admin router
+const adminRouter = Router();
+
+/**
+ * @route POST /api/admin/prices/schedules
+ * @description Schedule a price (open-ended or a sale window) for a variant
+ * @access Admin
+ */
+adminRouter.post(
+  "/schedules",
+  authenticateAdmin,
+  validateBody(createPriceScheduleSchema),
+  schedulePrice
+);
+
+/**
+ * @route POST /api/admin/prices/schedules/:id/cancel
+ * @description Cancel a price schedule that has not ended
+ * @access Admin
+ */
+adminRouter.post("/schedules/:id/cancel", authenticateAdmin, cancelSchedule);
+
+/**
+ * @route GET /api/admin/prices/:variantId/schedules
+ * @description List a variant's price schedules
+ * @access Admin
+ */
+adminRouter.get("/:variantId/schedules", authenticateAdmin, getPriceSchedules);
+
+/**
+ * @route GET /api/admin/prices/:variantId/history
+ * @description Get who changed a variant's price, what changed and when
+ * @access Admin
+ */
+adminRouter.get("/:variantId/history", authenticateAdmin, getPriceHistory);
+
+export default {
+  admin: adminRouter,
+};
@@ -0,0 +1,19 @@
+import Joi from "joi";
+
+/**
+ * Validation schema for scheduling a variant price (admin)
+ * mrp and productId default to the variant's current pricing record.
+ */
+export const createPriceScheduleSchema = Joi.object({
+  variantId: Joi.string().required().trim(),
+  productId: Joi.string().trim(),
+  mrp: Joi.number().positive(),
+  salePrice: Joi.number().positive().allow(null).required(),
+  startsAt: Joi.date().iso(),
+  endsAt: Joi.date().iso().allow(null).greater(Joi.ref("startsAt", { adjust: (value) => value || new Date() })),
+  reason: Joi.string().trim().max(500).allow("", null),
+});
+
+export default {
+  createPriceScheduleSchema,
+};
@@ -1,6 +1,9 @@
 import { sendResponse, HTTP_STATUS } from "@shared/utils";
 import { calculatePricing } from "../../services/pricing.service.js";
+import { DEFAULT_GST_RATE, calculateLineTaxes, splitGst } from "../../services/tax.service.js";
 import VariantPricing from "../../models/variantPricing.model.js";
+import { createPriceSchedule } from "../../services/price-schedule.service.js";
+import { PRICE_SCHEDULE_SOURCE } from "../../utils/constants.js";
 
 /**
  * @route POST /api/pricing/calculate
@@ -9,13 +12,16 @@ import VariantPricing from "../../models/variantPricing.model.js";
  * @requestBody {
  *   cartSubtotal: number (required),
  *   couponCode: string (optional),
- *   items: array (optional, for future product-specific discounts)
+ *   items: array (optional, used for quantity tiers and product-triggered free gifts)
  * }
  * @responseBody {
  *   subtotal: number,
  *   discounts: array,
  *   coupon: object | null,
  *   automaticDiscounts: array,
+ *   tierDiscounts: array,
+ *   freeGifts: array,
+ *   lineAllocations: array (per item: discount, taxableValue, allocations),
  *   totalSavings: number,
  *   grandTotal: number,
  *   couponError: string (optional)
@@ -65,57 +71,74 @@ export const calculateCartTotals = calculatePrice;
 
 /**
  * @route POST /api/calculate/tax
- * @description Calculate tax for an order
+ * @description Calculate GST for an order
  * @access Public
  * @requestBody {
- *   amount: number (required),
- *   state: string (optional),
+ *   lines: array (optional, per line: productId, variantId, taxableValue, originState),
+ *   shippingAmount: number (optional, with lines),
+ *   amount: number (required without lines),
+ *   state: string (optional, destination state),
  *   country: string (optional),
  *   zipCode: string (optional)
  * }
  * @responseBody {
  *   taxAmount: number,
  *   taxRate: number,
- *   taxableAmount: number
+ *   taxableAmount: number,
+ *   breakdown: { cgst, sgst, igst },
+ *   lines: array (with lines; per line: hsnCode, gstRate, isInterState, taxableValue, cgst, sgst, igst, totalTax),
+ *   shipping: object (with lines; tax on shippingAmount)
  * }
+ *
+ * With lines, each product is taxed at the GST rate of its HSN code and a line is
+ * inter-state (IGST) when its originState differs from the destination state.
+ * Without lines, amount is taxed at the default rate as a single intra-state supply.
  */
 export const calculateTax = async (req, res) => {
   try {
-    const { amount, state, country = "IN", zipCode } = req.body;
+    const { amount, lines, shippingAmount, state, country = "IN", zipCode } = req.body;
 
-    console.log(`> POST /api/calculate/tax - Amount: ${amount}, State: ${state || "N/A"}, Country: ${country}`);
+    console.log(`> POST /api/calculate/tax - Amount: ${amount}, Lines: ${lines?.length || 0}, State: ${state || "N/A"}, Country: ${country}`);
 
-    // Default GST rates for India
-    const gstRates = {
-      food: 0,      // 0% GST on essential food items
-      health: 12,   // 12% GST on health/wellness products
-      beauty: 18,   // 18% GST on cosmetics
-      default: 18   // 18% default GST
-    };
+    if (lines && lines.length > 0) {
+      const result = await calculateLineTaxes({ lines, shippingAmount, destinationState: state || null });
 
-    // For now, use default 18% GST rate
-    // TODO: Implement location-based tax calculation
-    const taxRate = gstRates.default;
-    const taxableAmount = amount || 0;
-    const taxAmount = Math.round((taxableAmount * taxRate / 100) * 100) / 100;
+      console.log(`> Tax calculated - Amount: ${result.taxAmount}, Effective rate: ${result.taxRate}%`);
 
+      return sendResponse(
+        res,
+        HTTP_STATUS.OK,
+        "Tax calculated successfully",
+        result,
+        null
+      );
+    }
+
+    const taxableAmount = amount || 0;
     const result = {
-      taxAmount,
-      taxRate,
+      taxRate: DEFAULT_GST_RATE,
       taxableAmount,
-      breakdown: {
-        cgst: Math.round((taxAmount / 2) * 100) / 100,  // Central GST (9%)
-        sgst: Math.round((taxAmount / 2) * 100) / 100,  // State GST (9%)
-      }
+      isInterState: false,
+      ...splitGst(taxableAmount, DEFAULT_GST_RATE, false),
     };
 
-    console.log(`> Tax calculated - Amount: ${taxAmount}, Rate: ${taxRate}%`);
+    console.log(`> Tax calculated - Amount: ${result.totalTax}, Rate: ${DEFAULT_GST_RATE}%`);
 
     return sendResponse(
       res,
       HTTP_STATUS.OK,
       "Tax calculated successfully",
-      result,
+      {
+        taxAmount: result.totalTax,
+        taxRate: result.taxRate,
+        taxableAmount: result.taxableAmount,
+        isInterState: result.isInterState,
+        breakdown: {
+          cgst: result.cgst,
+          sgst: result.sgst,
+          igst: result.igst,
+        },
+      },
       null
     );
   } catch (error) {
@@ -263,7 +286,9 @@ export const bulkGetPrices = async (req, res) => {
 
 /**
  * @route POST /api/admin/prices
- * @description Create pricing record for a variant
+ * @description Set the regular price of a variant
+ * Recorded as an open-ended price schedule, so it shows in the price history and
+ * takes over from effectiveFrom (immediately by default).
  * @access Admin
  * @requestBody {
  *   variantId: string (required),
@@ -277,48 +302,32 @@ export const createPricing = async (req, res) => {
   try {
     const { variantId, productId, mrp, salePrice, effectiveFrom } = req.body;
 
-    console.log(`> POST /api/admin/prices - Creating pricing for variant: ${variantId}`);
+    console.log(`> POST /api/admin/prices - Setting pricing for variant: ${variantId}`);
 
-    // Check if pricing already exists for this variant
-    const existing = await VariantPricing.findOne({ variantId });
-    if (existing) {
-      console.log(`> Pricing already exists for variant: ${variantId}, updating...`);
-      // Update existing pricing
-      existing.mrp = mrp;
-      existing.salePrice = salePrice;
-      if (effectiveFrom) {
-        existing.effectiveFrom = new Date(effectiveFrom);
-      }
-      await existing.save();
+    const existing = await VariantPricing.exists({ variantId });
 
-      return sendResponse(
-        res,
-        HTTP_STATUS.OK,
-        "Pricing updated successfully",
-        existing,
-        null
-      );
-    }
-
-    // Create new pricing record
-    const pricing = new VariantPricing({
-      variantId,
-      productId,
-      mrp,
-      salePrice: salePrice || null,
-      effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
-      isActive: true,
-    });
-
-    await pricing.save();
+    const { schedule, result } = await createPriceSchedule(
+      {
+        variantId,
+        productId,
+        mrp,
+        salePrice: salePrice || null,
+        startsAt: effectiveFrom,
+        endsAt: null,
+        source: PRICE_SCHEDULE_SOURCE.MANUAL,
+      },
+      req.adminId || null
+    );
 
-    console.log(`> Pricing record created for variant: ${variantId} (MRP: ${mrp}, Sale: ${salePrice || mrp})`);
+    console.log(
+      `> Pricing set for variant: ${variantId} (MRP: ${mrp}, Sale: ${salePrice || mrp}, from ${schedule.startsAt.toISOString()})`
+    );
 
     return sendResponse(
       res,
-      HTTP_STATUS.CREATED,
-      "Pricing created successfully",
-      pricing,
+      existing ? HTTP_STATUS.OK : HTTP_STATUS.CREATED,
+      existing ? "Pricing updated successfully" : "Pricing created successfully",
+      result.pricing || schedule,
       null
     );
   } catch (error) {
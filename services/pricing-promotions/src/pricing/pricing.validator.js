@@ -18,6 +18,27 @@ export const calculatePricingSchema = Joi.object({
     .default([]),
 });
 
+/**
+ * Validation schema for GST calculation
+ * Either per-line data (lines) or a single taxable amount is required.
+ */
+export const calculateTaxSchema = Joi.object({
+  amount: Joi.number().min(0),
+  lines: Joi.array().items(
+    Joi.object({
+      productId: Joi.string().required(),
+      variantId: Joi.string().allow("", null),
+      taxableValue: Joi.number().min(0).required(),
+      originState: Joi.string().trim().allow("", null),
+    })
+  ),
+  shippingAmount: Joi.number().min(0).default(0),
+  state: Joi.string().trim().allow("", null),
+  country: Joi.string().trim().allow("", null),
+  zipCode: Joi.string().trim().allow("", null),
+}).or("amount", "lines");
+
 export default {
   calculatePricingSchema,
+  calculateTaxSchema,
 };
@@ -0,0 +1,261 @@
+import SaleEvent from "../../models/saleEvent.model.js";
+import PriceSchedule from "../../models/priceSchedule.model.js";
+import {
+  resolveSaleEventPrices,
+  scheduleSaleEventPrices,
+  cancelSaleEvent as cancelSaleEventPrices,
+} from "../../services/sale-event.service.js";
+import { sendResponse } from "@shared/utils";
+import { HTTP_STATUS, SALE_EVENT_STATUS } from "../../utils/constants.js";
+
+const sendSaleEventNotFound = (res) =>
+  sendResponse(res, HTTP_STATUS.NOT_FOUND, "Sale event not found", null, "Sale event does not exist");
+
+/**
+ * @route GET /api/admin/sale-events
+ * @description List sale events with pagination, latest start first
+ * @access Admin
+ *
+ * @queryParams
+ * page: number (default: 1)
+ * limit: number (default: 20)
+ * status: string (scheduled, active, ended, cancelled)
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Sale events retrieved successfully",
+ *   "data": {
+ *     "saleEvents": [ ... ],
+ *     "pagination": { "total": 3, "page": 1, "limit": 20, "totalPages": 1 }
+ *   },
+ *   "error": null
+ * }
+ */
+export const getAllSaleEvents = async (req, res) => {
+  console.log("> Get all sale events request received");
+  console.log("> Query params:", req.query);
+
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [saleEvents, total] = await Promise.all([
+      SaleEvent.find(query).sort({ startsAt: -1 }).skip(skip).limit(parseInt(limit)),
+      SaleEvent.countDocuments(query),
+    ]);
+
+    const pagination = {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / parseInt(limit)),
+    };
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Sale events retrieved successfully",
+      { saleEvents, pagination },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error getting sale events: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error retrieving sale events",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route POST /api/admin/sale-events
+ * @description Schedule sale prices for many variants over one window
+ * Items without a usable price are skipped and reported back.
+ * @access Admin
+ *
+ * @requestBody application/json
+ * {
+ *   "name": "Diwali Sale",
+ *   "startsAt": "2025-10-20T10:00:00+05:30",
+ *   "endsAt": "2025-10-20T23:59:59+05:30",
+ *   "discountPercent": 20,
+ *   "items": [
+ *     { "variantId": "507f1f77bcf86cd799439011" },
+ *     { "variantId": "507f1f77bcf86cd799439012", "salePrice": 299 }
+ *   ]
+ * }
+ *
+ * @responseBody Success (201)
+ * {
+ *   "message": "Sale event scheduled successfully",
+ *   "data": { "saleEvent": { ... }, "scheduled": 2, "skipped": [] },
+ *   "error": null
+ * }
+ */
+export const createSaleEvent = async (req, res) => {
+  console.log("> Create sale event request received");
+  console.log(`> Sale event: ${req.body.name} (${req.body.items.length} items)`);
+
+  try {
+    const { items, discountPercent, ...eventData } = req.body;
+
+    const { prices, skipped } = await resolveSaleEventPrices(items, discountPercent ?? null);
+
+    if (prices.length === 0) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "No items could be priced",
+        { skipped },
+        "Every item was skipped"
+      );
+    }
+
+    const saleEvent = await SaleEvent.create({
+      ...eventData,
+      variantCount: prices.length,
+      createdById: req.adminId,
+    });
+
+    await scheduleSaleEventPrices(saleEvent, prices);
+
+    console.log(`> Sale event scheduled: ${saleEvent.name} (${prices.length} variants, ${skipped.length} skipped)`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Sale event scheduled successfully",
+      { saleEvent, scheduled: prices.length, skipped },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error creating sale event: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error creating sale event",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route GET /api/admin/sale-events/:id
+ * @description Get a sale event with its price schedules
+ * @access Admin
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Sale event retrieved successfully",
+ *   "data": { "saleEvent": { ... }, "schedules": [ ... ] },
+ *   "error": null
+ * }
+ */
+export const getSaleEventById = async (req, res) => {
+  console.log("> Get sale event by ID request received");
+  console.log("> Sale event ID:", req.params.id);
+
+  try {
+    const saleEvent = await SaleEvent.findById(req.params.id);
+
+    if (!saleEvent) {
+      return sendSaleEventNotFound(res);
+    }
+
+    const schedules = await PriceSchedule.find({ saleEventId: saleEvent._id }).sort({ variantId: 1 });
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Sale event retrieved successfully",
+      { saleEvent, schedules },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error getting sale event: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error retrieving sale event",
+      null,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route POST /api/admin/sale-events/:id/cancel
+ * @description Cancel a scheduled or running sale event
+ * Variants on sale go back to their regular price straight away.
+ * @access Admin
+ *
+ * @responseBody Success (200)
+ * {
+ *   "message": "Sale event cancelled successfully",
+ *   "data": { "saleEvent": { ... }, "cancelledSchedules": 120, "repricedVariants": 120 },
+ *   "error": null
+ * }
+ */
+export const cancelSaleEvent = async (req, res) => {
+  console.log("> Cancel sale event request received");
+  console.log("> Sale event ID:", req.params.id);
+
+  try {
+    const saleEvent = await SaleEvent.findById(req.params.id);
+
+    if (!saleEvent) {
+      return sendSaleEventNotFound(res);
+    }
+
+    if (![SALE_EVENT_STATUS.SCHEDULED, SALE_EVENT_STATUS.ACTIVE].includes(saleEvent.status)) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Sale event cannot be cancelled",
+        null,
+        `Sale event has already ${saleEvent.status === SALE_EVENT_STATUS.ENDED ? "ended" : "been cancelled"}`
+      );
+    }
+
+    const { cancelledSchedules, repricedVariants } = await cancelSaleEventPrices(saleEvent, req.adminId);
+
+    console.log(`> Sale event cancelled: ${saleEvent.name} (${repricedVariants} variants repriced)`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Sale event cancelled successfully",
+      { saleEvent, cancelledSchedules, repricedVariants },
+      null
+    );
+  } catch (error) {
+    console.log(`> Error cancelling sale event: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    return sendResponse(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      "Error cancelling sale event",
+      null,
+      error.message
+    );
+  }
+};
+
+export default {
+  getAllSaleEvents,
+  createSaleEvent,
+  getSaleEventById,
+  cancelSaleEvent,
+};
@@ -0,0 +1,50 @@
+import { Router } from "express";
+import {
+  getAllSaleEvents,
+  createSaleEvent,
+  getSaleEventById,
+  cancelSaleEvent,
+} from "./sale-events.controller.js";
+import { createSaleEventSchema } from "./sale-events.validator.js";
+import { validateBody } from "@shared/middlewares";
+import { authenticateAdmin } from "../../middlewares/auth.middleware.js";
+
+// Admin router
+const adminRouter = Router();
+
+/**
+ * @route GET /api/admin/sale-events
+ * @description Get all sale events with pagination
+ * @access Admin
+ */
+adminRouter.get("/", authenticateAdmin, getAllSaleEvents);
+
+/**
+ * @route POST /api/admin/sale-events
+ * @description Schedule sale prices for many variants over one window
+ * @access Admin
+ */
+adminRouter.post(
+  "/",
+  authenticateAdmin,
+  validateBody(createSaleEventSchema),
+  createSaleEvent
+);
+
+/**
+ * @route GET /api/admin/sale-events/:id
+ * @description Get sale event details with its price schedules
+ * @access Admin
+ */
+adminRouter.get("/:id", authenticateAdmin, getSaleEventById);
+
+/**
+ * @route POST /api/admin/sale-events/:id/cancel
+ * @description Cancel a sale event and restore regular prices
+ * @access Admin
+ */
+adminRouter.post("/:id/cancel", authenticateAdmin, cancelSaleEvent);
+
+export default {
+  admin: adminRouter,
+};
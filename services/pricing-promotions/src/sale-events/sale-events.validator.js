@@ -0,0 +1,35 @@
+import Joi from "joi";
+import { SALE_EVENT_LIMITS } from "../../utils/constants.js";
+
+const discountPercentSchema = Joi.number().greater(0).less(100);
+
+/**
+ * Validation schema for creating a sale event (admin)
+ * Each item takes its sale price from salePrice, its own discountPercent or the
+ * event-wide discountPercent, in that order.
+ */
+export const createSaleEventSchema = Joi.object({
+  name: Joi.string().required().trim().min(3).max(200),
+  description: Joi.string().allow("", null).trim().max(1000),
+  startsAt: Joi.date().iso().required(),
+  endsAt: Joi.date().iso().required().greater(Joi.ref("startsAt")).greater("now"),
+  discountPercent: discountPercentSchema.allow(null),
+  items: Joi.array()
+    .items(
+      Joi.object({
+        variantId: Joi.string().required().trim(),
+        productId: Joi.string().trim(),
+        mrp: Joi.number().positive(),
+        salePrice: Joi.number().positive(),
+        discountPercent: discountPercentSchema,
+      })
+    )
+    .min(1)
+    .max(SALE_EVENT_LIMITS.MAX_ITEMS_PER_EVENT)
+    .unique("variantId")
+    .required(),
+});
+
+export default {
+  createSaleEventSchema,
+};
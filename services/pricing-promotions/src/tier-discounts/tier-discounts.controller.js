@@ -82,6 +82,8 @@ export const getAllTierDiscounts = async (req, res) => {
  *       badge: string
  *     }
  *   ],
+ *   priority: number,
+ *   isStackable: boolean,
  *   isActive: boolean,
  *   startsAt: date,
  *   endsAt: date
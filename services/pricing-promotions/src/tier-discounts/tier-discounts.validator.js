@@ -26,6 +26,8 @@ export const createTierDiscountSchema = Joi.object({
       "array.min": "At least one tier level is required",
       "any.required": "Levels array is required",
     }),
+  priority: Joi.number().integer().min(0).default(0),
+  isStackable: Joi.boolean().default(false),
   isActive: Joi.boolean().default(true),
   startsAt: Joi.date().allow(null).iso(),
   endsAt: Joi.date().allow(null).iso().greater(Joi.ref("startsAt")),
@@ -44,6 +46,8 @@ export const updateTierDiscountSchema = Joi.object({
     .messages({
       "array.min": "At least one tier level is required",
     }),
+  priority: Joi.number().integer().min(0),
+  isStackable: Joi.boolean(),
   isActive: Joi.boolean(),
   startsAt: Joi.date().allow(null).iso(),
   endsAt: Joi.date().allow(null).iso(),
@@ -18,6 +18,18 @@ export const DISCOUNT_TYPE = {
   PERCENTAGE: "percentage",
   FIXED_AMOUNT: "fixed_amount",
   FREE_SHIPPING: "free_shipping",
+  BUY_X_GET_Y: "buy_x_get_y",
+  BUNDLE_PRICE: "bundle_price",
+};
+
+// Discount types evaluated against cart line items
+export const ITEM_DISCOUNT_TYPES = [DISCOUNT_TYPE.BUY_X_GET_Y, DISCOUNT_TYPE.BUNDLE_PRICE];
+
+// Item set scope (qualifying and reward items)
+export const ITEM_SCOPE = {
+  PRODUCT: "product",
+  COLLECTION: "collection",
+  CATEGORY: "category",
 };
 
 // Customer eligibility
@@ -46,6 +58,55 @@ export const TRIGGER_TYPE = {
   PRODUCT_PURCHASE: "product_purchase",
 };
 
+// Coupon batch code generation
+export const COUPON_BATCH_LIMITS = {
+  MAX_CODES_PER_REQUEST: 20000,
+  // The code space must be this many times larger than the codes it holds,
+  // so random generation rarely collides
+  CODE_SPACE_HEADROOM: 10,
+};
+
+// Price schedule status
+// A scheduled row is waiting to take effect: it has not started yet, or a
+// sale window is overriding it
+export const PRICE_SCHEDULE_STATUS = {
+  SCHEDULED: "scheduled",
+  ACTIVE: "active",
+  EXPIRED: "expired",
+  SUPERSEDED: "superseded",
+  CANCELLED: "cancelled",
+};
+
+// Where a price schedule came from
+export const PRICE_SCHEDULE_SOURCE = {
+  MANUAL: "manual",
+  SCHEDULE: "schedule",
+  SALE_EVENT: "sale_event",
+  // Snapshot of the price in force before the first schedule, so sale windows can revert to it
+  BASELINE: "baseline",
+};
+
+// Why a variant's current price changed
+export const PRICE_CHANGE_SOURCE = {
+  MANUAL: "manual",
+  SCHEDULE_ACTIVATED: "schedule_activated",
+  SCHEDULE_EXPIRED: "schedule_expired",
+  SCHEDULE_CANCELLED: "schedule_cancelled",
+};
+
+// Sale event status
+export const SALE_EVENT_STATUS = {
+  SCHEDULED: "scheduled",
+  ACTIVE: "active",
+  ENDED: "ended",
+  CANCELLED: "cancelled",
+};
+
+// Sale event limits
+export const SALE_EVENT_LIMITS = {
+  MAX_ITEMS_PER_EVENT: 5000,
+};
+
 // Audit actions for pricing & promotions
 export const AUDIT_ACTION = {
   // Coupon actions
@@ -91,10 +152,18 @@ export default {
   HTTP_STATUS,
   COUPON_STATUS,
   DISCOUNT_TYPE,
+  ITEM_DISCOUNT_TYPES,
+  ITEM_SCOPE,
   CUSTOMER_ELIGIBILITY,
   APPLIES_TO,
   TIER_TYPE,
   TRIGGER_TYPE,
+  COUPON_BATCH_LIMITS,
+  PRICE_SCHEDULE_STATUS,
+  PRICE_SCHEDULE_SOURCE,
+  PRICE_CHANGE_SOURCE,
+  SALE_EVENT_STATUS,
+  SALE_EVENT_LIMITS,
   AUDIT_ACTION,
   ENTITY_TYPE,
 };
@@ -0,0 +1,41 @@
+import { Router } from "express";
+import { sendResponse } from "@shared/utils";
+import shippingRoutes from "./src/shipping/shipping.route.js";
+import zoneRoutes from "./src/zones/zone.route.js";
+import methodRoutes from "./src/methods/method.route.js";
+import rateCardRoutes from "./src/rate-cards/rate-card.route.js";
+
+const router = Router();
+
+/**
+ * @route GET /api/health
+ * @description Health check endpoint
+ */
+router.get("/health", (req, res) => {
+  sendResponse(res, 200, "Server is running", { status: "ok" }, null);
+});
+
+// ============================================================
+// CONSUMER / SERVICE ROUTES (Public)
+// ============================================================
+
+// Shipping methods, rates and serviceability - /shipping
+router.use("/shipping", shippingRoutes.consumer);
+
+// Pincode zone lookup - /zones/pincode/:pincode
+router.use("/zones", shippingRoutes.zones);
+
+// ============================================================
+// ADMIN ROUTES (Protected)
+// ============================================================
+
+// Admin Zones - /admin/zones
+router.use("/admin/zones", zoneRoutes.admin);
+
+// Admin Shipping Methods - /admin/methods
+router.use("/admin/methods", methodRoutes.admin);
+
+// Admin Rate Cards - /admin/rate-cards
+router.use("/admin/rate-cards", rateCardRoutes.admin);
+
+export default router;
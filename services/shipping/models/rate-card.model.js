@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+const weightSlabSchema = new mongoose.Schema(
+  {
+    upToGrams: { type: Number, required: true, min: 1 },
+    rate: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const rateCardSchema = new mongoose.Schema(
+  {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ShippingZone",
+      required: true,
+      index: true,
+    },
+    method: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ShippingMethod",
+      required: true,
+      index: true,
+    },
+    weightSlabs: {
+      type: [weightSlabSchema],
+      validate: {
+        validator: (slabs) => Array.isArray(slabs) && slabs.length > 0,
+        message: "At least one weight slab is required",
+      },
+    },
+    additionalWeightGrams: {
+      type: Number,
+      default: 500,
+      min: 1,
+    },
+    additionalRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    volumetricDivisor: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    freeShippingThreshold: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    estimatedDaysMin: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    estimatedDaysMax: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+rateCardSchema.index({ zone: 1, method: 1 }, { unique: true });
+
+// Keep slabs ordered so rate lookup can take the first covering slab
+rateCardSchema.pre("save", function () {
+  if (this.isModified("weightSlabs")) {
+    this.weightSlabs.sort((a, b) => a.upToGrams - b.upToGrams);
+  }
+});
+
+const RateCard = mongoose.model("RateCard", rateCardSchema);
+
+export default RateCard;
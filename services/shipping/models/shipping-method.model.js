@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+const shippingMethodSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    carrierName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    isCodEligible: {
+      type: Boolean,
+      default: false,
+    },
+    codMaxOrderValue: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shippingMethodSchema.index({ isActive: 1, sortOrder: 1 });
+
+const ShippingMethod = mongoose.model("ShippingMethod", shippingMethodSchema);
+
+export default ShippingMethod;
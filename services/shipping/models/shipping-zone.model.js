@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    pincodes: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    pincodePrefixes: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    states: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    isServiceable: {
+      type: Boolean,
+      default: true,
+    },
+    isCodAvailable: {
+      type: Boolean,
+      default: true,
+    },
+    priority: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shippingZoneSchema.index({ pincodes: 1 });
+shippingZoneSchema.index({ pincodePrefixes: 1 });
+shippingZoneSchema.index({ states: 1 });
+shippingZoneSchema.index({ isActive: 1, priority: 1 });
+
+const ShippingZone = mongoose.model("ShippingZone", shippingZoneSchema);
+
+export default ShippingZone;
@@ -0,0 +1,143 @@
+import "@shared/env-loader";
+import { database as connectDB } from "@shared/config";
+import mongoose from "mongoose";
+import ShippingZone from "../models/shipping-zone.model.js";
+import ShippingMethod from "../models/shipping-method.model.js";
+import RateCard from "../models/rate-card.model.js";
+
+async function seedDatabase() {
+  try {
+    console.log("> Connecting to database...");
+    await connectDB();
+
+    console.log("> Clearing existing data...");
+    await Promise.all([
+      ShippingZone.deleteMany({}),
+      ShippingMethod.deleteMany({}),
+      RateCard.deleteMany({}),
+    ]);
+
+    console.log("> Seeding shipping methods...");
+    const [standard, express] = await ShippingMethod.insertMany([
+      {
+        code: "standard",
+        name: "Standard Delivery",
+        description: "Delivered in 4-7 business days",
+        carrierName: "Standard Courier",
+        isCodEligible: true,
+        codMaxOrderValue: 10000,
+        isDefault: true,
+        sortOrder: 1,
+      },
+      {
+        code: "express",
+        name: "Express Delivery",
+        description: "Delivered in 1-3 business days",
+        carrierName: "Express Courier",
+        isCodEligible: false,
+        codMaxOrderValue: null,
+        isDefault: false,
+        sortOrder: 2,
+      },
+    ]);
+    console.log("> Created 2 shipping methods");
+
+    console.log("> Seeding shipping zones...");
+    const zones = await ShippingZone.insertMany([
+      {
+        code: "METRO",
+        name: "Metro Cities",
+        description: "Delhi, Mumbai, Bengaluru, Chennai, Kolkata, Hyderabad",
+        pincodePrefixes: ["11", "40", "56", "60", "70", "50"],
+        priority: 1,
+      },
+      {
+        code: "REST_OF_INDIA",
+        name: "Rest of India",
+        states: [
+          "andhra pradesh", "assam", "bihar", "chhattisgarh", "goa", "gujarat",
+          "haryana", "himachal pradesh", "jharkhand", "karnataka", "kerala",
+          "madhya pradesh", "maharashtra", "odisha", "punjab", "rajasthan",
+          "tamil nadu", "telangana", "uttar pradesh", "uttarakhand", "west bengal",
+          "delhi", "chandigarh", "puducherry",
+        ],
+        pincodePrefixes: ["1", "2", "3", "4", "5", "6", "7", "8"],
+        priority: 5,
+      },
+      {
+        code: "REMOTE",
+        name: "North East & Islands",
+        pincodePrefixes: ["744", "78", "79"],
+        isCodAvailable: false,
+        priority: 2,
+      },
+    ]);
+    console.log(`> Created ${zones.length} shipping zones`);
+
+    const [metro, restOfIndia, remote] = zones;
+
+    console.log("> Seeding rate cards...");
+    const rateCards = await RateCard.insertMany([
+      {
+        zone: metro._id,
+        method: standard._id,
+        weightSlabs: [{ upToGrams: 500, rate: 40 }, { upToGrams: 1000, rate: 60 }],
+        additionalWeightGrams: 500,
+        additionalRate: 25,
+        freeShippingThreshold: 499,
+        estimatedDaysMin: 2,
+        estimatedDaysMax: 4,
+      },
+      {
+        zone: metro._id,
+        method: express._id,
+        weightSlabs: [{ upToGrams: 500, rate: 90 }, { upToGrams: 1000, rate: 120 }],
+        additionalWeightGrams: 500,
+        additionalRate: 45,
+        estimatedDaysMin: 1,
+        estimatedDaysMax: 2,
+      },
+      {
+        zone: restOfIndia._id,
+        method: standard._id,
+        weightSlabs: [{ upToGrams: 500, rate: 50 }, { upToGrams: 1000, rate: 80 }],
+        additionalWeightGrams: 500,
+        additionalRate: 30,
+        freeShippingThreshold: 799,
+        estimatedDaysMin: 4,
+        estimatedDaysMax: 7,
+      },
+      {
+        zone: restOfIndia._id,
+        method: express._id,
+        weightSlabs: [{ upToGrams: 500, rate: 120 }, { upToGrams: 1000, rate: 160 }],
+        additionalWeightGrams: 500,
+        additionalRate: 60,
+        estimatedDaysMin: 2,
+        estimatedDaysMax: 3,
+      },
+      {
+        zone: remote._id,
+        method: standard._id,
+        weightSlabs: [{ upToGrams: 500, rate: 90 }, { upToGrams: 1000, rate: 140 }],
+        additionalWeightGrams: 500,
+        additionalRate: 50,
+        estimatedDaysMin: 7,
+        estimatedDaysMax: 12,
+      },
+    ]);
+    console.log(`> Created ${rateCards.length} rate cards`);
+
+    console.log("> Seed completed successfully");
+
+    await mongoose.connection.close();
+    console.log("> Database connection closed");
+    process.exit(0);
+  } catch (error) {
+    console.log(`> Error seeding database: ${error.message}`);
+    console.log(`> Stack: ${error.stack}`);
+    process.exit(1);
+  }
+}
+
+seedDatabase();
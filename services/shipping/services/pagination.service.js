@@ -0,0 +1,51 @@
+/**
+ * Default pagination values
+ */
+const DEFAULT_PAGE = 1;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parses pagination parameters from query
+ * @param {object} query - Express request query object
+ * @returns {object} - { page, limit, skip }
+ */
+export const parsePagination = (query) => {
+  let page = parseInt(query.page, 10) || DEFAULT_PAGE;
+  let limit = parseInt(query.limit, 10) || DEFAULT_LIMIT;
+
+  if (page < 1) page = DEFAULT_PAGE;
+  if (limit < 1) limit = DEFAULT_LIMIT;
+  if (limit > MAX_LIMIT) limit = MAX_LIMIT;
+
+  const skip = (page - 1) * limit;
+
+  return { page, limit, skip };
+};
+
+/**
+ * Builds pagination metadata for response
+ * @param {number} total - Total count of documents
+ * @param {number} page - Current page
+ * @param {number} limit - Items per page
+ * @returns {object} - Pagination metadata
+ */
+export const buildPaginationMeta = (total, page, limit) => {
+  const totalPages = Math.ceil(total / limit);
+  const hasNextPage = page < totalPages;
+  const hasPrevPage = page > 1;
+
+  return {
+    total,
+    page,
+    limit,
+    totalPages,
+    hasNextPage,
+    hasPrevPage,
+  };
+};
+
+export default {
+  parsePagination,
+  buildPaginationMeta,
+};
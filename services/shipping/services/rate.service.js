@@ -0,0 +1,255 @@
+import ShippingZone from "../models/shipping-zone.model.js";
+import ShippingMethod from "../models/shipping-method.model.js";
+import RateCard from "../models/rate-card.model.js";
+import {
+  WEIGHT_UNIT_TO_GRAMS,
+  DEFAULT_VOLUMETRIC_DIVISOR,
+  DEFAULT_PACKAGE_WEIGHT_GRAMS,
+  DEFAULT_CURRENCY,
+} from "../utils/constants.js";
+
+/**
+ * Convert a weight value to grams
+ * @param {number} value - Weight value
+ * @param {string} unit - Weight unit (g, kg, ml, L, oz, lb)
+ * @returns {number} Weight in grams
+ */
+export const toGrams = (value, unit = "g") => {
+  if (!value || value < 0) {
+    return 0;
+  }
+  const factor = WEIGHT_UNIT_TO_GRAMS[unit] || 1;
+  return value * factor;
+};
+
+/**
+ * Calculate chargeable weight (max of actual and volumetric weight)
+ * @param {object} packageData - { weight, weightUnit, dimensions: { length, width, height } }
+ * @param {number} volumetricDivisor - cm^3 per kg
+ * @returns {number} Chargeable weight in grams (rounded up)
+ */
+export const getChargeableWeight = (packageData = {}, volumetricDivisor = DEFAULT_VOLUMETRIC_DIVISOR) => {
+  const actualGrams = packageData.weight
+    ? toGrams(packageData.weight, packageData.weightUnit || "g")
+    : DEFAULT_PACKAGE_WEIGHT_GRAMS;
+
+  let volumetricGrams = 0;
+  const { length, width, height } = packageData.dimensions || {};
+  if (length && width && height) {
+    volumetricGrams = ((length * width * height) / volumetricDivisor) * 1000;
+  }
+
+  return Math.ceil(Math.max(actualGrams, volumetricGrams));
+};
+
+/**
+ * Price a chargeable weight against a rate card
+ * @param {object} rateCard - Rate card document
+ * @param {number} chargeableGrams - Chargeable weight in grams
+ * @returns {number} Shipping rate (rounded to 2 decimals)
+ */
+export const priceWeight = (rateCard, chargeableGrams) => {
+  const slabs = [...rateCard.weightSlabs].sort((a, b) => a.upToGrams - b.upToGrams);
+
+  const coveringSlab = slabs.find((slab) => chargeableGrams <= slab.upToGrams);
+  if (coveringSlab) {
+    return Math.round(coveringSlab.rate * 100) / 100;
+  }
+
+  const lastSlab = slabs[slabs.length - 1];
+  const excessGrams = chargeableGrams - lastSlab.upToGrams;
+  const steps = Math.ceil(excessGrams / rateCard.additionalWeightGrams);
+  const rate = lastSlab.rate + steps * rateCard.additionalRate;
+
+  return Math.round(rate * 100) / 100;
+};
+
+/**
+ * Resolve the shipping zone for a pincode
+ * Exact pincode match wins, then longest prefix match, then state match
+ * @param {string} pincode - Destination pincode
+ * @param {string} state - Destination state (optional)
+ * @returns {Promise<object|null>} Matching zone or null
+ */
+export const resolveZone = async (pincode, state = null) => {
+  const code = String(pincode || "").trim();
+  if (!code) {
+    return null;
+  }
+
+  const exactZone = await ShippingZone.findOne({ isActive: true, pincodes: code })
+    .sort({ priority: 1 })
+    .lean();
+  if (exactZone) {
+    return exactZone;
+  }
+
+  const prefixes = [];
+  for (let i = code.length - 1; i >= 1; i--) {
+    prefixes.push(code.substring(0, i));
+  }
+
+  const prefixZones = await ShippingZone.find({
+    isActive: true,
+    pincodePrefixes: { $in: prefixes },
+  }).lean();
+
+  if (prefixZones.length > 0) {
+    const matchLength = (zone) =>
+      Math.max(...zone.pincodePrefixes.filter((p) => code.startsWith(p)).map((p) => p.length));
+
+    prefixZones.sort((a, b) => matchLength(b) - matchLength(a) || a.priority - b.priority);
+    return prefixZones[0];
+  }
+
+  if (state) {
+    const stateZone = await ShippingZone.findOne({
+      isActive: true,
+      states: String(state).trim().toLowerCase(),
+    })
+      .sort({ priority: 1 })
+      .lean();
+    if (stateZone) {
+      return stateZone;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a method can take a COD order in a zone
+ * @param {object} method - Shipping method
+ * @param {object} zone - Shipping zone
+ * @param {number} orderValue - Order value
+ * @returns {boolean} True if COD is available
+ */
+export const isCodAvailable = (method, zone, orderValue = 0) => {
+  if (!method.isCodEligible || !zone.isCodAvailable) {
+    return false;
+  }
+  if (method.codMaxOrderValue !== null && method.codMaxOrderValue !== undefined) {
+    return orderValue <= method.codMaxOrderValue;
+  }
+  return true;
+};
+
+/**
+ * Build a quote for one rate card
+ * @param {object} rateCard - Rate card with populated method
+ * @param {object} zone - Shipping zone
+ * @param {object} packageData - Package weight, dimensions and order value
+ * @returns {object} Shipping quote
+ */
+const buildQuote = (rateCard, zone, packageData) => {
+  const method = rateCard.method;
+  const orderValue = packageData.orderValue || 0;
+  const chargeableWeight = getChargeableWeight(
+    packageData,
+    rateCard.volumetricDivisor || DEFAULT_VOLUMETRIC_DIVISOR
+  );
+
+  let rate = priceWeight(rateCard, chargeableWeight);
+  const isFreeShipping =
+    rateCard.freeShippingThreshold !== null &&
+    rateCard.freeShippingThreshold !== undefined &&
+    orderValue >= rateCard.freeShippingThreshold;
+
+  if (isFreeShipping) {
+    rate = 0;
+  }
+
+  return {
+    id: method.code,
+    name: method.name,
+    description: method.description,
+    carrierName: method.carrierName,
+    rate,
+    currency: DEFAULT_CURRENCY,
+    estimatedDays: rateCard.estimatedDaysMax,
+    estimatedDaysMin: rateCard.estimatedDaysMin,
+    estimatedDaysMax: rateCard.estimatedDaysMax,
+    chargeableWeight,
+    isFreeShipping,
+    codAvailable: isCodAvailable(method, zone, orderValue),
+    isDefault: method.isDefault,
+    sortOrder: method.sortOrder,
+  };
+};
+
+/**
+ * Get all shipping options for a destination
+ * @param {object} address - Destination address { pincode, state }
+ * @param {object} packageData - { weight, weightUnit, dimensions, orderValue }
+ * @returns {Promise<object>} { serviceable, zone, methods }
+ */
+export const getShippingOptions = async (address, packageData = {}) => {
+  console.log(`> Resolving shipping options for pincode: ${address?.pincode}`);
+
+  const zone = await resolveZone(address?.pincode, address?.state);
+
+  if (!zone || !zone.isServiceable) {
+    console.log(`> Pincode not serviceable: ${address?.pincode}`);
+    return { serviceable: false, zone: zone ? zone.code : null, methods: [] };
+  }
+
+  const rateCards = await RateCard.find({ zone: zone._id, isActive: true })
+    .populate({ path: "method", match: { isActive: true } })
+    .lean();
+
+  const methods = rateCards
+    .filter((rateCard) => rateCard.method)
+    .map((rateCard) => buildQuote(rateCard, zone, packageData))
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.rate - b.rate)
+    .map(({ sortOrder, ...quote }) => quote);
+
+  // Make sure exactly one option is flagged as default
+  if (methods.length > 0 && !methods.some((m) => m.isDefault)) {
+    methods[0].isDefault = true;
+  }
+
+  console.log(`> Found ${methods.length} shipping methods for zone ${zone.code}`);
+
+  return { serviceable: methods.length > 0, zone: zone.code, methods };
+};
+
+/**
+ * Get a quote for a single shipping method
+ * @param {string} methodCode - Shipping method code
+ * @param {object} address - Destination address
+ * @param {object} packageData - Package data
+ * @returns {Promise<object|null>} Quote or null if the method is unavailable
+ */
+export const getShippingQuote = async (methodCode, address, packageData = {}) => {
+  const { methods } = await getShippingOptions(address, packageData);
+
+  if (!methodCode) {
+    return methods.find((m) => m.isDefault) || null;
+  }
+
+  return methods.find((m) => m.id === String(methodCode).toLowerCase()) || null;
+};
+
+/**
+ * Check that a method code exists
+ * @param {string} methodCode - Shipping method code
+ * @returns {Promise<boolean>} True if the method exists and is active
+ */
+export const methodExists = async (methodCode) => {
+  const count = await ShippingMethod.countDocuments({
+    code: String(methodCode).toLowerCase(),
+    isActive: true,
+  });
+  return count > 0;
+};
+
+export default {
+  toGrams,
+  getChargeableWeight,
+  priceWeight,
+  resolveZone,
+  isCodAvailable,
+  getShippingOptions,
+  getShippingQuote,
+  methodExists,
+};
@@ -0,0 +1,116 @@
+import ShippingMethod from "../../models/shipping-method.model.js";
+import RateCard from "../../models/rate-card.model.js";
+import { sendResponse } from "@shared/utils";
+import { HTTP_STATUS } from "../../utils/constants.js";
+
+/**
+ * @route GET /api/admin/methods
+ * @description List shipping methods
+ * @access Admin
+ */
+export const listMethods = async (req, res) => {
+  console.log("> GET /api/admin/methods");
+
+  try {
+    const methods = await ShippingMethod.find({}).sort({ sortOrder: 1, name: 1 }).lean();
+
+    console.log(`> Found ${methods.length} shipping methods`);
+    return sendResponse(res, HTTP_STATUS.OK, "Shipping methods fetched successfully", { methods }, null);
+  } catch (error) {
+    console.log("> Error listing shipping methods:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to fetch shipping methods", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/admin/methods
+ * @description Create shipping method
+ * @access Admin
+ */
+export const createMethod = async (req, res) => {
+  console.log("> POST /api/admin/methods");
+
+  try {
+    if (req.body.isDefault) {
+      await ShippingMethod.updateMany({}, { isDefault: false });
+      console.log("> Unset default flag on existing shipping methods");
+    }
+
+    const method = await ShippingMethod.create(req.body);
+
+    console.log(`> Shipping method created: ${method.code}`);
+    return sendResponse(res, HTTP_STATUS.CREATED, "Shipping method created successfully", method, null);
+  } catch (error) {
+    console.log("> Error creating shipping method:", error.message);
+
+    if (error.code === 11000) {
+      return sendResponse(res, HTTP_STATUS.CONFLICT, "Shipping method code already exists", null, "Duplicate method code");
+    }
+
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to create shipping method", null, error.message);
+  }
+};
+
+/**
+ * @route PUT /api/admin/methods/:id
+ * @description Update shipping method
+ * @access Admin
+ */
+export const updateMethod = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> PUT /api/admin/methods/${id}`);
+
+  try {
+    if (req.body.isDefault) {
+      await ShippingMethod.updateMany({ _id: { $ne: id } }, { isDefault: false });
+    }
+
+    const method = await ShippingMethod.findByIdAndUpdate(id, { $set: req.body }, { new: true, runValidators: true });
+
+    if (!method) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "Shipping method not found", null, null);
+    }
+
+    console.log(`> Shipping method updated: ${method.code}`);
+    return sendResponse(res, HTTP_STATUS.OK, "Shipping method updated successfully", method, null);
+  } catch (error) {
+    console.log("> Error updating shipping method:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to update shipping method", null, error.message);
+  }
+};
+
+/**
+ * @route DELETE /api/admin/methods/:id
+ * @description Delete shipping method (blocked while rate cards reference it)
+ * @access Admin
+ */
+export const deleteMethod = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> DELETE /api/admin/methods/${id}`);
+
+  try {
+    const rateCardCount = await RateCard.countDocuments({ method: id });
+
+    if (rateCardCount > 0) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.CONFLICT,
+        "Cannot delete shipping method with existing rate cards",
+        { rateCardCount },
+        "Deactivate the method or delete its rate cards first"
+      );
+    }
+
+    const method = await ShippingMethod.findByIdAndDelete(id);
+
+    if (!method) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "Shipping method not found", null, null);
+    }
+
+    console.log(`> Shipping method deleted: ${method.code}`);
+    return sendResponse(res, HTTP_STATUS.OK, "Shipping method deleted successfully", null, null);
+  } catch (error) {
+    console.log("> Error deleting shipping method:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to delete shipping method", null, error.message);
+  }
+};
@@ -0,0 +1,51 @@
+import { Router } from "express";
+import { validate } from "@shared/middlewares";
+import { authenticateAdmin } from "@shared/auth-middleware";
+import {
+  listMethods,
+  createMethod,
+  updateMethod,
+  deleteMethod,
+} from "./method.controller.js";
+import {
+  createMethodSchema,
+  updateMethodSchema,
+  methodIdParamSchema,
+} from "./method.validation.js";
+
+const adminRouter = Router();
+
+// Apply admin authentication to all admin routes
+adminRouter.use(authenticateAdmin);
+
+/**
+ * @route GET /api/admin/methods
+ * @description List shipping methods
+ * @access Admin
+ */
+adminRouter.get("/", listMethods);
+
+/**
+ * @route POST /api/admin/methods
+ * @description Create shipping method
+ * @access Admin
+ */
+adminRouter.post("/", validate(createMethodSchema), createMethod);
+
+/**
+ * @route PUT /api/admin/methods/:id
+ * @description Update shipping method
+ * @access Admin
+ */
+adminRouter.put("/:id", validate(updateMethodSchema), updateMethod);
+
+/**
+ * @route DELETE /api/admin/methods/:id
+ * @description Delete shipping method
+ * @access Admin
+ */
+adminRouter.delete("/:id", validate(methodIdParamSchema), deleteMethod);
+
+export default {
+  admin: adminRouter,
+};
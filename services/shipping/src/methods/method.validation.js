@@ -0,0 +1,70 @@
+import Joi from "joi";
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+/**
+ * Validation schema for creating a shipping method
+ * POST /api/admin/methods
+ */
+export const createMethodSchema = {
+  body: Joi.object({
+    code: Joi.string().trim().lowercase().min(1).max(50).required().messages({
+      "string.empty": "Method code is required",
+      "any.required": "Method code is required",
+    }),
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "string.empty": "Method name is required",
+      "any.required": "Method name is required",
+    }),
+    description: Joi.string().trim().max(500).allow(null, ""),
+    carrierName: Joi.string().trim().max(100).allow(null, ""),
+    isCodEligible: Joi.boolean().default(false),
+    codMaxOrderValue: Joi.number().min(0).allow(null).default(null),
+    isDefault: Joi.boolean().default(false),
+    sortOrder: Joi.number().integer().default(0),
+    isActive: Joi.boolean().default(true),
+  }),
+};
+
+/**
+ * Validation schema for updating a shipping method
+ * PUT /api/admin/methods/:id
+ */
+export const updateMethodSchema = {
+  params: Joi.object({
+    id: objectId.required().messages({
+      "string.pattern.base": "Invalid method ID format",
+      "any.required": "Method ID is required",
+    }),
+  }),
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().trim().max(500).allow(null, ""),
+    carrierName: Joi.string().trim().max(100).allow(null, ""),
+    isCodEligible: Joi.boolean(),
+    codMaxOrderValue: Joi.number().min(0).allow(null),
+    isDefault: Joi.boolean(),
+    sortOrder: Joi.number().integer(),
+    isActive: Joi.boolean(),
+  }).min(1).messages({
+    "object.min": "At least one field is required to update",
+  }),
+};
+
+/**
+ * Validation schema for method ID param
+ */
+export const methodIdParamSchema = {
+  params: Joi.object({
+    id: objectId.required().messages({
+      "string.pattern.base": "Invalid method ID format",
+      "any.required": "Method ID is required",
+    }),
+  }),
+};
+
+export default {
+  createMethodSchema,
+  updateMethodSchema,
+  methodIdParamSchema,
+};
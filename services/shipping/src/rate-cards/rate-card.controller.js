@@ -0,0 +1,152 @@
+import RateCard from "../../models/rate-card.model.js";
+import ShippingZone from "../../models/shipping-zone.model.js";
+import ShippingMethod from "../../models/shipping-method.model.js";
+import { sendResponse } from "@shared/utils";
+import { HTTP_STATUS } from "../../utils/constants.js";
+import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
+
+/**
+ * @route GET /api/admin/rate-cards
+ * @description List rate cards
+ * @access Admin
+ */
+export const listRateCards = async (req, res) => {
+  console.log("> GET /api/admin/rate-cards");
+
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+
+    if (req.query.zone) filter.zone = req.query.zone;
+    if (req.query.method) filter.method = req.query.method;
+    if (req.query.isActive === "true") {
+      filter.isActive = true;
+    } else if (req.query.isActive === "false") {
+      filter.isActive = false;
+    }
+
+    const [rateCards, total] = await Promise.all([
+      RateCard.find(filter)
+        .populate("zone", "code name")
+        .populate("method", "code name")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      RateCard.countDocuments(filter),
+    ]);
+
+    console.log(`> Found ${rateCards.length} rate cards`);
+    return sendResponse(res, HTTP_STATUS.OK, "Rate cards fetched successfully", {
+      rateCards,
+      pagination: buildPaginationMeta(total, page, limit),
+    }, null);
+  } catch (error) {
+    console.log("> Error listing rate cards:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to fetch rate cards", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/admin/rate-cards
+ * @description Create rate card for a zone and method
+ * @access Admin
+ */
+export const createRateCard = async (req, res) => {
+  console.log("> POST /api/admin/rate-cards");
+
+  try {
+    const [zone, method] = await Promise.all([
+      ShippingZone.exists({ _id: req.body.zone }),
+      ShippingMethod.exists({ _id: req.body.method }),
+    ]);
+
+    if (!zone) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "Zone not found", null, null);
+    }
+    if (!method) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "Shipping method not found", null, null);
+    }
+
+    const rateCard = await RateCard.create(req.body);
+
+    console.log(`> Rate card created: ${rateCard._id}`);
+    return sendResponse(res, HTTP_STATUS.CREATED, "Rate card created successfully", rateCard, null);
+  } catch (error) {
+    console.log("> Error creating rate card:", error.message);
+
+    if (error.code === 11000) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.CONFLICT,
+        "Rate card already exists for this zone and method",
+        null,
+        "Duplicate rate card"
+      );
+    }
+
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to create rate card", null, error.message);
+  }
+};
+
+/**
+ * @route PUT /api/admin/rate-cards/:id
+ * @description Update rate card
+ * @access Admin
+ */
+export const updateRateCard = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> PUT /api/admin/rate-cards/${id}`);
+
+  try {
+    const rateCard = await RateCard.findById(id);
+
+    if (!rateCard) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "Rate card not found", null, null);
+    }
+
+    Object.assign(rateCard, req.body);
+
+    if (rateCard.estimatedDaysMax < rateCard.estimatedDaysMin) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Maximum delivery days cannot be less than minimum delivery days",
+        null,
+        null
+      );
+    }
+
+    await rateCard.save();
+
+    console.log(`> Rate card updated: ${id}`);
+    return sendResponse(res, HTTP_STATUS.OK, "Rate card updated successfully", rateCard, null);
+  } catch (error) {
+    console.log("> Error updating rate card:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to update rate card", null, error.message);
+  }
+};
+
+/**
+ * @route DELETE /api/admin/rate-cards/:id
+ * @description Delete rate card
+ * @access Admin
+ */
+export const deleteRateCard = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> DELETE /api/admin/rate-cards/${id}`);
+
+  try {
+    const rateCard = await RateCard.findByIdAndDelete(id);
+
+    if (!rateCard) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "Rate card not found", null, null);
+    }
+
+    console.log(`> Rate card deleted: ${id}`);
+    return sendResponse(res, HTTP_STATUS.OK, "Rate card deleted successfully", null, null);
+  } catch (error) {
+    console.log("> Error deleting rate card:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to delete rate card", null, error.message);
+  }
+};
@@ -0,0 +1,52 @@
+import { Router } from "express";
+import { validate } from "@shared/middlewares";
+import { authenticateAdmin } from "@shared/auth-middleware";
+import {
+  listRateCards,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard,
+} from "./rate-card.controller.js";
+import {
+  createRateCardSchema,
+  updateRateCardSchema,
+  rateCardIdParamSchema,
+  listRateCardsSchema,
+} from "./rate-card.validation.js";
+
+const adminRouter = Router();
+
+// Apply admin authentication to all admin routes
+adminRouter.use(authenticateAdmin);
+
+/**
+ * @route GET /api/admin/rate-cards
+ * @description List rate cards
+ * @access Admin
+ */
+adminRouter.get("/", validate(listRateCardsSchema), listRateCards);
+
+/**
+ * @route POST /api/admin/rate-cards
+ * @description Create rate card
+ * @access Admin
+ */
+adminRouter.post("/", validate(createRateCardSchema), createRateCard);
+
+/**
+ * @route PUT /api/admin/rate-cards/:id
+ * @description Update rate card
+ * @access Admin
+ */
+adminRouter.put("/:id", validate(updateRateCardSchema), updateRateCard);
+
+/**
+ * @route DELETE /api/admin/rate-cards/:id
+ * @description Delete rate card
+ * @access Admin
+ */
+adminRouter.delete("/:id", validate(rateCardIdParamSchema), deleteRateCard);
+
+export default {
+  admin: adminRouter,
+};
@@ -0,0 +1,95 @@
+import Joi from "joi";
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+const weightSlabSchema = Joi.object({
+  upToGrams: Joi.number().integer().min(1).required(),
+  rate: Joi.number().min(0).required(),
+});
+
+/**
+ * Validation schema for creating a rate card
+ * POST /api/admin/rate-cards
+ */
+export const createRateCardSchema = {
+  body: Joi.object({
+    zone: objectId.required().messages({
+      "string.pattern.base": "Invalid zone ID format",
+      "any.required": "Zone is required",
+    }),
+    method: objectId.required().messages({
+      "string.pattern.base": "Invalid method ID format",
+      "any.required": "Shipping method is required",
+    }),
+    weightSlabs: Joi.array().items(weightSlabSchema).min(1).required().messages({
+      "array.min": "At least one weight slab is required",
+      "any.required": "Weight slabs are required",
+    }),
+    additionalWeightGrams: Joi.number().integer().min(1).default(500),
+    additionalRate: Joi.number().min(0).default(0),
+    volumetricDivisor: Joi.number().integer().min(1).allow(null).default(null),
+    freeShippingThreshold: Joi.number().min(0).allow(null).default(null),
+    estimatedDaysMin: Joi.number().integer().min(0).required(),
+    estimatedDaysMax: Joi.number().integer().min(Joi.ref("estimatedDaysMin")).required().messages({
+      "number.min": "Maximum delivery days cannot be less than minimum delivery days",
+    }),
+    isActive: Joi.boolean().default(true),
+  }),
+};
+
+/**
+ * Validation schema for updating a rate card
+ * PUT /api/admin/rate-cards/:id
+ */
+export const updateRateCardSchema = {
+  params: Joi.object({
+    id: objectId.required().messages({
+      "string.pattern.base": "Invalid rate card ID format",
+      "any.required": "Rate card ID is required",
+    }),
+  }),
+  body: Joi.object({
+    weightSlabs: Joi.array().items(weightSlabSchema).min(1),
+    additionalWeightGrams: Joi.number().integer().min(1),
+    additionalRate: Joi.number().min(0),
+    volumetricDivisor: Joi.number().integer().min(1).allow(null),
+    freeShippingThreshold: Joi.number().min(0).allow(null),
+    estimatedDaysMin: Joi.number().integer().min(0),
+    estimatedDaysMax: Joi.number().integer().min(0),
+    isActive: Joi.boolean(),
+  }).min(1).messages({
+    "object.min": "At least one field is required to update",
+  }),
+};
+
+/**
+ * Validation schema for rate card ID param
+ */
+export const rateCardIdParamSchema = {
+  params: Joi.object({
+    id: objectId.required().messages({
+      "string.pattern.base": "Invalid rate card ID format",
+      "any.required": "Rate card ID is required",
+    }),
+  }),
+};
+
+/**
+ * Validation schema for listing rate cards (admin)
+ */
+export const listRateCardsSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    zone: objectId,
+    method: objectId,
+    isActive: Joi.string().valid("true", "false"),
+  }),
+};
+
+export default {
+  createRateCardSchema,
+  updateRateCardSchema,
+  rateCardIdParamSchema,
+  listRateCardsSchema,
+};
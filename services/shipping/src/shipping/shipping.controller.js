@@ -0,0 +1,222 @@
+import { sendResponse } from "@shared/utils";
+import { HTTP_STATUS, DEFAULT_CURRENCY } from "../../utils/constants.js";
+import {
+  getShippingOptions,
+  getShippingQuote,
+  resolveZone,
+  methodExists,
+} from "../../services/rate.service.js";
+
+/**
+ * Add business days to a date (skips Sundays)
+ * @param {Date} from - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} Resulting date
+ */
+const addDeliveryDays = (from, days) => {
+  const date = new Date(from);
+  let remaining = days;
+  while (remaining > 0) {
+    date.setDate(date.getDate() + 1);
+    if (date.getDay() !== 0) {
+      remaining--;
+    }
+  }
+  return date;
+};
+
+/**
+ * @route POST /api/shipping/methods
+ * @description Get available shipping methods with rates for an address
+ * @access Public (Order service integration endpoint)
+ */
+export const getAvailableMethods = async (req, res) => {
+  console.log("> POST /api/shipping/methods");
+
+  try {
+    const { address, cartData } = req.body;
+
+    const options = await getShippingOptions(address, cartData);
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      options.serviceable
+        ? "Shipping methods fetched successfully"
+        : "Delivery is not available to this location",
+      options,
+      null
+    );
+  } catch (error) {
+    console.log("> Error fetching shipping methods:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to fetch shipping methods", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/shipping/calculate
+ * @description Calculate shipping rate for a specific method
+ * @access Public (Order service integration endpoint)
+ */
+export const calculateRate = async (req, res) => {
+  console.log("> POST /api/shipping/calculate");
+
+  try {
+    const { methodId, address, packageData } = req.body;
+
+    if (methodId && !(await methodExists(methodId))) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "Shipping method not found", null, null);
+    }
+
+    const quote = await getShippingQuote(methodId, address, packageData);
+
+    if (!quote) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Shipping method is not available for this location",
+        null,
+        "METHOD_NOT_SERVICEABLE"
+      );
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Shipping rate calculated successfully",
+      {
+        methodId: quote.id,
+        name: quote.name,
+        carrierName: quote.carrierName,
+        rate: quote.rate,
+        currency: quote.currency,
+        estimatedDays: quote.estimatedDays,
+        estimatedDaysMin: quote.estimatedDaysMin,
+        estimatedDaysMax: quote.estimatedDaysMax,
+        chargeableWeight: quote.chargeableWeight,
+        isFreeShipping: quote.isFreeShipping,
+        codAvailable: quote.codAvailable,
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error calculating shipping rate:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to calculate shipping rate", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/shipping/validate
+ * @description Check whether an address is serviceable
+ * @access Public
+ */
+export const validateServiceability = async (req, res) => {
+  console.log("> POST /api/shipping/validate");
+
+  try {
+    const { address } = req.body;
+
+    const { serviceable, methods } = await getShippingOptions(address, {});
+    const fastest = methods.reduce(
+      (min, m) => (min === null || m.estimatedDays < min ? m.estimatedDays : min),
+      null
+    );
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Serviceability checked successfully",
+      {
+        serviceable,
+        estimatedDays: fastest,
+        codAvailable: methods.some((m) => m.codAvailable),
+        message: serviceable
+          ? "Delivery available to this location"
+          : "Delivery is not available to this location",
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error checking serviceability:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to check serviceability", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/shipping/estimate
+ * @description Get estimated delivery date for a method and address
+ * @access Public
+ */
+export const estimateDelivery = async (req, res) => {
+  console.log("> POST /api/shipping/estimate");
+
+  try {
+    const { methodId, address } = req.body;
+
+    const quote = await getShippingQuote(methodId, address, {});
+
+    if (!quote) {
+      return sendResponse(
+        res,
+        HTTP_STATUS.BAD_REQUEST,
+        "Shipping method is not available for this location",
+        null,
+        "METHOD_NOT_SERVICEABLE"
+      );
+    }
+
+    const now = new Date();
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Delivery estimate calculated successfully",
+      {
+        methodId: quote.id,
+        estimatedDaysMin: quote.estimatedDaysMin,
+        estimatedDaysMax: quote.estimatedDaysMax,
+        earliestDelivery: addDeliveryDays(now, quote.estimatedDaysMin),
+        latestDelivery: addDeliveryDays(now, quote.estimatedDaysMax),
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error estimating delivery:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to estimate delivery", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/zones/pincode/:pincode
+ * @description Resolve the shipping zone for a pincode
+ * @access Public
+ */
+export const getZoneByPincode = async (req, res) => {
+  const { pincode } = req.params;
+  console.log(`> GET /api/zones/pincode/${pincode}`);
+
+  try {
+    const zone = await resolveZone(pincode);
+
+    if (!zone) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "No shipping zone found for pincode", null, null);
+    }
+
+    return sendResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Shipping zone fetched successfully",
+      {
+        code: zone.code,
+        name: zone.name,
+        isServiceable: zone.isServiceable,
+        isCodAvailable: zone.isCodAvailable,
+        currency: DEFAULT_CURRENCY,
+      },
+      null
+    );
+  } catch (error) {
+    console.log("> Error fetching zone by pincode:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to fetch shipping zone", null, error.message);
+  }
+};
@@ -0,0 +1,59 @@
+import { Router } from "express";
+import { validate } from "@shared/middlewares";
+import {
+  getAvailableMethods,
+  calculateRate,
+  validateServiceability,
+  estimateDelivery,
+  getZoneByPincode,
+} from "./shipping.controller.js";
+import {
+  getMethodsSchema,
+  calculateRateSchema,
+  validateServiceabilitySchema,
+  estimateDeliverySchema,
+  pincodeParamSchema,
+} from "./shipping.validation.js";
+
+const shippingRouter = Router();
+const zoneLookupRouter = Router();
+
+/**
+ * @route POST /api/shipping/methods
+ * @description Get available shipping methods for an address
+ * @access Public
+ */
+shippingRouter.post("/methods", validate(getMethodsSchema), getAvailableMethods);
+
+/**
+ * @route POST /api/shipping/calculate
+ * @description Calculate shipping rate for a method
+ * @access Public
+ */
+shippingRouter.post("/calculate", validate(calculateRateSchema), calculateRate);
+
+/**
+ * @route POST /api/shipping/validate
+ * @description Check address serviceability
+ * @access Public
+ */
+shippingRouter.post("/validate", validate(validateServiceabilitySchema), validateServiceability);
+
+/**
+ * @route POST /api/shipping/estimate
+ * @description Get estimated delivery window
+ * @access Public
+ */
+shippingRouter.post("/estimate", validate(estimateDeliverySchema), estimateDelivery);
+
+/**
+ * @route GET /api/zones/pincode/:pincode
+ * @description Resolve shipping zone for a pincode
+ * @access Public
+ */
+zoneLookupRouter.get("/pincode/:pincode", validate(pincodeParamSchema), getZoneByPincode);
+
+export default {
+  consumer: shippingRouter,
+  zones: zoneLookupRouter,
+};
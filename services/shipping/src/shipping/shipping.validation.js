@@ -0,0 +1,88 @@
+import Joi from "joi";
+
+const addressSchema = Joi.object({
+  pincode: Joi.string().trim().pattern(/^\d{6}$/).required().messages({
+    "string.pattern.base": "Pincode must be a valid 6-digit number",
+    "any.required": "Pincode is required",
+  }),
+  state: Joi.string().trim().allow("", null),
+  city: Joi.string().trim().allow("", null),
+  country: Joi.string().trim().allow("", null),
+}).unknown(true);
+
+const packageSchema = Joi.object({
+  weight: Joi.number().min(0).allow(null),
+  weightUnit: Joi.string().valid("g", "kg", "ml", "L", "oz", "lb").default("g"),
+  dimensions: Joi.object({
+    length: Joi.number().min(0),
+    width: Joi.number().min(0),
+    height: Joi.number().min(0),
+  }).allow(null),
+  orderValue: Joi.number().min(0).default(0),
+  itemCount: Joi.number().integer().min(0),
+}).unknown(true);
+
+/**
+ * Validation schema for listing available shipping methods
+ * POST /api/shipping/methods
+ */
+export const getMethodsSchema = {
+  body: Joi.object({
+    address: addressSchema.required(),
+    cartData: packageSchema.default({}),
+  }),
+};
+
+/**
+ * Validation schema for calculating a shipping rate
+ * POST /api/shipping/calculate
+ */
+export const calculateRateSchema = {
+  body: Joi.object({
+    methodId: Joi.string().trim().lowercase().allow(null, ""),
+    address: addressSchema.required(),
+    packageData: packageSchema.default({}),
+  }),
+};
+
+/**
+ * Validation schema for checking serviceability
+ * POST /api/shipping/validate
+ */
+export const validateServiceabilitySchema = {
+  body: Joi.object({
+    address: addressSchema.required(),
+  }),
+};
+
+/**
+ * Validation schema for estimating delivery date
+ * POST /api/shipping/estimate
+ */
+export const estimateDeliverySchema = {
+  body: Joi.object({
+    methodId: Joi.string().trim().lowercase().allow(null, ""),
+    address: addressSchema.required(),
+  }),
+};
+
+/**
+ * Validation schema for pincode zone lookup
+ * GET /api/zones/pincode/:pincode
+ */
+export const pincodeParamSchema = {
+  params: Joi.object({
+    pincode: Joi.string().trim().pattern(/^\d{6}$/).required().messages({
+      "string.pattern.base": "Pincode must be a valid 6-digit number",
+      "any.required": "Pincode is required",
+    }),
+  }),
+};
+
+export default {
+  getMethodsSchema,
+  calculateRateSchema,
+  validateServiceabilitySchema,
+  estimateDeliverySchema,
+  pincodeParamSchema,
+};
@@ -0,0 +1,148 @@
+import ShippingZone from "../../models/shipping-zone.model.js";
+import RateCard from "../../models/rate-card.model.js";
+import { sendResponse } from "@shared/utils";
+import { HTTP_STATUS } from "../../utils/constants.js";
+import { parsePagination, buildPaginationMeta } from "../../services/pagination.service.js";
+
+/**
+ * @route GET /api/admin/zones
+ * @description List shipping zones
+ * @access Admin
+ */
+export const listZones = async (req, res) => {
+  console.log("> GET /api/admin/zones");
+
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+
+    if (req.query.isActive === "true") {
+      filter.isActive = true;
+    } else if (req.query.isActive === "false") {
+      filter.isActive = false;
+    }
+
+    if (req.query.search) {
+      filter.$or = [
+        { name: { $regex: req.query.search, $options: "i" } },
+        { code: { $regex: req.query.search, $options: "i" } },
+        { pincodes: req.query.search },
+      ];
+    }
+
+    const [zones, total] = await Promise.all([
+      ShippingZone.find(filter).sort({ priority: 1, name: 1 }).skip(skip).limit(limit).lean(),
+      ShippingZone.countDocuments(filter),
+    ]);
+
+    console.log(`> Found ${zones.length} zones`);
+    return sendResponse(res, HTTP_STATUS.OK, "Zones fetched successfully", {
+      zones,
+      pagination: buildPaginationMeta(total, page, limit),
+    }, null);
+  } catch (error) {
+    console.log("> Error listing zones:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to fetch zones", null, error.message);
+  }
+};
+
+/**
+ * @route GET /api/admin/zones/:id
+ * @description Get shipping zone with its rate cards
+ * @access Admin
+ */
+export const getZoneById = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> GET /api/admin/zones/${id}`);
+
+  try {
+    const zone = await ShippingZone.findById(id).lean();
+
+    if (!zone) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "Zone not found", null, null);
+    }
+
+    const rateCards = await RateCard.find({ zone: id })
+      .populate("method", "code name isCodEligible isActive")
+      .lean();
+
+    return sendResponse(res, HTTP_STATUS.OK, "Zone fetched successfully", { zone, rateCards }, null);
+  } catch (error) {
+    console.log("> Error fetching zone:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to fetch zone", null, error.message);
+  }
+};
+
+/**
+ * @route POST /api/admin/zones
+ * @description Create shipping zone
+ * @access Admin
+ */
+export const createZone = async (req, res) => {
+  console.log("> POST /api/admin/zones");
+
+  try {
+    const zone = await ShippingZone.create(req.body);
+
+    console.log(`> Zone created: ${zone.code}`);
+    return sendResponse(res, HTTP_STATUS.CREATED, "Zone created successfully", zone, null);
+  } catch (error) {
+    console.log("> Error creating zone:", error.message);
+
+    if (error.code === 11000) {
+      return sendResponse(res, HTTP_STATUS.CONFLICT, "Zone code already exists", null, "Duplicate zone code");
+    }
+
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to create zone", null, error.message);
+  }
+};
+
+/**
+ * @route PUT /api/admin/zones/:id
+ * @description Update shipping zone
+ * @access Admin
+ */
+export const updateZone = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> PUT /api/admin/zones/${id}`);
+
+  try {
+    const zone = await ShippingZone.findByIdAndUpdate(id, { $set: req.body }, { new: true, runValidators: true });
+
+    if (!zone) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "Zone not found", null, null);
+    }
+
+    console.log(`> Zone updated: ${zone.code}`);
+    return sendResponse(res, HTTP_STATUS.OK, "Zone updated successfully", zone, null);
+  } catch (error) {
+    console.log("> Error updating zone:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to update zone", null, error.message);
+  }
+};
+
+/**
+ * @route DELETE /api/admin/zones/:id
+ * @description Delete shipping zone and its rate cards
+ * @access Admin
+ */
+export const deleteZone = async (req, res) => {
+  const { id } = req.params;
+  console.log(`> DELETE /api/admin/zones/${id}`);
+
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(id);
+
+    if (!zone) {
+      return sendResponse(res, HTTP_STATUS.NOT_FOUND, "Zone not found", null, null);
+    }
+
+    const { deletedCount } = await RateCard.deleteMany({ zone: id });
+
+    console.log(`> Zone deleted: ${zone.code} (${deletedCount} rate cards removed)`);
+    return sendResponse(res, HTTP_STATUS.OK, "Zone deleted successfully", null, null);
+  } catch (error) {
+    console.log("> Error deleting zone:", error.message);
+    return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to delete zone", null, error.message);
+  }
+};
@@ -0,0 +1,60 @@
+import { Router } from "express";
+import { validate } from "@shared/middlewares";
+import { authenticateAdmin } from "@shared/auth-middleware";
+import {
+  listZones,
+  getZoneById,
+  createZone,
+  updateZone,
+  deleteZone,
+} from "./zone.controller.js";
+import {
+  createZoneSchema,
+  updateZoneSchema,
+  zoneIdParamSchema,
+  listZonesSchema,
+} from "./zone.validation.js";
+
+const adminRouter = Router();
+
+// Apply admin authentication to all admin routes
+adminRouter.use(authenticateAdmin);
+
+/**
+ * @route GET /api/admin/zones
+ * @description List shipping zones
+ * @access Admin
+ */
+adminRouter.get("/", validate(listZonesSchema), listZones);
+
+/**
+ * @route POST /api/admin/zones
+ * @description Create shipping zone
+ * @access Admin
+ */
+adminRouter.post("/", validate(createZoneSchema), createZone);
+
+/**
+ * @route GET /api/admin/zones/:id
+ * @description Get shipping zone details
+ * @access Admin
+ */
+adminRouter.get("/:id", validate(zoneIdParamSchema), getZoneById);
+
+/**
+ * @route PUT /api/admin/zones/:id
+ * @description Update shipping zone
+ * @access Admin
+ */
+adminRouter.put("/:id", validate(updateZoneSchema), updateZone);
+
+/**
+ * @route DELETE /api/admin/zones/:id
+ * @description Delete shipping zone
+ * @access Admin
+ */
+adminRouter.delete("/:id", validate(zoneIdParamSchema), deleteZone);
+
+export default {
+  admin: adminRouter,
+};
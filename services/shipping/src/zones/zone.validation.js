@@ -0,0 +1,85 @@
+import Joi from "joi";
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+/**
+ * Validation schema for creating a shipping zone
+ * POST /api/admin/zones
+ */
+export const createZoneSchema = {
+  body: Joi.object({
+    code: Joi.string().trim().uppercase().min(1).max(50).required().messages({
+      "string.empty": "Zone code is required",
+      "any.required": "Zone code is required",
+    }),
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      "string.empty": "Zone name is required",
+      "any.required": "Zone name is required",
+    }),
+    description: Joi.string().trim().max(500).allow(null, ""),
+    pincodes: Joi.array().items(Joi.string().trim().pattern(/^\d{6}$/)).default([]),
+    pincodePrefixes: Joi.array().items(Joi.string().trim().pattern(/^\d{1,5}$/)).default([]),
+    states: Joi.array().items(Joi.string().trim()).default([]),
+    isServiceable: Joi.boolean().default(true),
+    isCodAvailable: Joi.boolean().default(true),
+    priority: Joi.number().integer().min(1).default(1),
+    isActive: Joi.boolean().default(true),
+  }),
+};
+
+/**
+ * Validation schema for updating a shipping zone
+ * PUT /api/admin/zones/:id
+ */
+export const updateZoneSchema = {
+  params: Joi.object({
+    id: objectId.required().messages({
+      "string.pattern.base": "Invalid zone ID format",
+      "any.required": "Zone ID is required",
+    }),
+  }),
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().trim().max(500).allow(null, ""),
+    pincodes: Joi.array().items(Joi.string().trim().pattern(/^\d{6}$/)),
+    pincodePrefixes: Joi.array().items(Joi.string().trim().pattern(/^\d{1,5}$/)),
+    states: Joi.array().items(Joi.string().trim()),
+    isServiceable: Joi.boolean(),
+    isCodAvailable: Joi.boolean(),
+    priority: Joi.number().integer().min(1),
+    isActive: Joi.boolean(),
+  }).min(1).messages({
+    "object.min": "At least one field is required to update",
+  }),
+};
+
+/**
+ * Validation schema for zone ID param
+ */
+export const zoneIdParamSchema = {
+  params: Joi.object({
+    id: objectId.required().messages({
+      "string.pattern.base": "Invalid zone ID format",
+      "any.required": "Zone ID is required",
+    }),
+  }),
+};
+
+/**
+ * Validation schema for listing zones (admin)
+ */
+export const listZonesSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    isActive: Joi.string().valid("true", "false"),
+    search: Joi.string().trim().max(100),
+  }),
+};
+
+export default {
+  createZoneSchema,
+  updateZoneSchema,
+  zoneIdParamSchema,
+  listZonesSchema,
+};
@@ -0,0 +1,40 @@
+/**
+ * Shipping Service Constants
+ */
+
+// Import and re-export HTTP_STATUS from @shared/utils
+import { HTTP_STATUS } from "@shared/utils";
+export { HTTP_STATUS };
+
+// Shipping method codes
+export const SHIPPING_METHOD_CODE = {
+  STANDARD: "standard",
+  EXPRESS: "express",
+};
+
+// Supported weight units (normalised to grams)
+export const WEIGHT_UNIT_TO_GRAMS = {
+  g: 1,
+  kg: 1000,
+  ml: 1,
+  L: 1000,
+  oz: 28.3495,
+  lb: 453.592,
+};
+
+export const DEFAULT_VOLUMETRIC_DIVISOR =
+  parseInt(process.env.DEFAULT_VOLUMETRIC_DIVISOR) || 5000;
+
+export const DEFAULT_PACKAGE_WEIGHT_GRAMS =
+  parseInt(process.env.DEFAULT_PACKAGE_WEIGHT_GRAMS) || 500;
+
+export const DEFAULT_CURRENCY = "INR";
+
+export default {
+  HTTP_STATUS,
+  SHIPPING_METHOD_CODE,
+  WEIGHT_UNIT_TO_GRAMS,
+  DEFAULT_VOLUMETRIC_DIVISOR,
+  DEFAULT_PACKAGE_WEIGHT_GRAMS,
+  DEFAULT_CURRENCY,
+};
@@ -0,0 +1,4 @@
+export { JobRunner, JobTrigger, JobRunStatus } from "./job-runner.js";
+export { createJobRoutes } from "./job-runner.route.js";
+export { default as ScheduledJob } from "./scheduled-job.model.js";
+export { default as JobRun } from "./job-run.model.js";
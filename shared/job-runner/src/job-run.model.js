@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+const RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 30;
+
+/**
+ * History of job runs, kept for JOB_RUN_RETENTION_DAYS (default 30)
+ */
+const jobRunSchema = new mongoose.Schema({
+  service: {
+    type: String,
+    required: true,
+  },
+  jobName: {
+    type: String,
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ["scheduled", "manual"],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["running", "succeeded", "failed"],
+    default: "running",
+  },
+  // Instance (host:pid:id) that ran the job
+  instanceId: {
+    type: String,
+    required: true,
+  },
+  scheduledFor: {
+    type: Date,
+    default: null,
+  },
+  triggeredById: {
+    type: String,
+    default: null,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+  durationMs: {
+    type: Number,
+    default: null,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+});
+
+jobRunSchema.index({ service: 1, jobName: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const JobRun = mongoose.model("JobRun", jobRunSchema);
+
+export default JobRun;
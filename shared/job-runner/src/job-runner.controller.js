@@ -0,0 +1,180 @@
+import { sendResponse, HTTP_STATUS } from "@shared/utils";
+
+/**
+ * Create the admin job handlers for a runner
+ * @param {JobRunner} runner - Job runner
+ * @returns {Object} Express handlers
+ */
+export const createJobController = (runner) => {
+  /**
+   * Respond 404 if the job is not registered on this service
+   * @returns {boolean} True if a response was sent
+   */
+  const sendIfUnknown = (res, name) => {
+    if (runner.jobs.has(name)) {
+      return false;
+    }
+    sendResponse(res, HTTP_STATUS.NOT_FOUND, "Job not found", null, `Unknown job: ${name}`);
+    return true;
+  };
+
+  /**
+   * @route GET /api/admin/jobs
+   * @description List jobs with their schedule, pause flag and last run
+   * @access Admin
+   *
+   * @responseBody Success (200)
+   * {
+   *   "message": "Jobs retrieved successfully",
+   *   "data": {
+   *     "instanceId": "order-7d9f:1:3fa2b1c4",
+   *     "jobs": [
+   *       {
+   *         "name": "auto-invoice-generation",
+   *         "schedule": "0 *\/6 * * *",
+   *         "paused": false,
+   *         "running": false,
+   *         "lastRun": { "status": "succeeded", "trigger": "scheduled", "startedAt": "...", "durationMs": 812 }
+   *       }
+   *     ]
+   *   },
+   *   "error": null
+   * }
+   */
+  const listJobs = async (req, res) => {
+    console.log("> List jobs request received");
+
+    try {
+      const jobs = await runner.listJobs();
+      return sendResponse(
+        res,
+        HTTP_STATUS.OK,
+        "Jobs retrieved successfully",
+        { instanceId: runner.instanceId, jobs },
+        null
+      );
+    } catch (error) {
+      console.log(`> Error listing jobs: ${error.message}`);
+      return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to list jobs", null, error.message);
+    }
+  };
+
+  /**
+   * @route GET /api/admin/jobs/:name/runs
+   * @description Get a job's run history, newest first
+   * @access Admin
+   *
+   * @queryParams
+   * page: number (default: 1)
+   * limit: number (default: 20, max: 100)
+   * status: string (running, succeeded, failed)
+   *
+   * @responseBody Success (200)
+   * {
+   *   "message": "Job runs retrieved successfully",
+   *   "data": { "runs": [ ... ], "pagination": { "total": 40, "page": 1, "limit": 20, "totalPages": 2 } },
+   *   "error": null
+   * }
+   */
+  const getJobRuns = async (req, res) => {
+    const { name } = req.params;
+    console.log(`> Get job runs request received: ${name}`);
+
+    try {
+      if (sendIfUnknown(res, name)) return;
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const data = await runner.getRuns(name, { page, limit, status: req.query.status || null });
+
+      return sendResponse(res, HTTP_STATUS.OK, "Job runs retrieved successfully", data, null);
+    } catch (error) {
+      console.log(`> Error getting job runs: ${error.message}`);
+      return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to get job runs", null, error.message);
+    }
+  };
+
+  /**
+   * @route POST /api/admin/jobs/:name/trigger
+   * @description Run a job now and wait for it to finish
+   * Paused jobs can still be run manually.
+   * @access Admin
+   *
+   * @responseBody Success (200)
+   * {
+   *   "message": "Job run completed",
+   *   "data": { "run": { "status": "succeeded", "trigger": "manual", "result": { ... }, ... } },
+   *   "error": null
+   * }
+   *
+   * @responseBody Error (409)
+   * { "message": "Job is already running", "data": null, "error": "Another run holds the job lease" }
+   */
+  const triggerJob = async (req, res) => {
+    const { name } = req.params;
+    console.log(`> Trigger job request received: ${name}`);
+
+    try {
+      if (sendIfUnknown(res, name)) return;
+
+      const run = await runner.trigger(name, req.adminId || null);
+
+      if (!run) {
+        return sendResponse(
+          res,
+          HTTP_STATUS.CONFLICT,
+          "Job is already running",
+          null,
+          "Another run holds the job lease"
+        );
+      }
+
+      return sendResponse(res, HTTP_STATUS.OK, "Job run completed", { run }, null);
+    } catch (error) {
+      console.log(`> Error triggering job: ${error.message}`);
+      return sendResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, "Failed to trigger job", null, error.message);
+    }
+  };
+
+  /**
+   * Build a pause or resume handler
+   * @param {boolean} paused - True to pause
+   */
+  const setPaused = (paused) => async (req, res) => {
+    const { name } = req.params;
+    console.log(`> ${paused ? "Pause" : "Resume"} job request received: ${name}`);
+
+    try {
+      if (sendIfUnknown(res, name)) return;
+
+      const job = await runner.setPaused(name, paused, req.adminId || null);
+
+      return sendResponse(
+        res,
+        HTTP_STATUS.OK,
+        paused ? "Job paused successfully" : "Job resumed successfully",
+        { job },
+        null
+      );
+    } catch (error) {
+      console.log(`> Error updating job: ${error.message}`);
+      return sendResponse(
+        res,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        paused ? "Failed to pause job" : "Failed to resume job",
+        null,
+        error.message
+      );
+    }
+  };
+
+  return {
+    listJobs,
+    getJobRuns,
+    triggerJob,
+    pauseJob: setPaused(true),
+    resumeJob: setPaused(false),
+  };
+};
+
+export default createJobController;
@@ -0,0 +1,379 @@
+import os from "os";
+import { randomUUID } from "crypto";
+import cron from "node-cron";
+import ScheduledJob from "./scheduled-job.model.js";
+import JobRun from "./job-run.model.js";
+
+/**
+ * Job run triggers
+ */
+export const JobTrigger = {
+  SCHEDULED: "scheduled",
+  MANUAL: "manual",
+};
+
+/**
+ * Job run statuses
+ */
+export const JobRunStatus = {
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Floor a date to the start of its minute
+ * @param {Date} date - Date
+ * @returns {Date} Start of the minute
+ */
+const floorToMinute = (date) => new Date(Math.floor(date.getTime() / 60000) * 60000);
+
+/**
+ * Job Runner
+ *
+ * Schedules jobs with node-cron and makes sure each run happens on one
+ * instance only, however many replicas of the service are running:
+ * - Every cron tick is claimed in MongoDB before it runs. The first instance
+ *   to claim a tick takes a lease on the job; the others skip it.
+ * - The lease is renewed while the job runs and released when it finishes.
+ *   If an instance dies mid-run, the lease expires and the job can run again.
+ * - Every run is recorded in the JobRun collection.
+ *
+ * Ticks are claimed per minute, so schedules finer than once a minute run at
+ * most once a minute.
+ */
+export class JobRunner {
+  constructor(options = {}) {
+    if (!options.service) {
+      throw new Error("JobRunner requires a service name");
+    }
+
+    this.service = options.service;
+    this.timezone = options.timezone || process.env.TZ || "Asia/Kolkata";
+    this.leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+    this.instanceId = options.instanceId || `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Register a job
+   * @param {Object} job - { name, schedule, description, handler, leaseMs }
+   * The handler is an async function; a result with success: false counts as a failed run.
+   * @returns {JobRunner} This runner, for chaining
+   */
+  register({ name, schedule, description = null, handler, leaseMs = null }) {
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid cron schedule for job ${name}: ${schedule}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      schedule,
+      description,
+      handler,
+      leaseMs: leaseMs || this.leaseMs,
+      task: null,
+    });
+    return this;
+  }
+
+  /**
+   * Record registered jobs in MongoDB and start their cron schedules
+   * Call after the database connection is open.
+   */
+  async start() {
+    console.log(`> Starting job runner for ${this.service} (instance ${this.instanceId})`);
+
+    for (const job of this.jobs.values()) {
+      try {
+        await ScheduledJob.updateOne(
+          { service: this.service, name: job.name },
+          {
+            $set: { schedule: job.schedule, description: job.description },
+            $setOnInsert: { paused: false },
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        // Another replica inserted the job at the same time
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+
+      job.task = cron.schedule(
+        job.schedule,
+        async () => {
+          const run = await this.runScheduled(job.name);
+          if (run) {
+            console.log(`> [SCHEDULED] ${job.name} ${run.status} in ${run.durationMs}ms:`, run.result);
+          }
+        },
+        {
+          scheduled: true,
+          timezone: this.timezone,
+        }
+      );
+      console.log(`> Scheduled: ${job.name} - ${job.schedule}`);
+    }
+
+    console.log(`> Total scheduled jobs: ${this.jobs.size}`);
+  }
+
+  /**
+   * Stop all cron schedules
+   * Leases held by running jobs expire on their own.
+   */
+  stop() {
+    console.log("> Stopping all background jobs...");
+
+    for (const job of this.jobs.values()) {
+      if (job.task) {
+        job.task.stop();
+        job.task = null;
+        console.log(`> Stopped: ${job.name}`);
+      }
+    }
+
+    console.log("> All background jobs stopped");
+  }
+
+  /**
+   * Get a registered job
+   * @param {string} name - Job name
+   * @returns {Object} Job definition
+   * @throws {Error} If the job is not registered
+   */
+  getDefinition(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+    return job;
+  }
+
+  /**
+   * Try to take the lease on a job
+   * @param {Object} job - Job definition
+   * @param {Date|null} tick - Cron tick being claimed; null for a manual run
+   * @returns {Promise<Object|null>} Job document, or null if another instance holds it
+   */
+  async acquireLease(job, tick = null) {
+    const now = new Date();
+    const conditions = [
+      { $or: [{ "lock.expiresAt": null }, { "lock.expiresAt": { $lte: now } }] },
+    ];
+    const update = {
+      lock: {
+        owner: this.instanceId,
+        acquiredAt: now,
+        expiresAt: new Date(now.getTime() + job.leaseMs),
+      },
+    };
+
+    if (tick) {
+      conditions.push({ paused: { $ne: true } });
+      conditions.push({ $or: [{ lastScheduledFor: null }, { lastScheduledFor: { $lt: tick } }] });
+      update.lastScheduledFor = tick;
+    }
+
+    try {
+      return await ScheduledJob.findOneAndUpdate(
+        { service: this.service, name: job.name, $and: conditions },
+        { $set: update },
+        { new: true }
+      );
+    } catch (error) {
+      console.log(`> Failed to acquire lease for ${job.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Run a job under its lease and record the run
+   * @param {Object} job - Job definition
+   * @param {Object} options - { trigger, tick, triggeredById }
+   * @returns {Promise<Object|null>} JobRun, or null if the lease was not acquired
+   */
+  async execute(job, { trigger, tick = null, triggeredById = null }) {
+    const lease = await this.acquireLease(job, tick);
+    if (!lease) {
+      return null;
+    }
+
+    const run = await JobRun.create({
+      service: this.service,
+      jobName: job.name,
+      trigger,
+      instanceId: this.instanceId,
+      scheduledFor: tick,
+      triggeredById,
+      startedAt: new Date(),
+    });
+
+    const lockFilter = { service: this.service, name: job.name, "lock.owner": this.instanceId };
+    const heartbeat = setInterval(() => {
+      ScheduledJob.updateOne(lockFilter, {
+        $set: { "lock.expiresAt": new Date(Date.now() + job.leaseMs) },
+      }).catch((error) => console.log(`> Failed to renew lease for ${job.name}: ${error.message}`));
+    }, Math.max(Math.floor(job.leaseMs / 3), 1000));
+    heartbeat.unref();
+
+    let result = null;
+    let error = null;
+    try {
+      result = await job.handler();
+    } catch (handlerError) {
+      error = handlerError.message;
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    if (!error && result?.success === false) {
+      error = result.error || "Job reported failure";
+    }
+
+    run.status = error ? JobRunStatus.FAILED : JobRunStatus.SUCCEEDED;
+    run.result = result;
+    run.error = error;
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+
+    await ScheduledJob.updateOne(
+      { service: this.service, name: job.name },
+      {
+        $set: {
+          lastRun: {
+            runId: run._id,
+            trigger,
+            status: run.status,
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt,
+            durationMs: run.durationMs,
+            error,
+          },
+        },
+      }
+    );
+    await ScheduledJob.updateOne(lockFilter, {
+      $set: { lock: { owner: null, acquiredAt: null, expiresAt: null } },
+    });
+
+    return run;
+  }
+
+  /**
+   * Run a job for the current cron tick, unless another instance already claimed it
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} JobRun, or null if skipped
+   */
+  async runScheduled(name) {
+    const job = this.getDefinition(name);
+    try {
+      return await this.execute(job, {
+        trigger: JobTrigger.SCHEDULED,
+        tick: floorToMinute(new Date()),
+      });
+    } catch (error) {
+      console.log(`> Error running scheduled job ${name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Run a job now (admin trigger); paused jobs can still be run manually
+   * @param {string} name - Job name
+   * @param {string|null} triggeredById - Admin ID
+   * @returns {Promise<Object|null>} JobRun, or null if the job is already running
+   */
+  async trigger(name, triggeredById = null) {
+    const job = this.getDefinition(name);
+    console.log(`> Manually triggering job: ${name}`);
+    return this.execute(job, { trigger: JobTrigger.MANUAL, triggeredById });
+  }
+
+  /**
+   * Pause or resume a job's schedule on every instance
+   * @param {string} name - Job name
+   * @param {boolean} paused - True to pause
+   * @param {string|null} adminId - Admin ID
+   * @returns {Promise<Object>} Job document
+   */
+  async setPaused(name, paused, adminId = null) {
+    this.getDefinition(name);
+    return ScheduledJob.findOneAndUpdate(
+      { service: this.service, name },
+      {
+        $set: {
+          paused,
+          pausedAt: paused ? new Date() : null,
+          pausedById: paused ? adminId : null,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * List registered jobs with their pause flag, lease and last run
+   * @returns {Promise<Array>} Jobs
+   */
+  async listJobs() {
+    const documents = await ScheduledJob.find({
+      service: this.service,
+      name: { $in: [...this.jobs.keys()] },
+    }).lean();
+    const documentsByName = new Map(documents.map((document) => [document.name, document]));
+
+    return [...this.jobs.values()].map((job) => {
+      const document = documentsByName.get(job.name);
+      return {
+        name: job.name,
+        schedule: job.schedule,
+        description: job.description,
+        paused: document?.paused || false,
+        pausedAt: document?.pausedAt || null,
+        pausedById: document?.pausedById || null,
+        running: Boolean(document?.lock?.expiresAt && document.lock.expiresAt > new Date()),
+        lock: document?.lock || null,
+        lastRun: document?.lastRun?.runId ? document.lastRun : null,
+      };
+    });
+  }
+
+  /**
+   * Get a job's run history, newest first
+   * @param {string} name - Job name
+   * @param {Object} options - { page, limit, status }
+   * @returns {Promise<Object>} { runs, pagination }
+   */
+  async getRuns(name, { page = 1, limit = 20, status = null } = {}) {
+    this.getDefinition(name);
+
+    const query = { service: this.service, jobName: name };
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (page - 1) * limit;
+    const [runs, total] = await Promise.all([
+      JobRun.find(query).sort({ startedAt: -1 }).skip(skip).limit(limit),
+      JobRun.countDocuments(query),
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+export default JobRunner;
@@ -0,0 +1,53 @@
+import { Router } from "express";
+import { createJobController } from "./job-runner.controller.js";
+
+/**
+ * Create the admin job routes for a runner
+ * Mount behind the service's admin authentication, e.g.
+ * router.use("/admin/jobs", authenticateAdmin, createJobRoutes(jobRunner));
+ * @param {JobRunner} runner - Job runner
+ * @returns {Router} Express router
+ */
+export const createJobRoutes = (runner) => {
+  const router = Router();
+  const { listJobs, getJobRuns, triggerJob, pauseJob, resumeJob } = createJobController(runner);
+
+  /**
+   * @route GET /api/admin/jobs
+   * @description List jobs with their schedule, pause flag and last run
+   * @access Admin
+   */
+  router.get("/", listJobs);
+
+  /**
+   * @route GET /api/admin/jobs/:name/runs
+   * @description Get a job's run history
+   * @access Admin
+   */
+  router.get("/:name/runs", getJobRuns);
+
+  /**
+   * @route POST /api/admin/jobs/:name/trigger
+   * @description Run a job now
+   * @access Admin
+   */
+  router.post("/:name/trigger", triggerJob);
+
+  /**
+   * @route POST /api/admin/jobs/:name/pause
+   * @description Stop scheduled runs of a job on every instance
+   * @access Admin
+   */
+  router.post("/:name/pause", pauseJob);
+
+  /**
+   * @route POST /api/admin/jobs/:name/resume
+   * @description Resume scheduled runs of a paused job
+   * @access Admin
+   */
+  router.post("/:name/resume", resumeJob);
+
+  return router;
+};
+
+export default createJobRoutes;
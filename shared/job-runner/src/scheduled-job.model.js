@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+/**
+ * One document per registered job and service
+ * Holds the job's lease, pause flag and last run summary.
+ */
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    service: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    schedule: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    paused: {
+      type: Boolean,
+      default: false,
+    },
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
+    pausedById: {
+      type: String,
+      default: null,
+    },
+    // Held by the instance running the job; expires so a crashed instance cannot block it
+    lock: {
+      owner: { type: String, default: null },
+      acquiredAt: { type: Date, default: null },
+      expiresAt: { type: Date, default: null },
+    },
+    // Cron tick last claimed, so each tick runs on one instance only
+    lastScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    lastRun: {
+      runId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      trigger: { type: String, default: null },
+      status: { type: String, default: null },
+      startedAt: { type: Date, default: null },
+      finishedAt: { type: Date, default: null },
+      durationMs: { type: Number, default: null },
+      error: { type: String, default: null },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+scheduledJobSchema.index({ service: 1, name: 1 }, { unique: true });
+
+const ScheduledJob = mongoose.model("ScheduledJob", scheduledJobSchema);
+
+export default ScheduledJob;